@@ -3,15 +3,45 @@
  * Comprehensive admin dashboard with member management, analytics, content moderation, and system controls
  */
 
+// Mirror GATEWAYS in server/donations.js and the currencies in server/exchange-rates.js
+const FINANCE_GATEWAYS = {
+    'paypal': 'PayPal',
+    'stripe': 'Stripe',
+    'flutterwave': 'Flutterwave',
+    'mobile-money': 'Mobile Money',
+    'bank-transfer': 'Bank transfer'
+};
+const FINANCE_CURRENCIES = ['ZMW', 'USD', 'EUR', 'GBP', 'ZAR', 'KES', 'UGX', 'CAD', 'AUD'];
+const FINANCE_LEDGER_LIMIT = 200;
+const IN_KIND_STATUSES = ['pledged', 'received', 'distributed', 'cancelled'];
+// Mirrors STATUSES in server/campaigns.js
+const CAMPAIGN_STATUSES = ['draft', 'active', 'closed'];
+
 class AdminManager {
     constructor() {
-        this.currentUser = {
-            id: 'admin_001',
-            role: 'admin',
-            permissions: ['manage_users', 'manage_content', 'view_analytics', 'system_admin']
-        };
-
-        this.members = this.generateMockMembers();
+        // Permissions come from the server with the signed-in user; the API enforces them too
+        this.currentUser = window.afzApi.getUser() || { permissions: [] };
+        this.initialized = false;
+
+        this.repository = window.afzRepository;
+        this.members = [];
+        this.lockouts = [];
+        this.securityEvents = [];
+        this.securitySummary = null;
+        this.securityFilters = { type: '', severity: '', q: '', from: '', to: '' };
+        this.ledger = [];
+        this.ledgerFilters = { q: '', gateway: '', currency: '', campaign: '', status: '', from: '', to: '' };
+        this.monthlySummary = null;
+        this.exchangeRates = null;
+        this.reconciliations = [];
+        this.reconciliation = null;
+        this.pledges = [];
+        this.pledgeStatus = 'pledged';
+        this.receivingPledgeId = null;
+        this.campaigns = [];
+        this.campaignStatus = '';
+        this.editingCampaignId = null;
+        this.editingMemberId = null;
         this.analytics = this.generateMockAnalytics();
         this.systemStats = this.generateSystemStats();
         this.auditLogs = this.generateAuditLogs();
@@ -26,7 +56,37 @@ class AdminManager {
             searchQuery: ''
         };
 
+        this.initIfPermitted();
+        window.addEventListener('afz:user-updated', (event) => {
+            this.currentUser = event.detail;
+            this.initIfPermitted();
+        });
+    }
+
+    can(permission) {
+        return (this.currentUser.permissions || []).includes(permission);
+    }
+
+    // Members without admin access never get the admin tools rendered
+    initIfPermitted() {
+        if (this.initialized || !this.can('admin.access')) return;
+
+        this.initialized = true;
         this.init();
+        if (this.can('members.view')) {
+            this.loadMembers();
+        }
+    }
+
+    // Removes tabs, views and buttons tagged with a data-permission the user lacks
+    applyPermissions(root) {
+        if (!root) return;
+
+        root.querySelectorAll('[data-permission]').forEach(element => {
+            if (!this.can(element.getAttribute('data-permission'))) {
+                element.remove();
+            }
+        });
     }
 
     init() {
@@ -50,11 +110,11 @@ class AdminManager {
                         <p>Manage members, content, and system settings</p>
                     </div>
                     <div class="admin-actions">
-                        <button class="btn btn-primary" id="create-announcement-btn">
+                        <button class="btn btn-primary" id="create-announcement-btn" data-permission="content.moderate">
                             <i class="fas fa-bullhorn"></i>
                             Create Announcement
                         </button>
-                        <button class="btn btn-secondary" id="export-data-btn">
+                        <button class="btn btn-secondary" id="export-data-btn" data-permission="members.view">
                             <i class="fas fa-download"></i>
                             Export Data
                         </button>
@@ -73,26 +133,38 @@ class AdminManager {
                         <i class="fas fa-tachometer-alt"></i>
                         Dashboard
                     </button>
-                    <button class="nav-tab" data-view="members">
+                    <button class="nav-tab" data-view="members" data-permission="members.view">
                         <i class="fas fa-users"></i>
                         Members
                     </button>
-                    <button class="nav-tab" data-view="content">
+                    <button class="nav-tab" data-view="content" data-permission="content.moderate">
                         <i class="fas fa-file-alt"></i>
                         Content
                     </button>
-                    <button class="nav-tab" data-view="analytics">
+                    <button class="nav-tab" data-view="analytics" data-permission="analytics.view">
                         <i class="fas fa-chart-bar"></i>
                         Analytics
                     </button>
-                    <button class="nav-tab" data-view="system">
+                    <button class="nav-tab" data-view="donations" data-permission="donations.view">
+                        <i class="fas fa-hand-holding-heart"></i>
+                        Donations
+                    </button>
+                    <button class="nav-tab" data-view="campaigns" data-permission="campaigns.manage">
+                        <i class="fas fa-bullhorn"></i>
+                        Campaigns
+                    </button>
+                    <button class="nav-tab" data-view="system" data-permission="system.manage">
                         <i class="fas fa-cogs"></i>
                         System
                     </button>
-                    <button class="nav-tab" data-view="audit">
+                    <button class="nav-tab" data-view="audit" data-permission="audit.view">
                         <i class="fas fa-history"></i>
                         Audit Logs
                     </button>
+                    <button class="nav-tab" data-view="security" data-permission="security.monitor">
+                        <i class="fas fa-shield-alt"></i>
+                        Security
+                    </button>
                 </div>
 
                 <!-- Admin Content -->
@@ -103,29 +175,44 @@ class AdminManager {
                     </div>
 
                     <!-- Members View -->
-                    <div class="admin-view" id="view-members">
+                    <div class="admin-view" id="view-members" data-permission="members.view">
                         ${this.renderMembersView()}
                     </div>
 
                     <!-- Content View -->
-                    <div class="admin-view" id="view-content">
+                    <div class="admin-view" id="view-content" data-permission="content.moderate">
                         ${this.renderContentView()}
                     </div>
 
                     <!-- Analytics View -->
-                    <div class="admin-view" id="view-analytics">
+                    <div class="admin-view" id="view-analytics" data-permission="analytics.view">
                         ${this.renderAnalyticsView()}
                     </div>
 
+                    <!-- Donations View -->
+                    <div class="admin-view" id="view-donations" data-permission="donations.view">
+                        ${this.renderDonationsView()}
+                    </div>
+
+                    <!-- Campaigns View -->
+                    <div class="admin-view" id="view-campaigns" data-permission="campaigns.manage">
+                        ${this.renderCampaignsView()}
+                    </div>
+
                     <!-- System View -->
-                    <div class="admin-view" id="view-system">
+                    <div class="admin-view" id="view-system" data-permission="system.manage">
                         ${this.renderSystemView()}
                     </div>
 
                     <!-- Audit Logs View -->
-                    <div class="admin-view" id="view-audit">
+                    <div class="admin-view" id="view-audit" data-permission="audit.view">
                         ${this.renderAuditView()}
                     </div>
+
+                    <!-- Security View -->
+                    <div class="admin-view" id="view-security" data-permission="security.monitor">
+                        ${this.renderSecurityView()}
+                    </div>
                 </div>
 
                 <!-- Action Modals -->
@@ -133,6 +220,7 @@ class AdminManager {
             </div>
         `;
 
+        this.applyPermissions(adminContainer);
         this.injectAdminStyles();
     }
 
@@ -192,7 +280,7 @@ class AdminManager {
                     <div class="dashboard-card">
                         <div class="card-header">
                             <h3>Recent Activity</h3>
-                            <button class="btn btn-sm btn-secondary" onclick="this.refreshActivity()">
+                            <button class="btn btn-sm btn-secondary" data-action="refresh-activity">
                                 <i class="fas fa-refresh"></i>
                             </button>
                         </div>
@@ -229,19 +317,19 @@ class AdminManager {
                             <h3>Quick Actions</h3>
                         </div>
                         <div class="quick-actions">
-                            <button class="quick-action-btn" onclick="adminManager.showCreateUserModal()">
+                            <button class="quick-action-btn" data-action="create-user" data-permission="members.manage">
                                 <i class="fas fa-user-plus"></i>
                                 Add Member
                             </button>
-                            <button class="quick-action-btn" onclick="adminManager.showCreateEventModal()">
+                            <button class="quick-action-btn" data-action="create-event">
                                 <i class="fas fa-calendar-plus"></i>
                                 Create Event
                             </button>
-                            <button class="quick-action-btn" onclick="adminManager.showBulkMessageModal()">
+                            <button class="quick-action-btn" data-action="announce" data-permission="content.moderate">
                                 <i class="fas fa-envelope"></i>
                                 Send Announcement
                             </button>
-                            <button class="quick-action-btn" onclick="adminManager.exportUserData()">
+                            <button class="quick-action-btn" data-action="export-members" data-permission="members.view">
                                 <i class="fas fa-download"></i>
                                 Export Data
                             </button>
@@ -272,7 +360,8 @@ class AdminManager {
                             <option value="all">All Roles</option>
                             <option value="member">Members</option>
                             <option value="moderator">Moderators</option>
-                            <option value="admin">Administrators</option>
+                            <option value="chapter-admin">Chapter Admins</option>
+                            <option value="super-admin">Super Admins</option>
                         </select>
                     </div>
                     <div class="bulk-actions">
@@ -280,17 +369,28 @@ class AdminManager {
                             <i class="fas fa-envelope"></i>
                             Email Selected
                         </button>
-                        <button class="btn btn-warning" id="bulk-suspend-btn" disabled>
+                        <button class="btn btn-warning" id="bulk-suspend-btn" data-permission="members.manage" disabled>
                             <i class="fas fa-ban"></i>
                             Suspend Selected
                         </button>
-                        <button class="btn btn-primary" id="add-member-btn">
+                        <button class="btn btn-primary" id="add-member-btn" data-permission="members.manage">
                             <i class="fas fa-user-plus"></i>
                             Add Member
                         </button>
                     </div>
                 </div>
 
+                <!-- Sign-in lockouts from the server's brute-force protection -->
+                <div class="lockouts-panel" id="lockouts-panel" data-permission="members.manage" hidden>
+                    <div class="lockouts-header">
+                        <h3><i class="fas fa-user-lock"></i> Sign-in Lockouts</h3>
+                        <button class="btn btn-sm btn-secondary" id="refresh-lockouts-btn" title="Refresh">
+                            <i class="fas fa-sync-alt"></i>
+                        </button>
+                    </div>
+                    <ul class="lockouts-list" id="lockouts-list"></ul>
+                </div>
+
                 <!-- Members Table -->
                 <div class="members-table-container">
                     <table class="members-table" id="members-table">
@@ -313,7 +413,7 @@ class AdminManager {
 
                 <!-- Pagination -->
                 <div class="table-pagination">
-                    <div class="pagination-info">
+                    <div class="pagination-info" id="members-pagination-info">
                         Showing 1-25 of ${this.members.length} members
                     </div>
                     <div class="pagination-controls">
@@ -618,14 +718,623 @@ class AdminManager {
         `;
     }
 
+    // Events reported by SecurityManager in the browser and recorded by the API
+    renderSecurityView() {
+        return `
+            <div class="security-console">
+                <!-- Open alerts raised by the thresholds below -->
+                <ul class="security-alerts" id="security-alerts" hidden></ul>
+
+                <!-- Severity counters -->
+                <div class="security-counters" id="security-counters">
+                    ${this.renderSecurityCounters()}
+                </div>
+
+                <!-- Timeline Controls -->
+                <div class="audit-controls">
+                    <div class="audit-filters">
+                        <input type="text" id="security-search" placeholder="Search message, IP or page...">
+                        <select id="security-type-filter">
+                            <option value="">All Types</option>
+                        </select>
+                        <select id="security-severity-filter">
+                            <option value="">All Severities</option>
+                            <option value="critical">Critical</option>
+                            <option value="warning">Warning</option>
+                            <option value="info">Info</option>
+                        </select>
+                        <input type="date" id="security-date-from">
+                        <input type="date" id="security-date-to">
+                    </div>
+                    <div class="audit-actions">
+                        <button class="btn btn-secondary" id="refresh-security-events">
+                            <i class="fas fa-sync-alt"></i>
+                            Refresh
+                        </button>
+                    </div>
+                </div>
+
+                <!-- Timeline -->
+                <div class="security-timeline-container">
+                    <p class="security-timeline-info" id="security-timeline-info"></p>
+                    <ol class="security-timeline" id="security-timeline"></ol>
+                </div>
+
+                <!-- Alert Thresholds -->
+                <div class="settings-section security-thresholds">
+                    <h3>Alert Thresholds</h3>
+                    <p>Raise an alert when this many events of a severity arrive within an hour. 0 turns the alert off.</p>
+                    <div class="security-thresholds-form">
+                        ${['critical', 'warning', 'info'].map(severity => `
+                        <div class="form-group">
+                            <label for="security-threshold-${severity}">${severity}</label>
+                            <input type="number" min="0" max="10000" step="1" id="security-threshold-${severity}">
+                        </div>
+                        `).join('')}
+                        <button class="btn btn-primary" id="save-security-thresholds">
+                            <i class="fas fa-save"></i>
+                            Save Thresholds
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderDonationsView() {
+        const year = new Date().getFullYear();
+
+        return `
+            <div class="finance-console">
+                <!-- Ledger Controls -->
+                <div class="audit-controls">
+                    <div class="audit-filters">
+                        <input type="text" id="ledger-search" placeholder="Search receipt, reference, donor...">
+                        <select id="ledger-status-filter">
+                            <option value="">All Statuses</option>
+                            <option value="completed">Completed</option>
+                            <option value="pending">Pending</option>
+                            <option value="failed">Failed</option>
+                            <option value="refunded">Refunded</option>
+                        </select>
+                        <select id="ledger-gateway-filter">
+                            <option value="">All Gateways</option>
+                            ${Object.entries(FINANCE_GATEWAYS).map(([value, name]) => `<option value="${value}">${name}</option>`).join('')}
+                        </select>
+                        <select id="ledger-currency-filter">
+                            <option value="">All Currencies</option>
+                            ${FINANCE_CURRENCIES.map(currency => `<option value="${currency}">${currency}</option>`).join('')}
+                        </select>
+                        <select id="ledger-campaign-filter">
+                            <option value="">All Campaigns</option>
+                        </select>
+                        <input type="date" id="ledger-date-from">
+                        <input type="date" id="ledger-date-to">
+                    </div>
+                    <div class="audit-actions">
+                        <button class="btn btn-secondary" id="refresh-ledger">
+                            <i class="fas fa-sync-alt"></i>
+                            Refresh
+                        </button>
+                    </div>
+                </div>
+
+                <!-- Exports follow the filters above; the donor list is everyone who has given -->
+                <div class="finance-exports">
+                    <span>Ledger</span>
+                    <button class="btn btn-secondary" data-finance-export="ledger" data-format="csv">
+                        <i class="fas fa-file-csv"></i>
+                        CSV
+                    </button>
+                    <button class="btn btn-secondary" data-finance-export="ledger" data-format="xlsx">
+                        <i class="fas fa-file-excel"></i>
+                        XLSX
+                    </button>
+                    <span>Donors for the CRM</span>
+                    <button class="btn btn-secondary" data-finance-export="donors" data-format="csv">
+                        <i class="fas fa-file-csv"></i>
+                        CSV
+                    </button>
+                    <button class="btn btn-secondary" data-finance-export="donors" data-format="xlsx">
+                        <i class="fas fa-file-excel"></i>
+                        XLSX
+                    </button>
+                </div>
+
+                <!-- Ledger -->
+                <p class="security-timeline-info" id="ledger-info"></p>
+                <div class="audit-table-container">
+                    <table class="audit-table" id="ledger-table">
+                        <thead>
+                            <tr>
+                                <th>Date</th>
+                                <th>Receipt</th>
+                                <th>Donor</th>
+                                <th>Gateway</th>
+                                <th>Amount</th>
+                                <th>ZMW</th>
+                                <th>Status</th>
+                                <th>Reconciliation</th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+
+                <!-- Monthly Summary -->
+                <div class="settings-section finance-monthly">
+                    <h3>Monthly Summary (ZMW)</h3>
+                    <p>Money received each month in kwacha, at the rate each donation was recorded with. Refunds count in the month they were made.</p>
+                    <div class="finance-exports">
+                        <select id="monthly-year">
+                            ${[0, 1, 2, 3, 4].map(back => `<option value="${year - back}">${year - back}</option>`).join('')}
+                        </select>
+                        <button class="btn btn-secondary" data-finance-export="monthly" data-format="csv">
+                            <i class="fas fa-file-csv"></i>
+                            CSV
+                        </button>
+                        <button class="btn btn-secondary" data-finance-export="monthly" data-format="xlsx">
+                            <i class="fas fa-file-excel"></i>
+                            XLSX
+                        </button>
+                    </div>
+                    <div class="audit-table-container">
+                        <table class="audit-table" id="monthly-table">
+                            <thead>
+                                <tr>
+                                    <th>Month</th>
+                                    <th>Donations</th>
+                                    <th>Received</th>
+                                    <th>Fees</th>
+                                    <th>Refunded</th>
+                                    <th>Net</th>
+                                </tr>
+                            </thead>
+                            <tbody></tbody>
+                        </table>
+                    </div>
+                </div>
+
+                <!-- Exchange Rates -->
+                <div class="settings-section finance-rates">
+                    <h3>Exchange Rates</h3>
+                    <p>Units of each currency per US dollar. New donations are valued in kwacha at these rates and the donate page's preset amounts follow them. An override stays in force until it is cleared, whatever the provider says.</p>
+                    <div class="finance-exports">
+                        <span id="rates-info"></span>
+                        <button class="btn btn-secondary" id="refresh-rates" data-permission="donations.manage">
+                            <i class="fas fa-sync-alt"></i>
+                            Fetch Today's Rates
+                        </button>
+                    </div>
+                    <div class="audit-table-container">
+                        <table class="audit-table" id="rates-table">
+                            <thead>
+                                <tr>
+                                    <th>Currency</th>
+                                    <th>Per USD</th>
+                                    <th>ZMW per Unit</th>
+                                    <th>Override</th>
+                                    <th data-permission="donations.manage">Change</th>
+                                </tr>
+                            </thead>
+                            <tbody></tbody>
+                        </table>
+                    </div>
+                </div>
+
+                <!-- Reconciliation -->
+                <div class="settings-section finance-reconciliation">
+                    <h3>Reconciliation</h3>
+                    <p>Import a gateway's settlement file (CSV) to check it against the ledger. Lines that do not match, refunds and payments missing from the file are flagged.</p>
+                    <form class="finance-exports" id="settlement-form" data-permission="donations.manage">
+                        <select id="settlement-gateway" required>
+                            <option value="">Gateway...</option>
+                            ${Object.entries(FINANCE_GATEWAYS).map(([value, name]) => `<option value="${value}">${name}</option>`).join('')}
+                        </select>
+                        <input type="file" id="settlement-file" accept=".csv,text/csv" required>
+                        <button class="btn btn-primary" type="submit">
+                            <i class="fas fa-file-import"></i>
+                            Import and Reconcile
+                        </button>
+                    </form>
+                    <div id="reconciliation-results" hidden></div>
+                    <h4>Previous Imports</h4>
+                    <ul class="reconciliation-list" id="reconciliation-list"></ul>
+                </div>
+
+                <!-- In-kind Pledges -->
+                <div class="settings-section finance-in-kind">
+                    <h3>In-kind Pledges</h3>
+                    <p>Goods pledged on the donate page. Recording what arrived adds it to programme stock and emails the donor an acknowledgment with its estimated value.</p>
+                    <div class="finance-exports">
+                        <select id="in-kind-status-filter">
+                            <option value="">All Statuses</option>
+                            ${IN_KIND_STATUSES.map(status => `<option value="${status}"${status === this.pledgeStatus ? ' selected' : ''}>${status}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="audit-table-container">
+                        <table class="audit-table" id="in-kind-table">
+                            <thead>
+                                <tr>
+                                    <th>Date</th>
+                                    <th>Pledge</th>
+                                    <th>Donor</th>
+                                    <th>Items</th>
+                                    <th>Delivery</th>
+                                    <th>Estimated</th>
+                                    <th>Status</th>
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody></tbody>
+                        </table>
+                    </div>
+                    <h4>Programme Stock</h4>
+                    <div class="audit-table-container">
+                        <table class="audit-table" id="inventory-table">
+                            <thead>
+                                <tr>
+                                    <th>Item</th>
+                                    <th>Programme</th>
+                                    <th>On Hand</th>
+                                    <th>Received</th>
+                                    <th>Distributed</th>
+                                    <th>Pledged</th>
+                                </tr>
+                            </thead>
+                            <tbody></tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    // Fundraising campaigns and how far each has got towards its target
+    renderCampaignsView() {
+        return `
+            <div class="campaign-console">
+                <div class="audit-controls">
+                    <div class="audit-filters">
+                        <select id="campaign-status-filter">
+                            <option value="">All Statuses</option>
+                            ${CAMPAIGN_STATUSES.map(status => `<option value="${status}">${status}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="audit-actions">
+                        <button class="btn btn-primary" data-action="create-campaign">
+                            <i class="fas fa-plus"></i>
+                            New Campaign
+                        </button>
+                        <button class="btn btn-secondary" id="refresh-campaigns">
+                            <i class="fas fa-sync-alt"></i>
+                            Refresh
+                        </button>
+                    </div>
+                </div>
+
+                <p class="security-timeline-info">Progress counts completed donations made to the campaign, including those through members' fundraising pages. Gifts in another currency count at today's exchange rates.</p>
+                <div class="audit-table-container">
+                    <table class="audit-table" id="campaigns-table">
+                        <thead>
+                            <tr>
+                                <th>Campaign</th>
+                                <th>Status</th>
+                                <th>Progress</th>
+                                <th>Donors</th>
+                                <th>Runs</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    renderCampaignRows() {
+        if (this.campaigns.length === 0) {
+            return '<tr><td colspan="6">No campaigns with this status.</td></tr>';
+        }
+
+        return this.campaigns.map(campaign => `
+            <tr>
+                <td>
+                    <div class="user-info-simple">
+                        <strong>${this.escapeHtml(campaign.title)}</strong>
+                        <small><a href="${this.escapeHtml(campaign.donateUrl)}" target="_blank" rel="noopener">${this.escapeHtml(campaign.slug)}</a></small>
+                    </div>
+                </td>
+                <td>
+                    <div class="user-info-simple">
+                        <span class="status-badge ${this.escapeHtml(campaign.status)}">${this.escapeHtml(campaign.status)}</span>
+                        ${campaign.status === 'active' && !campaign.open ? '<small>Not taking donations</small>' : ''}
+                    </div>
+                </td>
+                <td>
+                    <div class="campaign-progress">
+                        <progress max="100" value="${Math.min(100, campaign.progress.percent)}"></progress>
+                        <small>${this.formatMoney(campaign.progress.raised, campaign.currency)} of ${this.formatMoney(campaign.targetAmount, campaign.currency)} (${campaign.progress.percent}%)</small>
+                    </div>
+                </td>
+                <td>${campaign.progress.donorCount} <small>(${campaign.progress.donationCount} donations)</small></td>
+                <td>
+                    <div class="user-info-simple">
+                        <strong>${campaign.endsAt ? `Until ${this.formatDateTime(campaign.endsAt)}` : 'No deadline'}</strong>
+                        <small>${[
+                            campaign.startsAt ? `From ${this.formatDateTime(campaign.startsAt)}` : null,
+                            campaign.open && campaign.progress.daysLeft !== null ? `${campaign.progress.daysLeft} days left` : null
+                        ].filter(Boolean).join(' · ')}</small>
+                    </div>
+                </td>
+                <td>${this.renderCampaignActions(campaign)}</td>
+            </tr>
+        `).join('');
+    }
+
+    // Only drafts can be deleted; a campaign that has been running is closed so its donations keep pointing somewhere
+    renderCampaignActions(campaign) {
+        const id = this.escapeHtml(campaign.id);
+        const actions = [`<button class="btn btn-sm btn-secondary" data-campaign-action="edit" data-campaign-id="${id}">Edit</button>`];
+        if (campaign.status === 'draft') {
+            actions.push(`<button class="btn btn-sm btn-primary" data-campaign-action="active" data-campaign-id="${id}">Publish</button>`);
+            actions.push(`<button class="btn btn-sm btn-secondary" data-campaign-action="delete" data-campaign-id="${id}">Delete</button>`);
+        }
+        if (campaign.status === 'active') {
+            actions.push(`<button class="btn btn-sm btn-secondary" data-campaign-action="closed" data-campaign-id="${id}">Close</button>`);
+        }
+        if (campaign.status === 'closed') {
+            actions.push(`<button class="btn btn-sm btn-secondary" data-campaign-action="active" data-campaign-id="${id}">Reopen</button>`);
+        }
+        return `<div class="pledge-actions">${actions.join('')}</div>`;
+    }
+
+    renderLedgerRows() {
+        if (this.ledger.length === 0) {
+            return '<tr><td colspan="8">No donations match these filters.</td></tr>';
+        }
+
+        return this.ledger.map(donation => `
+            <tr>
+                <td>${this.formatDateTime(donation.createdAt)}</td>
+                <td><code>${this.escapeHtml(donation.receiptNumber)}</code></td>
+                <td>
+                    <div class="user-info-simple">
+                        <strong>${this.escapeHtml(`${donation.donor.firstName} ${donation.donor.lastName}`)}</strong>
+                        <small>${this.escapeHtml(donation.donor.email)}</small>
+                    </div>
+                </td>
+                <td>
+                    <div class="user-info-simple">
+                        <strong>${this.escapeHtml(FINANCE_GATEWAYS[donation.gateway] || donation.gateway)}</strong>
+                        <small>${this.escapeHtml(donation.gatewayReference || '')}</small>
+                    </div>
+                </td>
+                <td>${this.formatMoney(donation.amount, donation.currency)}</td>
+                <td>${this.formatMoney(donation.zmwAmount, 'ZMW')}</td>
+                <td>
+                    <span class="status-badge ${this.escapeHtml(donation.status)}">${this.escapeHtml(donation.status)}</span>
+                    ${donation.approvedLate ? '<small title="Approved on the phone after the payment request had timed out">approved late</small>' : ''}
+                </td>
+                <td>${donation.reconciliation ? this.renderReconciliationFlag(donation.reconciliation.status) : '–'}</td>
+            </tr>
+        `).join('');
+    }
+
+    renderMonthlyRows() {
+        const { months, totals } = this.monthlySummary;
+        const row = (label, entry) => `
+            <tr>
+                <td>${label}</td>
+                <td>${entry.donationCount}</td>
+                <td>${this.formatMoney(entry.grossZmw, 'ZMW')}</td>
+                <td>${this.formatMoney(entry.feeZmw, 'ZMW')}</td>
+                <td>${this.formatMoney(entry.refundedZmw, 'ZMW')}${entry.refundCount ? ` (${entry.refundCount})` : ''}</td>
+                <td>${this.formatMoney(entry.netZmw, 'ZMW')}</td>
+            </tr>
+        `;
+
+        return months.map(entry => row(new Date(`${entry.month}-01T12:00:00`).toLocaleDateString(undefined, { month: 'long' }), entry)).join('') +
+            row(`<strong>${this.monthlySummary.year} total</strong>`, totals);
+    }
+
+    // Matched lines are only counted; everything else is listed for the finance team to follow up
+    renderReconciliation() {
+        const run = this.reconciliation;
+        const flagged = run.items.filter(item => item.flag !== 'matched');
+
+        return `
+            <p class="security-timeline-info">
+                ${this.escapeHtml(run.gatewayName)} · ${this.escapeHtml(run.filename || 'settlement file')} ·
+                ${run.lineCount} line${run.lineCount === 1 ? '' : 's'}, ${run.counts.matched} matched, ${flagged.length} flagged
+                <button class="btn btn-secondary" data-reconciliation-export="${this.escapeHtml(run.id)}">
+                    <i class="fas fa-download"></i>
+                    Download Results
+                </button>
+            </p>
+            ${flagged.length ? `
+            <div class="audit-table-container">
+                <table class="audit-table">
+                    <thead>
+                        <tr>
+                            <th>Line</th>
+                            <th>Reference</th>
+                            <th>Result</th>
+                            <th>Ledger</th>
+                            <th>Settlement</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${flagged.map(item => `
+                        <tr>
+                            <td>${item.line || '–'}</td>
+                            <td><code>${this.escapeHtml(item.reference || '')}</code>${item.receiptNumber ? `<br><small>${this.escapeHtml(item.receiptNumber)}</small>` : ''}</td>
+                            <td>${this.renderReconciliationFlag(item.flag, item.flagLabel)}</td>
+                            <td>${this.describeSide(item.ledgerAmount, item.ledgerCurrency, item.ledgerStatus)}</td>
+                            <td>${this.describeSide(item.settlementAmount, item.settlementCurrency, item.settlementOutcome)}</td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ` : '<p>Every line matched the ledger.</p>'}
+        `;
+    }
+
+    renderReconciliationFlag(flag, label = flag.replace(/_/g, ' ')) {
+        return `<span class="reconciliation-flag ${this.escapeHtml(flag)}">${this.escapeHtml(label)}</span>`;
+    }
+
+    // One side of a reconciled line: its amount and status, or a dash when that side has no record
+    describeSide(amount, currency, status) {
+        if (!status) return '–';
+        return `${amount === null ? '–' : this.formatMoney(amount, currency || '')} · ${this.escapeHtml(status)}`;
+    }
+
+    // USD is the base and always 1, so it has no row
+    renderRateRows() {
+        const { rates, overrides } = this.exchangeRates;
+        const manage = this.can('donations.manage');
+
+        return FINANCE_CURRENCIES.filter(currency => currency !== 'USD').map(currency => {
+            const override = overrides.find(entry => entry.currency === currency);
+            return `
+                <tr>
+                    <td><strong>${currency}</strong></td>
+                    <td>${Number(rates[currency]).toLocaleString(undefined, { maximumFractionDigits: 6 })}</td>
+                    <td>${(rates.ZMW / rates[currency]).toLocaleString(undefined, { maximumFractionDigits: 4 })}</td>
+                    <td>${override ? `
+                        <div class="user-info-simple">
+                            <strong>Overridden</strong>
+                            <small>${this.escapeHtml([override.note, this.formatDateTime(override.at)].filter(Boolean).join(' · '))}</small>
+                        </div>
+                    ` : '–'}</td>
+                    ${manage ? `
+                        <td>
+                            <form class="finance-exports rate-override-form" data-rate-currency="${currency}">
+                                <input type="number" name="rate" min="0" step="any" required placeholder="Per USD" aria-label="${currency} per US dollar">
+                                <input type="text" name="note" maxlength="500" placeholder="Note (optional)" aria-label="Note">
+                                <button class="btn btn-sm btn-primary" type="submit">Override</button>
+                                ${override ? `<button class="btn btn-sm btn-secondary" type="button" data-clear-rate="${currency}">Clear</button>` : ''}
+                            </form>
+                        </td>
+                    ` : ''}
+                </tr>
+            `;
+        }).join('');
+    }
+
+    renderReconciliationList() {
+        if (this.reconciliations.length === 0) {
+            return '<li>No settlement files have been imported yet.</li>';
+        }
+
+        return this.reconciliations.map(run => `
+            <li>
+                <button class="btn btn-sm btn-secondary" data-reconciliation-id="${this.escapeHtml(run.id)}">
+                    ${this.escapeHtml(run.gatewayName)} · ${this.escapeHtml(run.filename || 'settlement file')}
+                </button>
+                <small>${this.formatDateTime(run.importedAt)} · ${run.flagged} flagged</small>
+            </li>
+        `).join('');
+    }
+
+    renderPledgeRows() {
+        if (this.pledges.length === 0) {
+            return '<tr><td colspan="8">No pledges with this status.</td></tr>';
+        }
+
+        return this.pledges.map(pledge => `
+            <tr>
+                <td>${this.formatDateTime(pledge.createdAt)}</td>
+                <td><code>${this.escapeHtml(pledge.pledgeNumber)}</code></td>
+                <td>
+                    <div class="user-info-simple">
+                        <strong>${this.escapeHtml(`${pledge.donor.firstName} ${pledge.donor.lastName}`)}</strong>
+                        <small>${this.escapeHtml([pledge.donor.organisation, pledge.donor.email, pledge.donor.phone].filter(Boolean).join(' · '))}</small>
+                    </div>
+                </td>
+                <td>${pledge.lines.map(line => `${line.receivedQuantity === null ? line.quantity : `${line.receivedQuantity}/${line.quantity}`} × ${this.escapeHtml(line.name)}`).join('<br>')}</td>
+                <td>
+                    <div class="user-info-simple">
+                        <strong>${pledge.delivery === 'pickup' ? 'Pickup' : 'Drop-off'}</strong>
+                        <small>${this.escapeHtml([
+                            pledge.delivery === 'pickup' ? `${pledge.pickup.address}, ${pledge.pickup.town}` : null,
+                            pledge.expectedOn ? `on ${pledge.expectedOn}` : null
+                        ].filter(Boolean).join(' · '))}</small>
+                    </div>
+                </td>
+                <td>${this.formatMoney(pledge.estimatedValue, 'ZMW')}</td>
+                <td><span class="status-badge ${this.escapeHtml(pledge.status)}">${this.escapeHtml(pledge.status)}</span></td>
+                <td>${this.renderPledgeActions(pledge)}</td>
+            </tr>
+            ${pledge.id === this.receivingPledgeId ? this.renderReceiptForm(pledge) : ''}
+        `).join('');
+    }
+
+    // The next steps of the pledge's lifecycle; the acknowledgment is there once the goods have arrived
+    renderPledgeActions(pledge) {
+        const id = this.escapeHtml(pledge.id);
+        const actions = [];
+        if (this.can('donations.manage') && pledge.status === 'pledged') {
+            actions.push(`<button class="btn btn-sm btn-primary" data-pledge-action="receive" data-pledge-id="${id}">Record Receipt</button>`);
+            actions.push(`<button class="btn btn-sm btn-secondary" data-pledge-action="cancelled" data-pledge-id="${id}">Cancel</button>`);
+        }
+        if (this.can('donations.manage') && pledge.status === 'received') {
+            actions.push(`<button class="btn btn-sm btn-primary" data-pledge-action="distributed" data-pledge-id="${id}">Mark Distributed</button>`);
+        }
+        if (pledge.receivedAt) {
+            actions.push(`<button class="btn btn-sm btn-secondary" data-pledge-action="acknowledgment" data-pledge-id="${id}">Acknowledgment</button>`);
+            if (this.can('donations.manage')) {
+                actions.push(`<button class="btn btn-sm btn-secondary" data-pledge-action="resend" data-pledge-id="${id}" title="${pledge.acknowledgmentSentAt ? `Sent ${this.escapeHtml(this.formatDateTime(pledge.acknowledgmentSentAt))}` : 'Not sent yet'}">Email Acknowledgment</button>`);
+            }
+        }
+        return actions.length ? `<div class="pledge-actions">${actions.join('')}</div>` : '–';
+    }
+
+    // What actually arrived, which can be less than was pledged
+    renderReceiptForm(pledge) {
+        return `
+            <tr class="pledge-receipt">
+                <td colspan="8">
+                    <form class="finance-exports" id="pledge-receipt-form" data-pledge-id="${this.escapeHtml(pledge.id)}">
+                        ${pledge.lines.map(line => `
+                        <label>
+                            ${this.escapeHtml(line.name)}
+                            <input type="number" min="0" max="10000" step="1" value="${line.quantity}" data-received-item="${this.escapeHtml(line.item)}">
+                        </label>
+                        `).join('')}
+                        <input type="text" id="pledge-receipt-note" maxlength="500" placeholder="Note (optional)">
+                        <button class="btn btn-primary" type="submit">Confirm Receipt</button>
+                        <button class="btn btn-secondary" type="button" data-pledge-action="close-receipt">Close</button>
+                    </form>
+                </td>
+            </tr>
+        `;
+    }
+
+    renderInventoryRows(items) {
+        return items.map(item => `
+            <tr>
+                <td>${this.escapeHtml(item.name)}</td>
+                <td>${this.escapeHtml(item.programmeName)}</td>
+                <td><strong>${item.onHand}</strong></td>
+                <td>${item.received}</td>
+                <td>${item.distributed}</td>
+                <td>${item.pledged}</td>
+            </tr>
+        `).join('');
+    }
+
     renderModals() {
         return `
             <!-- User Management Modal -->
-            <div class="modal-overlay" id="user-modal" style="display: none;">
+            <div class="modal-overlay" id="user-modal" hidden>
                 <div class="modal-container">
                     <div class="modal-header">
                         <h3 id="user-modal-title">Add New Member</h3>
-                        <button class="modal-close" onclick="adminManager.closeModal('user-modal')">
+                        <button class="modal-close" data-action="close-modal" data-modal="user-modal">
                             <i class="fas fa-times"></i>
                         </button>
                     </div>
@@ -640,12 +1349,13 @@ class AdminManager {
                                     <label>Email *</label>
                                     <input type="email" id="user-email" required>
                                 </div>
-                                <div class="form-group">
+                                <div class="form-group" data-permission="roles.assign">
                                     <label>Role</label>
                                     <select id="user-role">
                                         <option value="member">Member</option>
                                         <option value="moderator">Moderator</option>
-                                        <option value="admin">Administrator</option>
+                                        <option value="chapter-admin">Chapter Admin</option>
+                                        <option value="super-admin">Super Admin</option>
                                     </select>
                                 </div>
                                 <div class="form-group">
@@ -660,25 +1370,83 @@ class AdminManager {
                         </form>
                     </div>
                     <div class="modal-footer">
-                        <button class="btn btn-secondary" onclick="adminManager.closeModal('user-modal')">Cancel</button>
-                        <button class="btn btn-primary" onclick="adminManager.saveUser()">Save</button>
+                        <button class="btn btn-secondary" data-action="close-modal" data-modal="user-modal">Cancel</button>
+                        <button class="btn btn-primary" data-action="save-user">Save</button>
                     </div>
                 </div>
             </div>
 
-            <!-- Announcement Modal -->
-            <div class="modal-overlay" id="announcement-modal" style="display: none;">
+            <!-- Campaign Modal -->
+            <div class="modal-overlay" id="campaign-modal" hidden>
                 <div class="modal-container large">
                     <div class="modal-header">
-                        <h3>Create Announcement</h3>
-                        <button class="modal-close" onclick="adminManager.closeModal('announcement-modal')">
+                        <h3 id="campaign-modal-title">New Campaign</h3>
+                        <button class="modal-close" data-action="close-modal" data-modal="campaign-modal">
                             <i class="fas fa-times"></i>
                         </button>
                     </div>
                     <div class="modal-body">
-                        <form id="announcement-form">
+                        <form id="campaign-form">
+                            <div class="form-grid">
+                                <div class="form-group">
+                                    <label>Title *</label>
+                                    <input type="text" name="title" maxlength="120" required>
+                                </div>
+                                <div class="form-group">
+                                    <label>Web Address</label>
+                                    <input type="text" name="slug" maxlength="60" pattern="[a-z0-9]+(-[a-z0-9]+)*" placeholder="Made from the title">
+                                </div>
+                                <div class="form-group">
+                                    <label>Target *</label>
+                                    <input type="number" name="targetAmount" min="1" step="0.01" required>
+                                </div>
+                                <div class="form-group">
+                                    <label>Currency</label>
+                                    <select name="currency">
+                                        ${FINANCE_CURRENCIES.map(currency => `<option value="${currency}">${currency}</option>`).join('')}
+                                    </select>
+                                </div>
+                                <div class="form-group">
+                                    <label>Starts</label>
+                                    <input type="date" name="startsAt">
+                                </div>
+                                <div class="form-group">
+                                    <label>Deadline</label>
+                                    <input type="date" name="endsAt">
+                                </div>
+                                <div class="form-group">
+                                    <label>Status</label>
+                                    <select name="status">
+                                        ${CAMPAIGN_STATUSES.map(status => `<option value="${status}">${status}</option>`).join('')}
+                                    </select>
+                                </div>
+                            </div>
                             <div class="form-group">
-                                <label>Title *</label>
+                                <label>Description</label>
+                                <textarea name="description" rows="5" maxlength="2000"></textarea>
+                            </div>
+                        </form>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn btn-secondary" data-action="close-modal" data-modal="campaign-modal">Cancel</button>
+                        <button class="btn btn-primary" data-action="save-campaign">Save</button>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Announcement Modal -->
+            <div class="modal-overlay" id="announcement-modal" hidden>
+                <div class="modal-container large">
+                    <div class="modal-header">
+                        <h3>Create Announcement</h3>
+                        <button class="modal-close" data-action="close-modal" data-modal="announcement-modal">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <div class="modal-body">
+                        <form id="announcement-form">
+                            <div class="form-group">
+                                <label>Title *</label>
                                 <input type="text" id="announcement-title" required>
                             </div>
                             <div class="form-group">
@@ -706,8 +1474,8 @@ class AdminManager {
                         </form>
                     </div>
                     <div class="modal-footer">
-                        <button class="btn btn-secondary" onclick="adminManager.closeModal('announcement-modal')">Cancel</button>
-                        <button class="btn btn-primary" onclick="adminManager.sendAnnouncement()">Send Announcement</button>
+                        <button class="btn btn-secondary" data-action="close-modal" data-modal="announcement-modal">Cancel</button>
+                        <button class="btn btn-primary" data-action="send-announcement">Send Announcement</button>
                     </div>
                 </div>
             </div>
@@ -801,13 +1569,15 @@ class AdminManager {
     }
 
     renderMembersRows() {
-        return this.members.slice(0, 25).map(member => `
+        return this.members.slice(0, 25).map(member => {
+            const lockout = this.lockouts.find(item => item.memberId === member.id && item.locked);
+            return `
             <tr data-member-id="${member.id}">
                 <td><input type="checkbox" class="member-checkbox" value="${member.id}"></td>
                 <td>
                     <div class="member-info">
                         <div class="member-avatar">
-                            <img src="${member.avatar}" alt="${member.name}">
+                            <img src="${member.avatar || 'assets/avatars/default.jpg'}" alt="${member.name}">
                         </div>
                         <div class="member-details">
                             <div class="member-name">${member.name}</div>
@@ -816,23 +1586,57 @@ class AdminManager {
                     </div>
                 </td>
                 <td><span class="role-badge ${member.role}">${member.role}</span></td>
-                <td><span class="status-badge ${member.status}">${member.status}</span></td>
+                <td>
+                    <span class="status-badge ${member.status}">${member.status}</span>
+                    ${lockout ? `<span class="status-badge locked" title="Locked until ${this.formatDateTime(lockout.lockedUntil)}">locked</span>` : ''}
+                </td>
                 <td>${this.formatDate(member.joinDate)}</td>
                 <td>${this.formatRelativeTime(member.lastActive)}</td>
                 <td>
                     <div class="action-buttons">
-                        <button class="btn btn-sm btn-secondary" onclick="adminManager.editMember('${member.id}')" title="Edit">
+                        <button class="btn btn-sm btn-secondary" data-action="edit-member" data-id="${member.id}" title="Edit" data-permission="members.manage">
                             <i class="fas fa-edit"></i>
                         </button>
-                        <button class="btn btn-sm btn-warning" onclick="adminManager.toggleMemberStatus('${member.id}')" title="Toggle Status">
+                        <button class="btn btn-sm btn-warning" data-action="toggle-member" data-id="${member.id}" title="Toggle Status" data-permission="members.manage">
                             <i class="fas fa-ban"></i>
                         </button>
-                        <button class="btn btn-sm btn-danger" onclick="adminManager.deleteMember('${member.id}')" title="Delete">
+                        ${lockout ? `
+                        <button class="btn btn-sm btn-success" data-lockout-id="${this.escapeHtml(lockout.id)}" title="Unlock Sign-in" data-permission="members.manage">
+                            <i class="fas fa-unlock"></i>
+                        </button>` : ''}
+                        <button class="btn btn-sm btn-danger" data-action="delete-member" data-id="${member.id}" title="Delete" data-permission="members.delete">
                             <i class="fas fa-trash"></i>
                         </button>
                     </div>
                 </td>
             </tr>
+        `;
+        }).join('');
+    }
+
+    renderLockouts() {
+        return this.lockouts.map(lockout => `
+            <li class="lockout-item">
+                <div class="lockout-details">
+                    <div class="lockout-subject">
+                        <i class="fas ${lockout.type === 'account' ? 'fa-user' : 'fa-network-wired'}"></i>
+                        ${this.escapeHtml(lockout.memberName || lockout.key)}
+                        ${lockout.memberName ? `<span class="lockout-key">${this.escapeHtml(lockout.key)}</span>` : ''}
+                    </div>
+                    <div class="lockout-meta">
+                        ${lockout.failures} failed attempt${lockout.failures === 1 ? '' : 's'},
+                        last ${this.formatRelativeTime(lockout.lastFailureAt)}
+                        ${lockout.type === 'account' && lockout.lastIp ? `from ${this.escapeHtml(lockout.lastIp)}` : ''}
+                    </div>
+                </div>
+                <span class="status-badge ${lockout.locked ? 'locked' : 'inactive'}">
+                    ${lockout.locked ? `Locked until ${this.formatDateTime(lockout.lockedUntil)}` : 'Slowed down'}
+                </span>
+                <button class="btn btn-sm btn-success" data-lockout-id="${this.escapeHtml(lockout.id)}">
+                    <i class="fas fa-unlock"></i>
+                    Unlock
+                </button>
+            </li>
         `).join('');
     }
 
@@ -853,15 +1657,15 @@ class AdminManager {
                     <p>${item.content}</p>
                 </div>
                 <div class="report-actions">
-                    <button class="btn btn-sm btn-success" onclick="adminManager.approveContent('${item.id}')">
+                    <button class="btn btn-sm btn-success" data-action="approve-content" data-id="${item.id}">
                         <i class="fas fa-check"></i>
                         Approve
                     </button>
-                    <button class="btn btn-sm btn-warning" onclick="adminManager.editContent('${item.id}')">
+                    <button class="btn btn-sm btn-warning" data-action="edit-content" data-id="${item.id}">
                         <i class="fas fa-edit"></i>
                         Edit
                     </button>
-                    <button class="btn btn-sm btn-danger" onclick="adminManager.removeContent('${item.id}')">
+                    <button class="btn btn-sm btn-danger" data-action="remove-content" data-id="${item.id}">
                         <i class="fas fa-trash"></i>
                         Remove
                     </button>
@@ -870,6 +1674,69 @@ class AdminManager {
         `).join('');
     }
 
+    renderSecurityCounters() {
+        const summary = this.securitySummary;
+
+        return ['critical', 'warning', 'info'].map(severity => {
+            const threshold = summary ? summary.thresholds[severity] : 0;
+            return `
+            <div class="security-counter ${severity}">
+                <span class="security-counter-label">${severity}</span>
+                <strong>${summary ? summary.lastHour[severity] : '–'}</strong>
+                <span class="security-counter-meta">
+                    in the last hour · ${summary ? summary.lastDay[severity] : '–'} in 24 hours
+                </span>
+                <span class="security-counter-meta">
+                    ${threshold ? `Alert at ${threshold} per hour` : 'Alerts off'}
+                </span>
+            </div>
+        `;
+        }).join('');
+    }
+
+    renderSecurityAlerts() {
+        return this.securitySummary.alerts.map(alert => `
+            <li class="security-alert ${alert.severity}">
+                <i class="fas fa-exclamation-triangle"></i>
+                <div class="security-alert-details">
+                    <strong>${alert.eventCount} ${alert.severity} event${alert.eventCount === 1 ? '' : 's'} within an hour</strong>
+                    <span>
+                        Threshold ${alert.threshold} · raised ${this.formatDateTime(alert.triggeredAt)},
+                        last seen ${this.formatDateTime(alert.lastTriggeredAt)}
+                    </span>
+                </div>
+                <button class="btn btn-sm btn-secondary" data-alert-id="${this.escapeHtml(alert.id)}">
+                    <i class="fas fa-check"></i>
+                    Acknowledge
+                </button>
+            </li>
+        `).join('');
+    }
+
+    renderSecurityTimeline() {
+        if (this.securityEvents.length === 0) {
+            return '<li class="security-timeline-empty">No security events match these filters.</li>';
+        }
+
+        return this.securityEvents.map(event => `
+            <li class="security-event ${event.severity}">
+                <div class="security-event-header">
+                    <span class="severity-badge ${event.severity}">${event.severity}</span>
+                    <span class="action-badge">${this.escapeHtml(event.type)}</span>
+                    <time datetime="${this.escapeHtml(event.occurredAt)}">${this.formatDateTime(event.occurredAt)}</time>
+                </div>
+                <p class="security-event-message">${this.escapeHtml(event.message)}</p>
+                <div class="security-event-meta">
+                    <span><i class="fas fa-network-wired"></i> <code>${this.escapeHtml(event.ip || 'unknown')}</code></span>
+                    <span><i class="fas fa-user"></i> ${this.escapeHtml(event.memberName || 'Not signed in')}</span>
+                    <span><i class="fas ${event.source === 'client' ? 'fa-globe' : 'fa-server'}"></i>
+                        ${event.source === 'client' ? 'Reported by browser' : 'Recorded by API'}</span>
+                    ${event.url ? `<span class="security-event-url">${this.escapeHtml(event.url)}</span>` : ''}
+                </div>
+            </li>
+        `).join('');
+    }
+
     renderAuditRows() {
         return this.auditLogs.map(log => `
             <tr>
@@ -889,6 +1756,17 @@ class AdminManager {
     }
 
     setupEventListeners() {
+        // Buttons rendered into the dashboard carry data-action instead of inline handlers
+        const adminContainer = document.getElementById('section-admin-dashboard');
+        if (adminContainer) {
+            adminContainer.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-action]');
+                if (button) {
+                    this.handleAction(button.getAttribute('data-action'), button.dataset);
+                }
+            });
+        }
+
         // Navigation tabs
         const navTabs = document.querySelectorAll('.nav-tab');
         navTabs.forEach(tab => {
@@ -942,6 +1820,159 @@ class AdminManager {
             bulkSuspendBtn.addEventListener('click', () => this.bulkSuspendMembers());
         }
 
+        const addMemberBtn = document.getElementById('add-member-btn');
+        if (addMemberBtn) {
+            addMemberBtn.addEventListener('click', () => this.showCreateUserModal());
+        }
+
+        // Unlock buttons in the lockouts panel and on locked member rows
+        const membersManagement = document.querySelector('.members-management');
+        if (membersManagement) {
+            membersManagement.addEventListener('click', (e) => {
+                const unlockButton = e.target.closest('[data-lockout-id]');
+                if (unlockButton) {
+                    this.unlockLogin(unlockButton.getAttribute('data-lockout-id'));
+                }
+            });
+        }
+
+        const refreshLockoutsBtn = document.getElementById('refresh-lockouts-btn');
+        if (refreshLockoutsBtn) {
+            refreshLockoutsBtn.addEventListener('click', () => this.loadLockouts());
+        }
+
+        // Security console: filters, refresh, alerts and thresholds
+        const securityConsole = document.querySelector('.security-console');
+        if (securityConsole) {
+            const filterFields = {
+                'security-type-filter': 'type',
+                'security-severity-filter': 'severity',
+                'security-date-from': 'from',
+                'security-date-to': 'to'
+            };
+            Object.entries(filterFields).forEach(([id, filter]) => {
+                document.getElementById(id).addEventListener('change', (e) => {
+                    this.filterSecurityEvents({ [filter]: e.target.value });
+                });
+            });
+
+            let searchTimer;
+            document.getElementById('security-search').addEventListener('input', (e) => {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(() => this.filterSecurityEvents({ q: e.target.value.trim() }), 300);
+            });
+
+            document.getElementById('refresh-security-events').addEventListener('click', () => this.loadSecurityConsole());
+            document.getElementById('save-security-thresholds').addEventListener('click', () => this.saveSecurityThresholds());
+
+            securityConsole.addEventListener('click', (e) => {
+                const acknowledgeButton = e.target.closest('[data-alert-id]');
+                if (acknowledgeButton) {
+                    this.acknowledgeSecurityAlert(acknowledgeButton.getAttribute('data-alert-id'));
+                }
+            });
+        }
+
+        // Donations: ledger filters, exports, the monthly summary and reconciliation
+        const financeConsole = document.querySelector('.finance-console');
+        if (financeConsole) {
+            const filterFields = {
+                'ledger-status-filter': 'status',
+                'ledger-gateway-filter': 'gateway',
+                'ledger-currency-filter': 'currency',
+                'ledger-campaign-filter': 'campaign',
+                'ledger-date-from': 'from',
+                'ledger-date-to': 'to'
+            };
+            Object.entries(filterFields).forEach(([id, filter]) => {
+                document.getElementById(id).addEventListener('change', (e) => {
+                    this.filterLedger({ [filter]: e.target.value });
+                });
+            });
+
+            let searchTimer;
+            document.getElementById('ledger-search').addEventListener('input', (e) => {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(() => this.filterLedger({ q: e.target.value.trim() }), 300);
+            });
+
+            document.getElementById('refresh-ledger').addEventListener('click', () => this.loadFinanceConsole());
+            document.getElementById('monthly-year').addEventListener('change', () => this.loadMonthlySummary());
+
+            const settlementForm = document.getElementById('settlement-form');
+            if (settlementForm) {
+                settlementForm.addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    this.importSettlement();
+                });
+            }
+
+            financeConsole.addEventListener('click', (e) => {
+                const exportButton = e.target.closest('[data-finance-export]');
+                const runButton = e.target.closest('[data-reconciliation-id]');
+                const runExport = e.target.closest('[data-reconciliation-export]');
+                if (exportButton) {
+                    this.downloadFinanceExport(exportButton.getAttribute('data-finance-export'), exportButton.getAttribute('data-format'));
+                } else if (runButton) {
+                    this.showReconciliation(runButton.getAttribute('data-reconciliation-id'));
+                } else if (runExport) {
+                    this.downloadFile(`/reconciliations/${encodeURIComponent(runExport.getAttribute('data-reconciliation-export'))}?format=xlsx`);
+                }
+            });
+
+            const refreshRates = document.getElementById('refresh-rates');
+            if (refreshRates) {
+                refreshRates.addEventListener('click', () => this.refreshExchangeRates());
+            }
+
+            const ratesTable = document.getElementById('rates-table');
+            ratesTable.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveRateOverride(e.target);
+            });
+            ratesTable.addEventListener('click', (e) => {
+                const clearButton = e.target.closest('[data-clear-rate]');
+                if (clearButton) {
+                    this.clearRateOverride(clearButton.getAttribute('data-clear-rate'));
+                }
+            });
+
+            document.getElementById('in-kind-status-filter').addEventListener('change', (e) => {
+                this.pledgeStatus = e.target.value;
+                this.receivingPledgeId = null;
+                this.loadPledges();
+            });
+
+            const pledgeTable = document.getElementById('in-kind-table');
+            pledgeTable.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-pledge-action]');
+                if (button) {
+                    this.handlePledgeAction(button.getAttribute('data-pledge-action'), button.getAttribute('data-pledge-id'));
+                }
+            });
+            pledgeTable.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.recordPledgeReceipt(e.target);
+            });
+        }
+
+        // Campaigns: the status filter and each campaign's actions
+        const campaignConsole = document.querySelector('.campaign-console');
+        if (campaignConsole) {
+            document.getElementById('campaign-status-filter').addEventListener('change', (e) => {
+                this.campaignStatus = e.target.value;
+                this.loadCampaigns();
+            });
+            document.getElementById('refresh-campaigns').addEventListener('click', () => this.loadCampaigns());
+
+            document.getElementById('campaigns-table').addEventListener('click', (e) => {
+                const button = e.target.closest('[data-campaign-action]');
+                if (button) {
+                    this.handleCampaignAction(button.getAttribute('data-campaign-action'), button.getAttribute('data-campaign-id'));
+                }
+            });
+        }
+
         // Content tabs
         const contentTabs = document.querySelectorAll('.content-tab');
         contentTabs.forEach(tab => {
@@ -964,6 +1995,47 @@ class AdminManager {
         }
     }
 
+    handleAction(action, data) {
+        switch (action) {
+        case 'create-user':
+            this.showCreateUserModal();
+            break;
+        case 'announce':
+            this.showAnnouncementModal();
+            break;
+        case 'close-modal':
+            this.closeModal(data.modal);
+            break;
+        case 'save-user':
+            this.saveUser();
+            break;
+        case 'create-campaign':
+            this.showCampaignModal();
+            break;
+        case 'save-campaign':
+            this.saveCampaign();
+            break;
+        case 'edit-member':
+            this.editMember(data.id);
+            break;
+        case 'toggle-member':
+            this.toggleMemberStatus(data.id);
+            break;
+        case 'delete-member':
+            this.deleteMember(data.id);
+            break;
+        case 'approve-content':
+            this.approveContent(data.id);
+            break;
+        case 'remove-content':
+            this.removeContent(data.id);
+            break;
+        default:
+            // refresh-activity, create-event, export-members, send-announcement and edit-content have no handler yet
+            break;
+        }
+    }
+
     switchView(viewName) {
         // Update active tab
         document.querySelectorAll('.nav-tab').forEach(tab => {
@@ -992,6 +2064,18 @@ class AdminManager {
         case 'content':
             this.refreshContentModeration();
             break;
+        case 'donations':
+            this.loadFinanceConsole();
+            break;
+        case 'campaigns':
+            this.loadCampaigns();
+            break;
+        case 'system':
+            this.loadSystemSettings();
+            break;
+        case 'security':
+            this.loadSecurityConsole();
+            break;
         }
     }
 
@@ -1000,12 +2084,69 @@ class AdminManager {
         this.refreshMembersList();
     }
 
+    async loadMembers() {
+        try {
+            this.members = await this.repository.members.list();
+        } catch (error) {
+            console.error('Failed to load members:', error);
+            this.showNotification('Unable to load members. Please try again later.', 'error');
+            return;
+        }
+
+        this.refreshMembersList();
+        this.loadLockouts();
+    }
+
+    async loadLockouts() {
+        if (!this.can('members.manage')) return;
+
+        try {
+            const { items } = await window.afzApi.request('GET', '/members/lockouts');
+            this.lockouts = items;
+        } catch (error) {
+            console.error('Failed to load sign-in lockouts:', error);
+            return;
+        }
+
+        this.refreshLockouts();
+        this.refreshMembersList();
+    }
+
+    refreshLockouts() {
+        const panel = document.getElementById('lockouts-panel');
+        const list = document.getElementById('lockouts-list');
+        if (!panel || !list) return;
+
+        list.innerHTML = this.renderLockouts();
+        panel.hidden = this.lockouts.length === 0;
+    }
+
+    async unlockLogin(lockoutId) {
+        try {
+            const { message } = await window.afzApi.request('DELETE', `/members/lockouts/${encodeURIComponent(lockoutId)}`);
+            this.showNotification(message, 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        this.lockouts = this.lockouts.filter(item => item.id !== lockoutId);
+        this.refreshLockouts();
+        this.refreshMembersList();
+    }
+
     refreshMembersList() {
         const tbody = document.querySelector('#members-table tbody');
         if (tbody) {
             tbody.innerHTML = this.renderMembersRows();
+            this.applyPermissions(tbody);
             this.updateBulkActionButtons();
         }
+
+        const paginationInfo = document.getElementById('members-pagination-info');
+        if (paginationInfo) {
+            paginationInfo.textContent = `Showing ${Math.min(this.members.length, 25)} of ${this.members.length} members`;
+        }
     }
 
     toggleSelectAllMembers(checked) {
@@ -1050,14 +2191,14 @@ class AdminManager {
     showModal(modalId) {
         const modal = document.getElementById(modalId);
         if (modal) {
-            modal.style.display = 'flex';
+            modal.hidden = false;
         }
     }
 
     closeModal(modalId) {
         const modal = document.getElementById(modalId);
         if (modal) {
-            modal.style.display = 'none';
+            modal.hidden = true;
         }
     }
 
@@ -1066,6 +2207,10 @@ class AdminManager {
     }
 
     showCreateUserModal() {
+        this.editingMemberId = null;
+        document.getElementById('user-form').reset();
+        document.getElementById('user-email').readOnly = false;
+        document.getElementById('user-modal-title').textContent = 'Add New Member';
         this.showModal('user-modal');
     }
 
@@ -1073,27 +2218,101 @@ class AdminManager {
     editMember(memberId) {
         const member = this.members.find(m => m.id === memberId);
         if (member) {
+            this.editingMemberId = member.id;
+
             // Populate modal with member data
             document.getElementById('user-name').value = member.name;
             document.getElementById('user-email').value = member.email;
-            document.getElementById('user-role').value = member.role;
+            // Only super-admins may move an account to another address
+            document.getElementById('user-email').readOnly = !this.can('roles.assign');
+            const roleSelect = document.getElementById('user-role');
+            if (roleSelect) roleSelect.value = member.role;
             document.getElementById('user-status').value = member.status;
             document.getElementById('user-modal-title').textContent = 'Edit Member';
             this.showModal('user-modal');
         }
     }
 
-    toggleMemberStatus(memberId) {
+    async saveUser() {
+        const form = document.getElementById('user-form');
+        if (!form.reportValidity()) return;
+
+        const memberData = {
+            name: document.getElementById('user-name').value,
+            email: document.getElementById('user-email').value,
+            role: this.can('roles.assign') ? document.getElementById('user-role').value : undefined,
+            status: document.getElementById('user-status').value
+        };
+
+        try {
+            if (this.editingMemberId) {
+                const updated = await this.repository.members.update(this.editingMemberId, memberData);
+                this.members = this.members.map(m => (m.id === updated.id ? updated : m));
+            } else {
+                const created = await this.repository.members.create(memberData);
+                this.members.unshift(created);
+            }
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        this.closeModal('user-modal');
+        this.refreshMembersList();
+        this.showNotification(this.editingMemberId ? 'Member updated successfully' : 'Member added successfully', 'success');
+        this.editingMemberId = null;
+    }
+
+    async toggleMemberStatus(memberId) {
         const member = this.members.find(m => m.id === memberId);
         if (member) {
-            member.status = member.status === 'active' ? 'suspended' : 'active';
+            const status = member.status === 'active' ? 'suspended' : 'active';
+
+            try {
+                const updated = await this.repository.members.update(memberId, { status });
+                Object.assign(member, updated);
+            } catch (error) {
+                this.showNotification(error.message, 'error');
+                return;
+            }
+
             this.refreshMembersList();
             this.showNotification(`Member ${member.status === 'active' ? 'activated' : 'suspended'}`, 'success');
         }
     }
 
-    deleteMember(memberId) {
+    async bulkSuspendMembers() {
+        const memberIds = Array.from(this.selectedMembers);
+        if (!confirm(`Suspend ${memberIds.length} selected member(s)?`)) return;
+
+        const results = await Promise.allSettled(memberIds.map(memberId =>
+            this.repository.members.update(memberId, { status: 'suspended' })
+        ));
+
+        results.forEach(result => {
+            if (result.status === 'fulfilled') {
+                this.members = this.members.map(m => (m.id === result.value.id ? result.value : m));
+            }
+        });
+
+        const failed = results.filter(result => result.status === 'rejected').length;
+        this.selectedMembers.clear();
+        this.refreshMembersList();
+        this.showNotification(
+            failed > 0 ? `${failed} member(s) could not be suspended` : 'Selected members suspended',
+            failed > 0 ? 'warning' : 'success'
+        );
+    }
+
+    async deleteMember(memberId) {
         if (confirm('Are you sure you want to delete this member? This action cannot be undone.')) {
+            try {
+                await this.repository.members.remove(memberId);
+            } catch (error) {
+                this.showNotification(error.message, 'error');
+                return;
+            }
+
             this.members = this.members.filter(m => m.id !== memberId);
             this.refreshMembersList();
             this.showNotification('Member deleted successfully', 'success');
@@ -1131,9 +2350,564 @@ class AdminManager {
     }
 
     // System management
-    saveSystemSettings() {
-        // Simulate saving settings
-        this.showNotification('System settings saved successfully', 'success');
+    async loadSystemSettings() {
+        if (!window.afzApi || !this.can('system.manage')) return;
+
+        try {
+            const { settings } = await window.afzApi.request('GET', '/settings');
+            const twoFactorRequired = document.getElementById('two-factor-required');
+            if (twoFactorRequired) twoFactorRequired.checked = settings.twoFactorRequired;
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    // Only the security settings are enforced by the server so far; the rest stay local
+    async saveSystemSettings() {
+        const twoFactorRequired = document.getElementById('two-factor-required');
+
+        try {
+            const { settings } = await window.afzApi.request('PATCH', '/settings', {
+                twoFactorRequired: twoFactorRequired.checked
+            });
+            twoFactorRequired.checked = settings.twoFactorRequired;
+            this.showNotification('System settings saved successfully', 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    // Security console
+    loadSecurityConsole() {
+        return Promise.all([this.loadSecuritySummary(), this.loadSecurityEvents()]);
+    }
+
+    async loadSecuritySummary() {
+        try {
+            this.securitySummary = await window.afzApi.request('GET', '/security-events/summary');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        const typeFilter = document.getElementById('security-type-filter');
+        if (typeFilter && typeFilter.options.length === 1) {
+            this.securitySummary.types.forEach(type => typeFilter.add(new Option(type, type)));
+        }
+        ['critical', 'warning', 'info'].forEach(severity => {
+            const input = document.getElementById(`security-threshold-${severity}`);
+            if (input) input.value = this.securitySummary.thresholds[severity];
+        });
+        this.refreshSecuritySummary();
+    }
+
+    refreshSecuritySummary() {
+        const counters = document.getElementById('security-counters');
+        const alerts = document.getElementById('security-alerts');
+        if (!counters || !alerts) return;
+
+        counters.innerHTML = this.renderSecurityCounters();
+        alerts.innerHTML = this.renderSecurityAlerts();
+        alerts.hidden = this.securitySummary.alerts.length === 0;
+    }
+
+    filterSecurityEvents(newFilters = {}) {
+        this.securityFilters = { ...this.securityFilters, ...newFilters };
+        this.loadSecurityEvents();
+    }
+
+    async loadSecurityEvents() {
+        const { type, severity, q, from, to } = this.securityFilters;
+        // Dates are picked in local time; the whole of the "to" day is included
+        const params = new URLSearchParams({
+            ...(type ? { type } : {}),
+            ...(severity ? { severity } : {}),
+            ...(q ? { q } : {}),
+            ...(from ? { from: new Date(`${from}T00:00:00`).toISOString() } : {}),
+            ...(to ? { to: new Date(`${to}T23:59:59.999`).toISOString() } : {}),
+            limit: '200'
+        });
+
+        let total;
+        try {
+            ({ items: this.securityEvents, total } = await window.afzApi.request('GET', `/security-events?${params}`));
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        const timeline = document.getElementById('security-timeline');
+        const info = document.getElementById('security-timeline-info');
+        if (!timeline || !info) return;
+
+        timeline.innerHTML = this.renderSecurityTimeline();
+        info.textContent = total > this.securityEvents.length
+            ? `Showing the latest ${this.securityEvents.length} of ${total} events`
+            : `${total} event${total === 1 ? '' : 's'}`;
+    }
+
+    async acknowledgeSecurityAlert(alertId) {
+        try {
+            await window.afzApi.request('POST', `/security-events/alerts/${encodeURIComponent(alertId)}/acknowledge`);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        this.securitySummary.alerts = this.securitySummary.alerts.filter(alert => alert.id !== alertId);
+        this.refreshSecuritySummary();
+    }
+
+    async saveSecurityThresholds() {
+        const thresholds = ['critical', 'warning', 'info'].reduce((values, severity) => {
+            values[severity] = Number(document.getElementById(`security-threshold-${severity}`).value);
+            return values;
+        }, {});
+
+        try {
+            const response = await window.afzApi.request('PUT', '/security-events/thresholds', thresholds);
+            this.securitySummary = { ...this.securitySummary, thresholds: response.thresholds };
+            this.showNotification('Alert thresholds saved', 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        this.refreshSecuritySummary();
+    }
+
+    // Donations
+    loadFinanceConsole() {
+        return Promise.all([
+            this.loadFinanceCampaigns(),
+            this.loadLedger(),
+            this.loadMonthlySummary(),
+            this.loadExchangeRates(),
+            this.loadReconciliations(),
+            this.loadPledges()
+        ]);
+    }
+
+    async loadFinanceCampaigns() {
+        const campaignFilter = document.getElementById('ledger-campaign-filter');
+        if (!campaignFilter || campaignFilter.options.length > 1) return;
+
+        try {
+            const { items } = await window.afzApi.request('GET', '/campaigns');
+            items.forEach(campaign => campaignFilter.add(new Option(campaign.title, campaign.id)));
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    filterLedger(newFilters = {}) {
+        this.ledgerFilters = { ...this.ledgerFilters, ...newFilters };
+        this.loadLedger();
+    }
+
+    // The list and the ledger export share these; dates are picked in local time and the whole "to" day is included
+    ledgerQuery() {
+        const { from, to, ...filters } = this.ledgerFilters;
+        return new URLSearchParams({
+            ...Object.fromEntries(Object.entries(filters).filter(([, value]) => value)),
+            ...(from ? { from: new Date(`${from}T00:00:00`).toISOString() } : {}),
+            ...(to ? { to: new Date(`${to}T23:59:59.999`).toISOString() } : {})
+        });
+    }
+
+    async loadLedger() {
+        const params = this.ledgerQuery();
+        params.set('limit', String(FINANCE_LEDGER_LIMIT));
+
+        let total;
+        let totals;
+        let zmwTotal;
+        try {
+            ({ items: this.ledger, total, totals, zmwTotal } = await window.afzApi.request('GET', `/donations?${params}`));
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        const tbody = document.querySelector('#ledger-table tbody');
+        const info = document.getElementById('ledger-info');
+        if (!tbody || !info) return;
+
+        tbody.innerHTML = this.renderLedgerRows();
+        const received = Object.entries(totals).map(([currency, amount]) => this.formatMoney(amount, currency)).join(', ');
+        info.textContent = [
+            total > this.ledger.length ? `Showing the latest ${this.ledger.length} of ${total} donations` : `${total} donation${total === 1 ? '' : 's'}`,
+            received ? `completed: ${received} (${this.formatMoney(zmwTotal, 'ZMW')})` : null
+        ].filter(Boolean).join(' · ');
+    }
+
+    async loadMonthlySummary() {
+        const year = document.getElementById('monthly-year');
+        if (!year) return;
+
+        try {
+            ({ summary: this.monthlySummary } = await window.afzApi.request('GET', `/donations/reports/monthly?year=${year.value}`));
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        document.querySelector('#monthly-table tbody').innerHTML = this.renderMonthlyRows();
+    }
+
+    async loadExchangeRates() {
+        if (!document.getElementById('rates-table')) return;
+
+        try {
+            this.exchangeRates = await window.afzApi.request('GET', '/exchange-rates');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        this.refreshExchangeRateTable();
+    }
+
+    refreshExchangeRateTable() {
+        const { date, provider, stale } = this.exchangeRates;
+        document.querySelector('#rates-table tbody').innerHTML = this.renderRateRows();
+        document.getElementById('rates-info').textContent = date
+            ? `${provider} rates of ${date}${stale ? ' (the provider could not be reached since)' : ''}`
+            : 'Built-in rates: no provider has been reached yet';
+    }
+
+    // Every change answers with the rates now in effect
+    async changeExchangeRates(method, path, body, message) {
+        try {
+            this.exchangeRates = await window.afzApi.request(method, `/exchange-rates${path}`, body);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        this.showNotification(message, 'success');
+        this.refreshExchangeRateTable();
+    }
+
+    refreshExchangeRates() {
+        return this.changeExchangeRates('POST', '/refresh', undefined, 'Exchange rates fetched');
+    }
+
+    saveRateOverride(form) {
+        const currency = form.getAttribute('data-rate-currency');
+        return this.changeExchangeRates('PUT', `/overrides/${currency}`, {
+            rate: Number(form.elements.rate.value),
+            note: form.elements.note.value.trim() || undefined
+        }, `${currency} rate overridden`);
+    }
+
+    clearRateOverride(currency) {
+        if (!confirm(`Clear the ${currency} override and go back to the provider's rate?`)) return;
+        return this.changeExchangeRates('DELETE', `/overrides/${currency}`, undefined, `${currency} override cleared`);
+    }
+
+    downloadFinanceExport(kind, format) {
+        const paths = {
+            ledger: () => {
+                const params = this.ledgerQuery();
+                params.set('format', format);
+                return `/donations/export?${params}`;
+            },
+            donors: () => `/donors/export?format=${format}`,
+            monthly: () => `/donations/reports/monthly?year=${document.getElementById('monthly-year').value}&format=${format}`
+        };
+        return this.downloadFile(paths[kind]());
+    }
+
+    async downloadFile(path) {
+        let file;
+        try {
+            file = await window.afzApi.download(path);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(file.blob);
+        link.download = file.filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    async loadReconciliations() {
+        const list = document.getElementById('reconciliation-list');
+        if (!list) return;
+
+        try {
+            ({ items: this.reconciliations } = await window.afzApi.request('GET', '/reconciliations'));
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        list.innerHTML = this.renderReconciliationList();
+    }
+
+    async showReconciliation(id) {
+        try {
+            ({ reconciliation: this.reconciliation } = await window.afzApi.request('GET', `/reconciliations/${encodeURIComponent(id)}`));
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        this.refreshReconciliation();
+    }
+
+    refreshReconciliation() {
+        const results = document.getElementById('reconciliation-results');
+        results.innerHTML = this.renderReconciliation();
+        results.hidden = false;
+    }
+
+    // The file goes up as it is; the server reads the CSV
+    async importSettlement() {
+        const gateway = document.getElementById('settlement-gateway').value;
+        const file = document.getElementById('settlement-file').files[0];
+        if (!gateway || !file) {
+            this.showNotification('Choose the gateway and its settlement file.', 'error');
+            return;
+        }
+
+        const params = new URLSearchParams({ gateway, filename: file.name });
+        try {
+            ({ reconciliation: this.reconciliation } = await window.afzApi.request('POST', `/reconciliations?${params}`,
+                new Blob([file], { type: 'text/csv' })));
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        const flagged = this.reconciliation.flagged;
+        this.showNotification(flagged ? `${flagged} transaction${flagged === 1 ? '' : 's'} need attention` : 'Every transaction matched the ledger',
+            flagged ? 'warning' : 'success');
+        document.getElementById('settlement-form').reset();
+        this.refreshReconciliation();
+        this.loadReconciliations();
+        this.loadLedger();
+    }
+
+    // Pledges and the stock they feed are shown together, so both are reloaded after every change
+    async loadPledges() {
+        const tbody = document.querySelector('#in-kind-table tbody');
+        if (!tbody) return;
+
+        const params = new URLSearchParams(this.pledgeStatus ? { status: this.pledgeStatus } : {});
+        let inventory;
+        try {
+            [{ items: this.pledges }, { items: inventory }] = await Promise.all([
+                window.afzApi.request('GET', `/in-kind/pledges?${params}`),
+                window.afzApi.request('GET', '/in-kind/inventory')
+            ]);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        tbody.innerHTML = this.renderPledgeRows();
+        document.querySelector('#inventory-table tbody').innerHTML = this.renderInventoryRows(inventory);
+    }
+
+    refreshPledges() {
+        document.querySelector('#in-kind-table tbody').innerHTML = this.renderPledgeRows();
+    }
+
+    handlePledgeAction(action, id) {
+        const pledge = this.pledges.find(entry => entry.id === id);
+        switch (action) {
+        case 'receive':
+            this.receivingPledgeId = id;
+            this.refreshPledges();
+            break;
+        case 'close-receipt':
+            this.receivingPledgeId = null;
+            this.refreshPledges();
+            break;
+        case 'cancelled':
+            if (confirm(`Cancel pledge ${pledge.pledgeNumber}? Nothing will be added to stock.`)) {
+                this.updatePledgeStatus(id, { status: 'cancelled' });
+            }
+            break;
+        case 'distributed':
+            this.updatePledgeStatus(id, { status: 'distributed' });
+            break;
+        case 'acknowledgment':
+            this.downloadFile(`/in-kind/pledges/${encodeURIComponent(id)}/acknowledgment?download=1`);
+            break;
+        case 'resend':
+            this.sendPledgeAcknowledgment(id);
+            break;
+        }
+    }
+
+    recordPledgeReceipt(form) {
+        const received = Array.from(form.querySelectorAll('[data-received-item]')).map(input => ({
+            item: input.getAttribute('data-received-item'),
+            quantity: parseInt(input.value, 10) || 0
+        }));
+        this.updatePledgeStatus(form.getAttribute('data-pledge-id'), {
+            status: 'received',
+            received,
+            note: form.querySelector('#pledge-receipt-note').value.trim() || undefined
+        });
+    }
+
+    async updatePledgeStatus(id, changes) {
+        let pledge;
+        let acknowledgmentSent;
+        try {
+            ({ pledge, acknowledgmentSent } = await window.afzApi.request('PATCH', `/in-kind/pledges/${encodeURIComponent(id)}/status`, changes));
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        const messages = {
+            received: acknowledgmentSent
+                ? `${pledge.pledgeNumber} received; the acknowledgment was emailed to ${pledge.donor.email}`
+                : `${pledge.pledgeNumber} received, but the acknowledgment could not be emailed`,
+            distributed: `${pledge.pledgeNumber} distributed`,
+            cancelled: `${pledge.pledgeNumber} cancelled`
+        };
+        this.showNotification(messages[pledge.status], pledge.status === 'received' && !acknowledgmentSent ? 'warning' : 'success');
+        this.receivingPledgeId = null;
+        this.loadPledges();
+    }
+
+    async sendPledgeAcknowledgment(id) {
+        try {
+            const { message } = await window.afzApi.request('POST', `/in-kind/pledges/${encodeURIComponent(id)}/acknowledgment/send`);
+            this.showNotification(message, 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+        this.loadPledges();
+    }
+
+    // Campaigns
+    async loadCampaigns() {
+        const tbody = document.querySelector('#campaigns-table tbody');
+        if (!tbody) return;
+
+        const params = new URLSearchParams(this.campaignStatus ? { status: this.campaignStatus } : {});
+        try {
+            ({ items: this.campaigns } = await window.afzApi.request('GET', `/campaigns?${params}`));
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        tbody.innerHTML = this.renderCampaignRows();
+    }
+
+    handleCampaignAction(action, id) {
+        const campaign = this.campaigns.find(entry => entry.id === id);
+        switch (action) {
+        case 'edit':
+            this.showCampaignModal(campaign);
+            break;
+        case 'active':
+            this.updateCampaign(campaign, { status: 'active' }, `"${campaign.title}" is live`);
+            break;
+        case 'closed':
+            if (confirm(`Close "${campaign.title}"? It stops taking donations; what it raised stays on its page.`)) {
+                this.updateCampaign(campaign, { status: 'closed' }, `"${campaign.title}" closed`);
+            }
+            break;
+        case 'delete':
+            if (confirm(`Delete the draft "${campaign.title}"?`)) {
+                this.deleteCampaign(campaign);
+            }
+            break;
+        }
+    }
+
+    showCampaignModal(campaign = null) {
+        const form = document.getElementById('campaign-form');
+        form.reset();
+        this.editingCampaignId = campaign ? campaign.id : null;
+
+        if (campaign) {
+            const { elements } = form;
+            elements.title.value = campaign.title;
+            elements.slug.value = campaign.slug;
+            elements.targetAmount.value = campaign.targetAmount;
+            elements.currency.value = campaign.currency;
+            // The form works in whole days, as the donate page shows them
+            elements.startsAt.value = campaign.startsAt ? campaign.startsAt.slice(0, 10) : '';
+            elements.endsAt.value = campaign.endsAt ? campaign.endsAt.slice(0, 10) : '';
+            elements.status.value = campaign.status;
+            elements.description.value = campaign.description;
+        } else {
+            form.elements.currency.value = 'ZMW';
+        }
+
+        document.getElementById('campaign-modal-title').textContent = campaign ? 'Edit Campaign' : 'New Campaign';
+        this.showModal('campaign-modal');
+    }
+
+    async saveCampaign() {
+        const form = document.getElementById('campaign-form');
+        if (!form.reportValidity()) return;
+
+        const { elements } = form;
+        const campaignData = {
+            title: elements.title.value.trim(),
+            slug: elements.slug.value.trim() || undefined,
+            description: elements.description.value.trim(),
+            targetAmount: Number(elements.targetAmount.value),
+            currency: elements.currency.value,
+            startsAt: elements.startsAt.value || null,
+            endsAt: elements.endsAt.value || null,
+            status: elements.status.value
+        };
+
+        let campaign;
+        try {
+            ({ campaign } = this.editingCampaignId
+                ? await window.afzApi.request('PATCH', `/campaigns/${encodeURIComponent(this.editingCampaignId)}`, campaignData)
+                : await window.afzApi.request('POST', '/campaigns', campaignData));
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        this.closeModal('campaign-modal');
+        this.showNotification(this.editingCampaignId ? `"${campaign.title}" updated` : `"${campaign.title}" created`, 'success');
+        this.editingCampaignId = null;
+        this.loadCampaigns();
+    }
+
+    async updateCampaign(campaign, changes, message) {
+        try {
+            await window.afzApi.request('PATCH', `/campaigns/${encodeURIComponent(campaign.id)}`, changes);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        this.showNotification(message, 'success');
+        this.loadCampaigns();
+    }
+
+    async deleteCampaign(campaign) {
+        try {
+            const { message } = await window.afzApi.request('DELETE', `/campaigns/${encodeURIComponent(campaign.id)}`);
+            this.showNotification(message, 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+        this.loadCampaigns();
     }
 
     // Analytics
@@ -1206,8 +2980,18 @@ class AdminManager {
         return 6; // Mock count
     }
 
-    formatDate(dateString) {
-        return new Date(dateString).toLocaleDateString();
+    formatDate(dateString) {
+        return new Date(dateString).toLocaleDateString();
+    }
+
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value == null ? '' : String(value);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    formatMoney(amount, currency) {
+        return `${currency} ${Number(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`.trim();
     }
 
     formatDateTime(dateString) {
@@ -1228,33 +3012,14 @@ class AdminManager {
     }
 
     showNotification(message, type = 'info') {
-        if (window.afzDashboard) {
+        if (window.afzMemberHub) {
+            window.afzMemberHub.showToastNotification(message, type);
+        } else if (window.afzDashboard) {
             window.afzDashboard.showNotification(message, type);
         }
     }
 
     // Mock data generators
-    generateMockMembers() {
-        const members = [];
-        const names = ['John Doe', 'Jane Smith', 'Michael Johnson', 'Sarah Williams', 'Robert Brown', 'Emma Davis', 'James Wilson', 'Lisa Anderson', 'David Miller', 'Maria Garcia'];
-        const roles = ['member', 'moderator', 'admin'];
-        const statuses = ['active', 'inactive', 'suspended'];
-
-        for (let i = 0; i < 150; i++) {
-            members.push({
-                id: `member_${i + 1}`,
-                name: names[i % names.length] + ` ${i + 1}`,
-                email: `user${i + 1}@example.com`,
-                role: roles[Math.floor(Math.random() * roles.length)],
-                status: statuses[Math.floor(Math.random() * statuses.length)],
-                avatar: `assets/avatars/user${(i % 10) + 1}.jpg`,
-                joinDate: new Date(2023, Math.floor(Math.random() * 12), Math.floor(Math.random() * 28) + 1).toISOString(),
-                lastActive: new Date(Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000).toISOString()
-            });
-        }
-        return members;
-    }
-
     generateMockAnalytics() {
         return {
             userGrowth: Array.from({ length: 30 }, (_, i) => ({
@@ -1329,9 +3094,7 @@ class AdminManager {
     injectAdminStyles() {
         if (document.getElementById('admin-styles')) return;
 
-        const styles = document.createElement('style');
-        styles.id = 'admin-styles';
-        styles.textContent = `
+        window.afzCsp.addStyles(`
             .admin-interface {
                 background: var(--surface-color);
                 border-radius: 16px;
@@ -1835,7 +3598,7 @@ class AdminManager {
                 text-transform: capitalize;
             }
 
-            .role-badge.admin, .status-badge.active { 
+            .role-badge.super-admin, .role-badge.chapter-admin, .status-badge.active { 
                 background: var(--success-light); 
                 color: var(--success-color); 
             }
@@ -1851,10 +3614,70 @@ class AdminManager {
                 background: var(--warning-light); 
                 color: var(--warning-color); 
             }
-            .status-badge.suspended { 
+            .status-badge.suspended, .status-badge.locked { 
                 background: var(--error-light); 
                 color: var(--error-color); 
             }
+            .status-badge.locked {
+                margin-left: 4px;
+            }
+
+            .lockouts-panel {
+                background: var(--surface-color);
+                border: 1px solid var(--error-color);
+                border-radius: 12px;
+                padding: 16px 20px;
+                margin-bottom: 20px;
+            }
+
+            .lockouts-panel[hidden] {
+                display: none;
+            }
+
+            .lockouts-header {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                margin-bottom: 12px;
+            }
+
+            .lockouts-header h3 {
+                margin: 0;
+                font-size: 16px;
+                color: var(--text-primary);
+            }
+
+            .lockouts-list {
+                list-style: none;
+                margin: 0;
+                padding: 0;
+            }
+
+            .lockout-item {
+                display: flex;
+                align-items: center;
+                gap: 12px;
+                padding: 10px 0;
+                border-top: 1px solid var(--border-color);
+            }
+
+            .lockout-details {
+                flex: 1;
+            }
+
+            .lockout-subject {
+                font-weight: 500;
+                color: var(--text-primary);
+            }
+
+            .lockout-key, .lockout-meta {
+                font-size: 13px;
+                color: var(--text-secondary);
+            }
+
+            .lockout-key {
+                margin-left: 6px;
+            }
 
             .action-buttons {
                 display: flex;
@@ -2414,6 +4237,314 @@ class AdminManager {
                 font-size: 12px;
             }
 
+            /* Security Console */
+            .security-alerts {
+                list-style: none;
+                margin: 0 0 20px;
+                padding: 0;
+            }
+
+            .security-alerts[hidden] {
+                display: none;
+            }
+
+            .security-alert {
+                display: flex;
+                align-items: center;
+                gap: 12px;
+                padding: 12px 16px;
+                margin-bottom: 8px;
+                border-radius: 12px;
+                border: 1px solid var(--warning-color);
+                background: var(--warning-light);
+                color: var(--text-primary);
+            }
+
+            .security-alert.critical {
+                border-color: var(--error-color);
+                background: var(--error-light);
+            }
+
+            .security-alert-details {
+                flex: 1;
+                display: flex;
+                flex-direction: column;
+                gap: 2px;
+            }
+
+            .security-alert-details span {
+                font-size: 13px;
+                color: var(--text-secondary);
+            }
+
+            .security-counters {
+                display: grid;
+                grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+                gap: 16px;
+                margin-bottom: 24px;
+            }
+
+            .security-counter {
+                display: flex;
+                flex-direction: column;
+                gap: 4px;
+                padding: 20px;
+                border-radius: 12px;
+                border: 1px solid var(--border-color);
+                border-top: 4px solid var(--info-color);
+                background: var(--surface-color);
+            }
+
+            .security-counter.critical { border-top-color: var(--error-color); }
+            .security-counter.warning { border-top-color: var(--warning-color); }
+
+            .security-counter strong {
+                font-size: 32px;
+                color: var(--text-primary);
+            }
+
+            .security-counter-label {
+                font-weight: 600;
+                text-transform: capitalize;
+                color: var(--text-primary);
+            }
+
+            .security-counter-meta {
+                font-size: 13px;
+                color: var(--text-secondary);
+            }
+
+            .security-timeline-container {
+                background: var(--surface-color);
+                border-radius: 12px;
+                border: 1px solid var(--border-color);
+                padding: 16px 20px;
+                margin-bottom: 24px;
+            }
+
+            .security-timeline-info {
+                margin: 0 0 12px;
+                font-size: 13px;
+                color: var(--text-secondary);
+            }
+
+            .security-timeline {
+                list-style: none;
+                margin: 0;
+                padding: 0;
+            }
+
+            .security-event, .security-timeline-empty {
+                position: relative;
+                padding: 12px 0 12px 20px;
+                border-left: 2px solid var(--border-color);
+            }
+
+            .security-event::before {
+                content: '';
+                position: absolute;
+                left: -6px;
+                top: 16px;
+                width: 10px;
+                height: 10px;
+                border-radius: 50%;
+                background: var(--info-color);
+            }
+
+            .security-event.critical::before { background: var(--error-color); }
+            .security-event.warning::before { background: var(--warning-color); }
+
+            .security-event-header {
+                display: flex;
+                align-items: center;
+                flex-wrap: wrap;
+                gap: 8px;
+            }
+
+            .security-event-header time {
+                font-size: 13px;
+                color: var(--text-secondary);
+            }
+
+            .severity-badge {
+                padding: 4px 8px;
+                border-radius: 6px;
+                font-size: 12px;
+                font-weight: 600;
+                text-transform: capitalize;
+                background: var(--info-light);
+                color: var(--info-color);
+            }
+
+            .severity-badge.critical {
+                background: var(--error-light);
+                color: var(--error-color);
+            }
+
+            .severity-badge.warning {
+                background: var(--warning-light);
+                color: var(--warning-color);
+            }
+
+            .security-event-message {
+                margin: 6px 0;
+                color: var(--text-primary);
+            }
+
+            .security-event-meta {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 16px;
+                font-size: 13px;
+                color: var(--text-secondary);
+            }
+
+            .security-event-url {
+                word-break: break-all;
+            }
+
+            .security-thresholds-form {
+                display: flex;
+                align-items: flex-end;
+                flex-wrap: wrap;
+                gap: 16px;
+            }
+
+            .security-thresholds-form label {
+                text-transform: capitalize;
+            }
+
+            .security-thresholds-form input {
+                width: 120px;
+            }
+
+            /* Donations */
+            .finance-exports {
+                display: flex;
+                align-items: center;
+                flex-wrap: wrap;
+                gap: 12px;
+                margin-bottom: 16px;
+            }
+
+            .finance-exports span {
+                font-weight: 600;
+                color: var(--text-secondary);
+            }
+
+            .finance-exports select,
+            .finance-exports input {
+                padding: 10px 14px;
+                border: 1px solid var(--border-color);
+                border-radius: 8px;
+                background: var(--surface-color);
+                color: var(--text-primary);
+            }
+
+            .finance-monthly,
+            .finance-rates,
+            .finance-reconciliation,
+            .finance-in-kind {
+                margin-top: 24px;
+            }
+
+            .finance-exports label {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+            }
+
+            .finance-exports input[type="number"] {
+                width: 90px;
+            }
+
+            .rate-override-form {
+                margin-bottom: 0;
+            }
+
+            .pledge-actions {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 6px;
+            }
+
+            /* Campaigns */
+            .campaign-progress {
+                display: flex;
+                flex-direction: column;
+                gap: 4px;
+                min-width: 180px;
+            }
+
+            .campaign-progress progress {
+                width: 100%;
+                height: 8px;
+                accent-color: var(--primary-color);
+            }
+
+            .campaign-progress small {
+                color: var(--text-secondary);
+            }
+
+            .finance-monthly tbody tr:last-child td {
+                border-top: 2px solid var(--border-color);
+            }
+
+            .reconciliation-flag {
+                padding: 4px 8px;
+                border-radius: 6px;
+                font-size: 12px;
+                font-weight: 600;
+                text-transform: capitalize;
+                white-space: nowrap;
+                background: var(--warning-light);
+                color: var(--warning-color);
+            }
+
+            .reconciliation-flag.matched,
+            .status-badge.completed,
+            .status-badge.received,
+            .status-badge.distributed {
+                background: var(--success-light);
+                color: var(--success-color);
+            }
+
+            .status-badge.pending,
+            .status-badge.pledged,
+            .status-badge.draft {
+                background: var(--warning-light);
+                color: var(--warning-color);
+            }
+
+            .reconciliation-flag.refunded,
+            .reconciliation-flag.not_in_ledger,
+            .reconciliation-flag.not_in_settlement,
+            .status-badge.failed,
+            .status-badge.refunded,
+            .status-badge.cancelled,
+            .status-badge.closed {
+                background: var(--error-light);
+                color: var(--error-color);
+            }
+
+            .reconciliation-list {
+                list-style: none;
+                padding: 0;
+                margin: 8px 0 0;
+            }
+
+            .reconciliation-list li {
+                display: flex;
+                align-items: center;
+                gap: 12px;
+                padding: 8px 0;
+                border-bottom: 1px solid var(--border-color);
+            }
+
+            .reconciliation-list small {
+                color: var(--text-secondary);
+            }
+
             /* Mobile Responsiveness */
             @media (max-width: 768px) {
                 .admin-header {
@@ -2477,8 +4608,7 @@ class AdminManager {
                     padding: 8px;
                 }
             }
-        `;
-        document.head.appendChild(styles);
+        `, 'admin-styles');
     }
 }
 
@@ -6,6 +6,8 @@
 (function() {
     'use strict';
 
+    const API_BASE_URL = '/api';
+
     // Authentication state management
     let authState = {
         isLoggedIn: false,
@@ -22,7 +24,7 @@
 
     function initializeAuth() {
         // Check for existing authentication
-        checkAuthStatus();
+        const sessionCheck = checkAuthStatus();
 
         // Setup tab switching
         setupTabSwitching();
@@ -39,6 +41,18 @@
         // Setup forgot password
         setupForgotPassword();
 
+        // Dashboard preview for visitors
+        const previewButton = document.getElementById('preview-dashboard-btn');
+        if (previewButton) {
+            previewButton.addEventListener('click', showDashboardPreview);
+        }
+
+        // Handle verification and password reset links from emails
+        handleEmailLinks();
+
+        // Handle the redirect back from a social sign-in provider
+        handleSocialLoginResult(sessionCheck);
+
         // Progressive enhancements
         setupFormPersistence();
         setupAutoComplete();
@@ -231,27 +245,13 @@
         showLoadingState(submitButton);
 
         try {
-            // Simulate API call (replace with actual authentication)
-            const response = await simulateLogin(loginData);
-
-            if (response.success) {
-                // Store authentication data
-                authState.isLoggedIn = true;
-                authState.user = response.user;
-                authState.token = response.token;
-
-                // Store in localStorage if remember me is checked
-                if (loginData.rememberMe) {
-                    localStorage.setItem('afz_auth_token', response.token);
-                    localStorage.setItem('afz_user', JSON.stringify(response.user));
-                }
-
-                // Show success message
-                showAuthSuccess('Login successful! Welcome back.', () => {
-                    // Redirect to member hub or return URL
-                    window.location.href = './member-hub.html';
-                });
+            // Remember me keeps the server session (refresh cookie) across browser restarts
+            const response = await apiRequest('/auth/login', loginData);
 
+            if (response.success && response.twoFactorRequired) {
+                showTwoFactorModal(response.challengeToken);
+            } else if (response.success) {
+                completeLogin(response);
             } else {
                 showAuthError(response.message || 'Login failed. Please check your credentials.');
             }
@@ -264,6 +264,101 @@
         }
     }
 
+    function completeLogin(response) {
+        storeSession(response);
+
+        const message = response.twoFactorSetupRequired
+            ? 'Login successful! Your role requires two-factor authentication - please set it up now.'
+            : 'Login successful! Welcome back.';
+
+        // Show success message
+        showAuthSuccess(message, () => {
+            // Redirect to member hub or return URL
+            window.location.href = './member-hub.html';
+        });
+    }
+
+    // Second login step for accounts with two-factor authentication
+    function showTwoFactorModal(challengeToken) {
+        const modal = createModal('two-factor-login', 'Two-Factor Authentication', `
+            <form id="twoFactorForm">
+                <div class="form-group" id="two-factor-code-group">
+                    <label for="two-factor-code">Authentication Code</label>
+                    <input type="text" id="two-factor-code" name="code" inputmode="numeric"
+                           autocomplete="one-time-code" pattern="[0-9]{6}" maxlength="6"
+                           placeholder="123456" required>
+                    <div class="field-help">
+                        Enter the 6-digit code from your authenticator app.
+                    </div>
+                </div>
+                <div class="form-group" id="two-factor-recovery-group" hidden>
+                    <label for="two-factor-recovery">Recovery Code</label>
+                    <input type="text" id="two-factor-recovery" name="recoveryCode"
+                           autocomplete="off" placeholder="xxxxx-xxxxx">
+                    <div class="field-help">
+                        Each recovery code can only be used once.
+                    </div>
+                </div>
+                <button type="button" class="link-button" id="two-factor-toggle">
+                    Use a recovery code instead
+                </button>
+                <div class="modal-actions">
+                    <button type="button" class="modal-button secondary" data-modal-close>Cancel</button>
+                    <button type="submit" class="modal-button primary">Verify</button>
+                </div>
+            </form>
+        `);
+
+        const form = modal.querySelector('#twoFactorForm');
+        const codeInput = form.querySelector('#two-factor-code');
+        const recoveryInput = form.querySelector('#two-factor-recovery');
+        let useRecoveryCode = false;
+
+        form.querySelector('#two-factor-toggle').addEventListener('click', function() {
+            useRecoveryCode = !useRecoveryCode;
+            form.querySelector('#two-factor-code-group').hidden = useRecoveryCode;
+            form.querySelector('#two-factor-recovery-group').hidden = !useRecoveryCode;
+            codeInput.required = !useRecoveryCode;
+            recoveryInput.required = useRecoveryCode;
+            this.textContent = useRecoveryCode ? 'Use my authenticator app instead' : 'Use a recovery code instead';
+            (useRecoveryCode ? recoveryInput : codeInput).focus();
+        });
+
+        form.addEventListener('submit', async function(e) {
+            e.preventDefault();
+
+            const submitButton = form.querySelector('button[type="submit"]');
+            showLoadingState(submitButton);
+
+            try {
+                const response = await apiRequest('/auth/login/two-factor', useRecoveryCode
+                    ? { challengeToken, recoveryCode: recoveryInput.value.trim() }
+                    : { challengeToken, code: codeInput.value.trim() });
+
+                if (response.success) {
+                    closeModal(modal);
+                    if (response.recoveryCodesRemaining !== undefined) {
+                        announceToScreenReader(`${response.recoveryCodesRemaining} recovery codes remaining`);
+                    }
+                    completeLogin(response);
+                } else if (response.code === 'two_factor_challenge_expired') {
+                    // Too many attempts or too slow: start again from the password
+                    closeModal(modal);
+                    showAuthError(response.message);
+                } else {
+                    showAuthError(response.message || 'That code is not valid. Please try again.');
+                }
+
+            } catch (error) {
+                showAuthError('Network error. Please check your connection and try again.');
+            } finally {
+                hideLoadingState(submitButton);
+            }
+        });
+
+        showModal(modal);
+    }
+
     // Registration Handler
     async function handleRegistration(e) {
         e.preventDefault();
@@ -298,12 +393,11 @@
         showLoadingState(submitButton);
 
         try {
-            // Simulate API call (replace with actual registration)
-            const response = await simulateRegistration(registrationData);
+            const response = await apiRequest('/auth/register', registrationData);
 
             if (response.success) {
                 // Show success message
-                showAuthSuccess('Account created successfully! Please check your email to verify your account.', () => {
+                showAuthSuccess(response.message || 'Account created successfully! Please check your email to verify your account.', () => {
                     // Switch to login tab
                     document.getElementById('login-tab').click();
                 });
@@ -324,29 +418,106 @@
     }
 
     // Social Login Setup
-    function setupSocialLogin() {
-        const googleButtons = document.querySelectorAll('.google-login');
-        const facebookButtons = document.querySelectorAll('.facebook-login');
+    const SOCIAL_LOGIN_ERRORS = {
+        cancelled: 'Sign-in was cancelled.',
+        expired: 'Your sign-in took too long or was started in another browser. Please try again.',
+        provider_error: 'We could not complete sign-in with that provider. Please try again or use your email.',
+        email_required: 'We need your email address to sign you in. Please allow access to it, or register with email.',
+        link_required: 'An account with this email already exists. Log in with your password, ' +
+            'then connect this sign-in method from the Security tab of your profile.',
+        suspended: 'This account has been suspended. Please contact AFZ for help.'
+    };
 
-        googleButtons.forEach(button => {
-            button.addEventListener('click', () => handleSocialLogin('google'));
-        });
+    // Only providers configured on the server are shown; buttons for any others are added
+    async function setupSocialLogin() {
+        const containers = document.querySelectorAll('.social-login');
+        let providers = [];
+
+        try {
+            const response = await apiRequest('/auth/oidc/providers', undefined, 'GET');
+            providers = response.success ? response.providers : [];
+        } catch (error) {
+            console.error('Could not load sign-in providers:', error);
+        }
 
-        facebookButtons.forEach(button => {
-            button.addEventListener('click', () => handleSocialLogin('facebook'));
+        containers.forEach(container => {
+            providers.forEach(provider => {
+                if (container.querySelector(`.${provider.id}-login`)) return;
+
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = `social-button ${provider.id}-login`;
+                button.innerHTML = '<span class="social-icon"></span>';
+                button.querySelector('.social-icon').textContent = provider.name.charAt(0);
+                button.append(`Continue with ${provider.name}`);
+                container.appendChild(button);
+            });
+
+            container.querySelectorAll('.social-button').forEach(button => {
+                const provider = providers.find(item => button.classList.contains(`${item.id}-login`));
+                button.hidden = !provider;
+                if (provider) {
+                    button.addEventListener('click', () => handleSocialLogin(provider, button));
+                }
+            });
+
+            // Hide the "or" divider too when there is nothing to choose
+            const divider = container.previousElementSibling;
+            container.hidden = providers.length === 0;
+            if (divider && divider.classList.contains('form-divider')) {
+                divider.hidden = providers.length === 0;
+            }
         });
     }
 
-    // Social Login Handler
-    function handleSocialLogin(provider) {
-        // This would integrate with actual social login APIs
-        showAuthNotification(`${provider} login is not yet available. Please use email registration.`, 'info');
+    // Social Login Handler: the server sends us to the provider and back to this page
+    async function handleSocialLogin(provider, button) {
+        const rememberMe = document.querySelector('#loginForm [name="rememberMe"]');
+        button.disabled = true;
 
-        // In a real implementation:
-        // - Initialize OAuth flow
-        // - Handle callback
-        // - Create/login user account
-        // - Redirect to dashboard
+        try {
+            const response = await apiRequest(`/auth/oidc/${provider.id}/start`, {
+                rememberMe: Boolean(rememberMe && rememberMe.checked)
+            });
+
+            if (response.success) {
+                window.location.href = response.authorizationUrl;
+                return;
+            }
+            showAuthError(response.message || `${provider.name} sign-in is not available right now.`);
+        } catch (error) {
+            showAuthError('Network error. Please check your connection and try again.');
+        }
+        button.disabled = false;
+    }
+
+    // Result of a social sign-in (?oidc=success|two-factor|error)
+    async function handleSocialLoginResult(sessionCheck) {
+        const params = new URLSearchParams(window.location.search);
+        const result = params.get('oidc');
+        if (!result) {
+            return;
+        }
+
+        const challengeToken = new URLSearchParams(window.location.hash.slice(1)).get('challenge');
+        window.history.replaceState(null, '', window.location.pathname);
+
+        switch (result) {
+        case 'success':
+            // The server set the refresh cookie; the session check turns it into an access token
+            await sessionCheck;
+            if (authState.isLoggedIn) {
+                completeLogin({ token: authState.token, user: authState.user });
+            } else {
+                showAuthError(SOCIAL_LOGIN_ERRORS.provider_error);
+            }
+            break;
+        case 'two-factor':
+            if (challengeToken) showTwoFactorModal(challengeToken);
+            break;
+        default:
+            showAuthError(SOCIAL_LOGIN_ERRORS[params.get('reason')] || SOCIAL_LOGIN_ERRORS.provider_error);
+        }
     }
 
     // Forgot Password Setup
@@ -390,12 +561,15 @@
             showLoadingState(submitButton);
 
             try {
-                // Simulate password reset request
-                await new Promise(resolve => setTimeout(resolve, 1500));
+                const response = await apiRequest('/auth/reset/request', { email });
 
-                showAuthSuccess('Password reset link sent! Check your email for instructions.', () => {
-                    closeModal(modal);
-                });
+                if (response.success) {
+                    showAuthSuccess(response.message, () => {
+                        closeModal(modal);
+                    });
+                } else {
+                    showAuthError(response.message || 'Failed to send reset link. Please try again.');
+                }
 
             } catch (error) {
                 showAuthError('Failed to send reset link. Please try again.');
@@ -407,6 +581,117 @@
         showModal(modal);
     }
 
+    // Email Links (?verify=<token> and ?reset=<token>)
+    function handleEmailLinks() {
+        const params = new URLSearchParams(window.location.search);
+        const verifyToken = params.get('verify');
+        const resetToken = params.get('reset');
+
+        if (!verifyToken && !resetToken) {
+            return;
+        }
+
+        // Keep tokens out of the address bar and browser history
+        window.history.replaceState(null, '', window.location.pathname);
+
+        if (verifyToken) {
+            verifyEmail(verifyToken);
+        } else {
+            showResetPasswordModal(resetToken);
+        }
+    }
+
+    async function verifyEmail(token) {
+        try {
+            const response = await apiRequest('/auth/verify', { token });
+
+            if (response.success) {
+                updateStoredUser(response.user);
+                showAuthSuccess(response.message);
+            } else {
+                showAuthError(response.message || 'We could not verify your email address.');
+            }
+        } catch (error) {
+            console.error('Verification error:', error);
+            showAuthError('Network error. Please check your connection and try again.');
+        }
+    }
+
+    // Keep a stored session in step with a verification done from the email link
+    function updateStoredUser(user) {
+        if (!user || !authState.user || authState.user.id !== user.id) {
+            return;
+        }
+
+        sessionStorage.setItem('afz_user', JSON.stringify(user));
+        authState.user = user;
+    }
+
+    // Reset Password Modal
+    function showResetPasswordModal(token) {
+        const modal = createModal('reset-password', 'Choose a New Password', `
+            <form id="resetPasswordForm">
+                <div class="form-group">
+                    <label for="reset-password-input">New Password</label>
+                    <input type="password" id="reset-password-input" name="password" required
+                           autocomplete="new-password" aria-describedby="reset-password-help">
+                    <div id="reset-password-help" class="field-help">
+                        At least 8 characters with uppercase, lowercase and a number.
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="reset-confirm-password">Confirm Password</label>
+                    <input type="password" id="reset-confirm-password" name="confirmPassword" required
+                           autocomplete="new-password">
+                </div>
+                <div class="modal-actions">
+                    <button type="button" class="modal-button secondary" data-modal-close>Cancel</button>
+                    <button type="submit" class="modal-button primary">Reset Password</button>
+                </div>
+            </form>
+        `);
+
+        const form = modal.querySelector('#resetPasswordForm');
+        form.addEventListener('submit', async function(e) {
+            e.preventDefault();
+
+            const password = form.querySelector('#reset-password-input').value;
+            const confirmPassword = form.querySelector('#reset-confirm-password').value;
+            const submitButton = form.querySelector('button[type="submit"]');
+
+            if (!isValidPassword(password)) {
+                showAuthError('Password must be at least 8 characters with uppercase, lowercase and a number.');
+                return;
+            }
+            if (password !== confirmPassword) {
+                showAuthError('Passwords do not match.');
+                return;
+            }
+
+            showLoadingState(submitButton);
+
+            try {
+                const response = await apiRequest('/auth/reset', { token, password, confirmPassword });
+
+                if (response.success) {
+                    showAuthSuccess(response.message, () => {
+                        closeModal(modal);
+                        document.getElementById('login-tab').click();
+                    });
+                } else {
+                    showAuthError(response.message || 'Failed to reset password. Please try again.');
+                }
+
+            } catch (error) {
+                showAuthError('Network error. Please check your connection and try again.');
+            } finally {
+                hideLoadingState(submitButton);
+            }
+        });
+
+        showModal(modal);
+    }
+
     // Utility Functions
     function validateForm(form) {
         const requiredFields = form.querySelectorAll('input[required]');
@@ -558,66 +843,94 @@
 
     // Authentication Status Check
     function checkAuthStatus() {
-        const token = localStorage.getItem('afz_auth_token');
-        const userString = localStorage.getItem('afz_user');
+        const token = sessionStorage.getItem('afz_auth_token');
+        const userString = sessionStorage.getItem('afz_user');
+
+        // Tokens from older versions were kept in localStorage and are no longer honoured
+        localStorage.removeItem('afz_auth_token');
+        localStorage.removeItem('afz_user');
 
         if (token && userString) {
             try {
                 authState.isLoggedIn = true;
                 authState.token = token;
                 authState.user = JSON.parse(userString);
-
-                // Verify token with server (in real implementation)
-                // validateToken(token);
             } catch (error) {
                 console.error('Error parsing stored user data:', error);
                 clearAuthData();
             }
         }
+
+        // The server decides whether the session is still valid
+        return validateSession();
+    }
+
+    async function validateSession() {
+        try {
+            const response = await apiRequest('/auth/refresh');
+
+            if (response.success) {
+                storeSession(response);
+            } else {
+                clearAuthData();
+            }
+        } catch (error) {
+            // Offline: keep the cached state until the server can be reached
+            console.error('Session check failed:', error);
+        }
+    }
+
+    // Access tokens are short-lived and kept per tab; the HttpOnly refresh cookie renews them
+    function storeSession({ token, user }) {
+        authState.isLoggedIn = true;
+        authState.token = token;
+        authState.user = user;
+
+        sessionStorage.setItem('afz_auth_token', token);
+        sessionStorage.setItem('afz_user', JSON.stringify(user));
     }
 
     function clearAuthData() {
-        localStorage.removeItem('afz_auth_token');
-        localStorage.removeItem('afz_user');
+        [localStorage, sessionStorage].forEach(storage => {
+            storage.removeItem('afz_auth_token');
+            storage.removeItem('afz_user');
+        });
         authState.isLoggedIn = false;
         authState.token = null;
         authState.user = null;
     }
 
-    // Simulation Functions (Replace with actual API calls)
-    async function simulateLogin(loginData) {
-        // Simulate network delay
-        await new Promise(resolve => setTimeout(resolve, 1500));
-
-        // Simulate successful login
-        if (loginData.email && loginData.password) {
-            return {
-                success: true,
-                user: {
-                    id: 'user123',
-                    email: loginData.email,
-                    firstName: 'John',
-                    lastName: 'Doe',
-                    location: 'lusaka'
-                },
-                token: 'fake-jwt-token-' + Date.now()
-            };
-        } else {
-            return {
-                success: false,
-                message: 'Invalid email or password.'
-            };
+    async function logout() {
+        try {
+            // Also ends the session when only the refresh cookie is left
+            await apiRequest('/auth/logout');
+        } catch (error) {
+            console.error('Logout error:', error);
         }
+
+        clearAuthData();
+        localStorage.setItem('afz_logout', String(Date.now()));
     }
 
-    async function simulateRegistration(registrationData) {
-        // Simulate network delay
-        await new Promise(resolve => setTimeout(resolve, 2000));
+    // API Requests
+    async function apiRequest(path, body, method = 'POST') {
+        const headers = { 'Content-Type': 'application/json' };
+        if (authState.token) {
+            headers.Authorization = `Bearer ${authState.token}`;
+        }
+
+        const response = await fetch(`${API_BASE_URL}${path}`, {
+            method,
+            headers,
+            credentials: 'same-origin',
+            body: method === 'GET' ? undefined : JSON.stringify(body || {})
+        });
 
-        // Simulate successful registration
+        // Error responses still carry a JSON { success, message } body
+        const data = await response.json().catch(() => ({}));
         return {
-            success: true,
-            message: 'Account created successfully. Please check your email to verify your account.'
+            ...data,
+            success: response.ok && data.success !== false
         };
     }
 
@@ -758,11 +1071,16 @@
                 
                 <div class="modal-actions">
                     <button type="button" class="modal-button secondary" data-modal-close>Maybe Later</button>
-                    <button type="button" class="modal-button primary" onclick="closeModal(document.getElementById('dashboard-preview')); document.getElementById('register-tab').click();">Sign Up Now</button>
+                    <button type="button" class="modal-button primary" data-preview-signup>Sign Up Now</button>
                 </div>
             </div>
         `);
 
+        modal.querySelector('[data-preview-signup]').addEventListener('click', () => {
+            closeModal(modal);
+            document.getElementById('register-tab').click();
+        });
+
         showModal(modal);
     }
 
@@ -984,7 +1302,7 @@
     // Export auth state for other scripts
     window.AFZAuth = {
         getAuthState: () => authState,
-        logout: clearAuthData,
+        logout,
         isLoggedIn: () => authState.isLoggedIn
     };
 
@@ -34,7 +34,10 @@ const copyItems = [
     'js/',
     'images/',
     'pages/',
-    'translations/'
+    'translations/',
+    // Tribute e-cards link to these pictures on the site
+    'community-gathering-1.jpg',
+    'children-sunscreen.jpg'
 ];
 
 // Copy files and directories
@@ -0,0 +1,113 @@
+/**
+ * AFZ Campaigns - Progress Thermometers
+ * Live fundraising progress from the donation ledger for elements marked data-campaign-progress="<slug>"
+ * (one campaign) or data-campaign-list (every open campaign)
+ */
+
+class CampaignProgress {
+    constructor() {
+        this.init();
+    }
+
+    init() {
+        document.querySelectorAll('[data-campaign-progress]').forEach(element => {
+            this.loadCampaign(element, element.getAttribute('data-campaign-progress'));
+        });
+        document.querySelectorAll('[data-campaign-list]').forEach(element => this.loadList(element));
+    }
+
+    async loadCampaign(element, slug) {
+        try {
+            const { campaign } = await window.afzApi.request('GET', `/campaigns/${encodeURIComponent(slug)}`);
+            this.render(element, campaign);
+        } catch (error) {
+            console.warn(`Could not load campaign ${slug}:`, error.message);
+            element.hidden = true;
+        }
+    }
+
+    // The list stays hidden when there is nothing to give to
+    async loadList(element) {
+        const items = element.querySelector('[data-campaign-items]') || element;
+
+        try {
+            const { items: campaigns } = await window.afzApi.request('GET', '/campaigns?status=active');
+            const open = campaigns.filter(campaign => campaign.open);
+            items.innerHTML = open.map(campaign => this.thermometer(campaign, { describe: true })).join('');
+            this.applyFill(items);
+            element.hidden = open.length === 0;
+        } catch (error) {
+            console.warn('Could not load campaigns:', error.message);
+        }
+    }
+
+    render(element, campaign, options = {}) {
+        element.innerHTML = this.thermometer(campaign, options);
+        this.applyFill(element);
+        element.hidden = false;
+    }
+
+    // Fundraising pages reuse this: `heading` is off where the page shows its own title, and
+    // `closedMessage` replaces the thank-you shown once the campaign (or page) has closed
+    thermometer(campaign, {
+        describe = false,
+        donate = true,
+        heading = true,
+        closedMessage = 'This campaign has closed. Thank you to everyone who gave.'
+    } = {}) {
+        const { progress } = campaign;
+        const fill = Math.min(100, progress.percent);
+        const meta = [this.plural(progress.donorCount, 'donor')];
+        if (campaign.open && progress.daysLeft !== null) {
+            meta.push(progress.daysLeft === 0 ? 'Last day' : `${this.plural(progress.daysLeft, 'day')} to go`);
+        }
+
+        return `
+            <div class="fundraising-card">
+                ${heading ? `<h4 class="fundraising-title">${this.escapeHtml(campaign.title)}</h4>` : ''}
+                ${describe && campaign.description ? `<p class="fundraising-description">${this.escapeHtml(campaign.description)}</p>` : ''}
+                <div class="campaign-thermometer" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${fill}"
+                     aria-label="${progress.percent}% of the target raised">
+                    <div class="campaign-thermometer-fill" data-fill="${fill}"></div>
+                </div>
+                <p class="fundraising-raised">
+                    <strong>${this.formatAmount(progress.raised, progress.currency)}</strong>
+                    raised of ${this.formatAmount(progress.target, progress.currency)} (${progress.percent}%)
+                </p>
+                <p class="fundraising-meta">${meta.join(' &middot; ')}</p>
+                ${donate && campaign.open
+        ? `<a href="${this.escapeHtml(campaign.donateUrl)}" class="cta-button primary" data-translate="campaign-donate">Donate to this campaign</a>`
+        : ''}
+                ${campaign.open ? '' : `<p class="fundraising-closed">${this.escapeHtml(closedMessage)}</p>`}
+            </div>
+        `;
+    }
+
+    // Widths are set from script because the CSP does not allow style attributes
+    applyFill(root) {
+        root.querySelectorAll('[data-fill]').forEach(bar => {
+            bar.style.width = `${bar.getAttribute('data-fill')}%`;
+        });
+    }
+
+    plural(count, word) {
+        return `${count} ${word}${count === 1 ? '' : 's'}`;
+    }
+
+    formatAmount(amount, currency) {
+        return new Intl.NumberFormat('en-ZM', {
+            style: 'currency', currency, minimumFractionDigits: 0, maximumFractionDigits: 0
+        }).format(amount);
+    }
+
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value == null ? '' : String(value);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.campaignProgress = new CampaignProgress();
+});
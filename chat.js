@@ -93,7 +93,7 @@ class ChatInterface {
                         </div>
                         
                         <!-- Typing Indicator -->
-                        <div class="typing-indicator" id="typing-indicator" style="display: none;">
+                        <div class="typing-indicator" id="typing-indicator" hidden>
                             <div class="typing-dots">
                                 <span></span><span></span><span></span>
                             </div>
@@ -131,7 +131,7 @@ class ChatInterface {
                 </div>
 
                 <!-- File Upload Modal -->
-                <div class="file-upload-modal" id="file-upload-modal" style="display: none;">
+                <div class="file-upload-modal" id="file-upload-modal" hidden>
                     <div class="modal-content">
                         <div class="modal-header">
                             <h3>Share File</h3>
@@ -145,7 +145,7 @@ class ChatInterface {
                                 <p>Drop files here or click to browse</p>
                                 <input type="file" id="file-input" multiple accept="image/*,video/*,.pdf,.doc,.docx,.txt">
                             </div>
-                            <div class="file-preview" id="file-preview" style="display: none;"></div>
+                            <div class="file-preview" id="file-preview" hidden></div>
                         </div>
                         <div class="modal-footer">
                             <button class="btn btn-secondary" id="cancel-upload">Cancel</button>
@@ -155,7 +155,7 @@ class ChatInterface {
                 </div>
 
                 <!-- Emoji Picker -->
-                <div class="emoji-picker" id="emoji-picker" style="display: none;">
+                <div class="emoji-picker" id="emoji-picker" hidden>
                     <div class="emoji-categories">
                         <button class="emoji-category active" data-category="recent">⏰</button>
                         <button class="emoji-category" data-category="people">😀</button>
@@ -599,15 +599,14 @@ class ChatInterface {
     toggleEmojiPicker() {
         const emojiPicker = document.getElementById('emoji-picker');
         if (emojiPicker) {
-            const isVisible = emojiPicker.style.display !== 'none';
-            emojiPicker.style.display = isVisible ? 'none' : 'block';
+            emojiPicker.hidden = !emojiPicker.hidden;
         }
     }
 
     hideEmojiPicker() {
         const emojiPicker = document.getElementById('emoji-picker');
         if (emojiPicker) {
-            emojiPicker.style.display = 'none';
+            emojiPicker.hidden = true;
         }
     }
 
@@ -638,7 +637,7 @@ class ChatInterface {
     showFileUploadModal() {
         const modal = document.getElementById('file-upload-modal');
         if (modal) {
-            modal.style.display = 'flex';
+            modal.hidden = false;
         }
     }
 
@@ -648,11 +647,11 @@ class ChatInterface {
         const confirmBtn = document.getElementById('confirm-upload');
 
         if (modal) {
-            modal.style.display = 'none';
+            modal.hidden = true;
         }
 
         if (filePreview) {
-            filePreview.style.display = 'none';
+            filePreview.hidden = true;
             filePreview.innerHTML = '';
         }
 
@@ -670,7 +669,7 @@ class ChatInterface {
         if (!filePreview || !confirmBtn) return;
 
         filePreview.innerHTML = '';
-        filePreview.style.display = 'block';
+        filePreview.hidden = false;
 
         Array.from(files).forEach((file, index) => {
             const fileItem = document.createElement('div');
@@ -817,9 +816,7 @@ class ChatInterface {
     injectChatStyles() {
         if (document.getElementById('chat-styles')) return;
 
-        const styles = document.createElement('style');
-        styles.id = 'chat-styles';
-        styles.textContent = `
+        window.afzCsp.addStyles(`
             .chat-interface {
                 height: 100%;
                 display: flex;
@@ -1586,8 +1583,7 @@ class ChatInterface {
                     display: none;
                 }
             }
-        `;
-        document.head.appendChild(styles);
+        `, 'chat-styles');
     }
 }
 
@@ -3,6 +3,13 @@
  * Comprehensive networking system with connections, friend requests, and community building features
  */
 
+// Actions rendered markup may trigger through data-action; the rest of the class is not reachable from HTML
+const CONNECTION_ACTIONS = new Set([
+    'messageConnection', 'viewProfile', 'showConnectionOptions', 'sendConnectionRequest',
+    'dismissSuggestion', 'acceptRequest', 'declineRequest', 'cancelRequest',
+    'viewGroup', 'joinGroup', 'removeConnection', 'createGroup'
+]);
+
 class ConnectionsManager {
     constructor() {
         this.currentUser = {
@@ -11,7 +18,8 @@ class ConnectionsManager {
             avatar: 'assets/avatars/john-doe.jpg'
         };
 
-        this.connections = this.generateMockConnections();
+        this.repository = window.afzRepository;
+        this.connections = [];
         this.pendingRequests = this.generatePendingRequests();
         this.suggestedConnections = this.generateSuggestedConnections();
         this.networkStats = this.generateNetworkStats();
@@ -23,6 +31,7 @@ class ConnectionsManager {
         this.currentFilter = 'all';
 
         this.init();
+        this.loadConnections();
     }
 
     init() {
@@ -146,7 +155,7 @@ class ConnectionsManager {
                     </div>
                 </div>
 
-                <div class="bulk-actions" id="bulk-actions" style="display: none;">
+                <div class="bulk-actions" id="bulk-actions" hidden>
                     <div class="selected-count">
                         <span id="selected-count">0</span> connections selected
                     </div>
@@ -489,13 +498,13 @@ class ConnectionsManager {
                     </div>
                 </div>
                 <div class="connection-actions">
-                    <button class="action-btn message-btn" onclick="connectionsManager.messageConnection('${connection.id}')" title="Send Message">
+                    <button class="action-btn message-btn" data-action="messageConnection" data-id="${connection.id}" title="Send Message">
                         <i class="fas fa-comment"></i>
                     </button>
-                    <button class="action-btn profile-btn" onclick="connectionsManager.viewProfile('${connection.id}')" title="View Profile">
+                    <button class="action-btn profile-btn" data-action="viewProfile" data-id="${connection.id}" title="View Profile">
                         <i class="fas fa-user"></i>
                     </button>
-                    <button class="action-btn more-btn" onclick="connectionsManager.showConnectionOptions('${connection.id}')" title="More Options">
+                    <button class="action-btn more-btn" data-action="showConnectionOptions" data-id="${connection.id}" title="More Options">
                         <i class="fas fa-ellipsis-h"></i>
                     </button>
                 </div>
@@ -519,11 +528,11 @@ class ConnectionsManager {
                     </div>
                 </div>
                 <div class="suggestion-actions">
-                    <button class="btn btn-primary btn-sm" onclick="connectionsManager.sendConnectionRequest('${suggestion.id}')">
+                    <button class="btn btn-primary btn-sm" data-action="sendConnectionRequest" data-id="${suggestion.id}">
                         <i class="fas fa-user-plus"></i>
                         Connect
                     </button>
-                    <button class="btn btn-secondary btn-sm" onclick="connectionsManager.dismissSuggestion('${suggestion.id}')">
+                    <button class="btn btn-secondary btn-sm" data-action="dismissSuggestion" data-id="${suggestion.id}">
                         <i class="fas fa-times"></i>
                         Dismiss
                     </button>
@@ -549,11 +558,11 @@ class ConnectionsManager {
                     </div>
                 </div>
                 <div class="request-actions">
-                    <button class="btn btn-primary btn-sm" onclick="connectionsManager.acceptRequest('${request.id}')">
+                    <button class="btn btn-primary btn-sm" data-action="acceptRequest" data-id="${request.id}">
                         <i class="fas fa-check"></i>
                         Accept
                     </button>
-                    <button class="btn btn-secondary btn-sm" onclick="connectionsManager.declineRequest('${request.id}')">
+                    <button class="btn btn-secondary btn-sm" data-action="declineRequest" data-id="${request.id}">
                         <i class="fas fa-times"></i>
                         Decline
                     </button>
@@ -578,7 +587,7 @@ class ConnectionsManager {
                     </div>
                 </div>
                 <div class="request-actions">
-                    <button class="btn btn-secondary btn-sm" onclick="connectionsManager.cancelRequest('${request.id}')">
+                    <button class="btn btn-secondary btn-sm" data-action="cancelRequest" data-id="${request.id}">
                         <i class="fas fa-times"></i>
                         Cancel
                     </button>
@@ -627,7 +636,7 @@ class ConnectionsManager {
                     </div>
                 </div>
                 <div class="group-actions">
-                    <button class="btn btn-primary btn-sm" onclick="connectionsManager.viewGroup('${group.id}')">
+                    <button class="btn btn-primary btn-sm" data-action="viewGroup" data-id="${group.id}">
                         View Group
                     </button>
                 </div>
@@ -654,7 +663,7 @@ class ConnectionsManager {
                     </div>
                 </div>
                 <div class="group-actions">
-                    <button class="btn btn-primary btn-sm" onclick="connectionsManager.joinGroup('${group.id}')">
+                    <button class="btn btn-primary btn-sm" data-action="joinGroup" data-id="${group.id}">
                         <i class="fas fa-plus"></i>
                         Join Group
                     </button>
@@ -685,7 +694,7 @@ class ConnectionsManager {
                     </div>
                 </div>
                 <div class="group-actions">
-                    <button class="btn btn-primary btn-sm" onclick="connectionsManager.joinGroup('${group.id}')">
+                    <button class="btn btn-primary btn-sm" data-action="joinGroup" data-id="${group.id}">
                         Join Group
                     </button>
                 </div>
@@ -713,11 +722,11 @@ class ConnectionsManager {
 
     renderConnectionModal() {
         return `
-            <div class="modal-overlay" id="connection-modal" style="display: none;">
+            <div class="modal-overlay" id="connection-modal" hidden>
                 <div class="modal-container">
                     <div class="modal-header">
                         <h3 id="connection-modal-title">Connection Profile</h3>
-                        <button class="modal-close" onclick="connectionsManager.closeModal('connection-modal')">
+                        <button class="modal-close" data-modal-close="connection-modal">
                             <i class="fas fa-times"></i>
                         </button>
                     </div>
@@ -731,11 +740,11 @@ class ConnectionsManager {
 
     renderGroupModal() {
         return `
-            <div class="modal-overlay" id="group-modal" style="display: none;">
+            <div class="modal-overlay" id="group-modal" hidden>
                 <div class="modal-container large">
                     <div class="modal-header">
                         <h3>Create New Group</h3>
-                        <button class="modal-close" onclick="connectionsManager.closeModal('group-modal')">
+                        <button class="modal-close" data-modal-close="group-modal">
                             <i class="fas fa-times"></i>
                         </button>
                     </div>
@@ -771,15 +780,35 @@ class ConnectionsManager {
                         </form>
                     </div>
                     <div class="modal-footer">
-                        <button class="btn btn-secondary" onclick="connectionsManager.closeModal('group-modal')">Cancel</button>
-                        <button class="btn btn-primary" onclick="connectionsManager.createGroup()">Create Group</button>
+                        <button class="btn btn-secondary" data-modal-close="group-modal">Cancel</button>
+                        <button class="btn btn-primary" data-action="createGroup">Create Group</button>
                     </div>
                 </div>
             </div>
         `;
     }
 
+    // Buttons and cards carry data-action and data-id instead of inline handlers, which the CSP blocks
+    handleAction(e) {
+        const closeButton = e.target.closest('[data-modal-close]');
+        if (closeButton) {
+            this.closeModal(closeButton.getAttribute('data-modal-close'));
+            return;
+        }
+
+        const target = e.target.closest('[data-action]');
+        if (target && CONNECTION_ACTIONS.has(target.dataset.action) && typeof this[target.dataset.action] === 'function') {
+            this[target.dataset.action](target.dataset.id);
+        }
+    }
+
     setupEventListeners() {
+        // Delegated to the interface root, which is replaced whenever the interface is rebuilt
+        const connectionsInterface = document.querySelector('.connections-interface');
+        if (connectionsInterface) {
+            connectionsInterface.addEventListener('click', (e) => this.handleAction(e));
+        }
+
         // Navigation tabs
         const navTabs = document.querySelectorAll('.nav-tab');
         navTabs.forEach(tab => {
@@ -949,10 +978,10 @@ class ConnectionsManager {
         const selectedCount = document.getElementById('selected-count');
 
         if (this.selectedConnections.size > 0) {
-            bulkActions.style.display = 'flex';
+            bulkActions.hidden = false;
             selectedCount.textContent = this.selectedConnections.size;
         } else {
-            bulkActions.style.display = 'none';
+            bulkActions.hidden = true;
         }
     }
 
@@ -966,23 +995,29 @@ class ConnectionsManager {
         this.refreshSuggestions();
     }
 
-    acceptRequest(requestId) {
+    async acceptRequest(requestId) {
         const request = this.pendingRequests.find(r => r.id === requestId);
         if (request) {
             // Move to connections
-            this.connections.unshift({
-                id: request.id,
-                name: request.name,
-                title: request.title,
-                avatar: request.avatar,
-                location: request.location || 'Unknown',
-                interests: request.interests || [],
-                mutualConnections: request.mutualConnections,
-                interactionScore: 0,
-                online: Math.random() > 0.5,
-                status: 'new',
-                connectedDate: new Date().toISOString()
-            });
+            try {
+                const connection = await this.repository.connections.create({
+                    requestId: request.id,
+                    name: request.name,
+                    title: request.title,
+                    avatar: request.avatar,
+                    location: request.location || 'Unknown',
+                    interests: request.interests || [],
+                    mutualConnections: request.mutualConnections,
+                    interactionScore: 0,
+                    online: false,
+                    status: 'new',
+                    connectedDate: new Date().toISOString()
+                });
+                this.connections.unshift(connection);
+            } catch (error) {
+                this.showNotification(error.message, 'error');
+                return;
+            }
 
             // Remove from pending
             this.pendingRequests = this.pendingRequests.filter(r => r.id !== requestId);
@@ -1004,6 +1039,23 @@ class ConnectionsManager {
         this.refreshRequests();
     }
 
+    async removeConnection(connectionId) {
+        const connection = this.connections.find(c => c.id === connectionId);
+        if (!connection || !confirm(`Remove ${connection.name} from your network?`)) return;
+
+        try {
+            await this.repository.connections.remove(connectionId);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        this.connections = this.connections.filter(c => c.id !== connectionId);
+        this.closeModal('connection-modal');
+        this.filterAndDisplayConnections();
+        this.showNotification(`${connection.name} removed from your network`, 'info');
+    }
+
     messageConnection(connectionId) {
         const connection = this.connections.find(c => c.id === connectionId);
         if (connection) {
@@ -1056,11 +1108,11 @@ class ConnectionsManager {
                     </div>
                 </div>
                 <div class="profile-actions">
-                    <button class="btn btn-primary" onclick="connectionsManager.messageConnection('${connection.id}')">
+                    <button class="btn btn-primary" data-action="messageConnection" data-id="${connection.id}">
                         <i class="fas fa-comment"></i>
                         Send Message
                     </button>
-                    <button class="btn btn-secondary" onclick="connectionsManager.removeConnection('${connection.id}')">
+                    <button class="btn btn-secondary" data-action="removeConnection" data-id="${connection.id}">
                         <i class="fas fa-user-minus"></i>
                         Remove Connection
                     </button>
@@ -1187,14 +1239,14 @@ class ConnectionsManager {
     showModal(modalId) {
         const modal = document.getElementById(modalId);
         if (modal) {
-            modal.style.display = 'flex';
+            modal.hidden = false;
         }
     }
 
     closeModal(modalId) {
         const modal = document.getElementById(modalId);
         if (modal) {
-            modal.style.display = 'none';
+            modal.hidden = true;
         }
     }
 
@@ -1203,6 +1255,24 @@ class ConnectionsManager {
         this.filterAndDisplayConnections();
     }
 
+    async loadConnections() {
+        try {
+            this.connections = await this.repository.connections.list();
+        } catch (error) {
+            console.error('Failed to load connections:', error);
+            this.showNotification('Unable to load your network. Please try again later.', 'error');
+            return;
+        }
+
+        // Requests that were already accepted are now connections
+        const acceptedRequests = new Set(this.connections.map(c => c.requestId).filter(Boolean));
+        this.pendingRequests = this.pendingRequests.filter(r => !acceptedRequests.has(r.id));
+
+        this.setupConnectionsInterface();
+        this.setupEventListeners();
+        this.loadInitialData();
+    }
+
     getActivityIcon(type) {
         const icons = {
             accepted: 'check',
@@ -1232,31 +1302,6 @@ class ConnectionsManager {
     }
 
     // Mock data generators
-    generateMockConnections() {
-        const connections = [];
-        const names = ['Sarah Williams', 'Michael Johnson', 'Emma Davis', 'James Wilson', 'Lisa Anderson', 'David Miller', 'Maria Garcia', 'Robert Brown', 'Jennifer Taylor', 'Christopher Lee'];
-        const titles = ['Healthcare Advocate', 'Community Volunteer', 'Support Group Leader', 'Youth Coordinator', 'Education Specialist', 'Healthcare Worker', 'Advocacy Manager', 'Social Worker'];
-        const locations = ['Lusaka, Zambia', 'Kitwe, Zambia', 'Ndola, Zambia', 'Livingstone, Zambia'];
-        const interests = ['Healthcare', 'Advocacy', 'Education', 'Support Groups', 'Youth Programs', 'Community Building'];
-
-        for (let i = 0; i < 24; i++) {
-            connections.push({
-                id: `connection_${i + 1}`,
-                name: names[i % names.length],
-                title: titles[i % titles.length],
-                avatar: `assets/avatars/user${(i % 10) + 1}.jpg`,
-                location: locations[i % locations.length],
-                interests: interests.slice(i % 3, (i % 3) + 3),
-                mutualConnections: Math.floor(Math.random() * 20) + 1,
-                interactionScore: Math.floor(Math.random() * 100),
-                online: Math.random() > 0.6,
-                status: i < 3 ? 'new' : 'established',
-                connectedDate: new Date(Date.now() - Math.random() * 365 * 24 * 60 * 60 * 1000).toISOString()
-            });
-        }
-        return connections;
-    }
-
     generatePendingRequests() {
         return [
             {
@@ -1395,9 +1440,7 @@ class ConnectionsManager {
     injectConnectionsStyles() {
         if (document.getElementById('connections-styles')) return;
 
-        const styles = document.createElement('style');
-        styles.id = 'connections-styles';
-        styles.textContent = `
+        window.afzCsp.addStyles(`
             .connections-interface {
                 background: var(--surface-color);
                 border-radius: 16px;
@@ -2749,8 +2792,7 @@ class ConnectionsManager {
                     grid-template-columns: 1fr;
                 }
             }
-        `;
-        document.head.appendChild(styles);
+        `, 'connections-styles');
     }
 }
 
@@ -0,0 +1,30 @@
+/**
+ * AFZ Advocacy Application - Content Security Policy Helpers
+ * The server sends a strict CSP with a per-request nonce (server/csp.js) and exposes it in
+ * <meta name="csp-nonce">. Style blocks added at runtime must carry it; inline handlers and
+ * style attributes are blocked, so modules use event listeners, classes and element.style instead.
+ * Loaded before every other script.
+ */
+
+(function () {
+    const meta = document.querySelector('meta[name="csp-nonce"]');
+    const nonce = meta ? meta.getAttribute('content') : '';
+
+    window.afzCsp = {
+        nonce,
+
+        // Adds a <style> block the policy allows and returns it
+        addStyles(css, id) {
+            const style = document.createElement('style');
+            if (id) style.id = id;
+            style.nonce = nonce;
+            style.textContent = css;
+            document.head.appendChild(style);
+            return style;
+        }
+    };
+
+    // Modules hide markup with the hidden attribute now that style="display: none" is blocked;
+    // component rules such as .modal { display: flex } must not win over it
+    window.afzCsp.addStyles('[hidden] { display: none !important; }', 'afz-csp-base');
+})();
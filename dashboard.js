@@ -50,13 +50,23 @@ class AFZDashboard {
         }, 1500);
     }
 
+    // The admin section follows the permissions the server returned at login
     checkUserRole() {
         const adminSection = document.getElementById('admin-section');
-        const userRoleAttr = document.body.getAttribute('data-user-role');
+        let user = null;
 
-        if (this.currentUser.role === 'admin' || userRoleAttr === 'admin') {
-            adminSection.style.display = 'block';
-            this.currentUser.role = 'admin';
+        try {
+            user = JSON.parse(sessionStorage.getItem('afz_user'));
+        } catch (error) {
+            user = null;
+        }
+
+        const permissions = (user && user.permissions) || [];
+        this.currentUser.permissions = permissions;
+        if (user) this.currentUser.role = user.role;
+
+        if (adminSection) {
+            adminSection.style.display = permissions.includes('admin.access') ? 'block' : 'none';
         }
     }
 
@@ -545,12 +555,24 @@ class AFZDashboard {
         this.closeAllDropdowns();
     }
 
-    handleLogout() {
+    async handleLogout() {
         if (confirm('Are you sure you want to logout?')) {
             this.showNotification('Logging out...', 'info');
-            setTimeout(() => {
-                window.location.href = 'auth.html';
-            }, 1500);
+
+            try {
+                await fetch('/api/auth/logout', {
+                    method: 'POST',
+                    headers: { Authorization: `Bearer ${sessionStorage.getItem('afz_auth_token')}` },
+                    credentials: 'same-origin'
+                });
+            } catch (error) {
+                console.error('Logout error:', error);
+            }
+
+            sessionStorage.removeItem('afz_auth_token');
+            sessionStorage.removeItem('afz_user');
+            localStorage.setItem('afz_logout', String(Date.now()));
+            window.location.href = 'auth.html';
         }
     }
 
@@ -717,12 +739,13 @@ class AFZDashboard {
                     <i class="fas fa-${this.getToastIcon(type)}"></i>
                 </div>
                 <div class="toast-message">${message}</div>
-                <button class="toast-close" onclick="this.parentElement.parentElement.remove()">
+                <button class="toast-close">
                     <i class="fas fa-times"></i>
                 </button>
             </div>
         `;
 
+        notification.querySelector('.toast-close').addEventListener('click', () => notification.remove());
         document.body.appendChild(notification);
 
         // Add toast styles if not already present
@@ -754,9 +777,7 @@ class AFZDashboard {
     addToastStyles() {
         if (document.getElementById('toast-styles')) return;
 
-        const styles = document.createElement('style');
-        styles.id = 'toast-styles';
-        styles.textContent = `
+        window.afzCsp.addStyles(`
             .notification-toast {
                 position: fixed;
                 top: 20px;
@@ -845,8 +866,7 @@ class AFZDashboard {
                 background: #f3f4f6;
                 color: #374151;
             }
-        `;
-        document.head.appendChild(styles);
+        `, 'toast-styles');
     }
 
     showModal(title, content) {
@@ -856,7 +876,7 @@ class AFZDashboard {
             <div class="modal-container">
                 <div class="modal-header">
                     <h3>${title}</h3>
-                    <button class="modal-close" onclick="this.closest('.modal-overlay').remove()">
+                    <button class="modal-close">
                         <i class="fas fa-times"></i>
                     </button>
                 </div>
@@ -871,9 +891,9 @@ class AFZDashboard {
         // Add modal styles if not already present
         this.addModalStyles();
 
-        // Close on overlay click
+        // Close on overlay click or the close button
         modal.addEventListener('click', (e) => {
-            if (e.target === modal) {
+            if (e.target === modal || e.target.closest('.modal-close')) {
                 modal.remove();
             }
         });
@@ -882,9 +902,7 @@ class AFZDashboard {
     addModalStyles() {
         if (document.getElementById('modal-styles')) return;
 
-        const styles = document.createElement('style');
-        styles.id = 'modal-styles';
-        styles.textContent = `
+        window.afzCsp.addStyles(`
             .modal-overlay {
                 position: fixed;
                 top: 0;
@@ -950,8 +968,7 @@ class AFZDashboard {
                 line-height: 1.6;
                 color: #4b5563;
             }
-        `;
-        document.head.appendChild(styles);
+        `, 'modal-styles');
     }
 
     getTimeAgo(date) {
@@ -1052,7 +1069,8 @@ class AFZDashboard {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
                     const progress = entry.target;
-                    const width = progress.style.width;
+                    // Widths come from data-width since the CSP blocks style attributes
+                    const width = progress.dataset.width || progress.style.width;
                     progress.style.width = '0%';
                     progress.style.transition = 'width 1s ease-out';
 
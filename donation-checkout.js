@@ -0,0 +1,1196 @@
+/**
+ * AFZ Donate - Checkout
+ * The one donation pipeline: amount, donor details, payment and confirmation, for the donate page
+ * and for the donation widget in the member hub
+ */
+
+const CHECKOUT_STEPS = ['amount', 'details', 'gateway', 'confirmation'];
+
+// Rates come from the server's daily table (see loadExchangeRates)
+const CHECKOUT_CURRENCIES = {
+    'USD': { symbol: '$', name: 'US Dollar' },
+    'EUR': { symbol: '€', name: 'Euro' },
+    'GBP': { symbol: '£', name: 'British Pound' },
+    'ZMW': { symbol: 'ZK', name: 'Zambian Kwacha' },
+    'ZAR': { symbol: 'R', name: 'South African Rand' },
+    'KES': { symbol: 'KSh', name: 'Kenyan Shilling' },
+    'UGX': { symbol: 'USh', name: 'Ugandan Shilling' },
+    'CAD': { symbol: 'C$', name: 'Canadian Dollar' },
+    'AUD': { symbol: 'A$', name: 'Australian Dollar' }
+};
+
+// Fixed fees are in US dollars and converted into the donation's currency (see fixedFee)
+const CHECKOUT_GATEWAYS = {
+    'paypal': {
+        name: 'PayPal',
+        currencies: ['USD', 'EUR', 'GBP', 'CAD', 'AUD'],
+        fees: { fixed: 0.30, percentage: 2.9 },
+        logo: '💳'
+    },
+    'stripe': {
+        name: 'Stripe',
+        currencies: ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'ZAR'],
+        fees: { fixed: 0.30, percentage: 2.9 },
+        logo: '🔒'
+    },
+    'flutterwave': {
+        name: 'Flutterwave',
+        currencies: ['USD', 'ZAR', 'KES', 'UGX', 'ZMW'],
+        fees: { fixed: 0.00, percentage: 3.8 },
+        logo: '🌍'
+    },
+    'mobile-money': {
+        name: 'Mobile Money',
+        // MTN and Airtel collections are taken from Zambian numbers only
+        currencies: ['ZMW'],
+        fees: { fixed: 0.00, percentage: 1.5 },
+        logo: '📱'
+    }
+};
+
+let checkoutCount = 0;
+
+/**
+ * Drives one donation form through CHECKOUT_STEPS. The form marks each step's fields with
+ * data-checkout-step; everything is looked up inside the form, so several can share a page.
+ */
+class DonationCheckout {
+    constructor(form) {
+        this.form = form;
+        this.uid = form.id || `donationCheckout${++checkoutCount}`;
+        // 'page' or 'widget'; only the donate page is where the gateways send donors back to
+        this.source = form.getAttribute('data-donation-checkout') || 'page';
+
+        this.supportedCurrencies = CHECKOUT_CURRENCIES;
+        this.paymentGateways = CHECKOUT_GATEWAYS;
+        this.exchangeRates = null;
+        // Preset amounts per currency, rounded by the server from the same rates
+        this.donationAmounts = {};
+
+        this.step = CHECKOUT_STEPS[0];
+        this.currentCurrency = null;
+        this.processing = false;
+        // Set when the donation is earmarked to an open campaign, or made through a member's fundraising page
+        this.campaign = null;
+        this.fundraiser = null;
+
+        this.init();
+    }
+
+    init() {
+        this.loadExchangeRates();
+        this.loadCampaign();
+        this.setupCurrencySelector();
+        this.setupEventListeners();
+        this.prefillDonor();
+        this.initializeAnalytics();
+        this.goTo(CHECKOUT_STEPS[0]);
+
+        const currency = this.form.getAttribute('data-currency');
+        if (currency && this.supportedCurrencies[currency]) {
+            this.setDefaultCurrency(currency);
+        } else {
+            this.detectUserLocation();
+        }
+
+        if (this.source === 'page') {
+            this.resumeCheckout();
+        }
+    }
+
+    setupEventListeners() {
+        this.form.addEventListener('click', (e) => {
+            const amountButton = e.target.closest('.amount-btn');
+            if (amountButton) {
+                e.preventDefault();
+                this.selectAmount(amountButton);
+            } else if (e.target.closest('[data-checkout-next]')) {
+                this.next();
+            } else if (e.target.closest('[data-checkout-back]')) {
+                this.back();
+            }
+        });
+
+        this.form.addEventListener('change', (e) => {
+            if (e.target.matches('[name="paymentMethod"]')) {
+                this.showPaymentMethodDetails(e.target.value);
+                this.refreshDonationSummary();
+            } else if (e.target.matches('[name="coverFees"]')) {
+                this.refreshDonationSummary();
+            } else if (e.target.matches('[name="currency"]')) {
+                this.setDefaultCurrency(e.target.value);
+            } else if (e.target.matches('[name="tributeType"]')) {
+                this.showTributeDetails(e.target.value);
+            }
+        });
+
+        this.form.addEventListener('input', (e) => {
+            this.clearFieldError(e.target);
+            if (e.target.matches('[name="customAmount"]')) {
+                this.refreshDonationSummary();
+            }
+        });
+
+        // Enter in a field moves on a step; only the last step before the confirmation submits
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.step === 'gateway') {
+                this.processDonation();
+            } else {
+                this.next();
+            }
+        });
+    }
+
+    goTo(step) {
+        this.step = step;
+
+        this.form.querySelectorAll('[data-checkout-step]').forEach(panel => {
+            panel.hidden = panel.getAttribute('data-checkout-step') !== step;
+        });
+        this.form.querySelectorAll('[data-checkout-progress]').forEach(item => {
+            const itemStep = item.getAttribute('data-checkout-progress');
+            item.classList.toggle('done', CHECKOUT_STEPS.indexOf(itemStep) < CHECKOUT_STEPS.indexOf(step));
+            if (itemStep === step) {
+                item.setAttribute('aria-current', 'step');
+            } else {
+                item.removeAttribute('aria-current');
+            }
+        });
+
+        const actions = this.form.querySelector('.form-actions');
+        if (actions) actions.hidden = step === 'confirmation';
+        this.form.querySelectorAll('[data-checkout-back]').forEach(button => {
+            button.hidden = step === CHECKOUT_STEPS[0];
+        });
+        this.form.querySelectorAll('[data-checkout-next]').forEach(button => {
+            button.hidden = step === 'gateway';
+        });
+        this.form.querySelectorAll('[type="submit"]').forEach(button => {
+            button.hidden = step !== 'gateway';
+        });
+
+        if (step === 'gateway') {
+            this.refreshDonationSummary();
+        }
+    }
+
+    // Tribute details appear once the donor dedicates the gift; a memorial gift starts on the quieter card
+    showTributeDetails(type) {
+        const details = this.form.querySelector('[data-tribute-details]');
+        if (!details) return;
+
+        details.hidden = !type;
+        const design = this.form.querySelector(`[name="tributeDesign"][value="${type === 'memory' ? 'remembrance' : 'sunrise'}"]`);
+        if (design) design.checked = true;
+    }
+
+    // The confirmation is only reached by paying, never by moving on
+    next() {
+        const following = CHECKOUT_STEPS[CHECKOUT_STEPS.indexOf(this.step) + 1];
+        if (this.processing || !following || following === 'confirmation') return;
+
+        const errors = this.validateStep(this.step, this.collectDonationData());
+        if (errors.length > 0) {
+            this.showValidationErrors(errors);
+            return;
+        }
+
+        this.clearMessages();
+        this.goTo(following);
+        this.focusStep();
+    }
+
+    back() {
+        if (this.processing) return;
+
+        this.clearMessages();
+        this.goTo(CHECKOUT_STEPS[Math.max(0, CHECKOUT_STEPS.indexOf(this.step) - 1)]);
+        this.focusStep();
+    }
+
+    focusStep() {
+        const panel = this.form.querySelector(`[data-checkout-step="${this.step}"]`);
+        const first = panel && panel.querySelector('input:not([type="hidden"]), select, textarea, button');
+        if (first) first.focus();
+    }
+
+    async detectUserLocation() {
+        try {
+            // Try to detect user's location for currency suggestion
+            const response = await fetch('https://ipapi.co/json/');
+            const data = await response.json();
+
+            const countryToCurrency = {
+                'US': 'USD', 'GB': 'GBP', 'EU': 'EUR', 'ZM': 'ZMW',
+                'ZA': 'ZAR', 'KE': 'KES', 'UG': 'UGX', 'CA': 'CAD',
+                'AU': 'AUD'
+            };
+
+            const suggestedCurrency = countryToCurrency[data.country_code] || 'USD';
+            this.setDefaultCurrency(suggestedCurrency);
+
+        } catch {
+            this.setDefaultCurrency('USD');
+        }
+    }
+
+    async loadExchangeRates() {
+        try {
+            const data = await window.afzApi.request('GET', '/exchange-rates');
+            this.exchangeRates = data.rates;
+            this.donationAmounts = data.presets;
+        } catch (error) {
+            // The buttons keep the amounts in the page and no kwacha equivalent is shown
+            console.warn('Could not load exchange rates:', error.message);
+            return;
+        }
+
+        if (this.currentCurrency) {
+            this.updateDonationAmounts();
+        }
+    }
+
+    // The donate page takes ?campaign=<slug>; a widget can be tied to one with data-campaign
+    async loadCampaign() {
+        const params = this.source === 'page' ? new URLSearchParams(window.location.search) : new URLSearchParams();
+        const slug = this.form.getAttribute('data-campaign') || params.get('campaign');
+        const banner = this.form.querySelector('[data-checkout-campaign]');
+        if (params.get('fundraiser') && banner) {
+            this.loadFundraiser(params.get('fundraiser'), banner);
+            return;
+        }
+        if (!slug || !banner) return;
+
+        let campaign;
+        try {
+            ({ campaign } = await window.afzApi.request('GET', `/campaigns/${encodeURIComponent(slug)}`));
+        } catch (error) {
+            console.warn('Could not load the campaign:', error.message);
+            return;
+        }
+
+        if (!campaign.open) {
+            banner.innerHTML = `<p class="checkout-campaign-note">${this.escapeHtml(campaign.title)} is no longer taking donations, ` +
+                'so your gift will go where it is needed most.</p>';
+            banner.hidden = false;
+            return;
+        }
+
+        this.campaign = campaign;
+        if (window.campaignProgress) {
+            window.campaignProgress.render(banner, campaign, { donate: false });
+        } else {
+            banner.innerHTML = `<p class="checkout-campaign-note">${this.escapeHtml(campaign.title)}</p>`;
+            banner.hidden = false;
+        }
+        banner.insertAdjacentHTML('afterbegin', '<p class="checkout-campaign-note" data-translate="checkout-campaign-note">Your donation goes to:</p>');
+    }
+
+    // Links from a member's page carry ?fundraiser=<slug>; the gift counts towards the page and its campaign
+    async loadFundraiser(slug, banner) {
+        let fundraiser;
+        try {
+            ({ fundraiser } = await window.afzApi.request('GET', `/fundraisers/${encodeURIComponent(slug)}`));
+        } catch (error) {
+            console.warn('Could not load the fundraising page:', error.message);
+            return;
+        }
+
+        if (!fundraiser.open) {
+            banner.innerHTML = `<p class="checkout-campaign-note">${this.escapeHtml(fundraiser.title)} is no longer taking donations, ` +
+                'so your gift will go where it is needed most.</p>';
+            banner.hidden = false;
+            return;
+        }
+
+        this.fundraiser = fundraiser;
+        if (window.campaignProgress) {
+            window.campaignProgress.render(banner, fundraiser, { donate: false });
+        } else {
+            banner.innerHTML = `<p class="checkout-campaign-note">${this.escapeHtml(fundraiser.title)}</p>`;
+            banner.hidden = false;
+        }
+        banner.insertAdjacentHTML('afterbegin', `<p class="checkout-campaign-note">${this.escapeHtml(fundraiser.displayName)} ` +
+            `is raising money for ${this.escapeHtml(fundraiser.campaign.title)}. Your donation goes to:</p>`);
+    }
+
+    // What an amount is worth in kwacha at today's rates, or null before the rates have loaded
+    toZmw(amount, currency) {
+        if (!this.exchangeRates || !this.exchangeRates[currency]) return null;
+        return amount * this.exchangeRates.ZMW / this.exchangeRates[currency];
+    }
+
+    setDefaultCurrency(currency) {
+        this.currentCurrency = currency;
+        this.updateCurrencyDisplay();
+        this.updateDonationAmounts();
+        this.updatePaymentGatewaysForCurrency();
+        this.refreshDonationSummary();
+    }
+
+    setupCurrencySelector() {
+        const selectId = `${this.uid}-currency`;
+        const currencyGroup = document.createElement('fieldset');
+        currencyGroup.className = 'currency-selection-group';
+        currencyGroup.innerHTML = `
+            <legend class="form-legend" data-translate="currency-label">Currency</legend>
+            <select id="${selectId}" name="currency" class="currency-select">
+                ${Object.entries(this.supportedCurrencies).map(([code, info]) =>
+        `<option value="${code}">${info.symbol} ${code} - ${info.name}</option>`
+    ).join('')}
+            </select>
+        `;
+
+        // After the donation type where there is one, otherwise first in the amount step
+        const donationTypeGroup = this.form.querySelector('.donation-type-group');
+        if (donationTypeGroup) {
+            donationTypeGroup.insertAdjacentElement('afterend', currencyGroup);
+        } else {
+            this.form.querySelector('[data-checkout-step="amount"]').prepend(currencyGroup);
+        }
+    }
+
+    updateCurrencyDisplay() {
+        const currencySelect = this.form.elements.namedItem('currency');
+        if (currencySelect) {
+            currencySelect.value = this.currentCurrency;
+        }
+
+        // Update amount legend
+        const amountLegend = this.form.querySelector('[data-translate="donation-amount-label"]');
+        if (amountLegend) {
+            const currency = this.supportedCurrencies[this.currentCurrency];
+            amountLegend.textContent = `Donation Amount (${currency.symbol} ${this.currentCurrency})`;
+        }
+    }
+
+    updateDonationAmounts() {
+        const amounts = this.donationAmounts[this.currentCurrency] || [];
+        const amountButtons = this.form.querySelectorAll('.amount-btn:not(.custom-amount)');
+        const currency = this.supportedCurrencies[this.currentCurrency];
+
+        amountButtons.forEach((btn, index) => {
+            const amount = amounts[index] || parseFloat(btn.getAttribute('data-amount'));
+            btn.setAttribute('data-amount', amount);
+            btn.textContent = `${currency.symbol}${amount.toLocaleString()}`;
+        });
+    }
+
+    selectAmount(button) {
+        this.form.querySelectorAll('.amount-btn').forEach(btn => btn.classList.remove('active'));
+        button.classList.add('active');
+
+        const customInput = this.form.querySelector('.custom-amount-input');
+        const customAmount = this.form.elements.namedItem('customAmount');
+        if (button.classList.contains('custom-amount')) {
+            customInput.hidden = false;
+            customAmount.focus();
+        } else {
+            customInput.hidden = true;
+            customAmount.value = '';
+        }
+
+        this.clearFieldError(customAmount);
+        this.refreshDonationSummary();
+    }
+
+    getSelectedAmount() {
+        const activeBtn = this.form.querySelector('.amount-btn.active');
+        if (activeBtn && activeBtn.classList.contains('custom-amount')) {
+            return parseFloat(this.form.elements.namedItem('customAmount').value) || 0;
+        } else if (activeBtn) {
+            return parseFloat(activeBtn.getAttribute('data-amount')) || 0;
+        }
+        return 0;
+    }
+
+    updatePaymentGatewaysForCurrency() {
+        const paymentOptions = this.form.querySelector('.payment-options');
+        if (!paymentOptions) return;
+
+        const previous = this.form.elements.namedItem('paymentMethod');
+        const previousMethod = previous ? previous.value : null;
+        paymentOptions.innerHTML = '';
+
+        // Add available payment methods for current currency
+        Object.entries(this.paymentGateways).forEach(([gateway, info]) => {
+            if (info.currencies.includes(this.currentCurrency)) {
+                const optionId = `${this.uid}-${gateway}`;
+                const option = document.createElement('div');
+                option.className = 'payment-option';
+                option.innerHTML = `
+                    <input type="radio" id="${optionId}" name="paymentMethod" value="${gateway}">
+                    <label for="${optionId}" class="payment-label">
+                        <span class="payment-icon">${info.logo}</span>
+                        <span class="payment-name">${info.name}</span>
+                        <span class="payment-fee">${info.fees.percentage}% + ${this.supportedCurrencies[this.currentCurrency].symbol}${this.fixedFee(info.fees, this.currentCurrency).toFixed(2)}</span>
+                    </label>
+                `;
+                paymentOptions.appendChild(option);
+            }
+        });
+
+        // Keep the donor's choice where the new currency allows it, otherwise the first option
+        const options = Array.from(paymentOptions.querySelectorAll('input[type="radio"]'));
+        const selected = options.find(option => option.value === previousMethod) || options[0];
+        if (selected) {
+            selected.checked = true;
+            this.showPaymentMethodDetails(selected.value);
+        }
+    }
+
+    showPaymentMethodDetails(method) {
+        // Remove existing details
+        this.form.querySelectorAll('.payment-details').forEach(el => el.remove());
+
+        const details = document.createElement('div');
+        details.className = 'payment-details';
+
+        switch (method) {
+        case 'mobile-money':
+            details.innerHTML = `
+                    <div class="mobile-money-details">
+                        <h5 data-translate="mobile-money-instructions">Mobile Money Instructions</h5>
+                        <div class="payment-options mobile-money-networks">
+                            <div class="payment-option">
+                                <input type="radio" id="${this.uid}-network-mtn" name="mobileMoneyNetwork" value="mtn" checked>
+                                <label for="${this.uid}-network-mtn" class="payment-label">
+                                    <img src="../images/payments/mtnmoney.svg" alt="" />
+                                    <span>MTN Mobile Money</span>
+                                </label>
+                            </div>
+                            <div class="payment-option">
+                                <input type="radio" id="${this.uid}-network-airtel" name="mobileMoneyNetwork" value="airtel">
+                                <label for="${this.uid}-network-airtel" class="payment-label">
+                                    <img src="../images/payments/airtelmoney.svg" alt="" />
+                                    <span>Airtel Money</span>
+                                </label>
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label for="${this.uid}-mobileMoneyPhone" data-translate="mobile-money-phone">Mobile Money Number</label>
+                            <input type="tel" id="${this.uid}-mobileMoneyPhone" name="mobileMoneyPhone" placeholder="e.g. 0971234567" autocomplete="tel">
+                        </div>
+                        <ol>
+                            <li data-translate="mobile-step-1">Choose your network and enter the number to pay from</li>
+                            <li data-translate="mobile-step-2">After clicking "Proceed to Payment" you'll get a prompt on that phone</li>
+                            <li data-translate="mobile-step-3">Enter your PIN to approve the donation; this page updates by itself</li>
+                        </ol>
+                        <p class="supported-networks" data-translate="supported-networks">
+                            Supported: Airtel Money, MTN Mobile Money (payments in Zambian Kwacha)
+                        </p>
+                    </div>
+                `;
+            break;
+        case 'paypal':
+            details.innerHTML = `
+                    <div class="paypal-details">
+                        <p data-translate="paypal-instructions">
+                            You'll be redirected to PayPal to complete your secure donation.
+                            You can pay with your PayPal account or any major credit/debit card.
+                        </p>
+                    </div>
+                `;
+            break;
+        case 'stripe':
+            details.innerHTML = `
+                    <div class="stripe-details">
+                        <p data-translate="stripe-instructions">
+                            Secure card payment powered by Stripe. We accept Visa, Mastercard,
+                            American Express, and local payment methods.
+                        </p>
+                    </div>
+                `;
+            break;
+        case 'flutterwave':
+            details.innerHTML = `
+                    <div class="flutterwave-details">
+                        <p data-translate="flutterwave-instructions">
+                            African payment gateway supporting cards, mobile money, bank transfers,
+                            and local payment methods across Africa.
+                        </p>
+                    </div>
+                `;
+            break;
+        }
+
+        const paymentMethodGroup = this.form.querySelector('.payment-method-group');
+        paymentMethodGroup.appendChild(details);
+    }
+
+    // The fixed part of a gateway's fee is set in dollars and charged in the donation's currency at today's rate
+    fixedFee(fees, currency) {
+        const rates = this.exchangeRates;
+        const rate = rates && rates[currency] && rates.USD ? rates[currency] / rates.USD : 1;
+        return Math.round(fees.fixed * rate * 100) / 100;
+    }
+
+    // Same calculation as the server's ledger (feeBreakdown in server/donations.js), which decides the charge
+    feeBreakdown(gateway, amount, coverFees) {
+        const gatewayInfo = this.paymentGateways[gateway];
+        const percentage = gatewayInfo ? gatewayInfo.fees.percentage : 0;
+        const fixed = gatewayInfo ? this.fixedFee(gatewayInfo.fees, this.currentCurrency) : 0;
+        const round = value => Math.round(value * 100) / 100;
+
+        if (coverFees) {
+            const gross = Math.ceil((amount + fixed) / (1 - percentage / 100) * 100) / 100;
+            return { gross, fee: round(gross - amount), net: amount };
+        }
+
+        const fee = Math.min(amount, round(amount * percentage / 100 + fixed));
+        return { gross: amount, fee, net: round(amount - fee) };
+    }
+
+    refreshDonationSummary() {
+        const summaryDiv = this.form.querySelector('.donation-summary');
+        const amount = this.getSelectedAmount();
+        if (!summaryDiv || !this.currentCurrency) return;
+
+        summaryDiv.hidden = !(amount > 0);
+        if (amount > 0) {
+            this.updateDonationSummary(summaryDiv, amount);
+        }
+    }
+
+    updateDonationSummary(summaryDiv, amount) {
+        const { paymentMethod, currency: code, options } = this.collectDonationData();
+        const currency = this.supportedCurrencies[code];
+        const { gross, fee, net } = this.feeBreakdown(paymentMethod, amount, options.coverFees);
+        const zmwTotal = code !== 'ZMW' ? this.toZmw(gross, code) : null;
+        const impactNote = options.coverFees
+            ? 'Thank you for covering the fee: your whole donation goes to AFZ programs.'
+            : 'Tick "Cover the processing fee" so AFZ receives your full donation.';
+
+        summaryDiv.innerHTML = `
+            <div class="summary-card">
+                <h4 data-translate="donation-summary-title">Donation Summary</h4>
+                <div class="summary-line total">
+                    <span data-translate="summary-you-pay">You Pay:</span>
+                    <span class="total-amount">${currency.symbol}${gross.toFixed(2)}</span>
+                </div>
+                <div class="summary-line">
+                    <span data-translate="summary-processing-fee">Processing Fee:</span>
+                    <span class="fees">${currency.symbol}${fee.toFixed(2)}</span>
+                </div>
+                <div class="summary-line">
+                    <span data-translate="summary-afz-receives">AFZ Receives:</span>
+                    <span class="amount">${currency.symbol}${net.toFixed(2)}</span>
+                </div>
+                ${zmwTotal !== null ? `
+                <div class="summary-line">
+                    <span data-translate="zmw-equivalent">Approximately in Kwacha:</span>
+                    <span class="zmw-amount">ZK${zmwTotal.toLocaleString(undefined, { maximumFractionDigits: 0 })}</span>
+                </div>` : ''}
+                <div class="impact-note">
+                    <small>${impactNote}</small>
+                </div>
+            </div>
+        `;
+    }
+
+    // A signed-in member (the hub widget, or the donate page in the same tab) does not retype their details
+    prefillDonor() {
+        const user = window.afzApi && window.afzApi.getUser();
+        if (!user) return;
+
+        ['firstName', 'lastName', 'email', 'phone'].forEach(name => {
+            const field = this.form.elements.namedItem(name);
+            if (field && !field.value && user[name]) {
+                field.value = user[name];
+            }
+        });
+    }
+
+    fieldValue(name) {
+        const field = this.form.elements.namedItem(name);
+        return field ? (field.value || '').trim() : '';
+    }
+
+    isChecked(name) {
+        const field = this.form.elements.namedItem(name);
+        return Boolean(field && field.checked);
+    }
+
+    collectDonationData() {
+        return {
+            amount: this.getSelectedAmount(),
+            currency: this.currentCurrency,
+            donationType: this.fieldValue('donationType') || 'one-time',
+            paymentMethod: this.fieldValue('paymentMethod'),
+            donor: {
+                firstName: this.fieldValue('firstName'),
+                lastName: this.fieldValue('lastName'),
+                email: this.fieldValue('email'),
+                phone: this.fieldValue('phone')
+            },
+            options: {
+                anonymous: this.isChecked('anonymous'),
+                newsletter: this.isChecked('newsletter'),
+                coverFees: this.isChecked('coverFees'),
+                dedication: this.fieldValue('dedicationMessage')
+            },
+            mobileMoney: {
+                network: this.fieldValue('mobileMoneyNetwork'),
+                phone: this.fieldValue('mobileMoneyPhone') || this.fieldValue('phone')
+            },
+            tribute: this.collectTribute(),
+            campaign: this.campaign ? this.campaign.slug : null,
+            fundraiser: this.fundraiser ? this.fundraiser.slug : null,
+            timestamp: new Date().toISOString(),
+            source: `afz-website-${this.source}`
+        };
+    }
+
+    collectTribute() {
+        const checked = this.form.querySelector('[name="tributeType"]:checked');
+        if (!checked || !checked.value) return null;
+
+        const design = this.form.querySelector('[name="tributeDesign"]:checked');
+        return {
+            type: checked.value,
+            honoreeName: this.fieldValue('honoreeName'),
+            recipientName: this.fieldValue('tributeRecipientName'),
+            recipientEmail: this.fieldValue('tributeRecipientEmail'),
+            design: design ? design.value : null,
+            sendOn: this.fieldValue('tributeSendOn')
+        };
+    }
+
+    /**
+     * The problems with one step of a donation, as { field, message } where field names the
+     * input to mark (or is null). Submitting checks every step again.
+     */
+    validateStep(step, data) {
+        const errors = [];
+
+        switch (step) {
+        case 'amount':
+            if (!data.amount || data.amount <= 0) {
+                errors.push({ field: 'customAmount', message: 'Please select or enter a donation amount' });
+            }
+            break;
+        case 'details':
+            if (!data.donor.firstName) {
+                errors.push({ field: 'firstName', message: 'First name is required' });
+            }
+            if (!data.donor.lastName) {
+                errors.push({ field: 'lastName', message: 'Last name is required' });
+            }
+            if (!this.isValidEmail(data.donor.email)) {
+                errors.push({ field: 'email', message: 'Valid email address is required' });
+            }
+            if (data.donor.phone && !this.isValidPhone(data.donor.phone)) {
+                errors.push({ field: 'phone', message: 'Please enter a valid phone number' });
+            }
+            if (data.tribute) {
+                errors.push(...this.validateTribute(data.tribute));
+            }
+            break;
+        case 'gateway':
+            if (!this.paymentGateways[data.paymentMethod]) {
+                errors.push({ field: null, message: 'This payment method is not available online yet' });
+            }
+            if (data.paymentMethod === 'mobile-money') {
+                if (data.currency !== 'ZMW') {
+                    errors.push({ field: 'currency', message: 'Mobile money donations are made in Zambian Kwacha (ZMW)' });
+                }
+                if (!data.mobileMoney.phone) {
+                    errors.push({ field: 'mobileMoneyPhone', message: 'Please enter the mobile money number to pay from' });
+                }
+            } else if (data.donationType !== 'one-time') {
+                // Each renewal is a new prompt the donor approves on their phone
+                errors.push({ field: null, message: 'Monthly, quarterly and annual donations are currently collected by mobile money' });
+            }
+            break;
+        }
+
+        return errors;
+    }
+
+    validateTribute(tribute) {
+        const errors = [];
+        if (!tribute.honoreeName) {
+            errors.push({ field: 'honoreeName', message: 'Please enter the name of the person your gift honours' });
+        }
+        if (tribute.recipientEmail && !this.isValidEmail(tribute.recipientEmail)) {
+            errors.push({ field: 'tributeRecipientEmail', message: 'Please enter a valid email address for the e-card' });
+        }
+        if (tribute.recipientEmail && !tribute.recipientName) {
+            errors.push({ field: 'tributeRecipientName', message: 'Please enter the name of the person the e-card is for' });
+        }
+        if ((tribute.recipientName || tribute.sendOn) && !tribute.recipientEmail) {
+            errors.push({ field: 'tributeRecipientEmail', message: 'Please enter the email address to send the e-card to' });
+        }
+        // Compared as YYYY-MM-DD in the donor's own time zone
+        const today = new Date(Date.now() - new Date().getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+        if (tribute.sendOn && tribute.sendOn < today) {
+            errors.push({ field: 'tributeSendOn', message: 'Please choose today or a later day for the e-card' });
+        }
+        return errors;
+    }
+
+    // Every step up to and including the given one; the first step with a problem is shown again
+    validateThrough(step, data) {
+        for (const current of CHECKOUT_STEPS.slice(0, CHECKOUT_STEPS.indexOf(step) + 1)) {
+            const errors = this.validateStep(current, data);
+            if (errors.length > 0) {
+                return { step: current, errors };
+            }
+        }
+        return null;
+    }
+
+    isValidEmail(email) {
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        return emailRegex.test(email);
+    }
+
+    isValidPhone(phone) {
+        // Allow various phone formats including international
+        const phoneRegex = /^[\+]?[0-9\s\-\(\)]{10,}$/;
+        return phoneRegex.test(phone);
+    }
+
+    showValidationErrors(errors) {
+        errors.forEach(({ field: name, message }) => {
+            const field = name && this.form.elements.namedItem(name);
+            if (!field || !field.classList) return;
+
+            field.classList.add('error');
+            field.setAttribute('aria-invalid', 'true');
+            const errorElement = document.getElementById(`${field.id}-error`);
+            if (errorElement) {
+                errorElement.textContent = message;
+                errorElement.classList.add('visible');
+            }
+        });
+
+        const errorDiv = this.messageBox('form-errors');
+        errorDiv.innerHTML = `
+            <div class="error-message">
+                <h5>Please correct the following errors:</h5>
+                <ul>
+                    ${errors.map(error => `<li>${error.message}</li>`).join('')}
+                </ul>
+            </div>
+        `;
+
+        // Scroll to errors
+        errorDiv.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    clearFieldError(field) {
+        if (!field || !field.classList || !field.classList.contains('error')) return;
+
+        field.classList.remove('error');
+        field.setAttribute('aria-invalid', 'false');
+        const errorElement = document.getElementById(`${field.id}-error`);
+        if (errorElement) {
+            errorElement.textContent = '';
+            errorElement.classList.remove('visible');
+        }
+    }
+
+    // The error list and mobile money status sit just above the form's buttons
+    messageBox(className, role) {
+        let box = this.form.querySelector(`.${className}`);
+        if (!box) {
+            box = document.createElement('div');
+            box.className = className;
+            if (role) box.setAttribute('role', role);
+            this.form.querySelector('.form-actions').insertAdjacentElement('beforebegin', box);
+        }
+        return box;
+    }
+
+    clearMessages() {
+        this.form.querySelectorAll('.form-errors').forEach(el => el.remove());
+    }
+
+    async processDonation() {
+        if (this.processing) return;
+
+        const donationData = this.collectDonationData();
+        const invalid = this.validateThrough('gateway', donationData);
+        if (invalid) {
+            this.goTo(invalid.step);
+            this.showValidationErrors(invalid.errors);
+            return;
+        }
+
+        this.clearMessages();
+        this.showProcessingState();
+
+        try {
+            // The ledger entry gives the donor a receipt number before they are sent to the gateway
+            donationData.ledger = await this.recordDonation(donationData);
+        } catch (error) {
+            // No answer at all means no connection: the donation waits in the outbox instead
+            if (!(error instanceof ApiRequestError) && window.afzOutbox) {
+                await this.queueDonation(donationData);
+            } else {
+                this.failDonation(error);
+            }
+            return;
+        }
+
+        await this.processPaymentMethod(donationData).catch(error => this.failDonation(error));
+    }
+
+    failDonation(error) {
+        console.error('Payment processing error:', error);
+        this.showMobileMoneyStatus(null);
+        this.showOfflineStatus(null);
+        // Messages from the API are meant for the donor, except for unexpected server errors
+        this.showError(error instanceof ApiRequestError && error.status !== 500
+            ? error.message
+            : 'Payment processing failed. Please try again or contact support.');
+    }
+
+    // Records the donation as pending in the server-side ledger; a receipt is issued once it is paid
+    async recordDonation(donationData) {
+        const data = await window.afzApi.request('POST', '/donations', this.donationPayload(donationData));
+        return this.toLedger(data);
+    }
+
+    /**
+     * Offline, the donation is queued in the outbox (outbox.js) and recorded once there is a connection again.
+     * If this page is still open then, the payment starts from where the donor left it; otherwise the entry
+     * stays pending in the ledger and no money is taken.
+     */
+    async queueDonation(donationData) {
+        let entry;
+        try {
+            entry = await window.afzOutbox.add({
+                kind: 'donation',
+                label: `Donation of ${this.supportedCurrencies[donationData.currency].symbol}${donationData.amount}`,
+                url: '/api/donations',
+                body: this.donationPayload(donationData)
+            });
+        } catch (error) {
+            this.failDonation(error);
+            return;
+        }
+
+        const unsubscribe = window.afzOutbox.subscribe(message => {
+            if (message.id !== entry.id || (message.type !== 'sent' && message.type !== 'rejected')) return;
+            unsubscribe();
+            this.showOfflineStatus(null);
+
+            if (message.type === 'rejected') {
+                this.showError(this.escapeHtml(message.message));
+                return;
+            }
+            donationData.ledger = this.toLedger(message.data);
+            this.showProcessingState();
+            this.processPaymentMethod(donationData).catch(error => this.failDonation(error));
+        });
+
+        // The form stays busy so the same donation is not queued twice
+        this.showOfflineStatus('You are offline, so your donation has been saved on this device. Keep this page open: ' +
+            'once you are back online it will be recorded and the payment will start.');
+    }
+
+    toLedger(data) {
+        return { ...data.donation, token: data.token, receiptUrl: data.receiptUrl };
+    }
+
+    donationPayload(donationData) {
+        return {
+            amount: donationData.amount,
+            currency: donationData.currency,
+            gateway: donationData.paymentMethod,
+            donationType: donationData.donationType,
+            donor: donationData.donor,
+            anonymous: donationData.options.anonymous,
+            coverFees: donationData.options.coverFees,
+            dedication: donationData.options.dedication,
+            campaign: donationData.campaign || undefined,
+            fundraiser: donationData.fundraiser || undefined,
+            tribute: donationData.tribute || undefined
+        };
+    }
+
+    showProcessingState() {
+        const submitBtn = this.form.querySelector('[type="submit"]');
+        this.processing = true;
+        this.form.setAttribute('aria-busy', 'true');
+
+        // Store original text for later restoration
+        if (!submitBtn.hasAttribute('data-original-text')) {
+            submitBtn.setAttribute('data-original-text', submitBtn.textContent.trim());
+        }
+        submitBtn.textContent = 'Processing...';
+        submitBtn.disabled = true;
+        submitBtn.classList.add('processing');
+    }
+
+    hideProcessingState() {
+        const submitBtn = this.form.querySelector('[type="submit"]');
+        this.processing = false;
+        this.form.setAttribute('aria-busy', 'false');
+
+        const originalText = submitBtn.getAttribute('data-original-text');
+        if (originalText) submitBtn.textContent = originalText;
+        submitBtn.disabled = false;
+        submitBtn.classList.remove('processing');
+    }
+
+    async processPaymentMethod(donationData) {
+        const { paymentMethod } = donationData;
+
+        switch (paymentMethod) {
+        case 'paypal':
+        case 'stripe':
+        case 'flutterwave':
+            await this.redirectToCheckout(donationData);
+            break;
+        case 'mobile-money':
+            await this.processMobileMoney(donationData);
+            break;
+        default:
+            throw new Error('Unsupported payment method');
+        }
+    }
+
+    // PayPal, Stripe and Flutterwave take the payment on their own pages and bring the donor back
+    // to the donate page, which then asks the server how it went (see resumeCheckout)
+    async redirectToCheckout(donationData) {
+        const { ledger } = donationData;
+        const { url } = await window.afzApi.request('POST', `/donations/${encodeURIComponent(ledger.id)}/checkout`, {
+            token: ledger.token
+        });
+
+        window.location.href = url;
+    }
+
+    // The gateway's webhook settles the donation; it can arrive a little after the donor does
+    async resumeCheckout() {
+        const params = new URLSearchParams(window.location.search);
+        const id = params.get('donation');
+        const token = params.get('token');
+        if (!id || !token) return;
+
+        if (params.get('cancelled')) {
+            this.showError('The payment was cancelled and no money was taken. You can try again below.');
+            return;
+        }
+
+        this.goTo('gateway');
+        this.showProcessingState();
+        const path = `/donations/${encodeURIComponent(id)}/status?token=${encodeURIComponent(token)}`;
+
+        try {
+            let data = await window.afzApi.request('GET', path);
+            for (let attempt = 0; data.donation.status === 'pending' && attempt < 10; attempt++) {
+                await new Promise(resolve => setTimeout(resolve, 3000));
+                data = await window.afzApi.request('GET', path);
+            }
+
+            const { donation } = data;
+            if (donation.status === 'failed') {
+                this.goTo(CHECKOUT_STEPS[0]);
+                this.showError(`${this.paymentGateways[donation.gateway].name} could not take the payment. ` +
+                    'No money was taken; please try again or choose another payment method.');
+                return;
+            }
+
+            this.showPaymentSuccess({
+                amount: donation.amount,
+                currency: donation.currency,
+                donationType: donation.donationType,
+                paymentMethod: donation.gateway,
+                ledger: { ...donation, token, receiptUrl: data.receiptUrl }
+            }, this.paymentGateways[donation.gateway].name);
+        } catch (error) {
+            console.error('Could not confirm the donation:', error);
+            this.goTo(CHECKOUT_STEPS[0]);
+            this.showError('We could not confirm your payment yet. Your receipt will be emailed as soon as it is confirmed.');
+        }
+    }
+
+    // Sends a request-to-pay prompt to the donor's phone, then follows it until they approve or decline
+    async processMobileMoney(donationData) {
+        const { ledger, mobileMoney } = donationData;
+
+        const { payment } = await window.afzApi.request('POST', '/mobile-money/payments', {
+            donationId: ledger.id,
+            token: ledger.token,
+            provider: mobileMoney.network || undefined,
+            phone: mobileMoney.phone
+        });
+
+        this.showMobileMoneyStatus(`Check your phone: approve the ${payment.providerName} prompt on ` +
+            `+${payment.msisdn} with your PIN. Waiting for confirmation...`);
+
+        const result = await this.pollMobileMoneyPayment(payment, ledger.token);
+        this.showMobileMoneyStatus(null);
+
+        switch (result.status) {
+        case 'successful':
+            ledger.status = 'completed';
+            this.showPaymentSuccess(donationData, payment.providerName);
+            break;
+        case 'timeout':
+            this.showError('The payment was not approved in time. Please try again when your phone is nearby.');
+            break;
+        default:
+            this.showError(`${payment.providerName} declined the payment${result.reason ? ` (${result.reason})` : ''}. ` +
+                'No money was taken; please try again or choose another payment method.');
+        }
+    }
+
+    // The server checks with the network and decides when a prompt has timed out
+    async pollMobileMoneyPayment(payment, token) {
+        const path = `/mobile-money/payments/${encodeURIComponent(payment.id)}?token=${encodeURIComponent(token)}`;
+        let current = payment;
+
+        // The server gives up at expiresAt; this only guards against losing the connection for good
+        const giveUpAt = new Date(payment.expiresAt).getTime() + 60 * 1000;
+
+        while (current.status === 'pending') {
+            if (Date.now() > giveUpAt) {
+                throw new Error('Lost contact while waiting for the mobile money payment');
+            }
+            await new Promise(resolve => setTimeout(resolve, 3000));
+            try {
+                ({ payment: current } = await window.afzApi.request('GET', path));
+            } catch (error) {
+                // A dropped connection should not abandon a payment the donor may still approve
+                if (!(error instanceof ApiRequestError) || error.status >= 500) continue;
+                throw error;
+            }
+        }
+        return current;
+    }
+
+    showMobileMoneyStatus(message) {
+        if (!message) {
+            this.form.querySelectorAll('.mobile-money-status').forEach(el => el.remove());
+            return;
+        }
+
+        this.messageBox('mobile-money-status', 'status').textContent = message;
+    }
+
+    showOfflineStatus(message) {
+        if (!message) {
+            this.form.querySelectorAll('.checkout-offline-status').forEach(el => el.remove());
+            return;
+        }
+
+        this.messageBox('checkout-offline-status', 'status').textContent = message;
+    }
+
+    showPaymentSuccess(donationData, method) {
+        const panel = this.form.querySelector('[data-checkout-step="confirmation"]');
+        const currency = this.supportedCurrencies[donationData.currency];
+        const { ledger } = donationData;
+        const paid = ledger.status === 'completed';
+        const receiptMessage = paid
+            ? 'Your receipt has been emailed to you and can be downloaded below.'
+            : 'Your receipt will be emailed to you as soon as the payment is confirmed. Please keep your receipt number for your records.';
+        const recurringMessage = ledger.subscriptionId
+            ? `<p>Your ${donationData.donationType} donation is set up. We will send a payment prompt to your phone ` +
+              'each time it is due, and the email confirming it has a link to pause, change or cancel it at any time.</p>'
+            : '';
+        const tributeMessage = ledger.tribute ? this.tributeMessage(ledger.tribute) : '';
+        let campaignMessage = '';
+        if (ledger.fundraiserId && this.fundraiser) {
+            campaignMessage = `<p>Your gift counts towards <strong>${this.escapeHtml(this.fundraiser.title)}</strong>, ` +
+                `${this.escapeHtml(this.fundraiser.displayName)}'s page for ${this.escapeHtml(this.fundraiser.campaign.title)}.</p>`;
+        } else if (ledger.campaignId && this.campaign) {
+            campaignMessage = `<p>Your gift counts towards <strong>${this.escapeHtml(this.campaign.title)}</strong>.</p>`;
+        }
+
+        panel.innerHTML = `
+            <div class="payment-success">
+                <div class="success-icon">✅</div>
+                <h3 data-translate="payment-success-title">Thank You for Your Donation!</h3>
+                <div class="donation-details">
+                    <p><strong>Amount:</strong> ${currency.symbol}${ledger.amount.toFixed(2)}</p>
+                    ${ledger.coverFees ? `<p><strong>Including processing fee:</strong> ${currency.symbol}${ledger.feeAmount.toFixed(2)}</p>` : ''}
+                    <p><strong>Payment Method:</strong> ${method}</p>
+                    <p><strong>Receipt Number:</strong> ${ledger.receiptNumber}</p>
+                </div>
+                <p data-translate="payment-success-message">
+                    Your generous donation will help AFZ continue advocating for the rights of persons with albinism in Zambia.
+                </p>
+                <p>${receiptMessage}</p>
+                ${campaignMessage}
+                ${tributeMessage}
+                ${recurringMessage}
+                <div class="success-actions">
+                    ${this.source === 'page' ? '<a href="../index.html" class="cta-button primary" data-translate="return-home">Return to Home</a>' : ''}
+                    ${paid ? `<a href="${ledger.receiptUrl}&download=1" class="cta-button secondary" data-translate="download-receipt">Download Receipt</a>` : ''}
+                </div>
+            </div>
+        `;
+
+        this.hideProcessingState();
+        this.goTo('confirmation');
+        panel.scrollIntoView({ behavior: 'smooth' });
+
+        // Track donation completion
+        this.trackDonationCompletion(donationData);
+    }
+
+    tributeMessage(tribute) {
+        const line = `<p>Your gift is made <strong>${this.escapeHtml(tribute.line.replace(/^In/, 'in'))}</strong>.`;
+        if (tribute.cardStatus !== 'scheduled') return `${line}</p>`;
+
+        const when = tribute.sendAt
+            ? `on ${new Date(tribute.sendAt).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })}`
+            : 'as soon as your payment is confirmed';
+        return `${line} We will send your e-card to ${this.escapeHtml(tribute.recipientName)} ${when}; it does not mention the amount.</p>`;
+    }
+
+    showError(message) {
+        this.hideProcessingState();
+
+        this.messageBox('form-errors').innerHTML = `
+            <div class="error-message">
+                <strong>Error:</strong> ${message}
+            </div>
+        `;
+    }
+
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value == null ? '' : String(value);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    trackDonationCompletion(donationData) {
+        // Google Analytics or other tracking
+        if (typeof gtag !== 'undefined') {
+            gtag('event', 'donation_completed', {
+                currency: donationData.currency,
+                value: donationData.amount,
+                payment_method: donationData.paymentMethod,
+                checkout: this.source
+            });
+        }
+    }
+
+    initializeAnalytics() {
+        // Initialize donation tracking
+        if (typeof gtag !== 'undefined') {
+            gtag('config', 'GA_MEASUREMENT_ID', {
+                custom_map: { donation_amount: 'amount', donation_currency: 'currency' }
+            });
+        }
+    }
+}
+
+// Every form marked data-donation-checkout gets its own checkout
+document.addEventListener('DOMContentLoaded', () => {
+    window.donationCheckouts = Array.from(document.querySelectorAll('form[data-donation-checkout]'))
+        .map(form => new DonationCheckout(form));
+});
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DonationCheckout;
+}
@@ -3,16 +3,31 @@
  * Comprehensive events system with creation, RSVP handling, calendar integration, and community engagement features
  */
 
+// Methods the events markup may call through data-action
+const EVENT_ACTIONS = new Set([
+    'filterByCategory', 'viewEvent', 'rsvpEvent', 'editEvent',
+    'manageEvent', 'acceptInvitation', 'declineInvitation', 'cancelRSVP',
+    'viewEventPhotos', 'shareEvent', 'addToCalendar', 'submitRSVP',
+    'saveEventDraft', 'createEvent', 'publishEvent', 'duplicateEvent',
+    'cancelEvent', 'deleteEvent'
+]);
+
+const MY_EVENTS_TABS = {
+    attending: 'Attending',
+    hosting: 'Hosting',
+    interested: 'Interested',
+    invitations: 'Invitations'
+};
+
 class EventsManager {
     constructor() {
-        this.currentUser = {
-            id: 'user_123',
-            name: 'John Doe',
-            avatar: 'assets/avatars/john-doe.jpg'
-        };
+        this.currentUser = window.afzApi.getUser() || {};
 
-        this.events = this.generateMockEvents();
+        this.repository = window.afzRepository;
+        this.events = [];
         this.userEvents = this.generateUserEvents();
+        // The event open in the create/edit form, or null for a new one
+        this.editingEvent = null;
         this.eventCategories = this.generateEventCategories();
         this.eventStats = this.generateEventStats();
 
@@ -24,6 +39,7 @@ class EventsManager {
         this.currentDate = new Date();
 
         this.init();
+        this.loadEvents();
     }
 
     init() {
@@ -166,6 +182,11 @@ class EventsManager {
             </div>
         `;
 
+        // Style attributes are blocked by the CSP, so cover images are set through the CSSOM
+        eventsContainer.querySelectorAll('.featured-event-bg[data-image]').forEach(element => {
+            element.style.backgroundImage = `url('${element.dataset.image}')`;
+        });
+
         this.injectEventsStyles();
     }
 
@@ -244,18 +265,11 @@ class EventsManager {
             <div class="my-events-container">
                 <!-- My Events Tabs -->
                 <div class="my-events-tabs">
-                    <button class="tab-btn active" data-tab="attending">
-                        Attending (${this.userEvents.attending.length})
-                    </button>
-                    <button class="tab-btn" data-tab="hosting">
-                        Hosting (${this.userEvents.hosting.length})
-                    </button>
-                    <button class="tab-btn" data-tab="interested">
-                        Interested (${this.userEvents.interested.length})
-                    </button>
-                    <button class="tab-btn" data-tab="invitations">
-                        Invitations (${this.userEvents.invitations.length})
+                    ${Object.keys(MY_EVENTS_TABS).map((type, index) => `
+                    <button class="tab-btn${index === 0 ? ' active' : ''}" data-tab="${type}">
+                        ${this.myEventsTabLabel(type)}
                     </button>
+                    `).join('')}
                 </div>
 
                 <!-- Tab Content -->
@@ -356,7 +370,7 @@ class EventsManager {
 
                 <div class="categories-grid">
                     ${this.eventCategories.map(category => `
-                        <div class="category-card" onclick="eventsManager.filterByCategory('${category.id}')">
+                        <div class="category-card" data-action="filterByCategory" data-id="${category.id}">
                             <div class="category-icon ${category.id}">
                                 <i class="fas fa-${category.icon}"></i>
                             </div>
@@ -376,7 +390,7 @@ class EventsManager {
                 </div>
 
                 <!-- Category Events -->
-                <div class="category-events" id="category-events" style="display: none;">
+                <div class="category-events" id="category-events" hidden>
                     <div class="category-events-header">
                         <button class="btn btn-sm btn-secondary" id="back-to-categories">
                             <i class="fas fa-arrow-left"></i>
@@ -421,13 +435,15 @@ class EventsManager {
         `;
     }
 
+    // Events come from other members through the API, so everything they wrote is escaped
     renderEventsGrid(events) {
         return events.map(event => `
-            <div class="event-card" data-event-id="${event.id}">
+            <div class="event-card${event.status === 'cancelled' ? ' cancelled' : ''}" data-event-id="${this.escapeHtml(event.id)}">
                 <div class="event-image">
-                    <img src="${event.image}" alt="${event.title}">
-                    <div class="event-category ${event.category}">${this.getCategoryName(event.category)}</div>
+                    <img src="${this.escapeHtml(event.image)}" alt="${this.escapeHtml(event.title)}">
+                    <div class="event-category ${this.escapeHtml(event.category)}">${this.escapeHtml(this.getCategoryName(event.category))}</div>
                     ${event.featured ? '<div class="featured-badge"><i class="fas fa-star"></i></div>' : ''}
+                    ${event.status === 'cancelled' ? '<div class="event-status cancelled">Cancelled</div>' : ''}
                 </div>
                 <div class="event-content">
                     <div class="event-date">
@@ -435,8 +451,8 @@ class EventsManager {
                         <div class="date-month">${this.formatEventMonth(event.date)}</div>
                     </div>
                     <div class="event-info">
-                        <h3 class="event-title">${event.title}</h3>
-                        <p class="event-description">${event.description}</p>
+                        <h3 class="event-title">${this.escapeHtml(event.title)}</h3>
+                        <p class="event-description">${this.escapeHtml(event.description)}</p>
                         <div class="event-meta">
                             <div class="meta-item">
                                 <i class="fas fa-clock"></i>
@@ -444,7 +460,7 @@ class EventsManager {
                             </div>
                             <div class="meta-item">
                                 <i class="fas fa-map-marker-alt"></i>
-                                <span>${event.location}</span>
+                                <span>${this.escapeHtml(event.location)}</span>
                             </div>
                             <div class="meta-item">
                                 <i class="fas fa-users"></i>
@@ -452,41 +468,43 @@ class EventsManager {
                             </div>
                         </div>
                         <div class="event-organizer">
-                            <img src="${event.organizer.avatar}" alt="${event.organizer.name}" class="organizer-avatar">
-                            <span>by ${event.organizer.name}</span>
+                            ${event.organizer.avatar ? `<img src="${this.escapeHtml(event.organizer.avatar)}" alt="${this.escapeHtml(event.organizer.name)}" class="organizer-avatar">` : ''}
+                            <span>by ${this.escapeHtml(event.organizer.name)}</span>
                         </div>
                     </div>
                 </div>
                 <div class="event-actions">
-                    <button class="btn btn-sm btn-secondary" onclick="eventsManager.viewEvent('${event.id}')">
+                    <button class="btn btn-sm btn-secondary" data-action="viewEvent" data-id="${this.escapeHtml(event.id)}">
                         <i class="fas fa-eye"></i>
                         View Details
                     </button>
-                    <button class="btn btn-sm btn-primary" onclick="eventsManager.rsvpEvent('${event.id}')">
+                    ${event.status === 'cancelled' ? '' : `
+                    <button class="btn btn-sm btn-primary" data-action="rsvpEvent" data-id="${this.escapeHtml(event.id)}">
                         <i class="fas fa-calendar-check"></i>
-                        RSVP
+                        ${event.myResponse ? 'Change RSVP' : 'RSVP'}
                     </button>
+                    `}
                 </div>
             </div>
         `).join('');
     }
 
     renderFeaturedEvents() {
-        const featured = this.events.filter(e => e.featured).slice(0, 3);
+        const featured = this.events.filter(e => e.featured && e.status !== 'cancelled').slice(0, 3);
         return featured.map(event => `
-            <div class="featured-event-card" onclick="eventsManager.viewEvent('${event.id}')">
-                <div class="featured-event-bg" style="background-image: url('${event.image}')">
+            <div class="featured-event-card" data-action="viewEvent" data-id="${this.escapeHtml(event.id)}">
+                <div class="featured-event-bg" data-image="${this.escapeHtml(event.image)}">
                     <div class="featured-event-overlay">
                         <div class="featured-event-content">
-                            <div class="featured-category ${event.category}">${this.getCategoryName(event.category)}</div>
-                            <h3>${event.title}</h3>
+                            <div class="featured-category ${this.escapeHtml(event.category)}">${this.escapeHtml(this.getCategoryName(event.category))}</div>
+                            <h3>${this.escapeHtml(event.title)}</h3>
                             <p class="featured-date">
                                 <i class="fas fa-calendar"></i>
                                 ${this.formatEventDate(event.date)}
                             </p>
                             <p class="featured-location">
                                 <i class="fas fa-map-marker-alt"></i>
-                                ${event.location}
+                                ${this.escapeHtml(event.location)}
                             </p>
                             <div class="featured-attendees">
                                 <i class="fas fa-users"></i>
@@ -512,23 +530,26 @@ class EventsManager {
             `;
         }
 
-        return events.map(event => `
+        // Hosted events show where they stand; a cancellation shows whatever the member's answer was
+        return events.map(event => {
+            const status = type === 'hosting' || event.status === 'cancelled' ? event.status || type : type;
+            return `
             <div class="user-event-item">
                 <div class="event-thumbnail">
-                    <img src="${event.image}" alt="${event.title}">
-                    <div class="event-status ${event.status || type}">${this.getEventStatusLabel(event.status || type)}</div>
+                    <img src="${this.escapeHtml(event.image)}" alt="${this.escapeHtml(event.title)}">
+                    <div class="event-status ${this.escapeHtml(status)}">${this.getEventStatusLabel(status)}</div>
                 </div>
                 <div class="event-details">
-                    <h4>${event.title}</h4>
-                    <p class="event-summary">${event.description}</p>
+                    <h4>${this.escapeHtml(event.title)}</h4>
+                    <p class="event-summary">${this.escapeHtml(event.description)}</p>
                     <div class="event-info-row">
                         <span class="info-item">
                             <i class="fas fa-calendar"></i>
-                            ${this.formatEventDate(event.date)}
+                            ${event.date ? this.formatEventDate(event.date) : 'No date yet'}
                         </span>
                         <span class="info-item">
                             <i class="fas fa-map-marker-alt"></i>
-                            ${event.location}
+                            ${this.escapeHtml(event.location)}
                         </span>
                         <span class="info-item">
                             <i class="fas fa-users"></i>
@@ -537,37 +558,39 @@ class EventsManager {
                     </div>
                     ${type === 'hosting' ? `
                         <div class="host-controls">
-                            <button class="btn btn-sm btn-secondary" onclick="eventsManager.editEvent('${event.id}')">
+                            ${event.status === 'cancelled' ? '' : `
+                            <button class="btn btn-sm btn-secondary" data-action="editEvent" data-id="${this.escapeHtml(event.id)}">
                                 <i class="fas fa-edit"></i>
                                 Edit
                             </button>
-                            <button class="btn btn-sm btn-info" onclick="eventsManager.manageEvent('${event.id}')">
+                            `}
+                            <button class="btn btn-sm btn-info" data-action="manageEvent" data-id="${this.escapeHtml(event.id)}">
                                 <i class="fas fa-cog"></i>
                                 Manage
                             </button>
                         </div>
                     ` : type === 'invitations' ? `
                         <div class="invitation-actions">
-                            <button class="btn btn-sm btn-success" onclick="eventsManager.acceptInvitation('${event.id}')">
+                            <button class="btn btn-sm btn-success" data-action="acceptInvitation" data-id="${event.id}">
                                 <i class="fas fa-check"></i>
                                 Accept
                             </button>
-                            <button class="btn btn-sm btn-secondary" onclick="eventsManager.declineInvitation('${event.id}')">
+                            <button class="btn btn-sm btn-secondary" data-action="declineInvitation" data-id="${event.id}">
                                 <i class="fas fa-times"></i>
                                 Decline
                             </button>
                         </div>
                     ` : `
                         <div class="event-quick-actions">
-                            <button class="btn btn-sm btn-secondary" onclick="eventsManager.viewEvent('${event.id}')">
+                            <button class="btn btn-sm btn-secondary" data-action="viewEvent" data-id="${this.escapeHtml(event.id)}">
                                 View Details
                             </button>
-                            ${type === 'attending' ? `
-                                <button class="btn btn-sm btn-warning" onclick="eventsManager.cancelRSVP('${event.id}')">
+                            ${event.status === 'cancelled' ? '' : type === 'attending' ? `
+                                <button class="btn btn-sm btn-warning" data-action="cancelRSVP" data-id="${this.escapeHtml(event.id)}">
                                     Cancel RSVP
                                 </button>
                             ` : `
-                                <button class="btn btn-sm btn-primary" onclick="eventsManager.rsvpEvent('${event.id}')">
+                                <button class="btn btn-sm btn-primary" data-action="rsvpEvent" data-id="${this.escapeHtml(event.id)}">
                                     RSVP
                                 </button>
                             `}
@@ -575,7 +598,8 @@ class EventsManager {
                     `}
                 </div>
             </div>
-        `).join('');
+        `;
+        }).join('');
     }
 
     renderMonthView() {
@@ -612,7 +636,7 @@ class EventsManager {
                         <div class="day-number">${currentDate.getDate()}</div>
                         <div class="day-events">
                             ${dayEvents.slice(0, 3).map(event => `
-                                <div class="calendar-event ${event.category}" onclick="eventsManager.viewEvent('${event.id}')" title="${event.title}">
+                                <div class="calendar-event ${event.category}" data-action="viewEvent" data-id="${event.id}" title="${event.title}">
                                     <span class="event-title">${event.title}</span>
                                 </div>
                             `).join('')}
@@ -669,7 +693,7 @@ class EventsManager {
         return `
             <div class="agenda-view">
                 ${upcomingEvents.map(event => `
-                    <div class="agenda-item" onclick="eventsManager.viewEvent('${event.id}')">
+                    <div class="agenda-item" data-action="viewEvent" data-id="${event.id}">
                         <div class="agenda-date">
                             <div class="date-day">${this.formatEventDay(event.date)}</div>
                             <div class="date-month">${this.formatEventMonth(event.date)}</div>
@@ -681,7 +705,7 @@ class EventsManager {
                             <div class="event-category ${event.category}">${this.getCategoryName(event.category)}</div>
                         </div>
                         <div class="agenda-actions">
-                            <button class="btn btn-sm btn-primary" onclick="event.stopPropagation(); eventsManager.rsvpEvent('${event.id}')">
+                            <button class="btn btn-sm btn-primary" data-action="rsvpEvent" data-id="${event.id}">
                                 RSVP
                             </button>
                         </div>
@@ -713,10 +737,10 @@ class EventsManager {
                             </span>
                         </div>
                         <div class="timeline-actions">
-                            <button class="btn btn-sm btn-secondary" onclick="eventsManager.viewEvent('${event.id}')">
+                            <button class="btn btn-sm btn-secondary" data-action="viewEvent" data-id="${event.id}">
                                 View Details
                             </button>
-                            <button class="btn btn-sm btn-info" onclick="eventsManager.viewEventPhotos('${event.id}')">
+                            <button class="btn btn-sm btn-info" data-action="viewEventPhotos" data-id="${event.id}">
                                 <i class="fas fa-images"></i>
                                 Photos
                             </button>
@@ -729,11 +753,11 @@ class EventsManager {
 
     renderEventModal() {
         return `
-            <div class="modal-overlay" id="event-modal" style="display: none;">
+            <div class="modal-overlay" id="event-modal" hidden>
                 <div class="modal-container large">
                     <div class="modal-header">
                         <h3 id="event-modal-title">Event Details</h3>
-                        <button class="modal-close" onclick="eventsManager.closeModal('event-modal')">
+                        <button class="modal-close" data-modal-close="event-modal">
                             <i class="fas fa-times"></i>
                         </button>
                     </div>
@@ -747,11 +771,11 @@ class EventsManager {
 
     renderCreateEventModal() {
         return `
-            <div class="modal-overlay" id="create-event-modal" style="display: none;">
+            <div class="modal-overlay" id="create-event-modal" hidden>
                 <div class="modal-container large">
                     <div class="modal-header">
                         <h3 id="create-event-title">Create New Event</h3>
-                        <button class="modal-close" onclick="eventsManager.closeModal('create-event-modal')">
+                        <button class="modal-close" data-modal-close="create-event-modal">
                             <i class="fas fa-times"></i>
                         </button>
                     </div>
@@ -830,7 +854,7 @@ class EventsManager {
                                     <label for="event-address">Address/Venue *</label>
                                     <input type="text" id="event-address" name="address" placeholder="Enter venue address">
                                 </div>
-                                <div class="form-group" id="online-location" style="display: none;">
+                                <div class="form-group" id="online-location" hidden>
                                     <label for="event-link">Meeting Link</label>
                                     <input type="url" id="event-link" name="link" placeholder="https://zoom.us/j/...">
                                 </div>
@@ -879,9 +903,9 @@ class EventsManager {
                         </form>
                     </div>
                     <div class="modal-footer">
-                        <button class="btn btn-secondary" onclick="eventsManager.closeModal('create-event-modal')">Cancel</button>
-                        <button class="btn btn-secondary" onclick="eventsManager.saveEventDraft()">Save as Draft</button>
-                        <button class="btn btn-primary" onclick="eventsManager.createEvent()">Create Event</button>
+                        <button class="btn btn-secondary" data-modal-close="create-event-modal">Cancel</button>
+                        <button class="btn btn-secondary" id="save-event-draft" data-action="saveEventDraft">Save as Draft</button>
+                        <button class="btn btn-primary" id="save-event" data-action="createEvent">Create Event</button>
                     </div>
                 </div>
             </div>
@@ -890,11 +914,11 @@ class EventsManager {
 
     renderRSVPModal() {
         return `
-            <div class="modal-overlay" id="rsvp-modal" style="display: none;">
+            <div class="modal-overlay" id="rsvp-modal" hidden>
                 <div class="modal-container">
                     <div class="modal-header">
                         <h3>RSVP for Event</h3>
-                        <button class="modal-close" onclick="eventsManager.closeModal('rsvp-modal')">
+                        <button class="modal-close" data-modal-close="rsvp-modal">
                             <i class="fas fa-times"></i>
                         </button>
                     </div>
@@ -906,7 +930,27 @@ class EventsManager {
         `;
     }
 
+    // One delegated click handler stands in for the old onclick attributes
+    handleAction(e) {
+        const closeButton = e.target.closest('[data-modal-close]');
+        if (closeButton) {
+            this.closeModal(closeButton.getAttribute('data-modal-close'));
+            return;
+        }
+
+        const target = e.target.closest('[data-action]');
+        if (target && EVENT_ACTIONS.has(target.dataset.action) && typeof this[target.dataset.action] === 'function') {
+            this[target.dataset.action](target.dataset.id);
+        }
+    }
+
     setupEventListeners() {
+        // Bound to .events-interface so a rebuilt interface does not stack handlers
+        const eventsInterface = document.querySelector('.events-interface');
+        if (eventsInterface) {
+            eventsInterface.addEventListener('click', (e) => this.handleAction(e));
+        }
+
         // Navigation tabs
         const navTabs = document.querySelectorAll('.nav-tab');
         navTabs.forEach(tab => {
@@ -920,7 +964,7 @@ class EventsManager {
         const createEventBtn = document.getElementById('create-event-btn');
         if (createEventBtn) {
             createEventBtn.addEventListener('click', () => {
-                this.showModal('create-event-modal');
+                this.openEventForm(null);
             });
         }
 
@@ -1056,16 +1100,9 @@ class EventsManager {
         const physicalLocation = document.getElementById('physical-location');
         const onlineLocation = document.getElementById('online-location');
 
-        if (type === 'online') {
-            physicalLocation.style.display = 'none';
-            onlineLocation.style.display = 'block';
-        } else if (type === 'physical') {
-            physicalLocation.style.display = 'block';
-            onlineLocation.style.display = 'none';
-        } else { // hybrid
-            physicalLocation.style.display = 'block';
-            onlineLocation.style.display = 'block';
-        }
+        // hybrid shows both
+        physicalLocation.hidden = type === 'online';
+        onlineLocation.hidden = type === 'physical';
     }
 
     loadViewData(viewName) {
@@ -1103,8 +1140,34 @@ class EventsManager {
     }
 
     refreshMyEvents() {
-        // Refresh my events tabs content
-        console.log('Refreshing my events...');
+        Object.keys(MY_EVENTS_TABS).forEach(type => {
+            const list = document.querySelector(`#${type}-tab .events-list`);
+            if (list) {
+                list.innerHTML = this.renderUserEventsList(this.userEvents[type], type);
+            }
+            const tab = document.querySelector(`.tab-btn[data-tab="${type}"]`);
+            if (tab) {
+                tab.textContent = this.myEventsTabLabel(type);
+            }
+        });
+    }
+
+    myEventsTabLabel(type) {
+        return `${MY_EVENTS_TABS[type]} (${this.userEvents[type].length})`;
+    }
+
+    // Attending and interested follow the member's own RSVPs, whoever hosts the event
+    groupUserEvents(hosting) {
+        const answered = response => this.events
+            .filter(e => e.myResponse === response)
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+        this.userEvents = {
+            ...this.userEvents,
+            attending: answered('attending'),
+            hosting,
+            interested: answered('interested')
+        };
     }
 
     handleSearch(query) {
@@ -1128,8 +1191,13 @@ class EventsManager {
     }
 
     // Event actions
+    // Drafts are only in the member's own hosting list
+    findEvent(eventId) {
+        return this.events.find(e => e.id === eventId) || this.userEvents.hosting.find(e => e.id === eventId);
+    }
+
     viewEvent(eventId) {
-        const event = this.events.find(e => e.id === eventId);
+        const event = this.findEvent(eventId);
         if (event) {
             this.showEventDetails(event);
         }
@@ -1137,14 +1205,21 @@ class EventsManager {
 
     showEventDetails(event) {
         const modalBody = document.getElementById('event-modal-body');
+        document.getElementById('event-modal-title').textContent = 'Event Details';
         modalBody.innerHTML = `
             <div class="event-detail-content">
                 <div class="event-detail-image">
-                    <img src="${event.image}" alt="${event.title}">
-                    <div class="event-detail-category ${event.category}">${this.getCategoryName(event.category)}</div>
+                    <img src="${this.escapeHtml(event.image)}" alt="${this.escapeHtml(event.title)}">
+                    <div class="event-detail-category ${this.escapeHtml(event.category)}">${this.escapeHtml(this.getCategoryName(event.category))}</div>
                 </div>
                 <div class="event-detail-info">
-                    <h2>${event.title}</h2>
+                    <h2>${this.escapeHtml(event.title)}</h2>
+                    ${event.status === 'cancelled' ? `
+                        <div class="event-cancelled-notice" role="status">
+                            <strong>This event has been cancelled.</strong>
+                            ${event.cancellationReason ? `<p>${this.escapeHtml(event.cancellationReason)}</p>` : ''}
+                        </div>
+                    ` : ''}
                     <div class="event-detail-meta">
                         <div class="meta-row">
                             <div class="meta-item">
@@ -1159,7 +1234,7 @@ class EventsManager {
                         <div class="meta-row">
                             <div class="meta-item">
                                 <i class="fas fa-map-marker-alt"></i>
-                                <span>${event.location}</span>
+                                <span>${this.escapeHtml(event.location)}</span>
                             </div>
                             <div class="meta-item">
                                 <i class="fas fa-users"></i>
@@ -1168,37 +1243,45 @@ class EventsManager {
                         </div>
                     </div>
                     <div class="event-organizer-info">
-                        <img src="${event.organizer.avatar}" alt="${event.organizer.name}">
+                        ${event.organizer.avatar ? `<img src="${this.escapeHtml(event.organizer.avatar)}" alt="${this.escapeHtml(event.organizer.name)}">` : ''}
                         <div>
                             <strong>Organized by</strong>
-                            <p>${event.organizer.name}</p>
+                            <p>${this.escapeHtml(event.organizer.name)}</p>
                         </div>
                     </div>
                     <div class="event-description">
                         <h4>About this event</h4>
-                        <p>${event.description}</p>
+                        <p>${this.escapeHtml(event.description)}</p>
                         ${event.agenda ? `
                             <h4>Agenda</h4>
-                            <p>${event.agenda}</p>
+                            <p>${this.escapeHtml(event.agenda)}</p>
                         ` : ''}
                         ${event.requirements ? `
                             <h4>What to bring</h4>
-                            <p>${event.requirements}</p>
+                            <p>${this.escapeHtml(event.requirements)}</p>
                         ` : ''}
                     </div>
                     <div class="event-actions-detail">
-                        <button class="btn btn-primary btn-lg" onclick="eventsManager.rsvpEvent('${event.id}')">
+                        ${event.status === 'cancelled' ? '' : `
+                        <button class="btn btn-primary btn-lg" data-action="rsvpEvent" data-id="${this.escapeHtml(event.id)}">
                             <i class="fas fa-calendar-check"></i>
-                            RSVP to Event
+                            ${event.myResponse ? 'Change RSVP' : 'RSVP to Event'}
                         </button>
-                        <button class="btn btn-secondary" onclick="eventsManager.shareEvent('${event.id}')">
+                        `}
+                        <button class="btn btn-secondary" data-action="shareEvent" data-id="${this.escapeHtml(event.id)}">
                             <i class="fas fa-share"></i>
                             Share Event
                         </button>
-                        <button class="btn btn-info" onclick="eventsManager.addToCalendar('${event.id}')">
+                        <button class="btn btn-info" data-action="addToCalendar" data-id="${this.escapeHtml(event.id)}">
                             <i class="fas fa-calendar-plus"></i>
                             Add to Calendar
                         </button>
+                        ${event.canManage ? `
+                        <button class="btn btn-secondary" data-action="manageEvent" data-id="${this.escapeHtml(event.id)}">
+                            <i class="fas fa-cog"></i>
+                            Manage
+                        </button>
+                        ` : ''}
                     </div>
                 </div>
             </div>
@@ -1207,36 +1290,37 @@ class EventsManager {
     }
 
     rsvpEvent(eventId) {
-        const event = this.events.find(e => e.id === eventId);
+        const event = this.findEvent(eventId);
         if (event) {
+            const checked = response => (event.myResponse === response ? ' checked' : '');
             const modalBody = document.getElementById('rsvp-modal-body');
             modalBody.innerHTML = `
                 <div class="rsvp-content">
                     <div class="rsvp-event-info">
-                        <h4>${event.title}</h4>
+                        <h4>${this.escapeHtml(event.title)}</h4>
                         <p>${this.formatEventDate(event.date)} at ${this.formatEventTime(event.date)}</p>
-                        <p>${event.location}</p>
+                        <p>${this.escapeHtml(event.location)}</p>
                     </div>
                     <form id="rsvp-form">
                         <div class="form-group">
                             <label>Your Response *</label>
                             <div class="rsvp-options">
                                 <label class="rsvp-option">
-                                    <input type="radio" name="response" value="attending" required>
+                                    <input type="radio" name="response" value="attending" required${checked('attending')}>
                                     <span class="option-text">
                                         <i class="fas fa-check text-success"></i>
                                         Attending
                                     </span>
                                 </label>
                                 <label class="rsvp-option">
-                                    <input type="radio" name="response" value="interested" required>
+                                    <input type="radio" name="response" value="interested" required${checked('interested')}>
                                     <span class="option-text">
                                         <i class="fas fa-star text-warning"></i>
                                         Interested
                                     </span>
                                 </label>
                                 <label class="rsvp-option">
-                                    <input type="radio" name="response" value="not-attending" required>
+                                    <input type="radio" name="response" value="not-attending" required${checked('not-attending')}>
                                     <span class="option-text">
                                         <i class="fas fa-times text-danger"></i>
                                         Can't Attend
@@ -1262,8 +1346,8 @@ class EventsManager {
                         </div>
                     </form>
                     <div class="rsvp-actions">
-                        <button class="btn btn-secondary" onclick="eventsManager.closeModal('rsvp-modal')">Cancel</button>
-                        <button class="btn btn-primary" onclick="eventsManager.submitRSVP('${eventId}')">
+                        <button class="btn btn-secondary" data-modal-close="rsvp-modal">Cancel</button>
+                        <button class="btn btn-primary" data-action="submitRSVP" data-id="${eventId}">
                             Submit RSVP
                         </button>
                     </div>
@@ -1273,40 +1357,327 @@ class EventsManager {
         }
     }
 
-    submitRSVP(eventId) {
+    async submitRSVP(eventId) {
         const form = document.getElementById('rsvp-form');
         const formData = new FormData(form);
+        if (!formData.get('response')) {
+            this.showNotification('Please choose your response.', 'error');
+            return;
+        }
+
+        let event;
+        try {
+            event = await this.repository.events.respond(eventId, {
+                response: formData.get('response'),
+                notes: formData.get('notes'),
+                notifications: formData.get('notifications') === 'on'
+            });
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
 
-        // Simulate RSVP submission
+        this.storeEvent(event);
         this.closeModal('rsvp-modal');
-        this.showNotification('RSVP submitted successfully!', 'success');
+        this.showNotification('Your RSVP has been saved.', 'success');
     }
 
-    createEvent() {
+    async cancelRSVP(eventId) {
+        let event;
+        try {
+            event = await this.repository.events.withdraw(eventId);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        this.storeEvent(event);
+        this.showNotification('Your RSVP has been withdrawn.', 'success');
+    }
+
+    // The same form creates events and edits them; null opens it empty
+    openEventForm(event) {
         const form = document.getElementById('create-event-form');
-        const formData = new FormData(form);
+        form.reset();
+        this.editingEvent = event;
+
+        if (event) {
+            const fields = form.elements;
+            const start = event.date ? new Date(event.date) : null;
+            fields.title.value = event.title || '';
+            fields.category.value = event.category || '';
+            fields.description.value = event.description || '';
+            fields.date.value = start ? start.toLocaleDateString('en-CA') : '';
+            fields.time.value = start ? start.toTimeString().slice(0, 5) : '';
+            fields.duration.value = event.duration || '';
+            fields['location-type'].value = event.locationType || 'physical';
+            fields.address.value = event.locationType === 'online' ? '' : event.location || '';
+            fields.link.value = event.link || '';
+            fields.capacity.value = event.maxAttendees || '';
+            fields.fee.value = event.fee || '';
+            fields.requiresApproval.checked = Boolean(event.requiresApproval);
+            fields.featured.checked = Boolean(event.featured);
+            fields.agenda.value = event.agenda || '';
+            fields.requirements.value = event.requirements || '';
+        }
+        this.toggleLocationFields(form.elements['location-type'].value);
 
-        const newEvent = {
-            id: `event_${Date.now()}`,
-            title: formData.get('title'),
-            description: formData.get('description'),
-            category: formData.get('category'),
-            date: new Date(formData.get('date') + 'T' + formData.get('time')).toISOString(),
-            location: formData.get('location-type') === 'online' ? 'Online Event' : formData.get('address'),
-            organizer: this.currentUser,
-            attendees: 0,
-            maxAttendees: formData.get('capacity') || null,
+        // A published event is saved as it is; a draft can be saved again or published
+        document.getElementById('create-event-title').textContent = event ? 'Edit Event' : 'Create New Event';
+        document.getElementById('save-event-draft').hidden = Boolean(event) && event.status !== 'draft';
+        document.getElementById('save-event').textContent = !event ? 'Create Event' : event.status === 'draft' ? 'Publish Event' : 'Save Changes';
+        this.showModal('create-event-modal');
+    }
+
+    eventFormData() {
+        const formData = new FormData(document.getElementById('create-event-form'));
+        const locationType = formData.get('location-type');
+        const date = formData.get('date');
+
+        return {
+            title: formData.get('title').trim(),
+            description: formData.get('description').trim(),
+            category: formData.get('category') || null,
+            date: date ? new Date(`${date}T${formData.get('time') || '00:00'}`).toISOString() : null,
+            duration: parseFloat(formData.get('duration')) || null,
+            locationType,
+            location: locationType === 'online' ? 'Online Event' : formData.get('address').trim(),
+            link: locationType === 'physical' ? null : formData.get('link').trim() || null,
+            maxAttendees: parseInt(formData.get('capacity'), 10) || null,
             fee: parseFloat(formData.get('fee')) || 0,
+            requiresApproval: formData.get('requiresApproval') === 'on',
             featured: formData.get('featured') === 'on',
-            image: 'assets/events/default.jpg'
+            agenda: formData.get('agenda').trim(),
+            requirements: formData.get('requirements').trim()
         };
+    }
+
+    createEvent() {
+        return this.saveEvent('scheduled');
+    }
+
+    saveEventDraft() {
+        return this.saveEvent('draft');
+    }
 
-        this.events.unshift(newEvent);
-        this.userEvents.hosting.unshift(newEvent);
+    async saveEvent(status) {
+        const eventData = this.eventFormData();
+        if (!eventData.title) {
+            this.showNotification('Please give the event a title.', 'error');
+            return;
+        }
+
+        const editing = this.editingEvent;
+        let saved;
+        try {
+            saved = editing
+                ? await this.repository.events.update(editing.id, {
+                    ...eventData,
+                    ...(editing.status === 'draft' && status === 'scheduled' ? { status } : {})
+                })
+                : await this.repository.events.create({ ...eventData, status });
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
 
+        this.storeEvent(saved);
         this.closeModal('create-event-modal');
-        this.showNotification('Event created successfully!', 'success');
+        this.showNotification(saved.status === 'draft' ? 'Draft saved.' : editing ? 'Event updated.' : 'Event created successfully!', 'success');
+    }
+
+    editEvent(eventId) {
+        const event = this.findEvent(eventId);
+        if (event) {
+            this.closeModal('event-modal');
+            this.openEventForm(event);
+        }
+    }
+
+    // The organiser's view: who is coming, what has changed, and what can be done next
+    async manageEvent(eventId) {
+        const event = this.findEvent(eventId);
+        if (!event) return;
+
+        let registrations;
+        try {
+            registrations = await this.repository.events.registrations(eventId);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        const id = this.escapeHtml(event.id);
+        document.getElementById('event-modal-title').textContent = `Manage: ${event.title}`;
+        document.getElementById('event-modal-body').innerHTML = `
+            <div class="event-manage">
+                <p>
+                    <span class="event-status ${this.escapeHtml(event.status)}">${this.getEventStatusLabel(event.status)}</span>
+                    ${event.date ? `${this.formatEventDate(event.date)} at ${this.formatEventTime(event.date)}` : 'No date yet'}
+                    · ${event.attendees} attending, ${event.interested} interested
+                </p>
+                <div class="event-actions-detail">
+                    ${event.status === 'cancelled' ? '' : `
+                    <button class="btn btn-secondary" data-action="editEvent" data-id="${id}">
+                        <i class="fas fa-edit"></i>
+                        Edit
+                    </button>
+                    `}
+                    ${event.status === 'draft' ? `
+                    <button class="btn btn-primary" data-action="publishEvent" data-id="${id}">
+                        <i class="fas fa-bullhorn"></i>
+                        Publish
+                    </button>
+                    ` : ''}
+                    <button class="btn btn-secondary" data-action="duplicateEvent" data-id="${id}">
+                        <i class="fas fa-copy"></i>
+                        Duplicate
+                    </button>
+                    ${event.status === 'draft' ? `
+                    <button class="btn btn-secondary" data-action="deleteEvent" data-id="${id}">
+                        <i class="fas fa-trash"></i>
+                        Delete Draft
+                    </button>
+                    ` : ''}
+                </div>
+
+                ${event.status === 'scheduled' ? `
+                <div class="form-section">
+                    <h4>Cancel this event</h4>
+                    <div class="form-group">
+                        <label for="cancel-event-reason">Reason (sent to everyone who responded)</label>
+                        <textarea id="cancel-event-reason" rows="2" maxlength="1000"></textarea>
+                    </div>
+                    <button class="btn btn-warning" data-action="cancelEvent" data-id="${id}">
+                        <i class="fas fa-ban"></i>
+                        Cancel Event
+                    </button>
+                </div>
+                ` : ''}
+
+                <div class="form-section">
+                    <h4>Responses (${registrations.length})</h4>
+                    ${registrations.length ? `
+                    <ul class="event-registrations">
+                        ${registrations.map(registration => `
+                        <li>
+                            <strong>${this.escapeHtml(registration.name)}</strong>
+                            <span class="event-status ${this.escapeHtml(registration.response)}">${this.getEventStatusLabel(registration.response)}</span>
+                            ${registration.notes ? `<small>${this.escapeHtml(registration.notes)}</small>` : ''}
+                        </li>
+                        `).join('')}
+                    </ul>
+                    ` : '<p>No one has responded yet.</p>'}
+                </div>
+
+                <div class="form-section">
+                    <h4>History</h4>
+                    <ol class="event-history">
+                        ${(event.history || []).slice().reverse().map(entry => `
+                        <li>
+                            <strong>${this.escapeHtml(entry.action)}</strong>
+                            by ${this.escapeHtml(entry.byName)}, ${new Date(entry.at).toLocaleString()}
+                            ${entry.note ? `<small>${this.escapeHtml(entry.note)}</small>` : ''}
+                            ${(entry.changes || []).map(change => `
+                            <small>${this.escapeHtml(change.field)}: ${this.escapeHtml(this.describeValue(change.from))} → ${this.escapeHtml(this.describeValue(change.to))}</small>
+                            `).join('')}
+                        </li>
+                        `).join('')}
+                    </ol>
+                </div>
+            </div>
+        `;
+        this.showModal('event-modal');
+    }
+
+    describeValue(value) {
+        if (value === null || value === undefined || value === '') return '(empty)';
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+            return `${this.formatEventDate(value)} ${this.formatEventTime(value)}`;
+        }
+        return String(value);
+    }
+
+    async publishEvent(eventId) {
+        let event;
+        try {
+            event = await this.repository.events.update(eventId, { status: 'scheduled' });
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        this.storeEvent(event);
+        this.closeModal('event-modal');
+        this.showNotification('Event published.', 'success');
+    }
+
+    // The copy opens in the form so its date can be set before it is published
+    async duplicateEvent(eventId) {
+        let copy;
+        try {
+            copy = await this.repository.events.duplicate(eventId);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        this.storeEvent(copy);
+        this.closeModal('event-modal');
+        this.openEventForm(copy);
+        this.showNotification('A copy has been saved as a draft.', 'success');
+    }
+
+    async cancelEvent(eventId) {
+        const event = this.findEvent(eventId);
+        if (!event || !confirm(`Cancel ${event.title}? Everyone who responded will be emailed.`)) return;
+
+        let result;
+        try {
+            result = await this.repository.events.cancel(eventId, document.getElementById('cancel-event-reason').value.trim());
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        this.storeEvent(result.item);
+        this.closeModal('event-modal');
+        this.showNotification(`Event cancelled. ${result.notified} ${result.notified === 1 ? 'person was' : 'people were'} notified` +
+            (result.failed ? `; ${result.failed} could not be emailed.` : '.'), result.failed ? 'warning' : 'success');
+    }
+
+    async deleteEvent(eventId) {
+        if (!confirm('Delete this draft? This cannot be undone.')) return;
+
+        try {
+            await this.repository.events.remove(eventId);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        this.events = this.events.filter(e => e.id !== eventId);
+        this.groupUserEvents(this.userEvents.hosting.filter(e => e.id !== eventId));
+        this.closeModal('event-modal');
+        this.refreshEvents();
+        this.showNotification('Draft deleted.', 'success');
+    }
+
+    // Puts a saved event where it belongs: the public list unless it is a draft, and the hosting list if it is the member's
+    storeEvent(event) {
+        const replace = (list, keep) => [event, ...list.filter(e => e.id !== event.id)].filter(keep);
+        this.events = replace(this.events, e => e.status !== 'draft');
+        const hosting = event.organizerId === this.currentUser.id
+            ? replace(this.userEvents.hosting, () => true)
+            : this.userEvents.hosting.map(e => (e.id === event.id ? event : e));
+        this.groupUserEvents(hosting);
+        this.refreshEvents();
+    }
+
+    refreshEvents() {
         this.refreshUpcomingEvents();
+        this.refreshMyEvents();
+        this.refreshCalendarView();
     }
 
     filterByCategory(categoryId) {
@@ -1320,7 +1691,7 @@ class EventsManager {
 
         categoryEventsTitle.textContent = `${category.name} Events`;
         categoryEventsGrid.innerHTML = this.renderEventsGrid(filteredEvents);
-        categoryEvents.style.display = 'block';
+        categoryEvents.hidden = false;
 
         // Hide categories grid
         document.querySelector('.categories-grid').style.display = 'none';
@@ -1407,7 +1778,11 @@ class EventsManager {
             attending: 'Attending',
             hosting: 'Hosting',
             interested: 'Interested',
-            invitations: 'Invited'
+            invitations: 'Invited',
+            'not-attending': 'Not Attending',
+            draft: 'Draft',
+            scheduled: 'Scheduled',
+            cancelled: 'Cancelled'
         };
         return labels[status] || status;
     }
@@ -1416,6 +1791,25 @@ class EventsManager {
         this.refreshUpcomingEvents();
     }
 
+    async loadEvents() {
+        try {
+            const [events, hosting] = await Promise.all([
+                this.repository.events.list(),
+                this.repository.events.list({ mine: true })
+            ]);
+            this.events = events;
+            this.groupUserEvents(hosting);
+        } catch (error) {
+            console.error('Failed to load events:', error);
+            this.showNotification('Unable to load events. Please try again later.', 'error');
+            return;
+        }
+
+        this.setupEventsInterface();
+        this.setupEventListeners();
+        this.loadInitialData();
+    }
+
     startEventUpdates() {
         // Simulate real-time event updates
         setInterval(() => {
@@ -1431,14 +1825,14 @@ class EventsManager {
     showModal(modalId) {
         const modal = document.getElementById(modalId);
         if (modal) {
-            modal.style.display = 'flex';
+            modal.hidden = false;
         }
     }
 
     closeModal(modalId) {
         const modal = document.getElementById(modalId);
         if (modal) {
-            modal.style.display = 'none';
+            modal.hidden = true;
         }
     }
 
@@ -1448,98 +1842,19 @@ class EventsManager {
         }
     }
 
-    // Mock data generators
-    generateMockEvents() {
-        const events = [];
-        const titles = [
-            'Healthcare Workshop: Managing Skin Care',
-            'Community Advocacy Meeting',
-            'Youth Empowerment Session',
-            'Educational Webinar: Albinism Awareness',
-            'Support Group Gathering',
-            'Fundraising Gala Event',
-            'Medical Check-up Camp',
-            'Family Fun Day',
-            'Skills Development Workshop',
-            'Awareness Campaign Launch'
-        ];
-
-        const descriptions = [
-            'Join us for an informative session about healthcare and wellness for people with albinism.',
-            'Come together to discuss community advocacy initiatives and plan upcoming campaigns.',
-            'Empowering young people with albinism through education and skill development.',
-            'Learn about albinism, its challenges, and how to create inclusive environments.',
-            'A safe space for sharing experiences and supporting each other.'
-        ];
-
-        const locations = ['Lusaka Community Center', 'Kitwe Medical Center', 'Online Event', 'Ndola Conference Hall', 'Livingstone Community Hall'];
-        const categories = ['healthcare', 'advocacy', 'education', 'support', 'social', 'fundraising'];
-
-        for (let i = 0; i < 20; i++) {
-            const futureDate = new Date();
-            futureDate.setDate(futureDate.getDate() + Math.floor(Math.random() * 90)); // Next 90 days
-
-            events.push({
-                id: `event_${i + 1}`,
-                title: titles[i % titles.length],
-                description: descriptions[i % descriptions.length],
-                category: categories[i % categories.length],
-                date: futureDate.toISOString(),
-                location: locations[i % locations.length],
-                organizer: {
-                    name: 'AFZ Community',
-                    avatar: 'assets/avatars/organizer.jpg'
-                },
-                attendees: Math.floor(Math.random() * 100) + 10,
-                maxAttendees: Math.floor(Math.random() * 150) + 50,
-                fee: i % 4 === 0 ? Math.floor(Math.random() * 50) : 0,
-                featured: i < 3,
-                image: `assets/events/event${(i % 5) + 1}.jpg`,
-                agenda: 'Detailed agenda will be shared with registered participants.',
-                requirements: 'Please bring a notebook and pen for the session.'
-            });
-        }
-        return events;
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value == null ? '' : String(value);
+        return div.innerHTML.replace(/"/g, '&quot;');
     }
 
+    // Mock data generators
+    // Attending, hosting and interested are filled from the API by loadEvents
     generateUserEvents() {
         return {
-            attending: [
-                {
-                    id: 'event_1',
-                    title: 'Healthcare Workshop: Managing Skin Care',
-                    description: 'Learn essential skin care tips and techniques.',
-                    date: '2024-02-15T10:00:00Z',
-                    location: 'Lusaka Community Center',
-                    attendees: 45,
-                    image: 'assets/events/healthcare1.jpg',
-                    status: 'confirmed'
-                }
-            ],
-            hosting: [
-                {
-                    id: 'event_host_1',
-                    title: 'Albinism Awareness Campaign',
-                    description: 'Community awareness event about albinism.',
-                    date: '2024-02-20T14:00:00Z',
-                    location: 'Kitwe Community Center',
-                    attendees: 67,
-                    image: 'assets/events/awareness1.jpg',
-                    status: 'active'
-                }
-            ],
-            interested: [
-                {
-                    id: 'event_2',
-                    title: 'Youth Empowerment Session',
-                    description: 'Skills development for young people.',
-                    date: '2024-02-25T09:00:00Z',
-                    location: 'Online Event',
-                    attendees: 32,
-                    image: 'assets/events/youth1.jpg',
-                    status: 'interested'
-                }
-            ],
+            attending: [],
+            hosting: [],
+            interested: [],
             invitations: [
                 {
                     id: 'event_3',
@@ -1623,9 +1938,7 @@ class EventsManager {
     injectEventsStyles() {
         if (document.getElementById('events-styles')) return;
 
-        const styles = document.createElement('style');
-        styles.id = 'events-styles';
-        styles.textContent = `
+        window.afzCsp.addStyles(`
             .events-interface {
                 background: var(--surface-color);
                 border-radius: 16px;
@@ -2222,6 +2535,47 @@ class EventsManager {
             .event-status.hosting { background: var(--warning-color); }
             .event-status.interested { background: var(--info-color); }
             .event-status.pending { background: var(--text-secondary); }
+            .event-status.draft { background: var(--text-secondary); }
+            .event-status.scheduled { background: var(--success-color); }
+            .event-status.cancelled { background: var(--error-color); }
+            .event-status.not-attending { background: var(--text-secondary); }
+
+            .event-card.cancelled {
+                opacity: 0.7;
+            }
+
+            .event-cancelled-notice {
+                margin-bottom: 20px;
+                padding: 12px 16px;
+                border-radius: 8px;
+                border-left: 4px solid var(--error-color);
+                background: var(--surface-hover);
+            }
+
+            .event-manage .event-status {
+                position: static;
+                display: inline-block;
+                margin-right: 6px;
+            }
+
+            .event-registrations,
+            .event-history {
+                list-style: none;
+                padding: 0;
+                margin: 0;
+            }
+
+            .event-registrations li,
+            .event-history li {
+                padding: 8px 0;
+                border-bottom: 1px solid var(--border-color);
+            }
+
+            .event-registrations small,
+            .event-history small {
+                display: block;
+                color: var(--text-secondary);
+            }
 
             .event-details {
                 flex: 1;
@@ -3054,8 +3408,7 @@ class EventsManager {
                     gap: 8px;
                 }
             }
-        `;
-        document.head.appendChild(styles);
+        `, 'events-styles');
     }
 }
 
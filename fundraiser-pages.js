@@ -0,0 +1,449 @@
+/**
+ * AFZ Campaigns - Member Fundraising Pages
+ * The public page a member shares for their walk or birthday fundraiser (data-fundraiser-pages="public",
+ * opened as fundraiser.html?f=<slug>), and the member hub section where members start and edit their
+ * pages and see the leaderboard (data-fundraiser-pages="hub", loaded when the section is opened).
+ */
+
+// Matches the server's limit for PUT /fundraisers/:id/photo
+const FUNDRAISER_PHOTO_MAX_BYTES = 2 * 1024 * 1024;
+const FUNDRAISER_PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+class FundraiserPages {
+    constructor(root) {
+        this.root = root;
+        this.mode = root.getAttribute('data-fundraiser-pages');
+        this.loaded = false;
+        this.fundraiser = null;
+        // The hub's own pages and the campaigns a new page can raise money for
+        this.pages = [];
+        this.campaigns = [];
+
+        this.init();
+    }
+
+    init() {
+        this.root.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-fundraiser-action]');
+            if (button) {
+                this.handleAction(button.getAttribute('data-fundraiser-action'), button);
+            }
+        });
+        this.root.addEventListener('submit', (event) => {
+            if (event.target.matches('[data-fundraiser-form]')) {
+                event.preventDefault();
+                this.savePage(event.target);
+            }
+        });
+        this.root.addEventListener('change', (event) => {
+            if (event.target.matches('[data-leaderboard-campaign]')) {
+                this.loadLeaderboard(event.target.value);
+            }
+        });
+
+        if (this.mode === 'public') {
+            this.load();
+        }
+    }
+
+    async load({ force = false } = {}) {
+        if (this.loaded && !force) return;
+
+        this.root.setAttribute('aria-busy', 'true');
+        try {
+            if (this.mode === 'public') {
+                await this.loadPublicPage();
+            } else {
+                await this.loadHub();
+            }
+            this.loaded = true;
+        } catch (error) {
+            this.showMessage(error instanceof ApiRequestError && error.status !== 500
+                ? error.message
+                : 'Fundraising pages could not be loaded. Please try again later.');
+        } finally {
+            this.root.setAttribute('aria-busy', 'false');
+        }
+    }
+
+    handleAction(action, button) {
+        const page = this.pages.find(item => item.id === button.getAttribute('data-fundraiser-id')) || this.fundraiser;
+
+        switch (action) {
+        case 'share':
+            this.share(page);
+            break;
+        case 'new':
+            this.showForm(null);
+            break;
+        case 'edit':
+            this.showForm(page);
+            break;
+        case 'cancel':
+            this.renderHub();
+            break;
+        case 'close':
+        case 'reopen':
+            this.setStatus(page, action === 'close' ? 'closed' : 'active', button);
+            break;
+        }
+    }
+
+    // ============================================
+    // PUBLIC PAGE
+    // ============================================
+
+    async loadPublicPage() {
+        const slug = new URLSearchParams(window.location.search).get('f');
+        if (!slug) {
+            this.showMessage('This fundraising page could not be found. Please check the link you were sent.');
+            return;
+        }
+
+        const { fundraiser } = await window.afzApi.request('GET', `/fundraisers/${encodeURIComponent(slug)}`);
+        this.fundraiser = fundraiser;
+        document.title = `${fundraiser.title} - AFZ | Albinism Foundation of Zambia`;
+
+        this.root.innerHTML = `
+            <div class="fundraiser-message" role="status" data-fundraiser-message hidden></div>
+            <article class="fundraiser-page">
+                ${fundraiser.photoUrl
+        ? `<img src="${this.escapeHtml(fundraiser.photoUrl)}" alt="${this.escapeHtml(fundraiser.title)}" class="fundraiser-photo">`
+        : ''}
+                <div class="fundraiser-body">
+                    <h2 class="fundraiser-title">${this.escapeHtml(fundraiser.title)}</h2>
+                    <p class="fundraiser-byline">
+                        ${this.escapeHtml(fundraiser.displayName)} is raising money for
+                        ${fundraiser.campaign ? `<strong>${this.escapeHtml(fundraiser.campaign.title)}</strong>` : 'AFZ'}
+                    </p>
+                    ${this.thermometer(fundraiser)}
+                    <div class="fundraiser-actions">
+                        ${fundraiser.open ? `<a href="${this.escapeHtml(fundraiser.donateUrl)}" class="cta-button primary">Donate to this page</a>` : ''}
+                        <button type="button" class="cta-button secondary" data-fundraiser-action="share">Share this page</button>
+                    </div>
+                    <div class="fundraiser-story">${this.paragraphs(fundraiser.story)}</div>
+                </div>
+            </article>
+        `;
+        this.applyFill();
+    }
+
+    // Uses the phone's share sheet where there is one, otherwise copies the link
+    async share(page) {
+        const text = `${page.displayName} is raising money for the Albinism Foundation of Zambia: ${page.title}`;
+        if (navigator.share) {
+            try {
+                await navigator.share({ title: page.title, text, url: page.pageUrl });
+            } catch (error) {
+                // Closing the share sheet is not an error worth reporting
+            }
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText(page.pageUrl);
+            this.showMessage('Link copied. Paste it into a message or post to share your page.');
+        } catch (error) {
+            this.showMessage(`Copy this link to share the page: ${page.pageUrl}`);
+        }
+    }
+
+    // ============================================
+    // MEMBER HUB
+    // ============================================
+
+    async loadHub() {
+        const [mine, campaigns] = await Promise.all([
+            window.afzApi.request('GET', '/fundraisers?mine=true'),
+            window.afzApi.request('GET', '/campaigns?status=active')
+        ]);
+        this.pages = mine.items;
+        this.campaigns = campaigns.items.filter(campaign => campaign.open);
+
+        this.renderHub();
+    }
+
+    renderHub() {
+        this.root.innerHTML = `
+            <div class="fundraiser-message" role="status" data-fundraiser-message hidden></div>
+
+            <section class="fundraiser-block" aria-labelledby="fundraiserMineHeading">
+                <div class="fundraiser-block-header">
+                    <h3 id="fundraiserMineHeading">My Fundraising Pages</h3>
+                    ${this.campaigns.length
+        ? '<button type="button" class="btn btn-primary" data-fundraiser-action="new">Start a Fundraising Page</button>'
+        : ''}
+                </div>
+                ${this.pages.length ? `
+                    <div class="fundraiser-list">
+                        ${this.pages.map(page => this.pageCard(page)).join('')}
+                    </div>
+                ` : `<p>${this.campaigns.length
+        ? 'Running a walk, marking a birthday or taking on a challenge? Start a page, share the link and every donation made through it is counted towards your total.'
+        : 'There are no campaigns taking donations at the moment. Pages can be started once the next one opens.'}</p>`}
+            </section>
+
+            <section class="fundraiser-block" aria-labelledby="fundraiserLeaderboardHeading">
+                <div class="fundraiser-block-header">
+                    <h3 id="fundraiserLeaderboardHeading">Leaderboard</h3>
+                    <label class="sr-only" for="fundraiserLeaderboardCampaign">Campaign</label>
+                    <select id="fundraiserLeaderboardCampaign" class="form-input" data-leaderboard-campaign>
+                        <option value="">All campaigns</option>
+                        ${this.campaigns.map(campaign => `
+                            <option value="${this.escapeHtml(campaign.slug)}">${this.escapeHtml(campaign.title)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div data-fundraiser-leaderboard><p>Loading the leaderboard...</p></div>
+            </section>
+        `;
+        this.applyFill();
+        this.loadLeaderboard('');
+    }
+
+    pageCard(page) {
+        return `
+            <div class="fundraiser-card">
+                ${this.thermometer(page)}
+                <p class="fundraiser-card-meta">
+                    ${page.campaign ? `For ${this.escapeHtml(page.campaign.title)} &middot; ` : ''}
+                    <a href="${this.escapeHtml(page.pageUrl)}" target="_blank" rel="noopener">View page</a>
+                </p>
+                <div class="fundraiser-card-actions">
+                    <button type="button" class="btn btn-secondary" data-fundraiser-action="share" data-fundraiser-id="${this.escapeHtml(page.id)}">Share</button>
+                    <button type="button" class="btn btn-secondary" data-fundraiser-action="edit" data-fundraiser-id="${this.escapeHtml(page.id)}">Edit</button>
+                    ${page.status === 'active'
+        ? `<button type="button" class="btn btn-secondary" data-fundraiser-action="close" data-fundraiser-id="${this.escapeHtml(page.id)}">Close Page</button>`
+        : ''}
+                    ${page.status === 'closed' && page.campaign && page.campaign.open
+        ? `<button type="button" class="btn btn-secondary" data-fundraiser-action="reopen" data-fundraiser-id="${this.escapeHtml(page.id)}">Reopen Page</button>`
+        : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    async loadLeaderboard(campaign) {
+        const board = this.root.querySelector('[data-fundraiser-leaderboard]');
+        if (!board) return;
+
+        try {
+            const query = campaign ? `?campaign=${encodeURIComponent(campaign)}` : '';
+            const { items } = await window.afzApi.request('GET', `/fundraisers/leaderboard${query}`);
+            const user = window.afzApi.getUser();
+
+            board.innerHTML = items.length ? `
+                <ol class="fundraiser-leaderboard">
+                    ${items.map(entry => `
+                        <li class="fundraiser-leader${user && entry.ownerId === user.id ? ' is-mine' : ''}">
+                            <span class="fundraiser-rank">${entry.rank}</span>
+                            <span class="fundraiser-leader-name">
+                                <strong>${this.escapeHtml(entry.displayName)}</strong>
+                                <a href="${this.escapeHtml(entry.pageUrl)}" target="_blank" rel="noopener">${this.escapeHtml(entry.title)}</a>
+                            </span>
+                            <span class="fundraiser-leader-raised">
+                                ${this.formatAmount(entry.progress.raised, entry.progress.currency)}
+                                <small>${entry.progress.percent}% of ${this.formatAmount(entry.progress.target, entry.progress.currency)}</small>
+                            </span>
+                        </li>
+                    `).join('')}
+                </ol>
+            ` : '<p>No fundraising pages yet. Yours could be the first.</p>';
+        } catch (error) {
+            board.innerHTML = '<p>The leaderboard could not be loaded. Please try again later.</p>';
+        }
+    }
+
+    // `page` is null for a new page; the campaign cannot be changed once the page has been started
+    showForm(page) {
+        this.root.innerHTML = `
+            <div class="fundraiser-message" role="status" data-fundraiser-message hidden></div>
+            <form class="fundraiser-form" data-fundraiser-form ${page ? `data-fundraiser-id="${this.escapeHtml(page.id)}"` : ''} novalidate>
+                <h3>${page ? 'Edit Your Fundraising Page' : 'Start a Fundraising Page'}</h3>
+                ${page ? '' : `
+                    <div class="form-group">
+                        <label for="fundraiserCampaign" class="form-label">Campaign you are raising money for</label>
+                        <select id="fundraiserCampaign" name="campaign" class="form-input" required>
+                            ${this.campaigns.map(campaign => `
+                                <option value="${this.escapeHtml(campaign.slug)}">${this.escapeHtml(campaign.title)} (${this.escapeHtml(campaign.currency)})</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                `}
+                <div class="form-group">
+                    <label for="fundraiserTitle" class="form-label">Page title</label>
+                    <input type="text" id="fundraiserTitle" name="title" class="form-input" maxlength="120" required
+                           placeholder="e.g. Chipo's 10 km walk for sun protection" value="${page ? this.escapeHtml(page.title) : ''}">
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="fundraiserTarget" class="form-label">Target${page ? ` (${this.escapeHtml(page.currency)})` : ''}</label>
+                        <input type="number" id="fundraiserTarget" name="targetAmount" class="form-input" min="1" step="1" required
+                               value="${page ? page.targetAmount : ''}">
+                    </div>
+                    <div class="form-group">
+                        <label for="fundraiserDisplayName" class="form-label">Name shown on the page</label>
+                        <input type="text" id="fundraiserDisplayName" name="displayName" class="form-input" maxlength="100"
+                               value="${page ? this.escapeHtml(page.displayName) : ''}">
+                        <p class="form-help">Leave blank to use your first name and initial.</p>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="fundraiserStory" class="form-label">Your story</label>
+                    <textarea id="fundraiserStory" name="story" class="form-input" rows="6" maxlength="5000">${page ? this.escapeHtml(page.story) : ''}</textarea>
+                </div>
+                <div class="form-group">
+                    <label for="fundraiserPhoto" class="form-label">Photo (optional)</label>
+                    ${page && page.photoUrl ? `<img src="${this.escapeHtml(page.photoUrl)}" alt="" class="fundraiser-photo-preview">` : ''}
+                    <input type="file" id="fundraiserPhoto" name="photo" class="form-input" accept="${FUNDRAISER_PHOTO_TYPES.join(',')}">
+                    <p class="form-help">A JPEG, PNG or WebP image up to 2 MB.</p>
+                </div>
+                <div class="fundraiser-card-actions">
+                    <button type="submit" class="btn btn-primary">${page ? 'Save Changes' : 'Start My Page'}</button>
+                    <button type="button" class="btn btn-secondary" data-fundraiser-action="cancel">Cancel</button>
+                </div>
+            </form>
+        `;
+    }
+
+    async savePage(form) {
+        const value = name => form.elements.namedItem(name).value.trim();
+        const photo = form.elements.namedItem('photo').files[0] || null;
+        const data = {
+            title: value('title'),
+            targetAmount: Number(value('targetAmount')),
+            displayName: value('displayName'),
+            story: value('story')
+        };
+
+        if (!data.title) {
+            this.showMessage('Please give your page a title.');
+            return;
+        }
+        if (!(data.targetAmount >= 1)) {
+            this.showMessage('Please enter the amount you hope to raise.');
+            return;
+        }
+        if (photo && (!FUNDRAISER_PHOTO_TYPES.includes(photo.type) || photo.size > FUNDRAISER_PHOTO_MAX_BYTES)) {
+            this.showMessage('Please choose a JPEG, PNG or WebP photo of up to 2 MB.');
+            return;
+        }
+
+        const id = form.getAttribute('data-fundraiser-id');
+        const button = form.querySelector('button[type="submit"]');
+        let saved = null;
+        button.disabled = true;
+        try {
+            ({ fundraiser: saved } = id
+                ? await window.afzApi.request('PATCH', `/fundraisers/${encodeURIComponent(id)}`, data)
+                : await window.afzApi.request('POST', '/fundraisers', { ...data, campaign: value('campaign') }));
+            if (photo) {
+                ({ fundraiser: saved } = await window.afzApi.request('PUT', `/fundraisers/${encodeURIComponent(saved.id)}/photo`, photo));
+            }
+
+            this.replacePage(saved);
+            this.renderHub();
+            this.showMessage(id ? 'Your page has been updated.' : 'Your page is live. Share the link to start raising money.');
+        } catch (error) {
+            button.disabled = false;
+            const message = error instanceof ApiRequestError && error.status !== 500
+                ? error.message
+                : 'Your page could not be saved. Please try again later.';
+
+            // The page itself was saved when only the photo failed, so it is edited from here on
+            if (saved) {
+                this.replacePage(saved);
+                this.showForm(saved);
+                this.showMessage(`Your page was saved, but not its photo: ${message}`);
+            } else {
+                this.showMessage(message);
+            }
+        }
+    }
+
+    async setStatus(page, status, button) {
+        button.disabled = true;
+        try {
+            const { fundraiser } = await window.afzApi.request('PATCH', `/fundraisers/${encodeURIComponent(page.id)}`, { status });
+            this.replacePage(fundraiser);
+            this.renderHub();
+            this.showMessage(status === 'closed'
+                ? 'Your page is closed and no longer takes donations. Thank you for raising money for AFZ.'
+                : 'Your page is taking donations again.');
+        } catch (error) {
+            button.disabled = false;
+            this.showMessage(error instanceof ApiRequestError && error.status !== 500
+                ? error.message
+                : 'The page could not be changed. Please try again later.');
+        }
+    }
+
+    replacePage(fundraiser) {
+        const index = this.pages.findIndex(page => page.id === fundraiser.id);
+        if (index === -1) {
+            this.pages.unshift(fundraiser);
+        } else {
+            this.pages[index] = fundraiser;
+        }
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    thermometer(page) {
+        const closedMessage = page.status === 'closed'
+            ? 'This page has closed. Thank you to everyone who gave.'
+            : 'The campaign this page raises money for has closed. Thank you to everyone who gave.';
+
+        if (window.campaignProgress) {
+            return window.campaignProgress.thermometer(page, { donate: false, heading: this.mode === 'hub', closedMessage });
+        }
+        return `<p class="fundraising-raised">${this.formatAmount(page.progress.raised, page.progress.currency)} raised</p>`;
+    }
+
+    applyFill() {
+        if (window.campaignProgress) {
+            window.campaignProgress.applyFill(this.root);
+        }
+    }
+
+    paragraphs(text) {
+        return String(text || '').split(/\n{2,}/).filter(Boolean)
+            .map(paragraph => `<p>${this.escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+            .join('');
+    }
+
+    showMessage(message) {
+        let box = this.root.querySelector('[data-fundraiser-message]');
+        if (!box) {
+            box = document.createElement('div');
+            box.className = 'fundraiser-message';
+            box.setAttribute('role', 'status');
+            box.setAttribute('data-fundraiser-message', '');
+            this.root.prepend(box);
+        }
+        box.textContent = message;
+        box.hidden = false;
+    }
+
+    formatAmount(amount, currency) {
+        return new Intl.NumberFormat('en-ZM', {
+            style: 'currency', currency, minimumFractionDigits: 0, maximumFractionDigits: 0
+        }).format(amount);
+    }
+
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value == null ? '' : String(value);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    const root = document.querySelector('[data-fundraiser-pages]');
+    if (root) {
+        window.fundraiserPages = new FundraiserPages(root);
+    }
+});
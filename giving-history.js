@@ -0,0 +1,317 @@
+/**
+ * AFZ Donate - Giving History
+ * A donor's donations, receipts, recurring gifts and annual statements, with the details printed on them.
+ * Used by donor-portal.html through the emailed link (data-giving-history="portal") and by the member hub
+ * (data-giving-history="hub"), where it loads when the section is opened.
+ */
+
+const GIVING_STATUS_LABELS = {
+    pending: 'Awaiting payment',
+    completed: 'Paid',
+    failed: 'Payment failed',
+    refunded: 'Refunded'
+};
+
+const GIVING_INTERVAL_LABELS = {
+    monthly: 'Every month',
+    quarterly: 'Every three months',
+    annual: 'Every year'
+};
+
+class GivingHistory {
+    constructor(root) {
+        this.root = root;
+        this.mode = root.getAttribute('data-giving-history');
+        // The emailed link's token, swapped for a portal session on load; hub requests use the member's session instead
+        this.linkToken = this.mode === 'portal' ? new URLSearchParams(window.location.search).get('token') : null;
+        this.loaded = false;
+        // The hub has its own button styles
+        this.buttons = this.mode === 'hub'
+            ? { primary: 'btn btn-primary', secondary: 'btn btn-secondary' }
+            : { primary: 'cta-button primary', secondary: 'cta-button secondary' };
+
+        this.init();
+    }
+
+    init() {
+        this.root.addEventListener('submit', (event) => {
+            if (event.target.matches('[data-giving-details]')) {
+                event.preventDefault();
+                this.saveDetails(event.target);
+            } else if (event.target.matches('[data-giving-access]')) {
+                event.preventDefault();
+                this.requestLink(event.target);
+            }
+        });
+        this.root.addEventListener('click', (event) => {
+            if (event.target.closest('[data-giving-sign-out]')) {
+                this.signOut();
+            }
+        });
+
+        if (this.mode === 'portal') {
+            this.load();
+        }
+    }
+
+    // The link works once, so it is taken out of the address before anything else can read or bookmark it
+    async openSession() {
+        const linkToken = this.linkToken;
+        this.linkToken = null;
+        const url = new URL(window.location.href);
+        url.searchParams.delete('token');
+        window.history.replaceState(window.history.state, '', url);
+
+        await window.afzApi.request('POST', '/donors/session', { token: linkToken });
+    }
+
+    async load({ force = false } = {}) {
+        if (this.loaded && !force) return;
+
+        this.root.setAttribute('aria-busy', 'true');
+        const fromLink = Boolean(this.linkToken);
+        try {
+            if (fromLink) {
+                await this.openSession();
+            }
+            this.render(await window.afzApi.request('GET', '/donors/me'));
+            this.loaded = true;
+        } catch (error) {
+            if (this.mode === 'portal' && error instanceof ApiRequestError && error.status === 401) {
+                // Without a session the donor is asked for their email; only a failed link needs explaining
+                this.showAccessForm(fromLink ? error.message : null);
+            } else {
+                this.showMessage(error instanceof ApiRequestError && error.status !== 500
+                    ? error.message
+                    : 'Your giving history could not be loaded. Please try again later.');
+            }
+        } finally {
+            this.root.setAttribute('aria-busy', 'false');
+        }
+    }
+
+    // Without a working link the portal asks for the donor's email and sends a new one
+    showAccessForm(reason = null) {
+        this.root.innerHTML = `
+            ${reason ? `<div class="giving-message" role="status">${this.escapeHtml(reason)}</div>` : ''}
+            <form class="giving-access-form" data-giving-access novalidate>
+                <p>Enter the email address you donated with and we will send you a link to your giving history.</p>
+                <div class="form-group">
+                    <label for="givingAccessEmail" class="form-label">Email address</label>
+                    <input type="email" id="givingAccessEmail" name="email" class="form-input" autocomplete="email" required>
+                </div>
+                <button type="submit" class="${this.buttons.primary}">Email Me a Link</button>
+            </form>
+        `;
+    }
+
+    async requestLink(form) {
+        const email = form.elements.namedItem('email').value.trim();
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            this.showMessage('Please enter a valid email address.');
+            return;
+        }
+
+        const button = form.querySelector('button[type="submit"]');
+        button.disabled = true;
+        try {
+            const { message } = await window.afzApi.request('POST', '/donors/access', { email });
+            form.innerHTML = `<p class="giving-message" role="status">${this.escapeHtml(message)}</p>`;
+        } catch (error) {
+            button.disabled = false;
+            this.showMessage(error instanceof ApiRequestError && error.status !== 500
+                ? error.message
+                : 'We could not send the link. Please try again later.');
+        }
+    }
+
+    async saveDetails(form) {
+        const details = {};
+        ['firstName', 'lastName', 'organisation', 'phone', 'address'].forEach(name => {
+            details[name] = form.elements.namedItem(name).value.trim();
+        });
+        if (!details.firstName || !details.lastName) {
+            this.showMessage('Please enter your first and last name.');
+            return;
+        }
+
+        const button = form.querySelector('button[type="submit"]');
+        button.disabled = true;
+        try {
+            const data = await window.afzApi.request('PATCH', '/donors/me', details);
+            this.render(data);
+            this.showMessage(data.message);
+        } catch (error) {
+            this.showMessage(error instanceof ApiRequestError && error.status !== 500
+                ? error.message
+                : 'Your details could not be saved. Please try again later.');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async signOut() {
+        try {
+            const { message } = await window.afzApi.request('DELETE', '/donors/session');
+            this.loaded = false;
+            this.showAccessForm(message);
+        } catch (error) {
+            this.showMessage('We could not sign you out. Please close this page instead.');
+        }
+    }
+
+    render({ donor, donations, subscriptions, years }) {
+        this.root.innerHTML = `
+            <div class="giving-message" role="status" data-giving-message hidden></div>
+
+            ${this.mode === 'portal' ? `
+                <p class="giving-signed-in">
+                    Signed in as ${this.escapeHtml(donor.email)}.
+                    <button type="button" class="${this.buttons.secondary}" data-giving-sign-out>Sign Out</button>
+                </p>
+            ` : ''}
+
+            <section class="giving-block" aria-labelledby="givingStatementsHeading">
+                <h3 id="givingStatementsHeading">Annual Statements</h3>
+                ${years.length ? `
+                    <ul class="giving-years">
+                        ${years.map(year => `
+                            <li class="giving-year">
+                                <strong>${year.year}</strong>
+                                <span>${this.plural(year.donationCount, 'donation')}: ${this.formatTotals(year.totals)}</span>
+                                <a href="${this.escapeHtml(year.statementUrl)}" class="${this.buttons.secondary}" download>Download Statement (PDF)</a>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : '<p>Statements are available once a donation has been paid.</p>'}
+            </section>
+
+            ${subscriptions.length ? `
+                <section class="giving-block" aria-labelledby="givingRecurringHeading">
+                    <h3 id="givingRecurringHeading">Recurring Donations</h3>
+                    <ul class="giving-recurring">
+                        ${subscriptions.map(subscription => `
+                            <li>
+                                ${this.formatAmount(subscription.amount, subscription.currency)}
+                                ${this.escapeHtml((GIVING_INTERVAL_LABELS[subscription.interval] || subscription.interval).toLowerCase())}
+                                (${this.escapeHtml(subscription.status.replace('_', ' '))})
+                                <a href="${this.escapeHtml(subscription.manageUrl)}">Manage</a>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </section>
+            ` : ''}
+
+            <section class="giving-block" aria-labelledby="givingDonationsHeading">
+                <h3 id="givingDonationsHeading">Donations</h3>
+                ${donations.length ? `
+                    <div class="giving-table-wrapper">
+                        <table class="giving-table">
+                            <thead>
+                                <tr>
+                                    <th scope="col">Date</th>
+                                    <th scope="col">Receipt Number</th>
+                                    <th scope="col">Amount</th>
+                                    <th scope="col">Paid via</th>
+                                    <th scope="col">Status</th>
+                                    <th scope="col"><span class="sr-only">Receipt</span></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${donations.map(donation => `
+                                    <tr>
+                                        <td>${this.formatDate(donation.completedAt || donation.createdAt)}</td>
+                                        <td>
+                                            ${this.escapeHtml(donation.receiptNumber)}
+                                            ${donation.tribute ? `<span class="giving-tribute">${this.escapeHtml(donation.tribute.line)}</span>` : ''}
+                                        </td>
+                                        <td>${this.formatAmount(donation.amount, donation.currency)}</td>
+                                        <td>${this.escapeHtml(donation.gateway)}</td>
+                                        <td><span class="giving-status ${this.escapeHtml(donation.status)}">${this.escapeHtml(GIVING_STATUS_LABELS[donation.status] || donation.status)}</span></td>
+                                        <td>${donation.receiptUrl
+        ? `<a href="${this.escapeHtml(donation.receiptUrl)}" target="_blank" rel="noopener">View receipt</a>`
+        : ''}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                ` : `<p>We have no donations from ${this.escapeHtml(donor.email)} yet. <a href="donate.html">Make a donation</a></p>`}
+            </section>
+
+            <section class="giving-block" aria-labelledby="givingDetailsHeading">
+                <h3 id="givingDetailsHeading">Details on Your Statements</h3>
+                <p>These are printed on future statements. Receipts already issued keep the details given at the time.</p>
+                <form class="giving-details-form" data-giving-details novalidate>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="givingFirstName" class="form-label">First name</label>
+                            <input type="text" id="givingFirstName" name="firstName" class="form-input" maxlength="100" value="${this.escapeHtml(donor.firstName)}" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="givingLastName" class="form-label">Last name</label>
+                            <input type="text" id="givingLastName" name="lastName" class="form-input" maxlength="100" value="${this.escapeHtml(donor.lastName)}" required>
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label for="givingOrganisation" class="form-label">Company or organisation (optional)</label>
+                        <input type="text" id="givingOrganisation" name="organisation" class="form-input" maxlength="200" value="${this.escapeHtml(donor.organisation)}">
+                    </div>
+                    <div class="form-group">
+                        <label for="givingPhone" class="form-label">Phone (optional)</label>
+                        <input type="tel" id="givingPhone" name="phone" class="form-input" maxlength="30" value="${this.escapeHtml(donor.phone)}">
+                    </div>
+                    <div class="form-group">
+                        <label for="givingAddress" class="form-label">Postal address (optional)</label>
+                        <textarea id="givingAddress" name="address" class="form-input" rows="3" maxlength="500">${this.escapeHtml(donor.address)}</textarea>
+                    </div>
+                    <p class="form-help">Statements are sent to ${this.escapeHtml(donor.email)}.</p>
+                    <button type="submit" class="${this.buttons.primary}">Save Details</button>
+                </form>
+            </section>
+        `;
+    }
+
+    showMessage(message) {
+        let box = this.root.querySelector('[data-giving-message]');
+        if (!box) {
+            box = document.createElement('div');
+            box.className = 'giving-message';
+            box.setAttribute('role', 'status');
+            box.setAttribute('data-giving-message', '');
+            this.root.prepend(box);
+        }
+        box.textContent = message;
+        box.hidden = false;
+    }
+
+    formatTotals(totals) {
+        return Object.entries(totals).map(([currency, amount]) => this.formatAmount(amount, currency)).join(', ');
+    }
+
+    formatAmount(amount, currency) {
+        return new Intl.NumberFormat('en-ZM', { style: 'currency', currency }).format(amount);
+    }
+
+    formatDate(dateString) {
+        return new Date(dateString).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+    }
+
+    plural(count, word) {
+        return `${count} ${word}${count === 1 ? '' : 's'}`;
+    }
+
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value == null ? '' : String(value);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    const root = document.querySelector('[data-giving-history]');
+    if (root) {
+        window.givingHistory = new GivingHistory(root);
+    }
+});
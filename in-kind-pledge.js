@@ -0,0 +1,271 @@
+/**
+ * AFZ Donations - In-kind Pledges
+ * The donate page's form for pledging goods (form[data-in-kind-pledge]): items from the catalogue with
+ * quantities, and whether the donor brings them or asks for a pickup. Offline, the pledge waits in the outbox.
+ */
+
+class InKindPledgeForm {
+    constructor(form) {
+        this.form = form;
+        this.items = [];
+        this.dropOffPoints = [];
+        this.submitting = false;
+
+        this.init();
+    }
+
+    init() {
+        this.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.submit();
+        });
+        this.form.addEventListener('input', (event) => {
+            if (event.target.matches('[data-in-kind-quantity]')) {
+                this.updateTotal();
+            }
+            this.clearFieldError(event.target);
+        });
+        this.form.addEventListener('change', (event) => {
+            if (event.target.name === 'delivery') {
+                this.showDelivery(event.target.value);
+            } else if (event.target.name === 'dropOffPoint') {
+                this.showDropOffHelp();
+            }
+        });
+
+        this.loadCatalogue();
+    }
+
+    async loadCatalogue() {
+        const list = this.form.querySelector('[data-in-kind-items]');
+        try {
+            ({ items: this.items, dropOffPoints: this.dropOffPoints } = await window.afzApi.request('GET', '/in-kind/catalogue'));
+        } catch (error) {
+            list.innerHTML = '<p class="error-message visible">The list of items could not be loaded. Please try again later.</p>';
+            return;
+        } finally {
+            list.setAttribute('aria-busy', 'false');
+        }
+
+        list.innerHTML = this.items.map(item => `
+            <div class="in-kind-item">
+                <label for="inKindQuantity-${this.escapeHtml(item.id)}">
+                    <strong>${this.escapeHtml(item.name)}</strong>
+                    <span class="field-help">${this.escapeHtml(item.programmeName)} · about ${this.formatAmount(item.estimatedValue)} per ${this.escapeHtml(item.unit)}</span>
+                </label>
+                <input type="number" id="inKindQuantity-${this.escapeHtml(item.id)}" min="0" max="10000" step="1" value="0"
+                       inputmode="numeric" data-in-kind-quantity="${this.escapeHtml(item.id)}">
+            </div>
+        `).join('');
+
+        const select = this.form.querySelector('#inKindDropOffPoint');
+        this.dropOffPoints.forEach(point => select.add(new Option(point.name, point.id)));
+        this.showDropOffHelp();
+        this.updateTotal();
+    }
+
+    showDelivery(delivery) {
+        this.form.querySelectorAll('[data-in-kind-delivery]').forEach(panel => {
+            panel.hidden = panel.getAttribute('data-in-kind-delivery') !== delivery;
+        });
+    }
+
+    showDropOffHelp() {
+        const point = this.dropOffPoints.find(entry => entry.id === this.form.querySelector('#inKindDropOffPoint').value);
+        this.form.querySelector('[data-in-kind-drop-off-help]').textContent = point ? `${point.address}. ${point.hours}.` : '';
+    }
+
+    // Items with a quantity, as the API takes them
+    chosenItems() {
+        return Array.from(this.form.querySelectorAll('[data-in-kind-quantity]'))
+            .map(input => ({ item: input.getAttribute('data-in-kind-quantity'), quantity: parseInt(input.value, 10) || 0 }))
+            .filter(line => line.quantity > 0);
+    }
+
+    updateTotal() {
+        const lines = this.chosenItems();
+        const total = lines.reduce((sum, line) => sum + line.quantity * this.items.find(item => item.id === line.item).estimatedValue, 0);
+        this.form.querySelector('[data-in-kind-total]').textContent = lines.length
+            ? `Estimated value: ${this.formatAmount(total)}`
+            : '';
+    }
+
+    collectPledge() {
+        const value = id => this.form.querySelector(`#${id}`).value.trim();
+        const delivery = this.form.querySelector('input[name="delivery"]:checked').value;
+
+        return {
+            donor: {
+                firstName: value('inKindFirstName'),
+                lastName: value('inKindLastName'),
+                email: value('inKindEmail'),
+                phone: value('inKindPhone'),
+                organisation: value('inKindOrganisation')
+            },
+            items: this.chosenItems(),
+            delivery,
+            dropOffPoint: delivery === 'drop-off' ? value('inKindDropOffPoint') : null,
+            pickup: delivery === 'pickup' ? { address: value('inKindPickupAddress'), town: value('inKindPickupTown') } : null,
+            expectedOn: value('inKindExpectedOn') || null,
+            message: value('inKindMessage')
+        };
+    }
+
+    // The same checks as the API, so most mistakes are caught before anything is sent
+    validate(pledge) {
+        const errors = [];
+        if (!pledge.items.length) errors.push({ field: null, message: 'Please enter how many of at least one item you would like to give.' });
+        if (!pledge.donor.firstName) errors.push({ field: 'inKindFirstName', message: 'First name is required.' });
+        if (!pledge.donor.lastName) errors.push({ field: 'inKindLastName', message: 'Last name is required.' });
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(pledge.donor.email)) {
+            errors.push({ field: 'inKindEmail', message: 'A valid email address is required.' });
+        }
+        if (pledge.delivery === 'pickup') {
+            if (!pledge.pickup.address) errors.push({ field: 'inKindPickupAddress', message: 'Please enter the address to collect the items from.' });
+            if (!pledge.pickup.town) errors.push({ field: 'inKindPickupTown', message: 'Please enter the town.' });
+            if (!pledge.donor.phone) errors.push({ field: 'inKindPhone', message: 'Please give a phone number so we can arrange the pickup.' });
+        }
+        return errors;
+    }
+
+    async submit() {
+        if (this.submitting) return;
+
+        const pledge = this.collectPledge();
+        const errors = this.validate(pledge);
+        this.showMessage(null);
+        if (errors.length) {
+            errors.filter(error => error.field).forEach(error => this.showFieldError(error.field, error.message));
+            this.showMessage(errors.map(error => error.message).join(' '), 'error');
+            return;
+        }
+
+        this.setSubmitting(true);
+        try {
+            const { pledge: saved } = await window.afzApi.request('POST', '/in-kind/pledges', pledge);
+            this.showConfirmation(saved);
+        } catch (error) {
+            if (!(error instanceof ApiRequestError) && window.afzOutbox) {
+                await this.queuePledge(pledge);
+                return;
+            }
+            this.setSubmitting(false);
+            this.showMessage(error instanceof ApiRequestError && error.status !== 500
+                ? error.message
+                : 'Your pledge could not be sent. Please try again or contact us.', 'error');
+        }
+    }
+
+    // Nothing is paid, so unlike a donation the page need not stay open for the pledge to be made
+    async queuePledge(pledge) {
+        try {
+            await window.afzOutbox.add({
+                kind: 'in-kind-pledge',
+                label: 'Pledge of supplies',
+                url: '/api/in-kind/pledges',
+                body: pledge
+            });
+        } catch (error) {
+            this.setSubmitting(false);
+            this.showMessage('Your pledge could not be saved. Please try again when you are back online.', 'error');
+            return;
+        }
+
+        this.showMessage('You are offline, so your pledge has been saved on this device. It will be sent once you are ' +
+            'back online, and we will email you the details.', 'status');
+    }
+
+    showConfirmation(pledge) {
+        const container = this.form.parentElement;
+        this.form.hidden = true;
+        container.insertAdjacentHTML('beforeend', `
+            <div class="payment-success in-kind-confirmation" role="status">
+                <div class="success-icon">✅</div>
+                <h3 data-translate="in-kind-success-title">Thank You for Your Pledge!</h3>
+                <div class="donation-details">
+                    <p><strong>Pledge Number:</strong> ${this.escapeHtml(pledge.pledgeNumber)}</p>
+                    <ul>
+                        ${pledge.lines.map(line => `<li>${line.quantity} × ${this.escapeHtml(line.name)}</li>`).join('')}
+                    </ul>
+                    <p><strong>Estimated value:</strong> ${this.formatAmount(pledge.estimatedValue)}</p>
+                </div>
+                <p>${pledge.delivery === 'pickup'
+                    ? `${this.escapeHtml(pledge.deliveryLine)}. We will call you to agree a time.`
+                    : `Please bring the items to ${this.escapeHtml(pledge.deliveryLine)} and quote your pledge number.`}</p>
+                <p>We have emailed you these details. Once the items arrive we will send you an acknowledgment with their estimated value.</p>
+            </div>
+        `);
+        container.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    setSubmitting(submitting) {
+        this.submitting = submitting;
+        const button = this.form.querySelector('button[type="submit"]');
+        button.disabled = submitting;
+        this.form.setAttribute('aria-busy', String(submitting));
+    }
+
+    showMessage(message, type = 'status') {
+        let box = this.form.querySelector('[data-in-kind-message]');
+        if (!message) {
+            if (box) box.hidden = true;
+            return;
+        }
+        if (!box) {
+            box = document.createElement('div');
+            box.setAttribute('data-in-kind-message', '');
+            this.form.querySelector('.form-actions').insertAdjacentElement('beforebegin', box);
+        }
+        box.className = type === 'error' ? 'form-errors' : 'checkout-offline-status';
+        box.setAttribute('role', type === 'error' ? 'alert' : 'status');
+        box.innerHTML = type === 'error'
+            ? `<div class="error-message">${this.escapeHtml(message)}</div>`
+            : `<p>${this.escapeHtml(message)}</p>`;
+        box.hidden = false;
+        box.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    showFieldError(id, message) {
+        const field = this.form.querySelector(`#${id}`);
+        const error = this.form.querySelector(`#${id}-error`);
+        field.classList.add('error');
+        field.setAttribute('aria-invalid', 'true');
+        if (error) {
+            error.textContent = message;
+            error.classList.add('visible');
+        }
+    }
+
+    clearFieldError(field) {
+        if (!field || !field.id || !field.classList.contains('error')) return;
+
+        field.classList.remove('error');
+        field.setAttribute('aria-invalid', 'false');
+        const error = this.form.querySelector(`#${field.id}-error`);
+        if (error) {
+            error.textContent = '';
+            error.classList.remove('visible');
+        }
+    }
+
+    // Catalogue values are in kwacha
+    formatAmount(amount) {
+        return new Intl.NumberFormat('en-ZM', {
+            style: 'currency', currency: 'ZMW', minimumFractionDigits: 0, maximumFractionDigits: 0
+        }).format(amount);
+    }
+
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value == null ? '' : String(value);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    const form = document.querySelector('form[data-in-kind-pledge]');
+    if (form) {
+        window.inKindPledgeForm = new InKindPledgeForm(form);
+    }
+});
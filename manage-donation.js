@@ -0,0 +1,185 @@
+/**
+ * AFZ Donate - Recurring Donation Management
+ * The page behind the link in a donor's emails: pause, resume or cancel, change the amount, see the payments
+ */
+
+const SUBSCRIPTION_STATUS_LABELS = {
+    pending: 'Waiting for the first payment',
+    active: 'Active',
+    past_due: 'Payment failed - we will try again',
+    paused: 'Paused',
+    lapsed: 'Stopped after failed payments',
+    cancelled: 'Cancelled'
+};
+
+const SUBSCRIPTION_INTERVAL_LABELS = {
+    monthly: 'Every month',
+    quarterly: 'Every three months',
+    annual: 'Every year'
+};
+
+const SUBSCRIPTION_ACTIONS = {
+    pause: { allowed: ['active', 'past_due'], done: 'Your donation is paused. No payments will be requested until you resume it.' },
+    resume: { allowed: ['paused', 'lapsed'], done: 'Your donation has been resumed. Thank you!' },
+    cancel: { allowed: ['pending', 'active', 'past_due', 'paused', 'lapsed'], done: 'Your donation has been cancelled. Thank you for your support.' }
+};
+
+class DonationManager {
+    constructor() {
+        const params = new URLSearchParams(window.location.search);
+        this.id = params.get('id');
+        this.token = params.get('token');
+        this.subscription = null;
+
+        this.init();
+    }
+
+    init() {
+        document.getElementById('subscriptionActions').addEventListener('click', (event) => {
+            const button = event.target.closest('[data-action]');
+            if (button) this.change(button.getAttribute('data-action'));
+        });
+        document.getElementById('subscriptionAmountForm').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.changeAmount();
+        });
+
+        this.load();
+    }
+
+    path(suffix = '') {
+        return `/subscriptions/${encodeURIComponent(this.id)}${suffix}?token=${encodeURIComponent(this.token)}`;
+    }
+
+    async load() {
+        if (!this.id || !this.token) {
+            this.finishLoading();
+            this.showMessage('This link is incomplete. Please use the link from your donation email.');
+            return;
+        }
+
+        try {
+            const { subscription } = await window.afzApi.request('GET', this.path());
+            this.render(subscription);
+        } catch (error) {
+            this.showMessage(error instanceof ApiRequestError && error.status === 404
+                ? 'We could not find this donation. Please use the link from your most recent donation email.'
+                : 'Your donation could not be loaded. Please try again later.');
+        } finally {
+            this.finishLoading();
+        }
+    }
+
+    async change(action) {
+        if (action === 'cancel' && !window.confirm('Cancel your recurring donation? No further payments will be requested.')) {
+            return;
+        }
+
+        await this.submit(() => window.afzApi.request('POST', this.path(`/${action}`)), SUBSCRIPTION_ACTIONS[action].done);
+    }
+
+    async changeAmount() {
+        const amount = parseFloat(document.getElementById('subscriptionAmount').value);
+        if (!amount || amount < 1) {
+            this.showMessage('Please enter a valid amount.');
+            return;
+        }
+
+        await this.submit(() => window.afzApi.request('PATCH', this.path(), { amount }),
+            'Your donation amount has been changed. The new amount applies from your next payment.');
+    }
+
+    async submit(request, doneMessage) {
+        const panel = document.getElementById('subscriptionPanel');
+        panel.setAttribute('aria-busy', 'true');
+        panel.querySelectorAll('button').forEach(button => { button.disabled = true; });
+
+        try {
+            const { subscription } = await request();
+            this.render(subscription);
+            this.showMessage(doneMessage);
+        } catch (error) {
+            this.showMessage(error instanceof ApiRequestError && error.status !== 500
+                ? error.message
+                : 'Your change could not be saved. Please try again later.');
+        } finally {
+            panel.setAttribute('aria-busy', 'false');
+            panel.querySelectorAll('button').forEach(button => { button.disabled = false; });
+        }
+    }
+
+    render(subscription) {
+        this.subscription = subscription;
+
+        const summary = [
+            ['Donor', subscription.donorName],
+            ['Amount', this.formatAmount(subscription.amount, subscription.currency) +
+                (subscription.coverFees ? ' plus the processing fee' : '')],
+            ['Frequency', SUBSCRIPTION_INTERVAL_LABELS[subscription.interval] || subscription.interval],
+            ['Paid with', subscription.network ? `${subscription.network} (+${subscription.msisdn})` : subscription.gateway],
+            ['Next payment', subscription.nextChargeAt && ['active', 'past_due'].includes(subscription.status)
+                ? this.formatDate(subscription.nextChargeAt)
+                : '-']
+        ];
+
+        document.getElementById('subscriptionSummary').innerHTML = `
+            <dt>Status</dt>
+            <dd><span class="subscription-status ${this.escapeHtml(subscription.status)}">${this.escapeHtml(SUBSCRIPTION_STATUS_LABELS[subscription.status] || subscription.status)}</span></dd>
+            ${summary.map(([label, value]) => `<dt>${label}</dt><dd>${this.escapeHtml(value)}</dd>`).join('')}
+        `;
+
+        document.querySelectorAll('#subscriptionActions [data-action]').forEach(button => {
+            button.hidden = !SUBSCRIPTION_ACTIONS[button.getAttribute('data-action')].allowed.includes(subscription.status);
+        });
+
+        const amountForm = document.getElementById('subscriptionAmountForm');
+        amountForm.hidden = ['pending', 'cancelled'].includes(subscription.status);
+        document.getElementById('subscriptionCurrency').textContent = subscription.currency;
+        document.getElementById('subscriptionAmount').value = subscription.amount;
+
+        document.getElementById('subscriptionPayments').innerHTML = subscription.payments.length
+            ? subscription.payments.map(payment => `
+                <tr>
+                    <td>${this.formatDate(payment.completedAt || payment.createdAt)}</td>
+                    <td>${this.escapeHtml(payment.receiptNumber)}</td>
+                    <td>${this.formatAmount(payment.amount, payment.currency)}</td>
+                    <td>${this.escapeHtml(payment.status)}</td>
+                </tr>
+            `).join('')
+            : '<tr><td colspan="4">No payments yet.</td></tr>';
+
+        document.getElementById('subscriptionDetails').hidden = false;
+    }
+
+    finishLoading() {
+        document.getElementById('subscriptionLoading').hidden = true;
+        document.getElementById('subscriptionPanel').setAttribute('aria-busy', 'false');
+    }
+
+    showMessage(message) {
+        const box = document.getElementById('subscriptionMessage');
+        box.textContent = message;
+        box.hidden = false;
+    }
+
+    formatAmount(amount, currency) {
+        return new Intl.NumberFormat('en-ZM', { style: 'currency', currency }).format(amount);
+    }
+
+    formatDate(dateString) {
+        return new Date(dateString).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+    }
+
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value == null ? '' : String(value);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('subscriptionPanel')) {
+        window.donationManager = new DonationManager();
+    }
+});
@@ -23,6 +23,8 @@ class AFZMemberHub {
         this.searchResults = [];
         this.isLoading = true;
         this.sectionHistory = ['dashboard'];
+        // The open campaign behind the donations card, from /api/campaigns
+        this.fundraisingCampaign = null;
 
         // Feature flags for progressive enhancement
         this.features = {
@@ -45,7 +47,8 @@ class AFZMemberHub {
         this.setupRealtimeFeatures();
         this.initNotificationSystem();
         this.initMemberNetworking();
-        this.loadUserData();
+        this.loadUserData().then(() => this.handleSocialLinkResult());
+        this.loadFundraisingCampaign();
         this.setupAccessibility();
         this.checkBrowserCompatibility();
     }
@@ -333,6 +336,18 @@ class AFZMemberHub {
         refreshIcon.style.animation = 'spin 1s linear infinite';
         refreshBtn.disabled = true;
 
+        if (statType === 'donations') {
+            this.loadFundraisingCampaign().then(loaded => {
+                refreshIcon.style.animation = '';
+                refreshBtn.disabled = false;
+                this.showToastNotification(
+                    loaded ? 'Donations data updated' : 'Could not refresh the fundraising progress',
+                    loaded ? 'success' : 'error'
+                );
+            });
+            return;
+        }
+
         // Simulate data refresh
         setTimeout(() => {
             // Update with new simulated data
@@ -399,6 +414,61 @@ class AFZMemberHub {
         this.drawMiniChart(ctx, newData, type, width, height);
     }
 
+    /**
+     * Feeds the donations card from the open campaign with the nearest deadline, so the hub shows
+     * the same ledger totals as the public thermometers. Resolves to false when nothing could be loaded.
+     */
+    async loadFundraisingCampaign() {
+        if (!window.afzApi) return false;
+
+        let campaigns;
+        try {
+            ({ items: campaigns } = await window.afzApi.request('GET', '/campaigns?status=active'));
+        } catch (error) {
+            console.warn('Could not load fundraising campaigns:', error.message);
+            return false;
+        }
+
+        const deadline = campaign => (campaign.endsAt ? new Date(campaign.endsAt).getTime() : Infinity);
+        const campaign = campaigns
+            .filter(item => item.open)
+            .sort((a, b) => deadline(a) - deadline(b))[0];
+        if (!campaign) return false;
+
+        this.fundraisingCampaign = campaign;
+        this.updateDonationsCard(campaign);
+        return true;
+    }
+
+    updateDonationsCard(campaign) {
+        const card = document.querySelector('[data-stat="donations"]');
+        if (!card) return;
+
+        const { raised, target, currency, percent } = campaign.progress;
+        const isKwacha = currency === 'ZMW';
+        const statNumber = card.querySelector('.stat-number');
+        const fill = card.querySelector('.progress-fill');
+        const text = card.querySelector('.progress-text');
+        const label = card.querySelector('.stat-label');
+
+        if (statNumber) {
+            const currentValue = parseInt(statNumber.textContent.replace(/[^0-9]/g, '')) || 0;
+            statNumber.setAttribute('data-target', Math.round(raised));
+            this.animateNumberChange(statNumber, currentValue, Math.round(raised), isKwacha);
+        }
+        if (fill) {
+            fill.setAttribute('data-progress', Math.round(Math.min(100, percent)));
+            fill.style.width = `${Math.min(100, percent)}%`;
+        }
+        if (text) {
+            const goal = isKwacha ? `K${target.toLocaleString()}` : `${target.toLocaleString()} ${currency}`;
+            text.textContent = `${Math.round(percent)}% of ${goal} goal`;
+        }
+        if (label) {
+            label.textContent = `Raised for ${campaign.title}`;
+        }
+    }
+
     getStatTitle(statType) {
         const titles = {
             members: 'Community Members',
@@ -478,6 +548,27 @@ class AFZMemberHub {
             }
         };
 
+        const campaign = this.fundraisingCampaign;
+        if (campaign) {
+            const { raised, target, donorCount, donationCount, daysLeft } = campaign.progress;
+            data.donations = {
+                title: campaign.title,
+                current: raised,
+                goal: target,
+                // Shares of the target rather than of the amount raised
+                breakdownTotal: target,
+                breakdown: [
+                    { label: 'Raised', value: raised, color: '#10b981' },
+                    { label: 'Still to Raise', value: Math.max(0, target - raised), color: '#f59e0b' }
+                ],
+                trends: [
+                    { period: 'Donors', change: donorCount.toLocaleString(), positive: true },
+                    { period: 'Donations', change: donationCount.toLocaleString(), positive: true },
+                    { period: 'Days Left', change: daysLeft === null ? 'Open-ended' : String(daysLeft), positive: daysLeft !== 0 }
+                ]
+            };
+        }
+
         return data[statType] || data.members;
     }
 
@@ -503,7 +594,7 @@ class AFZMemberHub {
                             <div class="overview-label">Current Total</div>
                             <div class="overview-progress">
                                 <div class="progress-bar">
-                                    <div class="progress-fill" style="width: ${(data.current / data.goal * 100)}%"></div>
+                                    <div class="progress-fill" data-width="${data.current / data.goal * 100}"></div>
                                 </div>
                                 <span class="progress-text">${Math.round(data.current / data.goal * 100)}% of goal</span>
                             </div>
@@ -519,14 +610,14 @@ class AFZMemberHub {
                         <div class="breakdown-chart">
                             ${data.breakdown.map(item => `
                                 <div class="breakdown-item-detailed">
-                                    <div class="breakdown-color" style="background-color: ${item.color}"></div>
+                                    <div class="breakdown-color" data-color="${item.color}"></div>
                                     <div class="breakdown-info">
                                         <div class="breakdown-label">${item.label}</div>
                                         <div class="breakdown-value">${item.value.toLocaleString()}</div>
-                                        <div class="breakdown-percentage">${Math.round(item.value / data.current * 100)}%</div>
+                                        <div class="breakdown-percentage">${Math.round(item.value / (data.breakdownTotal || data.current) * 100)}%</div>
                                     </div>
                                     <div class="breakdown-bar">
-                                        <div class="breakdown-bar-fill" style="background-color: ${item.color}; width: ${item.value / data.current * 100}%"></div>
+                                        <div class="breakdown-bar-fill" data-color="${item.color}" data-width="${item.value / (data.breakdownTotal || data.current) * 100}"></div>
                                     </div>
                                 </div>
                             `).join('')}
@@ -550,11 +641,14 @@ class AFZMemberHub {
                 </div>
                 <div class="modal-actions">
                     <button type="button" class="modal-button secondary" data-modal-close>Close</button>
-                    <button type="button" class="modal-button primary" onclick="afzMemberHub.exportStatData('${statType}')">Export Data</button>
+                    <button type="button" class="modal-button primary" data-export-stat>Export Data</button>
                 </div>
             </div>
         `;
 
+        this.applyDataStyles(modal);
+        modal.querySelector('[data-export-stat]').addEventListener('click', () => this.exportStatData(statType));
+
         // Setup close handlers
         modal.querySelectorAll('[data-modal-close]').forEach(element => {
             element.addEventListener('click', () => this.closeModal(modal));
@@ -563,6 +657,16 @@ class AFZMemberHub {
         return modal;
     }
 
+    // Chart widths and colours come from data-* attributes; the CSP does not allow style attributes
+    applyDataStyles(root) {
+        root.querySelectorAll('[data-width]').forEach(element => {
+            element.style.width = `${element.dataset.width}%`;
+        });
+        root.querySelectorAll('[data-color]').forEach(element => {
+            element.style.backgroundColor = element.dataset.color;
+        });
+    }
+
     showModal(modal) {
         document.body.appendChild(modal);
         document.body.classList.add('modal-open');
@@ -606,7 +710,7 @@ class AFZMemberHub {
         csv += 'Breakdown\n';
         csv += 'Category,Value,Percentage\n';
         data.breakdown.forEach(item => {
-            csv += `${item.label},${item.value},${Math.round(item.value / data.current * 100)}%\n`;
+            csv += `${item.label},${item.value},${Math.round(item.value / (data.breakdownTotal || data.current) * 100)}%\n`;
         });
 
         csv += '\nKey Metrics\n';
@@ -657,6 +761,14 @@ class AFZMemberHub {
             });
         });
 
+        // Quick action cards and widget links jump to a section as well
+        document.querySelectorAll('.quick-action-card[data-section], .widget-link[data-section]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.switchSection(link.getAttribute('data-section'));
+            });
+        });
+
         // Global search with advanced features
         const searchInput = document.getElementById('global-search');
         if (searchInput) {
@@ -711,6 +823,14 @@ class AFZMemberHub {
             });
         }
 
+        const logoutLink = document.querySelector('#user-dropdown [data-action="logout"]');
+        if (logoutLink) {
+            logoutLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleLogout();
+            });
+        }
+
         // Quick action cards with enhanced interactions
         const quickActionCards = document.querySelectorAll('.quick-action-card');
         quickActionCards.forEach(card => {
@@ -850,6 +970,8 @@ class AFZMemberHub {
             'events': 'Events',
             'resources': 'Resource Library',
             'profile': 'My Profile',
+            'donations': 'My Donations',
+            'fundraising': 'Fundraising',
             'admin-dashboard': 'Admin Dashboard',
             'member-management': 'Member Management',
             'event-management': 'Event Management',
@@ -1299,10 +1421,10 @@ class AFZMemberHub {
         if (notifications.length === 0) {
             notificationList.innerHTML = `
                 <div class="notification-empty">
-                    <div style="text-align: center; padding: 2rem; color: var(--text-muted);">
-                        <div style="font-size: 3rem; margin-bottom: 1rem;">🔔</div>
-                        <h3 style="margin: 0 0 0.5rem 0; font-size: 1.1rem;">No notifications</h3>
-                        <p style="margin: 0; font-size: 0.875rem;">You're all caught up!</p>
+                    <div class="hub-empty-state">
+                        <div class="hub-empty-state-icon">🔔</div>
+                        <h3>No notifications</h3>
+                        <p>You're all caught up!</p>
                     </div>
                 </div>
             `;
@@ -1961,9 +2083,170 @@ class AFZMemberHub {
         }
     }
 
-    loadUserData() {
-        // Load user-specific data
+    async loadUserData() {
+        // Start from the stored session, then refresh it from the server
+        this.applyUser(this.getStoredUser());
         this.updateUserDisplay();
+        this.applyPermissions();
+
+        if (!window.afzApi) return;
+
+        try {
+            // Renews the access token from the refresh cookie when needed
+            const { user, twoFactorSetupRequired } = await window.afzApi.request('GET', '/auth/me');
+            window.afzApi.storeUser(user);
+
+            this.applyUser(user);
+            this.updateUserDisplay();
+            this.applyPermissions();
+            this.updateVerificationBanner(user);
+            this.updateTwoFactorBanner(twoFactorSetupRequired);
+        } catch (error) {
+            if (error.status === 401 || error.status === 403) {
+                window.location.href = './auth.html';
+                return;
+            }
+            console.error('Failed to refresh user data:', error);
+        }
+    }
+
+    async handleLogout() {
+        if (window.afzApi) {
+            await window.afzApi.logout().catch(error => console.error('Logout error:', error));
+        }
+        window.location.href = './auth.html';
+    }
+
+    getStoredUser() {
+        try {
+            const userString = sessionStorage.getItem('afz_user');
+            return userString ? JSON.parse(userString) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    applyUser(user) {
+        if (!user) return;
+
+        this.currentUser = {
+            ...this.currentUser,
+            id: user.id,
+            name: `${user.firstName} ${user.lastName}`.trim(),
+            email: user.email,
+            role: user.role,
+            joinDate: user.createdAt,
+            chapter: user.chapter,
+            permissions: user.permissions || [],
+            emailVerified: user.emailVerified
+        };
+    }
+
+    hasPermission(permission) {
+        return (this.currentUser.permissions || []).includes(permission);
+    }
+
+    // Shows navigation tagged with data-permission only to members the server has granted it
+    applyPermissions() {
+        document.querySelectorAll('[data-permission]').forEach(element => {
+            element.hidden = !this.hasPermission(element.getAttribute('data-permission'));
+        });
+    }
+
+    // Unverified members can browse but the API rejects anything they post
+    // Persistent banners at the top of the hub for account actions the member still has to take
+    showAccountBanner(id, { icon, message, actionLabel, onAction }) {
+        if (document.getElementById(id)) return;
+
+        const banner = document.createElement('div');
+        banner.id = id;
+        banner.className = 'account-banner';
+        banner.setAttribute('role', 'status');
+        banner.innerHTML = `
+            <i class="fas ${icon}" aria-hidden="true"></i>
+            <span class="account-banner-message">${message}</span>
+            <button type="button">${actionLabel}</button>
+        `;
+
+        const actionButton = banner.querySelector('button');
+        actionButton.addEventListener('click', () => onAction(actionButton));
+
+        const main = document.getElementById('main-content');
+        if (main) main.prepend(banner);
+    }
+
+    removeAccountBanner(id) {
+        const banner = document.getElementById(id);
+        if (banner) banner.remove();
+    }
+
+    updateVerificationBanner(user) {
+        if (user.emailVerified) {
+            this.removeAccountBanner('verification-banner');
+            return;
+        }
+
+        this.showAccountBanner('verification-banner', {
+            icon: 'fa-envelope',
+            message: `Please verify your email address. Until you do, you can browse the hub but cannot post,
+                create events, upload resources or make connections.`,
+            actionLabel: 'Resend email',
+            onAction: async (button) => {
+                button.disabled = true;
+                try {
+                    const data = await window.afzApi.request('POST', '/auth/verify/resend');
+                    this.showToastNotification(data.message, 'success');
+                } catch (error) {
+                    this.showToastNotification(error.message, 'error');
+                    button.disabled = false;
+                }
+            }
+        });
+    }
+
+    // Moderators and admins must enrol before the API will serve anything else
+    updateTwoFactorBanner(setupRequired) {
+        if (!setupRequired) {
+            this.removeAccountBanner('two-factor-banner');
+            return;
+        }
+
+        this.showAccountBanner('two-factor-banner', {
+            icon: 'fa-lock',
+            message: 'Two-factor authentication is required for your role. Set it up to continue using the hub.',
+            actionLabel: 'Set up now',
+            onAction: () => this.openSecuritySettings()
+        });
+    }
+
+    openSecuritySettings() {
+        this.switchSection('profile');
+        if (window.profileManager) window.profileManager.switchTab('security');
+    }
+
+    // Result of connecting a social sign-in provider from the Security tab (?oidc=linked|error)
+    handleSocialLinkResult() {
+        const params = new URLSearchParams(window.location.search);
+        const result = params.get('oidc');
+        if (!result) return;
+
+        window.history.replaceState(null, '', window.location.pathname);
+
+        const provider = params.get('provider') || '';
+        const providerName = provider.charAt(0).toUpperCase() + provider.slice(1);
+        const errors = {
+            cancelled: 'Connecting the account was cancelled.',
+            already_linked: `That ${providerName} account is already connected to another AFZ member.`,
+            expired: 'Connecting the account took too long. Please try again.'
+        };
+
+        if (result === 'linked') {
+            this.showToastNotification(`Your ${providerName} account is now connected.`, 'success');
+        } else {
+            this.showToastNotification(errors[params.get('reason')] ||
+                `We could not connect your ${providerName} account. Please try again.`, 'error');
+        }
+        this.openSecuritySettings();
     }
 
     updateUserDisplay() {
@@ -2316,11 +2599,13 @@ class AFZMemberHub {
                 </div>
                 <div class="modal-actions">
                     <button type="button" class="modal-button secondary" data-modal-close>Cancel</button>
-                    <button type="button" class="modal-button primary" onclick="afzMemberHub.sendConnectionRequest('${memberId}')">Send Request</button>
+                    <button type="button" class="modal-button primary" data-send-request>Send Request</button>
                 </div>
             </div>
         `;
 
+        modal.querySelector('[data-send-request]').addEventListener('click', () => this.sendConnectionRequest(memberId));
+
         // Setup close handlers
         modal.querySelectorAll('[data-modal-close]').forEach(element => {
             element.addEventListener('click', () => this.closeModal(modal));
@@ -2463,12 +2748,14 @@ class AFZMemberHub {
                 <div class="modal-footer conversation-footer">
                     <div class="message-input-container">
                         <textarea id="message-input" placeholder="Type your message..." rows="2"></textarea>
-                        <button type="button" class="send-message-btn" onclick="afzMemberHub.sendMessage('${memberId}')">Send</button>
+                        <button type="button" class="send-message-btn">Send</button>
                     </div>
                 </div>
             </div>
         `;
 
+        modal.querySelector('.send-message-btn').addEventListener('click', () => this.sendMessage(memberId));
+
         // Setup close handlers
         modal.querySelectorAll('[data-modal-close]').forEach(element => {
             element.addEventListener('click', () => this.closeModal(modal));
@@ -2494,10 +2781,10 @@ class AFZMemberHub {
         if (messages.length === 0) {
             return `
                 <div class="empty-conversation">
-                    <div style="text-align: center; padding: 2rem; color: var(--text-muted);">
-                        <div style="font-size: 3rem; margin-bottom: 1rem;">💬</div>
-                        <h3 style="margin: 0 0 0.5rem 0;">Start a conversation</h3>
-                        <p style="margin: 0; font-size: 0.875rem;">Send a message to begin chatting</p>
+                    <div class="hub-empty-state">
+                        <div class="hub-empty-state-icon">💬</div>
+                        <h3>Start a conversation</h3>
+                        <p>Send a message to begin chatting</p>
                     </div>
                 </div>
             `;
@@ -2677,10 +2964,10 @@ class AFZMemberHub {
         if (connections.length === 0) {
             container.innerHTML = `
                 <div class="empty-state">
-                    <div style="text-align: center; padding: 3rem; color: var(--text-muted);">
-                        <div style="font-size: 4rem; margin-bottom: 1rem;">🤝</div>
-                        <h3 style="margin: 0 0 1rem 0;">No connections yet</h3>
-                        <p style="margin: 0; font-size: 0.875rem;">Start connecting with other members to build your network</p>
+                    <div class="hub-empty-state large">
+                        <div class="hub-empty-state-icon">🤝</div>
+                        <h3>No connections yet</h3>
+                        <p>Start connecting with other members to build your network</p>
                     </div>
                 </div>
             `;
@@ -2721,10 +3008,10 @@ class AFZMemberHub {
         if (requests.length === 0) {
             container.innerHTML = `
                 <div class="empty-state">
-                    <div style="text-align: center; padding: 2rem; color: var(--text-muted);">
-                        <div style="font-size: 3rem; margin-bottom: 1rem;">📩</div>
-                        <h3 style="margin: 0 0 0.5rem 0;">No pending requests</h3>
-                        <p style="margin: 0; font-size: 0.875rem;">New connection requests will appear here</p>
+                    <div class="hub-empty-state">
+                        <div class="hub-empty-state-icon">📩</div>
+                        <h3>No pending requests</h3>
+                        <p>New connection requests will appear here</p>
                     </div>
                 </div>
             `;
@@ -0,0 +1,236 @@
+/**
+ * AFZ Advocacy Application - Offline Outbox
+ * Requests made without a connection wait in IndexedDB until the server has acknowledged them. Pages load
+ * this before pwa.js and the service worker through importScripts, so either can send what is waiting;
+ * both see the same queue and hear about changes on the "afz-outbox" BroadcastChannel.
+ */
+
+const OUTBOX_DB = 'afz-outbox';
+const OUTBOX_STORE = 'requests';
+const OUTBOX_CHANNEL = 'afz-outbox';
+// Waits between attempts double from 30 seconds up to an hour
+const OUTBOX_RETRY_BASE_MS = 30 * 1000;
+const OUTBOX_RETRY_MAX_MS = 60 * 60 * 1000;
+// A send that has not finished by then is taken to have been lost, so the page or the worker may try again
+const OUTBOX_CLAIM_MS = 60 * 1000;
+
+class AFZOutbox {
+    constructor() {
+        this.db = null;
+        this.flushing = null;
+        this.listeners = new Set();
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(OUTBOX_CHANNEL) : null;
+
+        if (this.channel) {
+            this.channel.addEventListener('message', event => this.notify(event.data));
+        }
+    }
+
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(OUTBOX_DB, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+
+    /**
+     * Runs `work(store)` in one transaction and resolves once it commits, with what `work` returned: for a
+     * request its result, for a function what it returns then, so reads made in callbacks can be passed out.
+     */
+    async transaction(mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(OUTBOX_STORE, mode);
+            let result;
+            tx.oncomplete = () => {
+                if (result instanceof IDBRequest) resolve(result.result);
+                else resolve(typeof result === 'function' ? result() : result);
+            };
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+            result = work(tx.objectStore(OUTBOX_STORE));
+        });
+    }
+
+    /**
+     * Queues a request: { kind, label, url, method, headers, body }. `body` is sent as JSON. The entry's id
+     * goes with it as the Idempotency-Key, so a request the server received but could not answer is not made twice.
+     */
+    async add({ kind, label, url, method = 'POST', headers = {}, body }) {
+        const id = crypto.randomUUID();
+        // Sessions are not kept on the device, so the outbox only carries requests that need no sign-in
+        const stored = Object.fromEntries(Object.entries(headers).filter(([name]) => name.toLowerCase() !== 'authorization'));
+        const entry = {
+            id,
+            kind,
+            label: label || kind,
+            url,
+            method,
+            headers: { 'Content-Type': 'application/json', ...stored, 'Idempotency-Key': id },
+            body: JSON.stringify(body),
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            claimedUntil: 0,
+            lastError: null,
+            createdAt: new Date().toISOString()
+        };
+
+        await this.transaction('readwrite', store => { store.add(entry); });
+        this.post({ type: 'changed' });
+        this.requestSync();
+        return entry;
+    }
+
+    async list() {
+        const entries = await this.transaction('readonly', store => store.getAll());
+        return entries.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    // Entries the server refused stay until the person discards them
+    async discard(id) {
+        await this.transaction('readwrite', store => { store.delete(id); });
+        this.post({ type: 'changed' });
+    }
+
+    // Makes every waiting entry due now, e.g. when the person asks for it to be sent
+    async retryAll() {
+        await this.transaction('readwrite', store => {
+            store.getAll().onsuccess = event => event.target.result
+                .filter(entry => entry.status === 'pending')
+                .forEach(entry => store.put({ ...entry, nextAttemptAt: Date.now() }));
+        });
+        return this.flush();
+    }
+
+    // Asks the service worker to send the queue when there is a connection, where background sync exists
+    requestSync() {
+        if (typeof window === 'undefined' || !('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.ready
+            .then(registration => registration.sync && registration.sync.register('outbox'))
+            .catch(error => console.warn('[Outbox] Background sync unavailable:', error.message));
+    }
+
+    /**
+     * Sends every entry that is due. Resolves with { sent, failed, rejected } for this run, plus the number
+     * still `pending` and when the next one is due (`nextAttemptAt`, or null).
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.sendDue().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async sendDue() {
+        const result = { sent: 0, failed: 0, rejected: 0 };
+        const now = Date.now();
+        const due = (await this.list()).filter(entry => entry.status === 'pending' && entry.nextAttemptAt <= now);
+
+        for (const { id } of due) {
+            const entry = await this.claim(id);
+            if (entry) {
+                result[await this.send(entry)] += 1;
+            }
+        }
+
+        const pending = (await this.list()).filter(entry => entry.status === 'pending');
+        if (due.length) this.post({ type: 'changed' });
+        return {
+            ...result,
+            pending: pending.length,
+            nextAttemptAt: pending.length ? Math.min(...pending.map(entry => entry.nextAttemptAt)) : null
+        };
+    }
+
+    // Marks the entry as being sent, unless the other context is already sending it
+    claim(id) {
+        const now = Date.now();
+        return this.transaction('readwrite', store => {
+            let claimed = null;
+            store.get(id).onsuccess = event => {
+                const entry = event.target.result;
+                if (entry && entry.status === 'pending' && entry.claimedUntil <= now) {
+                    claimed = { ...entry, claimedUntil: now + OUTBOX_CLAIM_MS };
+                    store.put(claimed);
+                }
+            };
+            return () => claimed;
+        });
+    }
+
+    // Returns 'sent', 'failed' (to be tried again) or 'rejected'
+    async send(entry) {
+        let response;
+        try {
+            response = await fetch(entry.url, {
+                method: entry.method,
+                headers: entry.headers,
+                body: entry.body,
+                credentials: 'same-origin'
+            });
+        } catch (error) {
+            await this.retryLater(entry, 'No connection');
+            return 'failed';
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (response.ok) {
+            // Only now, with the server's answer, does the entry leave the queue
+            await this.transaction('readwrite', store => { store.delete(entry.id); });
+            this.post({ type: 'sent', id: entry.id, kind: entry.kind, data });
+            return 'sent';
+        }
+
+        // A busy or failing server is tried again; anything else it refused would be refused again
+        if (response.status >= 500 || response.status === 408 || response.status === 429) {
+            await this.retryLater(entry, data.message || `Server error (${response.status})`);
+            return 'failed';
+        }
+
+        const message = data.message || `The request was refused (${response.status}).`;
+        await this.update(entry.id, { status: 'rejected', claimedUntil: 0, lastError: message });
+        this.post({ type: 'rejected', id: entry.id, kind: entry.kind, message });
+        return 'rejected';
+    }
+
+    retryLater(entry, reason) {
+        const attempts = entry.attempts + 1;
+        const wait = Math.min(OUTBOX_RETRY_MAX_MS, OUTBOX_RETRY_BASE_MS * 2 ** (attempts - 1));
+        return this.update(entry.id, { attempts, nextAttemptAt: Date.now() + wait, claimedUntil: 0, lastError: reason });
+    }
+
+    // Leaves entries that were discarded while they were being sent alone
+    update(id, changes) {
+        return this.transaction('readwrite', store => {
+            store.get(id).onsuccess = event => {
+                if (event.target.result) store.put({ ...event.target.result, ...changes });
+            };
+        });
+    }
+
+    // `listener(message)` hears about changes made here and in the other context; returns an unsubscribe function
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    post(message) {
+        if (this.channel) this.channel.postMessage(message);
+        this.notify(message);
+    }
+
+    notify(message) {
+        this.listeners.forEach(listener => listener(message));
+    }
+}
+
+self.afzOutbox = new AFZOutbox();
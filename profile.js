@@ -46,6 +46,8 @@ class ProfileManager {
         this.setupProfileInterface();
         this.setupEventListeners();
         this.loadUserData();
+        this.loadTwoFactorStatus();
+        this.loadConnectedAccounts();
         this.setupImageUploads();
         this.setupFormValidation();
     }
@@ -59,7 +61,7 @@ class ProfileManager {
                 <!-- Profile Header -->
                 <div class="profile-header">
                     <div class="cover-image-container">
-                        <div class="cover-image" style="background-image: url('${this.currentUser.coverImage}')">
+                        <div class="cover-image">
                             <div class="cover-overlay">
                                 <button class="change-cover-btn" id="change-cover-btn" title="Change Cover Photo">
                                     <i class="fas fa-camera"></i>
@@ -122,6 +124,10 @@ class ProfileManager {
                             <i class="fas fa-shield-alt"></i>
                             Privacy Settings
                         </button>
+                        <button class="tab-btn" data-tab="security" id="tab-security">
+                            <i class="fas fa-lock"></i>
+                            Security
+                        </button>
                         <button class="tab-btn" data-tab="activity" id="tab-activity">
                             <i class="fas fa-history"></i>
                             Activity
@@ -144,6 +150,11 @@ class ProfileManager {
                             ${this.renderPrivacyPanel()}
                         </div>
 
+                        <!-- Security Tab -->
+                        <div class="tab-panel" id="panel-security">
+                            ${this.renderSecurityPanel()}
+                        </div>
+
                         <!-- Activity Tab -->
                         <div class="tab-panel" id="panel-activity">
                             ${this.renderActivityPanel()}
@@ -152,7 +163,7 @@ class ProfileManager {
                 </div>
 
                 <!-- Image Upload Modal -->
-                <div class="image-upload-modal" id="image-upload-modal" style="display: none;">
+                <div class="image-upload-modal" id="image-upload-modal" hidden>
                     <div class="modal-content">
                         <div class="modal-header">
                             <h3 id="upload-modal-title">Upload Image</h3>
@@ -168,9 +179,9 @@ class ProfileManager {
                                     <small>Supported formats: JPG, PNG, GIF (Max 5MB)</small>
                                     <input type="file" id="image-upload-input" accept="image/*">
                                 </div>
-                                <div class="image-preview" id="image-preview" style="display: none;">
+                                <div class="image-preview" id="image-preview" hidden>
                                     <img id="preview-image" alt="Preview">
-                                    <div class="image-crop-tools" id="crop-tools" style="display: none;">
+                                    <div class="image-crop-tools" id="crop-tools" hidden>
                                         <button class="btn btn-sm btn-secondary" id="crop-reset">Reset</button>
                                         <button class="btn btn-sm btn-primary" id="crop-apply">Apply Crop</button>
                                     </div>
@@ -185,7 +196,7 @@ class ProfileManager {
                 </div>
 
                 <!-- Unsaved Changes Warning -->
-                <div class="unsaved-changes-warning" id="unsaved-warning" style="display: none;">
+                <div class="unsaved-changes-warning" id="unsaved-warning" hidden>
                     <div class="warning-content">
                         <div class="warning-icon">
                             <i class="fas fa-exclamation-triangle"></i>
@@ -203,6 +214,7 @@ class ProfileManager {
             </div>
         `;
 
+        profileContainer.querySelector('.cover-image').style.backgroundImage = `url('${this.currentUser.coverImage}')`;
         this.injectProfileStyles();
     }
 
@@ -476,6 +488,26 @@ class ProfileManager {
         `;
     }
 
+    renderSecurityPanel() {
+        return `
+            <div class="privacy-settings">
+                <div class="privacy-section">
+                    <h3>Two-Factor Authentication</h3>
+                    <div id="two-factor-settings" aria-live="polite">
+                        <p class="security-note">Loading your security settings...</p>
+                    </div>
+                </div>
+
+                <div class="privacy-section">
+                    <h3>Connected Accounts</h3>
+                    <div id="connected-accounts" aria-live="polite">
+                        <p class="security-note">Loading your connected accounts...</p>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
     renderActivityPanel() {
         return `
             <div class="activity-content">
@@ -630,6 +662,28 @@ class ProfileManager {
             });
         }
 
+        // Two-factor authentication actions
+        const twoFactorSettings = document.getElementById('two-factor-settings');
+        if (twoFactorSettings) {
+            twoFactorSettings.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-two-factor]');
+                if (button) {
+                    this.handleTwoFactorAction(button.getAttribute('data-two-factor'), button);
+                }
+            });
+        }
+
+        // Social sign-in accounts
+        const connectedAccounts = document.getElementById('connected-accounts');
+        if (connectedAccounts) {
+            connectedAccounts.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-provider]');
+                if (button) {
+                    this.handleConnectedAccountAction(button);
+                }
+            });
+        }
+
         // Interest management
         this.setupInterestManagement();
 
@@ -801,7 +855,7 @@ class ProfileManager {
 
         if (modal && title) {
             title.textContent = type === 'avatar' ? 'Upload Profile Picture' : 'Upload Cover Photo';
-            modal.style.display = 'flex';
+            modal.hidden = false;
             modal.dataset.uploadType = type;
         }
     }
@@ -813,12 +867,12 @@ class ProfileManager {
         const confirmBtn = document.getElementById('confirm-upload');
 
         if (modal) {
-            modal.style.display = 'none';
+            modal.hidden = true;
             delete modal.dataset.uploadType;
         }
 
         if (preview) {
-            preview.style.display = 'none';
+            preview.hidden = true;
         }
 
         if (dropZone) {
@@ -860,7 +914,7 @@ class ProfileManager {
         if (preview && dropZone && previewImg && confirmBtn) {
             previewImg.src = imageSrc;
             dropZone.style.display = 'none';
-            preview.style.display = 'block';
+            preview.hidden = false;
             confirmBtn.disabled = false;
 
             this.uploadedFiles.set('current', file);
@@ -1084,6 +1138,255 @@ class ProfileManager {
         }, 500);
     }
 
+    async loadTwoFactorStatus() {
+        const container = document.getElementById('two-factor-settings');
+        if (!container || !window.afzApi) return;
+
+        try {
+            this.twoFactorStatus = await window.afzApi.request('GET', '/auth/two-factor');
+            this.renderTwoFactorStatus();
+        } catch (error) {
+            container.innerHTML = `<p class="security-note">${error.message}</p>`;
+        }
+    }
+
+    renderTwoFactorStatus() {
+        const container = document.getElementById('two-factor-settings');
+        const status = this.twoFactorStatus;
+        if (!container || !status) return;
+
+        if (!status.enabled) {
+            container.innerHTML = `
+                <div class="privacy-option">
+                    <div class="option-info">
+                        <h4>Status: <span class="two-factor-state">Off</span></h4>
+                        <p>${status.required
+                            ? 'Two-factor authentication is required for your role. Set it up to keep using the hub.'
+                            : 'Protect your account with a code from an authenticator app each time you sign in.'}</p>
+                    </div>
+                    <button type="button" class="btn btn-primary" data-two-factor="setup">Set Up</button>
+                </div>
+            `;
+            return;
+        }
+
+        const remaining = status.recoveryCodesRemaining;
+        container.innerHTML = `
+            <div class="privacy-option">
+                <div class="option-info">
+                    <h4>Status: <span class="two-factor-state enabled">On</span></h4>
+                    <p>You have ${remaining} recovery code${remaining === 1 ? '' : 's'} left.</p>
+                </div>
+            </div>
+
+            <div class="two-factor-form">
+                <label for="two-factor-manage-code">Authenticator code</label>
+                <input type="text" id="two-factor-manage-code" inputmode="numeric" autocomplete="one-time-code" maxlength="6" placeholder="123456">
+                <div class="two-factor-actions">
+                    <button type="button" class="btn btn-secondary" data-two-factor="recovery-codes">Generate New Recovery Codes</button>
+                </div>
+            </div>
+
+            ${status.required ? `
+                <p class="security-note">Two-factor authentication is required for your role and cannot be turned off.</p>
+            ` : `
+                <div class="two-factor-form">
+                    <label for="two-factor-disable-password">Password</label>
+                    <input type="password" id="two-factor-disable-password" autocomplete="current-password">
+                    <label for="two-factor-disable-code">Authenticator or recovery code</label>
+                    <input type="text" id="two-factor-disable-code" autocomplete="one-time-code">
+                    <div class="two-factor-actions">
+                        <button type="button" class="btn btn-secondary" data-two-factor="disable">Turn Off Two-Factor</button>
+                    </div>
+                </div>
+            `}
+        `;
+    }
+
+    async handleTwoFactorAction(action, button) {
+        button.disabled = true;
+
+        try {
+            switch (action) {
+            case 'setup':
+                await this.startTwoFactorSetup();
+                break;
+            case 'enable':
+                await this.enableTwoFactor();
+                break;
+            case 'recovery-codes':
+                await this.regenerateRecoveryCodes();
+                break;
+            case 'disable':
+                await this.disableTwoFactor();
+                break;
+            case 'download-codes':
+                this.downloadRecoveryCodes();
+                break;
+            case 'cancel':
+            case 'done':
+                this.recoveryCodes = null;
+                await this.loadTwoFactorStatus();
+                break;
+            }
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async startTwoFactorSetup() {
+        const container = document.getElementById('two-factor-settings');
+        const data = await window.afzApi.request('POST', '/auth/two-factor/setup');
+
+        container.innerHTML = `
+            <p class="security-note">Scan this QR code with an authenticator app such as Google Authenticator, Microsoft Authenticator or Authy.</p>
+            <img class="two-factor-qr" src="${data.qrCode}" alt="QR code for your authenticator app" width="220" height="220">
+            <p class="security-note">Can't scan it? Enter this key in the app instead: <code class="two-factor-secret">${data.secret}</code></p>
+
+            <div class="two-factor-form">
+                <label for="two-factor-setup-code">Enter the 6-digit code shown in the app</label>
+                <input type="text" id="two-factor-setup-code" inputmode="numeric" autocomplete="one-time-code" maxlength="6" placeholder="123456">
+                <div class="two-factor-actions">
+                    <button type="button" class="btn btn-secondary" data-two-factor="cancel">Cancel</button>
+                    <button type="button" class="btn btn-primary" data-two-factor="enable">Verify &amp; Turn On</button>
+                </div>
+            </div>
+        `;
+        document.getElementById('two-factor-setup-code').focus();
+    }
+
+    async enableTwoFactor() {
+        const code = document.getElementById('two-factor-setup-code').value.trim();
+        const data = await window.afzApi.request('POST', '/auth/two-factor/enable', { code });
+
+        this.showNotification(data.message, 'success');
+        this.showRecoveryCodes(data.recoveryCodes);
+
+        // Clears the setup banner and lets the rest of the hub load again
+        if (window.afzMemberHub) window.afzMemberHub.loadUserData();
+    }
+
+    async regenerateRecoveryCodes() {
+        const code = document.getElementById('two-factor-manage-code').value.trim();
+        const data = await window.afzApi.request('POST', '/auth/two-factor/recovery-codes', { code });
+
+        this.showNotification('New recovery codes generated. Your old codes no longer work.', 'success');
+        this.showRecoveryCodes(data.recoveryCodes);
+    }
+
+    async disableTwoFactor() {
+        const password = document.getElementById('two-factor-disable-password').value;
+        const code = document.getElementById('two-factor-disable-code').value.trim();
+
+        // Six digits is an authenticator code; anything else is treated as a recovery code
+        const secondFactor = /^\d{6}$/.test(code) ? { code } : { recoveryCode: code };
+        const data = await window.afzApi.request('POST', '/auth/two-factor/disable', { password, ...secondFactor });
+
+        this.showNotification(data.message, 'success');
+        await this.loadTwoFactorStatus();
+        if (window.afzMemberHub) window.afzMemberHub.loadUserData();
+    }
+
+    showRecoveryCodes(codes) {
+        const container = document.getElementById('two-factor-settings');
+        this.recoveryCodes = codes;
+
+        container.innerHTML = `
+            <p class="security-note">
+                Save these recovery codes somewhere safe. Each one signs you in once if you lose access to your
+                authenticator app. They will not be shown again.
+            </p>
+            <ul class="recovery-codes">
+                ${codes.map(code => `<li><code>${code}</code></li>`).join('')}
+            </ul>
+            <div class="two-factor-actions">
+                <button type="button" class="btn btn-secondary" data-two-factor="download-codes">
+                    <i class="fas fa-download"></i>
+                    Download
+                </button>
+                <button type="button" class="btn btn-primary" data-two-factor="done">I've Saved Them</button>
+            </div>
+        `;
+    }
+
+    downloadRecoveryCodes() {
+        if (!this.recoveryCodes) return;
+
+        const text = `AFZ Member Hub recovery codes\n\n${this.recoveryCodes.join('\n')}\n`;
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+        link.download = 'afz-recovery-codes.txt';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    async loadConnectedAccounts() {
+        const container = document.getElementById('connected-accounts');
+        if (!container || !window.afzApi) return;
+
+        try {
+            const { providers } = await window.afzApi.request('GET', '/auth/oidc/providers');
+            this.socialProviders = providers;
+            this.renderConnectedAccounts();
+        } catch (error) {
+            container.innerHTML = `<p class="security-note">${error.message}</p>`;
+        }
+    }
+
+    renderConnectedAccounts() {
+        const container = document.getElementById('connected-accounts');
+        const user = window.afzApi.getUser() || {};
+        const linked = user.linkedAccounts || [];
+        if (!container || !this.socialProviders) return;
+
+        if (this.socialProviders.length === 0) {
+            container.innerHTML = '<p class="security-note">Social sign-in is not available on this site.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <p class="security-note">Sign in with one of these accounts instead of your password.</p>
+            ${this.socialProviders.map(provider => {
+                const connected = linked.includes(provider.id);
+                return `
+                    <div class="privacy-option">
+                        <div class="option-info">
+                            <h4>${provider.name}</h4>
+                            <p>${connected ? 'Connected' : 'Not connected'}</p>
+                        </div>
+                        <button type="button" class="btn ${connected ? 'btn-secondary' : 'btn-primary'}"
+                                data-provider="${provider.id}" data-connected="${connected}">
+                            ${connected ? 'Disconnect' : 'Connect'}
+                        </button>
+                    </div>
+                `;
+            }).join('')}
+        `;
+    }
+
+    async handleConnectedAccountAction(button) {
+        const provider = button.getAttribute('data-provider');
+        button.disabled = true;
+
+        try {
+            if (button.getAttribute('data-connected') === 'true') {
+                const data = await window.afzApi.request('DELETE', `/auth/oidc/identities/${provider}`);
+                window.afzApi.storeUser(data.user);
+                this.showNotification(data.message, 'success');
+                this.renderConnectedAccounts();
+            } else {
+                // The provider sends the member back to the hub, which reports the result
+                const data = await window.afzApi.request('POST', `/auth/oidc/${provider}/link`);
+                window.location.href = data.authorizationUrl;
+            }
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            button.disabled = false;
+        }
+    }
+
     updateProfileDisplay() {
         // Update header information
         const profileName = document.querySelector('.profile-name');
@@ -1116,7 +1419,7 @@ class ProfileManager {
     showUnsavedWarning() {
         const warning = document.getElementById('unsaved-warning');
         if (warning && this.hasUnsavedChanges) {
-            warning.style.display = 'flex';
+            warning.hidden = false;
 
             // Setup warning actions if not already done
             const discardBtn = document.getElementById('discard-changes');
@@ -1139,7 +1442,7 @@ class ProfileManager {
     hideUnsavedWarning() {
         const warning = document.getElementById('unsaved-warning');
         if (warning) {
-            warning.style.display = 'none';
+            warning.hidden = true;
         }
     }
 
@@ -1155,6 +1458,14 @@ class ProfileManager {
         this.updateProfileDisplay();
     }
 
+    showNotification(message, type = 'info') {
+        if (window.afzMemberHub) {
+            window.afzMemberHub.showToastNotification(message, type);
+        } else if (window.afzDashboard) {
+            window.afzDashboard.showNotification(message, type);
+        }
+    }
+
     showError(message) {
         if (window.afzDashboard) {
             window.afzDashboard.showNotification(message, 'error');
@@ -1173,9 +1484,7 @@ class ProfileManager {
     injectProfileStyles() {
         if (document.getElementById('profile-styles')) return;
 
-        const styles = document.createElement('style');
-        styles.id = 'profile-styles';
-        styles.textContent = `
+        window.afzCsp.addStyles(`
             .profile-interface {
                 background: var(--surface-color);
                 border-radius: 16px;
@@ -1748,6 +2057,77 @@ class ProfileManager {
                 margin-top: 32px;
             }
 
+            /* Security Styles */
+            .security-note {
+                font-size: 14px;
+                color: var(--text-secondary);
+                margin: 0 0 16px;
+            }
+
+            .two-factor-state {
+                color: var(--warning);
+            }
+
+            .two-factor-state.enabled {
+                color: var(--success);
+            }
+
+            .two-factor-qr {
+                display: block;
+                margin: 0 auto 16px;
+                background: #fff;
+                border-radius: 8px;
+            }
+
+            .two-factor-secret,
+            .recovery-codes code {
+                font-family: monospace;
+                font-size: 14px;
+                letter-spacing: 1px;
+                color: var(--text-primary);
+                word-break: break-all;
+            }
+
+            .two-factor-form {
+                display: flex;
+                flex-direction: column;
+                gap: 8px;
+                margin-top: 20px;
+            }
+
+            .two-factor-form label {
+                font-size: 14px;
+                font-weight: 500;
+                color: var(--text-primary);
+            }
+
+            .two-factor-form input {
+                background: var(--surface-color);
+                border: 1px solid var(--border-color);
+                border-radius: 6px;
+                padding: 8px 12px;
+                color: var(--text-primary);
+                max-width: 280px;
+            }
+
+            .two-factor-actions {
+                display: flex;
+                gap: 12px;
+                margin-top: 8px;
+            }
+
+            .recovery-codes {
+                display: grid;
+                grid-template-columns: repeat(2, 1fr);
+                gap: 8px;
+                list-style: none;
+                padding: 16px;
+                margin: 0 0 16px;
+                background: var(--surface-color);
+                border: 1px solid var(--border-color);
+                border-radius: 8px;
+            }
+
             /* Activity Styles */
             .activity-content {
                 max-width: 800px;
@@ -2064,8 +2444,7 @@ class ProfileManager {
                     max-width: none;
                 }
             }
-        `;
-        document.head.appendChild(styles);
+        `, 'profile-styles');
     }
 }
 
@@ -7,6 +7,9 @@ class AFZPWAManager {
         this.swRegistration = null;
         this.isOnline = navigator.onLine;
         this.installPromptShown = false;
+        // Requests waiting to be sent, shared with the service worker (outbox.js)
+        this.outbox = window.afzOutbox || null;
+        this.outboxTimer = null;
 
         this.init();
     }
@@ -133,10 +136,10 @@ class AFZPWAManager {
                     <p>Get quick access and offline functionality</p>
                 </div>
                 <div class="install-banner-actions">
-                    <button class="install-btn" onclick="window.afzPWA.promptInstall()">
+                    <button class="install-btn">
                         Install
                     </button>
-                    <button class="dismiss-btn" onclick="window.afzPWA.hideInstallButton()">
+                    <button class="dismiss-btn">
                         ✕
                     </button>
                 </div>
@@ -144,8 +147,7 @@ class AFZPWAManager {
         `;
 
         // Add styles
-        const style = document.createElement('style');
-        style.textContent = `
+        window.afzCsp.addStyles(`
             .pwa-install-banner {
                 position: fixed;
                 top: 0;
@@ -248,8 +250,10 @@ class AFZPWAManager {
                     font-size: 0.875rem;
                 }
             }
-        `;
-        document.head.appendChild(style);
+        `);
+
+        banner.querySelector('.install-btn').addEventListener('click', () => this.promptInstall());
+        banner.querySelector('.dismiss-btn').addEventListener('click', () => this.hideInstallButton());
 
         return banner;
     }
@@ -313,12 +317,14 @@ class AFZPWAManager {
             console.log('[PWA] Connection restored');
             this.showConnectionStatus('online');
             this.syncOfflineData();
+            if (this.outbox) this.renderOutboxIndicator();
         });
 
         window.addEventListener('offline', () => {
             this.isOnline = false;
             console.log('[PWA] Connection lost');
             this.showConnectionStatus('offline');
+            if (this.outbox) this.renderOutboxIndicator();
         });
 
         // Initial connection check
@@ -372,8 +378,7 @@ class AFZPWAManager {
         }
 
         // Add styles
-        const style = document.createElement('style');
-        style.textContent = `
+        window.afzCsp.addStyles(`
             .connection-status-notification {
                 position: fixed;
                 top: 20px;
@@ -414,8 +419,7 @@ class AFZPWAManager {
                     font-size: 0.875rem;
                 }
             }
-        `;
-        document.head.appendChild(style);
+        `);
 
         document.body.appendChild(notification);
 
@@ -471,10 +475,10 @@ class AFZPWAManager {
                     <p>Get notified about AFZ events and advocacy updates</p>
                 </div>
                 <div class="prompt-actions">
-                    <button class="allow-btn" onclick="window.afzPWA.requestNotificationPermission()">
+                    <button class="allow-btn">
                         Allow
                     </button>
-                    <button class="decline-btn" onclick="window.afzPWA.declineNotifications()">
+                    <button class="decline-btn">
                         Not now
                     </button>
                 </div>
@@ -482,8 +486,7 @@ class AFZPWAManager {
         `;
 
         // Add styles
-        const style = document.createElement('style');
-        style.textContent = `
+        window.afzCsp.addStyles(`
             .notification-prompt {
                 position: fixed;
                 bottom: 20px;
@@ -579,9 +582,10 @@ class AFZPWAManager {
                     padding: 16px;
                 }
             }
-        `;
-        document.head.appendChild(style);
+        `);
 
+        prompt.querySelector('.allow-btn').addEventListener('click', () => this.requestNotificationPermission());
+        prompt.querySelector('.decline-btn').addEventListener('click', () => this.declineNotifications());
         document.body.appendChild(prompt);
 
         // Mark as shown
@@ -673,45 +677,43 @@ class AFZPWAManager {
 
         // Show offline indicators
         this.updateOfflineUI();
+
+        // Show what is waiting in the outbox and send it when it falls due
+        this.setupOutbox();
     }
 
     // Intercept form submissions for offline handling
     interceptFormSubmissions() {
         document.addEventListener('submit', async (e) => {
-            if (!this.isOnline) {
-                e.preventDefault();
-
-                const form = e.target;
-                const formData = new FormData(form);
-                const data = Object.fromEntries(formData.entries());
+            const form = e.target;
+            // Forms that scripts submit themselves have already called preventDefault, and
+            // passwords are never kept on the device
+            if (this.isOnline || e.defaultPrevented || form.querySelector('input[type="password"]')) {
+                return;
+            }
 
-                // Store for background sync
-                await this.storeOfflineFormData(form.action, data);
+            e.preventDefault();
+            const formData = new FormData(form);
+            const data = Object.fromEntries(formData.entries());
 
-                // Show offline submission message
+            // Store for background sync
+            if (await this.storeOfflineFormData(form.action, data, form.getAttribute('aria-label'))) {
                 this.showOfflineSubmissionMessage();
             }
         });
     }
 
-    // Store form data for background sync
-    async storeOfflineFormData(action, data) {
-        try {
-            // In a real implementation, you'd use IndexedDB
-            const offlineData = JSON.parse(localStorage.getItem('offline-form-data') || '[]');
-
-            offlineData.push({
-                id: Date.now(),
-                action,
-                data,
-                timestamp: new Date().toISOString()
-            });
-
-            localStorage.setItem('offline-form-data', JSON.stringify(offlineData));
+    // Store form data for background sync; resolves with whether it was queued
+    async storeOfflineFormData(action, data, label = null) {
+        if (!this.outbox) return false;
 
+        try {
+            await this.outbox.add({ kind: 'form', label: label || 'Form', url: action, body: data });
             console.log('[PWA] Form data stored for offline sync');
+            return true;
         } catch (error) {
             console.error('[PWA] Error storing offline form data:', error);
+            return false;
         }
     }
 
@@ -728,8 +730,7 @@ class AFZPWAManager {
         `;
 
         // Style the message
-        const style = document.createElement('style');
-        style.textContent = `
+        window.afzCsp.addStyles(`
             .offline-submission-message {
                 position: fixed;
                 top: 20px;
@@ -754,8 +755,7 @@ class AFZPWAManager {
                 from { transform: translateX(-50%) translateY(-100%); }
                 to { transform: translateX(-50%) translateY(0); }
             }
-        `;
-        document.head.appendChild(style);
+        `);
 
         document.body.appendChild(message);
 
@@ -780,10 +780,10 @@ class AFZPWAManager {
     // Sync offline data when back online
     async syncOfflineData() {
         try {
-            if ('serviceWorker' in navigator && 'sync' in window.ServiceWorkerRegistration.prototype) {
+            if (this.swRegistration && 'sync' in window.ServiceWorkerRegistration.prototype) {
                 // Register background sync
-                await this.swRegistration.sync.register('form-submission');
-                console.log('[PWA] Background sync registered for form submissions');
+                await this.swRegistration.sync.register('outbox');
+                console.log('[PWA] Background sync registered for the outbox');
             } else {
                 // Fallback: sync immediately
                 await this.syncOfflineDataNow();
@@ -793,35 +793,171 @@ class AFZPWAManager {
         }
     }
 
-    // Sync offline data immediately (fallback)
+    // Sync offline data immediately (fallback); entries stay queued until the server has accepted them
     async syncOfflineDataNow() {
+        if (!this.outbox) return;
+
         try {
-            const offlineData = JSON.parse(localStorage.getItem('offline-form-data') || '[]');
-
-            for (const submission of offlineData) {
-                try {
-                    const response = await fetch(submission.action, {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify(submission.data)
-                    });
+            const result = await this.outbox.flush();
+            this.scheduleOutboxRetry(result.nextAttemptAt);
+        } catch (error) {
+            console.error('[PWA] Error syncing offline data now:', error);
+        }
+    }
 
-                    if (response.ok) {
-                        console.log('[PWA] Offline form submission synced successfully');
-                    }
-                } catch (error) {
-                    console.error('[PWA] Error syncing form submission:', error);
-                }
-            }
+    // Outbox (outbox.js)
+    async setupOutbox() {
+        if (!this.outbox) return;
 
-            // Clear synced data
+        this.outbox.subscribe(() => this.renderOutboxIndicator());
+        await this.migrateOfflineFormData();
+        this.renderOutboxIndicator();
+        if (this.isOnline) {
+            this.syncOfflineDataNow();
+        }
+    }
+
+    // Forms queued before the outbox were kept in localStorage, where the service worker cannot reach them
+    async migrateOfflineFormData() {
+        const stored = localStorage.getItem('offline-form-data');
+        if (!stored) return;
+
+        try {
+            for (const submission of JSON.parse(stored)) {
+                await this.outbox.add({ kind: 'form', label: 'Form', url: submission.action, body: submission.data });
+            }
             localStorage.removeItem('offline-form-data');
+        } catch (error) {
+            console.error('[PWA] Error moving offline form data to the outbox:', error);
+        }
+    }
+
+    // While the page is open it sends the next entry when its wait is over, even without background sync
+    scheduleOutboxRetry(nextAttemptAt) {
+        clearTimeout(this.outboxTimer);
+        if (!nextAttemptAt) return;
 
+        this.outboxTimer = setTimeout(() => {
+            if (this.isOnline) this.syncOfflineDataNow();
+        }, Math.max(1000, nextAttemptAt - Date.now()));
+    }
+
+    // The "pending uploads" indicator: how many requests are waiting, and any the server refused
+    async renderOutboxIndicator() {
+        let entries;
+        try {
+            entries = await this.outbox.list();
         } catch (error) {
-            console.error('[PWA] Error syncing offline data now:', error);
+            console.error('[PWA] Error reading the outbox:', error);
+            return;
+        }
+
+        let indicator = document.querySelector('.outbox-indicator');
+        if (!entries.length) {
+            if (indicator) indicator.remove();
+            return;
+        }
+
+        if (!indicator) {
+            indicator = document.createElement('div');
+            indicator.className = 'outbox-indicator';
+            indicator.setAttribute('role', 'status');
+            indicator.addEventListener('click', (event) => this.handleOutboxAction(event));
+            this.addOutboxStyles();
+            document.body.appendChild(indicator);
+        }
+
+        const pending = entries.filter(entry => entry.status === 'pending');
+        const rejected = entries.filter(entry => entry.status === 'rejected');
+        indicator.innerHTML = `
+            ${pending.length ? `
+                <div class="outbox-summary">
+                    <span class="outbox-icon">⏳</span>
+                    <span class="outbox-text">${pending.length} ${pending.length === 1 ? 'upload' : 'uploads'} waiting to be sent</span>
+                    ${this.isOnline ? '<button type="button" class="outbox-btn" data-outbox-action="retry">Send now</button>' : ''}
+                </div>
+            ` : ''}
+            ${rejected.map(entry => `
+                <div class="outbox-rejected">
+                    <span class="outbox-text"><strong>${this.escapeHtml(entry.label)}</strong> could not be sent: ${this.escapeHtml(entry.lastError)}</span>
+                    <button type="button" class="outbox-btn" data-outbox-action="discard" data-outbox-id="${this.escapeHtml(entry.id)}">Dismiss</button>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    async handleOutboxAction(event) {
+        const button = event.target.closest('[data-outbox-action]');
+        if (!button) return;
+
+        button.disabled = true;
+        if (button.getAttribute('data-outbox-action') === 'discard') {
+            await this.outbox.discard(button.getAttribute('data-outbox-id'));
+        } else {
+            const result = await this.outbox.retryAll();
+            this.scheduleOutboxRetry(result.nextAttemptAt);
         }
     }
 
+    addOutboxStyles() {
+        if (document.getElementById('afz-outbox-styles')) return;
+
+        window.afzCsp.addStyles(`
+            .outbox-indicator {
+                position: fixed;
+                bottom: 20px;
+                left: 20px;
+                z-index: 1002;
+                max-width: 360px;
+                background: #1f2937;
+                color: white;
+                padding: 12px 16px;
+                border-radius: 8px;
+                box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+                font-size: 0.875rem;
+            }
+            
+            .outbox-summary,
+            .outbox-rejected {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+            }
+            
+            .outbox-rejected + .outbox-rejected,
+            .outbox-summary + .outbox-rejected {
+                margin-top: 8px;
+            }
+            
+            .outbox-text {
+                flex: 1;
+            }
+            
+            .outbox-btn {
+                background: rgba(255,255,255,0.2);
+                border: 1px solid rgba(255,255,255,0.3);
+                color: white;
+                padding: 4px 10px;
+                border-radius: 4px;
+                cursor: pointer;
+            }
+            
+            @media (max-width: 640px) {
+                .outbox-indicator {
+                    left: 10px;
+                    right: 10px;
+                    max-width: none;
+                }
+            }
+        `, 'afz-outbox-styles');
+    }
+
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value == null ? '' : String(value);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
     // Update offline UI indicators
     updateOfflineUI() {
         const offlineIndicators = document.querySelectorAll('[data-offline-indicator]');
@@ -843,14 +979,13 @@ class AFZPWAManager {
             <div class="update-content">
                 <span class="update-icon">🆕</span>
                 <span class="update-text">New version available!</span>
-                <button class="update-btn" onclick="window.afzPWA.updateApp()">Update</button>
-                <button class="dismiss-btn" onclick="this.parentNode.parentNode.remove()">✕</button>
+                <button class="update-btn">Update</button>
+                <button class="dismiss-btn">✕</button>
             </div>
         `;
 
         // Style the notification
-        const style = document.createElement('style');
-        style.textContent = `
+        window.afzCsp.addStyles(`
             .update-notification {
                 position: fixed;
                 bottom: 20px;
@@ -895,9 +1030,10 @@ class AFZPWAManager {
                 cursor: pointer;
                 opacity: 0.7;
             }
-        `;
-        document.head.appendChild(style);
+        `);
 
+        notification.querySelector('.update-btn').addEventListener('click', () => this.updateApp());
+        notification.querySelector('.dismiss-btn').addEventListener('click', () => notification.remove());
         document.body.appendChild(notification);
     }
 
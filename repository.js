@@ -0,0 +1,236 @@
+/**
+ * AFZ Member Hub - Data Repository
+ * Client-side access to the members, connections, events and resources REST API
+ */
+
+class ApiRequestError extends Error {
+    constructor(message, status, data) {
+        super(message);
+        this.name = 'ApiRequestError';
+        this.status = status;
+        this.data = data;
+    }
+}
+
+// These endpoints manage the session themselves, so a 401 from them is final
+const SESSION_PATHS = ['/auth/login', '/auth/refresh', '/auth/logout'];
+
+class AFZApiClient {
+    constructor(baseUrl = '/api') {
+        this.baseUrl = baseUrl;
+        this.refreshing = null;
+    }
+
+    // Access tokens are short-lived and kept per tab; the HttpOnly refresh cookie renews them
+    getToken() {
+        return sessionStorage.getItem('afz_auth_token');
+    }
+
+    storeSession({ token, user }) {
+        sessionStorage.setItem('afz_auth_token', token);
+        this.storeUser(user);
+    }
+
+    storeUser(user) {
+        sessionStorage.setItem('afz_user', JSON.stringify(user));
+        window.dispatchEvent(new CustomEvent('afz:user-updated', { detail: user }));
+    }
+
+    getUser() {
+        try {
+            return JSON.parse(sessionStorage.getItem('afz_user')) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // UI hints only: the API enforces the same permissions on every request
+    hasPermission(permission) {
+        const user = this.getUser();
+        return Boolean(user && Array.isArray(user.permissions) && user.permissions.includes(permission));
+    }
+
+    clearSession() {
+        [localStorage, sessionStorage].forEach(storage => {
+            storage.removeItem('afz_auth_token');
+            storage.removeItem('afz_user');
+        });
+    }
+
+    // With `raw`, a successful response's body is left for the caller to read
+    async send(method, path, body, { raw = false } = {}) {
+        const headers = {};
+        const token = this.getToken();
+
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+        // Files such as photos go up as they are, with their own type; everything else is JSON
+        const file = typeof Blob !== 'undefined' && body instanceof Blob;
+        if (body !== undefined) {
+            headers['Content-Type'] = file ? body.type : 'application/json';
+        }
+
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            method,
+            headers,
+            credentials: 'same-origin',
+            body: body !== undefined && !file ? JSON.stringify(body) : body
+        });
+
+        // Error responses carry a JSON { success: false, message } body
+        const data = raw && response.ok ? {} : await response.json().catch(() => ({}));
+        return { response, data };
+    }
+
+    async request(method, path, body) {
+        let { response, data } = await this.send(method, path, body);
+
+        if (response.status === 401 && !SESSION_PATHS.includes(path) && await this.refresh()) {
+            ({ response, data } = await this.send(method, path, body));
+        }
+
+        if (!response.ok || data.success === false) {
+            throw new ApiRequestError(data.message || `Request failed (${response.status})`, response.status, data);
+        }
+
+        return data;
+    }
+
+    // A file the API sends as an attachment, such as a finance export: resolves with { blob, filename }
+    async download(path) {
+        let { response, data } = await this.send('GET', path, undefined, { raw: true });
+
+        if (response.status === 401 && await this.refresh()) {
+            ({ response, data } = await this.send('GET', path, undefined, { raw: true }));
+        }
+
+        if (!response.ok) {
+            throw new ApiRequestError(data.message || `Request failed (${response.status})`, response.status, data);
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="?([^";]+)"?/);
+        return { blob: await response.blob(), filename: match ? match[1] : 'download' };
+    }
+
+    // Concurrent 401s share one refresh so the rotating cookie is only spent once
+    refresh() {
+        if (!this.refreshing) {
+            this.refreshing = this.send('POST', '/auth/refresh')
+                .then(({ response, data }) => {
+                    if (!response.ok || data.success === false) {
+                        this.clearSession();
+                        return false;
+                    }
+                    this.storeSession(data);
+                    return true;
+                })
+                .catch(() => false)
+                .finally(() => {
+                    this.refreshing = null;
+                });
+        }
+        return this.refreshing;
+    }
+
+    async logout() {
+        try {
+            await this.send('POST', '/auth/logout');
+        } finally {
+            this.clearSession();
+            // Other open tabs listen for this key and sign out too
+            localStorage.setItem('afz_logout', String(Date.now()));
+        }
+    }
+}
+
+class ResourceRepository {
+    constructor(client, resource) {
+        this.client = client;
+        this.resource = resource;
+    }
+
+    async list(filters = {}) {
+        const query = new URLSearchParams(filters).toString();
+        const data = await this.client.request('GET', `/${this.resource}${query ? `?${query}` : ''}`);
+        return data.items;
+    }
+
+    async get(id) {
+        const data = await this.client.request('GET', `/${this.resource}/${encodeURIComponent(id)}`);
+        return data.item;
+    }
+
+    async create(record) {
+        const data = await this.client.request('POST', `/${this.resource}`, record);
+        return data.item;
+    }
+
+    async update(id, changes) {
+        const data = await this.client.request('PATCH', `/${this.resource}/${encodeURIComponent(id)}`, changes);
+        return data.item;
+    }
+
+    async remove(id) {
+        await this.client.request('DELETE', `/${this.resource}/${encodeURIComponent(id)}`);
+    }
+
+    async increment(id, field) {
+        const data = await this.client.request('POST', `/${this.resource}/${encodeURIComponent(id)}/increment`, { field });
+        return data.item;
+    }
+}
+
+// Events add cancelling, duplicating and RSVPs to the usual operations (server/routes/events.js)
+class EventRepository extends ResourceRepository {
+    constructor(client) {
+        super(client, 'events');
+    }
+
+    // Resolves to { item, notified, failed }: how many registrants were emailed
+    async cancel(id, reason) {
+        return this.client.request('POST', `/events/${encodeURIComponent(id)}/cancel`, { reason });
+    }
+
+    async duplicate(id) {
+        const data = await this.client.request('POST', `/events/${encodeURIComponent(id)}/duplicate`);
+        return data.item;
+    }
+
+    // rsvp: { response: 'attending' | 'interested' | 'not-attending', notes, notifications }
+    async respond(id, rsvp) {
+        const data = await this.client.request('PUT', `/events/${encodeURIComponent(id)}/registration`, rsvp);
+        return data.item;
+    }
+
+    async withdraw(id) {
+        const data = await this.client.request('DELETE', `/events/${encodeURIComponent(id)}/registration`);
+        return data.item;
+    }
+
+    async registrations(id) {
+        const data = await this.client.request('GET', `/events/${encodeURIComponent(id)}/registrations`);
+        return data.items;
+    }
+}
+
+const afzApi = new AFZApiClient();
+
+// Signing out in one tab ends the session in every tab
+window.addEventListener('storage', (event) => {
+    if (event.key === 'afz_logout') {
+        afzApi.clearSession();
+        window.location.href = './auth.html';
+    }
+});
+
+// Export for use in member hub modules
+window.ApiRequestError = ApiRequestError;
+window.afzApi = afzApi;
+window.afzRepository = {
+    members: new ResourceRepository(afzApi, 'members'),
+    connections: new ResourceRepository(afzApi, 'connections'),
+    events: new EventRepository(afzApi),
+    resources: new ResourceRepository(afzApi, 'resources')
+};
@@ -3,6 +3,12 @@
  * Interactive resource management with ratings, comments, bookmarking, sharing, and download tracking
  */
 
+// Methods resource cards and the detail view may call through data-action
+const RESOURCE_ACTIONS = new Set([
+    'previewResource', 'toggleBookmark', 'shareResource', 'viewResource',
+    'filterByTag', 'downloadResource', 'rateResource', 'commentOnResource'
+]);
+
 class ResourcesManager {
     constructor() {
         this.currentUser = {
@@ -558,13 +564,13 @@ class ResourcesManager {
                 <div class="resource-thumbnail">
                     <img src="${resource.thumbnailUrl}" alt="${resource.title}" loading="lazy">
                     <div class="resource-overlay">
-                        <button class="overlay-btn preview-btn" onclick="resourcesManager.previewResource('${resource.id}')" title="Quick Preview">
+                        <button class="overlay-btn preview-btn" data-action="previewResource" data-id="${resource.id}" title="Quick Preview">
                             <i class="fas fa-eye"></i>
                         </button>
-                        <button class="overlay-btn bookmark-btn ${isBookmarked ? 'bookmarked' : ''}" onclick="resourcesManager.toggleBookmark('${resource.id}')" title="${isBookmarked ? 'Remove Bookmark' : 'Add Bookmark'}">
+                        <button class="overlay-btn bookmark-btn ${isBookmarked ? 'bookmarked' : ''}" data-action="toggleBookmark" data-id="${resource.id}" title="${isBookmarked ? 'Remove Bookmark' : 'Add Bookmark'}">
                             <i class="fas fa-bookmark"></i>
                         </button>
-                        <button class="overlay-btn share-btn" onclick="resourcesManager.shareResource('${resource.id}')" title="Share Resource">
+                        <button class="overlay-btn share-btn" data-action="shareResource" data-id="${resource.id}" title="Share Resource">
                             <i class="fas fa-share-alt"></i>
                         </button>
                     </div>
@@ -578,7 +584,7 @@ class ResourcesManager {
                 
                 <div class="resource-content">
                     <div class="resource-header">
-                        <h3 class="resource-title" onclick="resourcesManager.viewResource('${resource.id}')">${resource.title}</h3>
+                        <h3 class="resource-title" data-action="viewResource" data-id="${resource.id}">${resource.title}</h3>
                         <span class="resource-category ${resource.category}">${this.getCategoryName(resource.category)}</span>
                     </div>
                     
@@ -610,18 +616,18 @@ class ResourcesManager {
                     
                     <div class="resource-tags">
                         ${resource.tags.slice(0, 3).map(tag =>
-        `<span class="resource-tag" onclick="resourcesManager.filterByTag('${tag}')">${tag}</span>`
+        `<span class="resource-tag" data-action="filterByTag" data-id="${tag}">${tag}</span>`
     ).join('')}
                         ${resource.tags.length > 3 ? `<span class="more-tags">+${resource.tags.length - 3} more</span>` : ''}
                     </div>
                 </div>
                 
                 <div class="resource-actions">
-                    <button class="btn btn-outline btn-sm" onclick="resourcesManager.viewResource('${resource.id}')">
+                    <button class="btn btn-outline btn-sm" data-action="viewResource" data-id="${resource.id}">
                         <i class="fas fa-info-circle"></i>
                         Details
                     </button>
-                    <button class="btn btn-primary btn-sm" onclick="resourcesManager.downloadResource('${resource.id}')">
+                    <button class="btn btn-primary btn-sm" data-action="downloadResource" data-id="${resource.id}">
                         <i class="fas fa-download"></i>
                         Download
                     </button>
@@ -650,11 +656,11 @@ class ResourcesManager {
                     </div>
                 </div>
                 <div class="resource-engagement">
-                    <button class="engagement-btn rate-btn" onclick="resourcesManager.rateResource('${resource.id}')">
+                    <button class="engagement-btn rate-btn" data-action="rateResource" data-id="${resource.id}">
                         <i class="fas fa-star"></i>
                         Rate
                     </button>
-                    <button class="engagement-btn comment-btn" onclick="resourcesManager.commentOnResource('${resource.id}')">
+                    <button class="engagement-btn comment-btn" data-action="commentOnResource" data-id="${resource.id}">
                         <i class="fas fa-comment"></i>
                         Comment
                     </button>
@@ -720,21 +726,21 @@ class ResourcesManager {
                     </div>
                     
                     <div class="resource-actions-header">
-                        <button class="btn btn-primary btn-lg" onclick="resourcesManager.downloadResource('${resource.id}')">
+                        <button class="btn btn-primary btn-lg" data-action="downloadResource" data-id="${resource.id}">
                             <i class="fas fa-download"></i>
                             Download Resource
                         </button>
                         <div class="action-buttons">
-                            <button class="action-btn bookmark-btn ${isBookmarked ? 'bookmarked' : ''}" onclick="resourcesManager.toggleBookmark('${resource.id}')" title="${isBookmarked ? 'Remove Bookmark' : 'Add Bookmark'}">
+                            <button class="action-btn bookmark-btn ${isBookmarked ? 'bookmarked' : ''}" data-action="toggleBookmark" data-id="${resource.id}" title="${isBookmarked ? 'Remove Bookmark' : 'Add Bookmark'}">
                                 <i class="fas fa-bookmark"></i>
                             </button>
-                            <button class="action-btn share-btn" onclick="resourcesManager.shareResource('${resource.id}')" title="Share Resource">
+                            <button class="action-btn share-btn" data-action="shareResource" data-id="${resource.id}" title="Share Resource">
                                 <i class="fas fa-share-alt"></i>
                             </button>
                             ${resource.previewUrl ? `
-                                <button class="action-btn preview-btn" onclick="window.open('${resource.previewUrl}', '_blank')" title="Preview">
+                                <a class="action-btn preview-btn" href="${resource.previewUrl}" target="_blank" rel="noopener" title="Preview">
                                     <i class="fas fa-eye"></i>
-                                </button>
+                                </a>
                             ` : ''}
                         </div>
                     </div>
@@ -768,7 +774,7 @@ class ResourcesManager {
                             <div class="resource-tags-full">
                                 <h4>Topics</h4>
                                 <div class="tags-list">
-                                    ${resource.tags.map(tag => `<span class="resource-tag" onclick="resourcesManager.filterByTag('${tag}')">${tag}</span>`).join('')}
+                                    ${resource.tags.map(tag => `<span class="resource-tag" data-action="filterByTag" data-id="${tag}">${tag}</span>`).join('')}
                                 </div>
                             </div>
                         </div>
@@ -1136,11 +1142,22 @@ class ResourcesManager {
         ).length;
     }
 
-    // Placeholder methods for complex features
+    // Resource cards use data-action and data-id; the CSP does not allow onclick attributes
+    handleAction(e) {
+        const target = e.target.closest('[data-action]');
+        if (target && RESOURCE_ACTIONS.has(target.dataset.action) && typeof this[target.dataset.action] === 'function') {
+            this[target.dataset.action](target.dataset.id);
+        }
+    }
+
     setupEventListeners() {
-        console.log('Setting up enhanced resource event listeners...');
+        const resourcesInterface = document.querySelector('.resources-interface');
+        if (resourcesInterface) {
+            resourcesInterface.addEventListener('click', (e) => this.handleAction(e));
+        }
     }
 
+    // Placeholder methods for complex features
     loadInitialData() {
         console.log('Loading initial resource data...');
     }
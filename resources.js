@@ -3,6 +3,15 @@
  * Comprehensive resource library with uploads, search, categorization, downloads tracking, and collaborative features
  */
 
+// data-action values used by resource cards, collections and modals
+const RESOURCE_ACTIONS = new Set([
+    'filterByCategory', 'viewResource', 'downloadResource', 'bookmarkResource',
+    'shareResource', 'showResourceMenu', 'viewCollection', 'editCollection',
+    'deleteCollection', 'unsaveCollection', 'removeBookmark', 'editResource',
+    'duplicateResource', 'deleteResource', 'addToCollection', 'saveDraft',
+    'uploadResource', 'createCollection', 'removeFile'
+]);
+
 class ResourcesManager {
     constructor() {
         this.currentUser = {
@@ -12,7 +21,8 @@ class ResourcesManager {
             role: 'member'
         };
 
-        this.resources = this.generateMockResources();
+        this.repository = window.afzRepository;
+        this.resources = [];
         this.categories = this.generateResourceCategories();
         this.collections = this.generateCollections();
         this.resourceStats = this.generateResourceStats();
@@ -25,6 +35,7 @@ class ResourcesManager {
         this.selectedResources = new Set();
 
         this.init();
+        this.loadResources();
     }
 
     init() {
@@ -211,7 +222,7 @@ class ResourcesManager {
                             <i class="fas fa-list"></i>
                         </button>
                     </div>
-                    <div class="bulk-actions" id="bulk-actions" style="display: none;">
+                    <div class="bulk-actions" id="bulk-actions" hidden>
                         <span class="selected-count">
                             <span id="selected-count">0</span> selected
                         </span>
@@ -260,7 +271,7 @@ class ResourcesManager {
 
                 <div class="categories-grid">
                     ${this.categories.map(category => `
-                        <div class="category-card" onclick="resourcesManager.filterByCategory('${category.id}')">
+                        <div class="category-card" data-action="filterByCategory" data-id="${category.id}">
                             <div class="category-header">
                                 <div class="category-icon ${category.color}">
                                     <i class="fas fa-${category.icon}"></i>
@@ -287,7 +298,7 @@ class ResourcesManager {
                 </div>
 
                 <!-- Category Detail View -->
-                <div class="category-detail" id="category-detail" style="display: none;">
+                <div class="category-detail" id="category-detail" hidden>
                     <div class="category-detail-header">
                         <button class="btn btn-sm btn-secondary" id="back-to-categories">
                             <i class="fas fa-arrow-left"></i>
@@ -485,7 +496,7 @@ class ResourcesManager {
                     ${resource.featured ? '<div class="featured-badge"><i class="fas fa-star"></i></div>' : ''}
                 </div>
                 
-                <div class="resource-preview" onclick="resourcesManager.viewResource('${resource.id}')">
+                <div class="resource-preview" data-action="viewResource" data-id="${resource.id}">
                     <div class="resource-thumbnail">
                         <img src="${resource.thumbnail}" alt="${resource.title}">
                         <div class="resource-overlay">
@@ -522,16 +533,16 @@ class ResourcesManager {
                 </div>
 
                 <div class="resource-actions">
-                    <button class="action-btn download-btn" onclick="resourcesManager.downloadResource('${resource.id}')" title="Download">
+                    <button class="action-btn download-btn" data-action="downloadResource" data-id="${resource.id}" title="Download">
                         <i class="fas fa-download"></i>
                     </button>
-                    <button class="action-btn bookmark-btn" onclick="resourcesManager.bookmarkResource('${resource.id}')" title="Bookmark">
+                    <button class="action-btn bookmark-btn" data-action="bookmarkResource" data-id="${resource.id}" title="Bookmark">
                         <i class="fas fa-bookmark"></i>
                     </button>
-                    <button class="action-btn share-btn" onclick="resourcesManager.shareResource('${resource.id}')" title="Share">
+                    <button class="action-btn share-btn" data-action="shareResource" data-id="${resource.id}" title="Share">
                         <i class="fas fa-share"></i>
                     </button>
-                    <button class="action-btn more-btn" onclick="resourcesManager.showResourceMenu('${resource.id}')" title="More Options">
+                    <button class="action-btn more-btn" data-action="showResourceMenu" data-id="${resource.id}" title="More Options">
                         <i class="fas fa-ellipsis-h"></i>
                     </button>
                 </div>
@@ -542,7 +553,7 @@ class ResourcesManager {
     renderFeaturedResources() {
         const featured = this.resources.filter(r => r.featured).slice(0, 3);
         return featured.map(resource => `
-            <div class="featured-resource" onclick="resourcesManager.viewResource('${resource.id}')">
+            <div class="featured-resource" data-action="viewResource" data-id="${resource.id}">
                 <div class="featured-thumbnail">
                     <img src="${resource.thumbnail}" alt="${resource.title}">
                     <div class="featured-overlay">
@@ -563,7 +574,7 @@ class ResourcesManager {
     renderPublicCollections() {
         const publicCollections = this.collections.filter(c => c.isPublic);
         return publicCollections.map(collection => `
-            <div class="collection-card" onclick="resourcesManager.viewCollection('${collection.id}')">
+            <div class="collection-card" data-action="viewCollection" data-id="${collection.id}">
                 <div class="collection-thumbnail">
                     <div class="collection-preview">
                         ${collection.resources.slice(0, 4).map(resource => `
@@ -595,10 +606,10 @@ class ResourcesManager {
                 <div class="collection-header">
                     <div class="collection-status ${collection.status}">${collection.status}</div>
                     <div class="collection-actions">
-                        <button class="btn btn-sm btn-secondary" onclick="resourcesManager.editCollection('${collection.id}')">
+                        <button class="btn btn-sm btn-secondary" data-action="editCollection" data-id="${collection.id}">
                             <i class="fas fa-edit"></i>
                         </button>
-                        <button class="btn btn-sm btn-danger" onclick="resourcesManager.deleteCollection('${collection.id}')">
+                        <button class="btn btn-sm btn-danger" data-action="deleteCollection" data-id="${collection.id}">
                             <i class="fas fa-trash"></i>
                         </button>
                     </div>
@@ -645,7 +656,7 @@ class ResourcesManager {
                     </div>
                 </div>
                 <div class="collection-action">
-                    <button class="btn btn-sm btn-secondary" onclick="resourcesManager.unsaveCollection('${collection.id}')">
+                    <button class="btn btn-sm btn-secondary" data-action="unsaveCollection" data-id="${collection.id}">
                         <i class="fas fa-bookmark"></i>
                         Saved
                     </button>
@@ -668,7 +679,7 @@ class ResourcesManager {
         }
 
         return resources.map(resource => `
-            <div class="library-resource-item" onclick="resourcesManager.viewResource('${resource.id}')">
+            <div class="library-resource-item" data-action="viewResource" data-id="${resource.id}">
                 <div class="resource-thumbnail-small">
                     <img src="${resource.thumbnail}" alt="${resource.title}">
                     <div class="resource-type-badge ${resource.type}">
@@ -687,14 +698,14 @@ class ResourcesManager {
                     </div>
                 </div>
                 <div class="resource-quick-actions">
-                    <button class="quick-action-btn" onclick="event.stopPropagation(); resourcesManager.downloadResource('${resource.id}')" title="Download">
+                    <button class="quick-action-btn" data-action="downloadResource" data-id="${resource.id}" title="Download">
                         <i class="fas fa-download"></i>
                     </button>
-                    <button class="quick-action-btn" onclick="event.stopPropagation(); resourcesManager.shareResource('${resource.id}')" title="Share">
+                    <button class="quick-action-btn" data-action="shareResource" data-id="${resource.id}" title="Share">
                         <i class="fas fa-share"></i>
                     </button>
                     ${type === 'bookmark' ? `
-                        <button class="quick-action-btn remove" onclick="event.stopPropagation(); resourcesManager.removeBookmark('${resource.id}')" title="Remove Bookmark">
+                        <button class="quick-action-btn remove" data-action="removeBookmark" data-id="${resource.id}" title="Remove Bookmark">
                             <i class="fas fa-bookmark"></i>
                         </button>
                     ` : ''}
@@ -725,13 +736,13 @@ class ResourcesManager {
                         <div class="upload-header">
                             <div class="upload-status ${resource.status}">${resource.status}</div>
                             <div class="upload-actions">
-                                <button class="action-btn" onclick="resourcesManager.editResource('${resource.id}')" title="Edit">
+                                <button class="action-btn" data-action="editResource" data-id="${resource.id}" title="Edit">
                                     <i class="fas fa-edit"></i>
                                 </button>
-                                <button class="action-btn" onclick="resourcesManager.duplicateResource('${resource.id}')" title="Duplicate">
+                                <button class="action-btn" data-action="duplicateResource" data-id="${resource.id}" title="Duplicate">
                                     <i class="fas fa-copy"></i>
                                 </button>
-                                <button class="action-btn delete" onclick="resourcesManager.deleteResource('${resource.id}')" title="Delete">
+                                <button class="action-btn delete" data-action="deleteResource" data-id="${resource.id}" title="Delete">
                                     <i class="fas fa-trash"></i>
                                 </button>
                             </div>
@@ -762,11 +773,11 @@ class ResourcesManager {
 
     renderResourceModal() {
         return `
-            <div class="modal-overlay" id="resource-modal" style="display: none;">
+            <div class="modal-overlay" id="resource-modal" hidden>
                 <div class="modal-container large">
                     <div class="modal-header">
                         <h3 id="resource-modal-title">Resource Preview</h3>
-                        <button class="modal-close" onclick="resourcesManager.closeModal('resource-modal')">
+                        <button class="modal-close" data-modal-close="resource-modal">
                             <i class="fas fa-times"></i>
                         </button>
                     </div>
@@ -780,11 +791,11 @@ class ResourcesManager {
 
     renderUploadModal() {
         return `
-            <div class="modal-overlay" id="upload-modal" style="display: none;">
+            <div class="modal-overlay" id="upload-modal" hidden>
                 <div class="modal-container large">
                     <div class="modal-header">
                         <h3>Upload New Resource</h3>
-                        <button class="modal-close" onclick="resourcesManager.closeModal('upload-modal')">
+                        <button class="modal-close" data-modal-close="upload-modal">
                             <i class="fas fa-times"></i>
                         </button>
                     </div>
@@ -867,9 +878,9 @@ class ResourcesManager {
                         </form>
                     </div>
                     <div class="modal-footer">
-                        <button class="btn btn-secondary" onclick="resourcesManager.closeModal('upload-modal')">Cancel</button>
-                        <button class="btn btn-secondary" onclick="resourcesManager.saveDraft()">Save as Draft</button>
-                        <button class="btn btn-primary" onclick="resourcesManager.uploadResource()">Upload Resource</button>
+                        <button class="btn btn-secondary" data-modal-close="upload-modal">Cancel</button>
+                        <button class="btn btn-secondary" data-action="saveDraft">Save as Draft</button>
+                        <button class="btn btn-primary" data-action="uploadResource">Upload Resource</button>
                     </div>
                 </div>
             </div>
@@ -878,11 +889,11 @@ class ResourcesManager {
 
     renderCollectionModal() {
         return `
-            <div class="modal-overlay" id="collection-modal" style="display: none;">
+            <div class="modal-overlay" id="collection-modal" hidden>
                 <div class="modal-container">
                     <div class="modal-header">
                         <h3>Create New Collection</h3>
-                        <button class="modal-close" onclick="resourcesManager.closeModal('collection-modal')">
+                        <button class="modal-close" data-modal-close="collection-modal">
                             <i class="fas fa-times"></i>
                         </button>
                     </div>
@@ -916,8 +927,8 @@ class ResourcesManager {
                         </form>
                     </div>
                     <div class="modal-footer">
-                        <button class="btn btn-secondary" onclick="resourcesManager.closeModal('collection-modal')">Cancel</button>
-                        <button class="btn btn-primary" onclick="resourcesManager.createCollection()">Create Collection</button>
+                        <button class="btn btn-secondary" data-modal-close="collection-modal">Cancel</button>
+                        <button class="btn btn-primary" data-action="createCollection">Create Collection</button>
                     </div>
                 </div>
             </div>
@@ -942,7 +953,27 @@ class ResourcesManager {
         return `<div class="star-rating">${stars}</div>`;
     }
 
+    // Clicks on [data-action] call the matching method with data-id; close buttons use data-modal-close
+    handleAction(e) {
+        const closeButton = e.target.closest('[data-modal-close]');
+        if (closeButton) {
+            this.closeModal(closeButton.getAttribute('data-modal-close'));
+            return;
+        }
+
+        const target = e.target.closest('[data-action]');
+        if (target && RESOURCE_ACTIONS.has(target.dataset.action) && typeof this[target.dataset.action] === 'function') {
+            this[target.dataset.action](target.dataset.id);
+        }
+    }
+
     setupEventListeners() {
+        // The interface root is recreated on refresh, taking this listener with it
+        const resourcesInterface = document.querySelector('.resources-interface');
+        if (resourcesInterface) {
+            resourcesInterface.addEventListener('click', (e) => this.handleAction(e));
+        }
+
         // Navigation tabs
         const navTabs = document.querySelectorAll('.nav-tab');
         navTabs.forEach(tab => {
@@ -1133,10 +1164,10 @@ class ResourcesManager {
         const selectedCount = document.getElementById('selected-count');
 
         if (this.selectedResources.size > 0) {
-            bulkActions.style.display = 'flex';
+            bulkActions.hidden = false;
             selectedCount.textContent = this.selectedResources.size;
         } else {
-            bulkActions.style.display = 'none';
+            bulkActions.hidden = true;
         }
     }
 
@@ -1149,7 +1180,7 @@ class ResourcesManager {
                     <h4>${file.name}</h4>
                     <p>${this.formatFileSize(file.size)}</p>
                 </div>
-                <button class="btn btn-sm btn-secondary" onclick="resourcesManager.removeFile()">
+                <button class="btn btn-sm btn-secondary" data-action="removeFile">
                     <i class="fas fa-times"></i>
                 </button>
             </div>
@@ -1331,19 +1362,19 @@ class ResourcesManager {
                 ` : ''}
 
                 <div class="resource-actions-detail">
-                    <button class="btn btn-primary btn-lg" onclick="resourcesManager.downloadResource('${resource.id}')">
+                    <button class="btn btn-primary btn-lg" data-action="downloadResource" data-id="${resource.id}">
                         <i class="fas fa-download"></i>
                         Download Resource
                     </button>
-                    <button class="btn btn-secondary" onclick="resourcesManager.bookmarkResource('${resource.id}')">
+                    <button class="btn btn-secondary" data-action="bookmarkResource" data-id="${resource.id}">
                         <i class="fas fa-bookmark"></i>
                         Save to Library
                     </button>
-                    <button class="btn btn-secondary" onclick="resourcesManager.shareResource('${resource.id}')">
+                    <button class="btn btn-secondary" data-action="shareResource" data-id="${resource.id}">
                         <i class="fas fa-share"></i>
                         Share Resource
                     </button>
-                    <button class="btn btn-info" onclick="resourcesManager.addToCollection('${resource.id}')">
+                    <button class="btn btn-info" data-action="addToCollection" data-id="${resource.id}">
                         <i class="fas fa-plus"></i>
                         Add to Collection
                     </button>
@@ -1353,11 +1384,15 @@ class ResourcesManager {
         this.showModal('resource-modal');
     }
 
-    downloadResource(resourceId) {
+    async downloadResource(resourceId) {
         const resource = this.resources.find(r => r.id === resourceId);
         if (resource) {
             // Increment download count
-            resource.downloads++;
+            try {
+                Object.assign(resource, await this.repository.resources.increment(resourceId, 'downloads'));
+            } catch (error) {
+                console.error('Failed to record download:', error);
+            }
 
             // Add to user's downloaded resources
             if (!this.userLibrary.downloaded.find(r => r.id === resourceId)) {
@@ -1396,12 +1431,11 @@ class ResourcesManager {
         }
     }
 
-    uploadResource() {
+    async uploadResource() {
         const form = document.getElementById('upload-form');
         const formData = new FormData(form);
 
-        const newResource = {
-            id: `resource_${Date.now()}`,
+        const resourceData = {
             title: formData.get('title'),
             description: formData.get('description'),
             category: formData.get('category'),
@@ -1419,6 +1453,14 @@ class ResourcesManager {
             tags: formData.get('tags') ? formData.get('tags').split(',').map(tag => tag.trim()) : []
         };
 
+        let newResource;
+        try {
+            newResource = await this.repository.resources.create(resourceData);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
         this.resources.unshift(newResource);
         this.closeModal('upload-modal');
         this.showNotification('Resource uploaded successfully! It will be reviewed before publishing.', 'success');
@@ -1463,7 +1505,7 @@ class ResourcesManager {
         categoryTitle.textContent = category.name;
         categoryDescription.textContent = category.description;
         categoryGrid.innerHTML = this.renderResourcesGrid(categoryResources);
-        categoryDetail.style.display = 'block';
+        categoryDetail.hidden = false;
 
         // Hide main categories grid
         document.querySelector('.categories-grid').style.display = 'none';
@@ -1554,6 +1596,20 @@ class ResourcesManager {
         this.refreshResourcesGrid();
     }
 
+    async loadResources() {
+        try {
+            this.resources = await this.repository.resources.list();
+        } catch (error) {
+            console.error('Failed to load resources:', error);
+            this.showNotification('Unable to load resources. Please try again later.', 'error');
+            return;
+        }
+
+        this.setupResourcesInterface();
+        this.setupEventListeners();
+        this.loadInitialData();
+    }
+
     startResourceUpdates() {
         // Simulate real-time resource updates
         setInterval(() => {
@@ -1569,14 +1625,14 @@ class ResourcesManager {
     showModal(modalId) {
         const modal = document.getElementById(modalId);
         if (modal) {
-            modal.style.display = 'flex';
+            modal.hidden = false;
         }
     }
 
     closeModal(modalId) {
         const modal = document.getElementById(modalId);
         if (modal) {
-            modal.style.display = 'none';
+            modal.hidden = true;
         }
     }
 
@@ -1587,58 +1643,6 @@ class ResourcesManager {
     }
 
     // Mock data generators
-    generateMockResources() {
-        const resources = [];
-        const titles = [
-            'Complete Guide to Albinism Healthcare',
-            'Understanding Skin Protection for People with Albinism',
-            'Educational Rights and Advocacy Toolkit',
-            'Community Support Group Handbook',
-            'Youth Empowerment Program Manual',
-            'Workplace Rights and Accommodation Guide',
-            'Family Support and Counseling Resources',
-            'Medical Care Best Practices',
-            'Albinism Awareness Campaign Materials',
-            'Research and Clinical Studies Overview'
-        ];
-
-        const descriptions = [
-            'Comprehensive healthcare guidelines for people with albinism, covering medical care, skin protection, and visual health.',
-            'Educational materials about albinism, its types, inheritance patterns, and management strategies.',
-            'Advocacy tools and resources for promoting rights and awareness in communities and schools.',
-            'Support materials for families and individuals affected by albinism.'
-        ];
-
-        const authors = ['Dr. Sarah Mwanza', 'AFZ Medical Team', 'Prof. James Banda', 'Mary Tembo', 'Community Health Experts'];
-        const categories = ['healthcare', 'education', 'advocacy', 'support', 'research', 'community'];
-        const types = ['pdf', 'doc', 'video', 'audio', 'image'];
-
-        for (let i = 0; i < 30; i++) {
-            const uploadDate = new Date();
-            uploadDate.setDate(uploadDate.getDate() - Math.floor(Math.random() * 365));
-
-            resources.push({
-                id: `resource_${i + 1}`,
-                title: titles[i % titles.length],
-                description: descriptions[i % descriptions.length],
-                category: categories[i % categories.length],
-                type: types[i % types.length],
-                author: authors[i % authors.length],
-                authorId: i % 3 === 0 ? this.currentUser.id : `user_${i}`,
-                thumbnail: `assets/resources/thumbnail${(i % 10) + 1}.jpg`,
-                uploadDate: uploadDate.toISOString(),
-                downloads: Math.floor(Math.random() * 500) + 10,
-                views: Math.floor(Math.random() * 1000) + 50,
-                rating: Math.round((Math.random() * 2 + 3) * 10) / 10, // 3.0 to 5.0
-                ratingCount: Math.floor(Math.random() * 50) + 5,
-                featured: i < 3,
-                status: i % 10 === 0 ? 'pending' : i % 15 === 0 ? 'draft' : 'published',
-                tags: ['albinism', 'healthcare', 'guide'].slice(0, Math.floor(Math.random() * 3) + 1)
-            });
-        }
-        return resources;
-    }
-
     generateResourceCategories() {
         return [
             {
@@ -1768,9 +1772,7 @@ class ResourcesManager {
     injectResourcesStyles() {
         if (document.getElementById('resources-styles')) return;
 
-        const styles = document.createElement('style');
-        styles.id = 'resources-styles';
-        styles.textContent = `
+        window.afzCsp.addStyles(`
             .resources-interface {
                 background: var(--surface-color);
                 border-radius: 16px;
@@ -3552,8 +3554,7 @@ class ResourcesManager {
                     flex-direction: column;
                 }
             }
-        `;
-        document.head.appendChild(styles);
+        `, 'resources-styles');
     }
 }
 
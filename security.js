@@ -2,95 +2,37 @@
 class SecurityManager {
     constructor() {
         this.config = {
-            maxLoginAttempts: 5,
-            lockoutDuration: 15 * 60 * 1000, // 15 minutes
             sessionTimeout: 30 * 60 * 1000, // 30 minutes
             passwordMinLength: 8,
-            rateLimitRequests: 100,
-            rateLimitWindow: 15 * 60 * 1000, // 15 minutes
             allowedOrigins: [
                 window.location.origin,
                 'https://afz-advocacy.org',
                 'https://www.afz-advocacy.org'
-            ]
+            ],
+            // Events sent to the API in batches; failed logins and rate limits are recorded there directly
+            reportEndpoint: '/api/security-events',
+            reportedEventTypes: ['XSS_ATTEMPT', 'SQL_INJECTION_ATTEMPT', 'UNAUTHORIZED_ACCESS', 'SUSPICIOUS_ACTIVITY'],
+            reportBatchSize: 20,
+            reportDelay: 5000
         };
 
         this.sessionData = new Map();
-        this.loginAttempts = new Map();
-        this.requestCounts = new Map();
         this.securityLog = [];
+        this.reportQueue = [];
+        this.reportTimer = null;
 
         this.init();
     }
 
     init() {
-        this.setupCSP();
+        this.setupEventReporting();
         this.setupSecurityHeaders();
         this.initializeSessionManagement();
         this.setupInputValidation();
-        this.setupRateLimiting();
         this.setupSecurityEventListeners();
         this.startSecurityMonitoring();
     }
 
-    // Content Security Policy Implementation
-    setupCSP() {
-        const cspPolicy = {
-            'default-src': ['\'self\''],
-            'script-src': [
-                '\'self\'',
-                '\'unsafe-inline\'', // Required for inline scripts - consider removing in production
-                'https://fonts.googleapis.com',
-                'https://www.google-analytics.com'
-            ],
-            'style-src': [
-                '\'self\'',
-                '\'unsafe-inline\'', // Required for inline styles
-                'https://fonts.googleapis.com'
-            ],
-            'font-src': [
-                '\'self\'',
-                'https://fonts.gstatic.com',
-                'data:'
-            ],
-            'img-src': [
-                '\'self\'',
-                'data:',
-                'https:',
-                'blob:'
-            ],
-            'connect-src': [
-                '\'self\'',
-                'https://api.afz-advocacy.org',
-                'wss:'
-            ],
-            'media-src': ['\'self\'', 'data:', 'blob:'],
-            'object-src': ['\'none\''],
-            'base-uri': ['\'self\''],
-            'form-action': ['\'self\''],
-            'frame-ancestors': ['\'none\''],
-            'upgrade-insecure-requests': []
-        };
-
-        const cspString = Object.entries(cspPolicy)
-            .map(([directive, sources]) =>
-                sources.length > 0
-                    ? `${directive} ${sources.join(' ')}`
-                    : directive
-            )
-            .join('; ');
-
-        // Create meta tag for CSP if not exists
-        if (!document.querySelector('meta[http-equiv="Content-Security-Policy"]')) {
-            const meta = document.createElement('meta');
-            meta.setAttribute('http-equiv', 'Content-Security-Policy');
-            meta.setAttribute('content', cspString);
-            document.head.appendChild(meta);
-        }
-
-        this.logSecurityEvent('CSP', 'Content Security Policy initialized', 'info');
-    }
-
     // Security Headers Setup
     setupSecurityHeaders() {
         // These would typically be set server-side, but we can validate them
@@ -285,40 +227,6 @@ class SecurityManager {
         return phonePattern.test(phone.replace(/[\s\-\(\)]/g, ''));
     }
 
-    // Rate Limiting
-    setupRateLimiting() {
-        this.originalFetch = window.fetch;
-
-        window.fetch = (...args) => {
-            if (this.isRateLimited()) {
-                this.logSecurityEvent('RATE_LIMIT', 'Rate limit exceeded', 'warning');
-                return Promise.reject(new Error('Rate limit exceeded. Please try again later.'));
-            }
-
-            this.incrementRequestCount();
-            return this.originalFetch(...args);
-        };
-    }
-
-    isRateLimited() {
-        const now = Date.now();
-        const windowStart = now - this.config.rateLimitWindow;
-
-        // Clean old requests
-        this.requestCounts.forEach((timestamp, key) => {
-            if (timestamp < windowStart) {
-                this.requestCounts.delete(key);
-            }
-        });
-
-        return this.requestCounts.size >= this.config.rateLimitRequests;
-    }
-
-    incrementRequestCount() {
-        const requestId = Date.now() + Math.random();
-        this.requestCounts.set(requestId, Date.now());
-    }
-
     // Session Management
     initializeSessionManagement() {
         // Set up session timeout
@@ -351,17 +259,17 @@ class SecurityManager {
         }, 60000); // Check every minute
     }
 
-    handleSessionTimeout() {
+    async handleSessionTimeout() {
         this.logSecurityEvent('SESSION_TIMEOUT', 'Session expired due to inactivity', 'info');
 
-        // Clear sensitive data
-        sessionStorage.clear();
-
-        // Redirect to login if user was authenticated
+        // End the server session (every tab) if the user was authenticated
         if (this.isAuthenticated()) {
-            this.logout();
+            await this.logout();
             this.showSecurityMessage('Your session has expired. Please log in again.');
         }
+
+        // Clear sensitive data
+        sessionStorage.clear();
     }
 
     setupActivityMonitoring() {
@@ -411,9 +319,6 @@ class SecurityManager {
         // Password strength meter
         this.setupPasswordStrengthMeter();
 
-        // Account lockout after failed attempts
-        this.setupAccountLockout();
-
         // Secure password reset
         this.setupSecurePasswordReset();
     }
@@ -476,47 +381,12 @@ class SecurityManager {
 
         strengthMeter.innerHTML = `
             <div class="strength-bar ${strengthClass}">
-                <div class="strength-fill" style="width: ${strength}%"></div>
+                <div class="strength-fill"></div>
             </div>
             <div class="strength-text">${strengthText}</div>
             ${feedback.length > 0 ? `<div class="strength-feedback">Needs: ${feedback.join(', ')}</div>` : ''}
         `;
-    }
-
-    setupAccountLockout() {
-        // This would typically be handled server-side
-        document.addEventListener('submit', (e) => {
-            if (e.target.id === 'loginForm') {
-                const email = e.target.querySelector('input[type="email"]').value;
-
-                if (this.isAccountLocked(email)) {
-                    e.preventDefault();
-                    this.showSecurityMessage('Account temporarily locked due to multiple failed login attempts.');
-                }
-            }
-        });
-    }
-
-    isAccountLocked(email) {
-        const attempts = this.loginAttempts.get(email);
-
-        if (!attempts) return false;
-
-        if (attempts.count >= this.config.maxLoginAttempts) {
-            const timeSinceLastAttempt = Date.now() - attempts.lastAttempt;
-            return timeSinceLastAttempt < this.config.lockoutDuration;
-        }
-
-        return false;
-    }
-
-    recordFailedLogin(email) {
-        const attempts = this.loginAttempts.get(email) || { count: 0, lastAttempt: 0 };
-        attempts.count++;
-        attempts.lastAttempt = Date.now();
-        this.loginAttempts.set(email, attempts);
-
-        this.logSecurityEvent('FAILED_LOGIN', `Failed login attempt for ${email}`, 'warning');
+        strengthMeter.querySelector('.strength-fill').style.width = `${strength}%`;
     }
 
     // Security Event Listeners
@@ -615,20 +485,34 @@ class SecurityManager {
 
     // Utility Functions
     isAuthenticated() {
-        return localStorage.getItem('authToken') !== null ||
-               sessionStorage.getItem('authToken') !== null;
+        return sessionStorage.getItem('afz_auth_token') !== null;
     }
 
-    isAuthorized() {
-        // Check user permissions - would integrate with actual auth system
-        const userRole = localStorage.getItem('userRole');
-        return userRole === 'admin' || userRole === 'moderator';
+    // UI check only; the API enforces the same permissions server-side
+    isAuthorized(permission = 'admin.access') {
+        try {
+            const user = JSON.parse(sessionStorage.getItem('afz_user'));
+            return Boolean(user && Array.isArray(user.permissions) && user.permissions.includes(permission));
+        } catch (error) {
+            return false;
+        }
     }
 
-    logout() {
-        localStorage.removeItem('authToken');
-        sessionStorage.removeItem('authToken');
-        localStorage.removeItem('userRole');
+    async logout() {
+        try {
+            // Revokes the server session and refresh cookie, not just this tab's token
+            await fetch('/api/auth/logout', {
+                method: 'POST',
+                headers: { Authorization: `Bearer ${sessionStorage.getItem('afz_auth_token')}` },
+                credentials: 'same-origin'
+            });
+        } catch (error) {
+            console.error('Logout request failed:', error);
+        }
+
+        sessionStorage.removeItem('afz_auth_token');
+        sessionStorage.removeItem('afz_user');
+        localStorage.setItem('afz_logout', String(Date.now()));
         this.logSecurityEvent('LOGOUT', 'User logged out', 'info');
     }
 
@@ -737,8 +621,7 @@ class SecurityManager {
             message,
             severity,
             userAgent: navigator.userAgent,
-            url: window.location.href,
-            ip: 'client-side' // Would be actual IP server-side
+            url: window.location.href
         };
 
         this.securityLog.push(event);
@@ -748,8 +631,7 @@ class SecurityManager {
             this.securityLog = this.securityLog.slice(-1000);
         }
 
-        // In production, send critical events to server immediately
-        if (severity === 'critical') {
+        if (this.config.reportedEventTypes.includes(type)) {
             this.reportSecurityEvent(event);
         }
 
@@ -757,14 +639,52 @@ class SecurityManager {
         console.log(`[SECURITY ${severity.toUpperCase()}] ${type}: ${message}`);
     }
 
+    setupEventReporting() {
+        // Whatever is still queued goes out when the member leaves the page
+        window.addEventListener('pagehide', () => this.flushSecurityReports({ beacon: true }));
+    }
+
+    // Queues the event for the API; a batch is sent after a short delay or as soon as it is full
     reportSecurityEvent(event) {
-        // In production, send to security monitoring service
-        console.warn('CRITICAL SECURITY EVENT:', event);
+        this.reportQueue.push({ type: event.type, message: event.message, url: event.url });
+
+        if (this.reportQueue.length >= this.config.reportBatchSize) {
+            this.flushSecurityReports();
+        } else if (!this.reportTimer) {
+            this.reportTimer = setTimeout(() => this.flushSecurityReports(), this.config.reportDelay);
+        }
+    }
+
+    async flushSecurityReports({ beacon = false } = {}) {
+        clearTimeout(this.reportTimer);
+        this.reportTimer = null;
+
+        while (this.reportQueue.length > 0) {
+            const body = JSON.stringify({ events: this.reportQueue.splice(0, this.config.reportBatchSize) });
 
-        // Could integrate with services like:
-        // - Sentry for error reporting
-        // - LogRocket for session replay
-        // - Custom security monitoring endpoint
+            // A beacon survives the page unloading but cannot carry the access token
+            if (beacon && navigator.sendBeacon) {
+                navigator.sendBeacon(this.config.reportEndpoint, new Blob([body], { type: 'application/json' }));
+                continue;
+            }
+
+            const token = sessionStorage.getItem('afz_auth_token');
+            try {
+                await fetch(this.config.reportEndpoint, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...(token ? { Authorization: `Bearer ${token}` } : {})
+                    },
+                    credentials: 'same-origin',
+                    keepalive: true,
+                    body
+                });
+            } catch (error) {
+                // The events stay in the local log (getSecurityLog)
+                console.warn('Security events could not be reported:', error);
+            }
+        }
     }
 
     // Public API
@@ -778,10 +698,10 @@ class SecurityManager {
 
     getSecurityStatus() {
         return {
-            cspEnabled: !!document.querySelector('meta[http-equiv="Content-Security-Policy"]'),
+            // The policy itself is a response header; the nonce meta tag shows the server sent one
+            cspEnabled: Boolean(window.afzCsp && window.afzCsp.nonce),
             httpsEnabled: location.protocol === 'https:',
             sessionActive: this.isAuthenticated(),
-            rateLimitActive: true,
             inputValidationActive: true
         };
     }
@@ -791,8 +711,7 @@ class SecurityManager {
 const securityManager = new SecurityManager();
 
 // Add CSS for security notifications and password strength
-const securityStyles = document.createElement('style');
-securityStyles.textContent = `
+window.afzCsp.addStyles(`
     .is-invalid {
         border-color: #dc3545 !important;
         box-shadow: 0 0 0 0.2rem rgba(220, 53, 69, 0.25) !important;
@@ -834,8 +753,7 @@ securityStyles.textContent = `
         color: #6c757d;
         margin-top: 0.25rem;
     }
-`;
-document.head.appendChild(securityStyles);
+`);
 
 // Export for testing
 if (typeof module !== 'undefined' && module.exports) {
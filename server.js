@@ -0,0 +1,132 @@
+/**
+ * AFZ API Server
+ * Express server for the member API; also serves the built site when it exists
+ */
+
+require('dotenv').config();
+
+const express = require('express');
+const helmet = require('helmet');
+const cors = require('cors');
+const compression = require('compression');
+const cookieParser = require('cookie-parser');
+const morgan = require('morgan');
+
+const config = require('./server/config');
+const DataStore = require('./server/datastore');
+const Mailer = require('./server/mailer');
+const collections = require('./server/collections');
+const createAuthRouter = require('./server/routes/auth');
+const createMembersRouter = require('./server/routes/members');
+const createSettingsRouter = require('./server/routes/settings');
+const createSecurityEventsRouter = require('./server/routes/security-events');
+const createCspReportsRouter = require('./server/routes/csp-reports');
+const createDonationsRouter = require('./server/routes/donations');
+const createMobileMoneyRouter = require('./server/routes/mobile-money');
+const createSubscriptionsRouter = require('./server/routes/subscriptions');
+const createExchangeRatesRouter = require('./server/routes/exchange-rates');
+const createCampaignsRouter = require('./server/routes/campaigns');
+const createFundraisersRouter = require('./server/routes/fundraisers');
+const createDonorsRouter = require('./server/routes/donors');
+const createReconciliationsRouter = require('./server/routes/reconciliations');
+const createInKindRouter = require('./server/routes/in-kind');
+const createEventsRouter = require('./server/routes/events');
+const createWebhooksRouter = require('./server/routes/webhooks');
+const createCollectionRouter = require('./server/routes/collection');
+const { createMockIdentityProvider } = require('./server/mock-oidc');
+const { createMockMobileMoneyProvider } = require('./server/mock-mobile-money');
+const { startSubscriptionScheduler } = require('./server/subscriptions');
+const { startTributeScheduler } = require('./server/tributes');
+const { startMobileMoneyScheduler } = require('./server/mobile-money');
+const { startExchangeRateRefresh } = require('./server/exchange-rates');
+const { REPORT_PATH, cspNonce, contentSecurityPolicy, reportingEndpoints, serveNoncedHtml } = require('./server/csp');
+const { notFound, errorHandler } = require('./server/errors');
+
+function createApp(options = {}) {
+    const store = options.store || new DataStore(config.dataDir);
+    const mailer = options.mailer || new Mailer();
+    const app = express();
+
+    app.set('trust proxy', config.trustProxy);
+    app.locals.store = store;
+    app.locals.mailer = mailer;
+
+    // Strict CSP: scripts and style blocks need the response's nonce (see server/csp.js)
+    app.use(cspNonce);
+    app.use(helmet({ contentSecurityPolicy: false }));
+    app.use(contentSecurityPolicy());
+    app.use(reportingEndpoints);
+    app.use(compression());
+    app.use(cors({
+        origin: config.corsOrigins.length > 0 ? config.corsOrigins : false,
+        credentials: true
+    }));
+    // Gateway webhooks verify signatures over the raw body, so they are mounted before it is parsed
+    app.use('/api/webhooks', createWebhooksRouter(store, { mailer }));
+    app.use(express.json({ limit: '100kb' }));
+    app.use(cookieParser());
+
+    if (config.env !== 'test') {
+        app.use(morgan(config.env === 'production' ? 'combined' : 'dev'));
+    }
+
+    // API routes
+    app.get('/api/health', (req, res) => {
+        res.json({ success: true, status: 'ok', timestamp: new Date().toISOString() });
+    });
+    app.use('/api/auth', createAuthRouter(store, { mailer }));
+    app.use('/api/members', createMembersRouter(store));
+    app.use('/api/settings', createSettingsRouter(store));
+    app.use('/api/security-events', createSecurityEventsRouter(store));
+    app.use(REPORT_PATH, createCspReportsRouter(store));
+    app.use('/api/donations', createDonationsRouter(store, { mailer }));
+    app.use('/api/mobile-money', createMobileMoneyRouter(store, { mailer }));
+    app.use('/api/subscriptions', createSubscriptionsRouter(store));
+    app.use('/api/exchange-rates', createExchangeRatesRouter(store));
+    app.use('/api/campaigns', createCampaignsRouter(store));
+    app.use('/api/fundraisers', createFundraisersRouter(store));
+    app.use('/api/donors', createDonorsRouter(store, { mailer }));
+    app.use('/api/reconciliations', createReconciliationsRouter(store));
+    app.use('/api/in-kind', createInKindRouter(store, { mailer }));
+    app.use('/api/events', createEventsRouter(store, { mailer }));
+    Object.entries(collections).forEach(([name, definition]) => {
+        app.use(`/api/${name}`, createCollectionRouter(store, definition));
+    });
+    app.use('/api', notFound);
+
+    // Local identity provider for trying social sign-in without Google or Facebook credentials
+    if (config.oidc.mock) {
+        app.use('/mock-oidc', createMockIdentityProvider({ issuer: `${config.appUrl}/mock-oidc` }));
+    }
+
+    // Local MTN and Airtel stand-in so mobile money donations can be tried end to end
+    if (config.mobileMoney.sandbox) {
+        app.use('/mock-mobile-money', createMockMobileMoneyProvider({ callbackBase: `${config.appUrl}/api/mobile-money/callbacks` }));
+    }
+
+    // Built site
+    app.use(serveNoncedHtml(config.staticDir));
+    app.use(express.static(config.staticDir));
+
+    app.use(errorHandler);
+
+    return app;
+}
+
+if (require.main === module) {
+    const app = createApp();
+
+    app.listen(config.port, () => {
+        console.log(`📡 AFZ API server running at http://localhost:${config.port}`);
+    });
+    // Charges recurring donations as they fall due
+    startSubscriptionScheduler(app.locals.store, app.locals.mailer);
+    // Sends tribute e-cards once the gift is paid and the chosen day has come
+    startTributeScheduler(app.locals.store, app.locals.mailer);
+    // Settles or times out mobile money prompts once the donor has left the donate page
+    startMobileMoneyScheduler(app.locals.store, app.locals.mailer);
+    // Fetches the day's exchange rates
+    startExchangeRateRefresh(app.locals.store);
+}
+
+module.exports = { createApp };
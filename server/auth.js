@@ -0,0 +1,199 @@
+/**
+ * AFZ API Server - Authentication Helpers
+ * Password hashing, JWT issuing/verification and the requireAuth middleware
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const config = require('./config');
+const { ApiError } = require('./errors');
+const { getActiveSession } = require('./sessions');
+const { normalizeRole, permissionsFor, hasPermission, chapterOf } = require('./permissions');
+const { isTwoFactorEnabled, needsTwoFactorSetup } = require('./two-factor');
+
+// Compared against when an email is unknown so failed lookups take as long as bad passwords
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('afz-dummy-password', 4);
+
+function hashPassword(password) {
+    return bcrypt.hash(password, config.auth.bcryptRounds);
+}
+
+async function verifyPassword(password, passwordHash) {
+    return bcrypt.compare(password, passwordHash || DUMMY_PASSWORD_HASH);
+}
+
+function isStrongPassword(password) {
+    return typeof password === 'string' &&
+        password.length >= 8 &&
+        /[A-Z]/.test(password) &&
+        /[a-z]/.test(password) &&
+        /\d/.test(password);
+}
+
+// Short-lived access token tied to a server-side session (see sessions.js)
+function issueToken(user, session) {
+    return jwt.sign(
+        { sub: user.id, email: user.email, sid: session.id },
+        config.auth.jwtSecret,
+        { expiresIn: config.auth.accessTokenTtl, jwtid: crypto.randomUUID() }
+    );
+}
+
+// Single-purpose links (email verification, password reset) are JWTs scoped by audience
+const ACCOUNT_TOKEN_PURPOSES = {
+    'verify-email': { ttl: () => config.auth.verificationTtl },
+    'reset-password': { ttl: () => config.auth.resetTtl }
+};
+
+// Changes whenever the password does, so a reset link stops working once it has been used
+function passwordFingerprint(user) {
+    return crypto.createHash('sha256').update(user.passwordHash || 'no-password').digest('hex').slice(0, 16);
+}
+
+function issueAccountToken(user, purpose) {
+    return jwt.sign(
+        { sub: user.id, email: user.email, pwd: passwordFingerprint(user) },
+        config.auth.jwtSecret,
+        { audience: purpose, expiresIn: ACCOUNT_TOKEN_PURPOSES[purpose].ttl() }
+    );
+}
+
+function verifyAccountToken(store, token, purpose) {
+    let payload;
+    try {
+        payload = jwt.verify(token, config.auth.jwtSecret, { audience: purpose });
+    } catch (error) {
+        throw new ApiError(400, error.name === 'TokenExpiredError'
+            ? 'This link has expired. Please request a new one.'
+            : 'This link is invalid.');
+    }
+
+    const user = store.collection('users').get(payload.sub);
+    if (!user || user.email !== payload.email || passwordFingerprint(user) !== payload.pwd) {
+        throw new ApiError(400, 'This link is no longer valid. Please request a new one.');
+    }
+
+    return user;
+}
+
+function describeTtl(ttl) {
+    const match = /^(\d+)\s*([smhd])$/.exec(String(ttl));
+    if (!match) return ttl;
+
+    const units = { s: 'second', m: 'minute', h: 'hour', d: 'day' };
+    const count = Number(match[1]);
+    return `${count} ${units[match[2]]}${count === 1 ? '' : 's'}`;
+}
+
+// Fields that are safe to send back to the browser
+function toPublicUser(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        phone: user.phone,
+        location: user.location,
+        role: normalizeRole(user.role),
+        chapter: chapterOf(user),
+        // The member hub shows navigation and actions based on these
+        permissions: permissionsFor(user),
+        status: user.status,
+        emailVerified: user.emailVerified === true,
+        twoFactorEnabled: isTwoFactorEnabled(user),
+        // Social sign-in providers connected to the account, and whether it also has a password
+        linkedAccounts: (user.identities || []).map(identity => identity.provider),
+        hasPassword: Boolean(user.passwordHash),
+        createdAt: user.createdAt
+    };
+}
+
+function getBearerToken(req) {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * @param {DataStore} store
+ * @param {Object} [options]
+ * @param {boolean} [options.allowTwoFactorSetup] - let members who still have to enrol in
+ *   two-factor authentication through (enrolment, /me and logout routes)
+ */
+function requireAuth(store, { allowTwoFactorSetup = false } = {}) {
+    return (req, res, next) => {
+        const token = getBearerToken(req);
+        if (!token) {
+            return next(new ApiError(401, 'Authentication required.'));
+        }
+
+        let payload;
+        try {
+            payload = jwt.verify(token, config.auth.jwtSecret);
+        } catch (error) {
+            return next(new ApiError(401, 'Your session is invalid or has expired. Please log in again.'));
+        }
+
+        // Checked on every request so logout, password changes and suspensions apply at once
+        const session = getActiveSession(store, payload.sid);
+        if (!session || session.userId !== payload.sub) {
+            return next(new ApiError(401, 'Your session has ended. Please log in again.'));
+        }
+
+        const user = store.collection('users').get(payload.sub);
+        if (!user) {
+            return next(new ApiError(401, 'Account not found.'));
+        }
+        if (user.status === 'suspended') {
+            return next(new ApiError(403, 'This account has been suspended.'));
+        }
+        if (!allowTwoFactorSetup && needsTwoFactorSetup(store, user)) {
+            return next(new ApiError(403, 'Your role requires two-factor authentication. Please set it up to continue.',
+                undefined, 'two_factor_setup_required'));
+        }
+
+        req.user = user;
+        req.token = payload;
+        req.session = session;
+        next();
+    };
+}
+
+// Identifies the member when the request carries a valid token, but lets anonymous requests through
+function optionalAuth(store) {
+    const authenticate = requireAuth(store, { allowTwoFactorSetup: true });
+    return (req, res, next) => authenticate(req, res, () => next());
+}
+
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!hasPermission(req.user, permission)) {
+            return next(new ApiError(403, 'You do not have permission to perform this action.'));
+        }
+        next();
+    };
+}
+
+// Unverified members can browse but not contribute until they confirm their email
+function requireVerified(req, res, next) {
+    if (!req.user || req.user.emailVerified !== true) {
+        return next(new ApiError(403, 'Please verify your email address to use this feature.'));
+    }
+    next();
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    isStrongPassword,
+    issueToken,
+    issueAccountToken,
+    verifyAccountToken,
+    describeTtl,
+    toPublicUser,
+    requireAuth,
+    optionalAuth,
+    requirePermission,
+    requireVerified
+};
@@ -0,0 +1,220 @@
+/**
+ * AFZ API Server - Fundraising Campaigns
+ * Campaigns with a target and a deadline, and their progress worked out from the donation ledger
+ */
+
+const fs = require('fs');
+const path = require('path');
+const handlebars = require('handlebars');
+const config = require('./config');
+const { ApiError } = require('./errors');
+const { currentRates } = require('./exchange-rates');
+
+const COLLECTION = 'campaigns';
+const STATUSES = ['draft', 'active', 'closed'];
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WIDGET_TEMPLATE = path.join(__dirname, 'templates', 'campaigns', 'campaign-widget.html.hbs');
+
+let widgetTemplate = null;
+
+function slugify(title) {
+    return title.toLowerCase()
+        .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60);
+}
+
+// A deadline given as a date runs to the end of that day
+function deadline(value) {
+    if (!value) return null;
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : new Date(value).toISOString();
+}
+
+// Links and the donate page use the slug; the API accepts either
+function findCampaign(store, idOrSlug) {
+    const campaigns = store.collection(COLLECTION);
+    return campaigns.get(idOrSlug) || campaigns.findOne(campaign => campaign.slug === idOrSlug);
+}
+
+// Takes donations while it is active, has started and has not passed its deadline
+function isOpen(campaign, now = new Date()) {
+    return campaign.status === 'active' &&
+        (!campaign.startsAt || new Date(campaign.startsAt) <= now) &&
+        (!campaign.endsAt || new Date(campaign.endsAt) >= now);
+}
+
+// The campaign a new payment should count towards, or null once it has closed
+function openCampaign(store, idOrSlug) {
+    const campaign = idOrSlug ? findCampaign(store, idOrSlug) : null;
+    return campaign && isOpen(campaign) ? campaign : null;
+}
+
+/**
+ * Completed donations that `matches` picks out, added up against a { targetAmount, currency, endsAt } goal.
+ * Donations in another currency count at their kwacha equivalent converted at today's rates; refunds drop out.
+ */
+function ledgerProgress(store, matches, { targetAmount, currency, endsAt }) {
+    const donations = store.collection('donations')
+        .find(donation => donation.status === 'completed' && matches(donation));
+    const { rates } = currentRates(store);
+    const fromZmw = rates[currency] / rates.ZMW;
+
+    const raised = Math.round(donations.reduce((sum, donation) => sum + (donation.currency === currency
+        ? donation.amount
+        : (donation.zmwAmount || 0) * fromZmw), 0) * 100) / 100;
+    const deadlineAt = endsAt ? new Date(endsAt) : null;
+
+    return {
+        raised,
+        target: targetAmount,
+        currency,
+        percent: Math.round(raised / targetAmount * 1000) / 10,
+        donationCount: donations.length,
+        donorCount: new Set(donations.map(donation => donation.donor.email)).size,
+        daysLeft: deadlineAt ? Math.max(0, Math.ceil((deadlineAt - Date.now()) / DAY_MS)) : null
+    };
+}
+
+// Everything earmarked to the campaign, including gifts made through members' fundraising pages
+function campaignProgress(store, campaign) {
+    return ledgerProgress(store, donation => donation.campaignId === campaign.id, campaign);
+}
+
+function donateUrl(campaign) {
+    return `${config.appUrl}/pages/donate.html?campaign=${encodeURIComponent(campaign.slug)}`;
+}
+
+function describeCampaign(store, campaign) {
+    return {
+        id: campaign.id,
+        slug: campaign.slug,
+        title: campaign.title,
+        description: campaign.description,
+        targetAmount: campaign.targetAmount,
+        currency: campaign.currency,
+        startsAt: campaign.startsAt,
+        endsAt: campaign.endsAt,
+        status: campaign.status,
+        open: isOpen(campaign),
+        progress: campaignProgress(store, campaign),
+        donateUrl: donateUrl(campaign),
+        embedUrl: `${config.appUrl}/api/campaigns/${encodeURIComponent(campaign.slug)}/embed`,
+        createdAt: campaign.createdAt,
+        updatedAt: campaign.updatedAt
+    };
+}
+
+function assertSlugFree(store, slug, exceptId = null) {
+    if (!SLUG_PATTERN.test(slug)) {
+        throw new ApiError(422, 'The web address may only use lowercase letters, numbers and hyphens.');
+    }
+    const taken = store.collection(COLLECTION).findOne(campaign => campaign.slug === slug && campaign.id !== exceptId);
+    if (taken) {
+        throw new ApiError(409, `Another campaign already uses the address "${slug}".`);
+    }
+}
+
+function assertDates(startsAt, endsAt) {
+    if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) {
+        throw new ApiError(422, 'The deadline must be after the start date.');
+    }
+}
+
+// data: { title, slug, description, targetAmount, currency, startsAt, endsAt, status }
+function createCampaign(store, data, { by }) {
+    const slug = data.slug || slugify(data.title);
+    assertSlugFree(store, slug);
+
+    const startsAt = data.startsAt ? new Date(data.startsAt).toISOString() : null;
+    const endsAt = deadline(data.endsAt);
+    assertDates(startsAt, endsAt);
+
+    const now = new Date().toISOString();
+    return store.collection(COLLECTION).insert({
+        slug,
+        title: data.title,
+        description: data.description || '',
+        targetAmount: data.targetAmount,
+        currency: data.currency || 'ZMW',
+        startsAt,
+        endsAt,
+        status: data.status || 'draft',
+        createdBy: by,
+        createdAt: now,
+        updatedAt: now
+    });
+}
+
+// The currency is fixed once a donation has been earmarked, so the progress keeps meaning the same thing
+function updateCampaign(store, campaign, changes, { by }) {
+    const update = {};
+    ['title', 'description', 'targetAmount', 'status'].forEach(field => {
+        if (changes[field] !== undefined) update[field] = changes[field];
+    });
+
+    if (changes.slug !== undefined && changes.slug !== campaign.slug) {
+        assertSlugFree(store, changes.slug, campaign.id);
+        update.slug = changes.slug;
+    }
+    if (changes.currency !== undefined && changes.currency !== campaign.currency) {
+        if (store.collection('donations').findOne(donation => donation.campaignId === campaign.id)) {
+            throw new ApiError(409, 'The currency cannot be changed once donations have been made to the campaign.');
+        }
+        update.currency = changes.currency;
+    }
+    if (changes.startsAt !== undefined) {
+        update.startsAt = changes.startsAt ? new Date(changes.startsAt).toISOString() : null;
+    }
+    if (changes.endsAt !== undefined) {
+        update.endsAt = deadline(changes.endsAt);
+    }
+    assertDates(
+        update.startsAt !== undefined ? update.startsAt : campaign.startsAt,
+        update.endsAt !== undefined ? update.endsAt : campaign.endsAt
+    );
+
+    return store.collection(COLLECTION).update(campaign.id, { ...update, updatedBy: by, updatedAt: new Date().toISOString() });
+}
+
+function formatAmount(amount, currency) {
+    return new Intl.NumberFormat('en-ZM', { style: 'currency', currency, minimumFractionDigits: 0, maximumFractionDigits: 0 }).format(amount);
+}
+
+// The thermometer other sites show in a frame; `nonce` lets its style block through the CSP
+function renderCampaignWidget(store, campaign, { nonce } = {}) {
+    if (!widgetTemplate) {
+        widgetTemplate = handlebars.compile(fs.readFileSync(WIDGET_TEMPLATE, 'utf8'));
+    }
+    const progress = campaignProgress(store, campaign);
+    const open = isOpen(campaign);
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+    return widgetTemplate({
+        nonce,
+        title: campaign.title,
+        raised: formatAmount(progress.raised, campaign.currency),
+        target: formatAmount(campaign.targetAmount, campaign.currency),
+        percent: progress.percent,
+        fill: Math.min(100, progress.percent),
+        donors: plural(progress.donorCount, 'donor'),
+        timeLeft: open && progress.daysLeft ? `${plural(progress.daysLeft, 'day')} to go` : null,
+        open,
+        donateUrl: donateUrl(campaign)
+    });
+}
+
+module.exports = {
+    STATUSES,
+    slugify,
+    findCampaign,
+    isOpen,
+    openCampaign,
+    ledgerProgress,
+    campaignProgress,
+    describeCampaign,
+    createCampaign,
+    updateCampaign,
+    renderCampaignWidget
+};
@@ -0,0 +1,35 @@
+/**
+ * AFZ API Server - Member Hub Collections
+ * Definitions for the collections served through routes/collection.js
+ */
+
+module.exports = {
+    connections: {
+        collection: 'connections',
+        label: 'Connection',
+        fields: [
+            'requestId', 'name', 'title', 'avatar', 'location', 'interests',
+            'mutualConnections', 'interactionScore', 'online', 'status', 'connectedDate'
+        ],
+        required: ['name'],
+        ownerField: 'ownerId',
+        privateToOwner: true,
+        sortField: 'connectedDate'
+    },
+
+    resources: {
+        collection: 'resources',
+        label: 'Resource',
+        fields: [
+            'title', 'description', 'category', 'type', 'author', 'thumbnail',
+            'uploadDate', 'rating', 'ratingCount', 'tags'
+        ],
+        // New uploads stay pending until a moderator approves them
+        moderatedFields: ['status', 'featured'],
+        required: ['title'],
+        counters: ['downloads', 'views'],
+        defaults: { downloads: 0, views: 0, rating: 0, ratingCount: 0, status: 'pending' },
+        ownerField: 'authorId',
+        sortField: 'uploadDate'
+    }
+};
@@ -0,0 +1,201 @@
+/**
+ * AFZ API Server - Configuration
+ * Reads server settings from the environment (see .env.example)
+ */
+
+const path = require('path');
+
+const NODE_ENV = process.env.NODE_ENV || 'development';
+const ROOT_DIR = path.join(__dirname, '..');
+
+const config = {
+    env: NODE_ENV,
+    port: parseInt(process.env.PORT, 10) || 8000,
+
+    // Public address of the site, used for links in emails
+    appUrl: (process.env.APP_URL || 'http://localhost:8000').replace(/\/$/, ''),
+    trustProxy: process.env.TRUST_PROXY || false,
+
+    // JSON datastore location
+    dataDir: process.env.DATA_DIR || path.join(ROOT_DIR, 'data'),
+
+    // Built site served alongside the API (output of build.config.js)
+    staticDir: process.env.STATIC_DIR ||
+        path.join(ROOT_DIR, NODE_ENV === 'production' ? 'dist' : 'dev-build'),
+
+    corsOrigins: (process.env.CORS_ORIGINS || '')
+        .split(',')
+        .map(origin => origin.trim())
+        .filter(Boolean),
+
+    auth: {
+        jwtSecret: process.env.JWT_SECRET,
+        // Access tokens are short-lived; the refresh cookie keeps the session going
+        accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+        refreshTokenTtl: process.env.REFRESH_TOKEN_TTL || '30d',
+        // Sessions started without "remember me" end sooner and use a browser-session cookie
+        sessionTtl: process.env.SESSION_TTL || '12h',
+        refreshCookie: 'afz_refresh',
+        bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS, 10) || 12,
+        verificationTtl: process.env.VERIFICATION_TOKEN_TTL || '24h',
+        resetTtl: process.env.RESET_TOKEN_TTL || '1h',
+
+        // Failed password and code checks: a delay that doubles after the free attempts, then a lockout
+        loginThrottle: {
+            accountFreeAttempts: 3,
+            accountLockAfter: parseInt(process.env.LOGIN_ACCOUNT_LOCK_AFTER, 10) || 10,
+            ipFreeAttempts: 20,
+            ipLockAfter: parseInt(process.env.LOGIN_IP_LOCK_AFTER, 10) || 100,
+            baseDelayMs: 1000,
+            maxDelayMs: 60 * 1000,
+            lockoutDuration: process.env.LOGIN_LOCKOUT_DURATION || '15m',
+            failureWindow: '1h'
+        },
+        // Requests per IP to the login, registration and email endpoints in each 15 minutes
+        rateLimit: parseInt(process.env.AUTH_RATE_LIMIT, 10) || 200,
+
+        // Accounts registered with these emails start out as super-admins
+        adminEmails: (process.env.ADMIN_EMAILS || '')
+            .split(',')
+            .map(email => email.trim().toLowerCase())
+            .filter(Boolean)
+    },
+
+    // Social sign-in: each id in OIDC_PROVIDERS reads OIDC_<ID>_CLIENT_ID, _CLIENT_SECRET and optionally _ISSUER
+    oidc: {
+        providers: (process.env.OIDC_PROVIDERS || '')
+            .split(',')
+            .map(id => id.trim().toLowerCase())
+            .filter(Boolean)
+            .map(id => {
+                const prefix = `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+                return {
+                    id,
+                    name: process.env[`${prefix}_NAME`],
+                    clientId: process.env[`${prefix}_CLIENT_ID`],
+                    clientSecret: process.env[`${prefix}_CLIENT_SECRET`],
+                    issuer: process.env[`${prefix}_ISSUER`]
+                };
+            }),
+        // Serves a local identity provider at /mock-oidc; never enabled in production
+        mock: process.env.OIDC_MOCK === 'true' && NODE_ENV !== 'production'
+    },
+
+    // Content Security Policy; report-only mode sends violations to /api/csp-reports without blocking anything
+    csp: {
+        reportOnly: process.env.CSP_REPORT_ONLY === 'true'
+    },
+
+    // Security events reported by the browser or recorded by the API (admin Security tab)
+    securityEvents: {
+        retention: process.env.SECURITY_EVENT_RETENTION || '90d',
+        // Report batches per IP in each 15 minutes
+        ingestRateLimit: parseInt(process.env.SECURITY_EVENT_RATE_LIMIT, 10) || 60
+    },
+
+    // Donation ledger; receipt numbers look like AFZ-2026-000042
+    donations: {
+        receiptPrefix: process.env.RECEIPT_PREFIX || 'AFZ',
+        // Donations started per IP in each 15 minutes
+        rateLimit: parseInt(process.env.DONATION_RATE_LIMIT, 10) || 20
+    },
+
+    // Donor portal: how long the emailed link to a donor's giving history can be used (once), and how long
+    // the session it opens, and the statement links shown in it, last
+    donors: {
+        linkTtl: process.env.DONOR_LINK_TTL || '24h',
+        sessionTtl: process.env.DONOR_SESSION_TTL || '1h',
+        sessionCookie: 'afz_donor_session'
+    },
+
+    // Fundraising campaigns; sites that may show a campaign's progress widget in a frame ('*' for any)
+    campaigns: {
+        embedOrigins: (process.env.CAMPAIGN_EMBED_ORIGINS || '*')
+            .split(',')
+            .map(origin => origin.trim())
+            .filter(Boolean)
+    },
+
+    // Hosted checkouts; each gateway is offered once its keys are set (webhooks arrive at /api/webhooks/<gateway>)
+    paymentGateways: {
+        paypal: {
+            business: process.env.PAYPAL_BUSINESS_EMAIL,
+            webscrUrl: process.env.PAYPAL_SANDBOX === 'true'
+                ? 'https://www.sandbox.paypal.com/cgi-bin/webscr'
+                : 'https://www.paypal.com/cgi-bin/webscr',
+            ipnVerifyUrl: process.env.PAYPAL_SANDBOX === 'true'
+                ? 'https://ipnpb.sandbox.paypal.com/cgi-bin/webscr'
+                : 'https://ipnpb.paypal.com/cgi-bin/webscr'
+        },
+        stripe: {
+            secretKey: process.env.STRIPE_SECRET_KEY,
+            webhookSecret: process.env.STRIPE_WEBHOOK_SECRET
+        },
+        flutterwave: {
+            secretKey: process.env.FLUTTERWAVE_SECRET_KEY,
+            webhookHash: process.env.FLUTTERWAVE_WEBHOOK_HASH
+        }
+    },
+
+    // Daily exchange rates: 'fixed' (built-in rates), 'open-er-api' (no key) or 'openexchangerates' (needs a key)
+    exchangeRates: {
+        provider: process.env.EXCHANGE_RATE_PROVIDER || 'fixed',
+        apiKey: process.env.EXCHANGE_RATE_API_KEY
+    },
+
+    // Recurring donations: how often the scheduler looks for charges that are due or settled
+    subscriptions: {
+        checkInterval: process.env.SUBSCRIPTION_CHECK_INTERVAL || '1m'
+    },
+
+    // Tribute donations: how often paid donations are checked for e-cards that are due
+    tributes: {
+        checkInterval: process.env.TRIBUTE_CHECK_INTERVAL || '1m'
+    },
+
+    // Request-to-pay on the donor's phone through MTN MoMo and Airtel Money collections
+    mobileMoney: {
+        // How long a donor has to approve the prompt before the donation is marked failed
+        timeout: process.env.MOBILE_MONEY_TIMEOUT || '3m',
+        // How often prompts the donate page stopped polling for are checked with the provider
+        checkInterval: process.env.MOBILE_MONEY_CHECK_INTERVAL || '1m',
+        // Sends every payment to the local stand-in at /mock-mobile-money; never enabled in production
+        sandbox: process.env.MOBILE_MONEY_SANDBOX === 'true' && NODE_ENV !== 'production',
+        mtn: {
+            baseUrl: process.env.MTN_MOMO_BASE_URL || 'https://sandbox.momodeveloper.mtn.com',
+            subscriptionKey: process.env.MTN_MOMO_SUBSCRIPTION_KEY,
+            apiUser: process.env.MTN_MOMO_API_USER,
+            apiKey: process.env.MTN_MOMO_API_KEY,
+            targetEnvironment: process.env.MTN_MOMO_TARGET_ENVIRONMENT || 'sandbox'
+        },
+        airtel: {
+            baseUrl: process.env.AIRTEL_MONEY_BASE_URL || 'https://openapiuat.airtel.africa',
+            clientId: process.env.AIRTEL_MONEY_CLIENT_ID,
+            clientSecret: process.env.AIRTEL_MONEY_CLIENT_SECRET
+        }
+    },
+
+    // Defaults point at a local SMTP sink such as MailHog or smtp4dev
+    mail: {
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+        from: process.env.MAIL_FROM || 'AFZ <no-reply@afz.org.zm>'
+    }
+};
+
+if (!config.auth.jwtSecret) {
+    if (NODE_ENV === 'production') {
+        throw new Error('JWT_SECRET must be set in production');
+    }
+
+    config.auth.jwtSecret = 'afz-development-secret';
+    console.warn('⚠️ JWT_SECRET not set, using an insecure development secret');
+}
+
+// Encrypts stored two-factor secrets; falls back to the JWT secret when not set separately
+config.auth.twoFactorKey = process.env.TWO_FACTOR_KEY || config.auth.jwtSecret;
+
+module.exports = config;
@@ -0,0 +1,124 @@
+/**
+ * AFZ API Server - Content Security Policy
+ * Per-request nonces, the policy header, and nonce'd HTML pages from the built site
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const helmet = require('helmet');
+const config = require('./config');
+const { asyncHandler } = require('./errors');
+
+const REPORT_PATH = '/api/csp-reports';
+const REPORT_GROUP = 'csp-endpoint';
+
+const nonceSource = (req, res) => `'nonce-${res.locals.cspNonce}'`;
+
+// Every response gets its own nonce; only scripts and style blocks carrying it may run
+function cspNonce(req, res, next) {
+    res.locals.cspNonce = crypto.randomBytes(16).toString('base64');
+    next();
+}
+
+function contentSecurityPolicy() {
+    const directives = {
+        'default-src': ["'self'"],
+        'script-src': ["'self'", nonceSource],
+        'style-src': ["'self'", nonceSource, 'https://fonts.googleapis.com', 'https://cdnjs.cloudflare.com'],
+        'font-src': ["'self'", 'data:', 'https://fonts.gstatic.com', 'https://cdnjs.cloudflare.com'],
+        'img-src': ["'self'", 'data:', 'blob:', 'https:'],
+        // ipapi.co suggests a currency on the donate page; the service worker fetches the CDN assets it caches
+        'connect-src': ["'self'", 'https://ipapi.co', 'https://cdn.jsdelivr.net', 'https://cdnjs.cloudflare.com',
+            'https://fonts.googleapis.com', 'https://fonts.gstatic.com'],
+        'media-src': ["'self'", 'data:', 'blob:'],
+        'worker-src': ["'self'"],
+        'manifest-src': ["'self'"],
+        'object-src': ["'none'"],
+        'base-uri': ["'self'"],
+        'form-action': ["'self'"],
+        'frame-ancestors': ["'none'"],
+        // report-uri for browsers without the Reporting API
+        'report-uri': [REPORT_PATH],
+        'report-to': [REPORT_GROUP]
+    };
+
+    if (config.env === 'production') {
+        directives['upgrade-insecure-requests'] = [];
+    }
+
+    return helmet.contentSecurityPolicy({
+        useDefaults: false,
+        directives,
+        reportOnly: config.csp.reportOnly
+    });
+}
+
+// For the few pages other sites may show in a frame: replaces frame-ancestors and drops helmet's X-Frame-Options
+function allowFraming(origins) {
+    const sources = origins.includes('*') ? '*' : origins.join(' ');
+
+    return (req, res, next) => {
+        ['Content-Security-Policy', 'Content-Security-Policy-Report-Only'].forEach(header => {
+            const policy = res.get(header);
+            if (policy) {
+                res.set(header, policy.replace(/frame-ancestors [^;]*/, `frame-ancestors ${sources}`));
+            }
+        });
+        res.removeHeader('X-Frame-Options');
+        next();
+    };
+}
+
+function reportingEndpoints(req, res, next) {
+    res.set('Reporting-Endpoints', `${REPORT_GROUP}="${REPORT_PATH}"`);
+    next();
+}
+
+// Adds the nonce to the page's own <script> and <style> tags and exposes it to scripts that add styles
+function addNonce(html, nonce) {
+    return html
+        .replace(/<(script|style)\b(?![^>]*\bnonce=)/gi, `<$1 nonce="${nonce}"`)
+        .replace(/<head(\s[^>]*)?>/i, match => `${match}\n    <meta name="csp-nonce" content="${nonce}">`);
+}
+
+// HTML pages go through here instead of express.static so each one carries the response's nonce
+function serveNoncedHtml(rootDir) {
+    const root = path.resolve(rootDir);
+
+    return asyncHandler(async (req, res, next) => {
+        if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+        let pathname;
+        try {
+            pathname = decodeURIComponent(req.path);
+        } catch (error) {
+            return next();
+        }
+        if (pathname.endsWith('/')) pathname += 'index.html';
+        if (path.extname(pathname) !== '.html') return next();
+
+        const file = path.join(root, pathname);
+        if (!file.startsWith(root + path.sep)) return next();
+
+        let html;
+        try {
+            html = await fs.promises.readFile(file, 'utf8');
+        } catch (error) {
+            return next();
+        }
+
+        // A nonce is only worth anything if it is never handed out twice, so pages are not cached
+        res.set('Cache-Control', 'no-store');
+        res.type('html').send(addNonce(html, res.locals.cspNonce));
+    });
+}
+
+module.exports = {
+    REPORT_PATH,
+    cspNonce,
+    contentSecurityPolicy,
+    allowFraming,
+    reportingEndpoints,
+    serveNoncedHtml
+};
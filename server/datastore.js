@@ -0,0 +1,128 @@
+/**
+ * AFZ API Server - JSON Datastore
+ * Minimal file-backed document store with one JSON file per collection
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function clone(record) {
+    return JSON.parse(JSON.stringify(record));
+}
+
+class Collection {
+    constructor(file) {
+        this.file = file;
+        this.records = this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.file)) return [];
+
+        try {
+            return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Unable to read datastore file ${this.file}: ${error.message}`);
+        }
+    }
+
+    persist() {
+        // Write to a temporary file first so a crash never leaves half a collection on disk
+        const tempFile = `${this.file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(this.records, null, 2));
+        fs.renameSync(tempFile, this.file);
+    }
+
+    all() {
+        return this.records.map(clone);
+    }
+
+    find(predicate) {
+        return this.records.filter(predicate).map(clone);
+    }
+
+    findOne(predicate) {
+        const record = this.records.find(predicate);
+        return record ? clone(record) : null;
+    }
+
+    get(id) {
+        return this.findOne(record => record.id === id);
+    }
+
+    insert(doc) {
+        const now = new Date().toISOString();
+        const record = {
+            id: crypto.randomUUID(),
+            ...clone(doc),
+            createdAt: doc.createdAt || now,
+            updatedAt: now
+        };
+
+        this.records.push(record);
+        this.persist();
+        return clone(record);
+    }
+
+    update(id, changes) {
+        const index = this.records.findIndex(record => record.id === id);
+        if (index === -1) return null;
+
+        this.records[index] = {
+            ...this.records[index],
+            ...clone(changes),
+            id,
+            updatedAt: new Date().toISOString()
+        };
+
+        this.persist();
+        return clone(this.records[index]);
+    }
+
+    remove(id) {
+        return this.removeWhere(record => record.id === id) > 0;
+    }
+
+    removeWhere(predicate) {
+        const before = this.records.length;
+        this.records = this.records.filter(record => !predicate(record));
+
+        const removed = before - this.records.length;
+        if (removed > 0) {
+            this.persist();
+        }
+        return removed;
+    }
+}
+
+class DataStore {
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        this.collections = new Map();
+
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new Collection(path.join(this.dataDir, `${name}.json`)));
+        }
+        return this.collections.get(name);
+    }
+
+    // Monotonic counters, e.g. for human-readable reference numbers
+    nextSequence(name) {
+        const counters = this.collection('counters');
+        const counter = counters.get(name);
+
+        if (!counter) {
+            counters.insert({ id: name, value: 1 });
+            return 1;
+        }
+
+        return counters.update(name, { value: counter.value + 1 }).value;
+    }
+}
+
+module.exports = DataStore;
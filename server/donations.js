@@ -0,0 +1,323 @@
+/**
+ * AFZ API Server - Donation Ledger
+ * Every donation attempt with its sequential receipt number, payment outcome and receipt history
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const handlebars = require('handlebars');
+const config = require('./config');
+const { ApiError } = require('./errors');
+const { CURRENCIES, currentRates, zmwEquivalent } = require('./exchange-rates');
+const { tributeLine } = require('./tributes');
+
+const COLLECTION = 'donations';
+const RECEIPT_TEMPLATE = path.join(__dirname, 'templates', 'receipts', 'donation-receipt.html.hbs');
+
+// Mirrors paymentGateways in donation-checkout.js
+const GATEWAYS = {
+    'paypal': 'PayPal',
+    'stripe': 'Stripe',
+    'flutterwave': 'Flutterwave',
+    'mobile-money': 'Mobile Money',
+    'bank-transfer': 'Bank transfer'
+};
+// Mirrors the fees in paymentGateways: a percentage of each charge plus a fixed amount, set in US dollars
+// and charged in the donation's currency at the day's rate (see fixedFeeRate)
+const GATEWAY_FEES = {
+    'paypal': { percentage: 2.9, fixed: 0.30 },
+    'stripe': { percentage: 2.9, fixed: 0.30 },
+    'flutterwave': { percentage: 3.8, fixed: 0 },
+    'mobile-money': { percentage: 1.5, fixed: 0 },
+    'bank-transfer': { percentage: 0, fixed: 0 }
+};
+// Anything but one-time is a recurring gift (see subscriptions.js)
+const DONATION_TYPES = ['one-time', 'monthly', 'quarterly', 'annual'];
+const STATUSES = ['pending', 'completed', 'failed', 'refunded'];
+
+// The ledger is append-only: entries change status along these edges and are never deleted
+const TRANSITIONS = {
+    pending: ['completed', 'failed'],
+    // A gateway may confirm a payment after it was reported as failed
+    failed: ['completed'],
+    completed: ['refunded'],
+    refunded: []
+};
+
+let receiptTemplate = null;
+
+// AFZ-2026-000042: the sequence never resets, the year is only there for people reading it
+function nextReceiptNumber(store, date) {
+    const sequence = store.nextSequence('donationReceipts');
+    return `${config.donations.receiptPrefix}-${date.getUTCFullYear()}-${String(sequence).padStart(6, '0')}`;
+}
+
+// Lets a donor open their own receipt without an account; derived, so it can be sent again at any time
+function receiptToken(donation) {
+    return crypto.createHmac('sha256', config.auth.jwtSecret)
+        .update(`donation-receipt:${donation.id}:${donation.receiptNumber}`)
+        .digest('base64url');
+}
+
+function isReceiptToken(donation, token) {
+    const expected = receiptToken(donation);
+    return typeof token === 'string' && token.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+}
+
+function receiptUrl(donation) {
+    return `${config.appUrl}/api/donations/${encodeURIComponent(donation.id)}/receipt?token=${receiptToken(donation)}`;
+}
+
+function donorName(donation) {
+    return [donation.donor.firstName, donation.donor.lastName].filter(Boolean).join(' ');
+}
+
+function formatAmount(amount, currency) {
+    return new Intl.NumberFormat('en-ZM', { style: 'currency', currency }).format(amount);
+}
+
+function roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// Units of `currency` per US dollar at today's rates, for the fixed part of the fee
+function fixedFeeRate(store, currency) {
+    const { rates } = currentRates(store);
+    return rates[currency] / rates.USD;
+}
+
+/**
+ * What is charged, what the gateway keeps and what AFZ receives. A donor who covers the fee is charged
+ * enough, rounded up to the cent, for AFZ to receive the amount they chose; otherwise the fee is an estimate.
+ * `rate` converts the fixed part of the fee from dollars into the donation's currency.
+ */
+function feeBreakdown(gateway, amount, coverFees, rate = 1) {
+    const { percentage } = GATEWAY_FEES[gateway];
+    const fixed = roundAmount(GATEWAY_FEES[gateway].fixed * rate);
+    if (coverFees) {
+        const gross = Math.ceil((amount + fixed) / (1 - percentage / 100) * 100) / 100;
+        return { amount: gross, feeAmount: roundAmount(gross - amount), netAmount: amount };
+    }
+
+    const fee = Math.min(amount, roundAmount(amount * percentage / 100 + fixed));
+    return { amount, feeAmount: fee, netAmount: roundAmount(amount - fee) };
+}
+
+/**
+ * Adds a pending entry: { amount, currency, gateway, donationType, donor, anonymous, dedication, gatewayReference,
+ * subscriptionId, coverFees, campaignId, fundraiserId, raisedBy, idempotencyKey, tribute }. `amount` is what the donor chose; the entry's amount is what is charged.
+ * The receipt number is taken now rather than on payment, so numbers follow the order donations
+ * were made in and failed attempts keep theirs. The kwacha equivalent uses the day's exchange rates.
+ */
+function recordDonation(store, data, { userId = null, by = null } = {}) {
+    const now = new Date();
+    const coverFees = Boolean(data.coverFees);
+    const fees = feeBreakdown(data.gateway, roundAmount(Number(data.amount)), coverFees, fixedFeeRate(store, data.currency));
+
+    return store.collection(COLLECTION).insert({
+        receiptNumber: nextReceiptNumber(store, now),
+        amount: fees.amount,
+        currency: data.currency,
+        coverFees,
+        feeAmount: fees.feeAmount,
+        netAmount: fees.netAmount,
+        ...zmwEquivalent(store, fees.amount, data.currency),
+        gateway: data.gateway,
+        gatewayReference: data.gatewayReference || null,
+        donationType: data.donationType || 'one-time',
+        status: 'pending',
+        donor: {
+            firstName: data.donor.firstName,
+            lastName: data.donor.lastName,
+            email: data.donor.email.toLowerCase(),
+            phone: data.donor.phone || null
+        },
+        anonymous: Boolean(data.anonymous),
+        dedication: data.dedication || null,
+        // In honour or in memory of someone, with the e-card to send (see tributes.js)
+        tribute: data.tribute || null,
+        subscriptionId: data.subscriptionId || null,
+        campaignId: data.campaignId || null,
+        // Gifts made through a member's fundraising page count towards it and are credited to that member
+        fundraiserId: data.fundraiserId || null,
+        raisedBy: data.raisedBy || null,
+        // Sent by the offline outbox so a retried request finds the entry it already made
+        idempotencyKey: data.idempotencyKey || null,
+        userId,
+        history: [{ status: 'pending', at: now.toISOString(), by, note: null }],
+        completedAt: null,
+        receiptSentAt: null,
+        receiptSendCount: 0,
+        createdAt: now.toISOString()
+    });
+}
+
+// Moves an entry to a new status, keeping who did it and why in its history
+function updateDonationStatus(store, id, status, { by = null, note = null, gatewayReference } = {}) {
+    const donations = store.collection(COLLECTION);
+    const donation = donations.get(id);
+    if (!donation) {
+        throw new ApiError(404, 'Donation not found.');
+    }
+    if (!TRANSITIONS[donation.status].includes(status)) {
+        throw new ApiError(409, `A ${donation.status} donation cannot be marked as ${status}.`);
+    }
+
+    const at = new Date().toISOString();
+    return donations.update(id, {
+        status,
+        ...(gatewayReference ? { gatewayReference } : {}),
+        ...(status === 'completed' ? { completedAt: at } : {}),
+        history: [...donation.history, { status, at, by, note: note || null }]
+    });
+}
+
+// Newest first; filters are { status, gateway, currency, campaignId, fundraiserId, raisedBy, from, to, search, limit }
+function listDonations(store, {
+    status, gateway, currency, campaignId, fundraiserId, raisedBy, from, to, search, limit = 100
+} = {}) {
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+    const needle = search ? search.toLowerCase() : null;
+    const timeOf = donation => new Date(donation.createdAt).getTime();
+
+    const matches = store.collection(COLLECTION)
+        .find(donation => (!status || donation.status === status) &&
+            (!gateway || donation.gateway === gateway) &&
+            (!currency || donation.currency === currency) &&
+            (!campaignId || donation.campaignId === campaignId) &&
+            (!fundraiserId || donation.fundraiserId === fundraiserId) &&
+            (!raisedBy || donation.raisedBy === raisedBy) &&
+            timeOf(donation) >= fromTime && timeOf(donation) <= toTime &&
+            (!needle || [donation.receiptNumber, donation.gatewayReference, donation.donor.email, donorName(donation)]
+                .some(value => value && value.toLowerCase().includes(needle))))
+        .sort((a, b) => timeOf(b) - timeOf(a));
+
+    return { total: matches.length, items: matches.slice(0, limit) };
+}
+
+// Totals per currency of completed donations; refunded ones no longer count
+function summarizeDonations(donations) {
+    return donations
+        .filter(donation => donation.status === 'completed')
+        .reduce((totals, donation) => {
+            totals[donation.currency] = Math.round(((totals[donation.currency] || 0) + donation.amount) * 100) / 100;
+            return totals;
+        }, {});
+}
+
+// The same donations added up in kwacha at the rate of the day each was made
+function totalInZmw(donations) {
+    const total = donations
+        .filter(donation => donation.status === 'completed')
+        .reduce((sum, donation) => sum + (donation.zmwAmount || 0), 0);
+    return Math.round(total * 100) / 100;
+}
+
+// A standalone page the donor can print or save; `nonce` is set when it is served under the site's CSP
+function renderReceipt(donation, { nonce } = {}) {
+    if (!receiptTemplate) {
+        receiptTemplate = handlebars.compile(fs.readFileSync(RECEIPT_TEMPLATE, 'utf8'));
+    }
+
+    return receiptTemplate({
+        nonce,
+        organisation: 'Albinism Foundation of Zambia',
+        appUrl: config.appUrl,
+        receiptNumber: donation.receiptNumber,
+        donorName: donorName(donation),
+        email: donation.donor.email,
+        amount: formatAmount(donation.amount, donation.currency),
+        currency: donation.currency,
+        zmwAmount: donation.currency !== 'ZMW' && donation.zmwAmount ? formatAmount(donation.zmwAmount, 'ZMW') : null,
+        feeCovered: donation.coverFees ? formatAmount(donation.feeAmount, donation.currency) : null,
+        gateway: GATEWAYS[donation.gateway] || donation.gateway,
+        gatewayReference: donation.gatewayReference,
+        donationType: donation.donationType,
+        dedication: donation.dedication,
+        tribute: donation.tribute ? tributeLine(donation.tribute) : null,
+        paidOn: new Date(donation.completedAt).toLocaleDateString('en-GB', {
+            day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Africa/Lusaka'
+        }),
+        refunded: donation.status === 'refunded'
+    });
+}
+
+// Tells the donor when the e-card for their tribute goes out
+function tributeCardNote(tribute) {
+    if (!tribute || tribute.cardStatus !== 'scheduled') return null;
+
+    const when = tribute.sendAt
+        ? `on ${new Date(tribute.sendAt).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Africa/Lusaka' })}`
+        : 'shortly';
+    return `Your e-card to ${tribute.recipientName} will be sent ${when}. It does not mention the amount you gave.`;
+}
+
+// Emails the receipt with a copy attached; only completed donations have one
+async function sendReceipt(store, mailer, donation) {
+    if (donation.status !== 'completed') {
+        throw new ApiError(409, 'Receipts are only issued for completed donations.');
+    }
+
+    await mailer.send({
+        to: donation.donor.email,
+        subject: `Your donation receipt ${donation.receiptNumber}`,
+        template: 'donation-receipt',
+        context: {
+            firstName: donation.donor.firstName,
+            receiptNumber: donation.receiptNumber,
+            amount: formatAmount(donation.amount, donation.currency),
+            gateway: GATEWAYS[donation.gateway] || donation.gateway,
+            link: receiptUrl(donation),
+            historyLink: `${config.appUrl}/pages/donor-portal.html`,
+            tributeCard: tributeCardNote(donation.tribute),
+            // Donors need not have an account
+            footer: 'You are receiving this email because you made a donation to the Albinism Foundation of Zambia.'
+        },
+        attachments: [{
+            filename: `${donation.receiptNumber}.html`,
+            content: renderReceipt(donation),
+            contentType: 'text/html; charset=utf-8'
+        }]
+    });
+
+    return store.collection(COLLECTION).update(donation.id, {
+        receiptSentAt: new Date().toISOString(),
+        receiptSendCount: (donation.receiptSendCount || 0) + 1
+    });
+}
+
+// Marks a donation paid and emails its receipt; a failed email never undoes the payment
+async function completeDonation(store, mailer, id, options) {
+    const donation = updateDonationStatus(store, id, 'completed', options);
+
+    try {
+        return { donation: await sendReceipt(store, mailer, donation), receiptSent: true };
+    } catch (error) {
+        console.error(`Failed to send receipt ${donation.receiptNumber}:`, error);
+        return { donation, receiptSent: false };
+    }
+}
+
+module.exports = {
+    CURRENCIES,
+    GATEWAYS,
+    GATEWAY_FEES,
+    DONATION_TYPES,
+    STATUSES,
+    TRANSITIONS,
+    feeBreakdown,
+    recordDonation,
+    updateDonationStatus,
+    completeDonation,
+    listDonations,
+    summarizeDonations,
+    totalInZmw,
+    receiptToken,
+    isReceiptToken,
+    receiptUrl,
+    renderReceipt,
+    sendReceipt
+};
@@ -0,0 +1,370 @@
+/**
+ * AFZ API Server - Donor Portal
+ * A donor's giving history across the ledger, their saved details and the annual giving statement
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+const { ApiError } = require('./errors');
+const { describeTtl } = require('./auth');
+const { durationToMs } = require('./sessions');
+const { GATEWAYS, receiptUrl } = require('./donations');
+const { manageUrl } = require('./subscriptions');
+const { describeTribute } = require('./tributes');
+const PdfDocument = require('./pdf');
+
+const COLLECTION = 'donors';
+const LINKS = 'donorPortalLinks';
+const SESSIONS = 'donorPortalSessions';
+const PROFILE_FIELDS = ['firstName', 'lastName', 'organisation', 'phone', 'address'];
+const ORGANISATION = 'Albinism Foundation of Zambia';
+
+// Donors are known by the email on their donations; the record holds what they asked us to keep
+function findDonor(store, email) {
+    return store.collection(COLLECTION).findOne(donor => donor.email === email.toLowerCase());
+}
+
+function donorDonations(store, email) {
+    return store.collection('donations')
+        .find(donation => donation.donor.email === email)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+// The first visit starts from the name and phone on the donor's latest donation
+function ensureDonor(store, email) {
+    const address = email.toLowerCase();
+    const existing = findDonor(store, address);
+    if (existing) return existing;
+
+    const [latest] = donorDonations(store, address);
+    const now = new Date().toISOString();
+    return store.collection(COLLECTION).insert({
+        email: address,
+        firstName: latest ? latest.donor.firstName : '',
+        lastName: latest ? latest.donor.lastName : '',
+        organisation: '',
+        phone: latest ? latest.donor.phone : null,
+        address: '',
+        createdAt: now,
+        updatedAt: now
+    });
+}
+
+function updateDonor(store, donor, changes) {
+    const update = {};
+    PROFILE_FIELDS.forEach(field => {
+        if (changes[field] !== undefined) update[field] = changes[field];
+    });
+    return store.collection(COLLECTION).update(donor.id, { ...update, updatedAt: new Date().toISOString() });
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function isExpired(record) {
+    return new Date(record.expiresAt) <= new Date();
+}
+
+// Links and sessions are "<record id>.<secret>" and only a hash of the secret is stored, like refresh tokens (sessions.js)
+function insertWithToken(store, collection, fields, ttl) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const record = store.collection(collection).insert({
+        id: crypto.randomUUID(),
+        ...fields,
+        secretHash: hashToken(secret),
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + durationToMs(ttl)).toISOString()
+    });
+    return { record, token: `${record.id}.${secret}` };
+}
+
+function findByToken(store, collection, token) {
+    const [id, secret] = String(token || '').split('.');
+    const record = id && secret ? store.collection(collection).get(id) : null;
+    return record && crypto.timingSafeEqual(Buffer.from(record.secretHash), Buffer.from(hashToken(secret))) ? record : null;
+}
+
+function pruneExpired(store) {
+    [LINKS, SESSIONS].forEach(collection => store.collection(collection).removeWhere(isExpired));
+}
+
+// The emailed link is kept against the address it was sent to, so it only ever opens that donor's history
+function portalUrl(store, email) {
+    pruneExpired(store);
+    const { token } = insertWithToken(store, LINKS, { email: email.toLowerCase(), usedAt: null }, config.donors.linkTtl);
+    return `${config.appUrl}/pages/donor-portal.html?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Swaps an emailed link for a portal session of DONOR_SESSION_TTL. Each link works once, so one that is
+ * forwarded or left in a mailbox cannot be opened again; the portal page makes the swap with a POST,
+ * which mail scanners following the link do not.
+ */
+function openPortalSession(store, linkToken) {
+    const link = findByToken(store, LINKS, linkToken);
+    if (!link || isExpired(link)) {
+        throw new ApiError(401, 'This link is invalid or has expired. Please ask for a new one.');
+    }
+    if (link.usedAt) {
+        throw new ApiError(401, 'This link has already been used. Please ask for a new one.');
+    }
+
+    store.collection(LINKS).update(link.id, { usedAt: new Date().toISOString() });
+    return insertWithToken(store, SESSIONS, { email: link.email, revokedAt: null }, config.donors.sessionTtl);
+}
+
+// The donor's email for a live portal session, or null
+function portalSessionEmail(store, sessionToken) {
+    const session = findByToken(store, SESSIONS, sessionToken);
+    return session && !session.revokedAt && !isExpired(session) ? session.email : null;
+}
+
+function closePortalSession(store, sessionToken) {
+    const session = findByToken(store, SESSIONS, sessionToken);
+    if (session && !session.revokedAt) {
+        store.collection(SESSIONS).update(session.id, { revokedAt: new Date().toISOString() });
+    }
+}
+
+// Derived rather than stored, like receipt tokens, but only good until `expires` (seconds since the epoch)
+function statementToken(donor, year, expires) {
+    return crypto.createHmac('sha256', config.auth.jwtSecret)
+        .update(`donor-statement:${donor.id}:${year}:${expires}`)
+        .digest('base64url');
+}
+
+function isStatementToken(donor, year, expires, token) {
+    if (!(Number(expires) * 1000 > Date.now())) return false;
+
+    const expected = statementToken(donor, year, expires);
+    return typeof token === 'string' && token.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+}
+
+// Statement links are made afresh each time the history is loaded, so they last as long as a portal session
+function statementUrl(donor, year) {
+    const expires = Math.floor((Date.now() + durationToMs(config.donors.sessionTtl)) / 1000);
+    return `${config.appUrl}/api/donors/${encodeURIComponent(donor.id)}/statements/${year}` +
+        `?expires=${expires}&token=${statementToken(donor, year, expires)}`;
+}
+
+// Statements follow the calendar year in Zambia
+function lusakaYear(value) {
+    return Number(new Date(value).toLocaleDateString('en-GB', { year: 'numeric', timeZone: 'Africa/Lusaka' }));
+}
+
+// Refunded gifts are left out, and a gift belongs to the year its payment was confirmed in
+function givingInYear(donations, year) {
+    return donations
+        .filter(donation => donation.status === 'completed' && lusakaYear(donation.completedAt) === year)
+        .sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt));
+}
+
+function totalsByCurrency(donations) {
+    const totals = {};
+    donations.forEach(donation => {
+        totals[donation.currency] = Math.round(((totals[donation.currency] || 0) + donation.amount) * 100) / 100;
+    });
+    return totals;
+}
+
+function zmwTotal(donations) {
+    return Math.round(donations.reduce((sum, donation) => sum + (donation.zmwAmount || 0), 0) * 100) / 100;
+}
+
+// What the portal shows: the donor's details, every ledger entry, their recurring gifts and a statement per year
+function describeGiving(store, donor) {
+    const donations = donorDonations(store, donor.email);
+    const years = [...new Set(donations
+        .filter(donation => donation.status === 'completed')
+        .map(donation => lusakaYear(donation.completedAt)))]
+        .sort((a, b) => b - a)
+        .map(year => {
+            const gifts = givingInYear(donations, year);
+            return {
+                year,
+                donationCount: gifts.length,
+                totals: totalsByCurrency(gifts),
+                zmwTotal: zmwTotal(gifts),
+                statementUrl: statementUrl(donor, year)
+            };
+        });
+
+    const subscriptions = store.collection('donationSubscriptions')
+        .find(subscription => subscription.donor.email === donor.email)
+        .map(subscription => ({
+            id: subscription.id,
+            amount: subscription.amount,
+            currency: subscription.currency,
+            interval: subscription.interval,
+            status: subscription.status,
+            nextChargeAt: subscription.nextChargeAt,
+            manageUrl: manageUrl(subscription)
+        }));
+
+    return {
+        donor: {
+            id: donor.id,
+            email: donor.email,
+            ...Object.fromEntries(PROFILE_FIELDS.map(field => [field, donor[field] || ''])),
+            updatedAt: donor.updatedAt
+        },
+        donations: donations.map(donation => ({
+            id: donation.id,
+            receiptNumber: donation.receiptNumber,
+            amount: donation.amount,
+            currency: donation.currency,
+            zmwAmount: donation.zmwAmount,
+            gateway: GATEWAYS[donation.gateway] || donation.gateway,
+            donationType: donation.donationType,
+            status: donation.status,
+            campaignId: donation.campaignId || null,
+            dedication: donation.dedication,
+            tribute: describeTribute(donation.tribute),
+            createdAt: donation.createdAt,
+            completedAt: donation.completedAt,
+            receiptUrl: donation.completedAt ? receiptUrl(donation) : null
+        })),
+        subscriptions,
+        years
+    };
+}
+
+async function sendPortalLink(store, mailer, email) {
+    const donor = findDonor(store, email);
+    const [latest] = donorDonations(store, email.toLowerCase());
+
+    await mailer.send({
+        to: email,
+        subject: 'Your giving history with the Albinism Foundation of Zambia',
+        template: 'donor-portal-link',
+        context: {
+            firstName: (donor && donor.firstName) || latest.donor.firstName,
+            link: portalUrl(store, email),
+            expiresIn: describeTtl(config.donors.linkTtl),
+            footer: 'You are receiving this email because you asked for a link to your donations to the Albinism Foundation of Zambia.'
+        }
+    });
+}
+
+function formatAmount(amount, currency) {
+    return new Intl.NumberFormat('en-ZM', { style: 'currency', currency }).format(amount);
+}
+
+function formatDate(value) {
+    return new Date(value).toLocaleDateString('en-GB', {
+        day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Africa/Lusaka'
+    });
+}
+
+/**
+ * The consolidated statement for one calendar year as a PDF: every confirmed gift with its receipt
+ * number, totals per currency and the kwacha equivalent. Returns null when nothing was given that year.
+ */
+function renderStatement(store, donor, year) {
+    const gifts = givingInYear(donorDonations(store, donor.email), year);
+    if (!gifts.length) return null;
+
+    const doc = new PdfDocument({ title: `Giving statement ${year}`, author: ORGANISATION });
+    const left = 50;
+    const right = doc.width - 50;
+    const columns = { date: left, receipt: left + 120, method: left + 250, amount: right - 90, zmw: right };
+    const bottom = doc.height - 80;
+    let y;
+
+    const tableHeader = () => {
+        doc.text('Date received', columns.date, y, { font: 'bold', size: 9 });
+        doc.text('Receipt number', columns.receipt, y, { font: 'bold', size: 9 });
+        doc.text('Paid via', columns.method, y, { font: 'bold', size: 9 });
+        doc.text('Amount', columns.amount, y, { font: 'bold', size: 9, align: 'right' });
+        doc.text('Kwacha equivalent', columns.zmw, y, { font: 'bold', size: 9, align: 'right' });
+        doc.line(left, y + 6, right, y + 6);
+        y += 20;
+    };
+
+    doc.addPage();
+    doc.rect(0, 0, doc.width, 8, { color: [0.855, 0.647, 0.125] });
+    doc.text(ORGANISATION, left, 60, { font: 'bold', size: 18 });
+    doc.text(`Annual giving statement ${year}`, left, 82, { size: 12 });
+    doc.text(`Issued ${formatDate(new Date())}`, right, 82, { size: 9, align: 'right', color: [0.4, 0.4, 0.4] });
+
+    y = 120;
+    const name = [donor.firstName, donor.lastName].filter(Boolean).join(' ');
+    [donor.organisation, name, ...String(donor.address || '').split(/\r?\n/), donor.email]
+        .filter(Boolean)
+        .forEach((line, index) => {
+            doc.text(line, left, y, { font: index === 0 ? 'bold' : 'regular', size: 10 });
+            y += 14;
+        });
+
+    y += 16;
+    doc.wrap(`This statement lists every donation we received from you between 1 January and 31 December ${year}. ` +
+        'Each one also has its own receipt, quoted here by number. No goods or services were provided in return ' +
+        'for these donations.', right - left, { size: 10 })
+        .forEach(line => {
+            doc.text(line, left, y, { size: 10 });
+            y += 14;
+        });
+
+    y += 16;
+    tableHeader();
+    gifts.forEach(gift => {
+        if (y > bottom) {
+            doc.addPage();
+            y = 60;
+            tableHeader();
+        }
+        doc.text(formatDate(gift.completedAt), columns.date, y, { size: 9 });
+        doc.text(gift.receiptNumber, columns.receipt, y, { size: 9 });
+        doc.text(GATEWAYS[gift.gateway] || gift.gateway, columns.method, y, { size: 9 });
+        doc.text(formatAmount(gift.amount, gift.currency), columns.amount, y, { size: 9, align: 'right' });
+        doc.text(gift.zmwAmount ? formatAmount(gift.zmwAmount, 'ZMW') : '-', columns.zmw, y, { size: 9, align: 'right' });
+        y += 16;
+    });
+
+    const totals = Object.entries(totalsByCurrency(gifts));
+    if (y + 40 + totals.length * 16 > bottom) {
+        doc.addPage();
+        y = 60;
+    }
+    doc.line(left, y - 8, right, y - 8, { width: 1, color: [0.2, 0.2, 0.2] });
+    y += 6;
+    totals.forEach(([currency, total]) => {
+        doc.text(`Total in ${currency}`, columns.method, y, { font: 'bold', size: 10 });
+        doc.text(formatAmount(total, currency), columns.amount, y, { font: 'bold', size: 10, align: 'right' });
+        y += 16;
+    });
+    doc.text('Total kwacha equivalent', columns.method, y, { font: 'bold', size: 10 });
+    doc.text(formatAmount(zmwTotal(gifts), 'ZMW'), columns.zmw, y, { font: 'bold', size: 10, align: 'right' });
+    y += 16;
+    if (totals.length > 1 || totals[0][0] !== 'ZMW') {
+        doc.text('Kwacha equivalents use the exchange rate on the day each donation was made.', left, y + 8,
+            { size: 8, color: [0.4, 0.4, 0.4] });
+    }
+
+    doc.pages.forEach((page, index) => {
+        doc.setPage(index);
+        doc.line(left, doc.height - 50, right, doc.height - 50);
+        doc.text(`${ORGANISATION} - ${config.appUrl}`, left, doc.height - 36, { size: 8, color: [0.4, 0.4, 0.4] });
+        doc.text(`Page ${index + 1} of ${doc.pages.length}`, right, doc.height - 36,
+            { size: 8, align: 'right', color: [0.4, 0.4, 0.4] });
+    });
+
+    return doc.toBuffer();
+}
+
+module.exports = {
+    PROFILE_FIELDS,
+    findDonor,
+    ensureDonor,
+    updateDonor,
+    donorDonations,
+    openPortalSession,
+    portalSessionEmail,
+    closePortalSession,
+    isStatementToken,
+    describeGiving,
+    sendPortalLink,
+    renderStatement
+};
@@ -0,0 +1,69 @@
+/**
+ * AFZ API Server - Error Handling
+ * API error type and the Express handlers that turn errors into JSON responses
+ */
+
+const { validationResult } = require('express-validator');
+
+// `code` is a stable identifier the browser can act on (e.g. 'two_factor_setup_required')
+class ApiError extends Error {
+    constructor(status, message, details, code) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.details = details;
+        this.code = code;
+    }
+}
+
+// Express 4 does not forward rejected promises, so async route handlers are wrapped
+function asyncHandler(handler) {
+    return (req, res, next) => {
+        Promise.resolve(handler(req, res, next)).catch(next);
+    };
+}
+
+// Rejects the request with the first express-validator failure
+function validate(req, res, next) {
+    const result = validationResult(req);
+
+    if (!result.isEmpty()) {
+        const errors = result.array();
+        return next(new ApiError(422, errors[0].msg, errors.map(error => ({
+            field: error.path,
+            message: error.msg
+        }))));
+    }
+
+    next();
+}
+
+function notFound(req, res, next) {
+    next(new ApiError(404, `No API endpoint at ${req.method} ${req.originalUrl}`));
+}
+
+// eslint-disable-next-line no-unused-vars
+function errorHandler(error, req, res, next) {
+    const status = error.status || error.statusCode || 500;
+
+    if (status >= 500) {
+        console.error('API error:', error);
+    }
+
+    res.status(status).json({
+        success: false,
+        message: status >= 500 && !(error instanceof ApiError)
+            ? 'An unexpected error occurred. Please try again later.'
+            : error.message,
+        ...(error instanceof ApiError && error.code ? { code: error.code } : {}),
+        ...(error.details ? { errors: error.details } : {})
+    });
+}
+
+module.exports = {
+    ApiError,
+    asyncHandler,
+    validate,
+    notFound,
+    errorHandler
+};
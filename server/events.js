@@ -0,0 +1,318 @@
+/**
+ * AFZ API Server - Community Events
+ * Events members host in the hub: drafts, publishing, edits with their history, cancellation and RSVPs
+ */
+
+const config = require('./config');
+const { ApiError } = require('./errors');
+const { hasPermission } = require('./permissions');
+
+const COLLECTION = 'events';
+const REGISTRATIONS = 'eventRegistrations';
+const CATEGORIES = ['healthcare', 'advocacy', 'education', 'support', 'social', 'fundraising'];
+const STATUSES = ['draft', 'scheduled', 'cancelled'];
+const LOCATION_TYPES = ['physical', 'online', 'hybrid'];
+const RESPONSES = ['attending', 'interested', 'not-attending'];
+const DEFAULT_IMAGE = 'assets/events/default.jpg';
+
+// What the organiser writes; `featured` is left to moderators
+const FIELDS = [
+    'title', 'description', 'category', 'date', 'duration', 'locationType', 'location', 'link',
+    'maxAttendees', 'fee', 'requiresApproval', 'agenda', 'requirements', 'image'
+];
+const MODERATED_FIELDS = ['featured'];
+
+function findEvent(store, id) {
+    return store.collection(COLLECTION).get(id);
+}
+
+// The organiser, or a moderator looking after hub content
+function canManage(event, user) {
+    return Boolean(user) && (event.organizerId === user.id || hasPermission(user, 'content.moderate'));
+}
+
+function writableFields(user) {
+    return hasPermission(user, 'content.moderate') ? [...FIELDS, ...MODERATED_FIELDS] : FIELDS;
+}
+
+function organizerOf(user) {
+    return {
+        id: user.id,
+        name: [user.firstName, user.lastName].filter(Boolean).join(' '),
+        avatar: user.avatar || null
+    };
+}
+
+function registrationsFor(store, eventId) {
+    return store.collection(REGISTRATIONS).find(registration => registration.eventId === eventId);
+}
+
+function countResponses(registrations, response) {
+    return registrations.filter(registration => registration.response === response).length;
+}
+
+// Events from before RSVPs were kept per member only have a count of those attending, with no names behind it
+function earlierAttendees(event) {
+    return Number(event.attendees) || 0;
+}
+
+function attendingCount(store, event) {
+    return earlierAttendees(event) + countResponses(registrationsFor(store, event.id), 'attending');
+}
+
+function hasStarted(event, now = new Date()) {
+    return Boolean(event.date) && new Date(event.date) <= now;
+}
+
+// A published event needs a title and a start that is still to come
+function requirePublishable(event) {
+    if (!event.title || !event.date) {
+        throw new ApiError(422, 'Please give the event a title, a date and a time before publishing it.');
+    }
+    if (hasStarted(event)) {
+        throw new ApiError(422, 'Please choose a date and time that is still to come.');
+    }
+}
+
+function historyEntry(action, user, extra = {}) {
+    return { action, at: new Date().toISOString(), by: user.id, byName: organizerOf(user).name, ...extra };
+}
+
+// Everyone sees the event and how many are coming; its history and the RSVP list stay with those who manage it
+function describeEvent(store, event, user) {
+    const registrations = registrationsFor(store, event.id);
+    const own = user ? registrations.find(registration => registration.userId === user.id) : null;
+    const { history, ...details } = event;
+
+    return {
+        ...details,
+        attendees: earlierAttendees(event) + countResponses(registrations, 'attending'),
+        interested: countResponses(registrations, 'interested'),
+        myResponse: own ? own.response : null,
+        canManage: canManage(event, user),
+        ...(canManage(event, user) ? { history } : {})
+    };
+}
+
+function pickFields(data, fields) {
+    return fields.reduce((picked, field) => {
+        if (data[field] !== undefined) picked[field] = data[field];
+        return picked;
+    }, {});
+}
+
+// data holds FIELDS (and `featured` for moderators); status is 'draft' or 'scheduled'
+function createEvent(store, data, { user, status }) {
+    const event = {
+        title: '',
+        description: '',
+        category: null,
+        date: null,
+        duration: null,
+        locationType: 'physical',
+        location: '',
+        link: null,
+        maxAttendees: null,
+        fee: 0,
+        requiresApproval: false,
+        agenda: '',
+        requirements: '',
+        image: DEFAULT_IMAGE,
+        featured: false,
+        ...pickFields(data, writableFields(user)),
+        status,
+        organizerId: user.id,
+        organizer: organizerOf(user)
+    };
+    if (status === 'scheduled') {
+        requirePublishable(event);
+    }
+
+    return store.collection(COLLECTION).insert({ ...event, history: [historyEntry('created', user, { status })] });
+}
+
+// Each edit is kept in the event's history with the fields it changed, from and to
+function updateEvent(store, event, data, { user }) {
+    if (event.status === 'cancelled') {
+        throw new ApiError(409, 'This event has been cancelled and can no longer be changed.');
+    }
+
+    const publishing = data.status === 'scheduled' && event.status === 'draft';
+    const changes = Object.entries(pickFields(data, writableFields(user)))
+        .filter(([field, value]) => JSON.stringify(value) !== JSON.stringify(event[field] === undefined ? null : event[field]))
+        .map(([field, value]) => ({ field, from: event[field] === undefined ? null : event[field], to: value }));
+    if (!changes.length && !publishing) {
+        return event;
+    }
+
+    const update = Object.fromEntries(changes.map(change => [change.field, change.to]));
+    const updated = { ...event, ...update };
+    if (publishing || (event.status === 'scheduled' && update.date !== undefined)) {
+        requirePublishable(updated);
+    }
+
+    const attending = attendingCount(store, event);
+    if (updated.maxAttendees && updated.maxAttendees < attending) {
+        throw new ApiError(422, `${attending} members are already attending, so the limit cannot be lower than that.`);
+    }
+
+    return store.collection(COLLECTION).update(event.id, {
+        ...update,
+        ...(publishing ? { status: 'scheduled' } : {}),
+        history: [...(event.history || []), historyEntry(publishing ? 'published' : 'updated', user, { changes })]
+    });
+}
+
+// A new draft with the same details, for an event that runs again
+function duplicateEvent(store, event, { user }) {
+    const copy = pickFields(event, writableFields(user));
+    const created = createEvent(store, copy, { user, status: 'draft' });
+
+    return store.collection(COLLECTION).update(created.id, {
+        duplicatedFrom: event.id,
+        history: [...created.history, historyEntry('duplicated', user, { from: event.id, note: `Copied from "${event.title}"` })]
+    });
+}
+
+function formatWhen(value) {
+    return new Date(value).toLocaleString('en-GB', {
+        weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', hour: '2-digit', minute: '2-digit',
+        timeZone: 'Africa/Lusaka'
+    });
+}
+
+// Everyone who said they were coming or interested is told, whatever they chose about other updates.
+// Those counted before RSVPs were kept per member cannot be.
+async function notifyCancellation(store, mailer, event) {
+    const users = store.collection('users');
+    let notified = 0;
+    let failed = 0;
+
+    for (const registration of registrationsFor(store, event.id)) {
+        const member = users.get(registration.userId);
+        if (registration.response === 'not-attending' || !member) continue;
+
+        try {
+            await mailer.send({
+                to: member.email,
+                subject: `Cancelled: ${event.title}`,
+                template: 'event-cancelled',
+                context: {
+                    firstName: member.firstName,
+                    title: event.title,
+                    when: formatWhen(event.date),
+                    location: event.locationType === 'online' ? 'Online' : event.location,
+                    reason: event.cancellationReason,
+                    organizer: event.organizer.name,
+                    eventsLink: `${config.appUrl}/pages/member-hub.html`
+                }
+            });
+            notified++;
+        } catch (error) {
+            console.error(`Failed to tell ${member.email} that event ${event.id} was cancelled:`, error);
+            failed++;
+        }
+    }
+    return { notified, failed };
+}
+
+async function cancelEvent(store, mailer, event, { user, reason }) {
+    if (event.status !== 'scheduled') {
+        throw new ApiError(409, event.status === 'draft'
+            ? 'Drafts are not published, so delete this one instead of cancelling it.'
+            : 'This event has already been cancelled.');
+    }
+    if (hasStarted(event)) {
+        throw new ApiError(409, 'This event has already started and cannot be cancelled.');
+    }
+
+    // The cancellation is recorded whether or not the emails go out; how they went is added once they have
+    const events = store.collection(COLLECTION);
+    const cancelled = events.update(event.id, {
+        status: 'cancelled',
+        cancelledAt: new Date().toISOString(),
+        cancellationReason: reason || null,
+        history: [...(event.history || []), historyEntry('cancelled', user, { note: reason || null })]
+    });
+
+    const { notified, failed } = await notifyCancellation(store, mailer, cancelled);
+    const unreachable = earlierAttendees(cancelled);
+    const updated = events.update(event.id, {
+        history: [...events.get(event.id).history, historyEntry('notified', user, {
+            note: [
+                `${notified} registrant${notified === 1 ? '' : 's'} notified`,
+                failed ? `${failed} could not be emailed` : null,
+                unreachable ? `${unreachable} earlier RSVP${unreachable === 1 ? ' was' : 's were'} taken without contact details` : null
+            ].filter(Boolean).join('; ')
+        })]
+    });
+    return { event: updated, notified, failed };
+}
+
+function removeDraft(store, event) {
+    if (event.status !== 'draft') {
+        throw new ApiError(409, 'Published events are kept; cancel this one instead.');
+    }
+    store.collection(COLLECTION).remove(event.id);
+}
+
+// One RSVP per member and event; answering again changes it. Places count any taken before RSVPs were kept per member.
+function respond(store, event, user, { response, notes, notifications }) {
+    if (event.status !== 'scheduled' || hasStarted(event)) {
+        throw new ApiError(409, event.status === 'cancelled' ? 'This event has been cancelled.' : 'This event is not taking RSVPs.');
+    }
+
+    const registrations = store.collection(REGISTRATIONS);
+    const existing = registrations.findOne(registration => registration.eventId === event.id && registration.userId === user.id);
+    const joining = response === 'attending' && (!existing || existing.response !== 'attending');
+    if (joining && event.maxAttendees && attendingCount(store, event) >= event.maxAttendees) {
+        throw new ApiError(409, 'This event is full.');
+    }
+
+    const details = { response, notes: notes || '', notifications: notifications !== false };
+    return existing
+        ? registrations.update(existing.id, details)
+        : registrations.insert({ eventId: event.id, userId: user.id, ...details });
+}
+
+function withdraw(store, event, user) {
+    const registrations = store.collection(REGISTRATIONS);
+    const existing = registrations.findOne(registration => registration.eventId === event.id && registration.userId === user.id);
+    if (!existing) {
+        throw new ApiError(404, 'You have not responded to this event.');
+    }
+    registrations.remove(existing.id);
+}
+
+// The organiser's list, with each member's name and email
+function registrationList(store, event) {
+    const users = store.collection('users');
+    return registrationsFor(store, event.id)
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .map(registration => {
+            const member = users.get(registration.userId);
+            return {
+                ...registration,
+                name: member ? organizerOf(member).name : 'Former member',
+                email: member ? member.email : null
+            };
+        });
+}
+
+module.exports = {
+    CATEGORIES,
+    STATUSES,
+    LOCATION_TYPES,
+    RESPONSES,
+    findEvent,
+    canManage,
+    describeEvent,
+    createEvent,
+    updateEvent,
+    duplicateEvent,
+    cancelEvent,
+    removeDraft,
+    respond,
+    withdraw,
+    registrationList
+};
@@ -0,0 +1,285 @@
+/**
+ * AFZ API Server - Exchange Rates
+ * A daily rate table from a configurable provider, admin overrides, and the preset amounts shown on the donate page
+ */
+
+const axios = require('axios');
+const config = require('./config');
+const { durationToMs } = require('./sessions');
+
+const TABLES = 'exchangeRates';
+const OVERRIDES = 'exchangeRateOverrides';
+const BASE = 'USD';
+const HTTP_TIMEOUT_MS = 15000;
+// Today's table is fetched on the first check after midnight UTC
+const REFRESH_CHECK_INTERVAL = '1h';
+// After a failed fetch the provider is left alone for this long, doubling with each failure up to the check interval
+const RETRY_DELAY = '1m';
+
+// Units of each currency per US dollar, used until a provider has been reached and by the 'fixed' provider.
+// The keys are the currencies donations can be made in (supportedCurrencies in donation-checkout.js).
+const FIXED_RATES = {
+    USD: 1,
+    EUR: 0.85,
+    GBP: 0.73,
+    ZMW: 24.50,
+    ZAR: 18.20,
+    KES: 150.00,
+    UGX: 3700.00,
+    CAD: 1.35,
+    AUD: 1.52
+};
+const CURRENCIES = Object.keys(FIXED_RATES);
+
+// The donate page's preset buttons in dollars; other currencies get the nearest round amount
+const BASE_PRESETS = [10, 25, 50, 100, 250, 500];
+const ROUND_STEPS = [1, 1.5, 2, 2.5, 3, 4, 5, 6, 7.5, 10];
+
+/**
+ * Each provider returns { <currency>: units per US dollar } for at least every supported currency.
+ */
+const PROVIDERS = {
+    fixed: {
+        name: 'Built-in rates',
+        async fetchRates() {
+            return { ...FIXED_RATES };
+        }
+    },
+
+    // ExchangeRate-API's open access endpoint: no key, updated once a day
+    'open-er-api': {
+        name: 'ExchangeRate-API',
+        async fetchRates() {
+            const { data } = await axios.get(`https://open.er-api.com/v6/latest/${BASE}`, { timeout: HTTP_TIMEOUT_MS });
+            if (data.result !== 'success') {
+                throw new Error(`ExchangeRate-API answered ${data['error-type'] || data.result}`);
+            }
+            return data.rates;
+        }
+    },
+
+    openexchangerates: {
+        name: 'Open Exchange Rates',
+        async fetchRates(settings) {
+            if (!settings.apiKey) {
+                throw new Error('EXCHANGE_RATE_API_KEY is not set');
+            }
+            const { data } = await axios.get('https://openexchangerates.org/api/latest.json', {
+                params: { app_id: settings.apiKey, base: BASE, symbols: CURRENCIES.join(',') },
+                timeout: HTTP_TIMEOUT_MS
+            });
+            return data.rates;
+        }
+    }
+};
+
+// Per store: the fetches under way and how long to wait after failures
+const refreshStates = new WeakMap();
+
+function dateKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function latestTable(store) {
+    return store.collection(TABLES).all()
+        .sort((a, b) => b.date.localeCompare(a.date))[0] || null;
+}
+
+// Overrides are never deleted: the latest entry for a currency decides, and clearing one adds an entry with no rate
+function overrideLog(store) {
+    return store.collection(OVERRIDES).all()
+        .sort((a, b) => new Date(b.at) - new Date(a.at));
+}
+
+function activeOverrides(store) {
+    const latest = {};
+    overrideLog(store).forEach(entry => {
+        if (!(entry.currency in latest)) latest[entry.currency] = entry;
+    });
+
+    return Object.values(latest)
+        .filter(entry => entry.rate !== null)
+        .reduce((overrides, entry) => ({ ...overrides, [entry.currency]: entry }), {});
+}
+
+/**
+ * Rates in effect now: the latest table with any overrides on top. Works without any fetched table,
+ * so a donation can always be recorded.
+ */
+function currentRates(store) {
+    const table = latestTable(store);
+    const overrides = activeOverrides(store);
+    const rates = { ...(table ? table.rates : FIXED_RATES) };
+    Object.values(overrides).forEach(override => {
+        rates[override.currency] = override.rate;
+    });
+
+    return {
+        base: BASE,
+        date: table ? table.date : null,
+        provider: table ? table.provider : 'fixed',
+        stale: !table || table.date !== dateKey(new Date()),
+        rates,
+        overrides: Object.values(overrides).map(({ currency, rate, note, by, at }) => ({ currency, rate, note, by, at }))
+    };
+}
+
+// 1225 -> 1000, 612.5 -> 600, 9100 -> 10000; always going up so every button is different
+function roundPreset(value, previous = 0) {
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    const candidates = [magnitude / 10, magnitude, magnitude * 10]
+        .flatMap(scale => ROUND_STEPS.map(step => step * scale))
+        .filter(amount => amount >= 1 && amount > previous);
+    return candidates.reduce((best, amount) => (Math.abs(amount - value) < Math.abs(best - value) ? amount : best));
+}
+
+function presetAmounts(rates) {
+    return CURRENCIES.reduce((presets, currency) => {
+        presets[currency] = BASE_PRESETS.reduce((amounts, dollars) => {
+            amounts.push(roundPreset(dollars * rates[currency], amounts[amounts.length - 1]));
+            return amounts;
+        }, []);
+        return presets;
+    }, {});
+}
+
+// What a donation is worth in kwacha at today's rates, stored on every ledger entry
+function zmwEquivalent(store, amount, currency) {
+    const { rates, date } = currentRates(store);
+    const zmwRate = rates.ZMW / rates[currency];
+
+    return {
+        zmwAmount: Math.round(amount * zmwRate * 100) / 100,
+        zmwRate: Math.round(zmwRate * 1e6) / 1e6,
+        rateDate: date
+    };
+}
+
+async function fetchTable(store, force) {
+    const today = dateKey(new Date());
+    const tables = store.collection(TABLES);
+    const existing = tables.findOne(table => table.date === today);
+    if (existing && !force) return existing;
+
+    const providerId = config.exchangeRates.provider;
+    const provider = PROVIDERS[providerId];
+    if (!provider) {
+        throw new Error(`Unknown exchange rate provider: ${providerId}`);
+    }
+
+    const fetched = await provider.fetchRates(config.exchangeRates);
+    const missing = CURRENCIES.filter(currency => !(Number(fetched[currency]) > 0));
+    if (missing.length > 0) {
+        throw new Error(`${provider.name} has no rate for ${missing.join(', ')}`);
+    }
+
+    const record = {
+        date: today,
+        base: BASE,
+        provider: providerId,
+        rates: CURRENCIES.reduce((rates, currency) => ({ ...rates, [currency]: Number(fetched[currency]) }), {}),
+        fetchedAt: new Date().toISOString()
+    };
+    return existing ? tables.update(existing.id, record) : tables.insert(record);
+}
+
+function refreshStateFor(store) {
+    if (!refreshStates.has(store)) {
+        refreshStates.set(store, { refreshing: null, forced: null, failures: 0, retryAt: 0 });
+    }
+    return refreshStates.get(store);
+}
+
+/**
+ * Makes sure today's table has been fetched; `force` fetches it again. Callers share a fetch that is
+ * already under way, except that a forced fetch waits for an ordinary one and then fetches anyway.
+ * While the provider is failing, ordinary refreshes resolve to null without trying it until the
+ * back-off has passed; forced ones always try.
+ */
+async function refreshRates(store, { force = false } = {}) {
+    const state = refreshStateFor(store);
+    const succeeded = table => {
+        state.failures = 0;
+        state.retryAt = 0;
+        return table;
+    };
+
+    if (force) {
+        if (!state.forced) {
+            state.forced = Promise.resolve(state.refreshing).catch(() => null)
+                .then(() => fetchTable(store, true))
+                .then(succeeded)
+                .finally(() => {
+                    state.forced = null;
+                });
+        }
+        return state.forced;
+    }
+
+    if (state.forced) return state.forced;
+    if (!state.refreshing) {
+        if (Date.now() < state.retryAt) return null;
+
+        state.refreshing = fetchTable(store, false)
+            .then(succeeded, error => {
+                state.failures += 1;
+                state.retryAt = Date.now() + Math.min(durationToMs(RETRY_DELAY) * 2 ** (state.failures - 1),
+                    durationToMs(REFRESH_CHECK_INTERVAL));
+                throw error;
+            })
+            .finally(() => {
+                state.refreshing = null;
+            });
+    }
+    return state.refreshing;
+}
+
+function setOverride(store, currency, { rate, note = null, by }) {
+    return store.collection(OVERRIDES).insert({
+        currency,
+        rate: rate === null ? null : Number(rate),
+        note: note || null,
+        by,
+        at: new Date().toISOString()
+    });
+}
+
+// Daily tables for one currency and every override made to it, newest first
+function rateHistory(store, currency, { days = 90 } = {}) {
+    const since = dateKey(new Date(Date.now() - days * 24 * 60 * 60 * 1000));
+
+    return {
+        currency,
+        tables: store.collection(TABLES)
+            .find(table => table.date >= since)
+            .sort((a, b) => b.date.localeCompare(a.date))
+            .map(table => ({ date: table.date, provider: table.provider, rate: table.rates[currency], fetchedAt: table.fetchedAt })),
+        overrides: overrideLog(store)
+            .filter(entry => entry.currency === currency && new Date(entry.at) >= new Date(since))
+            .map(({ rate, note, by, at }) => ({ rate, note, by, at }))
+    };
+}
+
+function startExchangeRateRefresh(store) {
+    const run = () => refreshRates(store).catch(error => {
+        console.error('Exchange rate refresh failed; using the last rates:', error.message);
+    });
+
+    run();
+    const timer = setInterval(run, durationToMs(REFRESH_CHECK_INTERVAL));
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    BASE,
+    CURRENCIES,
+    PROVIDERS,
+    currentRates,
+    presetAmounts,
+    zmwEquivalent,
+    refreshRates,
+    setOverride,
+    rateHistory,
+    startExchangeRateRefresh
+};
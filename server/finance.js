@@ -0,0 +1,415 @@
+/**
+ * AFZ API Server - Finance Reports
+ * Ledger and donor exports, the monthly kwacha summary for the auditors, and reconciliation of the
+ * ledger against the settlement files the gateways send
+ */
+
+const { ApiError } = require('./errors');
+const { GATEWAYS } = require('./donations');
+const { tributeLine } = require('./tributes');
+const { parseCsv } = require('./spreadsheets');
+
+const IMPORTS = 'settlementImports';
+
+// What reconciliation found for each settlement line or ledger entry
+const FLAGS = {
+    matched: 'Matched',
+    amount_mismatch: 'Amount or currency differs',
+    status_mismatch: 'Status differs',
+    refunded: 'Refunded',
+    not_in_ledger: 'Not in the ledger',
+    not_in_settlement: 'Not in the settlement file'
+};
+
+// Column names the gateways use in their settlement and activity downloads, compared in lower case
+const SETTLEMENT_COLUMNS = {
+    reference: ['transaction id', 'transaction_id', 'payment intent', 'payment_intent', 'flw_ref', 'tx_ref', 'tx ref',
+        'financial transaction id', 'external id', 'externalid', 'reference', 'invoice number', 'receipt number', 'id'],
+    amount: ['gross', 'amount', 'charged amount', 'charged_amount', 'amount paid'],
+    fee: ['fee', 'fees', 'app fee', 'app_fee', 'transaction fee'],
+    currency: ['currency', 'currency code'],
+    status: ['status', 'transaction status', 'type', 'balance impact'],
+    date: ['date', 'created', 'created (utc)', 'created_at', 'transaction date', 'date time']
+};
+
+function roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// Kwacha for any part of an entry, at the rate the entry was recorded with
+function inZmw(donation, amount) {
+    if (donation.currency === 'ZMW') return roundAmount(amount);
+    if (!donation.amount || !donation.zmwAmount) return 0;
+    return roundAmount(amount * donation.zmwAmount / donation.amount);
+}
+
+function lusakaDate(value) {
+    return value ? new Date(value).toLocaleDateString('en-CA', { timeZone: 'Africa/Lusaka' }) : null;
+}
+
+function lusakaMonth(value) {
+    return lusakaDate(value).slice(0, 7);
+}
+
+// Columns of the ledger export, one row per entry; names the campaigns and pages entries count towards
+function ledgerColumns(store) {
+    const campaigns = store.collection('campaigns');
+    const fundraisers = store.collection('fundraisers');
+    const title = (collection, id) => {
+        const item = id ? collection.get(id) : null;
+        return item ? item.title : null;
+    };
+
+    return [
+        { header: 'Receipt number', value: donation => donation.receiptNumber },
+        { header: 'Created', value: donation => donation.createdAt },
+        { header: 'Completed', value: donation => donation.completedAt },
+        { header: 'Status', value: donation => donation.status },
+        { header: 'Gateway', value: donation => GATEWAYS[donation.gateway] || donation.gateway },
+        { header: 'Gateway reference', value: donation => donation.gatewayReference },
+        { header: 'Currency', value: donation => donation.currency },
+        { header: 'Amount', value: donation => donation.amount },
+        { header: 'Fee', value: donation => donation.feeAmount },
+        { header: 'Net', value: donation => donation.netAmount },
+        { header: 'Amount (ZMW)', value: donation => donation.zmwAmount },
+        { header: 'Donor covered fee', value: donation => (donation.coverFees ? 'Yes' : 'No') },
+        { header: 'Type', value: donation => donation.donationType },
+        { header: 'Campaign', value: donation => title(campaigns, donation.campaignId) },
+        { header: 'Fundraising page', value: donation => title(fundraisers, donation.fundraiserId) },
+        { header: 'First name', value: donation => donation.donor.firstName },
+        { header: 'Last name', value: donation => donation.donor.lastName },
+        { header: 'Email', value: donation => donation.donor.email },
+        { header: 'Phone', value: donation => donation.donor.phone },
+        { header: 'Anonymous', value: donation => (donation.anonymous ? 'Yes' : 'No') },
+        { header: 'Tribute', value: donation => (donation.tribute ? tributeLine(donation.tribute) : null) },
+        { header: 'Reconciliation', value: donation => (donation.reconciliation ? FLAGS[donation.reconciliation.status] : null) }
+    ];
+}
+
+/**
+ * One row per donor for the CRM: the details they asked us to keep (see donors.js) over those on their
+ * latest donation, and what they have given. Totals are in kwacha and count completed donations only.
+ */
+function donorRows(store) {
+    const profiles = new Map(store.collection('donors').find(() => true).map(donor => [donor.email, donor]));
+    const recurring = store.collection('donationSubscriptions').find(subscription => subscription.status === 'active');
+    const byEmail = new Map();
+
+    store.collection('donations').find(() => true)
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .forEach(donation => {
+            const email = donation.donor.email;
+            const row = byEmail.get(email) || { email, donations: [], latest: null };
+            row.donations.push(donation);
+            row.latest = donation;
+            byEmail.set(email, row);
+        });
+
+    return [...byEmail.values()].map(({ email, donations, latest }) => {
+        const profile = profiles.get(email) || {};
+        const paid = donations.filter(donation => donation.status === 'completed');
+        const lastPaid = paid[paid.length - 1];
+
+        return {
+            email,
+            firstName: profile.firstName || latest.donor.firstName,
+            lastName: profile.lastName || latest.donor.lastName,
+            organisation: profile.organisation || null,
+            phone: profile.phone || latest.donor.phone,
+            address: profile.address || null,
+            firstDonationAt: paid.length ? paid[0].completedAt : null,
+            lastDonationAt: lastPaid ? lastPaid.completedAt : null,
+            lastAmount: lastPaid ? `${lastPaid.amount} ${lastPaid.currency}` : null,
+            donationCount: paid.length,
+            zmwTotal: roundAmount(paid.reduce((sum, donation) => sum + (donation.zmwAmount || 0), 0)),
+            recurring: recurring.filter(subscription => subscription.donor.email === email).length,
+            anonymous: donations.some(donation => donation.anonymous)
+        };
+    }).sort((a, b) => b.zmwTotal - a.zmwTotal || a.email.localeCompare(b.email));
+}
+
+const DONOR_COLUMNS = [
+    { header: 'Email', value: row => row.email },
+    { header: 'First name', value: row => row.firstName },
+    { header: 'Last name', value: row => row.lastName },
+    { header: 'Organisation', value: row => row.organisation },
+    { header: 'Phone', value: row => row.phone },
+    { header: 'Postal address', value: row => row.address },
+    { header: 'First donation', value: row => row.firstDonationAt },
+    { header: 'Latest donation', value: row => row.lastDonationAt },
+    { header: 'Latest amount', value: row => row.lastAmount },
+    { header: 'Donations', value: row => row.donationCount },
+    { header: 'Total (ZMW)', value: row => row.zmwTotal },
+    { header: 'Active recurring donations', value: row => row.recurring },
+    { header: 'Has given anonymously', value: row => (row.anonymous ? 'Yes' : 'No') }
+];
+
+/**
+ * Money received each month of a year, in kwacha at each donation's own rate, by the month it was paid
+ * (Lusaka time). Refunds are taken off in the month they were made, so a month's figures do not change
+ * after it has been reported.
+ */
+function monthlySummary(store, year) {
+    const months = Array.from({ length: 12 }, (_, index) => ({
+        month: `${year}-${String(index + 1).padStart(2, '0')}`,
+        donationCount: 0,
+        grossZmw: 0,
+        feeZmw: 0,
+        netZmw: 0,
+        refundCount: 0,
+        refundedZmw: 0,
+        byGateway: Object.fromEntries(Object.keys(GATEWAYS).map(gateway => [gateway, 0]))
+    }));
+    const monthOf = value => months.find(entry => entry.month === lusakaMonth(value));
+
+    store.collection('donations')
+        .find(donation => ['completed', 'refunded'].includes(donation.status) && donation.completedAt)
+        .forEach(donation => {
+            const paidIn = monthOf(donation.completedAt);
+            if (paidIn) {
+                paidIn.donationCount += 1;
+                paidIn.grossZmw += inZmw(donation, donation.amount);
+                paidIn.feeZmw += inZmw(donation, donation.feeAmount || 0);
+                paidIn.byGateway[donation.gateway] += inZmw(donation, donation.amount);
+            }
+
+            const refund = donation.status === 'refunded' && [...donation.history].reverse().find(entry => entry.status === 'refunded');
+            const refundedIn = refund ? monthOf(refund.at) : null;
+            if (refundedIn) {
+                refundedIn.refundCount += 1;
+                refundedIn.refundedZmw += inZmw(donation, donation.amount);
+            }
+        });
+
+    const rounded = months.map(entry => ({
+        ...entry,
+        grossZmw: roundAmount(entry.grossZmw),
+        feeZmw: roundAmount(entry.feeZmw),
+        refundedZmw: roundAmount(entry.refundedZmw),
+        netZmw: roundAmount(entry.grossZmw - entry.feeZmw - entry.refundedZmw),
+        byGateway: Object.fromEntries(Object.entries(entry.byGateway).map(([gateway, total]) => [gateway, roundAmount(total)]))
+    }));
+    const sum = field => roundAmount(rounded.reduce((total, entry) => total + entry[field], 0));
+
+    return {
+        year,
+        currency: 'ZMW',
+        months: rounded,
+        totals: {
+            donationCount: sum('donationCount'),
+            grossZmw: sum('grossZmw'),
+            feeZmw: sum('feeZmw'),
+            refundCount: sum('refundCount'),
+            refundedZmw: sum('refundedZmw'),
+            netZmw: sum('netZmw'),
+            byGateway: Object.fromEntries(Object.keys(GATEWAYS).map(gateway =>
+                [gateway, roundAmount(rounded.reduce((total, entry) => total + entry.byGateway[gateway], 0))]))
+        }
+    };
+}
+
+function monthlyColumns() {
+    return [
+        { header: 'Month', value: entry => entry.month },
+        { header: 'Donations', value: entry => entry.donationCount },
+        { header: 'Received (ZMW)', value: entry => entry.grossZmw },
+        { header: 'Gateway fees (ZMW)', value: entry => entry.feeZmw },
+        { header: 'Refunds', value: entry => entry.refundCount },
+        { header: 'Refunded (ZMW)', value: entry => entry.refundedZmw },
+        { header: 'Net (ZMW)', value: entry => entry.netZmw },
+        ...Object.entries(GATEWAYS).map(([gateway, name]) => ({ header: `${name} (ZMW)`, value: entry => entry.byGateway[gateway] }))
+    ];
+}
+
+// The first of the names that the file has, so a "Status" column wins over a "Type" column
+function findColumn(headers, names) {
+    const name = names.find(candidate => headers.includes(candidate));
+    return name ? headers.indexOf(name) : -1;
+}
+
+function parseAmount(value) {
+    if (!value) return null;
+    const amount = Number(value.replace(/[^0-9.-]/g, ''));
+    return Number.isFinite(amount) ? Math.abs(amount) : null;
+}
+
+function settlementOutcome(status, amount) {
+    const text = (status || '').toLowerCase();
+    if (/refund|revers|chargeback|dispute/.test(text) || (amount && amount.startsWith('-'))) return 'refunded';
+    if (/fail|declin|cancel|expire|reject/.test(text)) return 'failed';
+    return 'completed';
+}
+
+/**
+ * Reads a settlement file: a CSV with a header row naming at least a reference and an amount column.
+ * Gives { reference, amount, fee, currency, outcome, date, line } for each transaction.
+ */
+function parseSettlement(text) {
+    const [headerRow, ...rows] = parseCsv(text);
+    const headers = (headerRow || []).map(header => header.trim().toLowerCase());
+    const columns = Object.fromEntries(Object.entries(SETTLEMENT_COLUMNS).map(([field, names]) => [field, findColumn(headers, names)]));
+
+    if (columns.reference === -1 || columns.amount === -1) {
+        throw new ApiError(422, 'The settlement file needs a header row with a transaction reference and an amount column.');
+    }
+    if (rows.length === 0) {
+        throw new ApiError(422, 'The settlement file has no transactions.');
+    }
+
+    const cell = (row, field) => (columns[field] === -1 ? '' : (row[columns[field]] || '').trim());
+    return rows.map((row, index) => {
+        const date = new Date(cell(row, 'date'));
+        return {
+            line: index + 2,
+            reference: cell(row, 'reference'),
+            amount: parseAmount(cell(row, 'amount')),
+            fee: parseAmount(cell(row, 'fee')),
+            currency: cell(row, 'currency').toUpperCase() || null,
+            outcome: settlementOutcome(cell(row, 'status'), cell(row, 'amount')),
+            date: Number.isNaN(date.getTime()) ? null : date.toISOString()
+        };
+    });
+}
+
+// A settlement line may quote our donation id, receipt number, the gateway's reference or a mobile money payment
+function ledgerIndex(store, gateway) {
+    const index = new Map();
+    const donations = store.collection('donations').find(donation => donation.gateway === gateway);
+    donations.forEach(donation => {
+        [donation.id, donation.receiptNumber, donation.gatewayReference].filter(Boolean)
+            .forEach(reference => index.set(reference.toLowerCase(), donation));
+    });
+
+    if (gateway === 'mobile-money') {
+        const byId = new Map(donations.map(donation => [donation.id, donation]));
+        store.collection('mobileMoneyPayments').find(() => true).forEach(payment => {
+            const donation = byId.get(payment.donationId);
+            [payment.id, payment.transactionId].filter(Boolean)
+                .forEach(reference => donation && index.set(String(reference).toLowerCase(), donation));
+        });
+    }
+    return { index, donations };
+}
+
+function compare(donation, line) {
+    if (line.outcome === 'refunded' || donation.status === 'refunded') return 'refunded';
+    if (line.outcome === 'failed' ? donation.status === 'completed' : donation.status !== 'completed') return 'status_mismatch';
+    if (line.outcome === 'failed') return 'matched';
+
+    const sameCurrency = !line.currency || line.currency === donation.currency;
+    return sameCurrency && line.amount !== null && Math.abs(line.amount - donation.amount) < 0.005 ? 'matched' : 'amount_mismatch';
+}
+
+/**
+ * Checks a gateway's settlement lines against the ledger and keeps the result. Completed entries for the
+ * gateway that fall within the file's dates but are missing from it are flagged too. Each entry looked at
+ * records its latest result, which the ledger export shows.
+ */
+function reconcile(store, gateway, lines, { filename, by }) {
+    const { index, donations } = ledgerIndex(store, gateway);
+    const now = new Date().toISOString();
+    const seen = new Set();
+
+    const items = lines.map(line => {
+        const donation = line.reference ? index.get(line.reference.toLowerCase()) : null;
+        if (donation) seen.add(donation.id);
+
+        return {
+            line: line.line,
+            reference: line.reference,
+            settlementAmount: line.amount,
+            settlementCurrency: line.currency,
+            settlementOutcome: line.outcome,
+            settlementFee: line.fee,
+            donationId: donation ? donation.id : null,
+            receiptNumber: donation ? donation.receiptNumber : null,
+            ledgerAmount: donation ? donation.amount : null,
+            ledgerCurrency: donation ? donation.currency : null,
+            ledgerStatus: donation ? donation.status : null,
+            flag: donation ? compare(donation, line) : 'not_in_ledger'
+        };
+    });
+
+    // Only the days the file covers, so a weekly file does not flag the rest of the year
+    const dates = lines.map(line => line.date).filter(Boolean).sort();
+    const period = dates.length ? { from: dates[0], to: dates[dates.length - 1] } : null;
+    if (period) {
+        const from = lusakaDate(period.from);
+        const to = lusakaDate(period.to);
+        donations
+            .filter(donation => donation.status === 'completed' && !seen.has(donation.id) &&
+                lusakaDate(donation.completedAt) >= from && lusakaDate(donation.completedAt) <= to)
+            .forEach(donation => items.push({
+                line: null,
+                reference: donation.gatewayReference,
+                settlementAmount: null,
+                settlementCurrency: null,
+                settlementOutcome: null,
+                settlementFee: null,
+                donationId: donation.id,
+                receiptNumber: donation.receiptNumber,
+                ledgerAmount: donation.amount,
+                ledgerCurrency: donation.currency,
+                ledgerStatus: donation.status,
+                flag: 'not_in_settlement'
+            }));
+    }
+
+    const counts = Object.fromEntries(Object.keys(FLAGS).map(flag => [flag, items.filter(item => item.flag === flag).length]));
+    const run = store.collection(IMPORTS).insert({
+        gateway,
+        filename: filename || null,
+        period,
+        lineCount: lines.length,
+        counts,
+        items,
+        importedBy: by,
+        importedAt: now
+    });
+
+    const ledger = store.collection('donations');
+    items.filter(item => item.donationId).forEach(item => {
+        ledger.update(item.donationId, { reconciliation: { importId: run.id, status: item.flag, at: now } });
+    });
+
+    return run;
+}
+
+// The list leaves out each run's lines
+function describeImport(run, { withItems = false } = {}) {
+    const { items, ...summary } = run;
+    return {
+        ...summary,
+        gatewayName: GATEWAYS[run.gateway] || run.gateway,
+        flagged: run.lineCount + (run.counts.not_in_settlement || 0) - run.counts.matched,
+        ...(withItems ? { items: items.map(item => ({ ...item, flagLabel: FLAGS[item.flag] })) } : {})
+    };
+}
+
+const RECONCILIATION_COLUMNS = [
+    { header: 'Settlement line', value: item => item.line },
+    { header: 'Reference', value: item => item.reference },
+    { header: 'Result', value: item => FLAGS[item.flag] },
+    { header: 'Receipt number', value: item => item.receiptNumber },
+    { header: 'Ledger status', value: item => item.ledgerStatus },
+    { header: 'Ledger amount', value: item => item.ledgerAmount },
+    { header: 'Ledger currency', value: item => item.ledgerCurrency },
+    { header: 'Settlement status', value: item => item.settlementOutcome },
+    { header: 'Settlement amount', value: item => item.settlementAmount },
+    { header: 'Settlement currency', value: item => item.settlementCurrency },
+    { header: 'Settlement fee', value: item => item.settlementFee }
+];
+
+module.exports = {
+    IMPORTS,
+    FLAGS,
+    ledgerColumns,
+    donorRows,
+    DONOR_COLUMNS,
+    monthlySummary,
+    monthlyColumns,
+    parseSettlement,
+    reconcile,
+    describeImport,
+    RECONCILIATION_COLUMNS
+};
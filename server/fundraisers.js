@@ -0,0 +1,210 @@
+/**
+ * AFZ API Server - Member Fundraising Pages
+ * Personal pages members set up for a walk or a birthday, each raising money towards a campaign
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { ApiError } = require('./errors');
+const { hasPermission } = require('./permissions');
+const { slugify, findCampaign, isOpen: isCampaignOpen, ledgerProgress } = require('./campaigns');
+
+const COLLECTION = 'fundraisers';
+const STATUSES = ['active', 'closed'];
+const PHOTO_MAX_BYTES = 2 * 1024 * 1024;
+
+// Photos are checked by their first bytes rather than the type the browser claimed
+const PHOTO_TYPES = {
+    'image/jpeg': { extension: 'jpg', matches: bytes => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+    'image/png': { extension: 'png', matches: bytes => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    'image/webp': {
+        extension: 'webp',
+        matches: bytes => bytes.subarray(0, 4).toString('latin1') === 'RIFF' && bytes.subarray(8, 12).toString('latin1') === 'WEBP'
+    }
+};
+
+function findFundraiser(store, idOrSlug) {
+    const fundraisers = store.collection(COLLECTION);
+    return fundraisers.get(idOrSlug) || fundraisers.findOne(fundraiser => fundraiser.slug === idOrSlug);
+}
+
+// A page takes donations while both it and its campaign are open
+function isOpen(fundraiser, campaign) {
+    return fundraiser.status === 'active' && Boolean(campaign) && isCampaignOpen(campaign);
+}
+
+// The page a new payment should be attributed to, with its campaign, or null once either has closed
+function openFundraiser(store, idOrSlug) {
+    const fundraiser = idOrSlug ? findFundraiser(store, idOrSlug) : null;
+    const campaign = fundraiser ? findCampaign(store, fundraiser.campaignId) : null;
+    return fundraiser && isOpen(fundraiser, campaign) ? { fundraiser, campaign } : null;
+}
+
+// The page runs to its campaign's deadline
+function fundraiserProgress(store, fundraiser, campaign) {
+    return ledgerProgress(store, donation => donation.fundraiserId === fundraiser.id, {
+        targetAmount: fundraiser.targetAmount,
+        currency: fundraiser.currency,
+        endsAt: campaign ? campaign.endsAt : null
+    });
+}
+
+// Ranks pages on the leaderboard across currencies, at the rate of the day each gift was made
+function zmwRaised(store, fundraiser) {
+    const total = store.collection('donations')
+        .find(donation => donation.fundraiserId === fundraiser.id && donation.status === 'completed')
+        .reduce((sum, donation) => sum + (donation.zmwAmount || 0), 0);
+    return Math.round(total * 100) / 100;
+}
+
+function pageUrl(fundraiser) {
+    return `${config.appUrl}/pages/fundraiser.html?f=${encodeURIComponent(fundraiser.slug)}`;
+}
+
+// The version in the query string makes browsers fetch a replaced photo instead of their cached copy
+function photoUrl(fundraiser) {
+    if (!fundraiser.photo) return null;
+    return `${config.appUrl}/api/fundraisers/${encodeURIComponent(fundraiser.slug)}/photo` +
+        `?v=${new Date(fundraiser.photo.updatedAt).getTime()}`;
+}
+
+// The member who started the page, or staff who look after campaigns
+function canManage(fundraiser, user) {
+    return Boolean(user) && (fundraiser.ownerId === user.id || hasPermission(user, 'campaigns.manage'));
+}
+
+// Pages are public, so they show the name the member chose rather than their account details
+function describeFundraiser(store, fundraiser, user) {
+    const campaign = findCampaign(store, fundraiser.campaignId);
+
+    return {
+        id: fundraiser.id,
+        slug: fundraiser.slug,
+        title: fundraiser.title,
+        story: fundraiser.story,
+        displayName: fundraiser.displayName,
+        photoUrl: photoUrl(fundraiser),
+        targetAmount: fundraiser.targetAmount,
+        currency: fundraiser.currency,
+        status: fundraiser.status,
+        open: isOpen(fundraiser, campaign),
+        campaign: campaign
+            ? { id: campaign.id, slug: campaign.slug, title: campaign.title, open: isCampaignOpen(campaign) }
+            : null,
+        progress: fundraiserProgress(store, fundraiser, campaign),
+        pageUrl: pageUrl(fundraiser),
+        donateUrl: `${config.appUrl}/pages/donate.html?fundraiser=${encodeURIComponent(fundraiser.slug)}`,
+        createdAt: fundraiser.createdAt,
+        updatedAt: fundraiser.updatedAt,
+        canManage: canManage(fundraiser, user),
+        ...(canManage(fundraiser, user) ? { ownerId: fundraiser.ownerId } : {})
+    };
+}
+
+// Members do not pick addresses, so a title someone else has used gets a number on the end
+function uniqueSlug(store, title) {
+    const base = slugify(title) || 'fundraiser';
+    const fundraisers = store.collection(COLLECTION);
+    let slug = base;
+    for (let n = 2; fundraisers.findOne(fundraiser => fundraiser.slug === slug); n++) {
+        slug = `${base}-${n}`;
+    }
+    return slug;
+}
+
+function defaultDisplayName(user) {
+    return [user.firstName, user.lastName ? `${user.lastName[0]}.` : ''].filter(Boolean).join(' ');
+}
+
+// data: { title, story, targetAmount, displayName }; the page raises money in its campaign's currency
+function createFundraiser(store, campaign, data, { owner }) {
+    if (!isCampaignOpen(campaign)) {
+        throw new ApiError(422, `${campaign.title} is not taking donations, so pages cannot be started for it.`);
+    }
+
+    const now = new Date().toISOString();
+    return store.collection(COLLECTION).insert({
+        slug: uniqueSlug(store, data.title),
+        campaignId: campaign.id,
+        ownerId: owner.id,
+        displayName: data.displayName || defaultDisplayName(owner),
+        title: data.title,
+        story: data.story || '',
+        photo: null,
+        targetAmount: data.targetAmount,
+        currency: campaign.currency,
+        status: 'active',
+        createdAt: now,
+        updatedAt: now
+    });
+}
+
+// The address stays the same so links that have been shared keep working
+function updateFundraiser(store, fundraiser, changes, { by }) {
+    const update = {};
+    ['title', 'story', 'displayName', 'targetAmount', 'status'].forEach(field => {
+        if (changes[field] !== undefined) update[field] = changes[field];
+    });
+
+    if (update.status === 'active' && fundraiser.status !== 'active') {
+        const campaign = findCampaign(store, fundraiser.campaignId);
+        if (!campaign || !isCampaignOpen(campaign)) {
+            throw new ApiError(409, 'This page cannot be reopened because its campaign has closed.');
+        }
+    }
+
+    return store.collection(COLLECTION).update(fundraiser.id, { ...update, updatedBy: by, updatedAt: new Date().toISOString() });
+}
+
+// Photos are kept beside the store's collections
+function photoDir(store) {
+    return path.join(store.dataDir, 'fundraiser-photos');
+}
+
+function photoFile(store, fundraiser) {
+    return path.join(photoDir(store), `${fundraiser.id}.${PHOTO_TYPES[fundraiser.photo.type].extension}`);
+}
+
+// Replaces the page's photo with an uploaded JPEG, PNG or WebP image
+function savePhoto(store, fundraiser, bytes, { by }) {
+    const type = Object.keys(PHOTO_TYPES).find(name => PHOTO_TYPES[name].matches(bytes));
+    if (!type) {
+        throw new ApiError(422, 'Please upload a JPEG, PNG or WebP photo.');
+    }
+
+    fs.mkdirSync(photoDir(store), { recursive: true });
+    if (fundraiser.photo) {
+        fs.rmSync(photoFile(store, fundraiser), { force: true });
+    }
+
+    const now = new Date().toISOString();
+    const photo = { type, size: bytes.length, updatedAt: now };
+    fs.writeFileSync(photoFile(store, { ...fundraiser, photo }), bytes);
+    return store.collection(COLLECTION).update(fundraiser.id, { photo, updatedBy: by, updatedAt: now });
+}
+
+// Pages ranked by what they have raised, optionally for one campaign
+function leaderboard(store, { campaignId, limit = 10, user } = {}) {
+    return store.collection(COLLECTION)
+        .find(fundraiser => !campaignId || fundraiser.campaignId === campaignId)
+        .map(fundraiser => ({ fundraiser, raised: zmwRaised(store, fundraiser) }))
+        .sort((a, b) => b.raised - a.raised || new Date(a.fundraiser.createdAt) - new Date(b.fundraiser.createdAt))
+        .slice(0, limit)
+        .map((entry, index) => ({ rank: index + 1, zmwRaised: entry.raised, ...describeFundraiser(store, entry.fundraiser, user) }));
+}
+
+module.exports = {
+    STATUSES,
+    PHOTO_TYPES,
+    PHOTO_MAX_BYTES,
+    findFundraiser,
+    openFundraiser,
+    canManage,
+    describeFundraiser,
+    createFundraiser,
+    updateFundraiser,
+    photoFile,
+    savePhoto,
+    leaderboard
+};
@@ -0,0 +1,396 @@
+/**
+ * AFZ API Server - Card and PayPal Gateways
+ * Hosted checkouts for PayPal, Stripe and Flutterwave, and the verified webhooks that settle them in the ledger
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('./config');
+const { ApiError } = require('./errors');
+const { GATEWAYS, TRANSITIONS, updateDonationStatus, completeDonation, receiptToken } = require('./donations');
+
+const EVENTS = 'gatewayEvents';
+const HTTP_TIMEOUT_MS = 15000;
+// Stripe signs the time it sent an event; older events are refused so a captured one cannot be replayed
+const STRIPE_TOLERANCE_SECONDS = 5 * 60;
+// Currencies Stripe counts in whole units rather than cents
+const ZERO_DECIMAL_CURRENCIES = ['UGX'];
+
+function returnUrl(donation, extra = '') {
+    return `${config.appUrl}/pages/donate.html?donation=${encodeURIComponent(donation.id)}` +
+        `&token=${receiptToken(donation)}${extra}`;
+}
+
+function toMinorUnits(amount, currency) {
+    return ZERO_DECIMAL_CURRENCIES.includes(currency) ? Math.round(amount) : Math.round(amount * 100);
+}
+
+function fromMinorUnits(amount, currency) {
+    return ZERO_DECIMAL_CURRENCIES.includes(currency) ? amount : amount / 100;
+}
+
+async function flutterwaveGet(path) {
+    const { data } = await axios.get(`https://api.flutterwave.com/v3${path}`, {
+        headers: { Authorization: `Bearer ${config.paymentGateways.flutterwave.secretKey}` },
+        timeout: HTTP_TIMEOUT_MS
+    });
+    return data.data;
+}
+
+function safeEqual(a, b) {
+    return typeof a === 'string' && typeof b === 'string' && a.length === b.length &&
+        crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+/**
+ * Each adapter starts a hosted checkout for a pending donation and turns a webhook into
+ * { transactionId, donationId, gatewayReference, outcome: 'completed' | 'failed' | 'refunded' | null, amount, currency, note },
+ * or throws when the request cannot be shown to come from the gateway.
+ */
+const ADAPTERS = {
+    // PayPal Donate with Instant Payment Notification: PayPal confirms each notification it sent when it is posted back
+    paypal: {
+        isConfigured: () => Boolean(config.paymentGateways.paypal.business),
+
+        async checkoutUrl(donation) {
+            const settings = config.paymentGateways.paypal;
+            const params = new URLSearchParams({
+                cmd: '_donations',
+                business: settings.business,
+                item_name: 'Donation to the Albinism Foundation of Zambia',
+                amount: donation.amount.toFixed(2),
+                currency_code: donation.currency,
+                custom: donation.id,
+                invoice: donation.receiptNumber,
+                no_shipping: '1',
+                return: returnUrl(donation),
+                cancel_return: returnUrl(donation, '&cancelled=1'),
+                notify_url: `${config.appUrl}/api/webhooks/paypal`
+            });
+            return `${settings.webscrUrl}?${params}`;
+        },
+
+        async parseWebhook(req) {
+            const settings = config.paymentGateways.paypal;
+            const raw = req.body.toString('utf8');
+            const { data: answer } = await axios.post(settings.ipnVerifyUrl, `cmd=_notify-validate&${raw}`, {
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                timeout: HTTP_TIMEOUT_MS
+            });
+            if (answer !== 'VERIFIED') {
+                throw new ApiError(400, 'Notification not verified.');
+            }
+
+            const ipn = Object.fromEntries(new URLSearchParams(raw));
+            if ((ipn.receiver_email || ipn.business || '').toLowerCase() !== settings.business.toLowerCase()) {
+                throw new ApiError(400, 'Notification for another account.');
+            }
+
+            const outcome = {
+                Completed: 'completed',
+                Denied: 'failed',
+                Failed: 'failed',
+                Expired: 'failed',
+                Voided: 'failed',
+                Refunded: 'refunded',
+                Reversed: 'refunded'
+            }[ipn.payment_status] || null;
+
+            return {
+                transactionId: ipn.txn_id,
+                donationId: ipn.custom || null,
+                // Refund notifications name the original payment, which is what the ledger holds
+                gatewayReference: ipn.parent_txn_id || ipn.txn_id,
+                outcome,
+                amount: Math.abs(Number(ipn.mc_gross)),
+                currency: ipn.mc_currency,
+                note: `PayPal ${ipn.payment_status}${ipn.reason_code ? ` (${ipn.reason_code})` : ''}`
+            };
+        }
+    },
+
+    // Stripe Checkout; events are signed with the endpoint's secret
+    stripe: {
+        isConfigured: () => Boolean(config.paymentGateways.stripe.secretKey && config.paymentGateways.stripe.webhookSecret),
+
+        async checkoutUrl(donation) {
+            const form = new URLSearchParams({
+                'mode': 'payment',
+                'client_reference_id': donation.id,
+                'customer_email': donation.donor.email,
+                'success_url': returnUrl(donation),
+                'cancel_url': returnUrl(donation, '&cancelled=1'),
+                'line_items[0][quantity]': '1',
+                'line_items[0][price_data][currency]': donation.currency.toLowerCase(),
+                'line_items[0][price_data][unit_amount]': String(toMinorUnits(donation.amount, donation.currency)),
+                'line_items[0][price_data][product_data][name]': `Donation ${donation.receiptNumber}`,
+                'metadata[donationId]': donation.id,
+                // Copied to the charge, so refunds can be matched as well
+                'payment_intent_data[metadata][donationId]': donation.id
+            });
+            const { data } = await axios.post('https://api.stripe.com/v1/checkout/sessions', form, {
+                headers: { Authorization: `Bearer ${config.paymentGateways.stripe.secretKey}` },
+                timeout: HTTP_TIMEOUT_MS
+            });
+            return data.url;
+        },
+
+        async parseWebhook(req) {
+            const header = req.get('Stripe-Signature') || '';
+            const parts = header.split(',').map(part => part.split('='));
+            const timestamp = Number((parts.find(([key]) => key === 't') || [])[1]);
+            const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+            const expected = crypto.createHmac('sha256', config.paymentGateways.stripe.webhookSecret)
+                .update(`${timestamp}.${req.body.toString('utf8')}`)
+                .digest('hex');
+            if (!signatures.some(signature => safeEqual(signature, expected))) {
+                throw new ApiError(400, 'Invalid signature.');
+            }
+            if (Math.abs(Date.now() / 1000 - timestamp) > STRIPE_TOLERANCE_SECONDS) {
+                throw new ApiError(400, 'Event too old.');
+            }
+
+            const event = JSON.parse(req.body.toString('utf8'));
+            const object = event.data.object;
+            const currency = (object.currency || '').toUpperCase();
+
+            switch (event.type) {
+            case 'checkout.session.completed':
+            case 'checkout.session.async_payment_succeeded':
+                return {
+                    transactionId: object.payment_intent || object.id,
+                    donationId: object.client_reference_id,
+                    gatewayReference: object.payment_intent || object.id,
+                    // Bank debits complete later with async_payment_succeeded
+                    outcome: object.payment_status === 'paid' ? 'completed' : null,
+                    amount: fromMinorUnits(object.amount_total, currency),
+                    currency,
+                    note: `Stripe ${event.type}`
+                };
+            case 'checkout.session.async_payment_failed':
+            case 'checkout.session.expired':
+                return {
+                    transactionId: object.payment_intent || object.id,
+                    donationId: object.client_reference_id,
+                    gatewayReference: object.payment_intent || object.id,
+                    outcome: 'failed',
+                    amount: fromMinorUnits(object.amount_total, currency),
+                    currency,
+                    note: `Stripe ${event.type}`
+                };
+            case 'charge.refunded':
+                return {
+                    transactionId: object.id,
+                    donationId: (object.metadata || {}).donationId || null,
+                    gatewayReference: object.payment_intent,
+                    // The ledger has no partial refunds; those are left to the finance team
+                    outcome: object.refunded ? 'refunded' : null,
+                    amount: fromMinorUnits(object.amount_refunded, currency),
+                    currency,
+                    note: 'Stripe charge.refunded'
+                };
+            default:
+                return { transactionId: event.id, donationId: null, outcome: null, note: `Stripe ${event.type}` };
+            }
+        }
+    },
+
+    // Flutterwave Standard; the webhook carries a shared secret hash, and the transaction or refund is
+    // then fetched from the API so nothing in the webhook body is taken on trust
+    flutterwave: {
+        isConfigured: () => Boolean(config.paymentGateways.flutterwave.secretKey && config.paymentGateways.flutterwave.webhookHash),
+
+        async checkoutUrl(donation) {
+            const { data } = await axios.post('https://api.flutterwave.com/v3/payments', {
+                tx_ref: donation.id,
+                amount: donation.amount,
+                currency: donation.currency,
+                redirect_url: returnUrl(donation),
+                customer: {
+                    email: donation.donor.email,
+                    name: [donation.donor.firstName, donation.donor.lastName].filter(Boolean).join(' '),
+                    phonenumber: donation.donor.phone || undefined
+                },
+                customizations: {
+                    title: 'Albinism Foundation of Zambia',
+                    description: `Donation ${donation.receiptNumber}`
+                }
+            }, {
+                headers: { Authorization: `Bearer ${config.paymentGateways.flutterwave.secretKey}` },
+                timeout: HTTP_TIMEOUT_MS
+            });
+            return data.data.link;
+        },
+
+        async parseWebhook(req) {
+            if (!safeEqual(req.get('verif-hash'), config.paymentGateways.flutterwave.webhookHash)) {
+                throw new ApiError(400, 'Invalid signature.');
+            }
+
+            const event = JSON.parse(req.body.toString('utf8'));
+            const id = event.data && event.data.id;
+            if (!id || !['charge.completed', 'refund.completed'].includes(event.event)) {
+                return { transactionId: String(id || ''), donationId: null, outcome: null, note: `Flutterwave ${event.event}` };
+            }
+
+            if (event.event === 'refund.completed') {
+                const refund = await flutterwaveGet(`/refunds/${encodeURIComponent(id)}`);
+                const transaction = await flutterwaveGet(`/transactions/${encodeURIComponent(refund.tx_id)}/verify`);
+                return {
+                    transactionId: `refund-${refund.id}`,
+                    donationId: transaction.tx_ref,
+                    gatewayReference: transaction.flw_ref || String(transaction.id),
+                    // The ledger has no partial refunds; those are left to the finance team
+                    outcome: refund.status === 'completed' && Number(refund.amount_refunded) >= Number(transaction.amount) - 0.005
+                        ? 'refunded'
+                        : null,
+                    amount: Number(refund.amount_refunded),
+                    currency: transaction.currency,
+                    note: `Flutterwave refund ${refund.status}`
+                };
+            }
+
+            const transaction = await flutterwaveGet(`/transactions/${encodeURIComponent(id)}/verify`);
+            return {
+                transactionId: String(transaction.id),
+                donationId: transaction.tx_ref,
+                gatewayReference: transaction.flw_ref || String(transaction.id),
+                outcome: { successful: 'completed', failed: 'failed' }[transaction.status] || null,
+                amount: Number(transaction.amount),
+                currency: transaction.currency,
+                note: `Flutterwave ${transaction.status}`
+            };
+        }
+    }
+};
+
+function isConfigured(gateway) {
+    return Boolean(ADAPTERS[gateway] && ADAPTERS[gateway].isConfigured());
+}
+
+// Where the donate page sends the donor to pay a pending donation
+async function startCheckout(donation) {
+    const adapter = ADAPTERS[donation.gateway];
+    if (!adapter) {
+        throw new ApiError(409, 'This donation is not paid through a hosted checkout.');
+    }
+    if (!adapter.isConfigured()) {
+        throw new ApiError(503, `${GATEWAYS[donation.gateway]} payments are not available right now.`);
+    }
+    if (donation.status !== 'pending') {
+        throw new ApiError(409, 'This donation has already been paid or closed.');
+    }
+
+    try {
+        return await adapter.checkoutUrl(donation);
+    } catch (error) {
+        console.error(`${GATEWAYS[donation.gateway]} checkout failed for ${donation.receiptNumber}:`, error.message);
+        throw new ApiError(502, `${GATEWAYS[donation.gateway]} could not be reached. Please try again or choose another payment method.`);
+    }
+}
+
+function findDonation(store, gateway, { donationId, gatewayReference }) {
+    const donations = store.collection('donations');
+    const donation = (donationId && donations.get(donationId)) ||
+        (gatewayReference && donations.findOne(item => item.gateway === gateway && item.gatewayReference === gatewayReference));
+    return donation && donation.gateway === gateway ? donation : null;
+}
+
+// Why a verified event did not change the ledger, or null when it should
+function reasonToIgnore(donation, event) {
+    if (!event.outcome) return 'No change to record';
+    if (!donation) return 'No matching donation';
+    if (!TRANSITIONS[donation.status].includes(event.outcome)) return `Donation is ${donation.status}`;
+    if (event.outcome === 'completed' &&
+        (event.currency !== donation.currency || Math.abs(event.amount - donation.amount) > 0.005)) {
+        return `Paid ${event.amount} ${event.currency} instead of ${donation.amount} ${donation.currency}`;
+    }
+    return null;
+}
+
+async function applyOutcome(store, mailer, donation, outcome, options) {
+    if (outcome === 'completed') {
+        await completeDonation(store, mailer, donation.id, options);
+    } else {
+        updateDonationStatus(store, donation.id, outcome, options);
+    }
+}
+
+/**
+ * Applies notifications that were ignored because they arrived too early, e.g. a refund that came
+ * before the payment it refunds, now that the donation has moved on. Oldest first, each only once.
+ */
+async function applyWaitingEvents(store, mailer, gateway, donationId) {
+    const events = store.collection(EVENTS);
+    const donations = store.collection('donations');
+
+    const belongsTo = (item, donation) => item.donationId === donation.id ||
+        (Boolean(item.gatewayReference) && item.gatewayReference === donation.gatewayReference);
+    const waiting = events
+        .find(item => !item.applied && item.outcome && item.gateway === gateway && belongsTo(item, donations.get(donationId)))
+        .sort((a, b) => new Date(a.receivedAt) - new Date(b.receivedAt));
+
+    for (const item of waiting) {
+        const donation = donations.get(donationId);
+        if (reasonToIgnore(donation, item)) continue;
+
+        events.update(item.id, { applied: true, reason: null, donationId, appliedAt: new Date().toISOString() });
+        await applyOutcome(store, mailer, donation, item.outcome, {
+            note: `${item.note} (received ${item.receivedAt}, before the payment)`,
+            gatewayReference: item.gatewayReference || undefined
+        });
+    }
+}
+
+/**
+ * Verifies a webhook and applies it to the ledger once. Gateways retry deliveries and send the same
+ * outcome more than once, so a transaction's outcome is only acted on the first time it is applied.
+ * Ignored notifications are recorded too, and ones that came too early are applied once a later
+ * notification has moved the donation on (see applyWaitingEvents).
+ */
+async function handleWebhook(store, mailer, gateway, req) {
+    const event = await ADAPTERS[gateway].parseWebhook(req);
+    const events = store.collection(EVENTS);
+
+    const duplicate = events.findOne(item => item.applied && item.gateway === gateway &&
+        item.transactionId === event.transactionId && item.outcome === event.outcome);
+    if (duplicate) {
+        return { ...duplicate, duplicate: true };
+    }
+
+    const donation = findDonation(store, gateway, event);
+    const ignored = reasonToIgnore(donation, event);
+    // Written before the ledger changes, so a delivery arriving meanwhile is seen as a duplicate
+    const record = events.insert({
+        gateway,
+        transactionId: event.transactionId,
+        outcome: event.outcome,
+        donationId: donation ? donation.id : null,
+        gatewayReference: event.gatewayReference || null,
+        amount: event.amount === undefined ? null : event.amount,
+        currency: event.currency || null,
+        note: event.note,
+        applied: !ignored,
+        reason: ignored,
+        receivedAt: new Date().toISOString()
+    });
+
+    if (ignored) {
+        if (donation && event.outcome) {
+            console.warn(`${GATEWAYS[gateway]} event ${event.transactionId} for ${donation.receiptNumber} ignored: ${ignored}`);
+        }
+        return record;
+    }
+
+    await applyOutcome(store, mailer, donation, event.outcome, { note: event.note, gatewayReference: event.gatewayReference });
+    await applyWaitingEvents(store, mailer, gateway, donation.id);
+    return record;
+}
+
+module.exports = {
+    ADAPTERS,
+    isConfigured,
+    startCheckout,
+    handleWebhook
+};
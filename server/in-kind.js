@@ -0,0 +1,399 @@
+/**
+ * AFZ API Server - In-kind Pledges
+ * Sunscreen, hats and low-vision aids pledged by supporters: the catalogue, each pledge from pledged to received
+ * to distributed, the programme stock the goods go into, and the acknowledgment receipt with their estimated value
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const handlebars = require('handlebars');
+const config = require('./config');
+const { ApiError } = require('./errors');
+
+const COLLECTION = 'inKindPledges';
+const INVENTORY = 'programmeInventory';
+const ACKNOWLEDGMENT_TEMPLATE = path.join(__dirname, 'templates', 'receipts', 'in-kind-acknowledgment.html.hbs');
+
+const PROGRAMMES = {
+    'sunscreen': 'Sunscreen Distribution Programme',
+    'low-vision': 'Low-vision Support'
+};
+
+// What we ask supporters for. Values are what a unit costs us to buy in Lusaka, in kwacha, and are only estimates
+const ITEMS = {
+    'sunscreen-spf50': { name: 'Sunscreen SPF 50+', unit: '100 ml tube', programme: 'sunscreen', estimatedValue: 120 },
+    'lip-balm-spf': { name: 'Lip balm with SPF', unit: 'stick', programme: 'sunscreen', estimatedValue: 35 },
+    'wide-brim-hat': { name: 'Wide-brim hat', unit: 'hat', programme: 'sunscreen', estimatedValue: 150 },
+    'uv-sunglasses': { name: 'UV-protective sunglasses', unit: 'pair', programme: 'sunscreen', estimatedValue: 200 },
+    'long-sleeve-shirt': { name: 'Long-sleeved UV shirt', unit: 'shirt', programme: 'sunscreen', estimatedValue: 180 },
+    'handheld-magnifier': { name: 'Handheld magnifier', unit: 'magnifier', programme: 'low-vision', estimatedValue: 250 },
+    'distance-monocular': { name: 'Distance monocular', unit: 'monocular', programme: 'low-vision', estimatedValue: 600 }
+};
+
+// Where goods can be brought; supporters who cannot come ask for a pickup instead
+const DROP_OFF_POINTS = {
+    'lusaka-office': {
+        name: 'AFZ office, Lusaka',
+        address: 'LOTI House, Cairo Road, Room G, 4th Floor, Lusaka (opposite Kwacha House)',
+        hours: 'Monday to Friday, 08:00 to 16:30'
+    }
+};
+
+const DELIVERY_METHODS = ['drop-off', 'pickup'];
+const STATUSES = ['pledged', 'received', 'distributed', 'cancelled'];
+
+// Received goods are in stock until they are handed out; a pledge that never arrives is cancelled
+const TRANSITIONS = {
+    pledged: ['received', 'cancelled'],
+    received: ['distributed'],
+    distributed: [],
+    cancelled: []
+};
+
+const MAX_EXPECTED_DAYS = 366;
+
+let acknowledgmentTemplate = null;
+
+// AFZ-IK-2026-000007, numbered apart from donation receipts
+function nextPledgeNumber(store, date) {
+    const sequence = store.nextSequence(COLLECTION);
+    return `${config.donations.receiptPrefix}-IK-${date.getUTCFullYear()}-${String(sequence).padStart(6, '0')}`;
+}
+
+// Lets the donor open their acknowledgment without an account, like donation receipts
+function pledgeToken(pledge) {
+    return crypto.createHmac('sha256', config.auth.jwtSecret)
+        .update(`in-kind-pledge:${pledge.id}:${pledge.pledgeNumber}`)
+        .digest('base64url');
+}
+
+function isPledgeToken(pledge, token) {
+    const expected = pledgeToken(pledge);
+    return typeof token === 'string' && token.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+}
+
+function acknowledgmentUrl(pledge) {
+    return `${config.appUrl}/api/in-kind/pledges/${encodeURIComponent(pledge.id)}/acknowledgment?token=${pledgeToken(pledge)}`;
+}
+
+function lusakaDate(date) {
+    return date.toLocaleDateString('en-CA', { timeZone: 'Africa/Lusaka' });
+}
+
+function formatZmw(amount) {
+    return new Intl.NumberFormat('en-ZM', { style: 'currency', currency: 'ZMW' }).format(amount);
+}
+
+function formatDay(value) {
+    return new Date(value).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Africa/Lusaka' });
+}
+
+function catalogue() {
+    return {
+        programmes: PROGRAMMES,
+        items: Object.entries(ITEMS).map(([id, item]) => ({ id, ...item, programmeName: PROGRAMMES[item.programme] })),
+        dropOffPoints: Object.entries(DROP_OFF_POINTS).map(([id, point]) => ({ id, ...point }))
+    };
+}
+
+// One line per catalogue item, with the same item given twice added together
+function pledgeLines(items) {
+    const quantities = new Map();
+    items.forEach(({ item, quantity }) => quantities.set(item, (quantities.get(item) || 0) + Number(quantity)));
+
+    return [...quantities.entries()].map(([item, quantity]) => ({
+        item,
+        name: ITEMS[item].name,
+        unit: ITEMS[item].unit,
+        programme: ITEMS[item].programme,
+        quantity,
+        receivedQuantity: null,
+        unitValue: ITEMS[item].estimatedValue
+    }));
+}
+
+// What the goods are worth at catalogue prices: those that arrived once they have, otherwise those pledged
+function estimatedValue(lines) {
+    const counted = line => (line.receivedQuantity === null ? line.quantity : line.receivedQuantity);
+    const total = lines.reduce((sum, line) => sum + counted(line) * line.unitValue, 0);
+    return Math.round(total * 100) / 100;
+}
+
+/**
+ * Adds a pledge: { donor, items: [{ item, quantity }], delivery, dropOffPoint, pickup: { address, town },
+ * expectedOn, message, idempotencyKey }. `expectedOn` is the day the donor means to bring the goods or would
+ * like them collected.
+ */
+function createPledge(store, data, { userId = null, now = new Date() } = {}) {
+    if (data.delivery === 'drop-off' && !DROP_OFF_POINTS[data.dropOffPoint]) {
+        throw new ApiError(422, 'Please choose where you will bring the items.');
+    }
+    if (data.delivery === 'pickup' && !(data.pickup && data.pickup.address && data.pickup.town && data.donor.phone)) {
+        throw new ApiError(422, 'For a pickup we need the address, the town and a phone number to arrange it.');
+    }
+    if (data.expectedOn) {
+        const latest = lusakaDate(new Date(now.getTime() + MAX_EXPECTED_DAYS * 24 * 60 * 60 * 1000));
+        if (data.expectedOn < lusakaDate(now) || data.expectedOn > latest) {
+            throw new ApiError(422, 'Please choose a day from today until a year from now.');
+        }
+    }
+
+    const lines = pledgeLines(data.items);
+    return store.collection(COLLECTION).insert({
+        pledgeNumber: nextPledgeNumber(store, now),
+        status: 'pledged',
+        donor: {
+            firstName: data.donor.firstName,
+            lastName: data.donor.lastName,
+            email: data.donor.email.toLowerCase(),
+            phone: data.donor.phone || null,
+            organisation: data.donor.organisation || null
+        },
+        lines,
+        estimatedValue: estimatedValue(lines),
+        delivery: data.delivery,
+        dropOffPoint: data.delivery === 'drop-off' ? data.dropOffPoint : null,
+        pickup: data.delivery === 'pickup' ? { address: data.pickup.address, town: data.pickup.town } : null,
+        expectedOn: data.expectedOn || null,
+        message: data.message || null,
+        idempotencyKey: data.idempotencyKey || null,
+        userId,
+        history: [{ status: 'pledged', at: now.toISOString(), by: userId || 'donor', note: null }],
+        receivedAt: null,
+        distributedAt: null,
+        acknowledgmentSentAt: null,
+        createdAt: now.toISOString()
+    });
+}
+
+// Adds to (or with a negative count takes from) the stock of each line's item
+function moveStock(store, lines, direction, at) {
+    const inventory = store.collection(INVENTORY);
+
+    lines.filter(line => line.receivedQuantity > 0).forEach(line => {
+        const stock = inventory.get(line.item) ||
+            inventory.insert({ id: line.item, programme: line.programme, onHand: 0, received: 0, distributed: 0 });
+        inventory.update(line.item, direction > 0
+            ? { onHand: stock.onHand + line.receivedQuantity, received: stock.received + line.receivedQuantity, lastReceivedAt: at }
+            : { onHand: stock.onHand - line.receivedQuantity, distributed: stock.distributed + line.receivedQuantity, lastDistributedAt: at });
+    });
+}
+
+/**
+ * Moves a pledge along its lifecycle, keeping who did it and why. Receiving puts the goods into the programme's
+ * stock; `received` ([{ item, quantity }]) gives what actually arrived when it is not what was pledged, and items
+ * left out did not arrive. Distributing takes what was received back out of stock.
+ */
+function updatePledgeStatus(store, id, status, { by = null, note = null, received } = {}) {
+    const pledges = store.collection(COLLECTION);
+    const pledge = pledges.get(id);
+    if (!pledge) {
+        throw new ApiError(404, 'Pledge not found.');
+    }
+    if (!TRANSITIONS[pledge.status].includes(status)) {
+        throw new ApiError(409, `This pledge is ${pledge.status} and cannot be marked as ${status}.`);
+    }
+
+    const at = new Date().toISOString();
+    const changes = { status, history: [...pledge.history, { status, at, by, note: note || null }] };
+
+    if (status === 'received') {
+        const counted = received ? new Map(pledgeLines(received).map(line => [line.item, line.quantity])) : null;
+        if (counted && [...counted.keys()].some(item => !pledge.lines.some(line => line.item === item))) {
+            throw new ApiError(422, 'Only items on the pledge can be received against it.');
+        }
+
+        changes.lines = pledge.lines.map(line => ({
+            ...line,
+            receivedQuantity: counted ? counted.get(line.item) || 0 : line.quantity
+        }));
+        if (!changes.lines.some(line => line.receivedQuantity > 0)) {
+            throw new ApiError(422, 'Nothing was received; cancel the pledge instead.');
+        }
+        changes.estimatedValue = estimatedValue(changes.lines);
+        changes.receivedAt = at;
+        moveStock(store, changes.lines, 1, at);
+    }
+    if (status === 'distributed') {
+        changes.distributedAt = at;
+        moveStock(store, pledge.lines, -1, at);
+    }
+
+    return pledges.update(id, changes);
+}
+
+// Newest first; filters are { status, item, search, limit }
+function listPledges(store, { status, item, search, limit = 100 } = {}) {
+    const needle = search ? search.toLowerCase() : null;
+    const matches = store.collection(COLLECTION)
+        .find(pledge => (!status || pledge.status === status) &&
+            (!item || pledge.lines.some(line => line.item === item)) &&
+            (!needle || [pledge.pledgeNumber, pledge.donor.email, pledge.donor.organisation,
+                `${pledge.donor.firstName} ${pledge.donor.lastName}`]
+                .some(value => value && value.toLowerCase().includes(needle))))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return { total: matches.length, items: matches.slice(0, limit) };
+}
+
+// Stock of every catalogue item, including those nothing has been received for yet
+function inventoryLevels(store) {
+    const inventory = store.collection(INVENTORY);
+    const outstanding = store.collection(COLLECTION).find(pledge => pledge.status === 'pledged');
+
+    return Object.entries(ITEMS).map(([id, item]) => {
+        const stock = inventory.get(id) || { onHand: 0, received: 0, distributed: 0 };
+        return {
+            item: id,
+            name: item.name,
+            unit: item.unit,
+            programme: item.programme,
+            programmeName: PROGRAMMES[item.programme],
+            onHand: stock.onHand,
+            received: stock.received,
+            distributed: stock.distributed,
+            // Promised but not yet brought in
+            pledged: outstanding.reduce((sum, pledge) =>
+                sum + pledge.lines.filter(line => line.item === id).reduce((count, line) => count + line.quantity, 0), 0)
+        };
+    });
+}
+
+// How the donor gets the goods to us, in a sentence for emails and the acknowledgment
+function deliveryLine(pledge) {
+    if (pledge.delivery === 'pickup') {
+        return `We will collect the items from ${pledge.pickup.address}, ${pledge.pickup.town}`;
+    }
+    const point = DROP_OFF_POINTS[pledge.dropOffPoint];
+    return point ? `${point.name}: ${point.address} (${point.hours})` : pledge.dropOffPoint;
+}
+
+function lineContext(pledge, received) {
+    return pledge.lines
+        .filter(line => !received || line.receivedQuantity > 0)
+        .map(line => {
+            const quantity = received ? line.receivedQuantity : line.quantity;
+            return {
+                name: line.name,
+                quantity,
+                unit: line.unit,
+                value: formatZmw(quantity * line.unitValue)
+            };
+        });
+}
+
+// A standalone page the donor can print or save once the goods have arrived
+function renderAcknowledgment(pledge, { nonce } = {}) {
+    if (!acknowledgmentTemplate) {
+        acknowledgmentTemplate = handlebars.compile(fs.readFileSync(ACKNOWLEDGMENT_TEMPLATE, 'utf8'));
+    }
+
+    return acknowledgmentTemplate({
+        nonce,
+        organisation: 'Albinism Foundation of Zambia',
+        appUrl: config.appUrl,
+        pledgeNumber: pledge.pledgeNumber,
+        donorName: [pledge.donor.firstName, pledge.donor.lastName].filter(Boolean).join(' '),
+        donorOrganisation: pledge.donor.organisation,
+        email: pledge.donor.email,
+        receivedOn: formatDay(pledge.receivedAt),
+        lines: lineContext(pledge, true),
+        estimatedValue: formatZmw(pledge.estimatedValue)
+    });
+}
+
+// Thanks the donor and tells them where to bring the goods
+async function sendPledgeConfirmation(mailer, pledge) {
+    await mailer.send({
+        to: pledge.donor.email,
+        subject: `Your pledge ${pledge.pledgeNumber}`,
+        template: 'in-kind-pledge',
+        context: {
+            firstName: pledge.donor.firstName,
+            pledgeNumber: pledge.pledgeNumber,
+            lines: lineContext(pledge, false),
+            estimatedValue: formatZmw(pledge.estimatedValue),
+            pickup: pledge.delivery === 'pickup',
+            delivery: deliveryLine(pledge),
+            expectedOn: pledge.expectedOn ? formatDay(`${pledge.expectedOn}T12:00:00+02:00`) : null,
+            footer: 'You are receiving this email because you pledged a gift of goods to the Albinism Foundation of Zambia.'
+        }
+    });
+}
+
+// Emails the acknowledgment with a copy attached; only goods that have arrived are acknowledged
+async function sendAcknowledgment(store, mailer, pledge) {
+    if (!pledge.receivedAt) {
+        throw new ApiError(409, 'An acknowledgment is issued once the items have been received.');
+    }
+
+    await mailer.send({
+        to: pledge.donor.email,
+        subject: `Thank you for your gift of goods ${pledge.pledgeNumber}`,
+        template: 'in-kind-acknowledgment',
+        context: {
+            firstName: pledge.donor.firstName,
+            pledgeNumber: pledge.pledgeNumber,
+            lines: lineContext(pledge, true),
+            estimatedValue: formatZmw(pledge.estimatedValue),
+            link: acknowledgmentUrl(pledge),
+            footer: 'You are receiving this email because you gave goods to the Albinism Foundation of Zambia.'
+        },
+        attachments: [{
+            filename: `${pledge.pledgeNumber}.html`,
+            content: renderAcknowledgment(pledge),
+            contentType: 'text/html; charset=utf-8'
+        }]
+    });
+
+    return store.collection(COLLECTION).update(pledge.id, { acknowledgmentSentAt: new Date().toISOString() });
+}
+
+// Marks a pledge received and sends the acknowledgment; a failed email never undoes the receipt
+async function receivePledge(store, mailer, id, options) {
+    const pledge = updatePledgeStatus(store, id, 'received', options);
+
+    try {
+        return { pledge: await sendAcknowledgment(store, mailer, pledge), acknowledgmentSent: true };
+    } catch (error) {
+        console.error(`Failed to send acknowledgment ${pledge.pledgeNumber}:`, error);
+        return { pledge, acknowledgmentSent: false };
+    }
+}
+
+// What the donor sees about the pledge they just made
+function describePledge(pledge) {
+    return {
+        id: pledge.id,
+        pledgeNumber: pledge.pledgeNumber,
+        status: pledge.status,
+        lines: pledge.lines,
+        estimatedValue: pledge.estimatedValue,
+        delivery: pledge.delivery,
+        deliveryLine: deliveryLine(pledge),
+        expectedOn: pledge.expectedOn,
+        createdAt: pledge.createdAt
+    };
+}
+
+module.exports = {
+    PROGRAMMES,
+    ITEMS,
+    DROP_OFF_POINTS,
+    DELIVERY_METHODS,
+    STATUSES,
+    catalogue,
+    createPledge,
+    updatePledgeStatus,
+    receivePledge,
+    listPledges,
+    inventoryLevels,
+    isPledgeToken,
+    acknowledgmentUrl,
+    renderAcknowledgment,
+    sendPledgeConfirmation,
+    sendAcknowledgment,
+    describePledge
+};
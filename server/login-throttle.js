@@ -0,0 +1,153 @@
+/**
+ * AFZ API Server - Login Throttling
+ * Brute-force protection for password and code checks: progressive delays, then lockouts per account and per IP
+ */
+
+const config = require('./config');
+const { ApiError } = require('./errors');
+const { durationToMs } = require('./sessions');
+const { recordSecurityEvent } = require('./security-events');
+
+const COLLECTION = 'loginThrottles';
+
+// Many members share mobile-network addresses, so an IP gets far more room than one account
+function policyFor(type) {
+    const settings = config.auth.loginThrottle;
+    return type === 'account'
+        ? { freeAttempts: settings.accountFreeAttempts, lockAfter: settings.accountLockAfter }
+        : { freeAttempts: settings.ipFreeAttempts, lockAfter: settings.ipLockAfter };
+}
+
+function throttleId(type, key) {
+    return `${type}:${key}`;
+}
+
+function isLocked(record, now = Date.now()) {
+    return Boolean(record.lockedUntil) && new Date(record.lockedUntil).getTime() > now;
+}
+
+// Failures are forgotten once the window has passed without a new one (unless still locked)
+function getRecord(store, type, key, now = Date.now()) {
+    const throttles = store.collection(COLLECTION);
+    const record = throttles.get(throttleId(type, key));
+    if (!record) return null;
+
+    const windowMs = durationToMs(config.auth.loginThrottle.failureWindow);
+    if (!isLocked(record, now) && new Date(record.lastFailureAt).getTime() + windowMs < now) {
+        throttles.remove(record.id);
+        return null;
+    }
+    return record;
+}
+
+// Milliseconds until the next attempt is allowed: the rest of a lockout, or a delay that doubles per failure
+function waitFor(record, now = Date.now()) {
+    if (!record) return 0;
+    if (isLocked(record, now)) {
+        return new Date(record.lockedUntil).getTime() - now;
+    }
+
+    const { freeAttempts } = policyFor(record.type);
+    const extraFailures = record.failures - freeAttempts;
+    if (extraFailures <= 0) return 0;
+
+    const settings = config.auth.loginThrottle;
+    const delay = Math.min(settings.baseDelayMs * 2 ** (extraFailures - 1), settings.maxDelayMs);
+    return Math.max(0, new Date(record.lastFailureAt).getTime() + delay - now);
+}
+
+function checkAttempt(store, { email, ip }) {
+    const records = [getRecord(store, 'account', email), getRecord(store, 'ip', ip)].filter(Boolean);
+
+    return {
+        retryAfterMs: Math.max(0, ...records.map(record => waitFor(record))),
+        locked: records.some(record => isLocked(record))
+    };
+}
+
+/**
+ * Throws a 429 (with Retry-After) while the account or the caller's address has to wait.
+ * The message is the same whether or not the account exists.
+ */
+function assertAttemptAllowed(store, req, res, email) {
+    const { retryAfterMs, locked } = checkAttempt(store, { email, ip: req.ip });
+    if (retryAfterMs <= 0) return;
+
+    const seconds = Math.ceil(retryAfterMs / 1000);
+    res.set('Retry-After', String(seconds));
+
+    if (locked) {
+        const minutes = Math.ceil(seconds / 60);
+        throw new ApiError(429, 'Too many failed attempts. Sign-in is locked for ' +
+            `${minutes} minute${minutes === 1 ? '' : 's'}, or until an administrator unlocks it.`,
+        undefined, 'login_locked');
+    }
+    throw new ApiError(429, `Too many failed attempts. Please wait ${seconds} second${seconds === 1 ? '' : 's'} ` +
+        'before trying again.', undefined, 'login_throttled');
+}
+
+function recordFailure(store, { email, ip }) {
+    const throttles = store.collection(COLLECTION);
+    const now = Date.now();
+    const lockoutMs = durationToMs(config.auth.loginThrottle.lockoutDuration);
+
+    recordSecurityEvent(store, { type: 'FAILED_LOGIN', message: `Failed password or code check for ${email}`, ip });
+
+    [['account', email], ['ip', ip]].forEach(([type, key]) => {
+        if (!key) return;
+
+        const record = getRecord(store, type, key, now);
+        // Once a lockout has run out the count starts again
+        const lockExpired = Boolean(record && record.lockedUntil && !isLocked(record, now));
+        const failures = record && !lockExpired ? record.failures + 1 : 1;
+        const changes = {
+            failures,
+            lastFailureAt: new Date(now).toISOString(),
+            lastIp: ip,
+            ...(lockExpired ? { lockedUntil: null } : {})
+        };
+
+        if (failures >= policyFor(type).lockAfter) {
+            changes.lockedUntil = new Date(now + lockoutMs).toISOString();
+            changes.lockouts = (record ? record.lockouts || 0 : 0) + 1;
+            recordSecurityEvent(store, {
+                type: 'LOGIN_LOCKED',
+                message: `Sign-in locked for ${type === 'account' ? key : `address ${key}`} after ${failures} failures`,
+                ip
+            });
+        }
+
+        if (record) {
+            throttles.update(record.id, changes);
+        } else {
+            throttles.insert({ id: throttleId(type, key), type, key, firstFailureAt: changes.lastFailureAt, ...changes });
+        }
+    });
+}
+
+// A correct password clears the account's failures; the address keeps its count
+function recordSuccess(store, { email }) {
+    store.collection(COLLECTION).remove(throttleId('account', email));
+}
+
+// Accounts and addresses that are locked out or currently being slowed down
+function listThrottles(store) {
+    const now = Date.now();
+
+    return store.collection(COLLECTION)
+        .find(record => isLocked(record, now) || record.failures > policyFor(record.type).freeAttempts)
+        .map(record => ({ ...record, locked: isLocked(record, now) }))
+        .sort((a, b) => new Date(b.lastFailureAt) - new Date(a.lastFailureAt));
+}
+
+function unlock(store, id) {
+    return store.collection(COLLECTION).remove(id);
+}
+
+module.exports = {
+    assertAttemptAllowed,
+    recordFailure,
+    recordSuccess,
+    listThrottles,
+    unlock
+};
@@ -0,0 +1,66 @@
+/**
+ * AFZ API Server - Mailer
+ * Sends Handlebars email templates through nodemailer (SMTP)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const handlebars = require('handlebars');
+const config = require('./config');
+
+const TEMPLATE_DIR = path.join(__dirname, 'templates', 'email');
+
+class Mailer {
+    constructor(options = config.mail) {
+        this.from = options.from;
+        this.transport = options.transport || nodemailer.createTransport({
+            host: options.host,
+            port: options.port,
+            secure: options.secure,
+            auth: options.user ? { user: options.user, pass: options.pass } : undefined
+        });
+
+        this.templates = new Map();
+        this.engine = handlebars.create();
+        this.engine.registerPartial('layout', this.readTemplate('layout.html.hbs'));
+    }
+
+    readTemplate(file) {
+        return fs.readFileSync(path.join(TEMPLATE_DIR, file), 'utf8');
+    }
+
+    compile(file) {
+        if (!this.templates.has(file)) {
+            // Plain-text bodies must not be HTML-escaped
+            const options = { noEscape: file.endsWith('.txt.hbs') };
+            this.templates.set(file, this.engine.compile(this.readTemplate(file), options));
+        }
+        return this.templates.get(file);
+    }
+
+    // Every template has an HTML version and a plain-text version
+    render(template, context) {
+        const data = { organisation: 'Albinism Foundation of Zambia', appUrl: config.appUrl, ...context };
+
+        return {
+            html: this.compile(`${template}.html.hbs`)(data),
+            text: this.compile(`${template}.txt.hbs`)(data)
+        };
+    }
+
+    async send({ to, subject, template, context = {}, attachments }) {
+        const { html, text } = this.render(template, { subject, ...context });
+
+        return this.transport.sendMail({
+            from: this.from,
+            to,
+            subject,
+            html,
+            text,
+            attachments
+        });
+    }
+}
+
+module.exports = Mailer;
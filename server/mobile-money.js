@@ -0,0 +1,377 @@
+/**
+ * AFZ API Server - Mobile Money
+ * Request-to-pay collections through MTN MoMo and Airtel Money behind one adapter interface
+ */
+
+const axios = require('axios');
+const config = require('./config');
+const { ApiError } = require('./errors');
+const { durationToMs } = require('./sessions');
+const { TRANSITIONS, updateDonationStatus, completeDonation } = require('./donations');
+const { SANDBOX_CREDENTIALS } = require('./mock-mobile-money');
+
+const COLLECTION = 'mobileMoneyPayments';
+const HTTP_TIMEOUT_MS = 15000;
+// Polling the donate page does not reach the provider more often than this
+const STATUS_CHECK_INTERVAL_MS = 5000;
+const COUNTRY = 'ZM';
+const CURRENCY = 'ZMW';
+
+// Zambian numbers are 260 followed by a nine-digit national number; the first two digits name the network
+const PROVIDERS = {
+    mtn: { name: 'MTN Mobile Money', prefixes: ['96', '76'] },
+    airtel: { name: 'Airtel Money', prefixes: ['97', '77'] }
+};
+
+const accessTokens = new Map();
+
+function settingsFor(id) {
+    if (config.mobileMoney.sandbox) {
+        return { ...SANDBOX_CREDENTIALS[id], baseUrl: `${config.appUrl}/mock-mobile-money/${id}` };
+    }
+    return config.mobileMoney[id];
+}
+
+function isConfigured(id) {
+    const settings = settingsFor(id);
+    return id === 'mtn'
+        ? Boolean(settings.subscriptionKey && settings.apiUser && settings.apiKey)
+        : Boolean(settings.clientId && settings.clientSecret);
+}
+
+function listProviders() {
+    return Object.entries(PROVIDERS)
+        .filter(([id]) => isConfigured(id))
+        .map(([id, provider]) => ({ id, name: provider.name, prefixes: provider.prefixes }));
+}
+
+// Accepts 0971234567, 971234567, 260971234567 and +260 97 123 4567
+function normalizeMsisdn(phone) {
+    const digits = String(phone || '').replace(/[\s()-]/g, '').replace(/^\+/, '');
+    const national = digits.startsWith('260') ? digits.slice(3) : digits.replace(/^0/, '');
+    return /^\d{9}$/.test(national) ? `260${national}` : null;
+}
+
+function providerForMsisdn(msisdn) {
+    const prefix = msisdn.slice(3, 5);
+    return Object.keys(PROVIDERS).find(id => PROVIDERS[id].prefixes.includes(prefix)) || null;
+}
+
+async function cachedToken(id, fetchToken) {
+    const cached = accessTokens.get(id);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.token;
+    }
+
+    const { access_token: token, expires_in: expiresIn } = await fetchToken();
+    // Renewed a minute early so a token never expires between the check and the call
+    accessTokens.set(id, { token, expiresAt: Date.now() + (Number(expiresIn) - 60) * 1000 });
+    return token;
+}
+
+/**
+ * Each adapter turns a payment record into a provider call and the provider's answer into
+ * { status: 'pending' | 'successful' | 'failed', reason, transactionId }.
+ */
+const ADAPTERS = {
+    // MTN MoMo Collection API: the X-Reference-Id we choose identifies the request from then on
+    mtn: {
+        async headers(settings) {
+            const token = await cachedToken('mtn', async () => {
+                const { data } = await axios.post(`${settings.baseUrl}/collection/token/`, null, {
+                    auth: { username: settings.apiUser, password: settings.apiKey },
+                    headers: { 'Ocp-Apim-Subscription-Key': settings.subscriptionKey },
+                    timeout: HTTP_TIMEOUT_MS
+                });
+                return data;
+            });
+
+            return {
+                'Authorization': `Bearer ${token}`,
+                'X-Target-Environment': settings.targetEnvironment,
+                'Ocp-Apim-Subscription-Key': settings.subscriptionKey
+            };
+        },
+
+        async requestToPay(settings, payment) {
+            await axios.post(`${settings.baseUrl}/collection/v1_0/requesttopay`, {
+                amount: String(payment.amount),
+                currency: payment.currency,
+                externalId: payment.id,
+                payer: { partyIdType: 'MSISDN', partyId: payment.msisdn },
+                payerMessage: `AFZ donation ${payment.receiptNumber}`,
+                payeeNote: payment.receiptNumber
+            }, {
+                headers: {
+                    ...await this.headers(settings),
+                    'X-Reference-Id': payment.id,
+                    'X-Callback-Url': `${config.appUrl}/api/mobile-money/callbacks/mtn`
+                },
+                timeout: HTTP_TIMEOUT_MS
+            });
+        },
+
+        async getStatus(settings, payment) {
+            const { data } = await axios.get(`${settings.baseUrl}/collection/v1_0/requesttopay/${payment.id}`, {
+                headers: await this.headers(settings),
+                timeout: HTTP_TIMEOUT_MS
+            });
+
+            return {
+                status: { SUCCESSFUL: 'successful', FAILED: 'failed' }[data.status] || 'pending',
+                reason: data.reason ? String(data.reason.message || data.reason.code || data.reason) : null,
+                transactionId: data.financialTransactionId || null
+            };
+        },
+
+        // Callbacks carry the externalId we sent
+        paymentIdFromCallback(body) {
+            return body && body.externalId;
+        }
+    },
+
+    // Airtel Money Collection API: the transaction id we choose identifies the payment
+    airtel: {
+        async headers(settings) {
+            const token = await cachedToken('airtel', async () => {
+                const { data } = await axios.post(`${settings.baseUrl}/auth/oauth2/token`, {
+                    client_id: settings.clientId,
+                    client_secret: settings.clientSecret,
+                    grant_type: 'client_credentials'
+                }, { timeout: HTTP_TIMEOUT_MS });
+                return data;
+            });
+
+            return { 'Authorization': `Bearer ${token}`, 'X-Country': COUNTRY, 'X-Currency': CURRENCY };
+        },
+
+        async requestToPay(settings, payment) {
+            const { data } = await axios.post(`${settings.baseUrl}/merchant/v1/payments/`, {
+                reference: payment.receiptNumber,
+                subscriber: { country: COUNTRY, currency: payment.currency, msisdn: payment.msisdn.slice(3) },
+                transaction: { amount: payment.amount, country: COUNTRY, currency: payment.currency, id: payment.id }
+            }, {
+                headers: await this.headers(settings),
+                timeout: HTTP_TIMEOUT_MS
+            });
+
+            if (!data.status || data.status.success === false) {
+                throw new Error(`Airtel Money refused the request: ${data.status ? data.status.message : 'no status'}`);
+            }
+        },
+
+        async getStatus(settings, payment) {
+            const { data } = await axios.get(`${settings.baseUrl}/standard/v1/payments/${payment.id}`, {
+                headers: await this.headers(settings),
+                timeout: HTTP_TIMEOUT_MS
+            });
+            const transaction = (data.data && data.data.transaction) || {};
+
+            return {
+                status: { TS: 'successful', TF: 'failed' }[transaction.status] || 'pending',
+                reason: transaction.status === 'TF' ? transaction.message || null : null,
+                transactionId: transaction.airtel_money_id || null
+            };
+        },
+
+        paymentIdFromCallback(body) {
+            return body && body.transaction && body.transaction.id;
+        }
+    }
+};
+
+function timeOf(value) {
+    return new Date(value).getTime();
+}
+
+/**
+ * Records the outcome on the payment and its ledger entry; only the first outcome counts, except that
+ * the provider confirming a payment we had given up on wins: the donor has been charged. Such payments
+ * and their donations are marked approvedLate.
+ */
+async function settlePayment(store, mailer, payment, { status, reason = null, transactionId = null }) {
+    const payments = store.collection(COLLECTION);
+    const current = payments.get(payment.id);
+    const late = current.status === 'timeout' && status === 'successful';
+    if (current.status !== 'pending' && !late) return current;
+
+    const settled = payments.update(payment.id, {
+        status,
+        reason,
+        transactionId,
+        settledAt: new Date().toISOString(),
+        ...(late ? { approvedLate: true } : {})
+    });
+    if (late) {
+        console.warn(`${PROVIDERS[payment.provider].name} approved ${payment.receiptNumber} after it had timed out`);
+    }
+
+    const donation = store.collection('donations').get(payment.donationId);
+    const next = status === 'successful' ? 'completed' : 'failed';
+    if (!donation || !TRANSITIONS[donation.status].includes(next)) {
+        return settled;
+    }
+
+    const options = {
+        note: late
+            ? `${PROVIDERS[payment.provider].name} successful after the payment request had timed out`
+            : `${PROVIDERS[payment.provider].name} ${status}${reason ? `: ${reason}` : ''}`,
+        gatewayReference: transactionId || undefined
+    };
+    if (late) {
+        // Shown in the ledger so the finance team can check the charge against the provider's statement
+        store.collection('donations').update(donation.id, { approvedLate: true });
+    }
+    if (next === 'completed') {
+        await completeDonation(store, mailer, donation.id, options);
+    } else {
+        updateDonationStatus(store, donation.id, next, options);
+    }
+    return settled;
+}
+
+function paymentForDonation(store, donationId) {
+    return store.collection(COLLECTION).findOne(payment => payment.donationId === donationId);
+}
+
+/**
+ * Sends the prompt to the donor's phone for a pending mobile-money donation.
+ * The payment record is written first so a callback can never arrive for a payment we do not know.
+ */
+async function startPayment(store, mailer, donation, { phone, provider }) {
+    const msisdn = normalizeMsisdn(phone);
+    if (!msisdn) {
+        throw new ApiError(422, 'Please enter a Zambian mobile number, e.g. 0971234567.');
+    }
+
+    const network = providerForMsisdn(msisdn);
+    if (!network || (provider && provider !== network)) {
+        const name = provider && PROVIDERS[provider] ? PROVIDERS[provider].name : 'MTN Mobile Money or Airtel Money';
+        throw new ApiError(422, `This number is not on ${name}.`);
+    }
+    if (!isConfigured(network)) {
+        throw new ApiError(503, `${PROVIDERS[network].name} payments are not available right now.`);
+    }
+    if (donation.gateway !== 'mobile-money' || donation.status !== 'pending') {
+        throw new ApiError(409, 'This donation cannot be paid with mobile money.');
+    }
+    if (donation.currency !== CURRENCY) {
+        throw new ApiError(422, 'Mobile money donations are made in Zambian Kwacha (ZMW).');
+    }
+
+    const payments = store.collection(COLLECTION);
+    if (paymentForDonation(store, donation.id)) {
+        throw new ApiError(409, 'A payment request has already been sent for this donation.');
+    }
+
+    const now = Date.now();
+    const payment = payments.insert({
+        donationId: donation.id,
+        receiptNumber: donation.receiptNumber,
+        provider: network,
+        msisdn,
+        amount: donation.amount,
+        currency: donation.currency,
+        status: 'pending',
+        reason: null,
+        transactionId: null,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + durationToMs(config.mobileMoney.timeout)).toISOString(),
+        checkedAt: null,
+        settledAt: null
+    });
+
+    try {
+        await ADAPTERS[network].requestToPay(settingsFor(network), payment);
+    } catch (error) {
+        console.error(`${PROVIDERS[network].name} request-to-pay failed for ${payment.receiptNumber}:`, error.message);
+        await settlePayment(store, mailer, payment, { status: 'failed', reason: 'The payment request could not be sent' });
+        throw new ApiError(502, `${PROVIDERS[network].name} could not be reached. Please try again or choose another payment method.`);
+    }
+
+    return payment;
+}
+
+/**
+ * Current state of a payment for the polling donate page. Pending payments are checked with the
+ * provider now and then, and become 'timeout' once the donor has had long enough to approve.
+ * Timed-out payments are still checked, since the donor may approve the prompt after we stop waiting.
+ */
+async function refreshPayment(store, mailer, payment) {
+    if (payment.status !== 'pending' && payment.status !== 'timeout') return payment;
+
+    const now = Date.now();
+    if (!payment.checkedAt || timeOf(payment.checkedAt) < now - STATUS_CHECK_INTERVAL_MS) {
+        store.collection(COLLECTION).update(payment.id, { checkedAt: new Date(now).toISOString() });
+        try {
+            const result = await ADAPTERS[payment.provider].getStatus(settingsFor(payment.provider), payment);
+            if (result.status !== 'pending') {
+                return settlePayment(store, mailer, payment, result);
+            }
+        } catch (error) {
+            console.error(`${PROVIDERS[payment.provider].name} status check failed for ${payment.receiptNumber}:`, error.message);
+        }
+    }
+
+    if (payment.status === 'pending' && timeOf(payment.expiresAt) < now) {
+        return settlePayment(store, mailer, payment, { status: 'timeout', reason: 'The payment was not approved in time' });
+    }
+    return store.collection(COLLECTION).get(payment.id);
+}
+
+/**
+ * Checks one-off payments still waiting on the donor, so a prompt nobody is polling for still settles or
+ * times out when the donate page has been closed. Recurring charges are checked by the subscription scheduler.
+ */
+async function runPendingPayments(store, mailer) {
+    const donations = store.collection('donations');
+    const pending = store.collection(COLLECTION).find(payment => payment.status === 'pending');
+
+    for (const payment of pending) {
+        const donation = donations.get(payment.donationId);
+        if (donation && donation.subscriptionId) continue;
+        await refreshPayment(store, mailer, payment);
+    }
+}
+
+function startMobileMoneyScheduler(store, mailer) {
+    let running = false;
+
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await runPendingPayments(store, mailer);
+        } catch (error) {
+            console.error('Mobile money payment check failed:', error);
+        } finally {
+            running = false;
+        }
+    }, durationToMs(config.mobileMoney.checkInterval));
+
+    timer.unref();
+    return timer;
+}
+
+// Callbacks are not signed, so they only prompt a status check with the provider
+async function handleCallback(store, mailer, providerId, body) {
+    const adapter = ADAPTERS[providerId];
+    const paymentId = adapter && adapter.paymentIdFromCallback(body);
+    const payment = paymentId && store.collection(COLLECTION).get(paymentId);
+    if (!payment || payment.provider !== providerId) return null;
+
+    return refreshPayment(store, mailer, { ...payment, checkedAt: null });
+}
+
+module.exports = {
+    PROVIDERS,
+    listProviders,
+    normalizeMsisdn,
+    providerForMsisdn,
+    paymentForDonation,
+    startPayment,
+    refreshPayment,
+    runPendingPayments,
+    startMobileMoneyScheduler,
+    handleCallback
+};
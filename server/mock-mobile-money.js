@@ -0,0 +1,186 @@
+/**
+ * AFZ API Server - Mock Mobile Money Provider
+ * A local stand-in for the MTN MoMo and Airtel Money collection APIs (MOBILE_MONEY_SANDBOX=true)
+ *
+ * The donor "approves" every prompt after a few seconds, except that numbers ending in 1 are
+ * declined and numbers ending in 2 are never answered, so the timeout can be tried as well.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+const SANDBOX_CREDENTIALS = {
+    mtn: {
+        subscriptionKey: 'afz-sandbox-subscription',
+        apiUser: 'afz-sandbox-user',
+        apiKey: 'afz-sandbox-key',
+        targetEnvironment: 'sandbox'
+    },
+    airtel: {
+        clientId: 'afz-sandbox-client',
+        clientSecret: 'afz-sandbox-secret'
+    }
+};
+
+const APPROVAL_DELAY_MS = 4000;
+const TOKEN_TTL_SECONDS = 3600;
+
+function outcomeFor(msisdn) {
+    if (msisdn.endsWith('1')) return 'failed';
+    if (msisdn.endsWith('2')) return 'pending';
+    return 'successful';
+}
+
+function createMockMobileMoneyProvider({ callbackBase, approvalDelayMs = APPROVAL_DELAY_MS }) {
+    const router = express.Router();
+
+    // Both live only as long as the process; this provider is never used in production
+    const tokens = new Set();
+    const transactions = new Map();
+
+    function issueToken(res) {
+        const token = crypto.randomBytes(24).toString('base64url');
+        tokens.add(token);
+        res.json({ access_token: token, token_type: 'Bearer', expires_in: TOKEN_TTL_SECONDS });
+    }
+
+    function requireToken(req, res, next) {
+        const [, token] = (req.get('Authorization') || '').split(' ');
+        if (!tokens.has(token)) {
+            return res.status(401).json({ message: 'Invalid access token' });
+        }
+        next();
+    }
+
+    // Outcomes are decided when the request arrives and revealed once the donor has had time to "approve"
+    function track(id, msisdn, callback) {
+        const transaction = {
+            outcome: outcomeFor(msisdn),
+            decidedAt: Date.now() + approvalDelayMs,
+            reference: `MOCK${Date.now()}`
+        };
+        transactions.set(id, transaction);
+
+        if (transaction.outcome !== 'pending') {
+            const timer = setTimeout(() => {
+                callback(transaction).catch(error => console.warn('Mock mobile money callback failed:', error.message));
+            }, approvalDelayMs);
+            timer.unref();
+        }
+    }
+
+    function stateOf(id) {
+        const transaction = transactions.get(id);
+        if (!transaction) return null;
+        return transaction.decidedAt > Date.now() ? 'pending' : transaction.outcome;
+    }
+
+    router.use(express.json());
+
+    // MTN MoMo: Basic auth with the API user and key, then X-Reference-Id names the request
+    router.post('/mtn/collection/token/', (req, res) => {
+        const [, credentials] = (req.get('Authorization') || '').split(' ');
+        const { apiUser, apiKey, subscriptionKey } = SANDBOX_CREDENTIALS.mtn;
+        if (Buffer.from(credentials || '', 'base64').toString() !== `${apiUser}:${apiKey}` ||
+            req.get('Ocp-Apim-Subscription-Key') !== subscriptionKey) {
+            return res.status(401).json({ error: 'login_failed' });
+        }
+        issueToken(res);
+    });
+
+    router.post('/mtn/collection/v1_0/requesttopay', requireToken, (req, res) => {
+        const referenceId = req.get('X-Reference-Id');
+        const payer = req.body.payer || {};
+        if (!referenceId || transactions.has(referenceId) || !payer.partyId) {
+            return res.status(409).json({ code: 'RESOURCE_ALREADY_EXIST', message: 'Duplicated reference id' });
+        }
+
+        const callbackUrl = req.get('X-Callback-Url');
+        track(referenceId, payer.partyId, async transaction => {
+            if (!callbackUrl) return;
+            await axios.put(callbackUrl, {
+                financialTransactionId: transaction.reference,
+                externalId: req.body.externalId,
+                amount: req.body.amount,
+                currency: req.body.currency,
+                payer,
+                status: transaction.outcome === 'successful' ? 'SUCCESSFUL' : 'FAILED',
+                ...(transaction.outcome === 'failed' ? { reason: 'NOT_ENOUGH_FUNDS' } : {})
+            });
+        });
+        res.status(202).end();
+    });
+
+    router.get('/mtn/collection/v1_0/requesttopay/:id', requireToken, (req, res) => {
+        const state = stateOf(req.params.id);
+        if (!state) {
+            return res.status(404).json({ code: 'RESOURCE_NOT_FOUND', message: 'Requested resource was not found.' });
+        }
+
+        const transaction = transactions.get(req.params.id);
+        res.json({
+            status: { pending: 'PENDING', successful: 'SUCCESSFUL', failed: 'FAILED' }[state],
+            ...(state === 'successful' ? { financialTransactionId: transaction.reference } : {}),
+            ...(state === 'failed' ? { reason: 'NOT_ENOUGH_FUNDS' } : {})
+        });
+    });
+
+    // Airtel Money: client credentials, then the transaction id we send names the payment
+    router.post('/airtel/auth/oauth2/token', (req, res) => {
+        const { clientId, clientSecret } = SANDBOX_CREDENTIALS.airtel;
+        if (req.body.client_id !== clientId || req.body.client_secret !== clientSecret) {
+            return res.status(401).json({ error: 'invalid_client' });
+        }
+        issueToken(res);
+    });
+
+    router.post('/airtel/merchant/v1/payments/', requireToken, (req, res) => {
+        const { subscriber = {}, transaction = {} } = req.body;
+        if (!transaction.id || transactions.has(transaction.id) || !subscriber.msisdn) {
+            return res.json({ status: { success: false, code: '400', message: 'Duplicate or invalid transaction' } });
+        }
+
+        track(transaction.id, subscriber.msisdn, async tracked => {
+            await axios.post(`${callbackBase}/airtel`, {
+                transaction: {
+                    id: transaction.id,
+                    message: tracked.outcome === 'successful' ? 'Paid successfully' : 'Insufficient funds',
+                    status_code: tracked.outcome === 'successful' ? 'TS' : 'TF',
+                    airtel_money_id: tracked.reference
+                }
+            });
+        });
+        res.json({
+            data: { transaction: { id: transaction.id, status: 'Success.' } },
+            status: { success: true, code: '200', message: 'SUCCESS', response_code: 'DP00800001006' }
+        });
+    });
+
+    router.get('/airtel/standard/v1/payments/:id', requireToken, (req, res) => {
+        const state = stateOf(req.params.id);
+        if (!state) {
+            return res.status(404).json({ status: { success: false, code: '404', message: 'Transaction not found' } });
+        }
+
+        const transaction = transactions.get(req.params.id);
+        res.json({
+            data: {
+                transaction: {
+                    id: req.params.id,
+                    status: { pending: 'TIP', successful: 'TS', failed: 'TF' }[state],
+                    message: state === 'failed' ? 'Insufficient funds' : null,
+                    airtel_money_id: state === 'successful' ? transaction.reference : null
+                }
+            },
+            status: { success: true, code: '200', message: 'SUCCESS' }
+        });
+    });
+
+    return router;
+}
+
+module.exports = {
+    SANDBOX_CREDENTIALS,
+    createMockMobileMoneyProvider
+};
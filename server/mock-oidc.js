@@ -0,0 +1,192 @@
+/**
+ * AFZ API Server - Mock Identity Provider
+ * A minimal local OpenID Connect provider for developing and testing social sign-in (OIDC_MOCK=true)
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const MOCK_CLIENT_ID = 'afz-local';
+const MOCK_CLIENT_SECRET = 'afz-local-secret';
+
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 300;
+
+function escapeHtml(value) {
+    return String(value || '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function renderLoginPage(query, nonce) {
+    const hidden = Object.entries(query)
+        .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+        .join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>Mock Identity Provider</title>
+    <style nonce="${nonce}">
+        body { font-family: sans-serif; max-width: 420px; margin: 48px auto; padding: 0 16px; }
+    </style>
+</head>
+<body>
+    <h1>Mock Identity Provider</h1>
+    <p>Development only. Choose the identity to sign in with.</p>
+    <form method="post">
+        ${hidden}
+        <p><label>Email<br><input type="email" name="email" value="member@example.org" required></label></p>
+        <p><label>First name<br><input name="given_name" value="Test"></label></p>
+        <p><label>Last name<br><input name="family_name" value="Member"></label></p>
+        <p><label>Subject (stable user id)<br><input name="sub" placeholder="Derived from the email"></label></p>
+        <p><label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label></p>
+        <p>
+            <button type="submit" name="decision" value="allow">Sign in</button>
+            <button type="submit" name="decision" value="deny">Cancel</button>
+        </p>
+    </form>
+</body>
+</html>`;
+}
+
+function createMockIdentityProvider({ issuer }) {
+    const router = express.Router();
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = crypto.randomBytes(8).toString('hex');
+
+    // Both live only as long as the process; this provider is never used in production
+    const codes = new Map();
+    const accessTokens = new Map();
+
+    function redirectWith(res, redirectUri, params) {
+        const url = new URL(redirectUri);
+        Object.entries(params).forEach(([name, value]) => {
+            if (value) url.searchParams.set(name, value);
+        });
+        res.redirect(url.toString());
+    }
+
+    function checkClient(clientId, clientSecret) {
+        return clientId === MOCK_CLIENT_ID && (clientSecret === undefined || clientSecret === MOCK_CLIENT_SECRET);
+    }
+
+    router.use(express.urlencoded({ extended: false }));
+
+    router.get('/.well-known/openid-configuration', (req, res) => {
+        res.json({
+            issuer,
+            authorization_endpoint: `${issuer}/authorize`,
+            token_endpoint: `${issuer}/token`,
+            userinfo_endpoint: `${issuer}/userinfo`,
+            jwks_uri: `${issuer}/jwks`,
+            response_types_supported: ['code'],
+            subject_types_supported: ['public'],
+            id_token_signing_alg_values_supported: ['RS256'],
+            code_challenge_methods_supported: ['S256'],
+            token_endpoint_auth_methods_supported: ['client_secret_post']
+        });
+    });
+
+    router.get('/jwks', (req, res) => {
+        res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+    });
+
+    router.get('/authorize', (req, res) => {
+        const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType } = req.query;
+
+        if (!checkClient(clientId) || !redirectUri || responseType !== 'code') {
+            return res.status(400).send('Invalid authorization request');
+        }
+        if (req.query.code_challenge_method !== 'S256' || !req.query.code_challenge) {
+            return res.status(400).send('PKCE with S256 is required');
+        }
+
+        res.send(renderLoginPage(req.query, res.locals.cspNonce));
+    });
+
+    router.post('/authorize', (req, res) => {
+        const { client_id: clientId, redirect_uri: redirectUri, state } = req.body;
+
+        if (!checkClient(clientId) || !redirectUri) {
+            return res.status(400).send('Invalid authorization request');
+        }
+        if (req.body.decision !== 'allow') {
+            return redirectWith(res, redirectUri, { error: 'access_denied', state });
+        }
+
+        const email = String(req.body.email || '').trim().toLowerCase();
+        const code = crypto.randomBytes(24).toString('base64url');
+
+        codes.set(code, {
+            clientId,
+            redirectUri,
+            nonce: req.body.nonce,
+            codeChallenge: req.body.code_challenge,
+            expiresAt: Date.now() + CODE_TTL_MS,
+            claims: {
+                sub: req.body.sub || crypto.createHash('sha256').update(email).digest('hex').slice(0, 24),
+                email,
+                email_verified: req.body.email_verified === 'true',
+                given_name: req.body.given_name,
+                family_name: req.body.family_name,
+                name: `${req.body.given_name || ''} ${req.body.family_name || ''}`.trim()
+            }
+        });
+
+        redirectWith(res, redirectUri, { code, state });
+    });
+
+    router.post('/token', (req, res) => {
+        const grant = codes.get(req.body.code);
+        codes.delete(req.body.code);
+
+        const verifier = String(req.body.code_verifier || '');
+        const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+
+        if (!grant || grant.expiresAt < Date.now() || !checkClient(req.body.client_id, req.body.client_secret) ||
+            grant.clientId !== req.body.client_id || grant.redirectUri !== req.body.redirect_uri) {
+            return res.status(400).json({ error: 'invalid_grant' });
+        }
+        if (challenge !== grant.codeChallenge) {
+            return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+        }
+
+        const accessToken = crypto.randomBytes(24).toString('base64url');
+        accessTokens.set(accessToken, grant.claims);
+
+        const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+            algorithm: 'RS256',
+            keyid: kid,
+            issuer,
+            audience: grant.clientId,
+            expiresIn: TOKEN_TTL_SECONDS
+        });
+
+        res.json({
+            access_token: accessToken,
+            token_type: 'Bearer',
+            expires_in: TOKEN_TTL_SECONDS,
+            id_token: idToken
+        });
+    });
+
+    router.get('/userinfo', (req, res) => {
+        const [, token] = (req.get('Authorization') || '').split(' ');
+        const claims = accessTokens.get(token);
+
+        if (!claims) {
+            return res.status(401).json({ error: 'invalid_token' });
+        }
+        res.json(claims);
+    });
+
+    return router;
+}
+
+module.exports = {
+    MOCK_CLIENT_ID,
+    MOCK_CLIENT_SECRET,
+    createMockIdentityProvider
+};
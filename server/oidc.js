@@ -0,0 +1,230 @@
+/**
+ * AFZ API Server - OpenID Connect Client
+ * Authorization code + PKCE sign-in with Google, Facebook or any other configured provider
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const config = require('./config');
+const { MOCK_CLIENT_ID, MOCK_CLIENT_SECRET } = require('./mock-oidc');
+
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10000;
+
+// Defaults for the providers we know about; OIDC_<ID>_* settings override any of them
+const PROVIDER_PRESETS = {
+    google: {
+        name: 'Google',
+        issuer: 'https://accounts.google.com',
+        scope: 'openid email profile'
+    },
+    // Facebook's web login is plain OAuth 2.0, so the profile comes from the Graph API
+    facebook: {
+        name: 'Facebook',
+        issuer: 'https://www.facebook.com',
+        authorizationEndpoint: 'https://www.facebook.com/v18.0/dialog/oauth',
+        tokenEndpoint: 'https://graph.facebook.com/v18.0/oauth/access_token',
+        userinfoEndpoint: 'https://graph.facebook.com/me?fields=id,first_name,last_name,name,email',
+        scope: 'email public_profile',
+        // Facebook only shares email addresses the member has confirmed
+        trustEmail: true
+    }
+};
+
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+let providers = null;
+
+function base64url(buffer) {
+    return buffer.toString('base64url');
+}
+
+function loadProviders() {
+    const configured = config.oidc.providers.map(settings => {
+        const preset = PROVIDER_PRESETS[settings.id] || {};
+        const defined = Object.fromEntries(Object.entries(settings).filter(([, value]) => value));
+
+        return { scope: 'openid email profile', name: settings.id, ...preset, ...defined };
+    });
+
+    if (config.oidc.mock) {
+        configured.push({
+            id: 'mock',
+            name: 'Mock Identity Provider',
+            issuer: `${config.appUrl}/mock-oidc`,
+            clientId: MOCK_CLIENT_ID,
+            clientSecret: MOCK_CLIENT_SECRET,
+            scope: 'openid email profile'
+        });
+    }
+
+    return configured.filter(provider => {
+        const usable = provider.clientId && (provider.issuer || provider.authorizationEndpoint);
+        if (!usable) {
+            console.warn(`⚠️ Sign-in provider "${provider.id}" is missing a client id or issuer and is disabled`);
+        }
+        return usable;
+    });
+}
+
+function listProviders() {
+    if (!providers) providers = loadProviders();
+    return providers;
+}
+
+function getProvider(id) {
+    return listProviders().find(provider => provider.id === id) || null;
+}
+
+// Endpoints from the provider's discovery document, unless they are configured explicitly
+async function getMetadata(provider) {
+    if (provider.authorizationEndpoint && provider.tokenEndpoint) {
+        return provider;
+    }
+
+    const cached = metadataCache.get(provider.id);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.metadata;
+    }
+
+    const url = `${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+    const { data } = await axios.get(url, { timeout: HTTP_TIMEOUT_MS });
+    const metadata = {
+        ...provider,
+        issuer: data.issuer,
+        authorizationEndpoint: data.authorization_endpoint,
+        tokenEndpoint: data.token_endpoint,
+        userinfoEndpoint: data.userinfo_endpoint,
+        jwksUri: data.jwks_uri
+    };
+
+    metadataCache.set(provider.id, { metadata, expiresAt: Date.now() + METADATA_CACHE_MS });
+    return metadata;
+}
+
+function redirectUri(provider) {
+    return `${config.appUrl}/api/auth/oidc/${provider.id}/callback`;
+}
+
+/**
+ * Builds the URL that sends the browser to the provider.
+ * The returned state, nonce and code verifier must be kept until the callback.
+ */
+async function createAuthorizationRequest(provider) {
+    const metadata = await getMetadata(provider);
+    const state = base64url(crypto.randomBytes(24));
+    const nonce = base64url(crypto.randomBytes(24));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: provider.clientId,
+        redirect_uri: redirectUri(provider),
+        scope: provider.scope,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+    });
+    const separator = metadata.authorizationEndpoint.includes('?') ? '&' : '?';
+
+    return {
+        url: `${metadata.authorizationEndpoint}${separator}${params}`,
+        state,
+        nonce,
+        codeVerifier
+    };
+}
+
+async function getSigningKey(jwksUri, kid) {
+    let keys = jwksCache.get(jwksUri);
+
+    // Providers rotate keys, so an unknown key id means the cached set is stale
+    if (!keys || !keys.some(key => key.kid === kid)) {
+        const { data } = await axios.get(jwksUri, { timeout: HTTP_TIMEOUT_MS });
+        keys = data.keys || [];
+        jwksCache.set(jwksUri, keys);
+    }
+
+    const jwk = keys.find(key => key.kid === kid) || (keys.length === 1 && !kid ? keys[0] : null);
+    if (!jwk) {
+        throw new Error(`No signing key ${kid} published by the provider`);
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+async function verifyIdToken(metadata, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+        throw new Error('The provider returned a malformed ID token');
+    }
+
+    const key = await getSigningKey(metadata.jwksUri, decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+        algorithms: ['RS256', 'ES256'],
+        audience: metadata.clientId,
+        issuer: metadata.issuer
+    });
+
+    if (claims.nonce !== nonce) {
+        throw new Error('ID token nonce does not match the sign-in request');
+    }
+    return claims;
+}
+
+function toProfile(provider, claims) {
+    const [firstName, ...rest] = String(claims.name || '').trim().split(/\s+/);
+    const email = claims.email ? String(claims.email).trim().toLowerCase() : null;
+
+    return {
+        subject: String(claims.sub || claims.id),
+        email,
+        emailVerified: Boolean(email) &&
+            (provider.trustEmail === true || claims.email_verified === true || claims.email_verified === 'true'),
+        firstName: claims.given_name || claims.first_name || firstName || (email ? email.split('@')[0] : 'Member'),
+        lastName: claims.family_name || claims.last_name || rest.join(' ') || ''
+    };
+}
+
+/**
+ * Completes the flow from the callback: exchanges the code (with the PKCE verifier)
+ * and returns the member's profile as { subject, email, emailVerified, firstName, lastName }.
+ */
+async function fetchProfile(provider, { code, codeVerifier, nonce }) {
+    const metadata = await getMetadata(provider);
+    const { data: tokens } = await axios.post(metadata.tokenEndpoint, new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri(provider),
+        client_id: provider.clientId,
+        client_secret: provider.clientSecret || '',
+        code_verifier: codeVerifier
+    }), {
+        timeout: HTTP_TIMEOUT_MS,
+        headers: { Accept: 'application/json' }
+    });
+
+    if (tokens.id_token && metadata.jwksUri) {
+        return toProfile(provider, await verifyIdToken(metadata, tokens.id_token, nonce));
+    }
+
+    if (!metadata.userinfoEndpoint || !tokens.access_token) {
+        throw new Error('The provider returned neither an ID token nor a way to read the profile');
+    }
+
+    const { data: claims } = await axios.get(metadata.userinfoEndpoint, {
+        timeout: HTTP_TIMEOUT_MS,
+        headers: { Authorization: `Bearer ${tokens.access_token}` }
+    });
+    return toProfile(provider, claims);
+}
+
+module.exports = {
+    listProviders,
+    getProvider,
+    createAuthorizationRequest,
+    fetchProfile
+};
@@ -0,0 +1,175 @@
+/**
+ * AFZ API Server - PDF Documents
+ * A small writer for text-and-rule documents such as giving statements, using the standard Helvetica fonts
+ */
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// Glyph widths in 1/1000 em for characters 32-126, from the Adobe font metrics
+const WIDTHS = {
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+const FONTS = { regular: { resource: 'F1', name: 'Helvetica' }, bold: { resource: 'F2', name: 'Helvetica-Bold' } };
+
+// Windows-1252 characters outside Latin-1 that amounts and names are likely to contain
+const WIN_ANSI = { '€': 0x80, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97 };
+
+function encodeText(text) {
+    const bytes = [];
+    for (const char of String(text)) {
+        const code = char.codePointAt(0);
+        if (WIN_ANSI[char]) {
+            bytes.push(WIN_ANSI[char]);
+        } else if (code === 0x202f || code === 0x2009) {
+            // Narrow spaces that Intl puts between currency symbols and amounts
+            bytes.push(0x20);
+        } else if (code >= 0x20 && code <= 0xff && !(code >= 0x7f && code < 0xa0)) {
+            bytes.push(code);
+        } else {
+            bytes.push(0x3f);
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function escapeString(bytes) {
+    return bytes.toString('latin1').replace(/[\\()]/g, match => `\\${match}`);
+}
+
+function number(value) {
+    return Number(value.toFixed(2)).toString();
+}
+
+class PdfDocument {
+    constructor({ title = '', author = '' } = {}) {
+        this.title = title;
+        this.author = author;
+        this.pages = [];
+        this.page = null;
+    }
+
+    get width() {
+        return PAGE_WIDTH;
+    }
+
+    get height() {
+        return PAGE_HEIGHT;
+    }
+
+    addPage() {
+        this.page = [];
+        this.pages.push(this.page);
+        return this.pages.length - 1;
+    }
+
+    // Later drawing goes to an earlier page, e.g. for "page 1 of 3" footers
+    setPage(index) {
+        this.page = this.pages[index];
+    }
+
+    textWidth(text, { font = 'regular', size = 10 } = {}) {
+        const widths = WIDTHS[font];
+        let total = 0;
+        for (const byte of encodeText(text)) {
+            total += byte >= 32 && byte <= 126 ? widths[byte - 32] : 556;
+        }
+        return total * size / 1000;
+    }
+
+    /**
+     * Draws one line of text. `y` is measured from the top of the page; `align` is relative to `x`,
+     * so right-aligned text ends at `x`.
+     */
+    text(text, x, y, { font = 'regular', size = 10, align = 'left', color = null } = {}) {
+        const width = this.textWidth(text, { font, size });
+        const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+        const fill = color ? `${color.map(number).join(' ')} rg ` : '';
+
+        this.page.push(`BT ${fill}/${FONTS[font].resource} ${number(size)} Tf ${number(left)} ${number(PAGE_HEIGHT - y)} Td ` +
+            `(${escapeString(encodeText(text))}) Tj ET`);
+    }
+
+    // Splits text into lines no wider than `width`, breaking between words
+    wrap(text, width, options = {}) {
+        const lines = [];
+        let line = '';
+        String(text).split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && this.textWidth(candidate, options) > width) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        if (line) lines.push(line);
+        return lines;
+    }
+
+    line(x1, y1, x2, y2, { width = 0.5, color = [0.8, 0.8, 0.8] } = {}) {
+        this.page.push(`q ${color.map(number).join(' ')} RG ${number(width)} w ` +
+            `${number(x1)} ${number(PAGE_HEIGHT - y1)} m ${number(x2)} ${number(PAGE_HEIGHT - y2)} l S Q`);
+    }
+
+    rect(x, y, width, height, { color }) {
+        this.page.push(`q ${color.map(number).join(' ')} rg ` +
+            `${number(x)} ${number(PAGE_HEIGHT - y - height)} ${number(width)} ${number(height)} re f Q`);
+    }
+
+    toBuffer() {
+        const objects = [];
+        // Returns the new object's number
+        const add = content => objects.push(content);
+
+        // 1: catalog, 2: page tree, 3-4: fonts, 5: info; pages and their contents follow
+        add('<< /Type /Catalog /Pages 2 0 R >>');
+        add(null);
+        Object.values(FONTS).forEach(({ name }) => {
+            add(`<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`);
+        });
+        add(`<< /Title (${escapeString(encodeText(this.title))}) /Author (${escapeString(encodeText(this.author))}) ` +
+            '/Producer (Albinism Foundation of Zambia) >>');
+
+        const fontResources = Object.values(FONTS).map(({ resource }, index) => `/${resource} ${index + 3} 0 R`).join(' ');
+        const pageIds = this.pages.map(operations => {
+            const stream = Buffer.from(operations.join('\n'), 'latin1');
+            const contentId = add(`<< /Length ${stream.length} >>\nstream\n${stream.toString('latin1')}\nendstream`);
+            return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+                `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+        });
+        objects[1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+        const offsets = objects.map((content, index) => {
+            const offset = Buffer.byteLength(output, 'latin1');
+            output += `${index + 1} 0 obj\n${content}\nendobj\n`;
+            return offset;
+        });
+
+        const xref = Buffer.byteLength(output, 'latin1');
+        output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        return Buffer.from(output, 'latin1');
+    }
+}
+
+module.exports = PdfDocument;
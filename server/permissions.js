@@ -0,0 +1,87 @@
+/**
+ * AFZ API Server - Roles & Permissions
+ * Permission matrix enforced by the API; the member hub shows only what these allow
+ */
+
+const ROLES = ['member', 'moderator', 'chapter-admin', 'super-admin'];
+
+// Chapters follow the provinces members register with
+const CHAPTERS = [
+    'central', 'copperbelt', 'eastern', 'luapula', 'lusaka',
+    'muchinga', 'northern', 'northwestern', 'southern', 'western'
+];
+
+const PERMISSIONS = {
+    'hub.use': 'Use the member hub: connections, events and resources',
+    'admin.access': 'Open the administration dashboard',
+    'content.moderate': 'Approve, feature, edit and remove content posted by other members',
+    'members.view': 'View member records',
+    'members.manage': 'Add members, edit their details and suspend or reactivate them',
+    'members.delete': 'Delete member accounts',
+    'roles.assign': 'Change member roles, chapters and sign-in email addresses',
+    'analytics.view': 'View analytics',
+    'audit.view': 'View audit logs',
+    'security.monitor': 'View security events and set alert thresholds',
+    'donations.view': 'View the donation ledger and donor receipts',
+    'donations.manage': 'Record payment outcomes and send donation receipts',
+    'campaigns.manage': 'Create fundraising campaigns and set their targets and deadlines',
+    'system.manage': 'Change system settings'
+};
+
+const MODERATOR_PERMISSIONS = ['hub.use', 'admin.access', 'content.moderate'];
+
+// Chapter admins only see and manage members of their own chapter (see canManageMember)
+const ROLE_PERMISSIONS = {
+    'member': ['hub.use'],
+    'moderator': MODERATOR_PERMISSIONS,
+    'chapter-admin': [...MODERATOR_PERMISSIONS, 'members.view', 'members.manage', 'analytics.view'],
+    'super-admin': Object.keys(PERMISSIONS)
+};
+
+// Accounts created before the role split were plain "admin"
+const LEGACY_ROLES = { admin: 'super-admin' };
+
+function normalizeRole(role) {
+    return LEGACY_ROLES[role] || (ROLES.includes(role) ? role : 'member');
+}
+
+function permissionsFor(user) {
+    return user ? ROLE_PERMISSIONS[normalizeRole(user.role)] : [];
+}
+
+function hasPermission(user, permission) {
+    return permissionsFor(user).includes(permission);
+}
+
+function chapterOf(user) {
+    return user.location || null;
+}
+
+function hasChapterScope(user) {
+    return normalizeRole(user.role) === 'chapter-admin';
+}
+
+// Whether actor may see a member record at all
+function canViewMember(actor, member) {
+    if (!hasPermission(actor, 'members.view')) return false;
+    return !hasChapterScope(actor) || (Boolean(chapterOf(actor)) && chapterOf(member) === chapterOf(actor));
+}
+
+// Chapter admins may only manage ordinary members and moderators of their own chapter
+function canManageMember(actor, member) {
+    if (!hasPermission(actor, 'members.manage') || !canViewMember(actor, member)) return false;
+    return !hasChapterScope(actor) || ['member', 'moderator'].includes(normalizeRole(member.role));
+}
+
+module.exports = {
+    ROLES,
+    CHAPTERS,
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    normalizeRole,
+    permissionsFor,
+    hasPermission,
+    chapterOf,
+    canViewMember,
+    canManageMember
+};
@@ -0,0 +1,467 @@
+/**
+ * AFZ API Server - Authentication Routes
+ * Member registration, login (password or social), sessions and logout
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
+const { body, param } = require('express-validator');
+const config = require('../config');
+const { ApiError, asyncHandler, validate } = require('../errors');
+const {
+    hashPassword,
+    verifyPassword,
+    isStrongPassword,
+    issueToken,
+    issueAccountToken,
+    verifyAccountToken,
+    describeTtl,
+    toPublicUser,
+    requireAuth
+} = require('../auth');
+const {
+    createSession,
+    rotateSession,
+    sessionIdFromRefreshToken,
+    revokeSession,
+    revokeUserSessions,
+    listUserSessions,
+    setRefreshCookie,
+    clearRefreshCookie
+} = require('../sessions');
+const { CHAPTERS } = require('../permissions');
+const { assertAttemptAllowed, recordFailure, recordSuccess } = require('../login-throttle');
+const { recordRequestEvent } = require('../security-events');
+const { isTwoFactorEnabled, needsTwoFactorSetup, checkSecondFactor } = require('../two-factor');
+const createTwoFactorRouter = require('./two-factor');
+const createOidcRouter = require('./oidc');
+
+// Password-verified logins wait this long for the authenticator code
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+
+const ACCOUNT_EMAILS = {
+    'verify-email': {
+        subject: 'Please verify your AFZ account',
+        param: 'verify',
+        ttl: () => config.auth.verificationTtl
+    },
+    'reset-password': {
+        subject: 'Reset your AFZ password',
+        param: 'reset',
+        ttl: () => config.auth.resetTtl
+    }
+};
+
+const passwordRules = () => body('password').custom(isStrongPassword)
+    .withMessage('Password must be at least 8 characters with uppercase, lowercase and a number.');
+
+const confirmPasswordRule = () => body('confirmPassword').custom((value, { req }) => value === req.body.password)
+    .withMessage('Passwords do not match.');
+
+function createAuthRouter(store, { mailer }) {
+    const router = express.Router();
+    const users = store.collection('users');
+    const challenges = store.collection('loginChallenges');
+
+    // Coarse per-IP cap on the endpoints that check credentials or send email
+    const authRateLimit = rateLimit({
+        windowMs: 15 * 60 * 1000,
+        limit: config.auth.rateLimit,
+        standardHeaders: 'draft-7',
+        legacyHeaders: false,
+        handler: (req, res, next) => {
+            // Recorded once per window, not for every request that is turned away
+            if (req.rateLimit.used === req.rateLimit.limit + 1) {
+                recordRequestEvent(store, req, 'RATE_LIMIT',
+                    `Sign-in and account email request limit reached at ${req.originalUrl}`);
+            }
+            next(new ApiError(429, 'Too many requests. Please try again in a few minutes.'));
+        }
+    });
+
+    // Starts a session, sets the refresh cookie and returns the access token
+    function startSession(req, res, user, persistent) {
+        const { session, refreshToken } = createSession(store, user, {
+            persistent,
+            userAgent: req.get('User-Agent'),
+            ip: req.ip
+        });
+
+        setRefreshCookie(res, session, refreshToken);
+        return issueToken(user, session);
+    }
+
+    // Shape shared by every response that hands out an access token
+    function sessionResponse(user, token) {
+        return {
+            success: true,
+            user: toPublicUser(user),
+            token,
+            twoFactorSetupRequired: needsTwoFactorSetup(store, user)
+        };
+    }
+
+    function completeLogin(req, res, user, rememberMe) {
+        users.update(user.id, { lastLoginAt: new Date().toISOString() });
+        return sessionResponse(user, startSession(req, res, user, rememberMe));
+    }
+
+    function issueTwoFactorChallenge(user, rememberMe) {
+        const id = crypto.randomUUID();
+        const now = Math.floor(Date.now() / 1000);
+
+        challenges.removeWhere(challenge => challenge.exp < now);
+        const token = jwt.sign({ sub: user.id, rememberMe }, config.auth.jwtSecret, {
+            audience: 'two-factor-login',
+            expiresIn: TWO_FACTOR_CHALLENGE_TTL,
+            jwtid: id
+        });
+        challenges.insert({ id, userId: user.id, attempts: 0, exp: jwt.decode(token).exp });
+
+        return token;
+    }
+
+    // The session behind a request, from the refresh cookie or an (even expired) access token
+    function findRequestSessionId(req) {
+        const cookieSessionId = sessionIdFromRefreshToken(req.cookies[config.auth.refreshCookie]);
+        if (cookieSessionId) return cookieSessionId;
+
+        const [scheme, token] = (req.get('Authorization') || '').split(' ');
+        if (scheme !== 'Bearer' || !token) return null;
+
+        try {
+            return jwt.verify(token, config.auth.jwtSecret, { ignoreExpiration: true }).sid;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Emails a signed single-purpose link back to the auth page
+    async function sendAccountEmail(user, purpose) {
+        const email = ACCOUNT_EMAILS[purpose];
+        const token = issueAccountToken(user, purpose);
+
+        await mailer.send({
+            to: user.email,
+            subject: email.subject,
+            template: purpose,
+            context: {
+                firstName: user.firstName,
+                link: `${config.appUrl}/pages/auth.html?${email.param}=${encodeURIComponent(token)}`,
+                expiresIn: describeTtl(email.ttl())
+            }
+        });
+    }
+
+    router.post('/register',
+        authRateLimit,
+        body('firstName').trim().notEmpty().withMessage('First name is required.').isLength({ max: 100 }),
+        body('lastName').trim().notEmpty().withMessage('Last name is required.').isLength({ max: 100 }),
+        body('email').trim().isEmail().withMessage('Please enter a valid email address.').toLowerCase(),
+        body('phone').optional({ values: 'falsy' }).trim()
+            .matches(/^[+]?[0-9\s\-()]{10,}$/).withMessage('Please enter a valid phone number.'),
+        body('location').optional({ values: 'falsy' }).isIn(CHAPTERS).withMessage('Please select a valid province.'),
+        passwordRules(),
+        confirmPasswordRule(),
+        body('agreeToTerms').equals('true')
+            .withMessage('You must agree to the Terms of Service and Privacy Policy to create an account.'),
+        validate,
+        asyncHandler(async (req, res) => {
+            const { firstName, lastName, email, phone, location, password, subscribeNewsletter } = req.body;
+
+            if (users.findOne(user => user.email === email)) {
+                throw new ApiError(409, 'An account with this email address already exists.');
+            }
+
+            const user = users.insert({
+                firstName,
+                lastName,
+                email,
+                phone: phone || null,
+                location: location || null,
+                subscribeNewsletter: subscribeNewsletter === true,
+                role: config.auth.adminEmails.includes(email) ? 'super-admin' : 'member',
+                status: 'active',
+                emailVerified: false,
+                passwordHash: await hashPassword(password)
+            });
+
+            let message = 'Account created successfully. Please check your email to verify your account.';
+            try {
+                await sendAccountEmail(user, 'verify-email');
+            } catch (error) {
+                console.error('Failed to send verification email:', error);
+                message = 'Account created, but we could not send the verification email. ' +
+                    'Log in to request a new one.';
+            }
+
+            res.status(201).json({
+                success: true,
+                message,
+                user: toPublicUser(user)
+            });
+        })
+    );
+
+    router.post('/login',
+        authRateLimit,
+        body('email').trim().isEmail().withMessage('Please enter a valid email address.').toLowerCase(),
+        body('password').isString().notEmpty().withMessage('Password is required.'),
+        body('rememberMe').optional().isBoolean().toBoolean(),
+        validate,
+        asyncHandler(async (req, res) => {
+            const { email, password, rememberMe } = req.body;
+            assertAttemptAllowed(store, req, res, email);
+
+            const user = users.findOne(record => record.email === email);
+            const passwordMatches = await verifyPassword(password, user && user.passwordHash);
+            if (!user || !passwordMatches) {
+                recordFailure(store, { email, ip: req.ip });
+                throw new ApiError(401, 'Invalid email or password.');
+            }
+            if (user.status === 'suspended') {
+                throw new ApiError(403, 'This account has been suspended. Please contact AFZ for help.');
+            }
+
+            // Second step: no session until the authenticator code has been checked.
+            // Failures are only cleared once that succeeds, so codes cannot be guessed between passwords.
+            if (isTwoFactorEnabled(user)) {
+                return res.json({
+                    success: true,
+                    twoFactorRequired: true,
+                    challengeToken: issueTwoFactorChallenge(user, rememberMe === true),
+                    message: 'Enter the code from your authenticator app.'
+                });
+            }
+
+            recordSuccess(store, { email });
+            res.json(completeLogin(req, res, user, rememberMe === true));
+        })
+    );
+
+    router.post('/login/two-factor',
+        authRateLimit,
+        body('challengeToken').isString().notEmpty().withMessage('Please log in again.'),
+        body('code').optional({ values: 'falsy' }).isString(),
+        body('recoveryCode').optional({ values: 'falsy' }).isString(),
+        body().custom(value => Boolean(value.code || value.recoveryCode))
+            .withMessage('Please enter your authentication code.'),
+        validate,
+        (req, res, next) => {
+            let payload;
+            try {
+                payload = jwt.verify(req.body.challengeToken, config.auth.jwtSecret, { audience: 'two-factor-login' });
+            } catch (error) {
+                return next(new ApiError(401, 'Your login has expired. Please enter your password again.',
+                    undefined, 'two_factor_challenge_expired'));
+            }
+
+            const challenge = challenges.get(payload.jti);
+            const user = users.get(payload.sub);
+
+            if (!challenge || challenge.attempts >= TWO_FACTOR_MAX_ATTEMPTS || !user || !isTwoFactorEnabled(user)) {
+                return next(new ApiError(401, 'Too many attempts or expired login. Please enter your password again.',
+                    undefined, 'two_factor_challenge_expired'));
+            }
+            if (user.status === 'suspended') {
+                return next(new ApiError(403, 'This account has been suspended. Please contact AFZ for help.'));
+            }
+
+            // Guessing codes across fresh challenges counts against the account too
+            assertAttemptAllowed(store, req, res, user.email);
+
+            const result = checkSecondFactor(user, req.body);
+            if (!result) {
+                challenges.update(challenge.id, { attempts: challenge.attempts + 1 });
+                recordFailure(store, { email: user.email, ip: req.ip });
+                return next(new ApiError(401, 'That code is not valid. Please try again.'));
+            }
+
+            // A challenge can only be completed once
+            challenges.remove(challenge.id);
+            recordSuccess(store, { email: user.email });
+            const updated = users.update(user.id, { twoFactor: result.twoFactor });
+
+            res.json({
+                ...completeLogin(req, res, updated, payload.rememberMe === true),
+                ...(result.method === 'recovery-code'
+                    ? { recoveryCodesRemaining: result.twoFactor.recoveryCodes.length }
+                    : {})
+            });
+        }
+    );
+
+    // Exchanges the refresh cookie for a new access token, rotating the cookie
+    router.post('/refresh', (req, res, next) => {
+        const rotated = rotateSession(store, req.cookies[config.auth.refreshCookie]);
+        const user = rotated && users.get(rotated.session.userId);
+
+        if (!user || user.status === 'suspended') {
+            if (rotated) revokeSession(store, rotated.session.id, 'account-unavailable');
+            clearRefreshCookie(res);
+            return next(new ApiError(401, 'Your session has ended. Please log in again.'));
+        }
+
+        if (rotated.refreshToken) {
+            setRefreshCookie(res, rotated.session, rotated.refreshToken);
+        }
+
+        res.json(sessionResponse(user, issueToken(user, rotated.session)));
+    });
+
+    // Works without a valid access token so an expired tab can still end its session
+    router.post('/logout', (req, res) => {
+        const sessionId = findRequestSessionId(req);
+        if (sessionId) {
+            revokeSession(store, sessionId, 'logout');
+        }
+
+        clearRefreshCookie(res);
+        res.json({ success: true, message: 'You have been logged out.' });
+    });
+
+    router.get('/me', requireAuth(store, { allowTwoFactorSetup: true }), (req, res) => {
+        res.json({
+            success: true,
+            user: toPublicUser(req.user),
+            twoFactorSetupRequired: needsTwoFactorSetup(store, req.user)
+        });
+    });
+
+    router.use('/two-factor', createTwoFactorRouter(store));
+    router.use('/oidc', createOidcRouter(store, { completeLogin, issueTwoFactorChallenge }));
+
+    router.get('/sessions', requireAuth(store), (req, res) => {
+        const sessions = listUserSessions(store, req.user.id).map(session => ({
+            id: session.id,
+            userAgent: session.userAgent,
+            ip: session.ip,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            expiresAt: session.expiresAt,
+            current: session.id === req.session.id
+        }));
+
+        res.json({ success: true, sessions });
+    });
+
+    router.delete('/sessions/:id',
+        requireAuth(store),
+        param('id').isString(),
+        validate,
+        (req, res, next) => {
+            const session = listUserSessions(store, req.user.id).find(item => item.id === req.params.id);
+            if (!session) return next(new ApiError(404, 'Session not found.'));
+
+            revokeSession(store, session.id, 'logout');
+            if (session.id === req.session.id) clearRefreshCookie(res);
+
+            res.json({ success: true, message: 'The session has been signed out.' });
+        }
+    );
+
+    // Changing the password signs out every other device
+    router.post('/password',
+        requireAuth(store),
+        body('currentPassword').isString().notEmpty().withMessage('Current password is required.'),
+        passwordRules(),
+        confirmPasswordRule(),
+        validate,
+        asyncHandler(async (req, res) => {
+            assertAttemptAllowed(store, req, res, req.user.email);
+
+            if (!await verifyPassword(req.body.currentPassword, req.user.passwordHash)) {
+                recordFailure(store, { email: req.user.email, ip: req.ip });
+                throw new ApiError(400, 'Your current password is incorrect.');
+            }
+
+            users.update(req.user.id, {
+                passwordHash: await hashPassword(req.body.password),
+                passwordChangedAt: new Date().toISOString()
+            });
+            revokeUserSessions(store, req.user.id, 'password-change', { except: req.session.id });
+
+            res.json({ success: true, message: 'Your password has been changed. Other devices have been signed out.' });
+        })
+    );
+
+    router.post('/verify',
+        body('token').isString().notEmpty().withMessage('Verification token is required.'),
+        validate,
+        (req, res) => {
+            const user = verifyAccountToken(store, req.body.token, 'verify-email');
+            const verified = user.emailVerified
+                ? user
+                : users.update(user.id, { emailVerified: true, emailVerifiedAt: new Date().toISOString() });
+
+            res.json({
+                success: true,
+                message: 'Your email address has been verified. Thank you!',
+                user: toPublicUser(verified)
+            });
+        }
+    );
+
+    router.post('/verify/resend', authRateLimit, requireAuth(store), asyncHandler(async (req, res) => {
+        if (req.user.emailVerified) {
+            throw new ApiError(400, 'Your email address is already verified.');
+        }
+
+        await sendAccountEmail(req.user, 'verify-email');
+        res.json({ success: true, message: `A new verification link has been sent to ${req.user.email}.` });
+    }));
+
+    // Always answers the same way so the form cannot be used to discover accounts
+    router.post('/reset/request',
+        authRateLimit,
+        body('email').trim().isEmail().withMessage('Please enter a valid email address.').toLowerCase(),
+        validate,
+        asyncHandler(async (req, res) => {
+            const user = users.findOne(record => record.email === req.body.email);
+
+            if (user) {
+                try {
+                    await sendAccountEmail(user, 'reset-password');
+                } catch (error) {
+                    console.error('Failed to send password reset email:', error);
+                }
+            }
+
+            res.json({
+                success: true,
+                message: 'If an account exists for that email, a password reset link has been sent.'
+            });
+        })
+    );
+
+    router.post('/reset',
+        authRateLimit,
+        body('token').isString().notEmpty().withMessage('Reset token is required.'),
+        passwordRules(),
+        confirmPasswordRule(),
+        validate,
+        asyncHandler(async (req, res) => {
+            const user = verifyAccountToken(store, req.body.token, 'reset-password');
+
+            // Following the emailed link also proves the address belongs to the member
+            users.update(user.id, {
+                passwordHash: await hashPassword(req.body.password),
+                passwordChangedAt: new Date().toISOString(),
+                emailVerified: true,
+                emailVerifiedAt: user.emailVerifiedAt || new Date().toISOString()
+            });
+            revokeUserSessions(store, user.id, 'password-reset');
+            // Proving ownership of the email also lifts a lockout
+            recordSuccess(store, { email: user.email });
+
+            res.json({ success: true, message: 'Your password has been reset. You can now log in.' });
+        })
+    );
+
+    return router;
+}
+
+module.exports = createAuthRouter;
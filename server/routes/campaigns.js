@@ -0,0 +1,134 @@
+/**
+ * AFZ API Server - Campaign Routes
+ * Public campaign progress and the embeddable thermometer; creating and editing campaigns for staff
+ */
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const config = require('../config');
+const { ApiError, validate } = require('../errors');
+const { requireAuth, optionalAuth, requirePermission } = require('../auth');
+const { hasPermission } = require('../permissions');
+const { allowFraming } = require('../csp');
+const { CURRENCIES } = require('../exchange-rates');
+const {
+    STATUSES,
+    findCampaign,
+    describeCampaign,
+    createCampaign,
+    updateCampaign,
+    renderCampaignWidget
+} = require('../campaigns');
+
+// Shared by create (required) and update (optional)
+function campaignRules(optional) {
+    const field = name => (optional ? body(name).optional() : body(name));
+
+    return [
+        field('title').isString().trim().notEmpty().withMessage('Please give the campaign a title.').isLength({ max: 120 }),
+        body('slug').optional({ values: 'falsy' }).isString().trim().toLowerCase().isLength({ max: 60 }),
+        body('description').optional().isString().trim().isLength({ max: 2000 }),
+        field('targetAmount').isFloat({ min: 1, max: 1000000000 }).withMessage('Please enter the amount to raise.').toFloat(),
+        body('currency').optional().isIn(CURRENCIES).withMessage('Unsupported currency.'),
+        body('startsAt').optional({ nullable: true }).isISO8601().withMessage('Invalid start date.'),
+        body('endsAt').optional({ nullable: true }).isISO8601().withMessage('Invalid deadline.'),
+        body('status').optional().isIn(STATUSES).withMessage('Unknown campaign status.')
+    ];
+}
+
+function createCampaignsRouter(store) {
+    const router = express.Router();
+    const campaigns = store.collection('campaigns');
+
+    // Drafts are only visible to the people preparing them
+    function loadCampaign(req) {
+        const campaign = findCampaign(store, req.params.id);
+        if (!campaign || (campaign.status === 'draft' && !hasPermission(req.user, 'campaigns.manage'))) {
+            throw new ApiError(404, 'Campaign not found.');
+        }
+        return campaign;
+    }
+
+    router.get('/',
+        optionalAuth(store),
+        query('status').optional().isIn(STATUSES).withMessage('Unknown campaign status.'),
+        validate,
+        (req, res) => {
+            const { status } = req.query;
+            const canManage = hasPermission(req.user, 'campaigns.manage');
+            if (status === 'draft' && !canManage) {
+                throw new ApiError(403, 'You do not have permission to see draft campaigns.');
+            }
+
+            const items = campaigns
+                .find(campaign => (status ? campaign.status === status : canManage || campaign.status !== 'draft'))
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+                .map(campaign => describeCampaign(store, campaign));
+
+            res.json({ success: true, total: items.length, items });
+        }
+    );
+
+    router.get('/:id',
+        optionalAuth(store),
+        param('id').isString(),
+        validate,
+        (req, res) => {
+            res.json({ success: true, campaign: describeCampaign(store, loadCampaign(req)) });
+        }
+    );
+
+    // Meant for an <iframe> on partner sites, so framing is allowed here only
+    router.get('/:id/embed',
+        allowFraming(config.campaigns.embedOrigins),
+        param('id').isString(),
+        validate,
+        (req, res) => {
+            const campaign = findCampaign(store, req.params.id);
+            if (!campaign || campaign.status === 'draft') {
+                throw new ApiError(404, 'Campaign not found.');
+            }
+
+            res.set('Cache-Control', 'no-store');
+            res.type('html').send(renderCampaignWidget(store, campaign, { nonce: res.locals.cspNonce }));
+        }
+    );
+
+    router.use(requireAuth(store), requirePermission('campaigns.manage'));
+
+    router.post('/',
+        ...campaignRules(false),
+        validate,
+        (req, res) => {
+            const campaign = createCampaign(store, req.body, { by: req.user.id });
+            res.status(201).json({ success: true, campaign: describeCampaign(store, campaign) });
+        }
+    );
+
+    router.patch('/:id',
+        ...campaignRules(true),
+        validate,
+        (req, res) => {
+            const campaign = updateCampaign(store, loadCampaign(req), req.body, { by: req.user.id });
+            res.json({ success: true, campaign: describeCampaign(store, campaign) });
+        }
+    );
+
+    // Campaigns that donations or fundraising pages point to are closed instead, so nothing is left dangling
+    router.delete('/:id', (req, res) => {
+        const campaign = loadCampaign(req);
+        if (store.collection('donations').findOne(donation => donation.campaignId === campaign.id)) {
+            throw new ApiError(409, 'Donations have been made to this campaign; close it instead.');
+        }
+        if (store.collection('fundraisers').findOne(fundraiser => fundraiser.campaignId === campaign.id)) {
+            throw new ApiError(409, 'Members have started fundraising pages for this campaign; close it instead.');
+        }
+
+        campaigns.remove(campaign.id);
+        res.json({ success: true, message: `Campaign "${campaign.title}" deleted.` });
+    });
+
+    return router;
+}
+
+module.exports = createCampaignsRouter;
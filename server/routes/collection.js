@@ -0,0 +1,137 @@
+/**
+ * AFZ API Server - Collection Routes
+ * Generic REST endpoints (list/get/create/update/delete) for member hub collections
+ */
+
+const express = require('express');
+const { ApiError } = require('../errors');
+const { requireAuth, requireVerified, requirePermission } = require('../auth');
+const { hasPermission } = require('../permissions');
+
+/**
+ * @param {DataStore} store
+ * @param {Object} definition
+ * @param {string} definition.collection - datastore collection name
+ * @param {string} definition.label - singular name used in error messages
+ * @param {string[]} definition.fields - fields clients may write
+ * @param {string[]} [definition.moderatedFields] - fields only members with content.moderate may write
+ * @param {string[]} [definition.required] - fields that must be present on create
+ * @param {string[]} [definition.counters] - numeric fields any member may increment
+ * @param {Object} [definition.defaults] - initial values for new records
+ * @param {string} definition.ownerField - field stamped with the creating member's id
+ * @param {boolean} [definition.privateToOwner] - only list/read the caller's own records
+ * @param {string} [definition.sortField] - newest-first sort key for listings
+ */
+function createCollectionRouter(store, definition) {
+    const router = express.Router();
+    const records = store.collection(definition.collection);
+    const {
+        label,
+        fields,
+        moderatedFields = [],
+        required = [],
+        counters = [],
+        defaults = {},
+        ownerField,
+        privateToOwner = false,
+        sortField = 'createdAt'
+    } = definition;
+
+    function pickFields(source, writable = fields) {
+        return writable.reduce((picked, field) => {
+            if (source[field] !== undefined) picked[field] = source[field];
+            return picked;
+        }, {});
+    }
+
+    function writableFields(user) {
+        return hasPermission(user, 'content.moderate') ? [...fields, ...moderatedFields] : fields;
+    }
+
+    function isOwner(record, user) {
+        return record[ownerField] === user.id;
+    }
+
+    function loadRecord(req) {
+        const record = records.get(req.params.id);
+
+        if (!record || (privateToOwner && !isOwner(record, req.user))) {
+            throw new ApiError(404, `${label} not found.`);
+        }
+        return record;
+    }
+
+    // Moderators may change or remove any shared record; private records stay with their owner
+    function loadOwnedRecord(req) {
+        const record = loadRecord(req);
+        const canModerate = !privateToOwner && hasPermission(req.user, 'content.moderate');
+
+        if (!isOwner(record, req.user) && !canModerate) {
+            throw new ApiError(403, `Only the member who created this ${label.toLowerCase()} can change it.`);
+        }
+        return record;
+    }
+
+    router.use(requireAuth(store), requirePermission('hub.use'));
+    router.use((req, res, next) => (req.method === 'GET' ? next() : requireVerified(req, res, next)));
+
+    // GET /?category=healthcare - equality filters on any writable field
+    router.get('/', (req, res) => {
+        const filters = Object.entries(pickFields(req.query, [...fields, ...moderatedFields]));
+
+        const items = records
+            .find(record =>
+                (!privateToOwner || isOwner(record, req.user)) &&
+                filters.every(([field, value]) => String(record[field]) === value))
+            .sort((a, b) => new Date(b[sortField]) - new Date(a[sortField]));
+
+        res.json({ success: true, items });
+    });
+
+    router.get('/:id', (req, res) => {
+        res.json({ success: true, item: loadRecord(req) });
+    });
+
+    router.post('/', (req, res) => {
+        const data = pickFields(req.body || {}, writableFields(req.user));
+        const missing = required.filter(field => data[field] === undefined || data[field] === '');
+
+        if (missing.length > 0) {
+            throw new ApiError(422, `Missing required field: ${missing.join(', ')}.`);
+        }
+
+        const item = records.insert({ ...defaults, ...data, [ownerField]: req.user.id });
+        res.status(201).json({ success: true, item });
+    });
+
+    router.patch('/:id', (req, res) => {
+        const record = loadOwnedRecord(req);
+        const item = records.update(record.id, pickFields(req.body || {}, writableFields(req.user)));
+
+        res.json({ success: true, item });
+    });
+
+    router.delete('/:id', (req, res) => {
+        const record = loadOwnedRecord(req);
+        records.remove(record.id);
+
+        res.json({ success: true });
+    });
+
+    // POST /:id/increment { field: 'downloads' }
+    router.post('/:id/increment', (req, res) => {
+        const record = loadRecord(req);
+        const field = req.body && req.body.field;
+
+        if (!counters.includes(field)) {
+            throw new ApiError(422, `${field} cannot be incremented.`);
+        }
+
+        const item = records.update(record.id, { [field]: (Number(record[field]) || 0) + 1 });
+        res.json({ success: true, item });
+    });
+
+    return router;
+}
+
+module.exports = createCollectionRouter;
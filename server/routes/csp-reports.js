@@ -0,0 +1,73 @@
+/**
+ * AFZ API Server - CSP Report Routes
+ * Content Security Policy violation reports from browsers, stored as security events
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const config = require('../config');
+const { recordSecurityEvent } = require('../security-events');
+
+const MAX_REPORTS = 20;
+
+// report-uri sends { "csp-report": {...} }; the Reporting API sends a list of { type, body }
+function readReports(payload) {
+    if (Array.isArray(payload)) {
+        return payload
+            .filter(report => report && report.type === 'csp-violation' && report.body)
+            .map(({ body }) => ({
+                documentUrl: body.documentURL,
+                directive: body.effectiveDirective,
+                blocked: body.blockedURL,
+                source: body.sourceFile,
+                line: body.lineNumber
+            }));
+    }
+
+    const report = payload && payload['csp-report'];
+    if (!report) return [];
+
+    return [{
+        documentUrl: report['document-uri'],
+        directive: report['effective-directive'] || report['violated-directive'],
+        blocked: report['blocked-uri'],
+        source: report['source-file'],
+        line: report['line-number']
+    }];
+}
+
+function describe(report) {
+    const location = report.source ? ` (${report.source}${report.line ? `:${report.line}` : ''})` : '';
+    return `${report.directive || 'unknown directive'} blocked ${report.blocked || 'inline content'}${location}`;
+}
+
+function createCspReportsRouter(store) {
+    const router = express.Router();
+
+    router.post('/',
+        rateLimit({
+            windowMs: 15 * 60 * 1000,
+            limit: config.securityEvents.ingestRateLimit,
+            standardHeaders: 'draft-7',
+            legacyHeaders: false,
+            // Browsers do not retry reports, so there is nothing useful to say
+            handler: (req, res) => res.status(204).end()
+        }),
+        express.json({ type: ['application/csp-report', 'application/reports+json', 'application/json'], limit: '50kb' }),
+        (req, res) => {
+            readReports(req.body).slice(0, MAX_REPORTS).forEach(report => recordSecurityEvent(store, {
+                type: 'CSP_VIOLATION',
+                message: describe(report),
+                url: report.documentUrl,
+                ip: req.ip,
+                userAgent: req.get('User-Agent'),
+                source: 'client'
+            }));
+            res.status(204).end();
+        }
+    );
+
+    return router;
+}
+
+module.exports = createCspReportsRouter;
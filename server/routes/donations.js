@@ -0,0 +1,346 @@
+/**
+ * AFZ API Server - Donation Routes
+ * Donations started on the donate page, donor receipts, and the finance team's ledger
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, header, param, query } = require('express-validator');
+const config = require('../config');
+const { ApiError, asyncHandler, validate } = require('../errors');
+const { requireAuth, optionalAuth, requirePermission } = require('../auth');
+const { hasPermission } = require('../permissions');
+const {
+    CURRENCIES,
+    GATEWAYS,
+    DONATION_TYPES,
+    STATUSES,
+    recordDonation,
+    updateDonationStatus,
+    completeDonation,
+    listDonations,
+    summarizeDonations,
+    totalInZmw,
+    receiptToken,
+    isReceiptToken,
+    receiptUrl,
+    renderReceipt,
+    sendReceipt
+} = require('../donations');
+const { isRecurring, canRecur, createSubscription } = require('../subscriptions');
+const { startCheckout } = require('../gateways');
+const { findCampaign, isOpen } = require('../campaigns');
+const { findFundraiser, openFundraiser } = require('../fundraisers');
+const { TRIBUTE_TYPES, ECARD_DESIGNS, buildTribute, describeTribute } = require('../tributes');
+const { ledgerColumns, monthlySummary, monthlyColumns } = require('../finance');
+const { sendSpreadsheet } = require('../spreadsheets');
+
+// Tribute fields are only checked when the donor chose to dedicate the gift
+const hasTribute = () => body('tribute').exists({ values: 'falsy' });
+
+// What the donor sees about the entry they just created
+function toDonationSummary(donation) {
+    return {
+        id: donation.id,
+        receiptNumber: donation.receiptNumber,
+        amount: donation.amount,
+        currency: donation.currency,
+        coverFees: donation.coverFees,
+        feeAmount: donation.feeAmount,
+        netAmount: donation.netAmount,
+        zmwAmount: donation.zmwAmount,
+        gateway: donation.gateway,
+        donationType: donation.donationType,
+        status: donation.status,
+        subscriptionId: donation.subscriptionId || null,
+        campaignId: donation.campaignId || null,
+        fundraiserId: donation.fundraiserId || null,
+        tribute: describeTribute(donation.tribute),
+        createdAt: donation.createdAt
+    };
+}
+
+function createDonationsRouter(store, { mailer }) {
+    const router = express.Router();
+    const donations = store.collection('donations');
+
+    function loadDonation(req) {
+        const donation = donations.get(req.params.id);
+        if (!donation) {
+            throw new ApiError(404, 'Donation not found.');
+        }
+        return donation;
+    }
+
+    // The donation token stands in for a session on the donate page
+    function loadDonorDonation(id, token) {
+        const donation = donations.get(id);
+        if (!donation || !isReceiptToken(donation, token)) {
+            throw new ApiError(404, 'Donation not found.');
+        }
+        return donation;
+    }
+
+    router.post('/',
+        rateLimit({
+            windowMs: 15 * 60 * 1000,
+            limit: config.donations.rateLimit,
+            standardHeaders: 'draft-7',
+            legacyHeaders: false,
+            handler: (req, res, next) => next(new ApiError(429, 'Too many donation attempts. Please try again later.'))
+        }),
+        optionalAuth(store),
+        body('amount').isFloat({ min: 0.01, max: 10000000 }).withMessage('Please enter a valid donation amount.').toFloat(),
+        body('currency').isIn(CURRENCIES).withMessage('Unsupported currency.'),
+        body('gateway').isIn(Object.keys(GATEWAYS)).withMessage('Unsupported payment method.'),
+        body('donationType').optional().isIn(DONATION_TYPES).withMessage('Unknown donation type.'),
+        body('donor.firstName').trim().notEmpty().withMessage('First name is required.').isLength({ max: 100 }),
+        body('donor.lastName').trim().notEmpty().withMessage('Last name is required.').isLength({ max: 100 }),
+        body('donor.email').trim().isEmail().withMessage('A valid email address is required.'),
+        body('donor.phone').optional({ values: 'falsy' }).trim().isLength({ max: 30 }),
+        body('anonymous').optional().isBoolean().toBoolean(),
+        body('coverFees').optional().isBoolean().toBoolean(),
+        body('dedication').optional({ values: 'falsy' }).isString().trim().isLength({ max: 500 }),
+        body('campaign').optional({ values: 'falsy' }).isString().trim().isLength({ max: 100 }),
+        body('fundraiser').optional({ values: 'falsy' }).isString().trim().isLength({ max: 100 }),
+        body('tribute').optional({ values: 'falsy' }).isObject().withMessage('Invalid tribute.'),
+        body('tribute.type').if(hasTribute()).isIn(TRIBUTE_TYPES).withMessage('Choose whether the gift is in honour or in memory of someone.'),
+        body('tribute.honoreeName').if(hasTribute()).trim().notEmpty()
+            .withMessage('Please enter the name of the person the gift honours.').isLength({ max: 100 }),
+        body('tribute.recipientName').optional({ values: 'falsy' }).isString().trim().isLength({ max: 100 }),
+        body('tribute.recipientEmail').optional({ values: 'falsy' }).trim().isEmail().withMessage('Please enter a valid email address for the e-card.'),
+        body('tribute.design').optional({ values: 'falsy' }).isIn(Object.keys(ECARD_DESIGNS)).withMessage('Unknown e-card design.'),
+        body('tribute.sendOn').optional({ values: 'falsy' }).isDate({ format: 'YYYY-MM-DD', strictMode: true })
+            .withMessage('Please choose the day to send the e-card.'),
+        header('Idempotency-Key').optional().isString().isLength({ min: 1, max: 100 }).withMessage('Invalid Idempotency-Key header.'),
+        validate,
+        (req, res) => {
+            // A request sent again after its answer was lost gets the entry it made the first time
+            const idempotencyKey = req.get('Idempotency-Key') || null;
+            const earlier = idempotencyKey && donations.findOne(donation => donation.idempotencyKey === idempotencyKey &&
+                donation.donor.email === req.body.donor.email.toLowerCase());
+            if (earlier) {
+                res.json({
+                    success: true,
+                    donation: toDonationSummary(earlier),
+                    token: receiptToken(earlier),
+                    receiptUrl: receiptUrl(earlier)
+                });
+                return;
+            }
+
+            const recurring = isRecurring(req.body.donationType);
+            if (recurring && !canRecur(req.body.gateway, req.body.currency)) {
+                throw new ApiError(422, 'Monthly, quarterly and annual donations are currently collected by mobile money in Zambian Kwacha (ZMW).');
+            }
+
+            // Made through a member's page (?fundraiser= on the donate page); it counts towards the page's campaign
+            const page = req.body.fundraiser ? openFundraiser(store, req.body.fundraiser) : null;
+            if (req.body.fundraiser && !page) {
+                throw new ApiError(422, 'This fundraising page is not taking donations any more.');
+            }
+
+            // Earmarked through ?campaign= on the donate page, by slug or id
+            const campaign = page ? page.campaign : req.body.campaign ? findCampaign(store, req.body.campaign) : null;
+            if (req.body.campaign && (!campaign || !isOpen(campaign))) {
+                throw new ApiError(422, 'This campaign is not taking donations any more.');
+            }
+
+            // The card itself goes out once the donation is paid (see tributes.js)
+            const tribute = req.body.tribute ? buildTribute(req.body.tribute) : null;
+
+            let donation = recordDonation(store, {
+                ...req.body,
+                tribute,
+                campaignId: campaign ? campaign.id : null,
+                fundraiserId: page ? page.fundraiser.id : null,
+                raisedBy: page ? page.fundraiser.ownerId : null,
+                idempotencyKey
+            }, {
+                userId: req.user ? req.user.id : null
+            });
+            if (recurring) {
+                createSubscription(store, donation);
+                donation = donations.get(donation.id);
+            }
+
+            // The token also lets the donate page start and follow the payment for this entry
+            res.status(201).json({
+                success: true,
+                donation: toDonationSummary(donation),
+                token: receiptToken(donation),
+                receiptUrl: receiptUrl(donation)
+            });
+        }
+    );
+
+    // PayPal, Stripe and Flutterwave take the payment on their own pages; the webhook settles it
+    router.post('/:id/checkout',
+        param('id').isString(),
+        body('token').isString().withMessage('Donation token is required.'),
+        validate,
+        asyncHandler(async (req, res) => {
+            const donation = loadDonorDonation(req.params.id, req.body.token);
+            res.json({ success: true, url: await startCheckout(donation) });
+        })
+    );
+
+    // Followed by the donate page when the donor comes back from a gateway
+    router.get('/:id/status',
+        param('id').isString(),
+        query('token').isString().withMessage('Donation token is required.'),
+        validate,
+        (req, res) => {
+            const donation = loadDonorDonation(req.params.id, req.query.token);
+            res.json({ success: true, donation: toDonationSummary(donation), receiptUrl: receiptUrl(donation) });
+        }
+    );
+
+    // Opened from the receipt email without signing in, or by the finance team
+    router.get('/:id/receipt',
+        optionalAuth(store),
+        param('id').isString(),
+        query('token').optional().isString(),
+        validate,
+        (req, res) => {
+            const donation = donations.get(req.params.id);
+            const allowed = donation &&
+                (isReceiptToken(donation, req.query.token) || hasPermission(req.user, 'donations.view'));
+            if (!allowed) {
+                throw new ApiError(404, 'Receipt not found.');
+            }
+            if (!donation.completedAt) {
+                throw new ApiError(409, 'A receipt is issued once the payment has been confirmed.');
+            }
+
+            if (req.query.download) {
+                res.attachment(`${donation.receiptNumber}.html`);
+            }
+            res.set('Cache-Control', 'no-store');
+            res.type('html').send(renderReceipt(donation, { nonce: res.locals.cspNonce }));
+        }
+    );
+
+    router.use(requireAuth(store), requirePermission('donations.view'));
+
+    const ledgerQuery = [
+        query('status').optional().isIn(STATUSES).withMessage('Unknown donation status.'),
+        query('gateway').optional().isIn(Object.keys(GATEWAYS)).withMessage('Unsupported payment method.'),
+        query('currency').optional().isIn(CURRENCIES).withMessage('Unsupported currency.'),
+        query('campaign').optional().isString(),
+        query('fundraiser').optional().isString(),
+        query('raisedBy').optional().isString(),
+        query('from').optional().isISO8601().withMessage('Invalid start date.'),
+        query('to').optional().isISO8601().withMessage('Invalid end date.'),
+        query('q').optional().isString().isLength({ max: 200 })
+    ];
+
+    // The ledger filters of the list and the export, with campaigns and pages given by id or slug
+    function ledgerFilters({ status, gateway, currency, campaign, fundraiser, raisedBy, from, to, q }) {
+        const earmarked = campaign ? findCampaign(store, campaign) : null;
+        if (campaign && !earmarked) {
+            throw new ApiError(422, 'Unknown campaign.');
+        }
+        const page = fundraiser ? findFundraiser(store, fundraiser) : null;
+        if (fundraiser && !page) {
+            throw new ApiError(422, 'Unknown fundraising page.');
+        }
+
+        return {
+            status,
+            gateway,
+            currency,
+            campaignId: earmarked ? earmarked.id : undefined,
+            fundraiserId: page ? page.id : undefined,
+            raisedBy,
+            from,
+            to,
+            search: q
+        };
+    }
+
+    router.get('/',
+        ...ledgerQuery,
+        query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+        validate,
+        (req, res) => {
+            const { total, items } = listDonations(store, { ...ledgerFilters(req.query), limit: req.query.limit });
+
+            res.json({ success: true, total, totals: summarizeDonations(items), zmwTotal: totalInZmw(items), items });
+        }
+    );
+
+    // Every entry matching the ledger filters, not just the first page
+    router.get('/export',
+        ...ledgerQuery,
+        query('format').optional().isIn(['csv', 'xlsx']).withMessage('Exports are CSV or XLSX.'),
+        validate,
+        (req, res) => {
+            const { items } = listDonations(store, { ...ledgerFilters(req.query), limit: Infinity });
+            const date = new Date().toISOString().slice(0, 10);
+
+            sendSpreadsheet(res, req.query.format || 'csv', `AFZ-donations-${date}`, [
+                { name: 'Donations', columns: ledgerColumns(store), rows: items }
+            ]);
+        }
+    );
+
+    // The year's takings by month in kwacha, as the auditors ask for them
+    router.get('/reports/monthly',
+        query('year').optional().isInt({ min: 2000, max: 2100 }).withMessage('Invalid year.').toInt(),
+        query('format').optional().isIn(['json', 'csv', 'xlsx']).withMessage('Reports are JSON, CSV or XLSX.'),
+        validate,
+        (req, res) => {
+            const year = req.query.year || Number(new Date().toLocaleDateString('en-CA', { timeZone: 'Africa/Lusaka' }).slice(0, 4));
+            const summary = monthlySummary(store, year);
+            const format = req.query.format || 'json';
+
+            if (format === 'json') {
+                return res.json({ success: true, summary });
+            }
+
+            sendSpreadsheet(res, format, `AFZ-monthly-summary-${year}`, [{
+                name: `Monthly summary ${year}`,
+                columns: monthlyColumns(),
+                rows: [...summary.months, { month: `${year} total`, ...summary.totals }]
+            }]);
+        }
+    );
+
+    router.get('/:id', (req, res) => {
+        const donation = loadDonation(req);
+        res.json({ success: true, donation, receiptUrl: receiptUrl(donation) });
+    });
+
+    router.patch('/:id/status',
+        requirePermission('donations.manage'),
+        body('status').isIn(STATUSES.filter(status => status !== 'pending')).withMessage('Unknown donation status.'),
+        body('note').optional().isString().trim().isLength({ max: 500 }),
+        body('gatewayReference').optional().isString().trim().isLength({ max: 200 }),
+        validate,
+        asyncHandler(async (req, res) => {
+            loadDonation(req);
+            const { status, note, gatewayReference } = req.body;
+            const options = { by: req.user.id, note, gatewayReference };
+
+            if (status === 'completed') {
+                const { donation, receiptSent } = await completeDonation(store, mailer, req.params.id, options);
+                return res.json({ success: true, donation, receiptSent });
+            }
+
+            res.json({ success: true, donation: updateDonationStatus(store, req.params.id, status, options), receiptSent: false });
+        })
+    );
+
+    router.post('/:id/receipt/send',
+        requirePermission('donations.manage'),
+        asyncHandler(async (req, res) => {
+            const donation = await sendReceipt(store, mailer, loadDonation(req));
+            res.json({ success: true, donation, message: `Receipt sent to ${donation.donor.email}.` });
+        })
+    );
+
+    return router;
+}
+
+module.exports = createDonationsRouter;
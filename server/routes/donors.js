@@ -0,0 +1,189 @@
+/**
+ * AFZ API Server - Donor Portal Routes
+ * Giving history for signed-in members and, through an emailed link, for donors without an account
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, param, query } = require('express-validator');
+const config = require('../config');
+const { ApiError, asyncHandler, validate } = require('../errors');
+const { requireAuth, optionalAuth, requirePermission } = require('../auth');
+const { hasPermission } = require('../permissions');
+const {
+    findDonor,
+    ensureDonor,
+    updateDonor,
+    donorDonations,
+    openPortalSession,
+    portalSessionEmail,
+    closePortalSession,
+    isStatementToken,
+    describeGiving,
+    sendPortalLink,
+    renderStatement
+} = require('../donors');
+const { donorRows, DONOR_COLUMNS } = require('../finance');
+const { sendSpreadsheet } = require('../spreadsheets');
+
+// The portal session cookie is only sent to the donor routes
+function sessionCookieOptions() {
+    return {
+        httpOnly: true,
+        secure: config.env === 'production',
+        sameSite: 'strict',
+        path: '/api/donors'
+    };
+}
+
+function createDonorsRouter(store, { mailer }) {
+    const router = express.Router();
+    const donors = store.collection('donors');
+
+    /**
+     * The donor behind a portal request: the session opened with the emailed link, or the signed-in member's own
+     * email once they have verified it, so nobody can read another donor's gifts by registering with their address.
+     */
+    function portalDonor(req, res, next) {
+        const email = portalSessionEmail(store, req.cookies[config.donors.sessionCookie]);
+        if (email) {
+            req.donor = ensureDonor(store, email);
+            return next();
+        }
+        if (!req.user) {
+            return next(new ApiError(401, 'Please sign in or use the link we emailed you.'));
+        }
+        if (req.user.emailVerified !== true) {
+            return next(new ApiError(403, 'Please verify your email address to see your donations.'));
+        }
+
+        req.donor = ensureDonor(store, req.user.email);
+        next();
+    }
+
+    // Always answers the same way so the form cannot be used to find out who has given
+    router.post('/access',
+        rateLimit({
+            windowMs: 15 * 60 * 1000,
+            limit: config.auth.rateLimit,
+            standardHeaders: 'draft-7',
+            legacyHeaders: false,
+            handler: (req, res, next) => next(new ApiError(429, 'Too many requests. Please try again later.'))
+        }),
+        body('email').trim().isEmail().withMessage('Please enter a valid email address.').toLowerCase(),
+        validate,
+        asyncHandler(async (req, res) => {
+            if (donorDonations(store, req.body.email).length) {
+                try {
+                    await sendPortalLink(store, mailer, req.body.email);
+                } catch (error) {
+                    console.error('Failed to send donor portal link:', error);
+                }
+            }
+
+            res.json({
+                success: true,
+                message: 'If we have donations under that address, we have emailed you a link to your giving history.'
+            });
+        })
+    );
+
+    // The portal page swaps the emailed link for a session cookie, then takes the link out of its address
+    router.post('/session',
+        body('token').isString().withMessage('This link is invalid. Please ask for a new one.'),
+        validate,
+        (req, res) => {
+            const { record, token } = openPortalSession(store, req.body.token);
+            res.cookie(config.donors.sessionCookie, token, { ...sessionCookieOptions(), expires: new Date(record.expiresAt) });
+            res.json({ success: true, expiresAt: record.expiresAt });
+        }
+    );
+
+    router.delete('/session', (req, res) => {
+        closePortalSession(store, req.cookies[config.donors.sessionCookie]);
+        res.clearCookie(config.donors.sessionCookie, sessionCookieOptions());
+        res.json({ success: true, message: 'You have signed out of your giving history.' });
+    });
+
+    router.get('/me',
+        optionalAuth(store),
+        portalDonor,
+        (req, res) => {
+            res.json({ success: true, ...describeGiving(store, req.donor) });
+        }
+    );
+
+    // Saved details are used on future statements; past receipts keep the details given at the time
+    router.patch('/me',
+        optionalAuth(store),
+        body('firstName').optional().isString().trim().notEmpty().withMessage('First name is required.').isLength({ max: 100 }),
+        body('lastName').optional().isString().trim().notEmpty().withMessage('Last name is required.').isLength({ max: 100 }),
+        body('organisation').optional().isString().trim().isLength({ max: 200 }),
+        body('phone').optional().isString().trim().isLength({ max: 30 }),
+        body('address').optional().isString().trim().isLength({ max: 500 }),
+        validate,
+        portalDonor,
+        (req, res) => {
+            const donor = updateDonor(store, req.donor, req.body);
+            res.json({ success: true, message: 'Your details have been saved.', ...describeGiving(store, donor) });
+        }
+    );
+
+    // Opened straight from the portal, so it carries its own token until `expires`; the finance team can open any
+    router.get('/:id/statements/:year',
+        optionalAuth(store),
+        param('id').isString(),
+        param('year').isInt({ min: 2000, max: 2100 }).toInt(),
+        query('expires').optional().isInt(),
+        query('token').optional().isString(),
+        validate,
+        (req, res) => {
+            const donor = donors.get(req.params.id);
+            const allowed = donor && (isStatementToken(donor, req.params.year, req.query.expires, req.query.token) ||
+                hasPermission(req.user, 'donations.view'));
+            if (!allowed) {
+                throw new ApiError(404, 'Statement not found.');
+            }
+
+            const pdf = renderStatement(store, donor, req.params.year);
+            if (!pdf) {
+                throw new ApiError(404, `No donations were received from you in ${req.params.year}.`);
+            }
+
+            res.set('Cache-Control', 'no-store');
+            res.attachment(`AFZ-giving-statement-${req.params.year}.pdf`);
+            res.type('application/pdf').send(pdf);
+        }
+    );
+
+    router.use(requireAuth(store), requirePermission('donations.view'));
+
+    // Lets the finance team look a donor up by email, e.g. when a sponsor asks for their statement
+    router.get('/',
+        query('email').trim().isEmail().withMessage('Please enter a valid email address.').toLowerCase(),
+        validate,
+        (req, res) => {
+            if (!findDonor(store, req.query.email) && !donorDonations(store, req.query.email).length) {
+                throw new ApiError(404, 'No donations have been made from that address.');
+            }
+
+            res.json({ success: true, ...describeGiving(store, ensureDonor(store, req.query.email)) });
+        }
+    );
+
+    // Everyone who has given, with their details and totals, for the CRM
+    router.get('/export',
+        query('format').optional().isIn(['csv', 'xlsx']).withMessage('Exports are CSV or XLSX.'),
+        validate,
+        (req, res) => {
+            const date = new Date().toISOString().slice(0, 10);
+            sendSpreadsheet(res, req.query.format || 'csv', `AFZ-donors-${date}`, [
+                { name: 'Donors', columns: DONOR_COLUMNS, rows: donorRows(store) }
+            ]);
+        }
+    );
+
+    return router;
+}
+
+module.exports = createDonorsRouter;
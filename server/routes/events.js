@@ -0,0 +1,168 @@
+/**
+ * AFZ API Server - Event Routes
+ * Community events in the member hub: hosting, editing, cancelling and duplicating them, and RSVPs
+ */
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { ApiError, asyncHandler, validate } = require('../errors');
+const { requireAuth, requirePermission, requireVerified } = require('../auth');
+const {
+    CATEGORIES,
+    STATUSES,
+    LOCATION_TYPES,
+    RESPONSES,
+    findEvent,
+    canManage,
+    describeEvent,
+    createEvent,
+    updateEvent,
+    duplicateEvent,
+    cancelEvent,
+    removeDraft,
+    respond,
+    withdraw,
+    registrationList
+} = require('../events');
+
+// Shared by create and update; a draft may be saved before it has a date
+function eventRules() {
+    const nullable = name => body(name).optional({ values: 'null' });
+
+    return [
+        body('title').optional().isString().trim().notEmpty().withMessage('Please give the event a title.').isLength({ max: 150 }),
+        body('description').optional().isString().trim().isLength({ max: 5000 }),
+        nullable('category').isIn(CATEGORIES).withMessage('Unknown event category.'),
+        nullable('date').isISO8601({ strict: true }).withMessage('Please choose a valid date and time.'),
+        nullable('duration').isFloat({ min: 0.5, max: 24 }).withMessage('Events can last from half an hour to 24 hours.').toFloat(),
+        body('locationType').optional().isIn(LOCATION_TYPES).withMessage('Unknown kind of location.'),
+        body('location').optional().isString().trim().isLength({ max: 300 }),
+        nullable('link').isURL({ protocols: ['https', 'http'], require_protocol: true }).withMessage('Please enter the full meeting link.'),
+        nullable('maxAttendees').isInt({ min: 1, max: 100000 }).withMessage('The limit must be at least one attendee.').toInt(),
+        body('fee').optional().isFloat({ min: 0, max: 1000000 }).withMessage('The fee cannot be negative.').toFloat(),
+        body('requiresApproval').optional().isBoolean().toBoolean(),
+        body('featured').optional().isBoolean().toBoolean(),
+        body('agenda').optional().isString().trim().isLength({ max: 5000 }),
+        body('requirements').optional().isString().trim().isLength({ max: 2000 }),
+        body('image').optional().isString().isLength({ max: 500 })
+    ];
+}
+
+function createEventsRouter(store, { mailer }) {
+    const router = express.Router();
+    const events = store.collection('events');
+
+    // Drafts are only found by those who may publish them
+    function loadEvent(req) {
+        const event = findEvent(store, req.params.id);
+        if (!event || (event.status === 'draft' && !canManage(event, req.user))) {
+            throw new ApiError(404, 'Event not found.');
+        }
+        return event;
+    }
+
+    function loadManagedEvent(req) {
+        const event = loadEvent(req);
+        if (!canManage(event, req.user)) {
+            throw new ApiError(403, 'Only the member who created this event can change it.');
+        }
+        return event;
+    }
+
+    router.use(requireAuth(store), requirePermission('hub.use'));
+    router.use((req, res, next) => (req.method === 'GET' ? next() : requireVerified(req, res, next)));
+
+    // `mine` lists the events the member hosts, drafts included
+    router.get('/',
+        query('category').optional().isIn(CATEGORIES).withMessage('Unknown event category.'),
+        query('status').optional().isIn(STATUSES).withMessage('Unknown event status.'),
+        query('mine').optional().isBoolean().toBoolean(),
+        validate,
+        (req, res) => {
+            const { category, status, mine } = req.query;
+            const items = events
+                .find(event => (!category || event.category === category) &&
+                    (!status || event.status === status) &&
+                    (mine ? event.organizerId === req.user.id : event.status !== 'draft'))
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+                .map(event => describeEvent(store, event, req.user));
+
+            res.json({ success: true, items });
+        }
+    );
+
+    router.get('/:id', param('id').isString(), validate, (req, res) => {
+        res.json({ success: true, item: describeEvent(store, loadEvent(req), req.user) });
+    });
+
+    router.post('/',
+        body('status').optional().isIn(['draft', 'scheduled']).withMessage('New events are drafts or scheduled.'),
+        body('title').exists().withMessage('Please give the event a title.'),
+        ...eventRules(),
+        validate,
+        (req, res) => {
+            const event = createEvent(store, req.body, { user: req.user, status: req.body.status || 'scheduled' });
+            res.status(201).json({ success: true, item: describeEvent(store, event, req.user) });
+        }
+    );
+
+    // Publishing a draft is the only status change made here; cancelling has its own route
+    router.patch('/:id',
+        body('status').optional().equals('scheduled').withMessage('Use the cancel action to cancel an event.'),
+        ...eventRules(),
+        validate,
+        (req, res) => {
+            const event = updateEvent(store, loadManagedEvent(req), req.body, { user: req.user });
+            res.json({ success: true, item: describeEvent(store, event, req.user) });
+        }
+    );
+
+    router.delete('/:id', (req, res) => {
+        removeDraft(store, loadManagedEvent(req));
+        res.json({ success: true });
+    });
+
+    router.post('/:id/duplicate', (req, res) => {
+        const event = duplicateEvent(store, loadManagedEvent(req), { user: req.user });
+        res.status(201).json({ success: true, item: describeEvent(store, event, req.user) });
+    });
+
+    router.post('/:id/cancel',
+        body('reason').optional({ values: 'falsy' }).isString().trim().isLength({ max: 1000 }),
+        validate,
+        asyncHandler(async (req, res) => {
+            const { event, notified, failed } = await cancelEvent(store, mailer, loadManagedEvent(req), {
+                user: req.user,
+                reason: req.body.reason
+            });
+            res.json({ success: true, item: describeEvent(store, event, req.user), notified, failed });
+        })
+    );
+
+    router.get('/:id/registrations', (req, res) => {
+        res.json({ success: true, items: registrationList(store, loadManagedEvent(req)) });
+    });
+
+    // The signed-in member's own RSVP
+    router.put('/:id/registration',
+        body('response').isIn(RESPONSES).withMessage('Please choose your response.'),
+        body('notes').optional().isString().trim().isLength({ max: 1000 }),
+        body('notifications').optional().isBoolean().toBoolean(),
+        validate,
+        (req, res) => {
+            const event = loadEvent(req);
+            const registration = respond(store, event, req.user, req.body);
+            res.json({ success: true, registration, item: describeEvent(store, event, req.user) });
+        }
+    );
+
+    router.delete('/:id/registration', (req, res) => {
+        const event = loadEvent(req);
+        withdraw(store, event, req.user);
+        res.json({ success: true, item: describeEvent(store, event, req.user) });
+    });
+
+    return router;
+}
+
+module.exports = createEventsRouter;
@@ -0,0 +1,94 @@
+/**
+ * AFZ API Server - Exchange Rate Routes
+ * Today's rates and preset amounts for the donate page; history and overrides for the finance team
+ */
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { ApiError, asyncHandler, validate } = require('../errors');
+const { requireAuth, requirePermission } = require('../auth');
+const {
+    BASE,
+    CURRENCIES,
+    currentRates,
+    presetAmounts,
+    refreshRates,
+    setOverride,
+    rateHistory
+} = require('../exchange-rates');
+
+// The base currency is always 1, so it cannot be overridden
+const OVERRIDABLE = CURRENCIES.filter(currency => currency !== BASE);
+
+function createExchangeRatesRouter(store) {
+    const router = express.Router();
+
+    function describeRates() {
+        const current = currentRates(store);
+        return { ...current, presets: presetAmounts(current.rates) };
+    }
+
+    // A provider that cannot be reached leaves the last table in use, marked stale
+    router.get('/', asyncHandler(async (req, res) => {
+        try {
+            await refreshRates(store);
+        } catch (error) {
+            console.error('Exchange rate refresh failed; using the last rates:', error.message);
+        }
+        res.json({ success: true, ...describeRates() });
+    }));
+
+    router.use(requireAuth(store));
+
+    router.get('/history',
+        requirePermission('donations.view'),
+        query('currency').isIn(CURRENCIES).withMessage('Unsupported currency.'),
+        query('days').optional().isInt({ min: 1, max: 3660 }).toInt(),
+        validate,
+        (req, res) => {
+            res.json({ success: true, history: rateHistory(store, req.query.currency, { days: req.query.days }) });
+        }
+    );
+
+    router.post('/refresh',
+        requirePermission('donations.manage'),
+        asyncHandler(async (req, res) => {
+            try {
+                await refreshRates(store, { force: true });
+            } catch (error) {
+                console.error('Exchange rate refresh failed:', error.message);
+                throw new ApiError(502, 'The exchange rate provider could not be reached. The last rates are still in use.');
+            }
+            res.json({ success: true, ...describeRates() });
+        })
+    );
+
+    router.put('/overrides/:currency',
+        requirePermission('donations.manage'),
+        param('currency').isIn(OVERRIDABLE).withMessage(`Unsupported currency; ${BASE} is always 1.`),
+        body('rate').isFloat({ gt: 0, max: 1000000 }).withMessage(`Please enter the units per ${BASE}.`).toFloat(),
+        body('note').optional({ values: 'falsy' }).isString().trim().isLength({ max: 500 }),
+        validate,
+        (req, res) => {
+            setOverride(store, req.params.currency, { rate: req.body.rate, note: req.body.note, by: req.user.id });
+            res.json({ success: true, ...describeRates() });
+        }
+    );
+
+    router.delete('/overrides/:currency',
+        requirePermission('donations.manage'),
+        param('currency').isIn(OVERRIDABLE).withMessage('Unsupported currency.'),
+        validate,
+        (req, res) => {
+            if (!currentRates(store).overrides.some(override => override.currency === req.params.currency)) {
+                throw new ApiError(404, `There is no override for ${req.params.currency}.`);
+            }
+            setOverride(store, req.params.currency, { rate: null, by: req.user.id });
+            res.json({ success: true, ...describeRates() });
+        }
+    );
+
+    return router;
+}
+
+module.exports = createExchangeRatesRouter;
@@ -0,0 +1,179 @@
+/**
+ * AFZ API Server - Fundraising Page Routes
+ * Public fundraising pages and the leaderboard; members start and edit their own pages
+ */
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { ApiError, validate } = require('../errors');
+const { requireAuth, optionalAuth, requirePermission, requireVerified } = require('../auth');
+const { findCampaign } = require('../campaigns');
+const {
+    STATUSES,
+    PHOTO_TYPES,
+    PHOTO_MAX_BYTES,
+    findFundraiser,
+    canManage,
+    describeFundraiser,
+    createFundraiser,
+    updateFundraiser,
+    photoFile,
+    savePhoto,
+    leaderboard
+} = require('../fundraisers');
+
+const parsePhoto = express.raw({ type: Object.keys(PHOTO_TYPES), limit: PHOTO_MAX_BYTES });
+
+// Photos are sent as the image itself rather than JSON, so they get their own, larger body limit
+function photoBody(req, res, next) {
+    parsePhoto(req, res, error => next(error && error.type === 'entity.too.large'
+        ? new ApiError(413, `Photos can be up to ${PHOTO_MAX_BYTES / 1024 / 1024} MB.`)
+        : error));
+}
+
+// Shared by create (required) and update (optional)
+function fundraiserRules(optional) {
+    const field = name => (optional ? body(name).optional() : body(name));
+
+    return [
+        field('title').isString().trim().notEmpty().withMessage('Please give your page a title.').isLength({ max: 120 }),
+        body('story').optional().isString().trim().isLength({ max: 5000 }),
+        body('displayName').optional({ values: 'falsy' }).isString().trim().isLength({ max: 100 }),
+        field('targetAmount').isFloat({ min: 1, max: 100000000 }).withMessage('Please enter the amount you hope to raise.').toFloat()
+    ];
+}
+
+function createFundraisersRouter(store) {
+    const router = express.Router();
+    const fundraisers = store.collection('fundraisers');
+
+    function loadFundraiser(req) {
+        const fundraiser = findFundraiser(store, req.params.id);
+        if (!fundraiser) {
+            throw new ApiError(404, 'Fundraising page not found.');
+        }
+        return fundraiser;
+    }
+
+    function loadOwnFundraiser(req) {
+        const fundraiser = loadFundraiser(req);
+        if (!canManage(fundraiser, req.user)) {
+            throw new ApiError(403, 'Only the member who started this page can change it.');
+        }
+        return fundraiser;
+    }
+
+    function campaignFilter(slugOrId) {
+        if (!slugOrId) return undefined;
+        const campaign = findCampaign(store, slugOrId);
+        if (!campaign) {
+            throw new ApiError(422, 'Unknown campaign.');
+        }
+        return campaign.id;
+    }
+
+    // `mine` lists the signed-in member's own pages, closed ones included
+    router.get('/',
+        optionalAuth(store),
+        query('campaign').optional().isString(),
+        query('mine').optional().isBoolean().toBoolean(),
+        validate,
+        (req, res) => {
+            if (req.query.mine && !req.user) {
+                throw new ApiError(401, 'Please sign in to see your fundraising pages.');
+            }
+            const campaignId = campaignFilter(req.query.campaign);
+
+            const items = fundraisers
+                .find(fundraiser => (!campaignId || fundraiser.campaignId === campaignId) &&
+                    (req.query.mine ? fundraiser.ownerId === req.user.id : fundraiser.status === 'active'))
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+                .map(fundraiser => describeFundraiser(store, fundraiser, req.user));
+
+            res.json({ success: true, total: items.length, items });
+        }
+    );
+
+    router.get('/leaderboard',
+        optionalAuth(store),
+        query('campaign').optional().isString(),
+        query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+        validate,
+        (req, res) => {
+            const items = leaderboard(store, {
+                campaignId: campaignFilter(req.query.campaign),
+                limit: req.query.limit,
+                user: req.user
+            });
+            res.json({ success: true, items });
+        }
+    );
+
+    router.get('/:id',
+        optionalAuth(store),
+        param('id').isString(),
+        validate,
+        (req, res) => {
+            res.json({ success: true, fundraiser: describeFundraiser(store, loadFundraiser(req), req.user) });
+        }
+    );
+
+    router.get('/:id/photo',
+        param('id').isString(),
+        validate,
+        (req, res) => {
+            const fundraiser = loadFundraiser(req);
+            if (!fundraiser.photo) {
+                throw new ApiError(404, 'This page has no photo.');
+            }
+
+            // Photo URLs carry a version, so a replaced photo is fetched under a new address
+            res.set('Cache-Control', 'public, max-age=604800');
+            res.type(fundraiser.photo.type).sendFile(photoFile(store, fundraiser));
+        }
+    );
+
+    router.use(requireAuth(store), requirePermission('hub.use'), requireVerified);
+
+    router.post('/',
+        body('campaign').isString().trim().notEmpty().withMessage('Please choose the campaign you are raising money for.'),
+        ...fundraiserRules(false),
+        validate,
+        (req, res) => {
+            const campaign = findCampaign(store, req.body.campaign);
+            if (!campaign || campaign.status === 'draft') {
+                throw new ApiError(422, 'Unknown campaign.');
+            }
+
+            const fundraiser = createFundraiser(store, campaign, req.body, { owner: req.user });
+            res.status(201).json({ success: true, fundraiser: describeFundraiser(store, fundraiser, req.user) });
+        }
+    );
+
+    router.patch('/:id',
+        ...fundraiserRules(true),
+        body('status').optional().isIn(STATUSES).withMessage('Unknown page status.'),
+        validate,
+        (req, res) => {
+            const fundraiser = updateFundraiser(store, loadOwnFundraiser(req), req.body, { by: req.user.id });
+            res.json({ success: true, fundraiser: describeFundraiser(store, fundraiser, req.user) });
+        }
+    );
+
+    router.put('/:id/photo',
+        photoBody,
+        (req, res) => {
+            const fundraiser = loadOwnFundraiser(req);
+            if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+                throw new ApiError(422, 'Please upload a JPEG, PNG or WebP photo.');
+            }
+
+            const updated = savePhoto(store, fundraiser, req.body, { by: req.user.id });
+            res.json({ success: true, fundraiser: describeFundraiser(store, updated, req.user) });
+        }
+    );
+
+    return router;
+}
+
+module.exports = createFundraisersRouter;
@@ -0,0 +1,181 @@
+/**
+ * AFZ API Server - In-kind Pledge Routes
+ * The pledge form on the donate page, donor acknowledgments, and the programme team's pledges and stock
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, header, param, query } = require('express-validator');
+const config = require('../config');
+const { ApiError, asyncHandler, validate } = require('../errors');
+const { requireAuth, optionalAuth, requirePermission } = require('../auth');
+const { hasPermission } = require('../permissions');
+const {
+    ITEMS,
+    DROP_OFF_POINTS,
+    DELIVERY_METHODS,
+    STATUSES,
+    catalogue,
+    createPledge,
+    updatePledgeStatus,
+    receivePledge,
+    listPledges,
+    inventoryLevels,
+    isPledgeToken,
+    acknowledgmentUrl,
+    renderAcknowledgment,
+    sendPledgeConfirmation,
+    sendAcknowledgment,
+    describePledge
+} = require('../in-kind');
+
+const MAX_LINES = 20;
+
+// Pickup details are only checked when the donor asked to be visited
+const isPickup = () => body('delivery').equals('pickup');
+
+function createInKindRouter(store, { mailer }) {
+    const router = express.Router();
+    const pledges = store.collection('inKindPledges');
+
+    function loadPledge(req) {
+        const pledge = pledges.get(req.params.id);
+        if (!pledge) {
+            throw new ApiError(404, 'Pledge not found.');
+        }
+        return pledge;
+    }
+
+    router.get('/catalogue', (req, res) => {
+        res.json({ success: true, ...catalogue() });
+    });
+
+    router.post('/pledges',
+        rateLimit({
+            windowMs: 15 * 60 * 1000,
+            limit: config.donations.rateLimit,
+            standardHeaders: 'draft-7',
+            legacyHeaders: false,
+            handler: (req, res, next) => next(new ApiError(429, 'Too many pledges. Please try again later.'))
+        }),
+        optionalAuth(store),
+        body('donor.firstName').trim().notEmpty().withMessage('First name is required.').isLength({ max: 100 }),
+        body('donor.lastName').trim().notEmpty().withMessage('Last name is required.').isLength({ max: 100 }),
+        body('donor.email').trim().isEmail().withMessage('A valid email address is required.'),
+        body('donor.phone').optional({ values: 'falsy' }).trim().isLength({ max: 30 }),
+        body('donor.organisation').optional({ values: 'falsy' }).isString().trim().isLength({ max: 150 }),
+        body('items').isArray({ min: 1, max: MAX_LINES }).withMessage('Please choose at least one item to give.'),
+        body('items.*.item').isIn(Object.keys(ITEMS)).withMessage('Unknown item.'),
+        body('items.*.quantity').isInt({ min: 1, max: 10000 }).withMessage('Quantities must be between 1 and 10,000.').toInt(),
+        body('delivery').isIn(DELIVERY_METHODS).withMessage('Choose whether you will bring the items or would like them collected.'),
+        body('dropOffPoint').optional({ values: 'falsy' }).isIn(Object.keys(DROP_OFF_POINTS)).withMessage('Unknown drop-off point.'),
+        body('pickup.address').if(isPickup()).trim().notEmpty()
+            .withMessage('Please enter the address to collect the items from.').isLength({ max: 300 }),
+        body('pickup.town').if(isPickup()).trim().notEmpty().withMessage('Please enter the town.').isLength({ max: 100 }),
+        body('expectedOn').optional({ values: 'falsy' }).isDate({ format: 'YYYY-MM-DD', strictMode: true })
+            .withMessage('Please choose a valid day.'),
+        body('message').optional({ values: 'falsy' }).isString().trim().isLength({ max: 500 }),
+        header('Idempotency-Key').optional().isString().isLength({ min: 1, max: 100 }).withMessage('Invalid Idempotency-Key header.'),
+        validate,
+        asyncHandler(async (req, res) => {
+            // A pledge sent again from the offline outbox gets the one it made the first time
+            const idempotencyKey = req.get('Idempotency-Key') || null;
+            const earlier = idempotencyKey && pledges.findOne(pledge => pledge.idempotencyKey === idempotencyKey &&
+                pledge.donor.email === req.body.donor.email.toLowerCase());
+            if (earlier) {
+                return res.json({ success: true, pledge: describePledge(earlier) });
+            }
+
+            const pledge = createPledge(store, { ...req.body, idempotencyKey }, { userId: req.user ? req.user.id : null });
+            try {
+                await sendPledgeConfirmation(mailer, pledge);
+            } catch (error) {
+                console.error(`Failed to send the confirmation for pledge ${pledge.pledgeNumber}:`, error);
+            }
+
+            res.status(201).json({ success: true, pledge: describePledge(pledge) });
+        })
+    );
+
+    // Opened from the acknowledgment email without signing in, or by the team
+    router.get('/pledges/:id/acknowledgment',
+        optionalAuth(store),
+        param('id').isString(),
+        query('token').optional().isString(),
+        validate,
+        (req, res) => {
+            const pledge = pledges.get(req.params.id);
+            const allowed = pledge && (isPledgeToken(pledge, req.query.token) || hasPermission(req.user, 'donations.view'));
+            if (!allowed) {
+                throw new ApiError(404, 'Acknowledgment not found.');
+            }
+            if (!pledge.receivedAt) {
+                throw new ApiError(409, 'An acknowledgment is issued once the items have been received.');
+            }
+
+            if (req.query.download) {
+                res.attachment(`${pledge.pledgeNumber}.html`);
+            }
+            res.set('Cache-Control', 'no-store');
+            res.type('html').send(renderAcknowledgment(pledge, { nonce: res.locals.cspNonce }));
+        }
+    );
+
+    router.use(requireAuth(store), requirePermission('donations.view'));
+
+    router.get('/pledges',
+        query('status').optional().isIn(STATUSES).withMessage('Unknown pledge status.'),
+        query('item').optional().isIn(Object.keys(ITEMS)).withMessage('Unknown item.'),
+        query('q').optional().isString().isLength({ max: 200 }),
+        query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+        validate,
+        (req, res) => {
+            const { status, item, q, limit } = req.query;
+            const { total, items } = listPledges(store, { status, item, search: q, limit });
+            res.json({ success: true, total, items });
+        }
+    );
+
+    router.get('/inventory', (req, res) => {
+        res.json({ success: true, items: inventoryLevels(store) });
+    });
+
+    router.get('/pledges/:id', (req, res) => {
+        const pledge = loadPledge(req);
+        res.json({ success: true, pledge, acknowledgmentUrl: pledge.receivedAt ? acknowledgmentUrl(pledge) : null });
+    });
+
+    router.patch('/pledges/:id/status',
+        requirePermission('donations.manage'),
+        body('status').isIn(STATUSES.filter(status => status !== 'pledged')).withMessage('Unknown pledge status.'),
+        body('note').optional().isString().trim().isLength({ max: 500 }),
+        body('received').optional().isArray({ max: MAX_LINES }),
+        body('received.*.item').isIn(Object.keys(ITEMS)).withMessage('Unknown item.'),
+        body('received.*.quantity').isInt({ min: 0, max: 10000 }).withMessage('Quantities must be between 0 and 10,000.').toInt(),
+        validate,
+        asyncHandler(async (req, res) => {
+            loadPledge(req);
+            const { status, note, received } = req.body;
+            const options = { by: req.user.id, note, received };
+
+            if (status === 'received') {
+                const { pledge, acknowledgmentSent } = await receivePledge(store, mailer, req.params.id, options);
+                return res.json({ success: true, pledge, acknowledgmentSent });
+            }
+
+            res.json({ success: true, pledge: updatePledgeStatus(store, req.params.id, status, options), acknowledgmentSent: false });
+        })
+    );
+
+    router.post('/pledges/:id/acknowledgment/send',
+        requirePermission('donations.manage'),
+        asyncHandler(async (req, res) => {
+            const pledge = await sendAcknowledgment(store, mailer, loadPledge(req));
+            res.json({ success: true, pledge, message: `Acknowledgment sent to ${pledge.donor.email}.` });
+        })
+    );
+
+    return router;
+}
+
+module.exports = createInKindRouter;
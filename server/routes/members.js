@@ -0,0 +1,224 @@
+/**
+ * AFZ API Server - Member Routes
+ * Administrative access to member accounts, shaped for the admin members view
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const { ApiError, validate } = require('../errors');
+const { requireAuth, requirePermission } = require('../auth');
+const { revokeUserSessions } = require('../sessions');
+const { listThrottles, unlock } = require('../login-throttle');
+const {
+    ROLES,
+    CHAPTERS,
+    normalizeRole,
+    hasPermission,
+    chapterOf,
+    canViewMember,
+    canManageMember
+} = require('../permissions');
+
+const STATUSES = ['active', 'inactive', 'suspended'];
+
+function toMember(user) {
+    return {
+        id: user.id,
+        name: [user.firstName, user.lastName].filter(Boolean).join(' '),
+        email: user.email,
+        role: normalizeRole(user.role),
+        status: user.status,
+        avatar: user.avatar || null,
+        location: user.location || null,
+        chapter: chapterOf(user),
+        joinDate: user.createdAt,
+        lastActive: user.lastLoginAt || user.createdAt
+    };
+}
+
+function splitName(name) {
+    const [firstName, ...rest] = name.trim().split(/\s+/);
+    return { firstName, lastName: rest.join(' ') };
+}
+
+function createMembersRouter(store) {
+    const router = express.Router();
+    const users = store.collection('users');
+
+    router.use(requireAuth(store), requirePermission('members.view'));
+
+    function loadMember(req, check = canViewMember) {
+        const user = users.get(req.params.id);
+
+        if (!user || !canViewMember(req.user, user)) {
+            throw new ApiError(404, 'Member not found.');
+        }
+        if (!check(req.user, user)) {
+            throw new ApiError(403, 'You do not have permission to manage this member.');
+        }
+        return user;
+    }
+
+    router.get('/', (req, res) => {
+        const { status, role, q } = req.query;
+        const query = (q || '').toLowerCase();
+
+        const items = users
+            .find(user =>
+                canViewMember(req.user, user) &&
+                (!status || status === 'all' || user.status === status) &&
+                (!role || role === 'all' || normalizeRole(user.role) === role))
+            .map(toMember)
+            .filter(member => !query ||
+                member.name.toLowerCase().includes(query) ||
+                member.email.includes(query))
+            .sort((a, b) => new Date(b.joinDate) - new Date(a.joinDate));
+
+        res.json({ success: true, items });
+    });
+
+    /**
+     * Accounts and addresses held back by brute-force protection. Chapter admins see the accounts
+     * of members they manage; addresses and unknown emails need system.manage.
+     */
+    function visibleThrottles(viewer) {
+        return listThrottles(store)
+            .map(record => ({
+                record,
+                member: record.type === 'account' ? users.findOne(user => user.email === record.key) : null
+            }))
+            .filter(({ member }) => member
+                ? canViewMember(viewer, member) && canManageMember(viewer, member)
+                : hasPermission(viewer, 'system.manage'))
+            .map(({ record, member }) => ({
+                id: record.id,
+                type: record.type,
+                key: record.key,
+                memberId: member ? member.id : null,
+                memberName: member ? toMember(member).name : null,
+                failures: record.failures,
+                lastFailureAt: record.lastFailureAt,
+                lastIp: record.lastIp,
+                locked: record.locked,
+                lockedUntil: record.locked ? record.lockedUntil : null,
+                lockouts: record.lockouts || 0
+            }));
+    }
+
+    router.get('/lockouts', requirePermission('members.manage'), (req, res) => {
+        res.json({ success: true, items: visibleThrottles(req.user) });
+    });
+
+    router.delete('/lockouts/:id', requirePermission('members.manage'), (req, res, next) => {
+        const record = visibleThrottles(req.user).find(item => item.id === req.params.id);
+        if (!record) {
+            return next(new ApiError(404, 'Lockout not found.'));
+        }
+
+        unlock(store, record.id);
+        res.json({ success: true, message: `${record.memberName || record.key} can sign in again.` });
+    });
+
+    router.get('/:id', (req, res) => {
+        res.json({ success: true, item: toMember(loadMember(req)) });
+    });
+
+    // Accounts created here have no password until the member resets it
+    router.post('/',
+        requirePermission('members.manage'),
+        body('name').trim().notEmpty().withMessage('Full name is required.').isLength({ max: 200 }),
+        body('email').trim().isEmail().withMessage('Please enter a valid email address.').toLowerCase(),
+        body('role').optional().isIn(ROLES).withMessage('Unknown role.'),
+        body('status').optional().isIn(STATUSES).withMessage('Unknown status.'),
+        body('location').optional({ values: 'falsy' }).isIn(CHAPTERS).withMessage('Unknown chapter.'),
+        validate,
+        (req, res, next) => {
+            const { name, email, role, status, location } = req.body;
+
+            if (role && role !== 'member' && !hasPermission(req.user, 'roles.assign')) {
+                return next(new ApiError(403, 'You do not have permission to assign roles.'));
+            }
+            if (users.findOne(user => user.email === email)) {
+                return next(new ApiError(409, 'An account with this email address already exists.'));
+            }
+
+            const user = users.insert({
+                ...splitName(name),
+                email,
+                phone: null,
+                // Chapter admins can only add members to their own chapter
+                location: hasPermission(req.user, 'roles.assign') ? location || null : chapterOf(req.user),
+                role: role || 'member',
+                status: status || 'active',
+                passwordHash: null,
+                createdBy: req.user.id
+            });
+
+            res.status(201).json({ success: true, item: toMember(user) });
+        }
+    );
+
+    router.patch('/:id',
+        requirePermission('members.manage'),
+        body('name').optional().trim().notEmpty().withMessage('Full name is required.').isLength({ max: 200 }),
+        body('email').optional().trim().isEmail().withMessage('Please enter a valid email address.').toLowerCase(),
+        body('role').optional().isIn(ROLES).withMessage('Unknown role.'),
+        body('status').optional().isIn(STATUSES).withMessage('Unknown status.'),
+        body('location').optional({ values: 'falsy' }).isIn(CHAPTERS).withMessage('Unknown chapter.'),
+        validate,
+        (req, res, next) => {
+            const user = loadMember(req, canManageMember);
+            const { name, email, role, status, location } = req.body;
+            const changes = {};
+            const roleChanged = role !== undefined && role !== normalizeRole(user.role);
+            const chapterChanged = location !== undefined && location !== user.location;
+            const emailChanged = email !== undefined && email !== user.email;
+
+            if ((roleChanged || chapterChanged) && !hasPermission(req.user, 'roles.assign')) {
+                return next(new ApiError(403, 'You do not have permission to change roles or chapters.'));
+            }
+            // The email is where password resets go, so changing it could hand over the account
+            if (emailChanged && !hasPermission(req.user, 'roles.assign')) {
+                return next(new ApiError(403, 'Only super-admins can change the email address a member signs in with.'));
+            }
+            if (user.id === req.user.id && (roleChanged || (status !== undefined && status !== user.status))) {
+                return next(new ApiError(400, 'You cannot change your own role or status.'));
+            }
+
+            if (name !== undefined) Object.assign(changes, splitName(name));
+            if (roleChanged) changes.role = role;
+            if (chapterChanged) changes.location = location || null;
+            if (status !== undefined) changes.status = status;
+            if (emailChanged) {
+                if (users.findOne(other => other.email === email)) {
+                    return next(new ApiError(409, 'An account with this email address already exists.'));
+                }
+                // The member has to confirm the new address themselves
+                Object.assign(changes, { email, emailVerified: false, emailVerifiedAt: null });
+            }
+
+            const updated = users.update(user.id, changes);
+            if (changes.status === 'suspended') {
+                revokeUserSessions(store, user.id, 'suspended');
+            }
+
+            res.json({ success: true, item: toMember(updated) });
+        }
+    );
+
+    router.delete('/:id', requirePermission('members.delete'), (req, res, next) => {
+        if (req.params.id === req.user.id) {
+            return next(new ApiError(400, 'You cannot delete your own account here.'));
+        }
+
+        const user = loadMember(req, canManageMember);
+        users.remove(user.id);
+        revokeUserSessions(store, user.id, 'account-deleted');
+
+        res.json({ success: true });
+    });
+
+    return router;
+}
+
+module.exports = createMembersRouter;
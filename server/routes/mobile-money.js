@@ -0,0 +1,98 @@
+/**
+ * AFZ API Server - Mobile Money Routes
+ * Request-to-pay prompts started from the donate page, status polling and provider callbacks
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, param, query } = require('express-validator');
+const config = require('../config');
+const { ApiError, asyncHandler, validate } = require('../errors');
+const { isReceiptToken } = require('../donations');
+const { PROVIDERS, listProviders, startPayment, refreshPayment, handleCallback } = require('../mobile-money');
+
+function toPayment(payment) {
+    return {
+        id: payment.id,
+        donationId: payment.donationId,
+        receiptNumber: payment.receiptNumber,
+        provider: payment.provider,
+        providerName: PROVIDERS[payment.provider].name,
+        msisdn: payment.msisdn,
+        status: payment.status,
+        reason: payment.reason,
+        expiresAt: payment.expiresAt
+    };
+}
+
+function createMobileMoneyRouter(store, { mailer }) {
+    const router = express.Router();
+    const donations = store.collection('donations');
+    const payments = store.collection('mobileMoneyPayments');
+
+    // The donation token from POST /api/donations stands in for a session on the donate page
+    function loadDonation(id, token) {
+        const donation = donations.get(id);
+        if (!donation || !isReceiptToken(donation, token)) {
+            throw new ApiError(404, 'Donation not found.');
+        }
+        return donation;
+    }
+
+    router.get('/providers', (req, res) => {
+        res.json({ success: true, providers: listProviders() });
+    });
+
+    router.post('/payments',
+        rateLimit({
+            windowMs: 15 * 60 * 1000,
+            limit: config.donations.rateLimit,
+            standardHeaders: 'draft-7',
+            legacyHeaders: false,
+            handler: (req, res, next) => next(new ApiError(429, 'Too many payment attempts. Please try again later.'))
+        }),
+        body('donationId').isString().withMessage('Donation is required.'),
+        body('token').isString().withMessage('Donation token is required.'),
+        body('provider').optional({ values: 'falsy' }).isIn(Object.keys(PROVIDERS)).withMessage('Unknown mobile money network.'),
+        body('phone').isString().trim().notEmpty().withMessage('Please enter the mobile number to charge.'),
+        validate,
+        asyncHandler(async (req, res) => {
+            const donation = loadDonation(req.body.donationId, req.body.token);
+            const payment = await startPayment(store, mailer, donation, req.body);
+
+            res.status(202).json({ success: true, payment: toPayment(payment) });
+        })
+    );
+
+    router.get('/payments/:id',
+        param('id').isString(),
+        query('token').isString().withMessage('Donation token is required.'),
+        validate,
+        asyncHandler(async (req, res) => {
+            const payment = payments.get(req.params.id);
+            if (!payment) {
+                throw new ApiError(404, 'Payment not found.');
+            }
+            loadDonation(payment.donationId, req.query.token);
+
+            res.json({ success: true, payment: toPayment(await refreshPayment(store, mailer, payment)) });
+        })
+    );
+
+    // The answer is the same whether or not the payment is known
+    const callback = [
+        param('provider').isIn(Object.keys(PROVIDERS)),
+        validate,
+        asyncHandler(async (req, res) => {
+            await handleCallback(store, mailer, req.params.provider, req.body);
+            res.json({ success: true });
+        })
+    ];
+    // MTN sends its callbacks with PUT, Airtel with POST
+    router.put('/callbacks/:provider', ...callback);
+    router.post('/callbacks/:provider', ...callback);
+
+    return router;
+}
+
+module.exports = createMobileMoneyRouter;
@@ -0,0 +1,233 @@
+/**
+ * AFZ API Server - Social Sign-In Routes
+ * OpenID Connect login, account linking and unlinking, mounted under /api/auth/oidc
+ */
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const config = require('../config');
+const { ApiError, asyncHandler, validate } = require('../errors');
+const { requireAuth, toPublicUser } = require('../auth');
+const { isTwoFactorEnabled } = require('../two-factor');
+const { listProviders, getProvider, createAuthorizationRequest, fetchProfile } = require('../oidc');
+
+// How long the member has to finish signing in at the provider
+const OIDC_REQUEST_TTL_MS = 10 * 60 * 1000;
+const OIDC_COOKIE = 'afz_oidc';
+
+// The callback is a top-level redirect from the provider, so the cookie has to be SameSite=Lax
+function oidcCookieOptions() {
+    return {
+        httpOnly: true,
+        secure: config.env === 'production',
+        sameSite: 'lax',
+        path: '/api/auth/oidc'
+    };
+}
+
+function findByIdentity(users, providerId, subject) {
+    return users.findOne(user => (user.identities || [])
+        .some(identity => identity.provider === providerId && identity.subject === subject));
+}
+
+function createOidcRouter(store, { completeLogin, issueTwoFactorChallenge }) {
+    const router = express.Router();
+    const users = store.collection('users');
+    const requests = store.collection('oidcRequests');
+
+    function loadProvider(req, res, next) {
+        req.provider = getProvider(req.params.provider);
+        if (!req.provider) {
+            return next(new ApiError(404, 'That sign-in provider is not available.'));
+        }
+        next();
+    }
+
+    // Remembers the PKCE verifier and nonce server-side; the cookie ties the callback to this browser
+    async function startRequest(res, provider, { mode, userId = null, rememberMe = false }) {
+        const authorization = await createAuthorizationRequest(provider);
+        const now = Date.now();
+
+        requests.removeWhere(request => new Date(request.expiresAt).getTime() < now);
+        requests.insert({
+            id: authorization.state,
+            provider: provider.id,
+            mode,
+            userId,
+            rememberMe,
+            nonce: authorization.nonce,
+            codeVerifier: authorization.codeVerifier,
+            expiresAt: new Date(now + OIDC_REQUEST_TTL_MS).toISOString()
+        });
+
+        res.cookie(OIDC_COOKIE, authorization.state, { ...oidcCookieOptions(), maxAge: OIDC_REQUEST_TTL_MS });
+        res.json({ success: true, authorizationUrl: authorization.url });
+    }
+
+    // Each request can be completed once, and only from the browser that started it
+    function takeRequest(req, res) {
+        const state = String(req.query.state || '');
+        const request = state && requests.get(state);
+
+        res.clearCookie(OIDC_COOKIE, oidcCookieOptions());
+        if (!request) return null;
+
+        requests.remove(request.id);
+        const valid = req.cookies[OIDC_COOKIE] === state &&
+            request.provider === req.provider.id &&
+            new Date(request.expiresAt).getTime() > Date.now();
+
+        return valid ? request : null;
+    }
+
+    // Results go back to the pages as query parameters (auth.js / member-hub.js show the message)
+    function redirectTo(res, page, params, hash = '') {
+        res.redirect(`${config.appUrl}/pages/${page}?${new URLSearchParams(params)}${hash}`);
+    }
+
+    function addIdentity(user, provider, profile) {
+        const identities = (user.identities || []).filter(identity => identity.provider !== provider.id);
+        identities.push({
+            provider: provider.id,
+            subject: profile.subject,
+            email: profile.email,
+            linkedAt: new Date().toISOString()
+        });
+
+        return users.update(user.id, { identities });
+    }
+
+    /**
+     * Finds the member for a provider profile: an account already linked to it, an existing
+     * account with the same verified email (linked automatically), or a new account.
+     * Returns { user } or { reason } when the member has to do something else first.
+     */
+    function resolveAccount(provider, profile) {
+        const linked = findByIdentity(users, provider.id, profile.subject);
+        if (linked) return { user: linked };
+
+        if (!profile.email) {
+            return { reason: 'email_required' };
+        }
+
+        const existing = users.findOne(user => user.email === profile.email);
+        if (existing) {
+            // Both sides must have confirmed the address, otherwise either could be someone else's
+            if (!profile.emailVerified || !existing.emailVerified) {
+                return { reason: 'link_required' };
+            }
+            return { user: addIdentity(existing, provider, profile) };
+        }
+
+        const user = users.insert({
+            firstName: profile.firstName,
+            lastName: profile.lastName,
+            email: profile.email,
+            phone: null,
+            location: null,
+            subscribeNewsletter: false,
+            role: config.auth.adminEmails.includes(profile.email) ? 'super-admin' : 'member',
+            status: 'active',
+            emailVerified: profile.emailVerified,
+            passwordHash: null,
+            identities: []
+        });
+        return { user: addIdentity(user, provider, profile) };
+    }
+
+    router.get('/providers', (req, res) => {
+        res.json({
+            success: true,
+            providers: listProviders().map(provider => ({ id: provider.id, name: provider.name }))
+        });
+    });
+
+    router.post('/:provider/start',
+        loadProvider,
+        body('rememberMe').optional().isBoolean().toBoolean(),
+        validate,
+        asyncHandler(async (req, res) => {
+            await startRequest(res, req.provider, { mode: 'login', rememberMe: req.body.rememberMe === true });
+        })
+    );
+
+    router.post('/:provider/link',
+        requireAuth(store),
+        loadProvider,
+        asyncHandler(async (req, res) => {
+            await startRequest(res, req.provider, { mode: 'link', userId: req.user.id });
+        })
+    );
+
+    router.get('/:provider/callback', loadProvider, asyncHandler(async (req, res) => {
+        const request = takeRequest(req, res);
+        const page = request && request.mode === 'link' ? 'member-hub.html' : 'auth.html';
+        const fail = reason => redirectTo(res, page, { oidc: 'error', provider: req.provider.id, reason });
+
+        if (!request) return fail('expired');
+        if (req.query.error) return fail(req.query.error === 'access_denied' ? 'cancelled' : 'provider_error');
+
+        let profile;
+        try {
+            profile = await fetchProfile(req.provider, {
+                code: String(req.query.code || ''),
+                codeVerifier: request.codeVerifier,
+                nonce: request.nonce
+            });
+        } catch (error) {
+            console.error(`Sign-in with ${req.provider.id} failed:`, error.message);
+            return fail('provider_error');
+        }
+
+        if (request.mode === 'link') {
+            const user = users.get(request.userId);
+            const owner = findByIdentity(users, req.provider.id, profile.subject);
+
+            if (!user || user.status === 'suspended') return fail('expired');
+            if (owner && owner.id !== user.id) return fail('already_linked');
+
+            addIdentity(user, req.provider, profile);
+            return redirectTo(res, page, { oidc: 'linked', provider: req.provider.id });
+        }
+
+        const { user, reason } = resolveAccount(req.provider, profile);
+        if (reason) return fail(reason);
+        if (user.status === 'suspended') return fail('suspended');
+
+        // The provider replaces the password, not the authenticator code
+        if (isTwoFactorEnabled(user)) {
+            const challenge = issueTwoFactorChallenge(user, request.rememberMe);
+            return redirectTo(res, page, { oidc: 'two-factor', provider: req.provider.id },
+                `#challenge=${encodeURIComponent(challenge)}`);
+        }
+
+        // Sets the refresh cookie; the auth page picks the session up with /api/auth/refresh
+        completeLogin(req, res, user, request.rememberMe);
+        redirectTo(res, page, { oidc: 'success', provider: req.provider.id });
+    }));
+
+    router.delete('/identities/:provider',
+        requireAuth(store),
+        param('provider').isString(),
+        validate,
+        (req, res, next) => {
+            const identities = req.user.identities || [];
+            if (!identities.some(identity => identity.provider === req.params.provider)) {
+                return next(new ApiError(404, 'That account is not connected.'));
+            }
+            if (!req.user.passwordHash && identities.length === 1) {
+                return next(new ApiError(400, 'This is your only way to sign in. ' +
+                    'Set a password with "Forgot password" on the login page before disconnecting it.'));
+            }
+
+            const user = users.update(req.user.id, {
+                identities: identities.filter(identity => identity.provider !== req.params.provider)
+            });
+            res.json({ success: true, message: 'The account has been disconnected.', user: toPublicUser(user) });
+        }
+    );
+
+    return router;
+}
+
+module.exports = createOidcRouter;
@@ -0,0 +1,81 @@
+/**
+ * AFZ API Server - Reconciliation Routes
+ * Settlement files imported from the gateways and what checking them against the ledger found
+ */
+
+const express = require('express');
+const { param, query } = require('express-validator');
+const { ApiError, validate } = require('../errors');
+const { requireAuth, requirePermission } = require('../auth');
+const { GATEWAYS } = require('../donations');
+const { IMPORTS, parseSettlement, reconcile, describeImport, RECONCILIATION_COLUMNS } = require('../finance');
+const { sendSpreadsheet } = require('../spreadsheets');
+
+const SETTLEMENT_MAX_BYTES = 5 * 1024 * 1024;
+
+// The file is sent as itself rather than JSON; browsers give CSV files all sorts of types
+const parseFile = express.text({ type: () => true, limit: SETTLEMENT_MAX_BYTES });
+
+function settlementBody(req, res, next) {
+    parseFile(req, res, error => next(error && error.type === 'entity.too.large'
+        ? new ApiError(413, `Settlement files can be up to ${SETTLEMENT_MAX_BYTES / 1024 / 1024} MB.`)
+        : error));
+}
+
+function createReconciliationsRouter(store) {
+    const router = express.Router();
+    const imports = store.collection(IMPORTS);
+
+    router.use(requireAuth(store), requirePermission('donations.view'));
+
+    router.get('/', (req, res) => {
+        const items = imports.find(() => true)
+            .sort((a, b) => new Date(b.importedAt) - new Date(a.importedAt))
+            .map(run => describeImport(run));
+
+        res.json({ success: true, items });
+    });
+
+    router.get('/:id',
+        param('id').isString(),
+        query('format').optional().isIn(['json', 'csv', 'xlsx']).withMessage('Results are JSON, CSV or XLSX.'),
+        validate,
+        (req, res) => {
+            const run = imports.get(req.params.id);
+            if (!run) {
+                throw new ApiError(404, 'Reconciliation not found.');
+            }
+
+            const format = req.query.format || 'json';
+            if (format === 'json') {
+                return res.json({ success: true, reconciliation: describeImport(run, { withItems: true }) });
+            }
+            sendSpreadsheet(res, format, `AFZ-reconciliation-${run.gateway}-${run.importedAt.slice(0, 10)}`, [
+                { name: 'Reconciliation', columns: RECONCILIATION_COLUMNS, rows: run.items }
+            ]);
+        }
+    );
+
+    router.post('/',
+        requirePermission('donations.manage'),
+        query('gateway').isIn(Object.keys(GATEWAYS)).withMessage('Choose the gateway the settlement file is from.'),
+        query('filename').optional().isString().trim().isLength({ max: 200 }),
+        validate,
+        settlementBody,
+        (req, res) => {
+            if (typeof req.body !== 'string' || !req.body.trim()) {
+                throw new ApiError(422, 'Please choose a settlement file in CSV format.');
+            }
+
+            const run = reconcile(store, req.query.gateway, parseSettlement(req.body), {
+                filename: req.query.filename,
+                by: req.user.id
+            });
+            res.status(201).json({ success: true, reconciliation: describeImport(run, { withItems: true }) });
+        }
+    );
+
+    return router;
+}
+
+module.exports = createReconciliationsRouter;
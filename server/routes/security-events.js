@@ -0,0 +1,123 @@
+/**
+ * AFZ API Server - Security Event Routes
+ * Batched reports from SecurityManager in the browser, and the admin Security tab
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, param, query } = require('express-validator');
+const config = require('../config');
+const { ApiError, validate } = require('../errors');
+const { requireAuth, optionalAuth, requirePermission } = require('../auth');
+const { updateSettings } = require('../settings');
+const {
+    SEVERITIES,
+    EVENT_TYPES,
+    isReportable,
+    recordSecurityEvent,
+    listSecurityEvents,
+    summarizeSecurityEvents,
+    acknowledgeAlert
+} = require('../security-events');
+
+const MAX_BATCH_SIZE = 20;
+
+function createSecurityEventsRouter(store) {
+    const router = express.Router();
+    const users = store.collection('users');
+
+    const ingestRateLimit = rateLimit({
+        windowMs: 15 * 60 * 1000,
+        limit: config.securityEvents.ingestRateLimit,
+        standardHeaders: 'draft-7',
+        legacyHeaders: false,
+        handler: (req, res, next) => next(new ApiError(429, 'Too many security reports. Please try again later.'))
+    });
+
+    function memberName(userId) {
+        const user = userId && users.get(userId);
+        return user ? [user.firstName, user.lastName].filter(Boolean).join(' ') : null;
+    }
+
+    // Reports come from any page, signed in or not; the address is always the one the request came from
+    router.post('/',
+        ingestRateLimit,
+        optionalAuth(store),
+        body('events').isArray({ min: 1, max: MAX_BATCH_SIZE })
+            .withMessage(`Send between 1 and ${MAX_BATCH_SIZE} events at a time.`),
+        body('events.*.type').custom(isReportable).withMessage('Unknown security event type.'),
+        body('events.*.message').optional().isString().isLength({ max: 500 }),
+        body('events.*.url').optional().isString().isLength({ max: 500 }),
+        validate,
+        (req, res) => {
+            req.body.events.forEach(event => recordSecurityEvent(store, {
+                type: event.type,
+                message: event.message,
+                url: event.url || req.get('Referer'),
+                ip: req.ip,
+                userId: req.user ? req.user.id : null,
+                userAgent: req.get('User-Agent'),
+                source: 'client'
+            }));
+
+            res.status(202).json({ success: true, accepted: req.body.events.length });
+        }
+    );
+
+    router.use(requireAuth(store), requirePermission('security.monitor'));
+
+    router.get('/',
+        query('type').optional().isIn(Object.keys(EVENT_TYPES)).withMessage('Unknown security event type.'),
+        query('severity').optional().isIn(SEVERITIES).withMessage('Unknown severity.'),
+        query('from').optional().isISO8601().withMessage('Invalid start date.'),
+        query('to').optional().isISO8601().withMessage('Invalid end date.'),
+        query('q').optional().isString().isLength({ max: 200 }),
+        query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+        validate,
+        (req, res) => {
+            const { type, severity, from, to, q, limit } = req.query;
+            const { total, items } = listSecurityEvents(store, { type, severity, from, to, search: q, limit });
+
+            res.json({
+                success: true,
+                total,
+                items: items.map(event => ({ ...event, memberName: memberName(event.userId) }))
+            });
+        }
+    );
+
+    router.get('/summary', (req, res) => {
+        res.json({ success: true, types: Object.keys(EVENT_TYPES), ...summarizeSecurityEvents(store) });
+    });
+
+    router.put('/thresholds',
+        ...SEVERITIES.map(severity => body(severity).isInt({ min: 0, max: 10000 })
+            .withMessage('Thresholds must be whole numbers between 0 and 10000.').toInt()),
+        validate,
+        (req, res) => {
+            const thresholds = SEVERITIES.reduce((values, severity) => {
+                values[severity] = req.body[severity];
+                return values;
+            }, {});
+            const settings = updateSettings(store, { securityAlertThresholds: thresholds }, req.user.id);
+
+            res.json({ success: true, thresholds: settings.securityAlertThresholds });
+        }
+    );
+
+    router.post('/alerts/:id/acknowledge',
+        param('id').isString(),
+        validate,
+        (req, res, next) => {
+            const alert = acknowledgeAlert(store, req.params.id, req.user.id);
+            if (!alert) {
+                return next(new ApiError(404, 'Alert not found or already acknowledged.'));
+            }
+            res.json({ success: true, alert });
+        }
+    );
+
+    return router;
+}
+
+module.exports = createSecurityEventsRouter;
@@ -0,0 +1,34 @@
+/**
+ * AFZ API Server - Settings Routes
+ * Read and change the system settings from the admin System view
+ */
+
+const express = require('express');
+const { ApiError } = require('../errors');
+const { requireAuth, requirePermission } = require('../auth');
+const { SETTINGS, getSettings, updateSettings } = require('../settings');
+
+function createSettingsRouter(store) {
+    const router = express.Router();
+
+    router.use(requireAuth(store), requirePermission('system.manage'));
+
+    router.get('/', (req, res) => {
+        res.json({ success: true, settings: getSettings(store) });
+    });
+
+    router.patch('/', (req, res) => {
+        const changes = req.body || {};
+        const invalid = Object.keys(changes).find(key => !SETTINGS[key] || !SETTINGS[key].isValid(changes[key]));
+
+        if (invalid) {
+            throw new ApiError(422, `Invalid value for setting: ${invalid}.`);
+        }
+
+        res.json({ success: true, settings: updateSettings(store, changes, req.user.id) });
+    });
+
+    return router;
+}
+
+module.exports = createSettingsRouter;
@@ -0,0 +1,90 @@
+/**
+ * AFZ API Server - Recurring Donation Routes
+ * The donor's management page (signed link) and the finance team's list of recurring gifts
+ */
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { ApiError, validate } = require('../errors');
+const { requireAuth, optionalAuth, requirePermission } = require('../auth');
+const { hasPermission } = require('../permissions');
+const { STATUSES, changeSubscription, describeSubscription, isSubscriptionToken } = require('../subscriptions');
+
+const ACTIONS = ['pause', 'resume', 'cancel'];
+
+function createSubscriptionsRouter(store) {
+    const router = express.Router();
+    const subscriptions = store.collection('donationSubscriptions');
+
+    // The link from the donor's emails, or staff with the given permission
+    function loadSubscription(req, permission) {
+        const subscription = subscriptions.get(req.params.id);
+        const allowed = subscription &&
+            (isSubscriptionToken(subscription, req.query.token) || hasPermission(req.user, permission));
+        if (!allowed) {
+            throw new ApiError(404, 'Recurring donation not found.');
+        }
+        return subscription;
+    }
+
+    // Changes are recorded against the donor when made from their link, otherwise against the staff member
+    function changedBy(req, subscription) {
+        return isSubscriptionToken(subscription, req.query.token) ? 'donor' : req.user.id;
+    }
+
+    router.get('/',
+        requireAuth(store),
+        requirePermission('donations.view'),
+        query('status').optional().isIn(STATUSES).withMessage('Unknown status.'),
+        validate,
+        (req, res) => {
+            const items = subscriptions
+                .find(subscription => !req.query.status || subscription.status === req.query.status)
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+                .map(subscription => describeSubscription(store, subscription));
+
+            res.json({ success: true, total: items.length, items });
+        }
+    );
+
+    router.get('/:id',
+        optionalAuth(store),
+        param('id').isString(),
+        validate,
+        (req, res) => {
+            const subscription = loadSubscription(req, 'donations.view');
+            res.json({ success: true, subscription: describeSubscription(store, subscription) });
+        }
+    );
+
+    router.post('/:id/:action',
+        optionalAuth(store),
+        param('action').isIn(ACTIONS).withMessage('Unknown change.'),
+        validate,
+        (req, res) => {
+            const subscription = loadSubscription(req, 'donations.manage');
+            const updated = changeSubscription(store, subscription, req.params.action, { by: changedBy(req, subscription) });
+
+            res.json({ success: true, subscription: describeSubscription(store, updated) });
+        }
+    );
+
+    router.patch('/:id',
+        optionalAuth(store),
+        body('amount').isFloat({ min: 1, max: 10000000 }).withMessage('Please enter a valid amount.').toFloat(),
+        validate,
+        (req, res) => {
+            const subscription = loadSubscription(req, 'donations.manage');
+            const updated = changeSubscription(store, subscription, 'amount', {
+                amount: req.body.amount,
+                by: changedBy(req, subscription)
+            });
+
+            res.json({ success: true, subscription: describeSubscription(store, updated) });
+        }
+    );
+
+    return router;
+}
+
+module.exports = createSubscriptionsRouter;
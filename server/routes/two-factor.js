@@ -0,0 +1,137 @@
+/**
+ * AFZ API Server - Two-Factor Routes
+ * TOTP enrolment, recovery codes and opting out, mounted under /api/auth/two-factor
+ */
+
+const express = require('express');
+const QRCode = require('qrcode');
+const { body } = require('express-validator');
+const { ApiError, asyncHandler, validate } = require('../errors');
+const { requireAuth, verifyPassword } = require('../auth');
+const { revokeUserSessions } = require('../sessions');
+const { assertAttemptAllowed, recordFailure } = require('../login-throttle');
+const {
+    generateRecoveryCodes,
+    isTwoFactorEnabled,
+    isTwoFactorRequired,
+    startEnrolment,
+    checkSecondFactor,
+    verifyEnrolmentCode
+} = require('../two-factor');
+
+const codeRule = () => body('code').isString().trim().matches(/^\d{6}$/)
+    .withMessage('Please enter the 6-digit code from your authenticator app.');
+
+function createTwoFactorRouter(store) {
+    const router = express.Router();
+    const users = store.collection('users');
+
+    // Members who must enrol can still reach these routes
+    router.use(requireAuth(store, { allowTwoFactorSetup: true }));
+
+    router.get('/', (req, res) => {
+        const twoFactor = req.user.twoFactor;
+
+        res.json({
+            success: true,
+            enabled: isTwoFactorEnabled(req.user),
+            required: isTwoFactorRequired(store, req.user),
+            recoveryCodesRemaining: isTwoFactorEnabled(req.user) ? twoFactor.recoveryCodes.length : 0
+        });
+    });
+
+    // Starts enrolment: the secret only becomes active once /enable confirms a code from it
+    router.post('/setup', asyncHandler(async (req, res) => {
+        if (isTwoFactorEnabled(req.user)) {
+            throw new ApiError(400, 'Two-factor authentication is already enabled.');
+        }
+
+        const enrolment = startEnrolment(req.user);
+        users.update(req.user.id, { twoFactor: { enabled: false, pendingSecret: enrolment.pendingSecret } });
+
+        res.json({
+            success: true,
+            secret: enrolment.secret,
+            otpauthUrl: enrolment.otpauthUrl,
+            qrCode: await QRCode.toDataURL(enrolment.otpauthUrl, { margin: 1, width: 220 })
+        });
+    }));
+
+    router.post('/enable', codeRule(), validate, (req, res, next) => {
+        if (isTwoFactorEnabled(req.user)) {
+            return next(new ApiError(400, 'Two-factor authentication is already enabled.'));
+        }
+
+        const verified = verifyEnrolmentCode(req.user, req.body.code);
+        if (!verified) {
+            return next(new ApiError(400, 'That code is not valid. Check the time on your phone and try again.'));
+        }
+
+        const recovery = generateRecoveryCodes();
+        users.update(req.user.id, {
+            twoFactor: {
+                enabled: true,
+                secret: verified.secret,
+                lastUsedStep: verified.lastUsedStep,
+                recoveryCodes: recovery.hashes,
+                enabledAt: new Date().toISOString()
+            }
+        });
+        revokeUserSessions(store, req.user.id, 'two-factor-enabled', { except: req.session.id });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication is on. Store your recovery codes somewhere safe.',
+            recoveryCodes: recovery.codes
+        });
+    });
+
+    // Replaces every recovery code; needs a current authenticator code
+    router.post('/recovery-codes', codeRule(), validate, (req, res, next) => {
+        if (!isTwoFactorEnabled(req.user)) {
+            return next(new ApiError(400, 'Two-factor authentication is not enabled.'));
+        }
+
+        const result = checkSecondFactor(req.user, { code: req.body.code });
+        if (!result) {
+            return next(new ApiError(400, 'That code is not valid. Please try again.'));
+        }
+
+        const recovery = generateRecoveryCodes();
+        users.update(req.user.id, { twoFactor: { ...result.twoFactor, recoveryCodes: recovery.hashes } });
+
+        res.json({ success: true, recoveryCodes: recovery.codes });
+    });
+
+    router.post('/disable',
+        body('password').isString().notEmpty().withMessage('Password is required.'),
+        body('code').optional({ values: 'falsy' }).isString(),
+        body('recoveryCode').optional({ values: 'falsy' }).isString(),
+        validate,
+        asyncHandler(async (req, res) => {
+            if (!isTwoFactorEnabled(req.user)) {
+                throw new ApiError(400, 'Two-factor authentication is not enabled.');
+            }
+            if (isTwoFactorRequired(store, req.user)) {
+                throw new ApiError(403, 'Two-factor authentication is required for your role and cannot be turned off.');
+            }
+            assertAttemptAllowed(store, req, res, req.user.email);
+
+            if (!await verifyPassword(req.body.password, req.user.passwordHash)) {
+                recordFailure(store, { email: req.user.email, ip: req.ip });
+                throw new ApiError(400, 'Your password is incorrect.');
+            }
+            if (!checkSecondFactor(req.user, req.body)) {
+                recordFailure(store, { email: req.user.email, ip: req.ip });
+                throw new ApiError(400, 'That code is not valid. Please try again.');
+            }
+
+            users.update(req.user.id, { twoFactor: null });
+            res.json({ success: true, message: 'Two-factor authentication has been turned off.' });
+        })
+    );
+
+    return router;
+}
+
+module.exports = createTwoFactorRouter;
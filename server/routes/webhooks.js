@@ -0,0 +1,35 @@
+/**
+ * AFZ API Server - Payment Gateway Webhooks
+ * PayPal IPN, Stripe and Flutterwave notifications that settle donations in the ledger
+ */
+
+const express = require('express');
+const { param } = require('express-validator');
+const { ApiError, asyncHandler, validate } = require('../errors');
+const { ADAPTERS, isConfigured, handleWebhook } = require('../gateways');
+
+function createWebhooksRouter(store, { mailer }) {
+    const router = express.Router();
+
+    // Signatures are computed over the exact bytes sent, so the body is kept raw (mounted before express.json)
+    router.post('/:gateway',
+        param('gateway').isIn(Object.keys(ADAPTERS)),
+        validate,
+        express.raw({ type: () => true, limit: '1mb' }),
+        asyncHandler(async (req, res) => {
+            if (!isConfigured(req.params.gateway)) {
+                throw new ApiError(404, 'Not found.');
+            }
+            if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+                throw new ApiError(400, 'Empty notification.');
+            }
+
+            const event = await handleWebhook(store, mailer, req.params.gateway, req);
+            res.json({ success: true, applied: event.applied, duplicate: Boolean(event.duplicate) });
+        })
+    );
+
+    return router;
+}
+
+module.exports = createWebhooksRouter;
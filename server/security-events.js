@@ -0,0 +1,170 @@
+/**
+ * AFZ API Server - Security Events
+ * Security events from the browser and the API, with per-severity alert thresholds
+ */
+
+const config = require('./config');
+const { durationToMs } = require('./sessions');
+const { getSettings } = require('./settings');
+
+const COLLECTION = 'securityEvents';
+const ALERTS = 'securityAlerts';
+const SEVERITIES = ['info', 'warning', 'critical'];
+const ALERT_WINDOW_MS = 60 * 60 * 1000;
+
+/**
+ * Known event types. The severity is decided here, never by the reporter.
+ * Only `reportable` types are accepted from the browser; the rest are recorded
+ * by the API where they happen, so they carry the real client address.
+ */
+const EVENT_TYPES = {
+    XSS_ATTEMPT: { severity: 'critical', reportable: true },
+    SQL_INJECTION_ATTEMPT: { severity: 'critical', reportable: true },
+    UNAUTHORIZED_ACCESS: { severity: 'critical', reportable: true },
+    SUSPICIOUS_ACTIVITY: { severity: 'warning', reportable: true },
+    FAILED_LOGIN: { severity: 'warning', reportable: false },
+    LOGIN_LOCKED: { severity: 'critical', reportable: false },
+    RATE_LIMIT: { severity: 'warning', reportable: false },
+    CSP_VIOLATION: { severity: 'warning', reportable: false }
+};
+
+function isReportable(type) {
+    return Boolean(EVENT_TYPES[type] && EVENT_TYPES[type].reportable);
+}
+
+function timeOf(record) {
+    return new Date(record.occurredAt).getTime();
+}
+
+// Raises one open alert per severity; later events update it until an admin acknowledges it
+function checkThreshold(store, severity, now) {
+    const threshold = getSettings(store).securityAlertThresholds[severity];
+    if (!threshold) return;
+
+    const eventCount = store.collection(COLLECTION)
+        .find(record => record.severity === severity && timeOf(record) > now - ALERT_WINDOW_MS)
+        .length;
+    if (eventCount < threshold) return;
+
+    const alerts = store.collection(ALERTS);
+    const open = alerts.findOne(alert => alert.severity === severity && !alert.acknowledgedAt);
+    const triggeredAt = new Date(now).toISOString();
+
+    if (open) {
+        alerts.update(open.id, { eventCount: Math.max(open.eventCount, eventCount), lastTriggeredAt: triggeredAt });
+        return;
+    }
+
+    alerts.insert({
+        severity,
+        threshold,
+        eventCount,
+        triggeredAt,
+        lastTriggeredAt: triggeredAt,
+        acknowledgedAt: null,
+        acknowledgedBy: null
+    });
+    console.warn(`⚠️ Security alert: ${eventCount} ${severity} event(s) in the last hour (threshold ${threshold})`);
+}
+
+/**
+ * Stores one event: { type, message, ip, userId, userAgent, url, source }.
+ * Events older than the retention period are dropped as new ones arrive.
+ */
+function recordSecurityEvent(store, event) {
+    const definition = EVENT_TYPES[event.type];
+    if (!definition) {
+        throw new Error(`Unknown security event type: ${event.type}`);
+    }
+
+    const events = store.collection(COLLECTION);
+    const now = Date.now();
+    const retentionMs = durationToMs(config.securityEvents.retention);
+
+    events.removeWhere(record => timeOf(record) < now - retentionMs);
+    const record = events.insert({
+        type: event.type,
+        severity: definition.severity,
+        message: String(event.message || '').slice(0, 500),
+        source: event.source || 'server',
+        ip: event.ip || null,
+        userId: event.userId || null,
+        userAgent: event.userAgent ? String(event.userAgent).slice(0, 300) : null,
+        url: event.url ? String(event.url).slice(0, 500) : null,
+        // Server time: browser clocks cannot be trusted and batches arrive a few seconds late
+        occurredAt: new Date(now).toISOString()
+    });
+
+    checkThreshold(store, definition.severity, now);
+    return record;
+}
+
+// Shorthand for events the API records about the request it is handling
+function recordRequestEvent(store, req, type, message) {
+    return recordSecurityEvent(store, {
+        type,
+        message,
+        ip: req.ip,
+        userId: req.user ? req.user.id : null,
+        userAgent: req.get('User-Agent'),
+        url: req.originalUrl,
+        source: 'server'
+    });
+}
+
+// Newest first; filters are { type, severity, from, to, search, limit }
+function listSecurityEvents(store, { type, severity, from, to, search, limit = 100 } = {}) {
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+    const needle = search ? search.toLowerCase() : null;
+
+    const matches = store.collection(COLLECTION)
+        .find(record => (!type || record.type === type) &&
+            (!severity || record.severity === severity) &&
+            timeOf(record) >= fromTime && timeOf(record) <= toTime &&
+            (!needle || [record.message, record.ip, record.url]
+                .some(value => value && value.toLowerCase().includes(needle))))
+        .sort((a, b) => timeOf(b) - timeOf(a));
+
+    return { total: matches.length, items: matches.slice(0, limit) };
+}
+
+// Counters for the last hour and day, open alerts and the thresholds that raise them
+function summarizeSecurityEvents(store) {
+    const now = Date.now();
+    const events = store.collection(COLLECTION).all();
+    const countSince = sinceMs => SEVERITIES.reduce((counts, severity) => {
+        counts[severity] = events
+            .filter(record => record.severity === severity && timeOf(record) > now - sinceMs)
+            .length;
+        return counts;
+    }, {});
+
+    return {
+        lastHour: countSince(ALERT_WINDOW_MS),
+        lastDay: countSince(24 * ALERT_WINDOW_MS),
+        thresholds: getSettings(store).securityAlertThresholds,
+        alerts: store.collection(ALERTS)
+            .find(alert => !alert.acknowledgedAt)
+            .sort((a, b) => new Date(b.lastTriggeredAt) - new Date(a.lastTriggeredAt))
+    };
+}
+
+function acknowledgeAlert(store, id, userId) {
+    const alerts = store.collection(ALERTS);
+    const alert = alerts.get(id);
+    if (!alert || alert.acknowledgedAt) return null;
+
+    return alerts.update(id, { acknowledgedAt: new Date().toISOString(), acknowledgedBy: userId });
+}
+
+module.exports = {
+    SEVERITIES,
+    EVENT_TYPES,
+    isReportable,
+    recordSecurityEvent,
+    recordRequestEvent,
+    listSecurityEvents,
+    summarizeSecurityEvents,
+    acknowledgeAlert
+};
@@ -0,0 +1,183 @@
+/**
+ * AFZ API Server - Sessions
+ * Server-side session table with rotating refresh tokens (sent as an HttpOnly cookie)
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+
+// A refresh token presented again within this window is treated as a race between tabs, not theft
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+function durationToMs(duration) {
+    const match = /^(\d+)\s*([smhd])$/.exec(String(duration));
+    if (!match) {
+        throw new Error(`Invalid duration: ${duration}`);
+    }
+    return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function hashesMatch(a, b) {
+    return Boolean(a && b) && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+// Refresh tokens are "<session id>.<secret>"; only a hash of the secret part is stored
+function newRefreshToken(sessionId) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    return { token: `${sessionId}.${secret}`, hash: hashToken(secret) };
+}
+
+function parseRefreshToken(token) {
+    const [sessionId, secret] = String(token || '').split('.');
+    return sessionId && secret ? { sessionId, hash: hashToken(secret) } : null;
+}
+
+function isActive(session) {
+    return Boolean(session) && !session.revokedAt && new Date(session.expiresAt) > new Date();
+}
+
+function createSession(store, user, { persistent = false, userAgent, ip } = {}) {
+    const sessions = store.collection('sessions');
+    const id = crypto.randomUUID();
+    const refresh = newRefreshToken(id);
+    const ttl = durationToMs(persistent ? config.auth.refreshTokenTtl : config.auth.sessionTtl);
+
+    pruneSessions(store);
+    const session = sessions.insert({
+        id,
+        userId: user.id,
+        refreshTokenHash: refresh.hash,
+        previousRefreshTokenHash: null,
+        rotatedAt: null,
+        persistent,
+        userAgent: userAgent || null,
+        ip: ip || null,
+        lastUsedAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + ttl).toISOString(),
+        revokedAt: null,
+        revokedReason: null
+    });
+
+    return { session, refreshToken: refresh.token };
+}
+
+/**
+ * Swaps a refresh token for a new one. Returns { session, refreshToken }, where
+ * refreshToken is null when another tab already rotated it moments ago.
+ * Reusing an older token revokes the whole session.
+ */
+function rotateSession(store, token) {
+    const sessions = store.collection('sessions');
+    const parsed = parseRefreshToken(token);
+    const session = parsed && sessions.get(parsed.sessionId);
+
+    if (!isActive(session)) {
+        return null;
+    }
+
+    const now = new Date().toISOString();
+
+    if (hashesMatch(parsed.hash, session.refreshTokenHash)) {
+        const refresh = newRefreshToken(session.id);
+        const updated = sessions.update(session.id, {
+            refreshTokenHash: refresh.hash,
+            previousRefreshTokenHash: session.refreshTokenHash,
+            rotatedAt: now,
+            lastUsedAt: now
+        });
+        return { session: updated, refreshToken: refresh.token };
+    }
+
+    if (hashesMatch(parsed.hash, session.previousRefreshTokenHash)) {
+        if (Date.now() - new Date(session.rotatedAt).getTime() < ROTATION_GRACE_MS) {
+            return { session: sessions.update(session.id, { lastUsedAt: now }), refreshToken: null };
+        }
+        revokeSession(store, session.id, 'refresh-token-reuse');
+    }
+
+    return null;
+}
+
+function getActiveSession(store, sessionId) {
+    const session = store.collection('sessions').get(sessionId);
+    return isActive(session) ? session : null;
+}
+
+function sessionIdFromRefreshToken(token) {
+    const parsed = parseRefreshToken(token);
+    return parsed ? parsed.sessionId : null;
+}
+
+function revokeSession(store, sessionId, reason) {
+    const sessions = store.collection('sessions');
+    const session = sessions.get(sessionId);
+
+    if (session && !session.revokedAt) {
+        sessions.update(sessionId, { revokedAt: new Date().toISOString(), revokedReason: reason });
+    }
+}
+
+// Ends every session for a member, optionally keeping the one making the request
+function revokeUserSessions(store, userId, reason, { except } = {}) {
+    const sessions = store.collection('sessions');
+
+    pruneSessions(store);
+    sessions
+        .find(session => session.userId === userId && session.id !== except && isActive(session))
+        .forEach(session => revokeSession(store, session.id, reason));
+}
+
+function listUserSessions(store, userId) {
+    return store.collection('sessions')
+        .find(session => session.userId === userId && isActive(session))
+        .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt));
+}
+
+// Expired and revoked sessions are kept for a while so admins can see what happened
+function pruneSessions(store) {
+    const cutoff = Date.now() - durationToMs(config.auth.refreshTokenTtl);
+
+    store.collection('sessions').removeWhere(session =>
+        new Date(session.revokedAt || session.expiresAt).getTime() < cutoff);
+}
+
+function refreshCookieOptions() {
+    return {
+        httpOnly: true,
+        secure: config.env === 'production',
+        sameSite: 'strict',
+        path: '/api/auth'
+    };
+}
+
+function setRefreshCookie(res, session, refreshToken) {
+    res.cookie(config.auth.refreshCookie, refreshToken, {
+        ...refreshCookieOptions(),
+        // Without "remember me" the cookie ends with the browser session
+        expires: session.persistent ? new Date(session.expiresAt) : undefined
+    });
+}
+
+function clearRefreshCookie(res) {
+    res.clearCookie(config.auth.refreshCookie, refreshCookieOptions());
+}
+
+module.exports = {
+    durationToMs,
+    createSession,
+    rotateSession,
+    getActiveSession,
+    sessionIdFromRefreshToken,
+    revokeSession,
+    revokeUserSessions,
+    listUserSessions,
+    pruneSessions,
+    setRefreshCookie,
+    clearRefreshCookie
+};
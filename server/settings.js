@@ -0,0 +1,58 @@
+/**
+ * AFZ API Server - System Settings
+ * Admin-controlled settings the server enforces, stored as a single record
+ */
+
+const SETTINGS_ID = 'system';
+
+const ALERT_SEVERITIES = ['info', 'warning', 'critical'];
+
+function isAlertThresholds(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+        ALERT_SEVERITIES.every(severity => Number.isInteger(value[severity]) &&
+            value[severity] >= 0 && value[severity] <= 10000) &&
+        Object.keys(value).every(key => ALERT_SEVERITIES.includes(key));
+}
+
+// Each setting's default and the check applied before saving it
+const SETTINGS = {
+    twoFactorRequired: {
+        default: true,
+        isValid: value => typeof value === 'boolean'
+    },
+    // Security events of each severity per hour that raise an alert; 0 turns the alert off
+    securityAlertThresholds: {
+        default: { info: 0, warning: 25, critical: 1 },
+        isValid: isAlertThresholds
+    }
+};
+
+function getSettings(store) {
+    const saved = store.collection('settings').get(SETTINGS_ID) || {};
+
+    return Object.entries(SETTINGS).reduce((settings, [key, definition]) => {
+        settings[key] = saved[key] !== undefined ? saved[key] : definition.default;
+        return settings;
+    }, {});
+}
+
+function updateSettings(store, changes, updatedBy) {
+    const settings = store.collection('settings');
+    const values = Object.keys(SETTINGS).reduce((picked, key) => {
+        if (changes[key] !== undefined) picked[key] = changes[key];
+        return picked;
+    }, {});
+
+    if (settings.get(SETTINGS_ID)) {
+        settings.update(SETTINGS_ID, { ...values, updatedBy });
+    } else {
+        settings.insert({ id: SETTINGS_ID, ...values, updatedBy });
+    }
+    return getSettings(store);
+}
+
+module.exports = {
+    SETTINGS,
+    getSettings,
+    updateSettings
+};
@@ -0,0 +1,260 @@
+/**
+ * AFZ API Server - Spreadsheets
+ * CSV in and out, and a small XLSX writer for the finance exports (one row of headers, text and numbers)
+ */
+
+const zlib = require('zlib');
+
+/**
+ * Each sheet is { name, columns, rows }: columns are { header, value(row) } and a value is a string,
+ * a number or null. Numbers stay numbers in XLSX so auditors can add them up.
+ */
+function cellsOf(sheet) {
+    return sheet.rows.map(row => sheet.columns.map(column => {
+        const value = column.value(row);
+        return value === undefined ? null : value;
+    }));
+}
+
+// Spreadsheet programs run cells that start like a formula; donor names and references come from outside.
+// A sign followed only by digits and spaces, like a phone number, cannot run anything and is left alone.
+function safeText(value) {
+    if (/^[+-][\d ]+$/.test(value)) return value;
+    return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+function csvField(value) {
+    if (value === null) return '';
+    const text = typeof value === 'number' ? String(value) : safeText(String(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// With a byte order mark, so Excel reads names with accents correctly
+function toCsv(sheet) {
+    const lines = [sheet.columns.map(column => csvField(column.header)), ...cellsOf(sheet).map(cells => cells.map(csvField))];
+    return `\uFEFF${lines.map(fields => fields.join(',')).join('\r\n')}\r\n`;
+}
+
+// Rows of fields; quoted fields may hold commas, quotes and line breaks. Blank lines are skipped.
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// A zip archive of deflated entries, which is all an XLSX file is
+function zip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    files.forEach(({ name, content }) => {
+        const nameBytes = Buffer.from(name, 'utf8');
+        const data = Buffer.from(content, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x0800, 6);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBytes, compressed);
+        centrals.push(central, nameBytes);
+        offset += local.length + nameBytes.length + compressed.length;
+    });
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+}
+
+function escapeXml(value) {
+    return String(value)
+        // Control characters are not allowed in XML at all
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function sheetXml(sheet) {
+    const rows = [sheet.columns.map(column => column.header), ...cellsOf(sheet)].map((cells, rowIndex) => {
+        const ref = index => `${columnName(index)}${rowIndex + 1}`;
+        const xml = cells.map((value, index) => {
+            if (value === null) return '';
+            if (typeof value === 'number') return `<c r="${ref(index)}"><v>${value}</v></c>`;
+            // The header row uses the bold font from the styles part
+            const style = rowIndex === 0 ? ' s="1"' : '';
+            return `<c r="${ref(index)}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+        }).join('');
+        return `<row r="${rowIndex + 1}">${xml}</row>`;
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" state="frozen"/></sheetView></sheetViews>' +
+        `<sheetData>${rows}</sheetData></worksheet>`;
+}
+
+// Sheet names are at most 31 characters and cannot contain []:*?/\
+function sheetName(name) {
+    return name.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+}
+
+function toXlsx(sheets) {
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                sheets.map((sheet, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ` +
+                    'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>').join('') +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+                'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+                sheets.map((sheet, index) => `<sheet name="${escapeXml(sheetName(sheet.name))}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+                '</sheets></workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                sheets.map((sheet, index) => `<Relationship Id="rId${index + 1}" ` +
+                    'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" ' +
+                    `Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+                `<Relationship Id="rId${sheets.length + 1}" ` +
+                'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/styles.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+                '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                '</styleSheet>'
+        },
+        ...sheets.map((sheet, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, content: sheetXml(sheet) }))
+    ];
+
+    return zip(files);
+}
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Sends the sheets as a download; a CSV holds only the first sheet
+function sendSpreadsheet(res, format, filename, sheets) {
+    res.set('Cache-Control', 'no-store');
+    res.attachment(`${filename}.${format}`);
+    res.type(CONTENT_TYPES[format]).send(format === 'xlsx' ? toXlsx(sheets) : toCsv(sheets[0]));
+}
+
+module.exports = {
+    toCsv,
+    parseCsv,
+    toXlsx,
+    sendSpreadsheet
+};
@@ -0,0 +1,415 @@
+/**
+ * AFZ API Server - Recurring Donations
+ * Monthly, quarterly and annual gifts: scheduled charges, retries with dunning emails, donor self-service
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+const { ApiError } = require('./errors');
+const { durationToMs } = require('./sessions');
+const { GATEWAYS, recordDonation, updateDonationStatus } = require('./donations');
+const { PROVIDERS, paymentForDonation, startPayment, refreshPayment } = require('./mobile-money');
+const { openCampaign } = require('./campaigns');
+const { openFundraiser } = require('./fundraisers');
+
+const COLLECTION = 'donationSubscriptions';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Months between charges for each recurring donation type
+const INTERVALS = { monthly: 1, quarterly: 3, annual: 12 };
+const STATUSES = ['pending', 'active', 'past_due', 'paused', 'lapsed', 'cancelled'];
+
+// Days to wait after each failed charge before trying again; failing once more lapses the gift
+const RETRY_DAYS = [3, 5, 7];
+
+/**
+ * Gateways we can charge without the donor on the page. Mobile money sends the usual prompt
+ * to the number the first payment came from, so the donor approves every charge on their phone.
+ */
+const CHARGERS = {
+    'mobile-money': (store, mailer, subscription, donation) =>
+        startPayment(store, mailer, donation, { phone: subscription.msisdn, provider: subscription.provider })
+};
+// What each charger can collect; mobile money wallets only hold kwacha
+const CHARGER_CURRENCIES = {
+    'mobile-money': ['ZMW']
+};
+
+function isRecurring(donationType) {
+    return Boolean(INTERVALS[donationType]);
+}
+
+function canRecur(gateway, currency) {
+    return Boolean(CHARGERS[gateway]) && CHARGER_CURRENCIES[gateway].includes(currency);
+}
+
+// Same day of the month as the first payment, or the month's last day when it is shorter
+function addMonths(from, months, anchorDay) {
+    const date = new Date(from);
+    const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1,
+        date.getUTCHours(), date.getUTCMinutes()));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(anchorDay, lastDay));
+    return target;
+}
+
+// Signs the self-service link; derived like receipt tokens, so every email can carry it
+function subscriptionToken(subscription) {
+    return crypto.createHmac('sha256', config.auth.jwtSecret)
+        .update(`donation-subscription:${subscription.id}`)
+        .digest('base64url');
+}
+
+function isSubscriptionToken(subscription, token) {
+    const expected = subscriptionToken(subscription);
+    return typeof token === 'string' && token.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+}
+
+function manageUrl(subscription) {
+    return `${config.appUrl}/pages/manage-donation.html?id=${encodeURIComponent(subscription.id)}` +
+        `&token=${subscriptionToken(subscription)}`;
+}
+
+function formatAmount(amount, currency) {
+    return new Intl.NumberFormat('en-ZM', { style: 'currency', currency }).format(amount);
+}
+
+function formatDate(value) {
+    return new Date(value).toLocaleDateString('en-GB', {
+        day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Africa/Lusaka'
+    });
+}
+
+function withHistory(subscription, event, { by = 'system', note = null } = {}) {
+    return [...subscription.history, { event, at: new Date().toISOString(), by, note }];
+}
+
+// Dunning and confirmation emails are worth a log line when they fail, never a failed charge run
+async function notify(mailer, subscription, template, subject, context = {}) {
+    try {
+        await mailer.send({
+            to: subscription.donor.email,
+            subject,
+            template,
+            context: {
+                firstName: subscription.donor.firstName,
+                amount: formatAmount(subscription.amount, subscription.currency),
+                interval: subscription.interval,
+                link: manageUrl(subscription),
+                footer: 'You are receiving this email because you set up a recurring donation to the Albinism Foundation of Zambia.',
+                ...context
+            }
+        });
+    } catch (error) {
+        console.error(`Failed to send ${template} email for subscription ${subscription.id}:`, error);
+    }
+}
+
+/**
+ * Starts a recurring gift alongside its first ledger entry. It stays pending until that payment
+ * completes, and the schedule is anchored to the day it did.
+ */
+function createSubscription(store, donation) {
+    const subscription = store.collection(COLLECTION).insert({
+        donor: { ...donation.donor },
+        // The amount the donor chose; when they cover the fee each charge is grossed up again
+        amount: donation.coverFees ? donation.netAmount : donation.amount,
+        coverFees: donation.coverFees,
+        currency: donation.currency,
+        gateway: donation.gateway,
+        interval: donation.donationType,
+        anonymous: donation.anonymous,
+        dedication: donation.dedication,
+        campaignId: donation.campaignId || null,
+        fundraiserId: donation.fundraiserId || null,
+        userId: donation.userId,
+        status: 'pending',
+        anchorDay: null,
+        nextChargeAt: null,
+        periodStart: null,
+        pendingDonationId: donation.id,
+        failedAttempts: 0,
+        lastPaidAt: null,
+        msisdn: null,
+        provider: null,
+        history: [{ event: 'created', at: new Date().toISOString(), by: 'donor', note: null }],
+        createdAt: new Date().toISOString()
+    });
+
+    store.collection('donations').update(donation.id, { subscriptionId: subscription.id });
+    return subscription;
+}
+
+async function handlePaid(store, mailer, subscription, donation) {
+    const subscriptions = store.collection(COLLECTION);
+    const interval = INTERVALS[subscription.interval];
+
+    if (subscription.status === 'pending') {
+        const paidAt = new Date(donation.completedAt);
+        const payment = paymentForDonation(store, donation.id);
+        const anchorDay = paidAt.getUTCDate();
+        const started = subscriptions.update(subscription.id, {
+            status: 'active',
+            anchorDay,
+            periodStart: paidAt.toISOString(),
+            nextChargeAt: addMonths(paidAt, interval, anchorDay).toISOString(),
+            pendingDonationId: null,
+            lastPaidAt: paidAt.toISOString(),
+            msisdn: payment ? payment.msisdn : null,
+            provider: payment ? payment.provider : null,
+            history: withHistory(subscription, 'started')
+        });
+
+        await notify(mailer, started, 'donation-subscription-started', `Your ${started.interval} donation is set up`, {
+            nextCharge: formatDate(started.nextChargeAt)
+        });
+        return started;
+    }
+
+    // Renewals keep to the schedule even when a retry was what finally went through;
+    // periods that passed while the gift was paused or lapsed are skipped, not charged
+    let periodStart = addMonths(subscription.periodStart, interval, subscription.anchorDay);
+    let nextChargeAt = addMonths(periodStart, interval, subscription.anchorDay);
+    while (nextChargeAt.getTime() <= Date.now()) {
+        periodStart = nextChargeAt;
+        nextChargeAt = addMonths(periodStart, interval, subscription.anchorDay);
+    }
+
+    return subscriptions.update(subscription.id, {
+        status: ['past_due', 'lapsed'].includes(subscription.status) ? 'active' : subscription.status,
+        periodStart: periodStart.toISOString(),
+        nextChargeAt: nextChargeAt.toISOString(),
+        pendingDonationId: null,
+        failedAttempts: 0,
+        lastPaidAt: donation.completedAt,
+        history: withHistory(subscription, 'charged', { note: donation.receiptNumber })
+    });
+}
+
+async function handleFailed(store, mailer, subscription, donation) {
+    const subscriptions = store.collection(COLLECTION);
+    const reason = donation.history[donation.history.length - 1].note;
+
+    // The donor saw the first payment fail on the donate page and can simply try again
+    if (subscription.status === 'pending') {
+        return subscriptions.update(subscription.id, {
+            status: 'cancelled',
+            pendingDonationId: null,
+            history: withHistory(subscription, 'cancelled', { note: 'The first payment did not go through' })
+        });
+    }
+    if (!['active', 'past_due'].includes(subscription.status)) {
+        return subscriptions.update(subscription.id, { pendingDonationId: null });
+    }
+
+    const failedAttempts = subscription.failedAttempts + 1;
+    if (failedAttempts > RETRY_DAYS.length) {
+        const lapsed = subscriptions.update(subscription.id, {
+            status: 'lapsed',
+            pendingDonationId: null,
+            failedAttempts,
+            nextChargeAt: null,
+            history: withHistory(subscription, 'lapsed', { note: reason })
+        });
+        await notify(mailer, lapsed, 'donation-subscription-lapsed', `Your ${lapsed.interval} donation has been paused`);
+        return lapsed;
+    }
+
+    const retryAt = new Date(Date.now() + RETRY_DAYS[failedAttempts - 1] * DAY_MS);
+    const pastDue = subscriptions.update(subscription.id, {
+        status: 'past_due',
+        pendingDonationId: null,
+        failedAttempts,
+        nextChargeAt: retryAt.toISOString(),
+        history: withHistory(subscription, 'charge_failed', { note: reason })
+    });
+    await notify(mailer, pastDue, 'donation-payment-failed', `We could not collect your ${pastDue.interval} donation`, {
+        reason,
+        retryOn: formatDate(retryAt),
+        attemptsLeft: RETRY_DAYS.length - failedAttempts + 1
+    });
+    return pastDue;
+}
+
+async function charge(store, mailer, subscription) {
+    const page = openFundraiser(store, subscription.fundraiserId);
+    const donation = recordDonation(store, {
+        amount: subscription.amount,
+        coverFees: subscription.coverFees,
+        currency: subscription.currency,
+        gateway: subscription.gateway,
+        donationType: subscription.interval,
+        donor: subscription.donor,
+        anonymous: subscription.anonymous,
+        dedication: subscription.dedication,
+        subscriptionId: subscription.id,
+        // Renewals count towards the campaign until it closes, then go to the general fund
+        campaignId: openCampaign(store, subscription.campaignId) ? subscription.campaignId : null,
+        // and to the member's page while it stays open
+        fundraiserId: page ? page.fundraiser.id : null,
+        raisedBy: page ? page.fundraiser.ownerId : null
+    }, { userId: subscription.userId });
+
+    store.collection(COLLECTION).update(subscription.id, { pendingDonationId: donation.id });
+
+    try {
+        await CHARGERS[subscription.gateway](store, mailer, subscription, donation);
+    } catch (error) {
+        // Errors that stop the request going out leave the entry pending; the next run picks up the failure
+        const current = store.collection('donations').get(donation.id);
+        if (current.status === 'pending') {
+            updateDonationStatus(store, donation.id, 'failed', { note: error.message });
+        }
+    }
+}
+
+/**
+ * One pass of the scheduler: settles charges that have an outcome, and starts the ones that are due.
+ * Mobile money prompts nobody is watching are checked here, so they still time out.
+ */
+async function runSubscriptions(store, mailer, now = Date.now()) {
+    const subscriptions = store.collection(COLLECTION);
+    const donations = store.collection('donations');
+
+    for (const subscription of subscriptions.find(item => item.pendingDonationId)) {
+        const payment = paymentForDonation(store, subscription.pendingDonationId);
+        if (payment && payment.status === 'pending') {
+            await refreshPayment(store, mailer, payment);
+        }
+
+        const donation = donations.get(subscription.pendingDonationId);
+        if (donation.status === 'completed') {
+            await handlePaid(store, mailer, subscription, donation);
+        } else if (donation.status === 'failed') {
+            await handleFailed(store, mailer, subscription, donation);
+        }
+    }
+
+    const due = subscriptions.find(item => ['active', 'past_due'].includes(item.status) &&
+        !item.pendingDonationId && new Date(item.nextChargeAt).getTime() <= now);
+    for (const subscription of due) {
+        await charge(store, mailer, subscription);
+    }
+}
+
+// Runs the scheduler in the background; a run that is still going when the next is due is not doubled up
+function startSubscriptionScheduler(store, mailer) {
+    let running = false;
+
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await runSubscriptions(store, mailer);
+        } catch (error) {
+            console.error('Recurring donation run failed:', error);
+        } finally {
+            running = false;
+        }
+    }, durationToMs(config.subscriptions.checkInterval));
+
+    timer.unref();
+    return timer;
+}
+
+// Donor-facing changes from the signed link; `by` is 'donor' there and a member id for staff
+function changeSubscription(store, subscription, action, { amount, by = 'donor' } = {}) {
+    const subscriptions = store.collection(COLLECTION);
+
+    switch (action) {
+    case 'pause':
+        if (!['active', 'past_due'].includes(subscription.status)) {
+            throw new ApiError(409, 'Only an active donation can be paused.');
+        }
+        return subscriptions.update(subscription.id, {
+            status: 'paused',
+            history: withHistory(subscription, 'paused', { by })
+        });
+    case 'resume': {
+        if (!['paused', 'lapsed'].includes(subscription.status)) {
+            throw new ApiError(409, 'Only a paused or lapsed donation can be resumed.');
+        }
+        // A charge that fell due while paused is taken on the next run
+        const nextChargeAt = new Date(Math.max(new Date(subscription.nextChargeAt || 0).getTime(), Date.now()));
+        return subscriptions.update(subscription.id, {
+            status: 'active',
+            failedAttempts: 0,
+            nextChargeAt: nextChargeAt.toISOString(),
+            history: withHistory(subscription, 'resumed', { by })
+        });
+    }
+    case 'cancel':
+        if (subscription.status === 'cancelled') {
+            throw new ApiError(409, 'This donation has already been cancelled.');
+        }
+        return subscriptions.update(subscription.id, {
+            status: 'cancelled',
+            nextChargeAt: null,
+            history: withHistory(subscription, 'cancelled', { by })
+        });
+    case 'amount':
+        if (['pending', 'cancelled'].includes(subscription.status)) {
+            throw new ApiError(409, 'The amount of this donation cannot be changed.');
+        }
+        return subscriptions.update(subscription.id, {
+            amount: Math.round(Number(amount) * 100) / 100,
+            history: withHistory(subscription, 'amount_changed', {
+                by,
+                note: `${formatAmount(subscription.amount, subscription.currency)} to ${formatAmount(amount, subscription.currency)}`
+            })
+        });
+    default:
+        throw new ApiError(400, `Unknown change: ${action}`);
+    }
+}
+
+// What the management page shows: the gift, its schedule and the payments made so far
+function describeSubscription(store, subscription) {
+    const payments = store.collection('donations')
+        .find(donation => donation.subscriptionId === subscription.id)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .map(donation => ({
+            receiptNumber: donation.receiptNumber,
+            amount: donation.amount,
+            currency: donation.currency,
+            status: donation.status,
+            createdAt: donation.createdAt,
+            completedAt: donation.completedAt
+        }));
+
+    return {
+        id: subscription.id,
+        donorName: [subscription.donor.firstName, subscription.donor.lastName].filter(Boolean).join(' '),
+        email: subscription.donor.email,
+        amount: subscription.amount,
+        coverFees: Boolean(subscription.coverFees),
+        currency: subscription.currency,
+        interval: subscription.interval,
+        gateway: GATEWAYS[subscription.gateway] || subscription.gateway,
+        network: subscription.provider ? PROVIDERS[subscription.provider].name : null,
+        msisdn: subscription.msisdn,
+        status: subscription.status,
+        nextChargeAt: subscription.nextChargeAt,
+        failedAttempts: subscription.failedAttempts,
+        lastPaidAt: subscription.lastPaidAt,
+        createdAt: subscription.createdAt,
+        payments
+    };
+}
+
+module.exports = {
+    INTERVALS,
+    STATUSES,
+    RETRY_DAYS,
+    isRecurring,
+    canRecur,
+    createSubscription,
+    runSubscriptions,
+    startSubscriptionScheduler,
+    changeSubscription,
+    describeSubscription,
+    subscriptionToken,
+    isSubscriptionToken,
+    manageUrl
+};
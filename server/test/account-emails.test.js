@@ -0,0 +1,82 @@
+/**
+ * Email verification and password reset links (routes/auth.js)
+ */
+
+const jwt = require('jsonwebtoken');
+const { PASSWORD, createTestApp, createMember, signIn, linkToken } = require('./helpers');
+
+describe('account emails', () => {
+    let ctx;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        await createMember(ctx, 'ann@example.com', { verified: false });
+    });
+
+    afterEach(() => ctx.cleanup());
+
+    const newPassword = password => ({ password, confirmPassword: password });
+
+    test('sends a verification link at registration that verifies the address', async () => {
+        const token = linkToken(ctx.mailer, 'ann@example.com', 'verify');
+        expect(ctx.mailer.sent[0]).toMatchObject({ subject: 'Please verify your AFZ account', template: 'verify-email' });
+
+        const res = await ctx.api().post('/api/auth/verify').send({ token }).expect(200);
+        expect(res.body.user.emailVerified).toBe(true);
+    });
+
+    test('keeps unverified members from writing to the hub', async () => {
+        const { auth } = await signIn(ctx, 'ann@example.com');
+
+        await ctx.api().post('/api/resources').set(auth).send({ title: 'Guide' }).expect(403);
+        await ctx.api().post('/api/auth/verify').send({ token: linkToken(ctx.mailer, 'ann@example.com', 'verify') }).expect(200);
+        await ctx.api().post('/api/resources').set(auth).send({ title: 'Guide' }).expect(201);
+    });
+
+    test('resends the link only while the address is unverified', async () => {
+        const { auth } = await signIn(ctx, 'ann@example.com');
+
+        await ctx.api().post('/api/auth/verify/resend').set(auth).expect(200);
+        expect(ctx.mailer.sent).toHaveLength(2);
+
+        await ctx.api().post('/api/auth/verify').send({ token: linkToken(ctx.mailer, 'ann@example.com', 'verify') }).expect(200);
+        await ctx.api().post('/api/auth/verify/resend').set(auth).expect(400);
+    });
+
+    test('rejects tampered and expired links', async () => {
+        const token = linkToken(ctx.mailer, 'ann@example.com', 'verify');
+        const expired = jwt.sign({ ...jwt.decode(token), exp: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET);
+
+        await ctx.api().post('/api/auth/verify').send({ token: `${token}x` }).expect(400);
+        const res = await ctx.api().post('/api/auth/verify').send({ token: expired }).expect(400);
+        expect(res.body.message).toMatch(/expired/);
+    });
+
+    test('answers a reset request the same way for unknown addresses', async () => {
+        const known = await ctx.api().post('/api/auth/reset/request').send({ email: 'ann@example.com' }).expect(200);
+        const unknown = await ctx.api().post('/api/auth/reset/request').send({ email: 'nobody@example.com' }).expect(200);
+
+        expect(unknown.body.message).toBe(known.body.message);
+        expect(ctx.mailer.sent.filter(message => message.template === 'reset-password')).toHaveLength(1);
+    });
+
+    test('resets the password once per link and signs out existing sessions', async () => {
+        const { auth } = await signIn(ctx, 'ann@example.com');
+        await ctx.api().post('/api/auth/reset/request').send({ email: 'ann@example.com' }).expect(200);
+        const token = linkToken(ctx.mailer, 'ann@example.com', 'reset');
+
+        await ctx.api().post('/api/auth/reset').send({ token, ...newPassword('NewPassw0rd') }).expect(200);
+        await ctx.api().post('/api/auth/reset').send({ token, ...newPassword('OtherPassw0rd') }).expect(400);
+
+        await ctx.api().get('/api/auth/me').set(auth).expect(401);
+        await ctx.api().post('/api/auth/login').send({ email: 'ann@example.com', password: PASSWORD }).expect(401);
+        const session = await signIn(ctx, 'ann@example.com', 'NewPassw0rd');
+        expect(session.user.emailVerified).toBe(true);
+    });
+
+    test('does not accept a verification link as a reset link', async () => {
+        const token = linkToken(ctx.mailer, 'ann@example.com', 'verify');
+
+        await ctx.api().post('/api/auth/reset').send({ token, ...newPassword('NewPassw0rd') }).expect(400);
+    });
+});
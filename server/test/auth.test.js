@@ -0,0 +1,89 @@
+/**
+ * Registration, login and logout (routes/auth.js)
+ */
+
+const { PASSWORD, createTestApp, createMember, signIn } = require('./helpers');
+
+describe('auth API', () => {
+    let ctx;
+
+    beforeEach(() => {
+        ctx = createTestApp();
+    });
+
+    afterEach(() => ctx.cleanup());
+
+    const registration = (email, changes = {}) => ({
+        firstName: 'Ann',
+        lastName: 'Banda',
+        email,
+        password: PASSWORD,
+        confirmPassword: PASSWORD,
+        agreeToTerms: true,
+        ...changes
+    });
+
+    test('registers a member and never returns the password hash', async () => {
+        const res = await ctx.api().post('/api/auth/register').send(registration('Ann@Example.com')).expect(201);
+
+        expect(res.body.user).toMatchObject({ email: 'ann@example.com', role: 'member', emailVerified: false });
+        expect(res.body.user.passwordHash).toBeUndefined();
+        expect(ctx.store.collection('users').findOne(user => user.email === 'ann@example.com').passwordHash)
+            .not.toBe(PASSWORD);
+    });
+
+    test('refuses a second account for the same email', async () => {
+        await ctx.api().post('/api/auth/register').send(registration('ann@example.com')).expect(201);
+        const res = await ctx.api().post('/api/auth/register').send(registration('ANN@example.com')).expect(409);
+
+        expect(res.body.success).toBe(false);
+    });
+
+    test('rejects weak passwords and unaccepted terms', async () => {
+        const res = await ctx.api().post('/api/auth/register')
+            .send(registration('ann@example.com', { password: 'weak', confirmPassword: 'weak', agreeToTerms: false }))
+            .expect(422);
+
+        expect(res.body.success).toBe(false);
+        expect(ctx.store.collection('users').all()).toHaveLength(0);
+    });
+
+    test('makes configured admin emails super-admins', async () => {
+        const res = await ctx.api().post('/api/auth/register').send(registration('admin@afz.org')).expect(201);
+
+        expect(res.body.user.role).toBe('super-admin');
+    });
+
+    test('logs in with the right password only', async () => {
+        await createMember(ctx, 'ann@example.com');
+
+        await ctx.api().post('/api/auth/login').send({ email: 'ann@example.com', password: 'Wrong1234' }).expect(401);
+        await ctx.api().post('/api/auth/login').send({ email: 'nobody@example.com', password: PASSWORD }).expect(401);
+
+        const { token, user, auth } = await signIn(ctx, 'ann@example.com');
+        expect(token).toEqual(expect.any(String));
+        expect(user.email).toBe('ann@example.com');
+
+        const me = await ctx.api().get('/api/auth/me').set(auth).expect(200);
+        expect(me.body.user.id).toBe(user.id);
+    });
+
+    test('requires a token for the member API', async () => {
+        await ctx.api().get('/api/auth/me').expect(401);
+        await ctx.api().get('/api/auth/me').set('Authorization', 'Bearer not-a-token').expect(401);
+    });
+
+    test('logging out ends the session behind the token', async () => {
+        await createMember(ctx, 'ann@example.com');
+        const { auth } = await signIn(ctx, 'ann@example.com');
+
+        await ctx.api().post('/api/auth/logout').set(auth).expect(200);
+        await ctx.api().get('/api/auth/me').set(auth).expect(401);
+    });
+
+    test('answers unknown API paths with a JSON 404', async () => {
+        const res = await ctx.api().get('/api/nothing-here').expect(404);
+
+        expect(res.body.success).toBe(false);
+    });
+});
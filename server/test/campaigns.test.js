@@ -0,0 +1,122 @@
+/**
+ * Fundraising campaigns, their progress and the embeddable thermometer (campaigns.js, routes/campaigns.js)
+ */
+
+const { createTestApp, createSignedInMember, waiveTwoFactorRequirement } = require('./helpers');
+
+describe('campaigns', () => {
+    let ctx;
+    let admin;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        waiveTwoFactorRequirement(ctx);
+        admin = await createSignedInMember(ctx, 'admin@afz.org');
+    });
+
+    afterEach(() => ctx.cleanup());
+
+    const create = changes => ctx.api().post('/api/campaigns').set(admin.auth)
+        .send({ title: 'Sunscreen for Schools', targetAmount: 1000, endsAt: '2099-12-31', ...changes });
+    const update = (campaign, changes) => ctx.api().patch(`/api/campaigns/${campaign.id}`).set(admin.auth).send(changes);
+
+    async function donate(campaign, changes = {}) {
+        const { body } = await ctx.api().post('/api/donations').send({
+            amount: 100,
+            currency: 'ZMW',
+            gateway: 'paypal',
+            donor: { firstName: 'Ann', lastName: 'Banda', email: 'ann@example.com' },
+            campaign: campaign.slug,
+            ...changes
+        }).expect(201);
+        await ctx.api().patch(`/api/donations/${body.donation.id}/status`).set(admin.auth).send({ status: 'completed' }).expect(200);
+        return body.donation;
+    }
+
+    test('lets staff create campaigns as drafts that only they can see', async () => {
+        const member = await createSignedInMember(ctx, 'ben@example.com');
+        await ctx.api().post('/api/campaigns').send({ title: 'Sunscreen', targetAmount: 10 }).expect(401);
+        await ctx.api().post('/api/campaigns').set(member.auth).send({ title: 'Sunscreen', targetAmount: 10 }).expect(403);
+
+        const { body } = await create().expect(201);
+        expect(body.campaign).toMatchObject({
+            slug: 'sunscreen-for-schools',
+            status: 'draft',
+            currency: 'ZMW',
+            endsAt: '2099-12-31T23:59:59.999Z',
+            open: false,
+            progress: { raised: 0, target: 1000, percent: 0 }
+        });
+
+        expect((await ctx.api().get('/api/campaigns').expect(200)).body.total).toBe(0);
+        await ctx.api().get('/api/campaigns?status=draft').expect(403);
+        await ctx.api().get(`/api/campaigns/${body.campaign.slug}`).expect(404);
+        expect((await ctx.api().get('/api/campaigns').set(admin.auth).expect(200)).body.total).toBe(1);
+    });
+
+    test('refuses a taken address, a malformed one and a deadline before the start', async () => {
+        await create().expect(201);
+
+        await create({ targetAmount: 5 }).expect(409);
+        const slug = await create({ title: 'Other', slug: 'Bad Slug!' }).expect(422);
+        expect(slug.body.message).toMatch(/lowercase letters/);
+        await create({ title: 'Dates', startsAt: '2030-01-01', endsAt: '2029-01-01' }).expect(422);
+        await create({ title: 'No target', targetAmount: undefined }).expect(422);
+    });
+
+    test('adds up completed donations once the campaign is live', async () => {
+        const { body: { campaign } } = await create();
+        const gift = { amount: 100, currency: 'ZMW', gateway: 'paypal', donor: { firstName: 'Ann', lastName: 'Banda', email: 'ann@example.com' }, campaign: campaign.slug };
+        await ctx.api().post('/api/donations').send(gift).expect(422);
+
+        await update(campaign, { status: 'active' }).expect(200);
+        await donate(campaign);
+        await donate(campaign, { amount: 10, currency: 'USD', donor: { firstName: 'Ben', lastName: 'Phiri', email: 'ben@example.com' } });
+        await ctx.api().post('/api/donations').send(gift).expect(201);
+
+        const { body } = await ctx.api().get(`/api/campaigns/${campaign.slug}`).expect(200);
+        // The dollars count at the kwacha rate of the day (24.50 with the built-in rates); the pending gift does not count
+        expect(body.campaign.progress).toMatchObject({ raised: 345, percent: 34.5, donationCount: 2, donorCount: 2 });
+
+        const ledger = await ctx.api().get(`/api/donations?campaign=${campaign.slug}`).set(admin.auth).expect(200);
+        expect(ledger.body.total).toBe(3);
+    });
+
+    test('stops taking donations once closed and keeps what was raised', async () => {
+        const { body: { campaign } } = await create({ status: 'active' });
+        await donate(campaign);
+
+        await update(campaign, { currency: 'USD' }).expect(409);
+        const closed = await update(campaign, { status: 'closed' }).expect(200);
+        expect(closed.body.campaign).toMatchObject({ open: false, progress: { raised: 100 } });
+
+        const refused = await ctx.api().post('/api/donations').send({
+            amount: 50, currency: 'ZMW', gateway: 'paypal', donor: { firstName: 'Ann', lastName: 'Banda', email: 'ann@example.com' }, campaign: campaign.slug
+        }).expect(422);
+        expect(refused.body.message).toBe('This campaign is not taking donations any more.');
+
+        const embed = await ctx.api().get(`/api/campaigns/${campaign.slug}/embed`).expect(200);
+        expect(embed.text).toMatch(/has closed/);
+    });
+
+    test('deletes only campaigns that nothing points to', async () => {
+        const { body: { campaign } } = await create({ status: 'active' });
+        await donate(campaign);
+        await ctx.api().delete(`/api/campaigns/${campaign.id}`).set(admin.auth).expect(409);
+
+        const { body: { campaign: spare } } = await create({ title: 'Spare' });
+        await ctx.api().delete(`/api/campaigns/${spare.id}`).set(admin.auth).expect(200);
+        await ctx.api().get(`/api/campaigns/${spare.slug}`).set(admin.auth).expect(404);
+    });
+
+    test('serves the thermometer for other sites to frame, but not for drafts', async () => {
+        const { body: { campaign } } = await create();
+        await ctx.api().get(`/api/campaigns/${campaign.slug}/embed`).expect(404);
+
+        await update(campaign, { status: 'active' }).expect(200);
+        const res = await ctx.api().get(`/api/campaigns/${campaign.slug}/embed`).expect(200);
+        expect(res.headers['content-type']).toMatch(/html/);
+        expect(res.headers['x-frame-options']).toBeUndefined();
+        expect(res.text).toContain('Sunscreen for Schools');
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * The API calls made by the donate page's checkout (donation-checkout.js): recording the gift,
+ * handing off to a hosted checkout and checking on it when the donor comes back (routes/donations.js)
+ */
+
+const axios = require('axios');
+const { createTestApp } = require('./helpers');
+const config = require('../config');
+
+const GIFT = {
+    amount: 50,
+    currency: 'USD',
+    gateway: 'stripe',
+    donationType: 'one-time',
+    donor: { firstName: 'Ann', lastName: 'Banda', email: 'ann@example.com' },
+    anonymous: false,
+    coverFees: false
+};
+
+describe('donate page checkout', () => {
+    let ctx;
+
+    beforeAll(() => {
+        Object.assign(config.paymentGateways.stripe, { secretKey: 'sk_test', webhookSecret: 'whsec_test' });
+    });
+
+    afterAll(() => {
+        Object.assign(config.paymentGateways.stripe, { secretKey: undefined, webhookSecret: undefined });
+    });
+
+    beforeEach(() => {
+        ctx = createTestApp();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        ctx.cleanup();
+    });
+
+    const donate = (changes = {}) => ctx.api().post('/api/donations').send({ ...GIFT, ...changes });
+    const checkout = (donation, token) => ctx.api().post(`/api/donations/${donation.id}/checkout`).send({ token });
+    const status = (donation, token) => ctx.api().get(`/api/donations/${donation.id}/status?token=${encodeURIComponent(token)}`);
+
+    test('records the gift and sends the donor to the gateway', async () => {
+        const post = jest.spyOn(axios, 'post').mockResolvedValue({ data: { url: 'https://checkout.stripe.test/cs_1' } });
+
+        const { body } = await donate().expect(201);
+        expect(body.donation).toMatchObject({ status: 'pending', amount: 50, currency: 'USD', gateway: 'stripe' });
+        expect(body.token).toEqual(expect.any(String));
+
+        const res = await checkout(body.donation, body.token).expect(200);
+        expect(res.body.url).toBe('https://checkout.stripe.test/cs_1');
+
+        const form = post.mock.calls[0][1];
+        expect(form.get('client_reference_id')).toBe(body.donation.id);
+        expect(form.get('success_url')).toContain(`donation=${body.donation.id}`);
+    });
+
+    test('tells the donor what is wrong with the form', async () => {
+        const res = await donate({ amount: 0, donor: { firstName: 'Ann', lastName: 'Banda', email: 'not-an-email' } }).expect(422);
+        expect(res.body.success).toBe(false);
+
+        await donate({ currency: 'XYZ' }).expect(422);
+        await donate({ gateway: 'cheque' }).expect(422);
+        expect(ctx.store.collection('donations').all()).toEqual([]);
+    });
+
+    test('only hands off pending donations paid through a hosted checkout', async () => {
+        const { body: mobile } = await donate({ currency: 'ZMW', gateway: 'mobile-money' }).expect(201);
+        await checkout(mobile.donation, mobile.token).expect(409);
+
+        const { body } = await donate().expect(201);
+        await checkout(body.donation, 'wrong').expect(404);
+        await ctx.api().post(`/api/donations/${body.donation.id}/checkout`).send({}).expect(422);
+
+        ctx.store.collection('donations').update(body.donation.id, { status: 'completed' });
+        await checkout(body.donation, body.token).expect(409);
+    });
+
+    test('says so when the gateway is unavailable', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const { body } = await donate().expect(201);
+
+        jest.spyOn(axios, 'post').mockRejectedValue(new Error('socket hang up'));
+        const unreachable = await checkout(body.donation, body.token).expect(502);
+        expect(unreachable.body.message).toMatch(/Stripe could not be reached/);
+
+        config.paymentGateways.stripe.secretKey = undefined;
+        try {
+            await checkout(body.donation, body.token).expect(503);
+        } finally {
+            config.paymentGateways.stripe.secretKey = 'sk_test';
+        }
+    });
+
+    test('reports the donation\'s status to the donor coming back from the gateway', async () => {
+        const { body } = await donate().expect(201);
+
+        const pending = await status(body.donation, body.token).expect(200);
+        expect(pending.body.donation.status).toBe('pending');
+        expect(pending.body.receiptUrl).toBe(body.receiptUrl);
+
+        ctx.store.collection('donations').update(body.donation.id, { status: 'completed' });
+        const completed = await status(body.donation, body.token).expect(200);
+        expect(completed.body.donation.status).toBe('completed');
+
+        await status(body.donation, 'wrong').expect(404);
+        await ctx.api().get(`/api/donations/${body.donation.id}/status`).expect(422);
+    });
+});
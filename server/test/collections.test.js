@@ -0,0 +1,100 @@
+/**
+ * Member hub collections (routes/collection.js) and the admin members API (routes/members.js)
+ */
+
+const { createTestApp, createSignedInMember, waiveTwoFactorRequirement } = require('./helpers');
+
+describe('member hub collections', () => {
+    let ctx;
+    let ann;
+    let ben;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        ann = await createSignedInMember(ctx, 'ann@example.com');
+        ben = await createSignedInMember(ctx, 'ben@example.com');
+    });
+
+    afterEach(() => ctx.cleanup());
+
+    test('stores resources with defaults and the creating member as owner', async () => {
+        const res = await ctx.api().post('/api/resources').set(ann.auth)
+            .send({ title: 'Sun safety guide', category: 'healthcare', id: 'chosen-id', authorId: ben.user.id })
+            .expect(201);
+
+        expect(res.body.item).toMatchObject({ title: 'Sun safety guide', downloads: 0, status: 'pending', authorId: ann.user.id });
+        expect(res.body.item.id).not.toBe('chosen-id');
+
+        const list = await ctx.api().get('/api/resources?category=healthcare').set(ben.auth).expect(200);
+        expect(list.body.items.map(item => item.id)).toEqual([res.body.item.id]);
+    });
+
+    test('requires the fields a collection marks as required', async () => {
+        const res = await ctx.api().post('/api/resources').set(ann.auth).send({ category: 'healthcare' }).expect(422);
+
+        expect(res.body.message).toMatch(/title/);
+    });
+
+    test('only the owner changes or removes a shared record', async () => {
+        const { body } = await ctx.api().post('/api/resources').set(ann.auth).send({ title: 'Guide' }).expect(201);
+
+        await ctx.api().patch(`/api/resources/${body.item.id}`).set(ben.auth).send({ title: 'Mine now' }).expect(403);
+        await ctx.api().delete(`/api/resources/${body.item.id}`).set(ben.auth).expect(403);
+
+        const updated = await ctx.api().patch(`/api/resources/${body.item.id}`).set(ann.auth).send({ title: 'Guide v2' }).expect(200);
+        expect(updated.body.item.title).toBe('Guide v2');
+        await ctx.api().delete(`/api/resources/${body.item.id}`).set(ann.auth).expect(200);
+        await ctx.api().get(`/api/resources/${body.item.id}`).set(ann.auth).expect(404);
+    });
+
+    test('lets any member increment counters but nothing else', async () => {
+        const { body } = await ctx.api().post('/api/resources').set(ann.auth).send({ title: 'Guide' }).expect(201);
+
+        const res = await ctx.api().post(`/api/resources/${body.item.id}/increment`).set(ben.auth).send({ field: 'downloads' }).expect(200);
+        expect(res.body.item.downloads).toBe(1);
+        await ctx.api().post(`/api/resources/${body.item.id}/increment`).set(ben.auth).send({ field: 'rating' }).expect(422);
+    });
+
+    test('keeps connections private to their owner', async () => {
+        const { body } = await ctx.api().post('/api/connections').set(ann.auth).send({ name: 'Chanda' }).expect(201);
+
+        const list = await ctx.api().get('/api/connections').set(ben.auth).expect(200);
+        expect(list.body.items).toHaveLength(0);
+        await ctx.api().get(`/api/connections/${body.item.id}`).set(ben.auth).expect(404);
+    });
+
+    test('needs a signed-in member', async () => {
+        await ctx.api().get('/api/resources').expect(401);
+    });
+});
+
+describe('members API', () => {
+    let ctx;
+
+    beforeEach(() => {
+        ctx = createTestApp();
+        waiveTwoFactorRequirement(ctx);
+    });
+
+    afterEach(() => ctx.cleanup());
+
+    test('lists members for admins only', async () => {
+        const admin = await createSignedInMember(ctx, 'admin@afz.org');
+        const member = await createSignedInMember(ctx, 'ann@example.com');
+
+        await ctx.api().get('/api/members').set(member.auth).expect(403);
+
+        const res = await ctx.api().get('/api/members').set(admin.auth).expect(200);
+        expect(res.body.items.map(item => item.email).sort()).toEqual(['admin@afz.org', 'ann@example.com']);
+        expect(res.body.items[0].passwordHash).toBeUndefined();
+    });
+
+    test('adds members without a password and refuses duplicate emails', async () => {
+        const admin = await createSignedInMember(ctx, 'admin@afz.org');
+
+        const res = await ctx.api().post('/api/members').set(admin.auth).send({ name: 'Chanda Mwale Phiri', email: 'chanda@example.com' }).expect(201);
+        expect(res.body.item).toMatchObject({ name: 'Chanda Mwale Phiri', role: 'member', status: 'active' });
+
+        await ctx.api().post('/api/members').set(admin.auth).send({ name: 'Chanda', email: 'CHANDA@example.com' }).expect(409);
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * Nonce-based Content Security Policy on pages and browser violation reports (csp.js, routes/csp-reports.js)
+ */
+
+const { createTestApp } = require('./helpers');
+
+const nonceOf = res => /'nonce-([^']+)'/.exec(res.headers['content-security-policy'])[1];
+
+describe('content security policy', () => {
+    let ctx;
+
+    beforeEach(() => {
+        ctx = createTestApp();
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.warn.mockRestore();
+        ctx.cleanup();
+    });
+
+    test('serves pages with a fresh nonce on every script and style', async () => {
+        const res = await ctx.api().get('/about.html').expect(200);
+        const nonce = nonceOf(res);
+
+        expect(res.headers['cache-control']).toBe('no-store');
+        expect(res.headers['reporting-endpoints']).toContain('/api/csp-reports');
+        expect(res.text).toContain(`<meta name="csp-nonce" content="${nonce}">`);
+        expect((res.text.match(/<script(?![^>]*nonce=)/g) || [])).toEqual([]);
+
+        const again = await ctx.api().get('/about.html').expect(200);
+        expect(nonceOf(again)).not.toBe(nonce);
+    });
+
+    test('does not serve pages from outside the site', async () => {
+        await ctx.api().get('/..%2fetc%2fpasswd.html').expect(404);
+    });
+
+    test('stores report-uri reports as security events', async () => {
+        await ctx.api().post('/api/csp-reports')
+            .set('Content-Type', 'application/csp-report')
+            .send(JSON.stringify({
+                'csp-report': {
+                    'document-uri': 'http://afz.test/events.html',
+                    'violated-directive': 'script-src-attr',
+                    'blocked-uri': 'inline',
+                    'source-file': 'http://afz.test/events.html',
+                    'line-number': 12
+                }
+            }))
+            .expect(204);
+
+        const [event] = ctx.store.collection('securityEvents').all();
+        expect(event).toMatchObject({
+            type: 'CSP_VIOLATION',
+            url: 'http://afz.test/events.html',
+            message: 'script-src-attr blocked inline (http://afz.test/events.html:12)'
+        });
+    });
+
+    test('stores Reporting API violations and ignores other report types', async () => {
+        await ctx.api().post('/api/csp-reports')
+            .set('Content-Type', 'application/reports+json')
+            .send(JSON.stringify([
+                { type: 'csp-violation', body: { documentURL: 'http://afz.test/a.html', effectiveDirective: 'style-src-elem', blockedURL: 'https://evil.example/x.css' } },
+                { type: 'deprecation', body: {} }
+            ]))
+            .expect(204);
+
+        const events = ctx.store.collection('securityEvents').all();
+        expect(events).toHaveLength(1);
+        expect(events[0].message).toBe('style-src-elem blocked https://evil.example/x.css');
+    });
+
+    test('accepts reports it cannot read without storing anything', async () => {
+        await ctx.api().post('/api/csp-reports').send({ unexpected: true }).expect(204);
+        expect(ctx.store.collection('securityEvents').all()).toEqual([]);
+    });
+});
@@ -0,0 +1,157 @@
+/**
+ * Donation ledger, payment outcomes and donor receipts (donations.js, routes/donations.js)
+ */
+
+const { createTestApp, createSignedInMember, waiveTwoFactorRequirement } = require('./helpers');
+
+const DONATION = {
+    amount: 250,
+    currency: 'ZMW',
+    gateway: 'bank-transfer',
+    donationType: 'one-time',
+    donor: { firstName: 'Ann', lastName: 'Banda', email: 'Ann@Example.com' },
+    dedication: 'For <b>Mum</b>'
+};
+
+// The receipt link without the site's origin, as supertest wants it
+const receiptPath = url => url.replace('http://afz.test', '');
+
+const receipts = mailer => mailer.sent.filter(mail => mail.template === 'donation-receipt');
+
+describe('donations', () => {
+    let ctx;
+    let admin;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        waiveTwoFactorRequirement(ctx);
+        admin = await createSignedInMember(ctx, 'admin@afz.org');
+    });
+
+    afterEach(() => ctx.cleanup());
+
+    const donate = (changes = {}) => ctx.api().post('/api/donations').send({ ...DONATION, ...changes });
+
+    test('records a pending entry with a sequential receipt number', async () => {
+        const first = await donate().expect(201);
+        const second = await donate({ amount: 10 }).expect(201);
+
+        expect(first.body.donation).toMatchObject({ amount: 250, currency: 'ZMW', status: 'pending', zmwAmount: 250 });
+        expect(first.body.donation.receiptNumber).toMatch(/^AFZ-\d{4}-000001$/);
+        expect(second.body.donation.receiptNumber).toMatch(/-000002$/);
+        expect(first.body.token).toEqual(expect.any(String));
+
+        const entry = ctx.store.collection('donations').get(first.body.donation.id);
+        expect(entry.donor.email).toBe('ann@example.com');
+        expect(entry.history).toEqual([expect.objectContaining({ status: 'pending' })]);
+    });
+
+    test('rejects unknown currencies, gateways and missing donor details', async () => {
+        const res = await donate({ currency: 'XXX' }).expect(422);
+        expect(res.body.message).toBeDefined();
+        await donate({ gateway: 'cash' }).expect(422);
+        await donate({ amount: 0 }).expect(422);
+        await donate({ donor: { firstName: 'Ann', lastName: 'Banda', email: 'not-an-email' } }).expect(422);
+    });
+
+    test('returns the first entry again for a repeated Idempotency-Key', async () => {
+        const first = await donate().set('Idempotency-Key', 'outbox-1').expect(201);
+        const again = await donate().set('Idempotency-Key', 'outbox-1').expect(200);
+
+        expect(again.body.donation.id).toBe(first.body.donation.id);
+        expect(ctx.store.collection('donations').all()).toHaveLength(1);
+    });
+
+    test('keeps the ledger to finance staff', async () => {
+        await donate().expect(201);
+        const member = await createSignedInMember(ctx, 'ann@example.com');
+
+        await ctx.api().get('/api/donations').expect(401);
+        await ctx.api().get('/api/donations').set(member.auth).expect(403);
+
+        const res = await ctx.api().get('/api/donations').set(admin.auth).expect(200);
+        expect(res.body.total).toBe(1);
+        await ctx.api().get('/api/donations/nope').set(admin.auth).expect(404);
+    });
+
+    test('filters the ledger by status and search', async () => {
+        const { body } = await donate().expect(201);
+        await donate({ donor: { firstName: 'Ben', lastName: 'Phiri', email: 'ben@example.com' } }).expect(201);
+        await ctx.api().patch(`/api/donations/${body.donation.id}/status`).set(admin.auth).send({ status: 'completed' }).expect(200);
+
+        const completed = await ctx.api().get('/api/donations?status=completed').set(admin.auth).expect(200);
+        expect(completed.body.items.map(item => item.id)).toEqual([body.donation.id]);
+
+        const all = await ctx.api().get('/api/donations').set(admin.auth).expect(200);
+        expect(all.body).toMatchObject({ total: 2, totals: { ZMW: 250 }, zmwTotal: 250 });
+
+        const search = await ctx.api().get('/api/donations?q=phiri').set(admin.auth).expect(200);
+        expect(search.body.total).toBe(1);
+        await ctx.api().get('/api/donations?status=lost').set(admin.auth).expect(422);
+    });
+
+    test('only moves entries along the allowed statuses', async () => {
+        const { body } = await donate().expect(201);
+        const status = value => ctx.api().patch(`/api/donations/${body.donation.id}/status`).set(admin.auth).send(value);
+
+        await status({ status: 'refunded' }).expect(409);
+        await status({ status: 'pending' }).expect(422);
+        await status({ status: 'failed', note: 'Transfer never arrived' }).expect(200);
+
+        const res = await status({ status: 'completed', gatewayReference: 'BANK-77' }).expect(200);
+        expect(res.body.donation).toMatchObject({ status: 'completed', gatewayReference: 'BANK-77' });
+        expect(res.body.donation.history.map(entry => entry.status)).toEqual(['pending', 'failed', 'completed']);
+        expect(res.body.donation.history[1]).toMatchObject({ by: admin.user.id, note: 'Transfer never arrived' });
+    });
+
+    test('emails the receipt once the payment is confirmed', async () => {
+        const { body } = await donate().expect(201);
+
+        const res = await ctx.api().patch(`/api/donations/${body.donation.id}/status`).set(admin.auth)
+            .send({ status: 'completed', gatewayReference: 'BANK-77' }).expect(200);
+        expect(res.body.receiptSent).toBe(true);
+        expect(res.body.donation.receiptSendCount).toBe(1);
+
+        const [mail] = receipts(ctx.mailer);
+        expect(mail).toMatchObject({ template: 'donation-receipt', subject: `Your donation receipt ${body.donation.receiptNumber}` });
+        expect(mail.to).toEqual([expect.objectContaining({ address: 'ann@example.com' })]);
+        expect(mail.attachments[0].filename).toBe(`${body.donation.receiptNumber}.html`);
+        expect(mail.text).toContain(body.receiptUrl);
+    });
+
+    test('shows the receipt to the donor by link once paid', async () => {
+        const { body } = await donate().expect(201);
+        const path = receiptPath(body.receiptUrl);
+
+        const pending = await ctx.api().get(path).expect(409);
+        expect(pending.body.message).toMatch(/once the payment has been confirmed/);
+        await ctx.api().get(`/api/donations/${body.donation.id}/receipt?token=wrong`).expect(404);
+
+        await ctx.api().patch(`/api/donations/${body.donation.id}/status`).set(admin.auth)
+            .send({ status: 'completed', gatewayReference: 'BANK-77' }).expect(200);
+
+        const receipt = await ctx.api().get(path).expect(200);
+        expect(receipt.headers['content-type']).toMatch(/text\/html/);
+        expect(receipt.headers['cache-control']).toBe('no-store');
+        expect(receipt.text).toContain(body.donation.receiptNumber);
+        expect(receipt.text).toContain('BANK-77');
+        expect(receipt.text).toContain('&lt;b&gt;Mum');
+
+        const download = await ctx.api().get(`${path}&download=1`).expect(200);
+        expect(download.headers['content-disposition']).toContain(`${body.donation.receiptNumber}.html`);
+
+        await ctx.api().get(`/api/donations/${body.donation.id}/receipt`).set(admin.auth).expect(200);
+    });
+
+    test('sends receipts again on request, for completed donations only', async () => {
+        const paid = (await donate().expect(201)).body.donation;
+        const pending = (await donate().expect(201)).body.donation;
+        await ctx.api().patch(`/api/donations/${paid.id}/status`).set(admin.auth).send({ status: 'completed' }).expect(200);
+
+        const res = await ctx.api().post(`/api/donations/${paid.id}/receipt/send`).set(admin.auth).expect(200);
+        expect(res.body.donation.receiptSendCount).toBe(2);
+        expect(receipts(ctx.mailer)).toHaveLength(2);
+
+        await ctx.api().post(`/api/donations/${pending.id}/receipt/send`).set(admin.auth).expect(409);
+    });
+});
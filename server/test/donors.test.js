@@ -0,0 +1,128 @@
+/**
+ * The donor portal: emailed links, portal sessions and annual statements (donors.js, routes/donors.js)
+ */
+
+const request = require('supertest');
+const { createTestApp, createSignedInMember, waiveTwoFactorRequirement, linkToken } = require('./helpers');
+
+describe('donor portal', () => {
+    let ctx;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        const { body } = await ctx.api().post('/api/donations').send({
+            amount: 100,
+            currency: 'ZMW',
+            gateway: 'paypal',
+            donor: { firstName: 'Ann', lastName: 'Banda', email: 'ann@example.com' }
+        }).expect(201);
+        ctx.store.collection('donations').update(body.donation.id, { status: 'completed', completedAt: new Date().toISOString() });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        ctx.cleanup();
+    });
+
+    async function emailedLink(email = 'ann@example.com') {
+        await ctx.api().post('/api/donors/access').send({ email }).expect(200);
+        return linkToken(ctx.mailer, email, 'token');
+    }
+
+    // A browser that has opened the emailed link: it keeps the portal's session cookie
+    async function openPortal() {
+        const browser = request.agent(ctx.app);
+        await browser.post('/api/donors/session').send({ token: await emailedLink() }).expect(200);
+        return browser;
+    }
+
+    test('emails a link only to addresses that have given, answering the same either way', async () => {
+        const known = await ctx.api().post('/api/donors/access').send({ email: 'Ann@Example.com' }).expect(200);
+        const unknown = await ctx.api().post('/api/donors/access').send({ email: 'nobody@example.com' }).expect(200);
+
+        expect(unknown.body.message).toBe(known.body.message);
+        expect(ctx.mailer.sent.filter(mail => mail.template === 'donor-portal-link')).toHaveLength(1);
+        await ctx.api().post('/api/donors/access').send({ email: 'not-an-email' }).expect(422);
+    });
+
+    test('swaps the link for a session cookie, once', async () => {
+        const token = await emailedLink();
+        const browser = request.agent(ctx.app);
+
+        const res = await browser.post('/api/donors/session').send({ token }).expect(200);
+        expect(res.headers['set-cookie'][0]).toMatch(/^afz_donor_session=.+; Path=\/api\/donors; .*HttpOnly; SameSite=Strict/);
+
+        const history = await browser.get('/api/donors/me').expect(200);
+        expect(history.body.donor.email).toBe('ann@example.com');
+        expect(history.body.donations).toEqual([expect.objectContaining({ status: 'completed', amount: 100 })]);
+
+        const again = await ctx.api().post('/api/donors/session').send({ token }).expect(401);
+        expect(again.body.message).toBe('This link has already been used. Please ask for a new one.');
+        await ctx.api().get(`/api/donors/me?token=${encodeURIComponent(token)}`).expect(401);
+        await ctx.api().post('/api/donors/session').send({ token: `${token.split('.')[0]}.forged` }).expect(401);
+        await ctx.api().post('/api/donors/session').send({}).expect(422);
+    });
+
+    test('refuses links and sessions that have run out', async () => {
+        const token = await emailedLink();
+        ctx.store.collection('donorPortalLinks').update(token.split('.')[0], { expiresAt: new Date(Date.now() - 1000).toISOString() });
+        await ctx.api().post('/api/donors/session').send({ token }).expect(401);
+
+        const browser = await openPortal();
+        const [session] = ctx.store.collection('donorPortalSessions').all();
+        ctx.store.collection('donorPortalSessions').update(session.id, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+        await browser.get('/api/donors/me').expect(401);
+    });
+
+    test('lets the donor save their details and sign out', async () => {
+        const browser = await openPortal();
+
+        const invalid = await browser.patch('/api/donors/me').send({ organisation: 'Banda Trading', firstName: '' }).expect(422);
+        expect(invalid.body.message).toBe('First name is required.');
+        const res = await browser.patch('/api/donors/me').send({ organisation: 'Banda Trading' }).expect(200);
+        expect(res.body.donor.organisation).toBe('Banda Trading');
+
+        await browser.delete('/api/donors/session').expect(200);
+        await browser.get('/api/donors/me').expect(401);
+        expect(ctx.store.collection('donorPortalSessions').all()[0].revokedAt).toEqual(expect.any(String));
+    });
+
+    test('shows a verified member their own giving', async () => {
+        const member = await createSignedInMember(ctx, 'ann@example.com');
+        const res = await ctx.api().get('/api/donors/me').set(member.auth).expect(200);
+        expect(res.body.donations).toHaveLength(1);
+
+        const unverified = await createSignedInMember(ctx, 'ben@example.com', { verified: false });
+        await ctx.api().get('/api/donors/me').set(unverified.auth).expect(403);
+    });
+
+    test('serves the annual statement through a link that expires', async () => {
+        const browser = await openPortal();
+        const { body } = await browser.get('/api/donors/me').expect(200);
+        const [{ statementUrl }] = body.years;
+        const path = new URL(statementUrl).pathname + new URL(statementUrl).search;
+
+        const pdf = await ctx.api().get(path).expect(200);
+        expect(pdf.headers['content-type']).toBe('application/pdf');
+
+        await ctx.api().get(path.replace(/expires=\d+/, expires => `${expires}9`)).expect(404);
+        await ctx.api().get(path.replace(/&token=.*/, '')).expect(404);
+
+        const later = Date.now() + 2 * 60 * 60 * 1000;
+        jest.spyOn(Date, 'now').mockReturnValue(later);
+        await ctx.api().get(path).expect(404);
+    });
+
+    test('lets the finance team open any statement and look donors up', async () => {
+        waiveTwoFactorRequirement(ctx);
+        const admin = await createSignedInMember(ctx, 'admin@afz.org');
+        const member = await createSignedInMember(ctx, 'ben@example.com');
+
+        const found = await ctx.api().get('/api/donors?email=ann@example.com').set(admin.auth).expect(200);
+        const year = found.body.years[0].year;
+        await ctx.api().get(`/api/donors/${found.body.donor.id}/statements/${year}`).set(admin.auth).expect(200);
+        await ctx.api().get(`/api/donors/${found.body.donor.id}/statements/${year}`).set(member.auth).expect(404);
+        await ctx.api().get('/api/donors?email=ann@example.com').set(member.auth).expect(403);
+        await ctx.api().get('/api/donors?email=nobody@example.com').set(admin.auth).expect(404);
+    });
+});
@@ -0,0 +1,173 @@
+/**
+ * Community events in the member hub: publishing, edits and their history, RSVPs and cancellation
+ * (events.js, routes/events.js)
+ */
+
+const { createTestApp, createSignedInMember } = require('./helpers');
+
+const inDays = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('community events', () => {
+    let ctx;
+    let host;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        host = await createSignedInMember(ctx, 'host@example.com', { firstName: 'Hope' });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        ctx.cleanup();
+    });
+
+    const create = changes => ctx.api().post('/api/events').set(host.auth)
+        .send({ title: 'Skin Care Clinic', date: inDays(7), location: 'Lusaka', ...changes });
+    const rsvp = (event, member, response = 'attending') => ctx.api().put(`/api/events/${event.id}/registration`)
+        .set(member.auth).send({ response });
+    const cancel = (event, reason) => ctx.api().post(`/api/events/${event.id}/cancel`).set(host.auth).send({ reason });
+
+    // An event made before RSVPs were kept per member, when anyone could bump its count
+    function legacyEvent(changes) {
+        return ctx.store.collection('events').insert({
+            title: 'Awareness Walk',
+            date: inDays(5),
+            location: 'Ndola',
+            status: 'scheduled',
+            attendees: 3,
+            maxAttendees: null,
+            organizerId: host.user.id,
+            organizer: { id: host.user.id, name: 'Hope Member' },
+            ...changes
+        });
+    }
+
+    test('keeps drafts to their organiser until they are published', async () => {
+        const other = await createSignedInMember(ctx, 'ben@example.com');
+        const { body: { item: draft } } = await create({ status: 'draft', date: null }).expect(201);
+
+        await ctx.api().get(`/api/events/${draft.id}`).set(other.auth).expect(404);
+        const early = await ctx.api().patch(`/api/events/${draft.id}`).set(host.auth).send({ status: 'scheduled' }).expect(422);
+        expect(early.body.message).toBe('Please give the event a title, a date and a time before publishing it.');
+
+        await ctx.api().patch(`/api/events/${draft.id}`).set(other.auth).send({ title: 'Mine' }).expect(404);
+        const { body: { item } } = await ctx.api().patch(`/api/events/${draft.id}`).set(host.auth)
+            .send({ status: 'scheduled', date: inDays(3) }).expect(200);
+        expect(item).toMatchObject({ status: 'scheduled', canManage: true });
+        expect(item.history.map(entry => entry.action)).toEqual(['created', 'published']);
+
+        const seen = await ctx.api().get(`/api/events/${draft.id}`).set(other.auth).expect(200);
+        expect(seen.body.item).toMatchObject({ canManage: false });
+        expect(seen.body.item.history).toBeUndefined();
+        await ctx.api().patch(`/api/events/${draft.id}`).set(other.auth).send({ title: 'Mine' }).expect(403);
+
+        await create({ date: inDays(-1) }).expect(422);
+    });
+
+    test('records each edit with the old and new values', async () => {
+        const { body: { item: event } } = await create().expect(201);
+
+        const { body: { item } } = await ctx.api().patch(`/api/events/${event.id}`).set(host.auth)
+            .send({ location: 'Kitwe', maxAttendees: 20 }).expect(200);
+        expect(item.history[1]).toMatchObject({
+            action: 'updated',
+            byName: 'Hope Member',
+            changes: [{ field: 'location', from: 'Lusaka', to: 'Kitwe' }, { field: 'maxAttendees', from: null, to: 20 }]
+        });
+
+        const copy = await ctx.api().post(`/api/events/${event.id}/duplicate`).set(host.auth).expect(201);
+        expect(copy.body.item).toMatchObject({ status: 'draft', location: 'Kitwe', duplicatedFrom: event.id, attendees: 0 });
+        expect(copy.body.item.history.map(entry => entry.action)).toEqual(['created', 'duplicated']);
+    });
+
+    test('takes one RSVP per member and stops at the limit', async () => {
+        const { body: { item: event } } = await create({ maxAttendees: 2 }).expect(201);
+        const ann = await createSignedInMember(ctx, 'ann@example.com');
+        const ben = await createSignedInMember(ctx, 'ben@example.com');
+        const cat = await createSignedInMember(ctx, 'cat@example.com');
+
+        await rsvp(event, ann).expect(200);
+        const again = await rsvp(event, ann).expect(200);
+        expect(again.body.item).toMatchObject({ attendees: 1, myResponse: 'attending' });
+
+        await rsvp(event, ben).expect(200);
+        const full = await rsvp(event, cat).expect(409);
+        expect(full.body.message).toBe('This event is full.');
+        const interested = await rsvp(event, cat, 'interested').expect(200);
+        expect(interested.body.item).toMatchObject({ attendees: 2, interested: 1 });
+
+        await ctx.api().patch(`/api/events/${event.id}`).set(host.auth).send({ maxAttendees: 1 }).expect(422);
+        await ctx.api().delete(`/api/events/${event.id}/registration`).set(ben.auth).expect(200);
+        await rsvp(event, cat).expect(200);
+        await ctx.api().delete(`/api/events/${event.id}/registration`).set(ben.auth).expect(404);
+    });
+
+    test('counts RSVPs taken before they were kept per member', async () => {
+        const event = legacyEvent({ maxAttendees: 4 });
+        const ann = await createSignedInMember(ctx, 'ann@example.com');
+        const ben = await createSignedInMember(ctx, 'ben@example.com');
+
+        const { body } = await rsvp(event, ann).expect(200);
+        expect(body.item.attendees).toBe(4);
+        await rsvp(event, ben).expect(409);
+        await ctx.api().patch(`/api/events/${event.id}`).set(host.auth).send({ maxAttendees: 3 }).expect(422);
+    });
+
+    test('emails those coming when it is cancelled and keeps the cancellation in the history', async () => {
+        const event = legacyEvent();
+        const ann = await createSignedInMember(ctx, 'ann@example.com');
+        const ben = await createSignedInMember(ctx, 'ben@example.com');
+        const cat = await createSignedInMember(ctx, 'cat@example.com');
+        await rsvp(event, ann).expect(200);
+        await rsvp(event, ben, 'interested').expect(200);
+        await rsvp(event, cat, 'not-attending').expect(200);
+
+        const res = await cancel(event, 'The venue flooded').expect(200);
+        expect(res.body).toMatchObject({ notified: 2, failed: 0, item: { status: 'cancelled', cancellationReason: 'The venue flooded' } });
+
+        const notices = ctx.mailer.sent.filter(mail => mail.template === 'event-cancelled');
+        expect(notices.map(mail => mail.to[0].address).sort()).toEqual(['ann@example.com', 'ben@example.com']);
+        expect(notices[0].subject).toBe('Cancelled: Awareness Walk');
+
+        expect(res.body.item.history.map(entry => [entry.action, entry.note])).toEqual([
+            ['cancelled', 'The venue flooded'],
+            ['notified', '2 registrants notified; 3 earlier RSVPs were taken without contact details']
+        ]);
+
+        await cancel(event).expect(409);
+        await rsvp(event, cat).expect(409);
+        await ctx.api().patch(`/api/events/${event.id}`).set(host.auth).send({ title: 'Back on' }).expect(409);
+    });
+
+    test('records the cancellation even when the emails cannot go out', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const { body: { item: event } } = await create().expect(201);
+        const ann = await createSignedInMember(ctx, 'ann@example.com');
+        await rsvp(event, ann).expect(200);
+
+        // The cancellation is saved before any email is tried
+        ctx.mailer.send = async () => {
+            const saved = ctx.store.collection('events').get(event.id);
+            expect(saved.status).toBe('cancelled');
+            expect(saved.history.map(entry => entry.action)).toEqual(['created', 'cancelled']);
+            throw new Error('mailbox unavailable');
+        };
+
+        const res = await cancel(event).expect(200);
+        expect(res.body).toMatchObject({ notified: 0, failed: 1 });
+        expect(res.body.item.history.pop().note).toBe('0 registrants notified; 1 could not be emailed');
+    });
+
+    test('leaves drafts to be deleted and published events to be cancelled', async () => {
+        const { body: { item: draft } } = await create({ status: 'draft' }).expect(201);
+        const { body: { item: event } } = await create().expect(201);
+
+        const refused = await cancel(draft).expect(409);
+        expect(refused.body.message).toBe('Drafts are not published, so delete this one instead of cancelling it.');
+        await ctx.api().delete(`/api/events/${event.id}`).set(host.auth).expect(409);
+        await ctx.api().delete(`/api/events/${draft.id}`).set(host.auth).expect(200);
+
+        const unverified = await createSignedInMember(ctx, 'new@example.com', { verified: false });
+        await ctx.api().post('/api/events').set(unverified.auth).send({ title: 'x', date: inDays(2) }).expect(403);
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Daily exchange rates, overrides and the kwacha value of donations (exchange-rates.js, routes/exchange-rates.js)
+ */
+
+const axios = require('axios');
+const { createTestApp, createSignedInMember, waiveTwoFactorRequirement } = require('./helpers');
+const config = require('../config');
+const { refreshRates } = require('../exchange-rates');
+
+const RATES = { USD: 1, EUR: 0.9, GBP: 0.8, ZMW: 25, ZAR: 18, KES: 130, UGX: 3800, CAD: 1.4, AUD: 1.5 };
+
+describe('exchange rates', () => {
+    let ctx;
+    let admin;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        waiveTwoFactorRequirement(ctx);
+        admin = await createSignedInMember(ctx, 'admin@afz.org');
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        config.exchangeRates.provider = 'fixed';
+        jest.restoreAllMocks();
+        ctx.cleanup();
+    });
+
+    // ExchangeRate-API answering with `rates`, or failing when given an error
+    function provider(answer) {
+        config.exchangeRates.provider = 'open-er-api';
+        return jest.spyOn(axios, 'get').mockImplementation(async () => {
+            if (answer instanceof Error) throw answer;
+            return { data: { result: 'success', rates: answer } };
+        });
+    }
+
+    test('serves today\'s rates and preset amounts to the donate page', async () => {
+        provider(RATES);
+
+        const res = await ctx.api().get('/api/exchange-rates').expect(200);
+        expect(res.body).toMatchObject({ base: 'USD', provider: 'open-er-api', stale: false, rates: { ZMW: 25 } });
+        expect(res.body.presets.USD).toEqual([10, 25, 50, 100, 250, 500]);
+        expect(res.body.presets.ZMW).toHaveLength(6);
+    });
+
+    test('keeps the last rates, marked stale, while the provider is down', async () => {
+        provider(new Error('socket hang up'));
+
+        const res = await ctx.api().get('/api/exchange-rates').expect(200);
+        expect(res.body).toMatchObject({ provider: 'fixed', stale: true, date: null });
+    });
+
+    test('does not ask a failing provider again on every request', async () => {
+        const get = provider(new Error('socket hang up'));
+
+        await ctx.api().get('/api/exchange-rates').expect(200);
+        await ctx.api().get('/api/exchange-rates').expect(200);
+        await ctx.api().get('/api/exchange-rates').expect(200);
+        expect(get).toHaveBeenCalledTimes(1);
+
+        // Staff can still ask for a fetch straight away
+        get.mockResolvedValue({ data: { result: 'success', rates: RATES } });
+        await ctx.api().post('/api/exchange-rates/refresh').set(admin.auth).expect(200);
+        expect(get).toHaveBeenCalledTimes(2);
+    });
+
+    test('fetches again when a forced refresh arrives during an ordinary one', async () => {
+        let answered = 0;
+        const get = provider(RATES);
+        get.mockImplementation(async () => ({ data: { result: 'success', rates: { ...RATES, ZMW: 25 + answered++ } } }));
+
+        const [ordinary, forced] = await Promise.all([
+            refreshRates(ctx.store),
+            refreshRates(ctx.store, { force: true })
+        ]);
+
+        expect(get).toHaveBeenCalledTimes(2);
+        expect(ordinary.rates.ZMW).toBe(25);
+        expect(forced.rates.ZMW).toBe(26);
+    });
+
+    test('lets finance staff override a rate and clear it again', async () => {
+        const member = await createSignedInMember(ctx, 'ann@example.com');
+        await ctx.api().put('/api/exchange-rates/overrides/ZMW').send({ rate: 26 }).expect(401);
+        await ctx.api().put('/api/exchange-rates/overrides/ZMW').set(member.auth).send({ rate: 26 }).expect(403);
+        await ctx.api().put('/api/exchange-rates/overrides/USD').set(admin.auth).send({ rate: 2 }).expect(422);
+        await ctx.api().put('/api/exchange-rates/overrides/ZAR').set(admin.auth).send({ rate: -1 }).expect(422);
+
+        const res = await ctx.api().put('/api/exchange-rates/overrides/ZMW').set(admin.auth).send({ rate: 26, note: 'Bank rate' }).expect(200);
+        expect(res.body.rates.ZMW).toBe(26);
+        expect(res.body.overrides).toEqual([expect.objectContaining({ currency: 'ZMW', rate: 26, note: 'Bank rate', by: admin.user.id })]);
+
+        const cleared = await ctx.api().delete('/api/exchange-rates/overrides/ZMW').set(admin.auth).expect(200);
+        expect(cleared.body.rates.ZMW).toBe(24.5);
+        await ctx.api().delete('/api/exchange-rates/overrides/ZMW').set(admin.auth).expect(404);
+
+        const history = await ctx.api().get('/api/exchange-rates/history?currency=ZMW').set(admin.auth).expect(200);
+        expect(history.body.history.overrides.map(entry => entry.rate)).toEqual([null, 26]);
+    });
+
+    test('records the kwacha value of each donation at the day\'s rate', async () => {
+        await ctx.api().put('/api/exchange-rates/overrides/ZMW').set(admin.auth).send({ rate: 26 }).expect(200);
+
+        const res = await ctx.api().post('/api/donations').send({
+            amount: 100,
+            currency: 'USD',
+            gateway: 'paypal',
+            donor: { firstName: 'Ann', lastName: 'Banda', email: 'ann@example.com' }
+        }).expect(201);
+
+        expect(res.body.donation.zmwAmount).toBe(2600);
+        expect(ctx.store.collection('donations').get(res.body.donation.id).zmwRate).toBe(26);
+    });
+});
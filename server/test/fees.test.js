@@ -0,0 +1,79 @@
+/**
+ * Donors covering the gateway fee (feeBreakdown in donations.js)
+ */
+
+const { createTestApp } = require('./helpers');
+const { GATEWAY_FEES, feeBreakdown, renderReceipt } = require('../donations');
+
+describe('covering fees', () => {
+    let ctx;
+
+    beforeEach(() => {
+        ctx = createTestApp();
+    });
+
+    afterEach(() => ctx.cleanup());
+
+    const donate = changes => ctx.api().post('/api/donations').send({
+        amount: 100,
+        currency: 'USD',
+        gateway: 'paypal',
+        donor: { firstName: 'Ann', lastName: 'Banda', email: 'ann@example.com' },
+        ...changes
+    }).expect(201);
+
+    test('charges enough for AFZ to receive the amount chosen', async () => {
+        const { body } = await donate({ coverFees: true });
+
+        // (100 + 0.30) / (1 - 0.029), rounded up to the cent
+        expect(body.donation).toMatchObject({ coverFees: true, amount: 103.3, feeAmount: 3.3, netAmount: 100 });
+        expect(renderReceipt(ctx.store.collection('donations').get(body.donation.id))).toContain('Processing fee covered');
+    });
+
+    test('estimates the fee taken from gifts that do not cover it', async () => {
+        const { body } = await donate({ coverFees: false });
+
+        expect(body.donation).toMatchObject({ coverFees: false, amount: 100, feeAmount: 3.2, netAmount: 96.8 });
+        expect(renderReceipt(ctx.store.collection('donations').get(body.donation.id))).not.toContain('Processing fee covered');
+    });
+
+    test('charges the fixed part of the fee in the donation\'s currency', async () => {
+        // The built-in rates have 24.50 kwacha to the dollar, so the 0.30 becomes K7.35
+        const covered = await donate({ currency: 'ZMW', coverFees: true });
+        expect(covered.body.donation).toMatchObject({ amount: 110.56, feeAmount: 10.56, netAmount: 100 });
+
+        const estimated = await donate({ currency: 'ZMW', coverFees: false });
+        expect(estimated.body.donation).toMatchObject({ amount: 100, feeAmount: 10.25, netAmount: 89.75 });
+
+        const shillings = await donate({ currency: 'UGX', amount: 50000, gateway: 'stripe', coverFees: false });
+        expect(shillings.body.donation.feeAmount).toBe(1450 + 1110);
+    });
+
+    test('bank transfers cost nothing either way', async () => {
+        const { body } = await donate({ gateway: 'bank-transfer', coverFees: true });
+
+        expect(body.donation).toMatchObject({ amount: 100, feeAmount: 0, netAmount: 100 });
+    });
+
+    test('never leaves AFZ short, whatever the gateway and amount', () => {
+        Object.entries(GATEWAY_FEES).forEach(([gateway, { percentage, fixed }]) => {
+            [1, 0.85, 24.5, 3700].forEach(rate => {
+                [0.01, 1, 9.99, 25, 333.33, 2999.99].forEach(amount => {
+                    const { amount: charged, feeAmount, netAmount } = feeBreakdown(gateway, amount, true, rate);
+
+                    expect(netAmount).toBe(amount);
+                    expect(charged - charged * percentage / 100 - Math.round(fixed * rate * 100) / 100).toBeGreaterThanOrEqual(amount - 1e-9);
+                    expect(Math.round((charged - feeAmount) * 100) / 100).toBe(amount);
+                });
+            });
+        });
+    });
+
+    test('keeps the chosen amount on recurring gifts so each renewal is grossed up again', async () => {
+        const { body } = await donate({ currency: 'ZMW', gateway: 'mobile-money', donationType: 'monthly', coverFees: true });
+        const subscription = ctx.store.collection('donationSubscriptions').get(body.donation.subscriptionId);
+
+        expect(body.donation.amount).toBe(101.53);
+        expect(subscription).toMatchObject({ amount: 100, coverFees: true });
+    });
+});
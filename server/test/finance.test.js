@@ -0,0 +1,198 @@
+/**
+ * The finance team's ledger exports, the monthly summary for the auditors and settlement reconciliation
+ * (finance.js, routes/donations.js, routes/donors.js, routes/reconciliations.js)
+ */
+
+const { createTestApp, createSignedInMember, waiveTwoFactorRequirement } = require('./helpers');
+const { parseCsv } = require('../spreadsheets');
+
+const ANN = { firstName: 'Ann', lastName: 'Banda', email: 'ann@example.com' };
+
+describe('finance', () => {
+    let ctx;
+    let admin;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        waiveTwoFactorRequirement(ctx);
+        admin = await createSignedInMember(ctx, 'admin@afz.org');
+    });
+
+    afterEach(() => ctx.cleanup());
+
+    async function donate(changes = {}, status = 'completed', gatewayReference) {
+        const { body } = await ctx.api().post('/api/donations').send({
+            amount: 100, currency: 'ZMW', gateway: 'paypal', donor: ANN, ...changes
+        }).expect(201);
+        if (status !== 'pending') {
+            await ctx.api().patch(`/api/donations/${body.donation.id}/status`).set(admin.auth).send({ status, gatewayReference }).expect(200);
+        }
+        return ctx.store.collection('donations').get(body.donation.id);
+    }
+
+    const lusakaToday = () => new Date().toLocaleDateString('en-CA', { timeZone: 'Africa/Lusaka' });
+    const thisYear = () => Number(lusakaToday().slice(0, 4));
+    const importSettlement = (csv, gateway = 'paypal') => ctx.api().post(`/api/reconciliations?gateway=${gateway}&filename=settlement.csv`)
+        .set(admin.auth).set('Content-Type', 'text/csv').send(csv);
+
+    test('filters the ledger and totals it in kwacha', async () => {
+        await donate();
+        await donate({ amount: 10, currency: 'USD', gateway: 'stripe' });
+        await donate({ amount: 50 }, 'pending');
+
+        const all = await ctx.api().get('/api/donations').set(admin.auth).expect(200);
+        expect(all.body.total).toBe(3);
+
+        const completed = await ctx.api().get('/api/donations?status=completed').set(admin.auth).expect(200);
+        expect(completed.body).toMatchObject({ total: 2, zmwTotal: 345 });
+
+        const stripe = await ctx.api().get('/api/donations?gateway=stripe&currency=USD').set(admin.auth).expect(200);
+        expect(stripe.body.items.map(item => item.amount)).toEqual([10]);
+
+        const future = await ctx.api().get('/api/donations?from=2099-01-01').set(admin.auth).expect(200);
+        expect(future.body.total).toBe(0);
+
+        await ctx.api().get('/api/donations?gateway=cheque').set(admin.auth).expect(422);
+        await ctx.api().get('/api/donations?from=yesterday').set(admin.auth).expect(422);
+        await ctx.api().get('/api/donations?campaign=nope').set(admin.auth).expect(422);
+    });
+
+    test('keeps the ledger and its exports to the finance team', async () => {
+        const chapterAdmin = await createSignedInMember(ctx, 'ca@example.com', { role: 'chapter-admin' });
+
+        await ctx.api().get('/api/donations').expect(401);
+        await ctx.api().get('/api/donations/export').set(chapterAdmin.auth).expect(403);
+        await ctx.api().get('/api/donations/reports/monthly').set(chapterAdmin.auth).expect(403);
+        await ctx.api().get('/api/donors/export').set(chapterAdmin.auth).expect(403);
+        await ctx.api().get('/api/reconciliations').set(chapterAdmin.auth).expect(403);
+    });
+
+    test('exports every matching entry as CSV or XLSX', async () => {
+        await donate({ tribute: { type: 'honour', honoreeName: 'Mary Banda' } });
+        await donate({ amount: 20 }, 'failed');
+
+        const csv = await ctx.api().get('/api/donations/export?status=completed').set(admin.auth).expect(200);
+        expect(csv.headers['content-type']).toBe('text/csv; charset=utf-8');
+        expect(csv.headers['content-disposition']).toMatch(/attachment; filename="AFZ-donations-\d{4}-\d{2}-\d{2}\.csv"/);
+        expect(csv.headers['cache-control']).toBe('no-store');
+
+        const [headers, ...rows] = parseCsv(csv.text).filter(row => row.some(Boolean));
+        expect(rows).toHaveLength(1);
+        const row = Object.fromEntries(headers.map((header, index) => [header, rows[0][index]]));
+        expect(row).toMatchObject({ Status: 'completed', Gateway: 'PayPal', Amount: '100', Email: 'ann@example.com', Tribute: 'In honour of Mary Banda' });
+
+        const xlsx = await ctx.api().get('/api/donations/export?format=xlsx').set(admin.auth).responseType('blob').expect(200);
+        expect(xlsx.headers['content-type']).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        expect(xlsx.body.subarray(0, 2).toString()).toBe('PK');
+
+        await ctx.api().get('/api/donations/export?format=pdf').set(admin.auth).expect(422);
+    });
+
+    test('exports donors for the CRM with what they have given', async () => {
+        await donate();
+        await donate({ amount: 50 });
+        await donate({ amount: 500, donor: { ...ANN, phone: '+260 977 000000' } }, 'pending');
+
+        const res = await ctx.api().get('/api/donors/export').set(admin.auth).expect(200);
+        const [headers, ...rows] = parseCsv(res.text).filter(row => row.some(Boolean));
+        expect(rows).toHaveLength(1);
+        expect(rows[0][headers.indexOf('Email')]).toBe('ann@example.com');
+        expect(rows[0][headers.indexOf('Phone')]).toBe('+260 977 000000');
+        expect(res.text).toContain('150');
+
+        // Anything else that starts like a formula is still kept from running
+        await donate({ donor: { ...ANN, email: 'cat@example.com', lastName: '-2+3' } });
+        const guarded = await ctx.api().get('/api/donors/export').set(admin.auth).expect(200);
+        expect(guarded.text).toContain(',\'-2+3,');
+    });
+
+    test('sums the year by month in kwacha, with refunds in the month they were made', async () => {
+        await donate();
+        await donate({ amount: 10, currency: 'USD', gateway: 'stripe' });
+        const refunded = await donate({ amount: 40 });
+        await ctx.api().patch(`/api/donations/${refunded.id}/status`).set(admin.auth).send({ status: 'refunded' }).expect(200);
+        await donate({ amount: 999 }, 'pending');
+
+        const { body: { summary } } = await ctx.api().get('/api/donations/reports/monthly').set(admin.auth).expect(200);
+        expect(summary).toMatchObject({ year: thisYear(), currency: 'ZMW' });
+        expect(summary.months).toHaveLength(12);
+        expect(summary.totals).toMatchObject({
+            donationCount: 3,
+            grossZmw: 385,
+            refundCount: 1,
+            refundedZmw: 40,
+            byGateway: expect.objectContaining({ paypal: 140, stripe: 245 })
+        });
+        expect(summary.totals.netZmw).toBe(385 - summary.totals.feeZmw - 40);
+
+        const empty = await ctx.api().get('/api/donations/reports/monthly?year=2001').set(admin.auth).expect(200);
+        expect(empty.body.summary.totals.donationCount).toBe(0);
+
+        const csv = await ctx.api().get(`/api/donations/reports/monthly?year=${thisYear()}&format=csv`).set(admin.auth).expect(200);
+        expect(csv.headers['content-disposition']).toContain(`AFZ-monthly-summary-${thisYear()}.csv`);
+        expect(csv.text).toContain(`${thisYear()} total`);
+
+        await ctx.api().get('/api/donations/reports/monthly?year=99').set(admin.auth).expect(422);
+    });
+
+    test('reconciles a settlement file against the ledger and flags what does not match', async () => {
+        const matched = await donate({}, 'completed', 'PP-A');
+        const short = await donate({ amount: 200 });
+        const missing = await donate({ amount: 300 });
+        const refunded = await donate({ amount: 50 });
+        await donate({ amount: 75, gateway: 'stripe' });
+
+        // Settlement dates are read in Lusaka time, like the ledger's
+        const paidOn = `${lusakaToday()}T12:00:00+02:00`;
+        const { body: { reconciliation } } = await importSettlement([
+            'Transaction ID,Gross,Currency,Status,Date',
+            `PP-A,100.00,ZMW,Completed,${paidOn}`,
+            `${short.receiptNumber},250.00,ZMW,Completed,${paidOn}`,
+            `${refunded.id},-50.00,ZMW,Refunded,${paidOn}`,
+            `PP-UNKNOWN,10.00,ZMW,Completed,${paidOn}`
+        ].join('\n')).expect(201);
+
+        expect(reconciliation).toMatchObject({
+            gateway: 'paypal',
+            gatewayName: 'PayPal',
+            filename: 'settlement.csv',
+            lineCount: 4,
+            flagged: 4,
+            counts: { matched: 1, amount_mismatch: 1, status_mismatch: 0, refunded: 1, not_in_ledger: 1, not_in_settlement: 1 }
+        });
+        const flagOf = id => reconciliation.items.find(item => item.donationId === id).flag;
+        expect(flagOf(matched.id)).toBe('matched');
+        expect(flagOf(short.id)).toBe('amount_mismatch');
+        expect(flagOf(refunded.id)).toBe('refunded');
+        expect(flagOf(missing.id)).toBe('not_in_settlement');
+        expect(reconciliation.items.find(item => item.reference === 'PP-UNKNOWN')).toMatchObject({ flag: 'not_in_ledger', flagLabel: 'Not in the ledger' });
+
+        // The ledger remembers each entry's latest result
+        expect(ctx.store.collection('donations').get(short.id).reconciliation).toMatchObject({ importId: reconciliation.id, status: 'amount_mismatch' });
+        const csv = await ctx.api().get('/api/donations/export?gateway=paypal').set(admin.auth).expect(200);
+        expect(csv.text).toContain('Amount or currency differs');
+
+        const list = await ctx.api().get('/api/reconciliations').set(admin.auth).expect(200);
+        expect(list.body.items).toHaveLength(1);
+        expect(list.body.items[0].items).toBeUndefined();
+
+        const saved = await ctx.api().get(`/api/reconciliations/${reconciliation.id}`).set(admin.auth).expect(200);
+        expect(saved.body.reconciliation.items).toHaveLength(5);
+        const results = await ctx.api().get(`/api/reconciliations/${reconciliation.id}?format=csv`).set(admin.auth).expect(200);
+        expect(results.headers['content-disposition']).toContain(`AFZ-reconciliation-paypal-${reconciliation.importedAt.slice(0, 10)}.csv`);
+        await ctx.api().get('/api/reconciliations/nope').set(admin.auth).expect(404);
+    });
+
+    test('refuses settlement files it cannot read', async () => {
+        const noReference = await importSettlement('Gross,Currency\n100,ZMW').expect(422);
+        expect(noReference.body.message).toBe('The settlement file needs a header row with a transaction reference and an amount column.');
+
+        const noRows = await importSettlement('Transaction ID,Gross').expect(422);
+        expect(noRows.body.message).toBe('The settlement file has no transactions.');
+
+        await importSettlement(' ').expect(422);
+        await importSettlement('Transaction ID,Gross\nPP-A,100', 'cheque').expect(422);
+        await importSettlement(`Transaction ID,Gross\n${'PP-A,100\n'.repeat(600 * 1024)}`).expect(413);
+        expect(ctx.store.collection('settlementImports').all()).toEqual([]);
+    });
+});
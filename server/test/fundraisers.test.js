@@ -0,0 +1,148 @@
+/**
+ * Members' fundraising pages, their photos and the leaderboard (fundraisers.js, routes/fundraisers.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createTestApp, createSignedInMember, waiveTwoFactorRequirement } = require('./helpers');
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(64)]);
+
+describe('fundraising pages', () => {
+    let ctx;
+    let admin;
+    let member;
+    let campaign;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        waiveTwoFactorRequirement(ctx);
+        admin = await createSignedInMember(ctx, 'admin@afz.org');
+        member = await createSignedInMember(ctx, 'ann@example.com', { firstName: 'Ann' });
+        ({ body: { campaign } } = await ctx.api().post('/api/campaigns').set(admin.auth)
+            .send({ title: 'Sunscreen for Schools', targetAmount: 10000, status: 'active' }).expect(201));
+    });
+
+    afterEach(() => ctx.cleanup());
+
+    const start = (auth, changes) => ctx.api().post('/api/fundraisers').set(auth)
+        .send({ campaign: campaign.slug, title: 'Walking for Sunscreen', targetAmount: 2000, ...changes });
+
+    async function donate(fundraiser, amount, email = 'ben@example.com') {
+        const { body } = await ctx.api().post('/api/donations').send({
+            amount,
+            currency: 'ZMW',
+            gateway: 'paypal',
+            donor: { firstName: 'Ben', lastName: 'Phiri', email },
+            fundraiser: fundraiser.slug
+        }).expect(201);
+        await ctx.api().patch(`/api/donations/${body.donation.id}/status`).set(admin.auth).send({ status: 'completed' }).expect(200);
+        return ctx.store.collection('donations').get(body.donation.id);
+    }
+
+    test('lets verified members start a page for an open campaign', async () => {
+        const { body } = await start(member.auth).expect(201);
+        expect(body.fundraiser).toMatchObject({
+            slug: 'walking-for-sunscreen',
+            displayName: 'Ann M.',
+            currency: 'ZMW',
+            status: 'active',
+            open: true,
+            campaign: { slug: campaign.slug, open: true }
+        });
+
+        const again = await start(member.auth).expect(201);
+        expect(again.body.fundraiser.slug).toBe('walking-for-sunscreen-2');
+
+        const unverified = await createSignedInMember(ctx, 'cat@example.com', { verified: false });
+        await start(unverified.auth).expect(403);
+        await ctx.api().post('/api/fundraisers').send({ campaign: campaign.slug, title: 'x', targetAmount: 10 }).expect(401);
+        await start(member.auth, { campaign: 'nope' }).expect(422);
+        await start(member.auth, { targetAmount: 0 }).expect(422);
+    });
+
+    test('refuses pages for draft and closed campaigns', async () => {
+        const { body: { campaign: draft } } = await ctx.api().post('/api/campaigns').set(admin.auth)
+            .send({ title: 'Not Yet', targetAmount: 100 }).expect(201);
+        await start(member.auth, { campaign: draft.slug }).expect(422);
+
+        await ctx.api().patch(`/api/campaigns/${campaign.id}`).set(admin.auth).send({ status: 'closed' }).expect(200);
+        const res = await start(member.auth).expect(422);
+        expect(res.body.message).toBe('Sunscreen for Schools is not taking donations, so pages cannot be started for it.');
+    });
+
+    test('credits gifts to the page, its campaign and the member who runs it', async () => {
+        const { body: { fundraiser } } = await start(member.auth).expect(201);
+        const donation = await donate(fundraiser, 500);
+
+        expect(donation).toMatchObject({ fundraiserId: fundraiser.id, campaignId: campaign.id, raisedBy: member.user.id });
+
+        const page = await ctx.api().get(`/api/fundraisers/${fundraiser.slug}`).expect(200);
+        expect(page.body.fundraiser.progress).toMatchObject({ raised: 500, percent: 25, donorCount: 1 });
+        expect(page.body.fundraiser).toMatchObject({ canManage: false });
+        expect(page.body.fundraiser.ownerId).toBeUndefined();
+        const own = await ctx.api().get(`/api/fundraisers/${fundraiser.slug}`).set(member.auth).expect(200);
+        expect(own.body.fundraiser).toMatchObject({ canManage: true, ownerId: member.user.id });
+        const total = await ctx.api().get(`/api/campaigns/${campaign.slug}`).expect(200);
+        expect(total.body.campaign.progress.raised).toBe(500);
+    });
+
+    test('ranks pages by what they have raised', async () => {
+        const { body: { fundraiser: first } } = await start(member.auth).expect(201);
+        const other = await createSignedInMember(ctx, 'dan@example.com');
+        const { body: { fundraiser: second } } = await start(other.auth, { title: 'Birthday Sunscreen' }).expect(201);
+        await donate(first, 100);
+        await donate(second, 300);
+
+        const res = await ctx.api().get(`/api/fundraisers/leaderboard?campaign=${campaign.slug}`).expect(200);
+        expect(res.body.items.map(item => [item.rank, item.slug, item.zmwRaised]))
+            .toEqual([[1, second.slug, 300], [2, first.slug, 100]]);
+        expect(res.body.items.every(item => item.ownerId === undefined)).toBe(true);
+        const signedIn = await ctx.api().get('/api/fundraisers/leaderboard').set(member.auth).expect(200);
+        expect(signedIn.body.items.map(item => item.ownerId)).toEqual([undefined, member.user.id]);
+        await ctx.api().get('/api/fundraisers/leaderboard?campaign=nope').expect(422);
+    });
+
+    test('lets only the owner or campaign staff change a page', async () => {
+        const { body: { fundraiser } } = await start(member.auth).expect(201);
+        const other = await createSignedInMember(ctx, 'dan@example.com');
+
+        await ctx.api().patch(`/api/fundraisers/${fundraiser.id}`).set(other.auth).send({ title: 'Mine now' }).expect(403);
+        await ctx.api().patch(`/api/fundraisers/${fundraiser.id}`).set(admin.auth).send({ displayName: 'Ann' }).expect(200);
+
+        const closed = await ctx.api().patch(`/api/fundraisers/${fundraiser.id}`).set(member.auth).send({ status: 'closed' }).expect(200);
+        expect(closed.body.fundraiser.open).toBe(false);
+        await ctx.api().post('/api/donations').send({
+            amount: 50, currency: 'ZMW', gateway: 'paypal', donor: { firstName: 'Ben', lastName: 'Phiri', email: 'ben@example.com' }, fundraiser: fundraiser.slug
+        }).expect(422);
+
+        const mine = await ctx.api().get('/api/fundraisers?mine=true').set(member.auth).expect(200);
+        expect(mine.body.items).toHaveLength(1);
+        expect((await ctx.api().get('/api/fundraisers').expect(200)).body.total).toBe(0);
+        await ctx.api().get('/api/fundraisers?mine=true').expect(401);
+
+        await ctx.api().patch(`/api/campaigns/${campaign.id}`).set(admin.auth).send({ status: 'closed' }).expect(200);
+        await ctx.api().patch(`/api/fundraisers/${fundraiser.id}`).set(member.auth).send({ status: 'active' }).expect(409);
+    });
+
+    test('takes a photo checked by its contents', async () => {
+        const { body: { fundraiser } } = await start(member.auth).expect(201);
+        const upload = (auth, bytes, type = 'image/png') => ctx.api().put(`/api/fundraisers/${fundraiser.id}/photo`)
+            .set(auth).set('Content-Type', type).send(bytes);
+
+        await upload(member.auth, Buffer.from('<svg></svg>')).expect(422);
+        await upload(member.auth, Buffer.alloc(3 * 1024 * 1024), 'image/jpeg').expect(413);
+        await ctx.api().get(`/api/fundraisers/${fundraiser.slug}/photo`).expect(404);
+
+        const other = await createSignedInMember(ctx, 'dan@example.com');
+        await upload(other.auth, PNG).expect(403);
+
+        const res = await upload(member.auth, PNG).expect(200);
+        expect(res.body.fundraiser.photoUrl).toMatch(new RegExp(`/api/fundraisers/${fundraiser.slug}/photo\\?v=\\d+$`));
+
+        const photo = await ctx.api().get(`/api/fundraisers/${fundraiser.slug}/photo`).expect(200);
+        expect(photo.headers['content-type']).toBe('image/png');
+        expect(photo.body).toEqual(PNG);
+        expect(fs.readFileSync(path.join(ctx.store.dataDir, 'fundraiser-photos', `${fundraiser.id}.png`))).toEqual(PNG);
+    });
+});
@@ -0,0 +1,134 @@
+/**
+ * AFZ API Server - Test Helpers
+ * Builds the app against a throwaway data directory and a mailer that keeps what it sends
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Read by server/config.js, so set before anything under server/ is loaded
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'afz-test-secret';
+process.env.BCRYPT_ROUNDS = '4';
+process.env.ADMIN_EMAILS = 'admin@afz.org';
+process.env.APP_URL = 'http://afz.test';
+process.env.STATIC_DIR = path.join(__dirname, '..', '..');
+
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const request = require('supertest');
+const { createApp } = require('../../server.js');
+const DataStore = require('../datastore');
+const Mailer = require('../mailer');
+const { updateSettings } = require('../settings');
+
+const PASSWORD = 'Passw0rdX';
+
+// Messages are rendered as usual and kept in `sent` instead of going out
+function createTestMailer() {
+    const mailer = new Mailer({
+        from: 'AFZ <no-reply@afz.org.zm>',
+        transport: nodemailer.createTransport({ jsonTransport: true })
+    });
+    const send = mailer.send.bind(mailer);
+
+    mailer.sent = [];
+    mailer.send = async message => {
+        const info = await send(message);
+        mailer.sent.push({ ...JSON.parse(info.message), template: message.template });
+        return info;
+    };
+    return mailer;
+}
+
+function createTestApp() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'afz-test-'));
+    const store = new DataStore(dataDir);
+    const mailer = createTestMailer();
+    const app = createApp({ store, mailer });
+
+    return {
+        app,
+        store,
+        mailer,
+        api: () => request(app),
+        cleanup: () => fs.rmSync(dataDir, { recursive: true, force: true })
+    };
+}
+
+// Registers through the API, then sets what the test needs directly on the record
+async function createMember(ctx, email, { verified = true, location = 'lusaka', firstName = 'Test', ...changes } = {}) {
+    await ctx.api().post('/api/auth/register').send({
+        firstName,
+        lastName: 'Member',
+        email,
+        phone: '+260977000000',
+        location,
+        password: PASSWORD,
+        confirmPassword: PASSWORD,
+        agreeToTerms: true
+    }).expect(201);
+
+    const users = ctx.store.collection('users');
+    const user = users.findOne(record => record.email === email);
+    return users.update(user.id, { emailVerified: verified, ...changes });
+}
+
+// Staff accounts must set up two-factor sign-in by default; most tests are not about that
+function waiveTwoFactorRequirement(ctx) {
+    updateSettings(ctx.store, { twoFactorRequired: false }, null);
+}
+
+async function signIn(ctx, email, password = PASSWORD) {
+    const res = await ctx.api().post('/api/auth/login').send({ email, password }).expect(200);
+    return { ...res.body, auth: { Authorization: `Bearer ${res.body.token}` } };
+}
+
+async function createSignedInMember(ctx, email, options) {
+    await createMember(ctx, email, options);
+    return signIn(ctx, email);
+}
+
+// Stands in for the MTN and Airtel APIs (with MOBILE_MONEY_SANDBOX credentials); `answers` holds what
+// the provider says about each payment id, PENDING or TIP until a test changes it
+function fakeMobileMoney() {
+    const answers = new Map();
+
+    jest.spyOn(axios, 'post').mockImplementation(async (url, body) => {
+        if (/token/.test(url)) {
+            return { data: { access_token: 'provider-token', expires_in: 3600 } };
+        }
+        if (url.endsWith('/requesttopay')) {
+            answers.set(body.externalId, 'PENDING');
+            return { data: {} };
+        }
+        answers.set(body.transaction.id, 'TIP');
+        return { data: { status: { success: true } } };
+    });
+    jest.spyOn(axios, 'get').mockImplementation(async url => {
+        const id = url.split('/').pop();
+        return url.includes('/requesttopay/')
+            ? { data: { status: answers.get(id), financialTransactionId: answers.get(id) === 'SUCCESSFUL' ? 'MTN-900' : undefined } }
+            : { data: { data: { transaction: { status: answers.get(id), airtel_money_id: 'AIRTEL-900' } } } };
+    });
+    return answers;
+}
+
+// The token from the link in the last email sent to `to`
+function linkToken(mailer, to, param) {
+    const message = mailer.sent.filter(sent => sent.to.some(address => address.address === to)).pop();
+    const match = message && message.text.match(new RegExp(`[?&]${param}=([^\\s&]+)`));
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+module.exports = {
+    PASSWORD,
+    createTestApp,
+    createMember,
+    waiveTwoFactorRequirement,
+    signIn,
+    createSignedInMember,
+    linkToken,
+    fakeMobileMoney
+};
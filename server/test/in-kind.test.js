@@ -0,0 +1,163 @@
+/**
+ * Pledges of goods from the donate page, their lifecycle into the programme stock and the acknowledgment
+ * receipt (in-kind.js, routes/in-kind.js)
+ */
+
+const { createTestApp, createSignedInMember, waiveTwoFactorRequirement } = require('./helpers');
+
+const PLEDGE = {
+    donor: { firstName: 'Ann', lastName: 'Banda', email: 'Ann@example.com', phone: '+260977000000' },
+    items: [{ item: 'sunscreen-spf50', quantity: 10 }, { item: 'wide-brim-hat', quantity: 4 }],
+    delivery: 'drop-off',
+    dropOffPoint: 'lusaka-office'
+};
+
+describe('in-kind pledges', () => {
+    let ctx;
+    let admin;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        waiveTwoFactorRequirement(ctx);
+        admin = await createSignedInMember(ctx, 'admin@afz.org');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        ctx.cleanup();
+    });
+
+    const pledge = changes => ctx.api().post('/api/in-kind/pledges').send({ ...PLEDGE, ...changes });
+    const setStatus = (id, changes) => ctx.api().patch(`/api/in-kind/pledges/${id}/status`).set(admin.auth).send(changes);
+    const stockOf = async item => (await ctx.api().get('/api/in-kind/inventory').set(admin.auth).expect(200))
+        .body.items.find(level => level.item === item);
+
+    test('lists the catalogue for the pledge form', async () => {
+        const { body } = await ctx.api().get('/api/in-kind/catalogue').expect(200);
+        expect(body.items).toEqual(expect.arrayContaining([
+            expect.objectContaining({ id: 'handheld-magnifier', programmeName: 'Low-vision Support', estimatedValue: 250 })
+        ]));
+        expect(body.dropOffPoints.map(point => point.id)).toEqual(['lusaka-office']);
+    });
+
+    test('records a pledge at its estimated value and confirms it to the donor', async () => {
+        const { body } = await pledge({ items: [...PLEDGE.items, { item: 'sunscreen-spf50', quantity: 2 }] }).expect(201);
+
+        expect(body.pledge).toMatchObject({
+            pledgeNumber: expect.stringMatching(/^AFZ-IK-\d{4}-000001$/),
+            status: 'pledged',
+            estimatedValue: 12 * 120 + 4 * 150,
+            deliveryLine: expect.stringContaining('AFZ office, Lusaka')
+        });
+        expect(body.pledge.lines.map(line => [line.item, line.quantity])).toEqual([['sunscreen-spf50', 12], ['wide-brim-hat', 4]]);
+
+        const mail = ctx.mailer.sent.find(sent => sent.template === 'in-kind-pledge');
+        expect(mail.to).toEqual([{ address: 'ann@example.com', name: '' }]);
+        expect(mail.subject).toContain(body.pledge.pledgeNumber);
+        expect((await stockOf('sunscreen-spf50')).pledged).toBe(12);
+    });
+
+    test('asks for what it needs to arrange a drop-off or a pickup', async () => {
+        await pledge({ items: [] }).expect(422);
+        await pledge({ items: [{ item: 'umbrella', quantity: 1 }] }).expect(422);
+        await pledge({ items: [{ item: 'wide-brim-hat', quantity: 0 }] }).expect(422);
+        await pledge({ delivery: 'post' }).expect(422);
+
+        const noPoint = await pledge({ dropOffPoint: undefined }).expect(422);
+        expect(noPoint.body.message).toBe('Please choose where you will bring the items.');
+
+        await pledge({ delivery: 'pickup', pickup: { address: 'Plot 12, Kabulonga Road' } }).expect(422);
+        const noPhone = await pledge({ delivery: 'pickup', pickup: { address: 'Plot 12', town: 'Lusaka' }, donor: { ...PLEDGE.donor, phone: '' } }).expect(422);
+        expect(noPhone.body.message).toBe('For a pickup we need the address, the town and a phone number to arrange it.');
+
+        await pledge({ expectedOn: '2001-01-01' }).expect(422);
+        expect(ctx.store.collection('inKindPledges').all()).toEqual([]);
+
+        const pickup = await pledge({ delivery: 'pickup', pickup: { address: 'Plot 12', town: 'Ndola' } }).expect(201);
+        expect(pickup.body.pledge.deliveryLine).toBe('We will collect the items from Plot 12, Ndola');
+    });
+
+    test('answers a resent pledge with the one it already made', async () => {
+        const first = await pledge().set('Idempotency-Key', 'pledge-1').expect(201);
+        const again = await pledge().set('Idempotency-Key', 'pledge-1').expect(200);
+
+        expect(again.body.pledge.id).toBe(first.body.pledge.id);
+        expect(ctx.store.collection('inKindPledges').all()).toHaveLength(1);
+    });
+
+    test('puts what arrived into stock, acknowledges it and takes it out when handed out', async () => {
+        const { body: { pledge: made } } = await pledge().expect(201);
+
+        const partial = await setStatus(made.id, { status: 'received', received: [{ item: 'sunscreen-spf50', quantity: 8 }] }).expect(200);
+        expect(partial.body).toMatchObject({ acknowledgmentSent: true, pledge: { status: 'received', estimatedValue: 8 * 120 } });
+        expect(await stockOf('sunscreen-spf50')).toMatchObject({ onHand: 8, received: 8, pledged: 0 });
+        expect(await stockOf('wide-brim-hat')).toMatchObject({ onHand: 0, received: 0 });
+
+        const acknowledgment = ctx.mailer.sent.find(mail => mail.template === 'in-kind-acknowledgment');
+        expect(acknowledgment.attachments[0].filename).toBe(`${made.pledgeNumber}.html`);
+
+        await setStatus(made.id, { status: 'distributed' }).expect(200);
+        expect(await stockOf('sunscreen-spf50')).toMatchObject({ onHand: 0, received: 8, distributed: 8 });
+
+        const stuck = await setStatus(made.id, { status: 'cancelled' }).expect(409);
+        expect(stuck.body.message).toBe('This pledge is distributed and cannot be marked as cancelled.');
+    });
+
+    test('refuses receipts that do not fit the pledge', async () => {
+        const { body: { pledge: made } } = await pledge().expect(201);
+
+        await setStatus(made.id, { status: 'received', received: [{ item: 'handheld-magnifier', quantity: 1 }] }).expect(422);
+        const nothing = await setStatus(made.id, { status: 'received', received: [{ item: 'wide-brim-hat', quantity: 0 }] }).expect(422);
+        expect(nothing.body.message).toBe('Nothing was received; cancel the pledge instead.');
+        await setStatus(made.id, { status: 'distributed' }).expect(409);
+        await setStatus(made.id, { status: 'pledged' }).expect(422);
+        await setStatus('nope', { status: 'received' }).expect(404);
+
+        await setStatus(made.id, { status: 'cancelled', note: 'Never arrived' }).expect(200);
+        expect((await stockOf('sunscreen-spf50')).pledged).toBe(0);
+    });
+
+    test('keeps the receipt when the acknowledgment cannot be sent', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const { body: { pledge: made } } = await pledge().expect(201);
+        ctx.mailer.send = async () => {
+            throw new Error('mailbox unavailable');
+        };
+
+        const res = await setStatus(made.id, { status: 'received' }).expect(200);
+        expect(res.body).toMatchObject({ acknowledgmentSent: false, pledge: { status: 'received', acknowledgmentSentAt: null } });
+        expect((await stockOf('wide-brim-hat')).onHand).toBe(4);
+    });
+
+    test('shows the acknowledgment to the donor through their link once the goods are in', async () => {
+        const { body: { pledge: made } } = await pledge().expect(201);
+        await ctx.api().get(`/api/in-kind/pledges/${made.id}/acknowledgment`).set(admin.auth).expect(409);
+
+        await setStatus(made.id, { status: 'received' }).expect(200);
+        const { body } = await ctx.api().get(`/api/in-kind/pledges/${made.id}`).set(admin.auth).expect(200);
+        const link = new URL(body.acknowledgmentUrl);
+
+        const page = await ctx.api().get(link.pathname + link.search).expect(200);
+        expect(page.headers['content-type']).toMatch(/html/);
+        expect(page.text).toContain(made.pledgeNumber);
+        expect(page.text).toContain('Sunscreen SPF 50+');
+
+        await ctx.api().get(`/api/in-kind/pledges/${made.id}/acknowledgment?token=forged`).expect(404);
+        const member = await createSignedInMember(ctx, 'ben@example.com');
+        await ctx.api().get(`/api/in-kind/pledges/${made.id}/acknowledgment`).set(member.auth).expect(404);
+    });
+
+    test('keeps pledges and stock to the programme team', async () => {
+        await pledge().expect(201);
+        const member = await createSignedInMember(ctx, 'ben@example.com');
+
+        await ctx.api().get('/api/in-kind/pledges').expect(401);
+        await ctx.api().get('/api/in-kind/inventory').set(member.auth).expect(403);
+
+        const list = await ctx.api().get('/api/in-kind/pledges?item=wide-brim-hat&q=banda').set(admin.auth).expect(200);
+        expect(list.body.total).toBe(1);
+        const none = await ctx.api().get('/api/in-kind/pledges?status=received').set(admin.auth).expect(200);
+        expect(none.body.total).toBe(0);
+        await ctx.api().get('/api/in-kind/pledges?status=lost').set(admin.auth).expect(422);
+    });
+});
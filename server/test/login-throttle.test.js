@@ -0,0 +1,77 @@
+/**
+ * Brute-force protection for sign-in (login-throttle.js) and the admin lockouts list (routes/members.js)
+ */
+
+const { PASSWORD, createTestApp, createMember, signIn, waiveTwoFactorRequirement } = require('./helpers');
+
+describe('login throttling', () => {
+    let ctx;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        await createMember(ctx, 'ann@example.com');
+    });
+
+    afterEach(() => ctx.cleanup());
+
+    const login = (password, email = 'ann@example.com') => ctx.api().post('/api/auth/login').send({ email, password });
+    const throttles = () => ctx.store.collection('loginThrottles');
+
+    // Moves the last failure back so the delay it started has passed
+    function letDelayPass(id = 'account:ann@example.com') {
+        throttles().update(id, { lastFailureAt: new Date(Date.now() - 2 * 60 * 1000).toISOString() });
+    }
+
+    test('makes the account wait after three failed passwords, even for the right one', async () => {
+        for (let attempt = 0; attempt < 4; attempt++) {
+            await login('Wrong1234').expect(401);
+        }
+
+        const held = await login(PASSWORD).expect(429);
+        expect(held.body.code).toBe('login_throttled');
+        expect(Number(held.headers['retry-after'])).toBeGreaterThan(0);
+
+        letDelayPass();
+        await login(PASSWORD).expect(200);
+        expect(throttles().get('account:ann@example.com')).toBeNull();
+    });
+
+    test('locks the account after ten failures and raises a security alert', async () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        throttles().insert({ id: 'account:ann@example.com', type: 'account', key: 'ann@example.com', failures: 9 });
+        letDelayPass();
+        await login('Wrong1234').expect(401);
+
+        const locked = await login(PASSWORD).expect(429);
+        expect(locked.body.code).toBe('login_locked');
+        expect(Number(locked.headers['retry-after'])).toBeGreaterThan(14 * 60);
+        expect(throttles().get('account:ann@example.com').lockouts).toBe(1);
+
+        const types = ctx.store.collection('securityEvents').all().map(event => event.type);
+        expect(types).toEqual(expect.arrayContaining(['FAILED_LOGIN', 'LOGIN_LOCKED']));
+        expect(warn).toHaveBeenCalledWith(expect.stringMatching(/Security alert/));
+        warn.mockRestore();
+    });
+
+    test('lists lockouts for admins and lets them unlock an account', async () => {
+        waiveTwoFactorRequirement(ctx);
+        await createMember(ctx, 'admin@afz.org');
+        const admin = await signIn(ctx, 'admin@afz.org');
+        const member = await signIn(ctx, 'ann@example.com');
+        throttles().insert({
+            id: 'account:ann@example.com',
+            type: 'account',
+            key: 'ann@example.com',
+            failures: 10,
+            lastFailureAt: new Date().toISOString(),
+            lockedUntil: new Date(Date.now() + 15 * 60 * 1000).toISOString()
+        });
+
+        await ctx.api().get('/api/members/lockouts').set(member.auth).expect(403);
+        const list = await ctx.api().get('/api/members/lockouts').set(admin.auth).expect(200);
+        expect(list.body.items).toEqual([expect.objectContaining({ id: 'account:ann@example.com', locked: true, memberId: member.user.id })]);
+
+        await ctx.api().delete(`/api/members/lockouts/${encodeURIComponent('account:ann@example.com')}`).set(admin.auth).expect(200);
+        await login(PASSWORD).expect(200);
+    });
+});
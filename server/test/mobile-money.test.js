@@ -0,0 +1,173 @@
+/**
+ * Mobile money request-to-pay, status polling, timeouts and provider callbacks (mobile-money.js, routes/mobile-money.js)
+ */
+
+const { createTestApp, fakeMobileMoney } = require('./helpers');
+const config = require('../config');
+const { runPendingPayments } = require('../mobile-money');
+
+describe('mobile money', () => {
+    let ctx;
+    let answers;
+
+    beforeAll(() => {
+        config.mobileMoney.sandbox = true;
+    });
+
+    afterAll(() => {
+        config.mobileMoney.sandbox = false;
+    });
+
+    beforeEach(() => {
+        ctx = createTestApp();
+        answers = fakeMobileMoney();
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        ctx.cleanup();
+    });
+
+    async function donate(changes = {}) {
+        const res = await ctx.api().post('/api/donations').send({
+            amount: 100,
+            currency: 'ZMW',
+            gateway: 'mobile-money',
+            donor: { firstName: 'Ann', lastName: 'Banda', email: 'ann@example.com' },
+            ...changes
+        }).expect(201);
+        return res.body;
+    }
+
+    const pay = (donation, changes = {}) => ctx.api().post('/api/mobile-money/payments')
+        .send({ donationId: donation.donation.id, token: donation.token, phone: '0961234567', ...changes });
+
+    const poll = (donation, payment) => ctx.api().get(`/api/mobile-money/payments/${payment.id}?token=${donation.token}`);
+
+    // The donate page polls now and then; this lets a test poll again straight away or after the deadline
+    const age = (payment, changes) => ctx.store.collection('mobileMoneyPayments').update(payment.id, changes);
+
+    test('sends the prompt to the network the number belongs to', async () => {
+        const donation = await donate();
+
+        const res = await pay(donation, { phone: '+260 96 123 4567' }).expect(202);
+        expect(res.body.payment).toMatchObject({ provider: 'mtn', msisdn: '260961234567', status: 'pending' });
+
+        const again = await pay(donation).expect(409);
+        expect(again.body.message).toMatch(/already been sent/);
+    });
+
+    test('refuses numbers, networks and donations it cannot charge', async () => {
+        const donation = await donate();
+
+        await pay(donation, { token: 'wrong' }).expect(404);
+        await pay(donation, { phone: '12345' }).expect(422);
+        const wrongNetwork = await pay(donation, { provider: 'airtel' }).expect(422);
+        expect(wrongNetwork.body.message).toBe('This number is not on Airtel Money.');
+
+        const dollars = await donate({ currency: 'USD' });
+        await pay(dollars).expect(422);
+    });
+
+    test('completes the donation and mails the receipt when the provider confirms', async () => {
+        const donation = await donate();
+        const { payment } = (await pay(donation).expect(202)).body;
+
+        answers.set(payment.id, 'SUCCESSFUL');
+        age(payment, { checkedAt: null });
+        const res = await poll(donation, payment).expect(200);
+
+        expect(res.body.payment.status).toBe('successful');
+        expect(ctx.store.collection('donations').get(donation.donation.id)).toMatchObject({ status: 'completed', gatewayReference: 'MTN-900' });
+        expect(ctx.mailer.sent.map(mail => mail.template)).toEqual(['donation-receipt']);
+    });
+
+    test('marks declined prompts as failed', async () => {
+        const donation = await donate();
+        const { payment } = (await pay(donation, { phone: '0971234561' }).expect(202)).body;
+        expect(payment.provider).toBe('airtel');
+
+        answers.set(payment.id, 'TF');
+        await ctx.api().post('/api/mobile-money/callbacks/airtel').send({ transaction: { id: payment.id } }).expect(200);
+
+        expect(ctx.store.collection('mobileMoneyPayments').get(payment.id).status).toBe('failed');
+        expect(ctx.store.collection('donations').get(donation.donation.id).status).toBe('failed');
+    });
+
+    test('times out prompts the donor never answers', async () => {
+        const donation = await donate();
+        const { payment } = (await pay(donation).expect(202)).body;
+
+        age(payment, { checkedAt: null, expiresAt: new Date(Date.now() - 1000).toISOString() });
+        const res = await poll(donation, payment).expect(200);
+
+        expect(res.body.payment).toMatchObject({ status: 'timeout', reason: 'The payment was not approved in time' });
+        expect(ctx.store.collection('donations').get(donation.donation.id).status).toBe('failed');
+    });
+
+    test('still takes a payment the donor approved after it timed out, and flags it', async () => {
+        const donation = await donate();
+        const { payment } = (await pay(donation).expect(202)).body;
+        age(payment, { checkedAt: null, expiresAt: new Date(Date.now() - 1000).toISOString() });
+        await poll(donation, payment).expect(200);
+
+        answers.set(payment.id, 'SUCCESSFUL');
+        await ctx.api().put('/api/mobile-money/callbacks/mtn').send({ externalId: payment.id, status: 'SUCCESSFUL' }).expect(200);
+
+        const settled = ctx.store.collection('mobileMoneyPayments').get(payment.id);
+        expect(settled).toMatchObject({ status: 'successful', transactionId: 'MTN-900', approvedLate: true });
+
+        const entry = ctx.store.collection('donations').get(donation.donation.id);
+        expect(entry).toMatchObject({ status: 'completed', approvedLate: true });
+        expect(entry.history.map(item => item.status)).toEqual(['pending', 'failed', 'completed']);
+        expect(entry.history[2].note).toMatch(/after the payment request had timed out/);
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining(entry.receiptNumber));
+    });
+
+    test('keeps a timed-out payment when the provider still has no approval', async () => {
+        const donation = await donate();
+        const { payment } = (await pay(donation).expect(202)).body;
+        age(payment, { checkedAt: null, expiresAt: new Date(Date.now() - 1000).toISOString() });
+        await poll(donation, payment).expect(200);
+
+        answers.set(payment.id, 'FAILED');
+        await ctx.api().put('/api/mobile-money/callbacks/mtn').send({ externalId: payment.id }).expect(200);
+
+        expect(ctx.store.collection('mobileMoneyPayments').get(payment.id)).toMatchObject({ status: 'timeout' });
+        expect(ctx.store.collection('donations').get(donation.donation.id).history).toHaveLength(2);
+    });
+
+    test('settles and times out prompts once the donor has left the page', async () => {
+        const approved = await donate();
+        const { payment: paid } = (await pay(approved).expect(202)).body;
+        const abandoned = await donate({ donor: { firstName: 'Ben', lastName: 'Phiri', email: 'ben@example.com' } });
+        const { payment: forgotten } = (await pay(abandoned).expect(202)).body;
+
+        answers.set(paid.id, 'SUCCESSFUL');
+        age(paid, { checkedAt: null });
+        age(forgotten, { checkedAt: null, expiresAt: new Date(Date.now() - 1000).toISOString() });
+        await runPendingPayments(ctx.store, ctx.mailer);
+
+        expect(ctx.store.collection('mobileMoneyPayments').get(paid.id).status).toBe('successful');
+        expect(ctx.store.collection('donations').get(approved.donation.id).status).toBe('completed');
+        expect(ctx.store.collection('mobileMoneyPayments').get(forgotten.id).status).toBe('timeout');
+        expect(ctx.store.collection('donations').get(abandoned.donation.id).status).toBe('failed');
+    });
+
+    test('leaves recurring charges to the subscription scheduler', async () => {
+        const donation = await donate();
+        const { payment } = (await pay(donation).expect(202)).body;
+        ctx.store.collection('donations').update(donation.donation.id, { subscriptionId: 'sub-1' });
+
+        age(payment, { checkedAt: null, expiresAt: new Date(Date.now() - 1000).toISOString() });
+        await runPendingPayments(ctx.store, ctx.mailer);
+
+        expect(ctx.store.collection('mobileMoneyPayments').get(payment.id).status).toBe('pending');
+    });
+
+    test('answers callbacks for unknown payments the same way', async () => {
+        await ctx.api().put('/api/mobile-money/callbacks/mtn').send({ externalId: 'nope' }).expect(200);
+        await ctx.api().put('/api/mobile-money/callbacks/nope').send({}).expect(422);
+    });
+});
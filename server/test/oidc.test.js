@@ -0,0 +1,133 @@
+/**
+ * OpenID Connect sign-in against the mock identity provider (oidc.js, routes/oidc.js, mock-oidc.js)
+ */
+
+const http = require('http');
+const { createTestApp, createMember, signIn } = require('./helpers');
+const config = require('../config');
+
+describe('social sign-in', () => {
+    let ctx;
+    let server;
+
+    // The API fetches the provider's discovery document and tokens over HTTP, so the app has to listen on APP_URL
+    beforeAll(async () => {
+        server = http.createServer((req, res) => ctx.app(req, res));
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        config.appUrl = `http://127.0.0.1:${server.address().port}`;
+        config.oidc.mock = true;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        ctx = createTestApp();
+    });
+
+    afterEach(() => ctx.cleanup());
+
+    const cookieOf = (res, name) => (res.headers['set-cookie'] || [])
+        .map(cookie => cookie.split(';')[0])
+        .find(cookie => cookie.startsWith(`${name}=`) && cookie !== `${name}=`);
+
+    // Runs the browser's side of the flow: start, approve at the provider, return to the callback
+    async function signInWithProvider({ email = 'social@example.org', verified = true, sub, decision = 'allow', auth, cookie } = {}) {
+        const start = await ctx.api().post(`/api/auth/oidc/mock/${auth ? 'link' : 'start'}`).set(auth || {}).send({ rememberMe: true }).expect(200);
+        const authorization = new URL(start.body.authorizationUrl);
+        expect(authorization.searchParams.get('code_challenge_method')).toBe('S256');
+
+        const approval = await ctx.api().post(authorization.pathname).type('form').send({
+            ...Object.fromEntries(authorization.searchParams),
+            email,
+            given_name: 'Social',
+            family_name: 'Member',
+            decision,
+            ...(verified ? { email_verified: 'true' } : {}),
+            ...(sub ? { sub } : {})
+        }).expect(302);
+
+        const callback = new URL(approval.headers.location);
+        const done = await ctx.api().get(callback.pathname + callback.search)
+            .set('Cookie', cookie || cookieOf(start, 'afz_oidc'))
+            .expect(302);
+        const result = new URL(done.headers.location);
+
+        return { result: Object.fromEntries(result.searchParams), hash: result.hash, refresh: cookieOf(done, 'afz_refresh') };
+    }
+
+    const users = () => ctx.store.collection('users');
+
+    test('lists the configured providers', async () => {
+        const res = await ctx.api().get('/api/auth/oidc/providers').expect(200);
+
+        expect(res.body.providers).toEqual([{ id: 'mock', name: 'Mock Identity Provider' }]);
+    });
+
+    test('creates an account for a new identity and signs back into it', async () => {
+        const first = await signInWithProvider();
+        expect(first.result).toMatchObject({ oidc: 'success', provider: 'mock' });
+
+        const session = await ctx.api().post('/api/auth/refresh').set('Cookie', first.refresh).expect(200);
+        expect(session.body.user).toMatchObject({ email: 'social@example.org', emailVerified: true, hasPassword: false });
+
+        const again = await signInWithProvider();
+        expect(again.result.oidc).toBe('success');
+        expect(users().find(user => user.email === 'social@example.org')).toHaveLength(1);
+    });
+
+    test('refuses a callback from another browser or a cancelled sign-in', async () => {
+        expect((await signInWithProvider({ cookie: 'afz_oidc=someone-else' })).result).toMatchObject({ oidc: 'error', reason: 'expired' });
+        expect((await signInWithProvider({ decision: 'deny' })).result).toMatchObject({ oidc: 'error', reason: 'cancelled' });
+        expect(users().all()).toHaveLength(0);
+    });
+
+    test('connects an existing account only when both sides verified the email', async () => {
+        await createMember(ctx, 'ann@example.com', { verified: false });
+        expect((await signInWithProvider({ email: 'ann@example.com' })).result.reason).toBe('link_required');
+
+        const ann = users().findOne(user => user.email === 'ann@example.com');
+        users().update(ann.id, { emailVerified: true });
+        expect((await signInWithProvider({ email: 'ann@example.com', verified: false })).result.reason).toBe('link_required');
+
+        expect((await signInWithProvider({ email: 'ann@example.com' })).result.oidc).toBe('success');
+        expect(users().get(ann.id).identities).toEqual([expect.objectContaining({ provider: 'mock', email: 'ann@example.com' })]);
+    });
+
+    test('links and unlinks a provider for a signed-in member', async () => {
+        await createMember(ctx, 'ann@example.com');
+        const ann = await signIn(ctx, 'ann@example.com');
+
+        const linked = await signInWithProvider({ auth: ann.auth, email: 'ann@gmail.com', sub: 'ann-subject' });
+        expect(linked.result).toMatchObject({ oidc: 'linked' });
+
+        await signInWithProvider({ email: 'other@gmail.com', sub: 'other-subject' });
+        const other = await signIn(ctx, 'ann@example.com');
+        const taken = await signInWithProvider({ auth: other.auth, email: 'other@gmail.com', sub: 'other-subject' });
+        expect(taken.result.reason).toBe('already_linked');
+
+        const res = await ctx.api().delete('/api/auth/oidc/identities/mock').set(ann.auth).expect(200);
+        expect(res.body.user.linkedAccounts).toEqual([]);
+    });
+
+    test('keeps the only way to sign in connected', async () => {
+        const { refresh } = await signInWithProvider();
+        const session = await ctx.api().post('/api/auth/refresh').set('Cookie', refresh).expect(200);
+
+        await ctx.api().delete('/api/auth/oidc/identities/mock').set('Authorization', `Bearer ${session.body.token}`).expect(400);
+    });
+
+    test('still asks members with two-factor authentication for a code', async () => {
+        await signInWithProvider();
+        const member = users().findOne(user => user.email === 'social@example.org');
+        users().update(member.id, { twoFactor: { enabled: true, secret: 'unused', recoveryCodes: [] } });
+
+        const { result, hash, refresh } = await signInWithProvider();
+        expect(result.oidc).toBe('two-factor');
+        expect(hash).toMatch(/^#challenge=/);
+        expect(refresh).toBeUndefined();
+    });
+
+    test('does not start a flow for an unknown provider', async () => {
+        await ctx.api().post('/api/auth/oidc/nope/start').send({}).expect(404);
+    });
+});
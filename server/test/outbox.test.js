@@ -0,0 +1,77 @@
+/**
+ * What the offline outbox (outbox.js) relies on when it sends a queued donation again: the
+ * Idempotency-Key on POST /api/donations (routes/donations.js)
+ */
+
+const { createTestApp, createSignedInMember, waiveTwoFactorRequirement } = require('./helpers');
+
+const GIFT = {
+    amount: 100,
+    currency: 'ZMW',
+    gateway: 'paypal',
+    donor: { firstName: 'Ann', lastName: 'Banda', email: 'ann@example.com' }
+};
+
+describe('outbox retries', () => {
+    let ctx;
+
+    beforeEach(() => {
+        ctx = createTestApp();
+    });
+
+    afterEach(() => ctx.cleanup());
+
+    const send = (key, changes = {}) => {
+        const req = ctx.api().post('/api/donations');
+        if (key) req.set('Idempotency-Key', key);
+        return req.send({ ...GIFT, ...changes });
+    };
+
+    test('answers a resent donation with the entry it already made', async () => {
+        const first = await send('entry-1').expect(201);
+        const again = await send('entry-1').expect(200);
+
+        expect(again.body).toEqual({
+            success: true,
+            donation: first.body.donation,
+            token: first.body.token,
+            receiptUrl: first.body.receiptUrl
+        });
+        expect(ctx.store.collection('donations').all()).toHaveLength(1);
+        expect(ctx.store.collection('donations').all()[0].idempotencyKey).toBe('entry-1');
+    });
+
+    test('keeps keys apart per donor and records every donation sent without one', async () => {
+        const ann = await send('entry-1').expect(201);
+        const ben = await send('entry-1', { donor: { firstName: 'Ben', lastName: 'Phiri', email: 'ben@example.com' } }).expect(201);
+        expect(ben.body.donation.id).not.toBe(ann.body.donation.id);
+
+        // Email addresses are matched as the ledger stores them
+        const shouted = await send('entry-1', { donor: { ...GIFT.donor, email: 'ANN@example.com' } }).expect(200);
+        expect(shouted.body.donation.id).toBe(ann.body.donation.id);
+
+        await send(null).expect(201);
+        await send(null).expect(201);
+        expect(ctx.store.collection('donations').all()).toHaveLength(4);
+    });
+
+    test('returns the entry as it is now, even once the campaign has closed', async () => {
+        waiveTwoFactorRequirement(ctx);
+        const admin = await createSignedInMember(ctx, 'admin@afz.org');
+        const { body: { campaign } } = await ctx.api().post('/api/campaigns').set(admin.auth)
+            .send({ title: 'Sunscreen for Schools', targetAmount: 1000, status: 'active' }).expect(201);
+
+        const first = await send('entry-1', { campaign: campaign.slug }).expect(201);
+        await ctx.api().patch(`/api/donations/${first.body.donation.id}/status`).set(admin.auth).send({ status: 'completed' }).expect(200);
+        await ctx.api().patch(`/api/campaigns/${campaign.id}`).set(admin.auth).send({ status: 'closed' }).expect(200);
+
+        const again = await send('entry-1', { campaign: campaign.slug }).expect(200);
+        expect(again.body.donation).toMatchObject({ id: first.body.donation.id, status: 'completed' });
+    });
+
+    test('refuses a malformed key with a message the outbox can show', async () => {
+        const res = await send('x'.repeat(101)).expect(422);
+        expect(res.body).toMatchObject({ success: false, message: 'Invalid Idempotency-Key header.' });
+        expect(ctx.store.collection('donations').all()).toEqual([]);
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Role-based permissions (permissions.js) as enforced by the members and collection routes
+ */
+
+const { createTestApp, createSignedInMember, waiveTwoFactorRequirement } = require('./helpers');
+
+describe('roles and permissions', () => {
+    let ctx;
+    let admin;
+    let chapterAdmin;
+    let moderator;
+    let lusakaMember;
+    let easternMember;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        waiveTwoFactorRequirement(ctx);
+        admin = await createSignedInMember(ctx, 'admin@afz.org');
+        chapterAdmin = await createSignedInMember(ctx, 'ca@example.com', { role: 'chapter-admin' });
+        moderator = await createSignedInMember(ctx, 'mod@example.com', { role: 'moderator', location: 'eastern' });
+        lusakaMember = await createSignedInMember(ctx, 'lusaka@example.com');
+        easternMember = await createSignedInMember(ctx, 'eastern@example.com', { location: 'eastern' });
+    });
+
+    afterEach(() => ctx.cleanup());
+
+    const member = id => ctx.store.collection('users').get(id);
+
+    test('returns each role its permissions at login', () => {
+        expect(admin.user.permissions).toEqual(expect.arrayContaining(['roles.assign', 'system.manage']));
+        expect(chapterAdmin.user.permissions).toEqual(expect.arrayContaining(['members.manage']));
+        expect(chapterAdmin.user.permissions).not.toContain('roles.assign');
+        expect(lusakaMember.user.permissions).toEqual(['hub.use']);
+    });
+
+    test('treats the legacy admin role as super-admin', async () => {
+        const legacy = await createSignedInMember(ctx, 'old@example.com', { role: 'admin' });
+
+        expect(legacy.user.role).toBe('super-admin');
+    });
+
+    test('keeps members and moderators out of the members API', async () => {
+        await ctx.api().get('/api/members').set(lusakaMember.auth).expect(403);
+        await ctx.api().get('/api/members').set(moderator.auth).expect(403);
+    });
+
+    test('limits chapter admins to their own chapter', async () => {
+        const list = await ctx.api().get('/api/members').set(chapterAdmin.auth).expect(200);
+        expect(list.body.items.map(item => item.email)).not.toContain('eastern@example.com');
+
+        await ctx.api().patch(`/api/members/${easternMember.user.id}`).set(chapterAdmin.auth).send({ status: 'suspended' }).expect(404);
+        await ctx.api().patch(`/api/members/${lusakaMember.user.id}`).set(chapterAdmin.auth).send({ status: 'inactive' }).expect(200);
+
+        const created = await ctx.api().post('/api/members').set(chapterAdmin.auth)
+            .send({ name: 'New Member', email: 'new@example.com', location: 'eastern' })
+            .expect(201);
+        expect(created.body.item.chapter).toBe('lusaka');
+    });
+
+    test('leaves roles, chapters and deletion to super-admins', async () => {
+        await ctx.api().patch(`/api/members/${lusakaMember.user.id}`).set(chapterAdmin.auth).send({ role: 'moderator' }).expect(403);
+        await ctx.api().patch(`/api/members/${lusakaMember.user.id}`).set(chapterAdmin.auth).send({ location: 'eastern' }).expect(403);
+        await ctx.api().post('/api/members').set(chapterAdmin.auth).send({ name: 'New', email: 'n@example.com', role: 'moderator' }).expect(403);
+        await ctx.api().delete(`/api/members/${lusakaMember.user.id}`).set(chapterAdmin.auth).expect(403);
+
+        const res = await ctx.api().patch(`/api/members/${easternMember.user.id}`).set(admin.auth).send({ role: 'moderator' }).expect(200);
+        expect(res.body.item.role).toBe('moderator');
+    });
+
+    test('stops admins changing their own role', async () => {
+        await ctx.api().patch(`/api/members/${admin.user.id}`).set(admin.auth).send({ role: 'member' }).expect(400);
+    });
+
+    test('does not let a chapter admin move an account to another email address', async () => {
+        const target = moderator.user.id;
+        await ctx.api().patch(`/api/members/${target}`).set(admin.auth).send({ location: 'lusaka' }).expect(200);
+
+        const res = await ctx.api().patch(`/api/members/${target}`).set(chapterAdmin.auth).send({ email: 'taken-over@example.com' }).expect(403);
+        expect(res.body.message).toMatch(/super-admins/);
+        expect(member(target).email).toBe('mod@example.com');
+
+        // Saving the form unchanged still works
+        await ctx.api().patch(`/api/members/${target}`).set(chapterAdmin.auth).send({ name: 'Mod Erator', email: 'mod@example.com' }).expect(200);
+    });
+
+    test('makes the member verify an address a super-admin changed', async () => {
+        const res = await ctx.api().patch(`/api/members/${lusakaMember.user.id}`).set(admin.auth).send({ email: 'new-address@example.com' }).expect(200);
+
+        expect(res.body.item.email).toBe('new-address@example.com');
+        expect(member(lusakaMember.user.id).emailVerified).toBe(false);
+        await ctx.api().patch(`/api/members/${lusakaMember.user.id}`).set(admin.auth).send({ email: 'eastern@example.com' }).expect(409);
+    });
+
+    test('lets only moderators approve or remove other members\' content', async () => {
+        const { body } = await ctx.api().post('/api/resources').set(lusakaMember.auth)
+            .send({ title: 'Guide', status: 'approved', featured: true })
+            .expect(201);
+        expect(body.item).toMatchObject({ status: 'pending' });
+        expect(body.item.featured).toBeUndefined();
+
+        await ctx.api().patch(`/api/resources/${body.item.id}`).set(easternMember.auth).send({ status: 'approved' }).expect(403);
+        const approved = await ctx.api().patch(`/api/resources/${body.item.id}`).set(moderator.auth).send({ status: 'approved' }).expect(200);
+        expect(approved.body.item.status).toBe('approved');
+        await ctx.api().delete(`/api/resources/${body.item.id}`).set(moderator.auth).expect(200);
+    });
+
+    test('keeps private records from moderators', async () => {
+        const { body } = await ctx.api().post('/api/connections').set(lusakaMember.auth).send({ name: 'Chanda' }).expect(201);
+
+        await ctx.api().delete(`/api/connections/${body.item.id}`).set(moderator.auth).expect(404);
+    });
+});
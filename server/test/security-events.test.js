@@ -0,0 +1,75 @@
+/**
+ * Security events reported by browsers and the API, alerts and thresholds (security-events.js)
+ */
+
+const { createTestApp, createSignedInMember, waiveTwoFactorRequirement } = require('./helpers');
+
+describe('security events', () => {
+    let ctx;
+    let admin;
+    let member;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        waiveTwoFactorRequirement(ctx);
+        admin = await createSignedInMember(ctx, 'admin@afz.org');
+        member = await createSignedInMember(ctx, 'ann@example.com');
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.warn.mockRestore();
+        ctx.cleanup();
+    });
+
+    const report = (events, auth = {}) => ctx.api().post('/api/security-events').set(auth).send({ events });
+
+    test('accepts browser reports with the member and severity attached', async () => {
+        const res = await report([
+            { type: 'XSS_ATTEMPT', message: 'Script in the name field', url: 'http://afz.test/pages/auth.html' },
+            { type: 'SUSPICIOUS_ACTIVITY', message: 'Rapid clicks' }
+        ], member.auth).expect(202);
+        expect(res.body.success).toBe(true);
+
+        const list = await ctx.api().get('/api/security-events').set(admin.auth).expect(200);
+        const xss = list.body.items.find(event => event.type === 'XSS_ATTEMPT');
+        expect(xss).toMatchObject({ severity: 'critical', source: 'client', userId: member.user.id, memberName: 'Test Member' });
+    });
+
+    test('refuses server-only types and empty batches from browsers', async () => {
+        await report([{ type: 'FAILED_LOGIN', message: 'Forged' }]).expect(422);
+        await report([]).expect(422);
+        await report([{ type: 'XSS_ATTEMPT' }], { Authorization: 'Bearer not-a-token' }).expect(202);
+    });
+
+    test('shows events to admins only, with filters', async () => {
+        await report([{ type: 'XSS_ATTEMPT', message: 'xss' }, { type: 'SUSPICIOUS_ACTIVITY', message: 'clicks' }]).expect(202);
+
+        await ctx.api().get('/api/security-events').set(member.auth).expect(403);
+        const filtered = await ctx.api().get('/api/security-events?severity=critical&q=xss').set(admin.auth).expect(200);
+        expect(filtered.body.total).toBe(1);
+        await ctx.api().get('/api/security-events?type=NOPE').set(admin.auth).expect(422);
+    });
+
+    test('raises an alert once a severity passes its threshold and lets admins acknowledge it', async () => {
+        await report([{ type: 'XSS_ATTEMPT', message: 'xss' }]).expect(202);
+
+        const summary = await ctx.api().get('/api/security-events/summary').set(admin.auth).expect(200);
+        expect(summary.body.alerts).toEqual([expect.objectContaining({ severity: 'critical', eventCount: 1 })]);
+
+        const id = summary.body.alerts[0].id;
+        const ack = await ctx.api().post(`/api/security-events/alerts/${id}/acknowledge`).set(admin.auth).expect(200);
+        expect(ack.body.alert.acknowledgedAt).toEqual(expect.any(String));
+        await ctx.api().post(`/api/security-events/alerts/${id}/acknowledge`).set(admin.auth).expect(404);
+    });
+
+    test('validates and saves alert thresholds', async () => {
+        await ctx.api().put('/api/security-events/thresholds').set(admin.auth).send({ critical: 5, warning: 'x', info: 0 }).expect(422);
+
+        const res = await ctx.api().put('/api/security-events/thresholds').set(admin.auth).send({ critical: 5, warning: 2, info: 0 }).expect(200);
+        expect(res.body.thresholds).toEqual({ critical: 5, warning: 2, info: 0 });
+
+        const settings = await ctx.api().get('/api/settings').set(admin.auth).expect(200);
+        expect(settings.body.settings.securityAlertThresholds).toEqual({ critical: 5, warning: 2, info: 0 });
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * Server-side sessions with rotating refresh cookies (sessions.js, routes/auth.js)
+ */
+
+const { PASSWORD, createTestApp, createMember, signIn, waiveTwoFactorRequirement } = require('./helpers');
+
+describe('sessions', () => {
+    let ctx;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        await createMember(ctx, 'ann@example.com');
+    });
+
+    afterEach(() => ctx.cleanup());
+
+    // "afz_refresh=<token>" from a response's Set-Cookie header
+    const refreshCookie = res => (res.headers['set-cookie'] || [])
+        .map(cookie => cookie.split(';')[0])
+        .find(cookie => cookie.startsWith('afz_refresh=') && cookie !== 'afz_refresh=');
+
+    async function logIn(rememberMe = false) {
+        const res = await ctx.api().post('/api/auth/login').send({ email: 'ann@example.com', password: PASSWORD, rememberMe }).expect(200);
+        return { res, cookie: refreshCookie(res), auth: { Authorization: `Bearer ${res.body.token}` } };
+    }
+
+    test('sets an HttpOnly refresh cookie that only lasts the browser session without "remember me"', async () => {
+        const { res } = await logIn();
+        const header = res.headers['set-cookie'].join('\n');
+
+        expect(header).toMatch(/HttpOnly/);
+        expect(header).toMatch(/SameSite=Strict/);
+        expect(header).not.toMatch(/Expires=/);
+
+        const remembered = await logIn(true);
+        expect(remembered.res.headers['set-cookie'].join('\n')).toMatch(/Expires=/);
+    });
+
+    test('rotates the refresh cookie on each use', async () => {
+        const { cookie } = await logIn();
+
+        const res = await ctx.api().post('/api/auth/refresh').set('Cookie', cookie).expect(200);
+        expect(res.body.token).toEqual(expect.any(String));
+        expect(refreshCookie(res)).toBeDefined();
+        expect(refreshCookie(res)).not.toBe(cookie);
+    });
+
+    test('tolerates a second tab reusing the old cookie moments later', async () => {
+        const { cookie } = await logIn();
+        await ctx.api().post('/api/auth/refresh').set('Cookie', cookie).expect(200);
+
+        const res = await ctx.api().post('/api/auth/refresh').set('Cookie', cookie).expect(200);
+        expect(refreshCookie(res)).toBeUndefined();
+    });
+
+    test('revokes the session when an old refresh cookie is replayed later', async () => {
+        const { cookie, auth } = await logIn();
+        const first = await ctx.api().post('/api/auth/refresh').set('Cookie', cookie).expect(200);
+
+        const sessions = ctx.store.collection('sessions');
+        const [session] = sessions.all();
+        sessions.update(session.id, { rotatedAt: new Date(Date.now() - 5 * 60 * 1000).toISOString() });
+
+        await ctx.api().post('/api/auth/refresh').set('Cookie', cookie).expect(401);
+        expect(sessions.get(session.id).revokedReason).toBe('refresh-token-reuse');
+        await ctx.api().post('/api/auth/refresh').set('Cookie', refreshCookie(first)).expect(401);
+        await ctx.api().get('/api/auth/me').set(auth).expect(401);
+    });
+
+    test('lists sessions and signs one out', async () => {
+        const phone = await logIn();
+        const laptop = await logIn();
+
+        const list = await ctx.api().get('/api/auth/sessions').set(laptop.auth).expect(200);
+        expect(list.body.sessions).toHaveLength(2);
+        const other = list.body.sessions.find(session => !session.current);
+
+        await ctx.api().delete(`/api/auth/sessions/${other.id}`).set(laptop.auth).expect(200);
+        await ctx.api().get('/api/auth/me').set(phone.auth).expect(401);
+        await ctx.api().get('/api/auth/me').set(laptop.auth).expect(200);
+    });
+
+    test('changing the password signs out every other session', async () => {
+        const phone = await logIn();
+        const laptop = await logIn();
+
+        await ctx.api().post('/api/auth/password').set(laptop.auth)
+            .send({ currentPassword: 'Wrong1234', password: 'NewPassw0rd', confirmPassword: 'NewPassw0rd' })
+            .expect(400);
+        await ctx.api().post('/api/auth/password').set(laptop.auth)
+            .send({ currentPassword: PASSWORD, password: 'NewPassw0rd', confirmPassword: 'NewPassw0rd' })
+            .expect(200);
+
+        await ctx.api().get('/api/auth/me').set(phone.auth).expect(401);
+        await ctx.api().post('/api/auth/refresh').set('Cookie', phone.cookie).expect(401);
+        await ctx.api().get('/api/auth/me').set(laptop.auth).expect(200);
+    });
+
+    test('logging out with only the cookie revokes the session', async () => {
+        const { cookie, auth } = await logIn();
+
+        await ctx.api().post('/api/auth/logout').set('Cookie', cookie).expect(200);
+        await ctx.api().get('/api/auth/me').set(auth).expect(401);
+    });
+
+    test('suspending a member ends their sessions and blocks new ones', async () => {
+        waiveTwoFactorRequirement(ctx);
+        await createMember(ctx, 'admin@afz.org');
+        const admin = await signIn(ctx, 'admin@afz.org');
+        const { cookie, auth, res } = await logIn();
+
+        await ctx.api().patch(`/api/members/${res.body.user.id}`).set(admin.auth).send({ status: 'suspended' }).expect(200);
+
+        await ctx.api().get('/api/auth/me').set(auth).expect(401);
+        await ctx.api().post('/api/auth/refresh').set('Cookie', cookie).expect(401);
+        await ctx.api().post('/api/auth/login').send({ email: 'ann@example.com', password: PASSWORD }).expect(403);
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * Recurring donations: the first payment, renewals, dunning and the donor's management link (subscriptions.js, routes/subscriptions.js)
+ */
+
+const { createTestApp, createSignedInMember, waiveTwoFactorRequirement, fakeMobileMoney, linkToken } = require('./helpers');
+const config = require('../config');
+const { RETRY_DAYS, runSubscriptions } = require('../subscriptions');
+const { paymentForDonation } = require('../mobile-money');
+
+const GIFT = {
+    amount: 100,
+    currency: 'ZMW',
+    gateway: 'mobile-money',
+    donationType: 'monthly',
+    donor: { firstName: 'Ann', lastName: 'Banda', email: 'ann@example.com' }
+};
+
+describe('recurring donations', () => {
+    let ctx;
+    let answers;
+
+    beforeAll(() => {
+        config.mobileMoney.sandbox = true;
+    });
+
+    afterAll(() => {
+        config.mobileMoney.sandbox = false;
+    });
+
+    beforeEach(() => {
+        ctx = createTestApp();
+        answers = fakeMobileMoney();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        ctx.cleanup();
+    });
+
+    const subscriptions = () => ctx.store.collection('donationSubscriptions');
+    const run = () => runSubscriptions(ctx.store, ctx.mailer);
+    const templates = () => ctx.mailer.sent.map(mail => mail.template);
+
+    // The provider answers for the charge the subscription is waiting on, and the scheduler picks it up
+    async function settleCharge(subscription, answer) {
+        const payment = paymentForDonation(ctx.store, subscriptions().get(subscription.id).pendingDonationId);
+        answers.set(payment.id, answer);
+        await run();
+        return subscriptions().get(subscription.id);
+    }
+
+    async function renew(subscription, answer) {
+        subscriptions().update(subscription.id, { nextChargeAt: new Date(Date.now() - 1000).toISOString() });
+        await run();
+        return settleCharge(subscription, answer);
+    }
+
+    async function startGift() {
+        const { body } = await ctx.api().post('/api/donations').send(GIFT).expect(201);
+        await ctx.api().post('/api/mobile-money/payments')
+            .send({ donationId: body.donation.id, token: body.token, phone: '0961234567' }).expect(202);
+
+        return settleCharge({ id: body.donation.subscriptionId }, 'SUCCESSFUL');
+    }
+
+    test('only takes recurring gifts it can charge again', async () => {
+        const paypal = await ctx.api().post('/api/donations').send({ ...GIFT, gateway: 'paypal' }).expect(422);
+        expect(paypal.body.message).toMatch(/collected by mobile money/);
+
+        const dollars = await ctx.api().post('/api/donations').send({ ...GIFT, currency: 'USD' }).expect(422);
+        expect(dollars.body.message).toMatch(/Zambian Kwacha/);
+
+        expect(ctx.store.collection('donations').all()).toEqual([]);
+        expect(subscriptions().all()).toEqual([]);
+    });
+
+    test('starts the schedule once the first payment completes', async () => {
+        const subscription = await startGift();
+
+        expect(subscription).toMatchObject({ status: 'active', msisdn: '260961234567', provider: 'mtn', pendingDonationId: null });
+        expect(subscription.anchorDay).toBe(new Date(subscription.lastPaidAt).getUTCDate());
+        expect(new Date(subscription.nextChargeAt).getTime()).toBeGreaterThan(Date.now());
+        expect(templates()).toEqual(['donation-receipt', 'donation-subscription-started']);
+    });
+
+    test('cancels the gift when the first payment fails', async () => {
+        const { body } = await ctx.api().post('/api/donations').send(GIFT).expect(201);
+        await ctx.api().post('/api/mobile-money/payments')
+            .send({ donationId: body.donation.id, token: body.token, phone: '0961234567' }).expect(202);
+
+        const subscription = await settleCharge({ id: body.donation.subscriptionId }, 'FAILED');
+        expect(subscription.status).toBe('cancelled');
+    });
+
+    test('charges renewals on schedule', async () => {
+        const subscription = await startGift();
+        const renewed = await renew(subscription, 'SUCCESSFUL');
+
+        expect(renewed).toMatchObject({ status: 'active', failedAttempts: 0, pendingDonationId: null });
+        expect(new Date(renewed.nextChargeAt).getTime()).toBeGreaterThan(Date.now());
+        expect(renewed.history.map(entry => entry.event)).toEqual(['created', 'started', 'charged']);
+        expect(ctx.store.collection('donations').find(donation => donation.subscriptionId === subscription.id)).toHaveLength(2);
+    });
+
+    test('retries failed renewals and lapses the gift after the last retry', async () => {
+        const subscription = await startGift();
+
+        const pastDue = await renew(subscription, 'FAILED');
+        expect(pastDue).toMatchObject({ status: 'past_due', failedAttempts: 1 });
+        expect(templates()).toContain('donation-payment-failed');
+
+        let current = pastDue;
+        for (let attempt = 1; attempt <= RETRY_DAYS.length; attempt++) {
+            current = await renew(current, 'FAILED');
+        }
+        expect(current).toMatchObject({ status: 'lapsed', nextChargeAt: null });
+        expect(templates()).toContain('donation-subscription-lapsed');
+    });
+
+    test('lets the donor manage the gift from the link in their emails', async () => {
+        const subscription = await startGift();
+        const token = linkToken(ctx.mailer, 'ann@example.com', 'token');
+        const manage = path => `/api/subscriptions/${subscription.id}${path}?token=${encodeURIComponent(token)}`;
+
+        const view = await ctx.api().get(manage('')).expect(200);
+        expect(view.body.subscription).toMatchObject({ status: 'active', network: 'MTN Mobile Money', payments: [expect.objectContaining({ status: 'completed' })] });
+        await ctx.api().get(`/api/subscriptions/${subscription.id}?token=wrong`).expect(404);
+
+        const changed = await ctx.api().patch(manage('')).send({ amount: 150 }).expect(200);
+        expect(changed.body.subscription.amount).toBe(150);
+
+        await ctx.api().post(manage('/pause')).expect(200);
+        const again = await ctx.api().post(manage('/pause')).expect(409);
+        expect(again.body.message).toBe('Only an active donation can be paused.');
+        await ctx.api().post(manage('/resume')).expect(200);
+        await ctx.api().post(manage('/cancel')).expect(200);
+        await ctx.api().post(manage('/explode')).expect(422);
+
+        const history = subscriptions().get(subscription.id).history;
+        expect(history.filter(entry => entry.by === 'donor').map(entry => entry.event))
+            .toEqual(['created', 'amount_changed', 'paused', 'resumed', 'cancelled']);
+    });
+
+    test('lists recurring gifts for finance staff only', async () => {
+        await startGift();
+        waiveTwoFactorRequirement(ctx);
+        const admin = await createSignedInMember(ctx, 'admin@afz.org');
+        const member = await createSignedInMember(ctx, 'ben@example.com');
+
+        await ctx.api().get('/api/subscriptions').set(member.auth).expect(403);
+        const res = await ctx.api().get('/api/subscriptions?status=active').set(admin.auth).expect(200);
+        expect(res.body.items).toEqual([expect.objectContaining({ donorName: 'Ann Banda', amount: 100 })]);
+    });
+});
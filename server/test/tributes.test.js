@@ -0,0 +1,132 @@
+/**
+ * Gifts in honour or memory of someone and the e-cards sent for them (tributes.js, routes/donations.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createTestApp, createSignedInMember, waiveTwoFactorRequirement } = require('./helpers');
+const { ECARD_DESIGNS, runTributeCards } = require('../tributes');
+
+const TRIBUTE = {
+    type: 'memory',
+    honoreeName: 'Mary Banda',
+    recipientName: 'Joseph Banda',
+    recipientEmail: 'Joseph@example.com',
+    design: 'together'
+};
+
+function lusakaDay(offsetDays) {
+    return new Date(Date.now() + offsetDays * 24 * 60 * 60 * 1000).toLocaleDateString('en-CA', { timeZone: 'Africa/Lusaka' });
+}
+
+describe('tribute donations', () => {
+    let ctx;
+    let admin;
+
+    beforeEach(async () => {
+        ctx = createTestApp();
+        waiveTwoFactorRequirement(ctx);
+        admin = await createSignedInMember(ctx, 'admin@afz.org');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        ctx.cleanup();
+    });
+
+    const donate = tribute => ctx.api().post('/api/donations').send({
+        amount: 100,
+        currency: 'ZMW',
+        gateway: 'paypal',
+        donor: { firstName: 'Ann', lastName: 'Banda', email: 'ann@example.com' },
+        tribute
+    });
+    const setStatus = (donation, status) => ctx.api().patch(`/api/donations/${donation.id}/status`).set(admin.auth).send({ status });
+    const cards = () => ctx.mailer.sent.filter(mail => mail.template === 'tribute-card');
+
+    test('checks the tribute before recording the gift', async () => {
+        const noName = await donate({ ...TRIBUTE, recipientName: '' }).expect(422);
+        expect(noName.body.message).toBe('Please enter the name of the person the e-card is for.');
+
+        await donate({ ...TRIBUTE, sendOn: lusakaDay(-2) }).expect(422);
+        await donate({ ...TRIBUTE, sendOn: lusakaDay(400) }).expect(422);
+        await donate({ ...TRIBUTE, sendOn: '2030-02-30' }).expect(422);
+        await donate({ ...TRIBUTE, design: 'glitter' }).expect(422);
+        await donate({ ...TRIBUTE, honoreeName: '' }).expect(422);
+        expect(ctx.store.collection('donations').all()).toEqual([]);
+    });
+
+    test('sends the card once the gift is paid, without the amount', async () => {
+        const { body } = await donate(TRIBUTE).expect(201);
+        expect(body.donation.tribute).toMatchObject({ line: 'In memory of Mary Banda', recipientEmail: 'joseph@example.com', cardStatus: 'scheduled' });
+
+        await runTributeCards(ctx.store, ctx.mailer);
+        expect(cards()).toEqual([]);
+
+        await setStatus(body.donation, 'completed').expect(200);
+        await runTributeCards(ctx.store, ctx.mailer);
+        await runTributeCards(ctx.store, ctx.mailer);
+
+        const [card] = cards();
+        expect(cards()).toHaveLength(1);
+        expect(card.to).toEqual([{ address: 'joseph@example.com', name: '' }]);
+        expect(card.subject).toBe('A gift in memory of Mary Banda');
+        expect(card.html).toContain('src="http://afz.test/community-gathering-1.jpg"');
+        expect(card.html).toContain('Ann Banda');
+        expect(card.html).not.toMatch(/ZMW|100\.00/);
+        expect(ctx.store.collection('donations').get(body.donation.id).tribute).toMatchObject({ cardStatus: 'sent', cardSentAt: expect.any(String) });
+    });
+
+    test('publishes every e-card picture where the card links to it', () => {
+        const root = path.join(__dirname, '..', '..');
+        const build = fs.readFileSync(path.join(root, 'build.config.js'), 'utf8');
+        for (const design of Object.values(ECARD_DESIGNS).filter(design => design.image)) {
+            expect(fs.existsSync(path.join(root, design.image))).toBe(true);
+            expect(build).toContain(`'${design.image}'`);
+        }
+    });
+
+    test('waits for the day the donor picked', async () => {
+        const { body } = await donate({ ...TRIBUTE, sendOn: lusakaDay(3) }).expect(201);
+        await setStatus(body.donation, 'completed').expect(200);
+
+        await runTributeCards(ctx.store, ctx.mailer);
+        expect(cards()).toEqual([]);
+
+        const sendAt = new Date(ctx.store.collection('donations').get(body.donation.id).tribute.sendAt).getTime();
+        await runTributeCards(ctx.store, ctx.mailer, sendAt);
+        expect(cards()).toHaveLength(1);
+    });
+
+    test('sends nothing for a refunded gift and keeps the tribute on the receipt only without an email', async () => {
+        const { body: refunded } = await donate(TRIBUTE).expect(201);
+        await setStatus(refunded.donation, 'completed').expect(200);
+        await setStatus(refunded.donation, 'refunded').expect(200);
+
+        const { body: receiptOnly } = await donate({ type: 'honour', honoreeName: 'Mary Banda' }).expect(201);
+        expect(receiptOnly.donation.tribute).toMatchObject({ line: 'In honour of Mary Banda', cardStatus: null });
+        await setStatus(receiptOnly.donation, 'completed').expect(200);
+
+        await runTributeCards(ctx.store, ctx.mailer);
+        expect(cards()).toEqual([]);
+    });
+
+    test('gives up on a card that keeps failing', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const { body } = await donate(TRIBUTE).expect(201);
+        await setStatus(body.donation, 'completed').expect(200);
+
+        const send = ctx.mailer.send;
+        ctx.mailer.send = async message => {
+            if (message.template === 'tribute-card') throw new Error('mailbox unavailable');
+            return send(message);
+        };
+
+        await runTributeCards(ctx.store, ctx.mailer);
+        expect(ctx.store.collection('donations').get(body.donation.id).tribute).toMatchObject({ cardStatus: 'scheduled', cardAttempts: 1 });
+        await runTributeCards(ctx.store, ctx.mailer);
+        await runTributeCards(ctx.store, ctx.mailer);
+        expect(ctx.store.collection('donations').get(body.donation.id).tribute)
+            .toMatchObject({ cardStatus: 'failed', cardAttempts: 3, cardError: 'mailbox unavailable' });
+    });
+});
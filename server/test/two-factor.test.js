@@ -0,0 +1,126 @@
+/**
+ * TOTP two-factor authentication (totp.js, two-factor.js, routes/two-factor.js)
+ */
+
+const totp = require('../totp');
+const { PASSWORD, createTestApp, createMember, signIn } = require('./helpers');
+
+describe('TOTP codes', () => {
+    // RFC 6238 test secret "12345678901234567890"
+    const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+    test('match the RFC 6238 SHA-1 test vectors', () => {
+        expect(totp.codeAt(secret, totp.currentStep(59 * 1000))).toBe('287082');
+        expect(totp.codeAt(secret, totp.currentStep(1111111109 * 1000))).toBe('081804');
+    });
+
+    test('allow one step of clock drift and refuse replayed steps', () => {
+        const now = 1111111109 * 1000;
+        const step = totp.currentStep(now);
+
+        expect(totp.verifyCode(secret, totp.codeAt(secret, step - 1), { now })).toBe(step - 1);
+        expect(totp.verifyCode(secret, totp.codeAt(secret, step - 2), { now })).toBeNull();
+        expect(totp.verifyCode(secret, totp.codeAt(secret, step), { now, afterStep: step })).toBeNull();
+        expect(totp.verifyCode(secret, 'abcdef', { now })).toBeNull();
+    });
+});
+
+describe('two-factor API', () => {
+    let ctx;
+
+    beforeEach(() => {
+        ctx = createTestApp();
+    });
+
+    afterEach(() => ctx.cleanup());
+
+    // Signs in, enrols and returns the session with the secret and recovery codes
+    async function enrol(email) {
+        const session = await signIn(ctx, email);
+        const setup = await ctx.api().post('/api/auth/two-factor/setup').set(session.auth).expect(200);
+        const code = totp.codeAt(setup.body.secret, totp.currentStep());
+        const enabled = await ctx.api().post('/api/auth/two-factor/enable').set(session.auth).send({ code }).expect(200);
+
+        return { ...session, secret: setup.body.secret, code, recoveryCodes: enabled.body.recoveryCodes };
+    }
+
+    test('makes staff set it up before using the admin API', async () => {
+        await createMember(ctx, 'admin@afz.org');
+        const admin = await signIn(ctx, 'admin@afz.org');
+
+        expect(admin.twoFactorSetupRequired).toBe(true);
+        await ctx.api().get('/api/members').set(admin.auth).expect(403);
+        await ctx.api().get('/api/auth/me').set(admin.auth).expect(200);
+
+        await enrol('admin@afz.org');
+        const again = await ctx.api().post('/api/auth/login').send({ email: 'admin@afz.org', password: PASSWORD }).expect(200);
+        expect(again.body.token).toBeUndefined();
+    });
+
+    test('enables only with a code from the new secret and stores the secret encrypted', async () => {
+        await createMember(ctx, 'ann@example.com');
+        const session = await signIn(ctx, 'ann@example.com');
+        const setup = await ctx.api().post('/api/auth/two-factor/setup').set(session.auth).expect(200);
+
+        expect(setup.body.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+        expect(setup.body.qrCode).toMatch(/^data:image\/png;base64,/);
+        await ctx.api().post('/api/auth/two-factor/enable').set(session.auth).send({ code: '000000' }).expect(400);
+
+        const code = totp.codeAt(setup.body.secret, totp.currentStep());
+        const res = await ctx.api().post('/api/auth/two-factor/enable').set(session.auth).send({ code }).expect(200);
+        expect(res.body.recoveryCodes).toHaveLength(10);
+
+        const stored = ctx.store.collection('users').get(session.user.id).twoFactor;
+        expect(JSON.stringify(stored)).not.toContain(setup.body.secret);
+        expect(JSON.stringify(stored)).not.toContain(res.body.recoveryCodes[0]);
+    });
+
+    test('asks for a code after the password and accepts each code or recovery code once', async () => {
+        await createMember(ctx, 'ann@example.com');
+        const { secret, code, recoveryCodes } = await enrol('ann@example.com');
+
+        const login = () => ctx.api().post('/api/auth/login').send({ email: 'ann@example.com', password: PASSWORD }).expect(200);
+        const first = await login();
+        expect(first.body).toMatchObject({ twoFactorRequired: true });
+        expect(first.body.token).toBeUndefined();
+
+        const { challengeToken } = first.body;
+        await ctx.api().post('/api/auth/login/two-factor').send({ challengeToken, code }).expect(401);
+
+        const next = totp.codeAt(secret, totp.currentStep() + 1);
+        const done = await ctx.api().post('/api/auth/login/two-factor').send({ challengeToken, code: next }).expect(200);
+        expect(done.body.token).toEqual(expect.any(String));
+        await ctx.api().post('/api/auth/login/two-factor').send({ challengeToken, code: next }).expect(401);
+
+        const second = await login();
+        const recovered = await ctx.api().post('/api/auth/login/two-factor')
+            .send({ challengeToken: second.body.challengeToken, recoveryCode: recoveryCodes[0].toUpperCase() })
+            .expect(200);
+        expect(recovered.body.recoveryCodesRemaining).toBe(9);
+
+        const third = await login();
+        await ctx.api().post('/api/auth/login/two-factor')
+            .send({ challengeToken: third.body.challengeToken, recoveryCode: recoveryCodes[0] })
+            .expect(401);
+    });
+
+    test('cannot be turned off by staff while the requirement is on', async () => {
+        await createMember(ctx, 'admin@afz.org');
+        const { recoveryCodes } = await enrol('admin@afz.org');
+        const login = await ctx.api().post('/api/auth/login').send({ email: 'admin@afz.org', password: PASSWORD }).expect(200);
+        const admin = await ctx.api().post('/api/auth/login/two-factor')
+            .send({ challengeToken: login.body.challengeToken, recoveryCode: recoveryCodes[0] })
+            .expect(200);
+        const auth = { Authorization: `Bearer ${admin.body.token}` };
+
+        await ctx.api().post('/api/auth/two-factor/disable').set(auth).send({ password: PASSWORD, recoveryCode: recoveryCodes[1] }).expect(403);
+
+        await ctx.api().patch('/api/settings').set(auth).send({ twoFactorRequired: 'no' }).expect(422);
+        await ctx.api().patch('/api/settings').set(auth).send({ twoFactorRequired: false }).expect(200);
+        await ctx.api().post('/api/auth/two-factor/disable').set(auth).send({ password: 'Wrong1234', recoveryCode: recoveryCodes[1] }).expect(400);
+        await ctx.api().post('/api/auth/two-factor/disable').set(auth).send({ password: PASSWORD, recoveryCode: recoveryCodes[1] }).expect(200);
+
+        const after = await signIn(ctx, 'admin@afz.org');
+        expect(after.twoFactorSetupRequired).toBe(false);
+    });
+});
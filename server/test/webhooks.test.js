@@ -0,0 +1,185 @@
+/**
+ * Hosted checkouts and the gateway webhooks that settle them (gateways.js, routes/webhooks.js)
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { createTestApp } = require('./helpers');
+const config = require('../config');
+
+const STRIPE_SECRET = 'whsec_test';
+const FLUTTERWAVE_HASH = 'flw-test-hash';
+
+describe('gateway webhooks', () => {
+    let ctx;
+
+    beforeAll(() => {
+        Object.assign(config.paymentGateways.stripe, { secretKey: 'sk_test', webhookSecret: STRIPE_SECRET });
+        Object.assign(config.paymentGateways.flutterwave, { secretKey: 'flw_test', webhookHash: FLUTTERWAVE_HASH });
+    });
+
+    afterAll(() => {
+        Object.assign(config.paymentGateways.stripe, { secretKey: undefined, webhookSecret: undefined });
+        Object.assign(config.paymentGateways.flutterwave, { secretKey: undefined, webhookHash: undefined });
+    });
+
+    beforeEach(() => {
+        ctx = createTestApp();
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        ctx.cleanup();
+    });
+
+    async function donate(gateway, changes = {}) {
+        const res = await ctx.api().post('/api/donations').send({
+            amount: 50,
+            currency: 'USD',
+            gateway,
+            donor: { firstName: 'Ann', lastName: 'Banda', email: 'ann@example.com' },
+            ...changes
+        }).expect(201);
+        return res.body;
+    }
+
+    const donation = id => ctx.store.collection('donations').get(id);
+
+    function stripe(event, { secret = STRIPE_SECRET, at = Math.floor(Date.now() / 1000) } = {}) {
+        const body = JSON.stringify(event);
+        const signature = crypto.createHmac('sha256', secret).update(`${at}.${body}`).digest('hex');
+        return ctx.api().post('/api/webhooks/stripe')
+            .set('Content-Type', 'application/json')
+            .set('Stripe-Signature', `t=${at},v1=${signature}`)
+            .send(body);
+    }
+
+    const paid = (donationId, changes = {}) => ({
+        id: 'evt_paid',
+        type: 'checkout.session.completed',
+        data: { object: { id: 'cs_1', client_reference_id: donationId, payment_intent: 'pi_1', payment_status: 'paid', amount_total: 5000, currency: 'usd', ...changes } }
+    });
+
+    const refunded = donationId => ({
+        id: 'evt_refund',
+        type: 'charge.refunded',
+        data: { object: { id: 'ch_1', payment_intent: 'pi_1', refunded: true, amount_refunded: 5000, currency: 'usd', metadata: { donationId } } }
+    });
+
+    test('completes a Stripe donation once, however often the event is delivered', async () => {
+        const { donation: created } = await donate('stripe');
+
+        const res = await stripe(paid(created.id)).expect(200);
+        expect(res.body).toEqual({ success: true, applied: true, duplicate: false });
+        expect(donation(created.id)).toMatchObject({ status: 'completed', gatewayReference: 'pi_1' });
+
+        const again = await stripe(paid(created.id)).expect(200);
+        expect(again.body.duplicate).toBe(true);
+        expect(ctx.mailer.sent.filter(mail => mail.template === 'donation-receipt')).toHaveLength(1);
+    });
+
+    test('refuses unsigned, replayed and unconfigured notifications', async () => {
+        const { donation: created } = await donate('stripe');
+
+        await stripe(paid(created.id), { secret: 'whsec_wrong' }).expect(400);
+        await stripe(paid(created.id), { at: Math.floor(Date.now() / 1000) - 3600 }).expect(400);
+        await ctx.api().post('/api/webhooks/paypal').type('form').send('txn_id=1').expect(404);
+        expect(donation(created.id).status).toBe('pending');
+    });
+
+    test('records but does not apply a payment for the wrong amount', async () => {
+        const { donation: created } = await donate('stripe');
+
+        const res = await stripe(paid(created.id, { amount_total: 100 })).expect(200);
+        expect(res.body.applied).toBe(false);
+        expect(donation(created.id).status).toBe('pending');
+        expect(ctx.store.collection('gatewayEvents').all()[0].reason).toBe('Paid 1 USD instead of 50 USD');
+    });
+
+    test('applies a refund that arrived before its payment once the payment lands', async () => {
+        const { donation: created } = await donate('stripe');
+
+        const early = await stripe(refunded(created.id)).expect(200);
+        expect(early.body.applied).toBe(false);
+
+        await stripe(paid(created.id)).expect(200);
+        const entry = donation(created.id);
+        expect(entry.status).toBe('refunded');
+        expect(entry.history.map(item => item.status)).toEqual(['pending', 'completed', 'refunded']);
+        expect(ctx.store.collection('gatewayEvents').all().every(item => item.applied)).toBe(true);
+
+        const late = await stripe(refunded(created.id)).expect(200);
+        expect(late.body.duplicate).toBe(true);
+    });
+
+    describe('Flutterwave', () => {
+        // The API answers for transactions and refunds by id
+        function flutterwaveApi({ transactions = {}, refunds = {} }) {
+            jest.spyOn(axios, 'get').mockImplementation(async url => {
+                const [, kind, id] = /\/v3\/(transactions|refunds)\/([^/]+)/.exec(url);
+                return { data: { data: (kind === 'refunds' ? refunds : transactions)[id] } };
+            });
+        }
+
+        const notify = (event, id, hash = FLUTTERWAVE_HASH) => ctx.api().post('/api/webhooks/flutterwave')
+            .set('Content-Type', 'application/json')
+            .set('verif-hash', hash)
+            .send(JSON.stringify({ event, data: { id } }));
+
+        function charge(donationId) {
+            return { id: 7001, tx_ref: donationId, flw_ref: 'FLW-7001', status: 'successful', amount: 50, currency: 'USD' };
+        }
+
+        test('completes a verified charge and refuses a wrong hash', async () => {
+            const { donation: created } = await donate('flutterwave');
+            flutterwaveApi({ transactions: { 7001: charge(created.id) } });
+
+            await notify('charge.completed', 7001, 'wrong').expect(400);
+            await notify('charge.completed', 7001).expect(200);
+            expect(donation(created.id)).toMatchObject({ status: 'completed', gatewayReference: 'FLW-7001' });
+        });
+
+        test('marks a fully refunded donation as refunded', async () => {
+            const { donation: created } = await donate('flutterwave');
+            flutterwaveApi({
+                transactions: { 7001: charge(created.id) },
+                refunds: { 90: { id: 90, tx_id: 7001, amount_refunded: 50, status: 'completed' } }
+            });
+
+            await notify('charge.completed', 7001).expect(200);
+            const res = await notify('refund.completed', 90).expect(200);
+
+            expect(res.body.applied).toBe(true);
+            expect(donation(created.id).status).toBe('refunded');
+        });
+
+        test('leaves partial refunds to the finance team', async () => {
+            const { donation: created } = await donate('flutterwave');
+            flutterwaveApi({
+                transactions: { 7001: charge(created.id) },
+                refunds: { 91: { id: 91, tx_id: 7001, amount_refunded: 20, status: 'completed' } }
+            });
+
+            await notify('charge.completed', 7001).expect(200);
+            const res = await notify('refund.completed', 91).expect(200);
+
+            expect(res.body.applied).toBe(false);
+            expect(donation(created.id).status).toBe('completed');
+        });
+
+        test('applies a refund that arrived before the charge once the charge lands', async () => {
+            const { donation: created } = await donate('flutterwave');
+            flutterwaveApi({
+                transactions: { 7001: charge(created.id) },
+                refunds: { 90: { id: 90, tx_id: 7001, amount_refunded: 50, status: 'completed' } }
+            });
+
+            await notify('refund.completed', 90).expect(200);
+            expect(donation(created.id).status).toBe('pending');
+
+            await notify('charge.completed', 7001).expect(200);
+            expect(donation(created.id).status).toBe('refunded');
+        });
+    });
+});
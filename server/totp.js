@@ -0,0 +1,117 @@
+/**
+ * AFZ API Server - TOTP
+ * RFC 6238 time-based one-time passwords, compatible with Google Authenticator and similar apps
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+function codeAt(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+}
+
+/**
+ * Checks a code against the current step and `window` steps either side to allow for clock drift.
+ * Returns the matching step, or null. Steps up to `afterStep` are rejected so a code cannot be replayed.
+ */
+function verifyCode(secret, code, { window = 1, afterStep = -1, now = Date.now() } = {}) {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) {
+        return null;
+    }
+
+    const step = currentStep(now);
+    for (let offset = -window; offset <= window; offset++) {
+        const checkStep = step + offset;
+        if (checkStep <= afterStep) continue;
+
+        const expected = codeAt(secret, checkStep);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+            return checkStep;
+        }
+    }
+    return null;
+}
+
+// The URI authenticator apps read from the enrolment QR code
+function otpauthUrl(secret, account, issuer) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+    generateSecret,
+    codeAt,
+    currentStep,
+    verifyCode,
+    otpauthUrl
+};
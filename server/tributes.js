@@ -0,0 +1,174 @@
+/**
+ * AFZ API Server - Tribute Donations
+ * Gifts made in honour or in memory of someone, and the e-card that tells the person chosen by the donor
+ */
+
+const config = require('./config');
+const { ApiError } = require('./errors');
+const { durationToMs } = require('./sessions');
+
+const TRIBUTE_TYPES = ['honour', 'memory'];
+
+// Mirrors the designs offered on donate.html and their swatches in afz-unified-design.css. The pictures
+// are the ones index.html shows, beside it at the root of the site.
+const ECARD_DESIGNS = {
+    'sunrise': { name: 'Sunrise', colour: '#ed8936', image: null },
+    'together': { name: 'Together', colour: '#2b6cb0', image: 'community-gathering-1.jpg' },
+    'bright-futures': { name: 'Bright Futures', colour: '#38a169', image: 'children-sunscreen.jpg' },
+    'remembrance': { name: 'Remembrance', colour: '#4a5568', image: null }
+};
+
+// Cards go out in the morning, Lusaka time, on the day the donor picked
+const DELIVERY_TIME = 'T08:00:00+02:00';
+const MAX_SCHEDULE_DAYS = 366;
+// A card that still cannot be sent after this many runs is left for staff to look at
+const MAX_CARD_ATTEMPTS = 3;
+
+function lusakaDate(date) {
+    return date.toLocaleDateString('en-CA', { timeZone: 'Africa/Lusaka' });
+}
+
+/**
+ * The tribute stored on a ledger entry, from what the donate page sent: { type, honoreeName, recipientName,
+ * recipientEmail, design, sendOn }. Without a recipient email there is no card, only the tribute on the receipt.
+ */
+function buildTribute(data, now = new Date()) {
+    const tribute = {
+        type: data.type,
+        honoreeName: data.honoreeName,
+        recipientName: data.recipientName || null,
+        recipientEmail: data.recipientEmail ? data.recipientEmail.toLowerCase() : null,
+        design: data.design || (data.type === 'memory' ? 'remembrance' : 'sunrise'),
+        sendAt: null,
+        cardStatus: null,
+        cardSentAt: null,
+        cardAttempts: 0,
+        cardError: null
+    };
+
+    if (!tribute.recipientEmail) {
+        return tribute;
+    }
+    if (!tribute.recipientName) {
+        throw new ApiError(422, 'Please enter the name of the person the e-card is for.');
+    }
+
+    if (data.sendOn) {
+        const latest = lusakaDate(new Date(now.getTime() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000));
+        if (data.sendOn < lusakaDate(now) || data.sendOn > latest) {
+            throw new ApiError(422, 'The e-card can be sent on any day from today until a year from now.');
+        }
+        tribute.sendAt = new Date(`${data.sendOn}${DELIVERY_TIME}`).toISOString();
+    }
+
+    return { ...tribute, cardStatus: 'scheduled' };
+}
+
+// "In honour of Mary Banda"; used on the receipt and in the ledger
+function tributeLine(tribute) {
+    return `${tribute.type === 'memory' ? 'In memory of' : 'In honour of'} ${tribute.honoreeName}`;
+}
+
+// What the donor and staff see about a tribute; the card itself never shows the amount
+function describeTribute(tribute) {
+    if (!tribute) return null;
+
+    return {
+        type: tribute.type,
+        line: tributeLine(tribute),
+        honoreeName: tribute.honoreeName,
+        recipientName: tribute.recipientName,
+        recipientEmail: tribute.recipientEmail,
+        design: tribute.design,
+        sendAt: tribute.sendAt,
+        cardStatus: tribute.cardStatus,
+        cardSentAt: tribute.cardSentAt
+    };
+}
+
+async function sendTributeCard(mailer, donation) {
+    const { tribute } = donation;
+    const design = ECARD_DESIGNS[tribute.design] || ECARD_DESIGNS.sunrise;
+    const from = donation.anonymous
+        ? 'Someone who cares about you'
+        : [donation.donor.firstName, donation.donor.lastName].filter(Boolean).join(' ');
+
+    await mailer.send({
+        to: tribute.recipientEmail,
+        subject: tribute.type === 'memory'
+            ? `A gift in memory of ${tribute.honoreeName}`
+            : `A gift in honour of ${tribute.honoreeName}`,
+        template: 'tribute-card',
+        context: {
+            recipientName: tribute.recipientName,
+            honoreeName: tribute.honoreeName,
+            inMemory: tribute.type === 'memory',
+            from,
+            message: donation.dedication,
+            colour: design.colour,
+            image: design.image ? `${config.appUrl}/${design.image}` : null,
+            // The recipient did not sign up for anything
+            footer: `${from} asked the Albinism Foundation of Zambia to send you this card.`
+        }
+    });
+}
+
+/**
+ * Sends the cards of paid donations whose day has come. A card that fails is tried on the next run;
+ * after MAX_CARD_ATTEMPTS it is marked failed. Refunded and unpaid donations send nothing.
+ */
+async function runTributeCards(store, mailer, now = Date.now()) {
+    const donations = store.collection('donations');
+    const due = donations.find(donation => donation.status === 'completed' && donation.tribute &&
+        donation.tribute.cardStatus === 'scheduled' &&
+        (!donation.tribute.sendAt || new Date(donation.tribute.sendAt).getTime() <= now));
+
+    for (const donation of due) {
+        try {
+            await sendTributeCard(mailer, donation);
+            donations.update(donation.id, {
+                tribute: { ...donation.tribute, cardStatus: 'sent', cardSentAt: new Date().toISOString(), cardError: null }
+            });
+        } catch (error) {
+            console.error(`Failed to send the e-card for ${donation.receiptNumber}:`, error);
+            const attempts = donation.tribute.cardAttempts + 1;
+            donations.update(donation.id, {
+                tribute: {
+                    ...donation.tribute,
+                    cardStatus: attempts >= MAX_CARD_ATTEMPTS ? 'failed' : 'scheduled',
+                    cardAttempts: attempts,
+                    cardError: error.message
+                }
+            });
+        }
+    }
+}
+
+function startTributeScheduler(store, mailer) {
+    let running = false;
+
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await runTributeCards(store, mailer);
+        } catch (error) {
+            console.error('Tribute card run failed:', error);
+        } finally {
+            running = false;
+        }
+    }, durationToMs(config.tributes.checkInterval));
+
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    TRIBUTE_TYPES,
+    ECARD_DESIGNS,
+    buildTribute,
+    tributeLine,
+    describeTribute,
+    runTributeCards,
+    startTributeScheduler
+};
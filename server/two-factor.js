@@ -0,0 +1,113 @@
+/**
+ * AFZ API Server - Two-Factor Authentication
+ * TOTP enrolment state, encrypted secrets and one-time recovery codes for member accounts
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+const totp = require('./totp');
+const { getSettings } = require('./settings');
+const { hasPermission } = require('./permissions');
+
+const ISSUER = 'AFZ Member Hub';
+const RECOVERY_CODE_COUNT = 10;
+
+// Secrets are encrypted at rest so a copy of the data directory is not enough to generate codes
+function encryptionKey() {
+    return crypto.createHash('sha256').update(config.auth.twoFactorKey).digest();
+}
+
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+function decryptSecret(value) {
+    const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Returns { codes, hashes }: codes are shown to the member once, only hashes are stored
+function generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+function isTwoFactorEnabled(user) {
+    return Boolean(user.twoFactor && user.twoFactor.enabled);
+}
+
+// The system setting applies to everyone who can open the admin dashboard
+function isTwoFactorRequired(store, user) {
+    return getSettings(store).twoFactorRequired && hasPermission(user, 'admin.access');
+}
+
+function needsTwoFactorSetup(store, user) {
+    return isTwoFactorRequired(store, user) && !isTwoFactorEnabled(user);
+}
+
+function startEnrolment(user) {
+    const secret = totp.generateSecret();
+
+    return {
+        secret,
+        otpauthUrl: totp.otpauthUrl(secret, user.email, ISSUER),
+        pendingSecret: encryptSecret(secret)
+    };
+}
+
+/**
+ * Checks a TOTP code or recovery code for a member with two-factor enabled.
+ * Returns the changes to save on the user (used step / remaining codes), or null if it did not match.
+ */
+function checkSecondFactor(user, { code, recoveryCode }) {
+    const twoFactor = user.twoFactor;
+
+    if (recoveryCode) {
+        const hash = hashRecoveryCode(recoveryCode);
+        if (!twoFactor.recoveryCodes.includes(hash)) return null;
+
+        return {
+            method: 'recovery-code',
+            twoFactor: { ...twoFactor, recoveryCodes: twoFactor.recoveryCodes.filter(item => item !== hash) }
+        };
+    }
+
+    const step = totp.verifyCode(decryptSecret(twoFactor.secret), code, { afterStep: twoFactor.lastUsedStep });
+    if (step === null) return null;
+
+    return { method: 'totp', twoFactor: { ...twoFactor, lastUsedStep: step } };
+}
+
+// Verifies a code against the secret from startEnrolment before two-factor is switched on
+function verifyEnrolmentCode(user, code) {
+    const pending = user.twoFactor && user.twoFactor.pendingSecret;
+    if (!pending) return null;
+
+    const step = totp.verifyCode(decryptSecret(pending), code);
+    return step === null ? null : { secret: pending, lastUsedStep: step };
+}
+
+module.exports = {
+    generateRecoveryCodes,
+    isTwoFactorEnabled,
+    isTwoFactorRequired,
+    needsTwoFactorSetup,
+    startEnrolment,
+    checkSecondFactor,
+    verifyEnrolmentCode
+};
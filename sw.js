@@ -1,5 +1,8 @@
 // AFZ Advocacy PWA Service Worker
-const CACHE_NAME = 'afz-advocacy-v1.0.6';
+const CACHE_NAME = 'afz-advocacy-v1.0.13';
+
+// The offline outbox the pages queue requests in (self.afzOutbox)
+importScripts('/js/outbox.js');
 const OFFLINE_URL = '/pages/offline.html';
 
 // Assets to cache for offline functionality
@@ -17,11 +20,15 @@ const CACHE_URLS = [
     '/css/afz-unified-design.css',
 
     // JavaScript files
+    '/js/csp.js',
     '/js/main.js',
     '/js/language.js',
     '/js/navigation.js',
+    '/js/outbox.js',
     '/js/pwa.js',
-    '/js/donate.js',
+    '/js/donation-checkout.js',
+    '/js/campaign-progress.js',
+    '/js/in-kind-pledge.js',
     '/js/auth.js',
 
     // Translation files
@@ -288,70 +295,24 @@ function isStaticAsset(url) {
     return /\.(css|js|png|jpg|jpeg|gif|svg|woff|woff2|ttf|eot|ico)(\?.*)?$/.test(url);
 }
 
-// Handle background sync for form submissions
+// Background sync: sends the outbox once there is a connection ('form-submission' and
+// 'donation-submission' are the tags pages registered before the outbox was shared)
+const OUTBOX_SYNC_TAGS = ['outbox', 'form-submission', 'donation-submission'];
+
 self.addEventListener('sync', event => {
     console.log('[Service Worker] Background sync triggered:', event.tag);
 
-    if (event.tag === 'form-submission') {
-        event.waitUntil(handleFormSubmissionSync());
-    }
-
-    if (event.tag === 'donation-submission') {
-        event.waitUntil(handleDonationSubmissionSync());
+    if (OUTBOX_SYNC_TAGS.includes(event.tag)) {
+        event.waitUntil(handleOutboxSync());
     }
 });
 
-// Handle form submissions when back online
-async function handleFormSubmissionSync() {
-    try {
-    // Retrieve pending form submissions from IndexedDB
-        const pendingSubmissions = await getPendingFormSubmissions();
-
-        for (const submission of pendingSubmissions) {
-            try {
-                const response = await fetch(submission.url, {
-                    method: 'POST',
-                    headers: submission.headers,
-                    body: submission.body
-                });
-
-                if (response.ok) {
-                    // Remove successful submission from pending list
-                    await removePendingFormSubmission(submission.id);
-                    console.log('[Service Worker] Form submission synced successfully');
-                }
-            } catch (error) {
-                console.error('[Service Worker] Failed to sync form submission:', error);
-            }
-        }
-    } catch (error) {
-        console.error('[Service Worker] Background sync failed:', error);
-    }
-}
-
-// Handle donation submissions when back online
-async function handleDonationSubmissionSync() {
-    try {
-        const pendingDonations = await getPendingDonationSubmissions();
-
-        for (const donation of pendingDonations) {
-            try {
-                const response = await fetch('/api/donations', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(donation.data)
-                });
+async function handleOutboxSync() {
+    const result = await self.afzOutbox.flush();
 
-                if (response.ok) {
-                    await removePendingDonationSubmission(donation.id);
-                    console.log('[Service Worker] Donation submission synced successfully');
-                }
-            } catch (error) {
-                console.error('[Service Worker] Failed to sync donation:', error);
-            }
-        }
-    } catch (error) {
-        console.error('[Service Worker] Donation sync failed:', error);
+    // Failing the sync has the browser try again later; open pages also retry on their own schedule
+    if (result.failed) {
+        throw new Error(`${result.failed} queued request(s) could not be sent`);
     }
 }
 
@@ -426,25 +387,4 @@ self.addEventListener('notificationclick', event => {
     );
 });
 
-// Utility functions for IndexedDB operations (simplified for demo)
-async function getPendingFormSubmissions() {
-    // In a real implementation, you'd use IndexedDB to store and retrieve pending submissions
-    return [];
-}
-
-async function removePendingFormSubmission(id) {
-    // Remove from IndexedDB
-    console.log('Removing form submission:', id);
-}
-
-async function getPendingDonationSubmissions() {
-    // In a real implementation, you'd use IndexedDB to store and retrieve pending donations
-    return [];
-}
-
-async function removePendingDonationSubmission(id) {
-    // Remove from IndexedDB
-    console.log('Removing donation submission:', id);
-}
-
 console.log('[Service Worker] Service worker script loaded');